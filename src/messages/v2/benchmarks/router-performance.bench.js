@@ -0,0 +1,165 @@
+/**
+ * Router Performance Benchmark
+ *
+ * Compares the previous linear SubsystemRouter matching (scan every route,
+ * longest pattern wins) with the segment-trie index, for growing route tables.
+ * Paths are unique per iteration so every lookup is a cache miss; a separate
+ * suite measures registration while traffic keeps the cache warm.
+ *
+ * Run with: node --expose-gc benchmarks/router-performance.bench.js
+ */
+
+import { BenchmarkRunner } from './utils/benchmark-runner.js';
+import { SubsystemRouter } from '../hooks/router/subsystem-router.mycelia.js';
+import { compilePathPattern } from '../utils/path-pattern.utils.mycelia.js';
+
+// Simulate the linear router (previous implementation)
+class LinearRouter {
+  constructor() {
+    this.routes = new Map();
+    this.cache = new Map();
+  }
+
+  register(pattern) {
+    this.routes.set(pattern, compilePathPattern(pattern));
+    this.cache.clear(); // every registration dropped the whole cache
+  }
+
+  match(path) {
+    const cached = this.cache.get(path);
+    if (cached) {
+      return cached;
+    }
+
+    let best = null;
+    for (const [pattern, compiled] of this.routes) {
+      const params = compiled.match(path);
+      if (params && (!best || pattern.length > best.pattern.length)) {
+        best = { matched: true, params, pattern };
+      }
+    }
+    if (best) {
+      this.cache.set(path, best);
+    }
+    return best;
+  }
+}
+
+/**
+ * Generate a route table shaped like generated subsystem routes:
+ * static query routes, typed params and a few wildcards per resource
+ */
+function generatePatterns(count) {
+  const patterns = [];
+  for (let i = 0; patterns.length < count; i++) {
+    const resource = `resource${i}`;
+    patterns.push(`api://${resource}/list`);
+    patterns.push(`api://${resource}/{id:int}`);
+    patterns.push(`api://${resource}/{id:int}/history`);
+    patterns.push(`api://${resource}/:name/config`);
+    patterns.push(`events://${resource}/**`);
+  }
+  return patterns.slice(0, count);
+}
+
+async function main() {
+  const runner = new BenchmarkRunner({ verbose: true });
+
+  console.log('\n' + '='.repeat(70));
+  console.log('🚀 ROUTER PERFORMANCE BENCHMARK');
+  console.log('='.repeat(70));
+  console.log('\nComparing linear scan (previous) vs segment trie (current)');
+  console.log('Every lookup uses a new path, so the route cache never hits\n');
+
+  const routeCounts = [50, 500, 2000, 5000];
+
+  for (const count of routeCounts) {
+    console.log('\n' + '─'.repeat(70));
+    console.log(`🧭 Routes: ${count}`);
+    console.log('─'.repeat(70));
+
+    const patterns = generatePatterns(count);
+    const resources = Math.ceil(count / 5);
+    const linear = new LinearRouter();
+    const trie = new SubsystemRouter({ name: 'bench' }, { cacheCapacity: 1000 });
+    for (const pattern of patterns) {
+      linear.register(pattern);
+      trie.register(pattern, () => {});
+    }
+
+    // Same path sequence for both routers
+    const pathFor = (i) => {
+      const resource = `resource${i % resources}`;
+      return i % 2 === 0 ? `api://${resource}/${i}/history` : `events://${resource}/e/${i}`;
+    };
+
+    let linearIndex = 0;
+    const linearResult = await runner.run(
+      `Linear match (${count} routes)`,
+      () => {
+        linear.match(pathFor(linearIndex++));
+      },
+      {
+        iterations: count > 1000 ? 2000 : 10000,
+        warmup: 200
+      }
+    );
+
+    let trieIndex = 0;
+    const trieResult = await runner.run(
+      `Trie match (${count} routes)`,
+      () => {
+        trie.match(pathFor(trieIndex++));
+      },
+      {
+        iterations: count > 1000 ? 2000 : 10000,
+        warmup: 200
+      }
+    );
+
+    const speedup = trieResult.opsPerSec / linearResult.opsPerSec;
+    console.log(`\n   💡 Speedup: ${speedup.toFixed(2)}x faster with the trie`);
+  }
+
+  // Registration while serving traffic: a full cache clear per register
+  // turns hot paths into misses, incremental invalidation keeps them cached
+  console.log('\n\n' + '='.repeat(70));
+  console.log('📝 REGISTER + HOT PATHS (cache invalidation)');
+  console.log('='.repeat(70));
+
+  const basePatterns = generatePatterns(2000);
+  const hotPaths = Array.from({ length: 100 }, (_, i) => `api://resource${i}/${i}/history`);
+  const linear = new LinearRouter();
+  const trie = new SubsystemRouter({ name: 'bench' }, { cacheCapacity: 1000 });
+  for (const pattern of basePatterns) {
+    linear.register(pattern);
+    trie.register(pattern, () => {});
+  }
+
+  let linearExtra = 0;
+  let trieExtra = 0;
+  await runner.runSuite([
+    {
+      name: 'Linear - register + 100 hot lookups',
+      fn: () => {
+        linear.register(`plugin://extra${linearExtra++}/{id}`);
+        for (const path of hotPaths) linear.match(path);
+      },
+      options: { iterations: 200, warmup: 20 }
+    },
+    {
+      name: 'Trie - register + 100 hot lookups',
+      fn: () => {
+        trie.register(`plugin://extra${trieExtra++}/{id}`, () => {});
+        for (const path of hotPaths) trie.match(path);
+      },
+      options: { iterations: 200, warmup: 20 }
+    }
+  ]);
+
+  console.log('\n' + '='.repeat(70));
+  console.log('✅ BENCHMARK COMPLETE');
+  console.log('='.repeat(70) + '\n');
+}
+
+main().catch(console.error);
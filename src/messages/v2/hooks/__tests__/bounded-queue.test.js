@@ -0,0 +1,187 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { BoundedQueue } from '../queue/bounded-queue.mycelia.js';
+import { SubsystemQueueManager } from '../queue/subsystem-queue-manager.mycelia.js';
+import { SubsystemStatistics } from '../statistics/subsystem-statistics.mycelia.js';
+
+const item = (id, expired = false) => ({ id, expired });
+const isExpired = (i) => i.expired;
+
+describe('BoundedQueue expiry', () => {
+  it('rejects expired items on enqueue', () => {
+    const queue = new BoundedQueue(3, 'drop-oldest', { isExpired });
+    const onExpired = vi.fn();
+    queue.on('expired', onExpired);
+
+    expect(queue.enqueue(item('a', true))).toBe(false);
+    expect(queue.size()).toBe(0);
+    expect(onExpired).toHaveBeenCalledWith({ item: expect.objectContaining({ id: 'a' }), reason: 'expired-on-enqueue' });
+    expect(queue.getStatistics().itemsExpired).toBe(1);
+  });
+
+  it('skips items that expired while queued on dequeue', () => {
+    const queue = new BoundedQueue(3, 'drop-oldest', { isExpired });
+    const a = item('a');
+    const b = item('b');
+    queue.enqueue(a);
+    queue.enqueue(b);
+    a.expired = true;
+
+    expect(queue.dequeue()).toBe(b);
+    expect(queue.getStatistics().itemsExpired).toBe(1);
+    expect(queue.getStatistics().itemsDequeued).toBe(1);
+  });
+
+  it('purges expired items before applying the overflow policy', () => {
+    const queue = new BoundedQueue(2, 'drop-newest', { isExpired });
+    const dropped = vi.fn();
+    queue.on('dropped', dropped);
+    const a = item('a');
+    queue.enqueue(a);
+    queue.enqueue(item('b'));
+    a.expired = true;
+
+    expect(queue.enqueue(item('c'))).toBe(true);
+    expect(queue.peekAll().map(i => i.id)).toEqual(['b', 'c']);
+    expect(dropped).not.toHaveBeenCalled();
+  });
+
+  it('purgeExpired removes only expired items and is a no-op without a predicate', () => {
+    const queue = new BoundedQueue(5, 'drop-oldest', { isExpired });
+    const items = [item('a'), item('b'), item('c')];
+    items.forEach(i => queue.enqueue(i));
+    items[0].expired = true;
+    items[2].expired = true;
+
+    expect(queue.purgeExpired()).toBe(2);
+    expect(queue.peekAll().map(i => i.id)).toEqual(['b']);
+
+    const plain = new BoundedQueue(2);
+    plain.enqueue(item('x', true));
+    expect(plain.purgeExpired()).toBe(0);
+    expect(plain.size()).toBe(1);
+  });
+});
+
+describe('BoundedQueue block policy', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('suspends producers until a consumer frees space, in arrival order', async () => {
+    const queue = new BoundedQueue(1, 'block');
+    const waited = vi.fn();
+    queue.on('waited', waited);
+    queue.enqueue(item('a'));
+
+    let resolvedB = false;
+    const b = queue.enqueueAsync(item('b')).then(result => { resolvedB = true; return result; });
+    const c = queue.enqueueAsync(item('c'));
+    await Promise.resolve();
+
+    expect(resolvedB).toBe(false);
+    expect(queue.waitingCount()).toBe(2);
+
+    expect(queue.dequeue().id).toBe('a');
+    await expect(b).resolves.toBe(true);
+    expect(queue.peekAll().map(i => i.id)).toEqual(['b']);
+    expect(queue.waitingCount()).toBe(1);
+
+    queue.dequeue();
+    await expect(c).resolves.toBe(true);
+    expect(waited).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'enqueued', waitTime: expect.any(Number) }));
+    expect(queue.getStatistics()).toMatchObject({ itemsBlocked: 2, itemsEnqueued: 3, waiting: 0 });
+  });
+
+  it('enqueues without waiting while there is space', async () => {
+    const queue = new BoundedQueue(2, 'block');
+    await expect(queue.enqueueAsync(item('a'))).resolves.toBe(true);
+    expect(queue.getStatistics().itemsBlocked).toBe(0);
+  });
+
+  it('drops the item when maxWait elapses', async () => {
+    vi.useFakeTimers();
+    const queue = new BoundedQueue(1, 'block', { maxWait: 1000 });
+    const dropped = vi.fn();
+    queue.on('dropped', dropped);
+    queue.enqueue(item('a'));
+
+    const pending = queue.enqueueAsync(item('b'));
+    vi.advanceTimersByTime(1000);
+
+    await expect(pending).resolves.toBe(false);
+    expect(dropped).toHaveBeenCalledWith({ item: expect.objectContaining({ id: 'b' }), reason: 'block-timeout' });
+    expect(queue.waitingCount()).toBe(0);
+    expect(queue.getStatistics()).toMatchObject({ blockTimeouts: 1, itemsDropped: 1 });
+
+    // A per-call maxWait overrides the queue default
+    const short = queue.enqueueAsync(item('c'), { maxWait: 10 });
+    vi.advanceTimersByTime(10);
+    await expect(short).resolves.toBe(false);
+  });
+
+  it('cancels the wait when the abort signal fires', async () => {
+    const queue = new BoundedQueue(1, 'block');
+    const dropped = vi.fn();
+    queue.on('dropped', dropped);
+    queue.enqueue(item('a'));
+
+    const controller = new AbortController();
+    const pending = queue.enqueueAsync(item('b'), { signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).resolves.toBe(false);
+    expect(dropped).toHaveBeenCalledWith({ item: expect.objectContaining({ id: 'b' }), reason: 'block-aborted' });
+    expect(queue.getStatistics().blockAborts).toBe(1);
+
+    // Already-aborted signals never wait
+    await expect(queue.enqueueAsync(item('c'), { signal: controller.signal })).resolves.toBe(false);
+    expect(queue.getStatistics().blockAborts).toBe(2);
+
+    // The aborted producer is not admitted later
+    queue.dequeue();
+    expect(queue.size()).toBe(0);
+  });
+
+  it('rejects items that expire while their producer waits', async () => {
+    const queue = new BoundedQueue(1, 'block', { isExpired });
+    queue.enqueue(item('a'));
+    const b = item('b');
+    const pending = queue.enqueueAsync(b);
+    b.expired = true;
+
+    queue.dequeue();
+    await expect(pending).resolves.toBe(false);
+    expect(queue.getStatistics().itemsExpired).toBe(1);
+  });
+
+  it('behaves like enqueue() for other policies', async () => {
+    const queue = new BoundedQueue(1, 'drop-newest');
+    queue.enqueue(item('a'));
+    await expect(queue.enqueueAsync(item('b'))).resolves.toBe(false);
+    expect(queue.waitingCount()).toBe(0);
+  });
+
+  it('reports queue wait time to subsystem statistics through the queue manager', async () => {
+    const statistics = new SubsystemStatistics();
+    const manager = new SubsystemQueueManager({
+      capacity: 1,
+      policy: 'block',
+      subsystemName: 'canvas',
+      onWaited: (pair, waitTime, outcome) => statistics.recordQueueWait(waitTime, outcome === 'enqueued')
+    });
+    manager.enqueue({ msg: { id: 1 }, options: {} });
+
+    const controller = new AbortController();
+    const first = manager.enqueueAsync({ msg: { id: 2 }, options: {} });
+    const second = manager.enqueueAsync({ msg: { id: 3 }, options: {} }, { signal: controller.signal });
+    expect(manager.getStatus().waiting).toBe(2);
+
+    manager.dequeue();
+    controller.abort();
+    await expect(first).resolves.toBe(true);
+    await expect(second).resolves.toBe(false);
+
+    expect(statistics.getStats()).toMatchObject({ messagesBlocked: 2, queueWaitTimeouts: 1 });
+    expect(statistics.getAverageQueueWaitTime()).toBeGreaterThanOrEqual(0);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { DelayedDeliveryQueue } from '../scheduler/delayed-delivery-queue.mycelia.js';
+import { SubsystemScheduler } from '../scheduler/subsystem-scheduler.mycelia.js';
+import { Message } from '../../models/message/message.mycelia.js';
+
+const NOW = 1_700_000_000_000;
+
+const entry = (id, deliverAt) => ({ id, deliverAt, msg: { id }, options: {} });
+
+describe('DelayedDeliveryQueue', () => {
+  it('pops due entries in delivery order', () => {
+    const delayed = new DelayedDeliveryQueue();
+    delayed.push(entry('c', 300));
+    delayed.push(entry('a', 100));
+    delayed.push(entry('d', 400));
+    delayed.push(entry('b', 200));
+
+    expect(delayed.size()).toBe(4);
+    expect(delayed.peek().id).toBe('a');
+    expect(delayed.popDue(250).map(e => e.id)).toEqual(['a', 'b']);
+    expect(delayed.size()).toBe(2);
+    expect(delayed.popDue(250)).toEqual([]);
+  });
+
+  it('removes entries by id and keeps heap order', () => {
+    const delayed = new DelayedDeliveryQueue();
+    [500, 100, 400, 200, 300].forEach((t, i) => delayed.push(entry(`m${i}`, t)));
+
+    expect(delayed.remove('m1').deliverAt).toBe(100);
+    expect(delayed.remove('missing')).toBeNull();
+    expect(delayed.get('m1')).toBeNull();
+    expect(delayed.list().map(e => e.deliverAt)).toEqual([200, 300, 400, 500]);
+    expect(delayed.popDue(Infinity).map(e => e.deliverAt)).toEqual([200, 300, 400, 500]);
+    expect(delayed.isEmpty()).toBe(true);
+  });
+
+  it('delivers entries with the same delivery time in insertion order', () => {
+    const delayed = new DelayedDeliveryQueue();
+    ['a', 'b', 'c', 'd'].forEach(id => delayed.push(entry(id, 100)));
+    delayed.push(entry('early', 50));
+
+    expect(delayed.popDue(100).map(e => e.id)).toEqual(['early', 'a', 'b', 'c', 'd']);
+  });
+
+  it('rejects invalid and duplicate entries', () => {
+    const delayed = new DelayedDeliveryQueue();
+    delayed.push(entry('a', 100));
+    expect(() => delayed.push(entry('a', 200))).toThrow(/already pending/);
+    expect(() => delayed.push({ deliverAt: 1 })).toThrow(/id is required/);
+    expect(() => delayed.push(entry('b', NaN))).toThrow(/finite number/);
+  });
+});
+
+describe('SubsystemScheduler delayed delivery', () => {
+  let processor;
+  let scheduler;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+    processor = { accept: vi.fn().mockResolvedValue(true) };
+    const subsystem = {
+      name: 'orders',
+      find: vi.fn((kind) => (kind === 'processor' ? processor : null)),
+    };
+    scheduler = new SubsystemScheduler(subsystem);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('holds messages until deliverAt and then hands them to the processor', async () => {
+    const message = new Message('orders://ship', {}, { delay: 5000 });
+    const options = { callerId: { uuid: 'owner-1' } };
+
+    expect(scheduler.defer(message, options)).toBe(true);
+    expect(scheduler.getPendingDeliveries()).toEqual([
+      expect.objectContaining({
+        id: message.getId(),
+        path: 'orders://ship',
+        subsystem: 'orders',
+        deliverAt: NOW + 5000,
+        ownerPkrUuid: 'owner-1'
+      })
+    ]);
+
+    expect(await scheduler.releaseDueDeliveries(NOW + 4999)).toBe(0);
+    expect(processor.accept).not.toHaveBeenCalled();
+
+    expect(await scheduler.releaseDueDeliveries(NOW + 5000)).toBe(1);
+    expect(processor.accept).toHaveBeenCalledWith(message, options);
+
+    const stats = scheduler.getStatistics();
+    expect(stats.deliveriesDeferred).toBe(1);
+    expect(stats.deliveriesReleased).toBe(1);
+    expect(stats.pendingDeliveries).toBe(0);
+  });
+
+  it('keeps the pending entry when the same message is deferred again', () => {
+    const message = new Message('orders://ship', {}, { delay: 5000 });
+    scheduler.defer(message, { callerId: { uuid: 'owner-1' } });
+
+    expect(scheduler.defer(message, { callerId: { uuid: 'owner-2' } }, NOW + 1000)).toEqual({
+      success: false,
+      duplicate: true,
+      messageId: message.getId(),
+      deliverAt: NOW + 5000
+    });
+    expect(scheduler.getPendingDeliveries()).toEqual([
+      expect.objectContaining({ id: message.getId(), ownerPkrUuid: 'owner-1' })
+    ]);
+    expect(scheduler.getStatistics().deliveriesDeferred).toBe(1);
+  });
+
+  it('does not hold messages without a future delivery time', () => {
+    expect(scheduler.defer(new Message('orders://ship', {}), {})).toBe(false);
+    expect(scheduler.defer(new Message('orders://ship', {}, { deliverAt: NOW - 1 }), {})).toBe(false);
+    expect(scheduler.delayed.size()).toBe(0);
+  });
+
+  it('filters and cancels pending deliveries', () => {
+    const mine = new Message('orders://a', {}, { delay: 100 });
+    const theirs = new Message('orders://b', {}, { delay: 200 });
+    scheduler.defer(mine, { callerId: { uuid: 'me' } });
+    scheduler.defer(theirs, { callerId: { uuid: 'them' } });
+
+    expect(scheduler.getPendingDeliveries({ ownerPkrUuid: 'me' }).map(d => d.id)).toEqual([mine.getId()]);
+    expect(scheduler.cancelDelivery(theirs.getId())).not.toBeNull();
+    expect(scheduler.cancelDelivery(theirs.getId())).toBeNull();
+    expect(scheduler.getNextDeliveryTime()).toBe(NOW + 100);
+    expect(scheduler.getStatistics().deliveriesCancelled).toBe(1);
+  });
+});
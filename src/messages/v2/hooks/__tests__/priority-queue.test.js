@@ -0,0 +1,157 @@
+import { describe, it, expect, vi } from 'vitest';
+import { BinaryHeap } from '../queue/binary-heap.mycelia.js';
+import { PriorityQueue } from '../queue/priority-queue.mycelia.js';
+import { SubsystemQueueManager } from '../queue/subsystem-queue-manager.mycelia.js';
+import { SubsystemScheduler } from '../scheduler/subsystem-scheduler.mycelia.js';
+import { messagePriority } from '../scheduler/message-scheduling-strategies.mycelia.js';
+import { Message } from '../../models/message/message.mycelia.js';
+
+const item = (id, priority = 0) => ({ id, priority });
+const getPriority = (i) => i.priority;
+const pair = (path, priority, timestamp) => ({ msg: new Message(path, {}, { priority, timestamp }), options: {} });
+
+describe('BinaryHeap', () => {
+  it('dequeues by score, equal scores in insertion order', () => {
+    const heap = new BinaryHeap(10, getPriority);
+    [item('a', 1), item('b', 5), item('c', 1), item('d', 3), item('e', 5)].forEach(i => heap.enqueue(i));
+
+    expect(heap.peek().id).toBe('b');
+    expect(heap.toArray().map(i => i.id)).toEqual(['b', 'e', 'd', 'a', 'c']);
+    const order = [];
+    while (!heap.isEmpty()) order.push(heap.dequeue().id);
+    expect(order).toEqual(['b', 'e', 'd', 'a', 'c']);
+  });
+
+  it('removes items by reference and drops the lowest-ranked item', () => {
+    const heap = new BinaryHeap(10, getPriority);
+    const items = [item('a', 4), item('b', 2), item('c', 9), item('d', 1), item('e', 6)];
+    items.forEach(i => heap.enqueue(i));
+
+    expect(heap.remove(items[2])).toBe(true);
+    expect(heap.remove(items[2])).toBe(false);
+    expect(heap.peekLowest().id).toBe('d');
+    expect(heap.dropLowest().id).toBe('d');
+    expect(heap.ranksBelowAll(item('x', 0))).toBe(true);
+    expect(heap.ranksBelowAll(item('y', 3))).toBe(false);
+    expect(heap.removeWhere(i => i.priority < 5).map(i => i.id).sort()).toEqual(['a', 'b']);
+    expect(heap.toArray().map(i => i.id)).toEqual(['e']);
+  });
+
+  it('respects capacity', () => {
+    const heap = new BinaryHeap(1, getPriority);
+    expect(heap.enqueue(item('a'))).toBe(true);
+    expect(heap.enqueue(item('b'))).toBe(false);
+    expect(() => new BinaryHeap(0, getPriority)).toThrow(/capacity/);
+    expect(() => new BinaryHeap(1)).toThrow(/score/);
+  });
+});
+
+describe('PriorityQueue', () => {
+  it('lets higher priorities overtake earlier, lower ones', () => {
+    const queue = new PriorityQueue(10, 'drop-oldest', { getPriority });
+    queue.enqueue(item('bulk-1', 0));
+    queue.enqueue(item('bulk-2', 0));
+    queue.enqueue(item('interactive', 10));
+
+    expect(queue.isOrdered()).toBe(true);
+    expect(queue.dequeue().id).toBe('interactive');
+    expect(queue.dequeue().id).toBe('bulk-1');
+    expect(queue.getStatistics()).toMatchObject({ type: 'priority', itemsDequeued: 2 });
+  });
+
+  it('ages waiting items so low priorities are not starved', () => {
+    let now = 0;
+    const queue = new PriorityQueue(10, 'drop-oldest', { getPriority, agingInterval: 100, now: () => now });
+    queue.enqueue(item('old-low', 0));
+
+    now = 500; // old-low has gained 5 levels
+    queue.enqueue(item('new-mid', 4));
+    queue.enqueue(item('new-high', 6));
+
+    expect(queue.peekAll().map(i => i.id)).toEqual(['new-high', 'old-low', 'new-mid']);
+  });
+
+  it('evicts the lowest-ranked item on overflow', () => {
+    const queue = new PriorityQueue(2, 'drop-oldest', { getPriority });
+    const dropped = vi.fn();
+    queue.on('dropped', dropped);
+    const low = item('low', 1);
+    queue.enqueue(low);
+    queue.enqueue(item('high', 5));
+
+    expect(queue.enqueue(item('mid', 3))).toBe(true);
+    expect(dropped).toHaveBeenCalledWith({ item: low, reason: 'drop-lowest' });
+
+    const lowest = item('lowest', 0);
+    expect(queue.enqueue(lowest)).toBe(false);
+    expect(dropped).toHaveBeenLastCalledWith({ item: lowest, reason: 'drop-lowest' });
+    expect(queue.peekAll().map(i => i.id)).toEqual(['high', 'mid']);
+    expect(queue.getStatistics().itemsDropped).toBe(2);
+  });
+
+  it('keeps other overflow policies and expiry from BoundedQueue', () => {
+    const queue = new PriorityQueue(1, 'drop-newest', { getPriority, isExpired: (i) => i.expired === true });
+    const a = item('a', 1);
+    queue.enqueue(a);
+    expect(queue.enqueue(item('b', 9))).toBe(false);
+
+    a.expired = true;
+    expect(queue.purgeExpired()).toBe(1);
+    expect(queue.isEmpty()).toBe(true);
+  });
+
+  it('validates options', () => {
+    expect(() => new PriorityQueue(1, 'drop-oldest', { agingInterval: -1 })).toThrow(/agingInterval/);
+    expect(() => new PriorityQueue(1, 'drop-oldest', { getPriority: 5 })).toThrow(/getPriority/);
+  });
+});
+
+describe('SubsystemQueueManager queue types', () => {
+  it('creates a priority queue ordered by message priority', () => {
+    const manager = new SubsystemQueueManager({ subsystemName: 'imports', type: 'priority', agingInterval: 0 });
+    manager.enqueue(pair('imports://bulk', 0));
+    manager.enqueue(pair('imports://interactive', 5));
+
+    expect(manager.getStatus().type).toBe('priority');
+    expect(manager.dequeue().msg.getPath()).toBe('imports://interactive');
+  });
+
+  it('rejects unknown queue types', () => {
+    expect(() => new SubsystemQueueManager({ subsystemName: 'x', type: 'lifo' })).toThrow(/unknown queue type/);
+  });
+});
+
+describe('scheduling by priority', () => {
+  it('messagePriority prefers atomic, then higher priority, then older messages', () => {
+    const older = pair('a://older', 1, 1000);
+    const newer = pair('a://newer', 1, 2000);
+    const urgent = pair('a://urgent', 7, 3000);
+
+    expect(messagePriority([older, urgent, newer])).toBe(urgent);
+    expect(messagePriority([newer, older])).toBe(older);
+  });
+
+  it('drains priority queues from the head without a strategy scan', async () => {
+    const manager = new SubsystemQueueManager({ subsystemName: 'imports', type: 'priority' });
+    const processed = [];
+    const processor = { processMessage: vi.fn(async (p) => { processed.push(p.msg.getPath()); }) };
+    const queueFacet = { queue: manager.getQueue() };
+    const subsystem = {
+      name: 'imports',
+      find: (kind) => ({ queue: queueFacet, processor })[kind] || null,
+    };
+    const scheduler = new SubsystemScheduler(subsystem);
+    const selectNextMessage = vi.spyOn(scheduler, 'selectNextMessage');
+
+    manager.enqueue(pair('imports://bulk-1', 0));
+    manager.enqueue(pair('imports://bulk-2', 0));
+    manager.enqueue(pair('imports://interactive', 10));
+
+    const result = await scheduler.process(1000);
+
+    expect(result.processed).toBe(3);
+    expect(processed).toEqual(['imports://interactive', 'imports://bulk-1', 'imports://bulk-2']);
+    expect(selectNextMessage).not.toHaveBeenCalled();
+    expect(manager.isEmpty()).toBe(true);
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, it, expect, vi } from 'vitest';
+import { getCancelPath, isCancelPath, createAbortError } from '../requests/request-cancellation.mycelia.js';
+import { performRequest, performStreamRequest } from '../requests/request-core.mycelia.js';
+import { CommandManager } from '../requests/command-manager.mycelia.js';
+import { useMessageProcessor } from '../message-processor/use-message-processor.mycelia.js';
+import { SubsystemQueueManager } from '../queue/subsystem-queue-manager.mycelia.js';
+import { SubsystemStatistics } from '../statistics/subsystem-statistics.mycelia.js';
+import { Message } from '../../models/message/message.mycelia.js';
+import { KernelProtectedMessaging } from '../../models/kernel-subsystem/kernel-protected-messaging.mycelia.js';
+
+const createRequester = () => {
+  const routes = new Map();
+  return {
+    routes,
+    name: 'client',
+    router: {
+      registerRoute: vi.fn((path, handler) => routes.set(path, handler)),
+      unregisterRoute: vi.fn((path) => routes.delete(path))
+    },
+    identity: {
+      // The request never gets a reply; cancel messages resolve
+      sendProtected: vi.fn((message) => (isCancelPath(message.getPath()) ? Promise.resolve({ success: true }) : new Promise(() => {})))
+    }
+  };
+};
+
+const cancelMessages = (identity) => identity.sendProtected.mock.calls
+  .map(([message]) => message)
+  .filter(message => isCancelPath(message.getPath()));
+
+/**
+ * Processor over a real queue; the route handler is supplied by the test
+ */
+const createProcessor = (handler) => {
+  const statistics = new SubsystemStatistics();
+  const queueManager = new SubsystemQueueManager({ capacity: 10, subsystemName: 'reports' });
+  const facets = {
+    router: { route: vi.fn((message, options) => handler(message, options)) },
+    statistics: { _statistics: statistics },
+    queue: {
+      _queueManager: queueManager,
+      selectNextMessage: () => queueManager.dequeue(),
+      removeMessage: (id, predicate) => queueManager.removeMessage(id, predicate)
+    }
+  };
+  const subsystem = { name: 'reports', find: (kind) => facets[kind] || null };
+  const processor = useMessageProcessor({ ms: {}, config: {} }, { name: 'reports', __facets: { find: (kind) => facets[kind] } }, subsystem);
+  return { processor, statistics, queueManager, facets };
+};
+
+const cancelFor = (message, reason = 'no longer needed') =>
+  new Message(getCancelPath(message.getPath()), { correlationId: message.getId(), reason });
+
+describe('request cancellation helpers', () => {
+  it('derives the cancel path from the target path', () => {
+    expect(getCancelPath('reports://export/monthly')).toBe('reports://request/cancel');
+    expect(getCancelPath('no-scheme')).toBeNull();
+    expect(isCancelPath('reports://request/cancel')).toBe(true);
+    expect(isCancelPath('reports://export')).toBe(false);
+  });
+
+  it('rejects with the abort reason or an AbortError', () => {
+    const controller = new AbortController();
+    controller.abort('user left');
+    expect(createAbortError(controller.signal)).toMatchObject({ name: 'AbortError', message: 'Request aborted: user left' });
+
+    const reason = new Error('shutdown');
+    const other = new AbortController();
+    other.abort(reason);
+    expect(createAbortError(other.signal)).toBe(reason);
+  });
+});
+
+describe('cancelling requests', () => {
+  it('rejects an aborted one-shot request and sends a cancel message to the target', async () => {
+    const requester = createRequester();
+    const controller = new AbortController();
+    const message = new Message('reports://export', { month: 5 });
+
+    const pending = performRequest(requester, vi.fn(), message, { timeout: 1000, signal: controller.signal });
+    controller.abort('user left');
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    expect(requester.routes.size).toBe(0);
+    const [cancel] = cancelMessages(requester.identity);
+    expect(cancel.getPath()).toBe('reports://request/cancel');
+    expect(cancel.getBody()).toEqual({ correlationId: message.getId(), reason: 'user left' });
+    expect(requester.identity.sendProtected.mock.calls[0][1]).not.toHaveProperty('signal');
+  });
+
+  it('does not send a request whose signal already aborted', async () => {
+    const requester = createRequester();
+
+    await expect(performRequest(requester, vi.fn(), new Message('reports://export', {}), { signal: AbortSignal.abort() }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(requester.identity.sendProtected).not.toHaveBeenCalled();
+  });
+
+  it('fails an aborted stream and cancels it on the target', async () => {
+    const requester = createRequester();
+    const controller = new AbortController();
+    const message = new Message('reports://export', {});
+
+    const stream = performStreamRequest(requester, message, { signal: controller.signal });
+    controller.abort();
+
+    await expect(stream.toArray()).rejects.toMatchObject({ name: 'AbortError' });
+    expect(requester.routes.size).toBe(0);
+    expect(cancelMessages(requester.identity)).toHaveLength(1);
+  });
+
+  it('rejects an aborted command and stops tracking it', async () => {
+    const requester = createRequester();
+    const manager = new CommandManager(requester);
+    const controller = new AbortController();
+    const message = new Message('reports://export', {});
+
+    const pending = manager.sendCommand({ message, options: { replyTo: 'client://channel/replies', signal: controller.signal } });
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    expect(manager.getStatus().pendingCount).toBe(0);
+    expect(cancelMessages(requester.identity)[0].getBody().correlationId).toBe(message.getId());
+  });
+});
+
+describe('useMessageProcessor cancellation', () => {
+  const caller = { uuid: 'pkr-client' };
+
+  it('aborts the signal of a running handler', async () => {
+    let handlerSignal;
+    const { processor, statistics } = createProcessor((message, options) => {
+      handlerSignal = options.signal;
+      return new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new Error('export stopped')));
+      });
+    });
+    const message = new Message('reports://export', {});
+
+    const running = processor.processImmediately(message, { callerId: caller });
+    const outcome = await processor.processImmediately(cancelFor(message), { callerId: caller });
+
+    expect(outcome).toMatchObject({ success: true, cancelled: true, state: 'running' });
+    expect(handlerSignal.reason).toBe('no longer needed');
+    expect(await running).toEqual({ success: false, cancelled: true, error: 'export stopped' });
+    expect(statistics.getStats()).toMatchObject({ messagesCancelled: 1, processingErrors: 0 });
+  });
+
+  it('removes a queued message that has not started', async () => {
+    const handler = vi.fn().mockResolvedValue({ success: true });
+    const { processor, statistics, queueManager } = createProcessor(handler);
+    const message = new Message('reports://export', {});
+    queueManager.enqueue({ msg: message, options: { callerId: caller } });
+
+    // Cancel messages bypass the queue even when accepted
+    expect(await processor.accept(cancelFor(message), { callerId: caller })).toBe(true);
+
+    expect(queueManager.size()).toBe(0);
+    expect(await processor.processTick()).toBeNull();
+    expect(handler).not.toHaveBeenCalled();
+    expect(statistics.getStats().messagesCancelled).toBe(1);
+  });
+
+  it('ignores cancel messages from another sender', async () => {
+    const { processor, queueManager } = createProcessor(vi.fn());
+    const message = new Message('reports://export', {});
+    queueManager.enqueue({ msg: message, options: { callerId: caller } });
+
+    const outcome = await processor.processImmediately(cancelFor(message), { callerId: { uuid: 'pkr-other' } });
+
+    expect(outcome).toMatchObject({ cancelled: false, state: 'unknown' });
+    expect(queueManager.size()).toBe(1);
+  });
+
+  it('skips a queued message whose in-process signal aborted', async () => {
+    const handler = vi.fn();
+    const { processor, statistics, queueManager } = createProcessor(handler);
+    queueManager.enqueue({ msg: new Message('reports://export', {}), options: { signal: AbortSignal.abort() } });
+
+    expect(await processor.processTick()).toMatchObject({ success: false, cancelled: true });
+    expect(handler).not.toHaveBeenCalled();
+    expect(statistics.getStats().messagesCancelled).toBe(1);
+  });
+});
+
+describe('KernelProtectedMessaging cancel messages', () => {
+  it('drops the sender\'s pending response before routing the cancel message', async () => {
+    const responseManager = { cancel: vi.fn().mockReturnValue(true), registerResponseRequiredFor: vi.fn() };
+    const router = { route: vi.fn().mockResolvedValue({ success: true }) };
+    const kernel = {
+      identity: { pkr: { uuid: 'kernel' } },
+      messageSystem: {},
+      getResponseManager: () => responseManager,
+      getChannelManager: () => null
+    };
+    const messaging = new KernelProtectedMessaging(kernel, router);
+    const pkr = { uuid: 'pkr-client' };
+    const cancel = new Message('reports://request/cancel', { correlationId: 'msg-1' });
+
+    await messaging.sendProtected(pkr, cancel);
+
+    expect(responseManager.cancel).toHaveBeenCalledWith('msg-1', { ownerPkr: pkr });
+    expect(router.route).toHaveBeenCalledWith(cancel, expect.objectContaining({ callerId: pkr }));
+  });
+});
@@ -0,0 +1,269 @@
+import { describe, it, expect, vi } from 'vitest';
+import { ResponseStream, ReplyStreamWriter, applyStreamReply, toNdjsonLines } from '../responses/response-stream.mycelia.js';
+import { useResponses } from '../responses/use-responses.mycelia.js';
+import { performStreamRequest } from '../requests/request-core.mycelia.js';
+import { CommandManager } from '../requests/command-manager.mycelia.js';
+import { createMyceliaHandler } from '../server/express/use-express-server.utils.mycelia.js';
+import { createWebSocketMessageHandler } from '../websocket/ws/use-websocket-server.utils.mycelia.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const createMessagesFacet = () => ({
+  create: vi.fn((path, payload, options) => ({ id: `res-${path}`, path, body: payload ? { ...payload } : {}, meta: options }))
+});
+
+/**
+ * Requester and responder subsystems wired through a fake kernel:
+ * requests go to `onRequest(message, responses)`, responses to the requester's routes.
+ */
+function createPair(onRequest) {
+  const routes = new Map();
+  const replies = new Map();
+  const messagesFacet = createMessagesFacet();
+  const responder = {
+    name: 'reports',
+    find: (kind) => (kind === 'messages' ? messagesFacet : null),
+    identity: {
+      sendProtected: vi.fn(async (message, options) => {
+        await routes.get(message.path)?.(message, {}, { success: options.success, error: options.error });
+        return { success: true };
+      })
+    },
+    getRoot: () => ({ getResponseManager: () => ({ getReplyTo: (id) => replies.get(id) }) })
+  };
+  const responses = useResponses({ config: {} }, { name: 'reports' }, responder);
+  const requester = {
+    name: 'client',
+    router: {
+      registerRoute: vi.fn((path, handler) => routes.set(path, handler)),
+      unregisterRoute: vi.fn((path) => routes.delete(path))
+    },
+    identity: {
+      sendProtected: vi.fn(async (message, options) => {
+        replies.set(message.getId(), options.responseRequired.replyTo);
+        return onRequest(message, responses);
+      })
+    }
+  };
+  return { requester, routes };
+}
+
+const request = (id = 'req-1') => ({ id, path: 'reports://export', getId: () => id, meta: { getCustomField: () => undefined } });
+
+describe('ResponseStream', () => {
+  it('yields written chunks until end', async () => {
+    const stream = new ResponseStream();
+    await stream.write(1);
+    await stream.write(2);
+    await stream.end(3);
+
+    expect(await stream.toArray()).toEqual([1, 2, 3]);
+    await expect(stream.write(4)).rejects.toThrow('stream is closed');
+  });
+
+  it('waits in write() while the buffer is at the high-water mark', async () => {
+    const stream = new ResponseStream({ highWaterMark: 2 });
+    await stream.write('a');
+    let written = false;
+    const pending = stream.write('b').then(() => { written = true; });
+
+    await flush();
+    expect(written).toBe(false);
+
+    const iterator = stream[Symbol.asyncIterator]();
+    expect(await iterator.next()).toEqual({ done: false, value: 'a' });
+    await pending;
+    expect(written).toBe(true);
+  });
+
+  it('re-orders received frames and throws an error after the buffered chunks', async () => {
+    const stream = new ResponseStream();
+    expect(stream.receive(1, { chunk: 'b' })).toBe(false);
+    expect(stream.receive(2, { error: { message: 'export failed' } })).toBe(false);
+    expect(stream.receive(0, { chunk: 'a' })).toBe(true);
+
+    const chunks = [];
+    await expect((async () => {
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+    })()).rejects.toThrow('export failed');
+    expect(chunks).toEqual(['a', 'b']);
+  });
+
+  it('cancels when the reader stops early and releases waiting writers', async () => {
+    const onCancel = vi.fn();
+    const stream = new ResponseStream({ highWaterMark: 1, onCancel });
+    const pending = stream.write('a');
+
+    for await (const chunk of stream) {
+      expect(chunk).toBe('a');
+      break;
+    }
+    await pending;
+
+    expect(onCancel).toHaveBeenCalledWith('cancelled');
+    expect(stream.isCancelled()).toBe(true);
+    await expect(stream.write('b')).rejects.toThrow('reader cancelled');
+  });
+});
+
+describe('ReplyStreamWriter', () => {
+  it('sends numbered frames in order and a failure end marker', async () => {
+    const sent = [];
+    const writer = new ReplyStreamWriter(async (body, options) => { sent.push({ body, options }); });
+
+    await writer.pipe((async function* () {
+      yield 'a';
+      throw new Error('source failed');
+    })());
+
+    expect(sent).toEqual([
+      { body: { stream: { seq: 0, done: false }, chunk: 'a' }, options: { success: true, error: undefined } },
+      {
+        body: { stream: { seq: 1, done: true }, error: { name: 'Error', message: 'source failed' } },
+        options: { success: false, error: { name: 'Error', message: 'source failed' } }
+      }
+    ]);
+    expect(writer.isClosed()).toBe(true);
+  });
+
+  it('treats a plain reply as the only chunk and a failed reply as an error', async () => {
+    const single = new ResponseStream();
+    expect(applyStreamReply(single, { body: { total: 3 } })).toBe(true);
+    expect(await single.toArray()).toEqual([{ total: 3 }]);
+
+    const failed = new ResponseStream();
+    applyStreamReply(failed, { body: { timeout: true, reason: 'Command timed out' } }, { success: false });
+    await expect(failed.toArray()).rejects.toThrow('Command timed out');
+  });
+});
+
+describe('performStreamRequest', () => {
+  it('yields chunks sent by the responder and unregisters the reply route at the end', async () => {
+    const { requester, routes } = createPair(async (message, responses) => {
+      const stream = responses.stream(message);
+      await stream.pipe(['row-1', 'row-2', 'row-3']);
+    });
+
+    const stream = performStreamRequest(requester, request(), { timeout: 1000 });
+
+    expect(await stream.toArray()).toEqual(['row-1', 'row-2', 'row-3']);
+    expect(requester.router.registerRoute).toHaveBeenCalledWith('client://request/oneShot/req-1', expect.any(Function), expect.any(Object));
+    expect(routes.size).toBe(0);
+  });
+
+  it('fails when no chunk arrives within the timeout', async () => {
+    vi.useFakeTimers();
+    try {
+      const { requester, routes } = createPair(async (message, responses) => {
+        await responses.stream(message).write('first');
+      });
+
+      const stream = performStreamRequest(requester, request(), 50);
+      const result = stream.toArray().catch(error => error);
+      await vi.advanceTimersByTimeAsync(60);
+
+      expect((await result).message).toBe('Stream request timed out after 50ms without a chunk');
+      expect(routes.size).toBe(0);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('unregisters the reply route when the caller stops reading', async () => {
+    let writer;
+    const { requester, routes } = createPair(async (message, responses) => {
+      writer = responses.stream(message);
+      await writer.write('a');
+    });
+
+    for await (const chunk of performStreamRequest(requester, request(), 1000)) {
+      expect(chunk).toBe('a');
+      break;
+    }
+
+    expect(routes.size).toBe(0);
+    await writer.end('ignored');
+  });
+});
+
+describe('CommandManager.streamCommand', () => {
+  it('routes stream frames by correlation ID until the end marker', async () => {
+    const subsystem = {
+      identity: { sendProtected: vi.fn().mockResolvedValue({ success: true }) },
+      find: vi.fn()
+    };
+    const manager = new CommandManager(subsystem);
+    const message = request('cmd-1');
+
+    const stream = manager.streamCommand({ message, options: { replyTo: 'client://replies', timeout: 1000 } });
+    const reply = (body, options) => manager.handleCommandReply({ body: { ...body, inReplyTo: 'cmd-1' } }, options);
+
+    reply({ stream: { seq: 1, done: true } });
+    reply({ stream: { seq: 0, done: false }, chunk: 'a' });
+
+    expect(await stream.toArray()).toEqual(['a']);
+    expect(manager.getStatus().streamingCount).toBe(0);
+  });
+});
+
+describe('streamed server responses', () => {
+  const createStreamRouter = (chunks) => ({
+    route: vi.fn(async () => {
+      const stream = new ResponseStream();
+      stream.pipe(chunks);
+      return stream;
+    })
+  });
+  const messagesFacet = { create: vi.fn((path, body) => ({ path, body })) };
+  const logger = { error: vi.fn() };
+
+  it('writes NDJSON lines over chunked HTTP', async () => {
+    const lines = [];
+    const res = {
+      status: vi.fn().mockReturnThis(),
+      setHeader: vi.fn(),
+      write: vi.fn(line => { lines.push(line); return true; }),
+      end: vi.fn(),
+      on: vi.fn()
+    };
+
+    const handler = createMyceliaHandler(createStreamRouter([{ id: 1 }, { id: 2 }]), messagesFacet, logger, 'reports://export', 'GET');
+    await handler({ headers: {}, params: {}, query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/x-ndjson');
+    expect(lines).toEqual(['{"id":1}\n', '{"id":2}\n']);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('ends an NDJSON body with an error line when the stream fails', async () => {
+    const stream = new ResponseStream();
+    await stream.write('a');
+    await stream.error(new Error('disk read failed'));
+
+    const lines = [];
+    for await (const line of toNdjsonLines(stream)) {
+      lines.push(line);
+    }
+
+    expect(lines).toEqual(['"a"\n', '{"error":"disk read failed"}\n']);
+  });
+
+  it('sends one WebSocket frame per chunk and an end frame', async () => {
+    const frames = [];
+    const connection = { id: 'conn-1', isOpen: () => true, send: vi.fn(async frame => { frames.push(frame); }) };
+
+    const handler = createWebSocketMessageHandler(createStreamRouter(['a', 'b']), messagesFacet, logger, 'reports://export');
+    const response = await handler(connection, { correlationId: 'c-1', body: {} });
+
+    expect(response).toBeNull();
+    expect(frames.map(frame => [frame.stream, frame.data, frame.success])).toEqual([
+      [{ seq: 0, done: false }, 'a', true],
+      [{ seq: 1, done: false }, 'b', true],
+      [{ seq: 2, done: true }, null, true]
+    ]);
+    expect(frames.every(frame => frame.correlationId === 'c-1')).toBe(true);
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it, expect, vi } from 'vitest';
+import { ScatterRequestBuilder } from '../requests/scatter-request-builder.mycelia.js';
+import { performRequest } from '../requests/request-core.mycelia.js';
+import { isCancelPath } from '../requests/request-cancellation.mycelia.js';
+import { Message } from '../../models/message/message.mycelia.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Requester whose sendProtected answers each target with its responder:
+ * responders[path](message) => { delay, body, success, error } (no entry: never replies)
+ */
+const createRequester = (responders = {}, subsystemNames = []) => {
+  const routes = new Map();
+  const requester = {
+    name: 'client',
+    routes,
+    router: {
+      registerRoute: vi.fn((path, handler) => routes.set(path, handler)),
+      unregisterRoute: vi.fn((path) => routes.delete(path))
+    },
+    messageSystem: { getSubsystems: () => subsystemNames.map(name => ({ name })) },
+    identity: {
+      sendProtected: vi.fn(async (message, options = {}) => {
+        const responder = responders[message.getPath()];
+        if (!responder || isCancelPath(message.getPath())) {
+          return { success: true };
+        }
+        const { delay = 0, body, success = true, error } = responder(message);
+        setTimeout(() => {
+          routes.get(options.responseRequired.replyTo)?.(new Message(options.responseRequired.replyTo, body), {}, { success, error });
+        }, delay);
+        return { success: true };
+      })
+    }
+  };
+  return requester;
+};
+
+const scatter = (requester) => new ScatterRequestBuilder({ subsystem: requester, performRequest });
+const sentPaths = (requester) => requester.identity.sendProtected.mock.calls
+  .map(([message]) => message.getPath())
+  .filter(path => !isCancelPath(path));
+
+describe('ScatterRequestBuilder', () => {
+  const probe = new Message('client://probe', { ping: true });
+
+  it('gathers every target with the all policy and reports each outcome', async () => {
+    const requester = createRequester({
+      'a://status': () => ({ body: { up: true } }),
+      'b://status': () => ({ success: false, error: { message: 'disk full' } })
+    });
+
+    const result = await scatter(requester).to(['a://status', 'b://status']).forMessage(probe).send();
+
+    expect(result).toMatchObject({ success: false, policy: 'all', succeeded: 1, failed: 1 });
+    expect(result.results).toEqual([
+      expect.objectContaining({ target: 'a://status', status: 'fulfilled', value: { up: true } }),
+      expect.objectContaining({ target: 'b://status', status: 'rejected', error: 'disk full' })
+    ]);
+    expect(requester.routes.size).toBe(0);
+  });
+
+  it('sends each target its own copy of the message', async () => {
+    const requester = createRequester({ 'a://status': () => ({ body: 1 }), 'b://status': () => ({ body: 2 }) });
+
+    await scatter(requester).to(['a://status', 'b://status']).forMessage(probe).send();
+
+    const [first, second] = requester.identity.sendProtected.mock.calls.map(([message]) => message);
+    expect(first.getId()).not.toBe(second.getId());
+    expect(first.getBody()).toEqual({ ping: true });
+    expect(first.meta.getTraceId()).toBe(probe.meta.getTraceId());
+  });
+
+  it('resolves with the first success and cancels the remaining targets', async () => {
+    const requester = createRequester({
+      'a://search': () => ({ delay: 5, body: 'from a' }),
+      'b://search': () => ({ delay: 200, body: 'from b' })
+    });
+
+    const result = await scatter(requester)
+      .to(['a://search', 'b://search'])
+      .with({ policy: 'first-success' })
+      .forMessage(probe)
+      .send();
+
+    expect(result).toMatchObject({ success: true, value: 'from a' });
+    expect(result.results[1]).toMatchObject({ target: 'b://search', status: 'cancelled' });
+    const cancels = requester.identity.sendProtected.mock.calls.filter(([message]) => isCancelPath(message.getPath()));
+    expect(cancels.map(([message]) => message.getPath())).toEqual(['b://request/cancel']);
+  });
+
+  it('resolves once the quorum is reached, and fails early once it cannot be', async () => {
+    const voters = {
+      'n1://vote': () => ({ body: 'yes' }),
+      'n2://vote': () => ({ delay: 5, body: 'yes' }),
+      'n3://vote': () => ({ delay: 500, body: 'yes' })
+    };
+    const reached = await scatter(createRequester(voters))
+      .to(Object.keys(voters))
+      .with({ policy: 'quorum', quorum: 2 })
+      .forMessage(probe)
+      .send();
+    expect(reached).toMatchObject({ success: true, succeeded: 2 });
+    expect(reached.results[2].status).toBe('cancelled');
+
+    const failing = {
+      'n1://vote': () => ({ success: false, error: 'no' }),
+      'n2://vote': () => ({ success: false, error: 'no' }),
+      'n3://vote': () => ({ delay: 500, body: 'yes' })
+    };
+    const lost = await scatter(createRequester(failing))
+      .to(Object.keys(failing))
+      .with({ policy: 'quorum', quorum: 2 })
+      .forMessage(probe)
+      .send();
+    expect(lost).toMatchObject({ success: false, succeeded: 0 });
+    expect(lost.results.map(r => r.status)).toEqual(['rejected', 'rejected', 'cancelled']);
+  });
+
+  it('applies per-target timeouts', async () => {
+    const requester = createRequester({
+      'fast://status': () => ({ body: 'ok' }),
+      'slow://status': () => ({ delay: 200, body: 'late' })
+    });
+
+    const result = await scatter(requester)
+      .to(['fast://status', 'slow://status'])
+      .with({ timeout: 1000, timeouts: { 'slow://status': 20 } })
+      .forMessage(probe)
+      .send();
+
+    expect(result.results.map(r => r.status)).toEqual(['fulfilled', 'timeout']);
+    expect(result.results[1].error).toBe('Request timed out after 20ms');
+  });
+
+  it('returns what arrived by the deadline with the best-effort policy', async () => {
+    const requester = createRequester({
+      'a://health': () => ({ body: 'ok' }),
+      'b://health': () => ({ delay: 500, body: 'late' })
+    }, ['a', 'b', 'c']);
+
+    const result = await scatter(requester)
+      .to('*://health')
+      .with({ policy: 'best-effort', deadline: 30, timeout: 1000 })
+      .forMessage(probe)
+      .send();
+
+    expect(sentPaths(requester)).toEqual(['a://health', 'b://health', 'c://health']);
+    expect(result).toMatchObject({ success: true, succeeded: 1, failed: 2 });
+    expect(result.results.map(r => r.status)).toEqual(['fulfilled', 'timeout', 'timeout']);
+    expect(result.results[1].error).toBe('Scatter deadline of 30ms passed');
+  });
+
+  it('expands name patterns against registered subsystems', async () => {
+    const requester = createRequester({}, ['search-eu', 'search-us', 'billing']);
+
+    await scatter(requester)
+      .to('search-*://query')
+      .with({ policy: 'best-effort', deadline: 5 })
+      .forMessage(probe)
+      .send();
+
+    expect(sentPaths(requester)).toEqual(['search-eu://query', 'search-us://query']);
+  });
+
+  it('rejects and cancels every target when the signal aborts', async () => {
+    const requester = createRequester();
+    const controller = new AbortController();
+
+    const pending = scatter(requester)
+      .to(['a://status', 'b://status'])
+      .with({ signal: controller.signal })
+      .forMessage(probe)
+      .send();
+    await wait(0);
+    controller.abort('user left');
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    await wait(0);
+    expect(requester.routes.size).toBe(0);
+  });
+
+  it('validates policies, quorum, deadline and targets', async () => {
+    const requester = createRequester();
+    const builder = () => scatter(requester).to(['a://x', 'b://x']).forMessage(probe);
+
+    await expect(builder().with({ policy: 'majority' }).send()).rejects.toThrow('unknown policy');
+    await expect(builder().with({ policy: 'quorum', quorum: 3 }).send()).rejects.toThrow('quorum must be an integer between 1 and 2');
+    await expect(builder().with({ policy: 'best-effort' }).send()).rejects.toThrow('requires a deadline');
+    await expect(scatter(requester).to('missing-*://x').forMessage(probe).send()).rejects.toThrow('no targets');
+    await expect(scatter(requester).to(['a://x']).send()).rejects.toThrow('no message provided');
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, expect, vi } from 'vitest';
+import { SubsystemRouter } from '../router/subsystem-router.mycelia.js';
+import { PatternMatcher } from '../listeners/pattern-matcher.mycelia.js';
+import { ListenerManager } from '../listeners/listener-manager.mycelia.js';
+
+describe('SubsystemRouter patterns', () => {
+  const createRouter = () => new SubsystemRouter({ name: 'canvas' });
+
+  it('matches typed params and coerces them', () => {
+    const router = createRouter();
+    router.register('user/{id:int}', vi.fn());
+
+    expect(router.match('user/42').params).toEqual({ id: 42 });
+    expect(router.match('user/me')).toBeNull();
+  });
+
+  it('keeps {param} within one segment', () => {
+    const router = createRouter();
+    router.register('user/{id}', vi.fn());
+
+    expect(router.match('user/1/posts')).toBeNull();
+  });
+
+  it('supports :param, optional segments and ** wildcards', () => {
+    const router = createRouter();
+    router.register('kernel://query/resource/:name', vi.fn());
+    router.register('files/{name?}', vi.fn());
+    router.register('events/**', vi.fn());
+
+    expect(router.match('kernel://query/resource/docs').params).toEqual({ name: 'docs' });
+    expect(router.match('files').pattern).toBe('files/{name?}');
+    expect(router.match('events/user/created').pattern).toBe('events/**');
+  });
+
+  it('prefers a typed route over a wildcard when the type matches', () => {
+    const router = createRouter();
+    router.register('user/*', vi.fn());
+    router.register('user/{id:int}', vi.fn());
+
+    expect(router.match('user/7').pattern).toBe('user/{id:int}');
+    expect(router.match('user/me').pattern).toBe('user/*');
+  });
+
+  it('rejects malformed patterns at registration', () => {
+    const router = createRouter();
+    expect(() => router.register('user/{id', vi.fn())).toThrow(/unterminated/);
+  });
+});
+
+describe('SubsystemRouter specificity', () => {
+  const createRouter = () => new SubsystemRouter({ name: 'canvas' });
+
+  it('orders static > param > wildcard regardless of pattern length', () => {
+    const router = createRouter();
+    router.register('**', vi.fn());
+    router.register('user/*', vi.fn());
+    router.register('user/{userId}', vi.fn());
+    router.register('user/me', vi.fn());
+
+    expect(router.match('user/me').pattern).toBe('user/me');
+    expect(router.match('user/42').pattern).toBe('user/{userId}');
+    expect(router.match('other/path').pattern).toBe('**');
+  });
+
+  it('decides specificity from the leftmost differing segment', () => {
+    const router = createRouter();
+    router.register('{tenant}/settings/theme', vi.fn());
+    router.register('admin/{section}/{key}', vi.fn());
+
+    expect(router.match('admin/settings/theme').pattern).toBe('admin/{section}/{key}');
+  });
+
+  it('backtracks when the more specific branch does not complete', () => {
+    const router = createRouter();
+    router.register('files/static/index', vi.fn());
+    router.register('files/{dir}/{name}', vi.fn());
+    router.register('files/**', vi.fn());
+
+    expect(router.match('files/static/app.js').params).toEqual({ dir: 'static', name: 'app.js' });
+    expect(router.match('files/a/b/c').pattern).toBe('files/**');
+    expect(router.match('files').pattern).toBe('files/**');
+  });
+
+  it('falls back to scanning patterns that cannot be split by segment', () => {
+    const router = createRouter();
+    router.register('docs/{rest:.+/.+}', vi.fn());
+
+    expect(router.match('docs/a/b').params).toEqual({ rest: 'a/b' });
+    expect(router.match('docs/a')).toBeNull();
+  });
+
+  it('removes unregistered routes from the index', () => {
+    const router = createRouter();
+    router.register('user/{id:int}', vi.fn());
+    router.register('user/*', vi.fn());
+
+    expect(router.match('user/1').pattern).toBe('user/{id:int}');
+    router.unregister('user/{id:int}');
+    expect(router.match('user/1').pattern).toBe('user/*');
+    router.unregister('user/*');
+    expect(router.match('user/1')).toBeNull();
+  });
+});
+
+describe('SubsystemRouter cache invalidation', () => {
+  it('keeps cached paths the new route does not match', () => {
+    const router = new SubsystemRouter({ name: 'canvas' });
+    router.register('user/{id}', vi.fn());
+    router.register('post/{id}', vi.fn());
+    const cachedPost = router.match('post/1');
+    router.match('user/me');
+
+    router.register('user/me', vi.fn());
+
+    expect(router.cache.size()).toBe(1);
+    expect(router.match('post/1')).toBe(cachedPost);
+    expect(router.match('user/me').pattern).toBe('user/me');
+  });
+
+  it('drops only paths routed to an unregistered pattern', () => {
+    const router = new SubsystemRouter({ name: 'canvas' });
+    router.register('user/{id}', vi.fn());
+    router.register('post/{id}', vi.fn());
+    router.match('user/1');
+    router.match('post/1');
+
+    router.unregister('user/{id}');
+
+    expect(router.cache.size()).toBe(1);
+    expect(router.match('user/1')).toBeNull();
+  });
+});
+
+describe('PatternMatcher', () => {
+  it('matches listener patterns with the routing syntax', () => {
+    const matcher = new PatternMatcher();
+    const handler = vi.fn();
+    matcher.register('user/{id:int}', handler, [handler]);
+    matcher.register('events/**', handler, [handler]);
+
+    expect(matcher.findMatches('user/5').map(m => m.params)).toEqual([{ id: 5 }]);
+    expect(matcher.findMatches('user/5/x')).toEqual([]);
+    expect(matcher.findMatches('events/a/b')).toHaveLength(1);
+  });
+
+  it('accepts wildcard-only patterns and rejects plain paths', () => {
+    const matcher = new PatternMatcher();
+    expect(() => matcher.register('events/*', vi.fn(), [])).not.toThrow();
+    expect(() => matcher.register('events/created', vi.fn(), [])).toThrow(/does not contain pattern syntax/);
+  });
+});
+
+describe('ListenerManager.onPattern', () => {
+  it('keeps earlier handlers when a typed pattern is registered again', () => {
+    const manager = new ListenerManager({ registrationPolicy: 'multiple' });
+    const first = vi.fn();
+    const second = vi.fn();
+    manager.onPattern('orders/{id:int}', first);
+    manager.onPattern('orders/{id:int}', second);
+
+    const message = { getPath: () => 'orders/12' };
+    expect(manager.notifyListeners('orders/12', message)).toBe(2);
+    expect(manager.getPatternListenerCount('orders/{id:int}')).toBe(2);
+  });
+});
@@ -26,8 +26,8 @@ vi.mock('../../models/kernel-subsystem/error-manager-subsystem/bounded-error-sto
 import { useBoundedErrorStore } from '../bounded-error-store/use-bounded-error-store.mycelia.js';
 import { BoundedErrorStore } from '../../models/kernel-subsystem/error-manager-subsystem/bounded-error-store.mycelia.js';
 
-const createFacet = ({ capacity } = {}) => {
-  const ctx = { config: { boundedErrorStore: capacity ? { capacity } : {} } };
+const createFacet = ({ capacity, ...groupOptions } = {}) => {
+  const ctx = { config: { boundedErrorStore: capacity ? { capacity, ...groupOptions } : {} } };
   const api = { name: 'kernel' };
   const subsystem = { name: 'kernel' };
   return useBoundedErrorStore(ctx, api, subsystem);
@@ -39,8 +39,8 @@ describe('useBoundedErrorStore', () => {
   });
 
   it('creates BoundedErrorStore with configured capacity', () => {
-    createFacet({ capacity: 10 });
-    expect(BoundedErrorStore).toHaveBeenCalledWith(10);
+    createFacet({ capacity: 10, maxGroups: 20 });
+    expect(BoundedErrorStore).toHaveBeenCalledWith(10, { maxGroups: 20, maxSamples: undefined });
   });
 
   it('exposes store helpers', () => {
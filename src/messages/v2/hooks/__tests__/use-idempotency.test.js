@@ -0,0 +1,200 @@
+import { describe, it, expect, vi } from 'vitest';
+import { useIdempotency } from '../idempotency/use-idempotency.mycelia.js';
+import { IdempotencyStore } from '../idempotency/idempotency-store.mycelia.js';
+import {
+  extractIdempotencyKeyFromHeaders,
+  resolveIdempotencyKey,
+} from '../idempotency/idempotency.utils.mycelia.js';
+import { MemoryStorageBackend } from '../storage/memory/memory-storage-backend.mycelia.js';
+
+const createMessage = ({ id = 'msg-1', key, command = false, path = 'payments://charge', connectionId } = {}) => ({
+  getId: () => id,
+  getPath: () => path,
+  meta: {
+    getCustomMutableField: (field) => ({ idempotencyKey: key, connectionId })[field],
+    isCommand: () => command,
+  },
+});
+
+const createIdempotencyFacet = ({ config = {}, storage = null } = {}) => {
+  const statistics = { _statistics: { recordDeduplicated: vi.fn() } };
+  const facets = { statistics };
+  const api = {
+    name: 'payments',
+    __facets: { ...facets, find: (kind) => facets[kind] || null },
+  };
+  const subsystem = {
+    name: 'payments',
+    find: (kind) => (kind === 'storage' ? storage : null),
+  };
+  const facet = useIdempotency({ config: { idempotency: config } }, api, subsystem);
+  return { facet, statistics: statistics._statistics };
+};
+
+describe('idempotency utils', () => {
+  it('extracts the Idempotency-Key header case-insensitively', () => {
+    expect(extractIdempotencyKeyFromHeaders({ 'idempotency-key': 'abc' })).toBe('abc');
+    expect(extractIdempotencyKeyFromHeaders({ 'Idempotency-Key': ['first', 'second'] })).toBe('first');
+    expect(extractIdempotencyKeyFromHeaders({ 'idempotency-key': '' })).toBeUndefined();
+    expect(extractIdempotencyKeyFromHeaders(null)).toBeUndefined();
+  });
+
+  it('prefers meta.idempotencyKey over the message id', () => {
+    expect(resolveIdempotencyKey(createMessage({ key: 'client-key' }))).toBe('anonymous|payments://charge|client-key');
+    expect(resolveIdempotencyKey(createMessage({ id: 'msg-9' }))).toBe('msg-9');
+    expect(resolveIdempotencyKey(null)).toBeNull();
+  });
+
+  it('scopes client keys by caller or connection and by path', () => {
+    const message = createMessage({ key: 'k', connectionId: 'conn-1' });
+
+    expect(resolveIdempotencyKey(message, { callerId: { uuid: 'pkr-a' } })).toBe('pkr-a|payments://charge|k');
+    expect(resolveIdempotencyKey(message)).toBe('conn-1|payments://charge|k');
+    expect(resolveIdempotencyKey(createMessage({ key: 'k', path: 'payments://refund' }))).toBe('anonymous|payments://refund|k');
+  });
+});
+
+describe('IdempotencyStore', () => {
+  it('expires entries and evicts the oldest beyond capacity', async () => {
+    const store = new IdempotencyStore({ capacity: 2 });
+    await store.set('a', { key: 'a', expiresAt: 100 });
+    await store.set('b', { key: 'b', expiresAt: 300 });
+    await store.set('c', { key: 'c', expiresAt: 300 });
+
+    expect(await store.get('a', 50)).toBeNull();
+    expect(await store.get('b', 200)).toEqual({ key: 'b', expiresAt: 300 });
+    expect(await store.get('b', 300)).toBeNull();
+    expect(await store.purgeExpired(400)).toBe(1);
+  });
+
+  it('keeps entries in a storage facet namespace', async () => {
+    const storage = new MemoryStorageBackend();
+    const store = new IdempotencyStore({ storage, namespace: 'dedup' });
+    await store.set('a', { key: 'a', expiresAt: 100 });
+    await store.set('b', { key: 'b', expiresAt: 500 });
+
+    expect(store.isPersistent()).toBe(true);
+    expect((await storage.get('b', { namespace: 'dedup' })).data).toEqual({ key: 'b', expiresAt: 500 });
+    expect(await store.purgeExpired(200)).toBe(1);
+    expect((await storage.list({ namespace: 'dedup' })).keys).toEqual(['b']);
+  });
+
+  it('validates capacity', () => {
+    expect(() => new IdempotencyStore({ capacity: 0 })).toThrow(/capacity/);
+  });
+});
+
+describe('useIdempotency', () => {
+  it('validates configuration', () => {
+    expect(() => createIdempotencyFacet({ config: { window: 0 } })).toThrow(/window/);
+    expect(() => createIdempotencyFacet({ config: { cacheResults: 'some' } })).toThrow(/cacheResults/);
+  });
+
+  it('suppresses duplicates within the window and counts them', async () => {
+    const { facet, statistics } = createIdempotencyFacet({ config: { window: 1000 } });
+
+    const key = 'anonymous|payments://charge|k';
+    expect(await facet.claim(createMessage({ id: 'm1', key: 'k' }), { now: 0 })).toEqual({ duplicate: false, key });
+    await facet.complete(createMessage({ id: 'm1', key: 'k' }), { success: true }, { now: 10 });
+
+    const duplicate = await facet.claim(createMessage({ id: 'm2', key: 'k' }), { now: 500 });
+    expect(duplicate).toEqual({
+      duplicate: true,
+      key,
+      result: { success: true, duplicate: true, status: 'completed', idempotencyKey: 'k', messageId: 'm2' },
+    });
+    expect(statistics.recordDeduplicated).toHaveBeenCalledTimes(1);
+    expect((await facet.getEntry(key, 500)).duplicates).toBe(1);
+
+    expect((await facet.claim(createMessage({ id: 'm3', key: 'k' }), { now: 1000 })).duplicate).toBe(false);
+  });
+
+  it('never shares a key between callers or routes', async () => {
+    const { facet } = createIdempotencyFacet();
+    const alice = { uuid: 'pkr-alice' };
+    const first = createMessage({ id: 'm1', key: 'charge-1', command: true });
+
+    await facet.claim(first, { callerId: alice });
+    await facet.complete(first, { success: true, chargeId: 'ch_1' }, { callerId: alice });
+
+    const bob = await facet.claim(createMessage({ id: 'm2', key: 'charge-1', command: true }), { callerId: { uuid: 'pkr-bob' } });
+    const refund = await facet.claim(
+      createMessage({ id: 'm3', key: 'charge-1', command: true, path: 'payments://refund' }),
+      { callerId: alice }
+    );
+    const retry = await facet.claim(createMessage({ id: 'm4', key: 'charge-1', command: true }), { callerId: alice });
+
+    expect(bob.duplicate).toBe(false);
+    expect(refund.duplicate).toBe(false);
+    expect(retry.result).toEqual({ success: true, chargeId: 'ch_1' });
+  });
+
+  it('returns the cached result of the first execution for commands', async () => {
+    const { facet } = createIdempotencyFacet();
+    const first = createMessage({ key: 'charge-1', command: true });
+
+    await facet.claim(first);
+    await facet.complete(first, { success: true, chargeId: 'ch_1' });
+
+    const duplicate = await facet.claim(createMessage({ id: 'msg-2', key: 'charge-1', command: true }));
+    expect(duplicate.result).toEqual({ success: true, chargeId: 'ch_1' });
+  });
+
+  it('does not cache results when cacheResults is none', async () => {
+    const { facet } = createIdempotencyFacet({ config: { cacheResults: 'none' } });
+    const first = createMessage({ key: 'charge-1', command: true });
+
+    await facet.claim(first);
+    await facet.complete(first, { success: true, chargeId: 'ch_1' });
+
+    expect((await facet.claim(first)).result).toMatchObject({ duplicate: true, status: 'completed' });
+  });
+
+  it('rejects concurrent duplicates while the first is still pending', async () => {
+    const { facet } = createIdempotencyFacet();
+
+    const [first, second] = await Promise.all([
+      facet.claim(createMessage({ id: 'm1', key: 'k' })),
+      facet.claim(createMessage({ id: 'm2', key: 'k' })),
+    ]);
+
+    expect(first.duplicate).toBe(false);
+    expect(second.duplicate).toBe(true);
+    expect(second.result).toMatchObject({ success: false, status: 'pending', idempotencyKey: 'k' });
+  });
+
+  it('releases the key after a failure so the message can run again', async () => {
+    const { facet } = createIdempotencyFacet();
+    const message = createMessage({ key: 'k' });
+
+    await facet.claim(message);
+    await facet.release(message);
+
+    expect((await facet.claim(message)).duplicate).toBe(false);
+  });
+
+  it('uses the storage facet so deduplication survives a restart', async () => {
+    const storage = new MemoryStorageBackend();
+    const { facet: before } = createIdempotencyFacet({ storage });
+    const message = createMessage({ key: 'k', command: true });
+    await before.claim(message);
+    await before.complete(message, { success: true, value: 42 });
+
+    // A new facet over the same storage (e.g. SQLite after a restart)
+    const { facet: after } = createIdempotencyFacet({ storage });
+
+    expect(after.isPersistent()).toBe(true);
+    expect((await after.claim(message)).result).toEqual({ success: true, value: 42 });
+  });
+
+  it('fails open when the storage facet errors', async () => {
+    const storage = {
+      get: vi.fn().mockRejectedValue(new Error('disk full')),
+      set: vi.fn(),
+      delete: vi.fn(),
+    };
+    const { facet } = createIdempotencyFacet({ storage });
+
+    expect(await facet.claim(createMessage({ key: 'k' }))).toEqual({ duplicate: false, key: 'anonymous|payments://charge|k' });
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it, expect, vi } from 'vitest';
+import { useInterceptors } from '../interceptors/use-interceptors.mycelia.js';
+import {
+  normalizeInterceptor,
+  runInterceptors,
+  wrapWithInterceptors,
+} from '../interceptors/interceptor-pipeline.mycelia.js';
+import { createSchemaInterceptor } from '../interceptors/schema-interceptor.mycelia.js';
+
+const createMessage = (path = 'orders/1', body = {}) => {
+  const mutable = {};
+  return {
+    getPath: () => path,
+    getId: () => 'msg-1',
+    getBody: () => body,
+    meta: { updateMutable: (updates) => Object.assign(mutable, updates), mutable },
+  };
+};
+
+const createInterceptorsFacet = (config = {}) =>
+  useInterceptors({ config: { interceptors: config } }, { name: 'orders' }, { name: 'orders' });
+
+describe('interceptor pipeline', () => {
+  it('runs before hooks outermost first and after hooks in reverse', async () => {
+    const calls = [];
+    const interceptors = ['a', 'b'].map(name => normalizeInterceptor({
+      name,
+      before: () => { calls.push(`before:${name}`); },
+      after: () => { calls.push(`after:${name}`); },
+    }));
+
+    const result = await runInterceptors(interceptors, createMessage(), {}, async () => {
+      calls.push('handler');
+      return 'ok';
+    });
+
+    expect(result).toBe('ok');
+    expect(calls).toEqual(['before:a', 'before:b', 'handler', 'after:b', 'after:a']);
+  });
+
+  it('short-circuits from before and lets outer after hooks transform the result', async () => {
+    const handler = vi.fn();
+    const inner = normalizeInterceptor({ before: () => ({ success: false, error: 'invalid' }), after: vi.fn() });
+    const outer = normalizeInterceptor({ after: (_message, result) => ({ ...result, audited: true }) });
+
+    const result = await runInterceptors([outer, inner], createMessage(), {}, handler);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(inner.after).not.toHaveBeenCalled();
+    expect(result).toEqual({ success: false, error: 'invalid', audited: true });
+  });
+
+  it('recovers in onError or rethrows when onError returns nothing', async () => {
+    const failing = async () => { throw new Error('boom'); };
+    const observe = vi.fn();
+    const recover = normalizeInterceptor({ onError: (_message, error) => ({ success: false, error: error.message }) });
+    const passThrough = normalizeInterceptor({ onError: observe });
+
+    await expect(runInterceptors([recover, passThrough], createMessage(), {}, failing))
+      .resolves.toEqual({ success: false, error: 'boom' });
+    expect(observe).toHaveBeenCalledWith(expect.anything(), expect.any(Error), {});
+    await expect(runInterceptors([passThrough], createMessage(), {}, failing)).rejects.toThrow('boom');
+  });
+
+  it('passes ctx.params to the handler and lets interceptors update mutable metadata', async () => {
+    const handler = vi.fn().mockResolvedValue({ success: true });
+    const routeEntry = {
+      handler,
+      metadata: {
+        interceptors: [(message, ctx) => {
+          ctx.params = { ...ctx.params, normalized: true };
+          message.meta.updateMutable({ audited: true });
+        }],
+      },
+    };
+    const message = createMessage();
+
+    const wrapped = wrapWithInterceptors(handler, routeEntry, { subsystemName: 'orders' });
+    await wrapped(message, { id: 1 }, { debug: false });
+
+    expect(handler).toHaveBeenCalledWith(message, { id: 1, normalized: true }, { debug: false });
+    expect(message.meta.mutable).toEqual({ audited: true });
+  });
+
+  it('returns the handler unchanged without interceptors', () => {
+    const handler = vi.fn();
+    expect(wrapWithInterceptors(handler, { handler, metadata: {} })).toBe(handler);
+  });
+
+  it('rejects malformed interceptors', () => {
+    expect(() => normalizeInterceptor({})).toThrow(/at least one/);
+    expect(() => normalizeInterceptor({ after: 'nope' })).toThrow(/after must be a function/);
+    expect(() => normalizeInterceptor(null)).toThrow(/object or a function/);
+  });
+});
+
+describe('useInterceptors', () => {
+  it('orders interceptors by order then registration and runs them outside route-level ones', async () => {
+    const facet = createInterceptorsFacet();
+    const calls = [];
+    facet.register({ name: 'second', before: () => { calls.push('second'); } });
+    facet.register({ name: 'first', order: -1, before: () => { calls.push('first'); } });
+    const handler = vi.fn(async () => { calls.push('handler'); return 'ok'; });
+    const routeEntry = { handler, metadata: { interceptors: [() => { calls.push('route'); }] } };
+
+    const wrapped = wrapWithInterceptors(handler, routeEntry, { interceptorsFacet: facet });
+    await wrapped(createMessage(), {}, {});
+
+    expect(facet.list()).toEqual(['first', 'second']);
+    expect(calls).toEqual(['first', 'second', 'route', 'handler']);
+  });
+
+  it('registers configured interceptors and supports unregister and clear', () => {
+    const facet = createInterceptorsFacet({ interceptors: [{ name: 'audit', after: vi.fn() }, vi.fn()] });
+
+    expect(facet.list()).toEqual(['audit', 'interceptor-0']);
+    expect(() => facet.register({ name: 'audit', before: vi.fn() })).toThrow(/already registered/);
+    expect(facet.unregister('audit')).toBe(true);
+    expect(facet.has('audit')).toBe(false);
+    facet.clear();
+    expect(facet.getInterceptors()).toEqual([]);
+  });
+});
+
+describe('route schemas', () => {
+  const schema = {
+    body: { type: 'object', required: ['items'], properties: { items: { type: 'array', minItems: 1 } } },
+    result: { type: 'object', required: ['orderId'] },
+  };
+
+  it('rejects invalid bodies with 400 and a validation ErrorRecord before the handler runs', async () => {
+    const handler = vi.fn();
+    const wrapped = wrapWithInterceptors(handler, { handler, metadata: { schema } }, { subsystemName: 'orders' });
+
+    const result = await wrapped(createMessage('orders/create', { items: [] }), {}, {});
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      success: false,
+      statusCode: 400,
+      error: 'Validation failed: body.items must have at least 1 items',
+      details: [{ path: 'body.items', keyword: 'minItems' }],
+    });
+    expect(result.errorRecord).toMatchObject({
+      type: 'validation',
+      severity: 'warn',
+      subsystem: 'orders',
+      metadata: { target: 'body', path: 'orders/create', messageId: 'msg-1' },
+    });
+  });
+
+  it('checks successful results and leaves failures untouched', async () => {
+    const interceptor = createSchemaInterceptor(schema, { subsystemName: 'orders' });
+    const message = createMessage('orders/create', { items: [1] });
+
+    expect(interceptor.before(message)).toBeUndefined();
+    expect(interceptor.after(message, { orderId: 7 })).toBeUndefined();
+    expect(interceptor.after(message, { success: false, error: 'db down' })).toBeUndefined();
+    expect(interceptor.after(message, { success: true })).toMatchObject({
+      statusCode: 500,
+      details: [{ path: 'result.orderId', keyword: 'required' }],
+      errorRecord: { type: 'validation', severity: 'error' },
+    });
+  });
+
+  it('runs innermost, after route-level interceptors', async () => {
+    const handler = vi.fn().mockResolvedValue({ orderId: 1 });
+    const fillDefaults = (message) => { message.getBody().items = ['default']; };
+    const wrapped = wrapWithInterceptors(handler, { handler, metadata: { schema, interceptors: [fillDefaults] } });
+
+    await expect(wrapped(createMessage('orders/create', {}), {}, {})).resolves.toEqual({ orderId: 1 });
+  });
+});
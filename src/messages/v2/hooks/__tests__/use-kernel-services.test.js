@@ -35,11 +35,35 @@ vi.mock('../../models/kernel-subsystem/profile-registry-subsystem/profile-regist
   }),
 }));
 
+vi.mock('../../models/kernel-subsystem/dead-letter-subsystem/dead-letter.subsystem.mycelia.js', () => ({
+  DeadLetterSubsystem: vi.fn().mockImplementation(function Subsystem(name, options) {
+    this.name = name;
+    this.options = options;
+  }),
+}));
+
+vi.mock('../../models/kernel-subsystem/transaction-manager-subsystem/transaction-manager.subsystem.mycelia.js', () => ({
+  TransactionManagerSubsystem: vi.fn().mockImplementation(function Subsystem(name, options) {
+    this.name = name;
+    this.options = options;
+  }),
+}));
+
+vi.mock('../../models/kernel-subsystem/topic-manager-subsystem/topic-manager.subsystem.mycelia.js', () => ({
+  TopicManagerSubsystem: vi.fn().mockImplementation(function Subsystem(name, options) {
+    this.name = name;
+    this.options = options;
+  }),
+}));
+
 import { useKernelServices } from '../kernel-services/use-kernel-services.mycelia.js';
 import { AccessControlSubsystem } from '../../models/kernel-subsystem/access-control-subsystem/access-control.subsystem.mycelia.js';
 import { ErrorManagerSubsystem } from '../../models/kernel-subsystem/error-manager-subsystem/error-manager.subsystem.mycelia.js';
 import { ResponseManagerSubsystem } from '../../models/kernel-subsystem/response-manager-subsystem/response-manager.subsystem.mycelia.js';
 import { ChannelManagerSubsystem } from '../../models/kernel-subsystem/channel-manager-subsystem/channel-manager.subsystem.mycelia.js';
+import { DeadLetterSubsystem } from '../../models/kernel-subsystem/dead-letter-subsystem/dead-letter.subsystem.mycelia.js';
+import { TransactionManagerSubsystem } from '../../models/kernel-subsystem/transaction-manager-subsystem/transaction-manager.subsystem.mycelia.js';
+import { TopicManagerSubsystem } from '../../models/kernel-subsystem/topic-manager-subsystem/topic-manager.subsystem.mycelia.js';
 
 const createSubsystem = () => {
   const hierarchy = { addChild: vi.fn() };
@@ -77,6 +101,8 @@ describe('useKernelServices', () => {
           },
         },
         errorManager: { retention: 10 },
+        deadLetter: { capacity: 50 },
+        transactionManager: { capacity: 20 },
       },
     };
     const api = { name: 'kernel', __facets: {} };
@@ -96,7 +122,14 @@ describe('useKernelServices', () => {
     expect(ErrorManagerSubsystem).toHaveBeenCalled();
     expect(ResponseManagerSubsystem).toHaveBeenCalled();
     expect(ChannelManagerSubsystem).toHaveBeenCalled();
-    expect(hierarchy.addChild).toHaveBeenCalledTimes(5); // 4 original + ProfileRegistrySubsystem
+    expect(DeadLetterSubsystem).toHaveBeenCalledWith('dead-letter', expect.objectContaining({
+      config: { capacity: 50 },
+    }));
+    expect(TransactionManagerSubsystem).toHaveBeenCalledWith('transaction-manager', expect.objectContaining({
+      config: { capacity: 20 },
+    }));
+    expect(TopicManagerSubsystem).toHaveBeenCalledWith('topic-manager', expect.anything());
+    expect(hierarchy.addChild).toHaveBeenCalledTimes(8); // 4 original + ProfileRegistry + DeadLetter + TransactionManager + TopicManager
   });
 });
 
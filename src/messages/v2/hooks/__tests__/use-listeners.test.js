@@ -5,6 +5,8 @@ vi.mock('../listeners/listener-manager.mycelia.js', () => {
     on: vi.fn().mockReturnValue(true),
     off: vi.fn().mockReturnValue(true),
     emit: vi.fn().mockReturnValue(1),
+    onPattern: vi.fn().mockReturnValue(true),
+    offPattern: vi.fn().mockReturnValue(true),
     registerHandlerGroup: vi.fn().mockReturnValue(true),
     unregisterHandlerGroup: vi.fn().mockReturnValue(true),
   }));
@@ -102,6 +104,19 @@ describe('useListeners', () => {
     expect(facet.emit('layers/create', {})).toBe(0);
   });
 
+  it('delegates pattern listeners to ListenerManager when enabled', () => {
+    const { facet } = createFacet();
+    const handler = vi.fn();
+    expect(facet.onPattern('events/**', handler)).toBe(false);
+
+    facet.enableListeners();
+    const manager = lastManagerInstance();
+    expect(facet.onPattern('user/{id:int}', handler)).toBe(true);
+    expect(manager.onPattern).toHaveBeenCalledWith('user/{id:int}', handler);
+    expect(facet.offPattern('user/{id:int}', handler)).toBe(true);
+    expect(manager.offPattern).toHaveBeenCalledWith('user/{id:int}', handler);
+  });
+
   it('supports handler group registration via ListenerManager helpers', () => {
     const { facet } = createFacet();
     facet.enableListeners();
@@ -4,7 +4,11 @@ vi.mock('../message-processor/accept-message.mycelia.js', () => ({
   acceptMessage: vi.fn().mockResolvedValue(true),
 }));
 
-import { useMessageProcessor } from '../message-processor/use-message-processor.mycelia.js';
+import {
+  useMessageProcessor,
+  TRANSACTION_COMPLETE_PATH,
+  TRANSACTION_FAIL_PATH,
+} from '../message-processor/use-message-processor.mycelia.js';
 import { acceptMessage } from '../message-processor/accept-message.mycelia.js';
 
 const buildFacets = () => {
@@ -71,7 +75,7 @@ describe('useMessageProcessor', () => {
 
     const result = await facet.processMessage(message, { callerId: Symbol('caller') });
     
-    expect(facets.router.route).toHaveBeenCalledWith(message, { callerId: expect.any(Symbol) });
+    expect(facets.router.route).toHaveBeenCalledWith(message, { callerId: expect.any(Symbol), signal: expect.any(AbortSignal) });
     expect(result).toEqual({ success: true, data: 'processed' });
   });
 
@@ -95,7 +99,7 @@ describe('useMessageProcessor', () => {
 
     const result = await facet.processImmediately(message, { callerId: Symbol('caller') });
     
-    expect(facets.router.route).toHaveBeenCalledWith(message, { callerId: expect.any(Symbol) });
+    expect(facets.router.route).toHaveBeenCalledWith(message, { callerId: expect.any(Symbol), signal: expect.any(AbortSignal) });
     expect(result).toEqual({ success: true, data: 'processed' });
   });
 
@@ -135,6 +139,20 @@ describe('useMessageProcessor', () => {
     );
   });
 
+  it('accept leaves delayed messages with the scheduler instead of queueing them', async () => {
+    const scheduler = { deferDelivery: vi.fn().mockReturnValue(true) };
+    const { facet } = createProcessorFacet({
+      subsystem: { find: (kind) => (kind === 'scheduler' ? scheduler : null) },
+    });
+    const message = { id: 1 };
+
+    const accepted = await facet.accept(message, { callerId: 'pkr' });
+
+    expect(accepted).toBe(true);
+    expect(scheduler.deferDelivery).toHaveBeenCalledWith(message, { callerId: 'pkr' });
+    expect(acceptMessage).not.toHaveBeenCalled();
+  });
+
   it('throws error when router.route() is not available', async () => {
     const { facet, facets } = createProcessorFacet();
     // Remove route() method to trigger error
@@ -165,5 +183,171 @@ describe('useMessageProcessor', () => {
     
     expect(facets.statistics._statistics.recordError).toHaveBeenCalled();
   });
-});
 
+  it('delegates failures to the retry facet when installed', async () => {
+    const error = new Error('Processing failed');
+    const router = { route: vi.fn().mockRejectedValue(error) };
+    const retry = {
+      handleFailure: vi.fn().mockResolvedValue({ retried: true, attempt: 1, delay: 100 }),
+    };
+    const { facet, facets } = createProcessorFacet({
+      subsystem: { find: (kind) => ({ router, retry })[kind] || null },
+    });
+    const message = { id: 1, getPath: () => 'test/path', getId: () => '1' };
+
+    const result = await facet.processImmediately(message, { callerId: 'pkr' });
+
+    expect(retry.handleFailure).toHaveBeenCalledWith(message, { callerId: 'pkr' }, error);
+    expect(result).toEqual({ success: false, error: 'Processing failed', retried: true, attempt: 1, delay: 100 });
+    expect(facets.statistics._statistics.recordError).toHaveBeenCalled();
+  });
+
+  describe('transactions', () => {
+    const createTransactionMessage = (seq = 2) => ({
+      getPath: () => 'canvas://orders/create',
+      getId: () => `msg-${seq}`,
+      meta: { getTransaction: () => 'tx_1', getSeq: () => seq },
+    });
+
+    it('reports processed transaction messages to the kernel', async () => {
+      const identity = { sendProtected: vi.fn().mockResolvedValue({ success: true }) };
+      const { facet } = createProcessorFacet({ subsystem: { identity } });
+
+      await facet.processImmediately(createTransactionMessage(2));
+
+      const report = identity.sendProtected.mock.calls[0][0];
+      expect(report.getPath()).toBe(TRANSACTION_COMPLETE_PATH);
+      expect(report.getBody()).toEqual({ transaction: 'tx_1', seq: 2, messageId: 'msg-2' });
+    });
+
+    it('reports failures once the message will not be retried', async () => {
+      const identity = { sendProtected: vi.fn().mockResolvedValue({ success: true }) };
+      const router = { route: vi.fn().mockRejectedValue(new Error('boom')) };
+      const retry = { handleFailure: vi.fn().mockResolvedValue({ retried: true, attempt: 1, delay: 10 }) };
+      const { facet } = createProcessorFacet({
+        subsystem: { identity, find: (kind) => ({ router, retry })[kind] || null },
+      });
+
+      await facet.processImmediately(createTransactionMessage(1));
+      expect(identity.sendProtected).not.toHaveBeenCalled();
+
+      retry.handleFailure.mockResolvedValue({ retried: false, deadLettered: true, attempts: 4 });
+      await facet.processImmediately(createTransactionMessage(1));
+
+      const report = identity.sendProtected.mock.calls[0][0];
+      expect(report.getPath()).toBe(TRANSACTION_FAIL_PATH);
+      expect(report.getBody()).toEqual({
+        transaction: 'tx_1',
+        seq: 1,
+        messageId: 'msg-1',
+        error: { name: 'Error', message: 'boom' },
+      });
+    });
+
+    it('runs the route compensate handler instead of the handler for compensations', async () => {
+      const compensate = vi.fn().mockResolvedValue({ undone: true });
+      const router = {
+        route: vi.fn(),
+        match: vi.fn().mockReturnValue({ params: { id: '1' }, routeEntry: { metadata: { compensate } } }),
+      };
+      const identity = { sendProtected: vi.fn() };
+      const { facet } = createProcessorFacet({
+        subsystem: { identity, find: (kind) => (kind === 'router' ? router : null) },
+      });
+      const message = createTransactionMessage(1);
+      const options = { transactionCompensation: { transaction: 'tx_1', failure: { seq: 2 } } };
+
+      const result = await facet.processMessage({ msg: message, options });
+
+      expect(router.route).not.toHaveBeenCalled();
+      expect(compensate).toHaveBeenCalledWith(message, { id: '1' }, options);
+      expect(result).toEqual({ success: true, compensated: true, result: { undone: true } });
+      expect(identity.sendProtected).not.toHaveBeenCalled();
+    });
+
+    it('skips compensation for routes without a compensate handler', async () => {
+      const router = { route: vi.fn(), match: vi.fn().mockReturnValue({ params: {}, routeEntry: { metadata: {} } }) };
+      const { facet } = createProcessorFacet({
+        subsystem: { find: (kind) => (kind === 'router' ? router : null) },
+      });
+
+      const result = await facet.processImmediately(createTransactionMessage(1), {
+        transactionCompensation: { transaction: 'tx_1' },
+      });
+
+      expect(result).toEqual({ success: true, compensated: false });
+    });
+  });
+  describe('idempotency', () => {
+    const createIdempotency = (claim = { duplicate: false, key: 'k' }) => ({
+      claim: vi.fn().mockResolvedValue(claim),
+      complete: vi.fn().mockResolvedValue(undefined),
+      release: vi.fn().mockResolvedValue(undefined),
+    });
+    const message = { id: 1, getPath: () => 'test/path', getId: () => '1' };
+
+    it('accept drops duplicates without queueing them', async () => {
+      const idempotency = createIdempotency({ duplicate: true, key: 'k', result: { success: true } });
+      const { facet } = createProcessorFacet({
+        subsystem: { find: (kind) => (kind === 'idempotency' ? idempotency : null) },
+      });
+
+      const callerId = { uuid: 'pkr-client' };
+      expect(await facet.accept(message, { callerId })).toBe(true);
+      expect(idempotency.claim).toHaveBeenCalledWith(message, { callerId });
+      expect(acceptMessage).not.toHaveBeenCalled();
+    });
+
+    it('accept releases the key when the queue rejects the message', async () => {
+      const idempotency = createIdempotency();
+      acceptMessage.mockResolvedValueOnce(false);
+      const { facet } = createProcessorFacet({
+        subsystem: { find: (kind) => (kind === 'idempotency' ? idempotency : null) },
+      });
+
+      expect(await facet.accept(message)).toBe(false);
+      expect(idempotency.release).toHaveBeenCalledWith(message, {});
+    });
+
+    it('processImmediately returns the cached result for duplicates', async () => {
+      const router = { route: vi.fn() };
+      const idempotency = createIdempotency({ duplicate: true, key: 'k', result: { success: true, data: 'first' } });
+      const { facet } = createProcessorFacet({
+        subsystem: { find: (kind) => ({ router, idempotency })[kind] || null },
+      });
+
+      const result = await facet.processImmediately(message);
+
+      expect(result).toEqual({ success: true, data: 'first' });
+      expect(router.route).not.toHaveBeenCalled();
+    });
+
+    it('records successful results and releases failed ones', async () => {
+      const router = { route: vi.fn().mockResolvedValue({ success: true, data: 'ok' }) };
+      const idempotency = createIdempotency();
+      const { facet } = createProcessorFacet({
+        subsystem: { find: (kind) => ({ router, idempotency })[kind] || null },
+      });
+
+      await facet.processImmediately(message);
+      expect(idempotency.complete).toHaveBeenCalledWith(message, { success: true, data: 'ok' }, {});
+
+      router.route.mockRejectedValueOnce(new Error('boom'));
+      await expect(facet.processImmediately(message)).rejects.toThrow('boom');
+      expect(idempotency.release).toHaveBeenCalledWith(message, {});
+    });
+
+    it('does not claim queued messages again when they are processed', async () => {
+      const router = { route: vi.fn().mockResolvedValue({ success: true }) };
+      const idempotency = createIdempotency();
+      const { facet } = createProcessorFacet({
+        subsystem: { find: (kind) => ({ router, idempotency })[kind] || null },
+      });
+
+      await facet.processMessage({ msg: message, options: {} });
+
+      expect(idempotency.claim).not.toHaveBeenCalled();
+      expect(idempotency.complete).toHaveBeenCalledWith(message, { success: true }, {});
+    });
+  });
+});
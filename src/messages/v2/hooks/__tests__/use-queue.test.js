@@ -15,7 +15,7 @@ vi.mock('../queue/subsystem-queue-manager.mycelia.js', () => {
   return { SubsystemQueueManager };
 });
 
-import { useQueue } from '../queue/use-queue.mycelia.js';
+import { useQueue, EXPIRED_RECORD_PATH, EXPIRED_SAMPLE_SIZE } from '../queue/use-queue.mycelia.js';
 import { SubsystemQueueManager } from '../queue/subsystem-queue-manager.mycelia.js';
 
 const createQueueFacet = ({ config = {}, statisticsFacet = { facetKind: 'statistics', _statistics: { recordQueueFull: vi.fn() } } } = {}) => {
@@ -47,12 +47,75 @@ describe('useQueue', () => {
     expect(SubsystemQueueManager).toHaveBeenCalledWith({
       capacity: 5,
       policy: 'drop-newest',
+      type: 'fifo',
+      agingInterval: 1000,
+      maxWait: 0,
       debug: true,
       subsystemName: 'canvas',
       onQueueFull: expect.any(Function),
+      onExpired: expect.any(Function),
+      onWaited: expect.any(Function),
     });
   });
 
+  it('counts expired messages and reports them to the kernel', async () => {
+    const recordExpired = vi.fn();
+    const sendProtected = vi.fn().mockResolvedValue({ success: true });
+    const statisticsFacet = { _statistics: { recordQueueFull: vi.fn(), recordExpired } };
+    const ctx = { config: { queue: {} } };
+    const facets = { statistics: statisticsFacet };
+    const api = { name: 'canvas', __facets: { ...facets, find: (kind) => facets[kind] || null } };
+    useQueue(ctx, api, { name: 'canvas', identity: { sendProtected } });
+
+    const { onExpired } = SubsystemQueueManager.mock.calls.at(-1)[0];
+    const createMsg = (id) => ({
+      getId: () => id,
+      getPath: () => 'canvas://draw',
+      meta: { getExpiresAt: () => 1000 },
+    });
+    onExpired({ msg: createMsg('msg-1'), options: {} }, 'expired-in-queue');
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(recordExpired).toHaveBeenCalledTimes(1);
+    expect(sendProtected).toHaveBeenCalledTimes(1);
+    const report = sendProtected.mock.calls[0][0];
+    expect(report.getPath()).toBe(EXPIRED_RECORD_PATH);
+    expect(report.getBody()).toEqual({
+      subsystem: 'canvas',
+      count: 1,
+      sample: [{ messageId: 'msg-1', path: 'canvas://draw', expiresAt: 1000, stage: 'expired-in-queue' }],
+    });
+
+    // A purge discarding many messages sends a single report
+    for (let i = 0; i < 25; i++) {
+      onExpired({ msg: createMsg(`msg-${i}`), options: {} }, 'expired-in-queue');
+    }
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(recordExpired).toHaveBeenCalledTimes(26);
+    expect(sendProtected).toHaveBeenCalledTimes(2);
+    const batch = sendProtected.mock.calls[1][0].getBody();
+    expect(batch.count).toBe(25);
+    expect(batch.sample).toHaveLength(EXPIRED_SAMPLE_SIZE);
+  });
+
+  it('skips kernel reporting when reportExpired is false', async () => {
+    const sendProtected = vi.fn().mockResolvedValue({});
+    const statisticsFacet = { _statistics: { recordQueueFull: vi.fn(), recordExpired: vi.fn() } };
+    const facets = { statistics: statisticsFacet };
+    const api = { name: 'canvas', __facets: { ...facets, find: (kind) => facets[kind] || null } };
+    useQueue({ config: { queue: { reportExpired: false } } }, api, { name: 'canvas', identity: { sendProtected } });
+
+    const { onExpired } = SubsystemQueueManager.mock.calls.at(-1)[0];
+    onExpired({ msg: { getId: () => 'm', getPath: () => 'canvas://x', meta: {} } }, 'expired-on-enqueue');
+    await Promise.resolve();
+
+    expect(statisticsFacet._statistics.recordExpired).toHaveBeenCalled();
+    expect(sendProtected).not.toHaveBeenCalled();
+  });
+
   it('exposes queue operations', () => {
     const { facet } = createQueueFacet();
     const manager = SubsystemQueueManager.mock.results.at(-1).value;
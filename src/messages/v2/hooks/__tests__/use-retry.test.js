@@ -0,0 +1,159 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { useRetry, DEAD_LETTER_RECORD_PATH } from '../retry/use-retry.mycelia.js';
+import { RetryPolicy } from '../retry/retry-policy.mycelia.js';
+
+const createMessage = ({ id = 'msg-1', maxRetries = 2, retries = 0 } = {}) => {
+  let currentRetries = retries;
+  return {
+    getId: () => id,
+    getPath: () => 'orders://process',
+    meta: {
+      getMaxRetries: () => maxRetries,
+      getRetries: () => currentRetries,
+      setRetries: vi.fn((count) => { currentRetries = count; }),
+    },
+  };
+};
+
+const createRetryFacet = ({ config = {}, identity } = {}) => {
+  const statistics = {
+    _statistics: {
+      recordRetry: vi.fn(),
+      recordDeadLettered: vi.fn(),
+    },
+  };
+  const facets = { statistics };
+  const api = {
+    name: 'orders',
+    __facets: { ...facets, find: (kind) => facets[kind] || null },
+  };
+  const disposeCallbacks = [];
+  const subsystem = {
+    name: 'orders',
+    accept: vi.fn().mockResolvedValue(true),
+    identity: identity === undefined ? { sendProtected: vi.fn().mockResolvedValue({ success: true }) } : identity,
+    onDispose: (cb) => disposeCallbacks.push(cb),
+  };
+  const facet = useRetry({ config: { retry: config } }, api, subsystem);
+  return { facet, subsystem, statistics: statistics._statistics, disposeCallbacks };
+};
+
+describe('RetryPolicy', () => {
+  it('computes fixed, exponential, and jitter delays', () => {
+    expect(new RetryPolicy({ strategy: 'fixed', baseDelay: 50 }).getDelay(4)).toBe(50);
+
+    const exponential = new RetryPolicy({ baseDelay: 100, maxDelay: 500 });
+    expect([1, 2, 3, 4].map((n) => exponential.getDelay(n))).toEqual([100, 200, 400, 500]);
+
+    const jitter = new RetryPolicy({ strategy: 'jitter', baseDelay: 100, random: () => 0.5 });
+    expect(jitter.getDelay(2)).toBe(100);
+  });
+
+  it('validates options', () => {
+    expect(() => new RetryPolicy({ strategy: 'linear' })).toThrow(/unknown strategy/);
+    expect(() => new RetryPolicy({ baseDelay: -1 })).toThrow(/baseDelay/);
+    expect(() => new RetryPolicy({ baseDelay: 10, maxDelay: 5 })).toThrow(/maxDelay/);
+    expect(() => new RetryPolicy({ retryOn: 'yes' })).toThrow(/retryOn/);
+  });
+
+  it('falls back to message maxRetries', () => {
+    const message = createMessage({ maxRetries: 7 });
+    expect(new RetryPolicy().getMaxRetries(message)).toBe(7);
+    expect(new RetryPolicy({ maxRetries: 1 }).getMaxRetries(message)).toBe(1);
+  });
+});
+
+describe('useRetry', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('schedules re-delivery with backoff while retries remain', async () => {
+    const { facet, subsystem, statistics } = createRetryFacet({ config: { baseDelay: 100 } });
+    const message = createMessage({ maxRetries: 2 });
+
+    const first = await facet.handleFailure(message, { debug: false }, new Error('boom'));
+    expect(first).toEqual({ retried: true, attempt: 1, delay: 100 });
+    expect(message.meta.setRetries).toHaveBeenCalledWith(1);
+    expect(statistics.recordRetry).toHaveBeenCalledTimes(1);
+    expect(facet.getPendingRetries()).toBe(1);
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(subsystem.accept).toHaveBeenCalledWith(message, { debug: false });
+    expect(facet.getPendingRetries()).toBe(0);
+
+    const second = await facet.handleFailure(message, {}, new Error('boom'));
+    expect(second).toEqual({ retried: true, attempt: 2, delay: 200 });
+  });
+
+  it('dead-letters the message via the kernel once retries are exhausted', async () => {
+    const { facet, subsystem, statistics } = createRetryFacet();
+    const message = createMessage({ maxRetries: 1, retries: 1 });
+
+    const outcome = await facet.handleFailure(
+      message,
+      { callerId: { uuid: 'caller' }, callerIdSetBy: { uuid: 'kernel' } },
+      new Error('boom')
+    );
+
+    expect(outcome).toEqual({
+      retried: false,
+      deadLettered: true,
+      attempts: 2,
+      error: { name: 'Error', message: 'boom' },
+    });
+    expect(statistics.recordDeadLettered).toHaveBeenCalled();
+    expect(subsystem.accept).not.toHaveBeenCalled();
+
+    const [sent] = subsystem.identity.sendProtected.mock.calls[0];
+    expect(sent.getPath()).toBe(DEAD_LETTER_RECORD_PATH);
+    expect(sent.getBody()).toEqual(expect.objectContaining({
+      message,
+      subsystem: 'orders',
+      attempts: 2,
+      options: { callerId: { uuid: 'caller' } },
+    }));
+  });
+
+  it('skips retries for errors rejected by retryOn', async () => {
+    const onDeadLetter = vi.fn();
+    const { facet } = createRetryFacet({
+      config: { retryOn: (error) => error.message !== 'fatal', onDeadLetter },
+    });
+    const message = createMessage({ maxRetries: 5 });
+
+    const outcome = await facet.handleFailure(message, {}, new Error('fatal'));
+
+    expect(outcome.retried).toBe(false);
+    expect(outcome.attempts).toBe(1);
+    expect(onDeadLetter).toHaveBeenCalledWith(expect.objectContaining({ subsystem: 'orders' }));
+  });
+
+  it('reports an undelivered dead letter when identity is missing', async () => {
+    const { facet } = createRetryFacet({ identity: null });
+    const outcome = await facet.handleFailure(createMessage({ maxRetries: 0 }), {}, new Error('boom'));
+
+    expect(outcome.deadLettered).toBe(false);
+  });
+
+  it('cancels pending retries on demand and on dispose', async () => {
+    const { facet, subsystem, disposeCallbacks } = createRetryFacet();
+
+    await facet.handleFailure(createMessage({ id: 'a' }), {}, new Error('boom'));
+    await facet.handleFailure(createMessage({ id: 'b' }), {}, new Error('boom'));
+    await facet.handleFailure(createMessage({ id: 'c' }), {}, new Error('boom'));
+
+    expect(facet.cancelPendingRetries('a')).toBe(1);
+    expect(facet.cancelPendingRetries('missing')).toBe(0);
+
+    disposeCallbacks.forEach((cb) => cb());
+    expect(facet.getPendingRetries()).toBe(0);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(subsystem.accept).not.toHaveBeenCalled();
+  });
+});
@@ -130,6 +130,29 @@ describe('useRouter', () => {
     expect(result).toBe('ok');
   });
 
+  it('runs subsystem and route-level interceptors around the handler', async () => {
+    const calls = [];
+    const interceptors = {
+      getInterceptors: () => [{ name: 'audit', order: 0, before: () => { calls.push('audit'); }, after: null, onError: null }],
+    };
+    const { facet } = createFacet({
+      subsystemOverrides: { find: (kind) => (kind === 'interceptors' ? interceptors : null) },
+    });
+    const router = getRouter();
+    const handler = vi.fn(async () => { calls.push('handler'); return { success: true }; });
+    router.match.mockReturnValue({
+      routeEntry: {
+        handler,
+        metadata: { interceptors: [{ before: () => { calls.push('route'); }, after: (_m, result) => ({ ...result, wrapped: true }) }] },
+      },
+      params: {},
+    });
+
+    const result = await facet.route({ getPath: () => 'foo' });
+    expect(calls).toEqual(['audit', 'route', 'handler']);
+    expect(result).toEqual({ success: true, wrapped: true });
+  });
+
   it('route returns null when no match and throws for invalid messages', async () => {
     const { facet } = createFacet();
     const router = getRouter();
@@ -4,6 +4,10 @@ vi.mock('../scheduler/subsystem-scheduler.mycelia.js', () => {
   const SubsystemScheduler = vi.fn().mockImplementation(() => ({
     process: vi.fn().mockResolvedValue({ processed: 1 }),
     setStrategy: vi.fn(),
+    defer: vi.fn().mockReturnValue(true),
+    releaseDueDeliveries: vi.fn().mockResolvedValue(2),
+    getPendingDeliveries: vi.fn().mockReturnValue([{ id: 'm1' }]),
+    cancelDelivery: vi.fn((id) => (id === 'm1' ? { id } : null)),
     options: { maxMessagesPerSlice: 10 },
   }));
   return { SubsystemScheduler };
@@ -79,6 +83,20 @@ describe('useScheduler', () => {
     expect(scheduler.options.maxMessagesPerSlice).toBe(20);
   });
 
+  it('delegates delayed delivery methods to the scheduler', async () => {
+    const { facet } = createSchedulerFacet();
+    const scheduler = SubsystemScheduler.mock.results.at(-1).value;
+    const message = { getId: () => 'm1' };
+
+    expect(facet.deferDelivery(message, { callerId: 'pkr' })).toBe(true);
+    expect(scheduler.defer).toHaveBeenCalledWith(message, { callerId: 'pkr' });
+    expect(await facet.releaseDueDeliveries()).toBe(2);
+    expect(facet.getPendingDeliveries({ ownerPkrUuid: 'me' })).toEqual([{ id: 'm1' }]);
+    expect(scheduler.getPendingDeliveries).toHaveBeenCalledWith({ ownerPkrUuid: 'me' });
+    expect(facet.cancelDelivery('m1')).toBe(true);
+    expect(facet.cancelDelivery('m2')).toBe(false);
+  });
+
   // useScheduler relies on createHook's dependency ordering rather than runtime throws,
   // so we skip explicit missing-facet assertions here.
 });
@@ -8,8 +8,18 @@ vi.mock('../statistics/subsystem-statistics.mycelia.js', () => ({
       processingErrors: 0,
       queueFullEvents: 1,
       timeSlicesReceived: 3,
+      messagesRetried: 2,
+      messagesDeadLettered: 1,
+      messagesExpired: 4,
+      messagesDeduplicated: 5,
+      messagesCancelled: 6,
+      messagesBlocked: 2,
+      queueWaitTimeouts: 1,
+      totalQueueWaitTime: 30,
+      maxQueueWaitTime: 20,
     }),
     getAverageProcessingTime: vi.fn().mockReturnValue(4.5),
+    getAverageQueueWaitTime: vi.fn().mockReturnValue(15),
   })),
 }));
 
@@ -42,6 +52,15 @@ describe('useStatistics', () => {
       processingErrors: 0,
       queueFullEvents: 1,
       timeSlicesReceived: 3,
+      messagesRetried: 2,
+      messagesDeadLettered: 1,
+      messagesExpired: 4,
+      messagesDeduplicated: 5,
+      messagesCancelled: 6,
+      messagesBlocked: 2,
+      queueWaitTimeouts: 1,
+      totalQueueWaitTime: 30,
+      maxQueueWaitTime: 20,
     });
     expect(statsInstance.getStats).toHaveBeenCalled();
 
@@ -52,6 +71,14 @@ describe('useStatistics', () => {
       processingErrors: 0,
       queueFullEvents: 1,
       timeSlicesReceived: 3,
+      messagesRetried: 2,
+      messagesDeadLettered: 1,
+      messagesExpired: 4,
+      messagesDeduplicated: 5,
+      messagesCancelled: 6,
+      messagesBlocked: 2,
+      averageQueueWaitTime: 15,
+      maxQueueWaitTime: 20,
     });
   });
 });
@@ -5,6 +5,7 @@
  * Wraps BoundedErrorStore and exposes error storage and querying methods.
  * 
  * @param {Object} ctx - Context object containing config.boundedErrorStore for store configuration
+ *   (capacity, maxGroups, maxSamples)
  * @param {Object} api - Subsystem API being built
  * @param {BaseSubsystem} subsystem - Subsystem instance
  * @returns {Facet} Facet object with error store methods
@@ -28,7 +29,10 @@ export const useBoundedErrorStore = createHook({
     const capacity = config.capacity || 1000;
     
     // Create bounded error store instance
-    const store = new BoundedErrorStore(capacity);
+    const store = new BoundedErrorStore(capacity, {
+      maxGroups: config.maxGroups,
+      maxSamples: config.maxSamples
+    });
     
     return new Facet('boundedErrorStore', { attach: true, source: import.meta.url })
       .add({
@@ -84,10 +88,45 @@ export const useBoundedErrorStore = createHook({
         },
         
         /**
-         * Clear all error records
+         * List error groups (errors grouped by fingerprint)
+         * @param {Object} [options={}] - Filter options
+         * @param {string|string[]} [options.type] - Error type(s) to include
+         * @param {string|string[]} [options.severity] - Severity level(s) to include
+         * @param {string|string[]} [options.subsystem] - Subsystem name(s) to include
+         * @param {Date|string|number} [options.since] - Only include groups last seen at or after this timestamp
+         * @param {number} [options.limit] - Max number of groups to return
+         * @param {'lastSeen'|'count'} [options.sort='lastSeen'] - Sort order
+         * @returns {ErrorGroup[]} Matching groups
+         */
+        groups(options = {}) {
+          return store.groups(options);
+        },
+        
+        /**
+         * Get an error group by fingerprint
+         * @param {string} fingerprint - Group fingerprint
+         * @returns {ErrorGroup|null} Error group or null if not found
+         */
+        getGroup(fingerprint) {
+          return store.getGroup(fingerprint);
+        },
+        
+        /**
+         * Export error groups as NDJSON
+         * @param {Object} [options={}] - Same options as groups()
+         * @returns {string} One JSON object per line
+         */
+        exportGroups(options = {}) {
+          return store.exportGroups(options);
+        },
+        
+        /**
+         * Clear error records (all, or those matching the filters)
+         * @param {Object} [options={}] - Filter options (type, severity, subsystem, since)
+         * @returns {number} Number of records removed
          */
-        clear() {
-          store.clear();
+        clear(options = {}) {
+          return store.clear(options);
         },
         
         /**
@@ -98,6 +137,14 @@ export const useBoundedErrorStore = createHook({
           return store.size;
         },
         
+        /**
+         * Get the number of error groups
+         * @returns {number} Number of error groups
+         */
+        get groupCount() {
+          return store.groupCount;
+        },
+        
         /**
          * Get store capacity
          * @returns {number} Maximum capacity of the store
@@ -139,7 +139,7 @@ export const useErrorClassifier = createHook({
         ...meta,
         ...(code !== null ? { code } : {}),
         ...(message ? { message } : {}),
-        ...(pathValue !== null ? { path } : {}),
+        ...(pathValue !== null ? { path: pathValue } : {}),
         ...(dataValue !== undefined ? { data: dataValue } : {}),
         ...(causeValue !== null ? { cause: causeValue } : {})
       };
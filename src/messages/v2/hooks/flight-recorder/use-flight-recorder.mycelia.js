@@ -0,0 +1,176 @@
+/**
+ * useFlightRecorder Hook
+ *
+ * Records every message routed by a MessageSystem (path, body, metadata,
+ * sender, result) for incident reproduction with FlightReplayer. Installed by
+ * default on MessageSystem and looked up by MessageRouter.route with
+ * `ms.find('flightRecorder')`.
+ *
+ * Recording is off unless `config.flightRecorder` is given (or start() is called).
+ *
+ * @param {Object} ctx - Context object containing config.flightRecorder for configuration
+ * @param {Object} ctx.config.flightRecorder - Recorder configuration
+ * @param {FlightRecorder} [ctx.config.flightRecorder.recorder] - Existing recorder to use
+ * @param {Object} [ctx.config.flightRecorder.sink] - Sink with `write(entries)`
+ * @param {string} [ctx.config.flightRecorder.file] - NDJSON file to record to (creates an NdjsonRecordingSink)
+ * @param {Object} [ctx.config.flightRecorder.storage] - Storage facet to record to (creates a StorageRecordingSink)
+ * @param {string} [ctx.config.flightRecorder.namespace='flight-recorder'] - Storage namespace
+ * @param {string} [ctx.config.flightRecorder.mode='stream'] - 'stream' or 'ring' (see RECORDING_MODES)
+ * @param {number} [ctx.config.flightRecorder.capacity=1000] - Entries kept in memory
+ * @param {Array<string>} [ctx.config.flightRecorder.paths] - Path patterns to record
+ * @param {Array<string>} [ctx.config.flightRecorder.subsystems] - Subsystems to record
+ * @param {boolean} [ctx.config.flightRecorder.enabled] - Record from the start (default: true when configured)
+ * @param {boolean} [ctx.config.flightRecorder.debug] - Enable debug logging
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {Facet} Facet object with recorder methods
+ *
+ * @example
+ * const ms = new MessageSystem('main', {
+ *   config: { flightRecorder: { file: './flight.ndjson', paths: ['orders://**'] } }
+ * });
+ */
+import { Facet } from 'mycelia-kernel-plugin/core';
+import { createHook } from '../create-hook.mycelia.js';
+import { getDebugFlag } from '../../utils/debug-flag.utils.mycelia.js';
+import { createLogger } from '../../utils/logger.utils.mycelia.js';
+import { FlightRecorder } from '../../models/flight-recorder/flight-recorder.mycelia.js';
+import { NdjsonRecordingSink, StorageRecordingSink } from '../../models/flight-recorder/flight-recording-sinks.mycelia.js';
+
+export const useFlightRecorder = createHook({
+  kind: 'flightRecorder',
+  version: '1.0.0',
+  overwrite: false,
+  required: [],
+  attach: true,
+  source: import.meta.url,
+  fn: (ctx, api, subsystem) => {
+    const { name } = api;
+    const configured = ctx.config?.flightRecorder !== undefined;
+    const config = ctx.config?.flightRecorder || {};
+    const debug = getDebugFlag(config, ctx);
+    const logger = createLogger(debug, `useFlightRecorder ${name}`);
+
+    const recordingId = config.recordingId || `${name}_${Date.now()}`;
+    let sink = config.sink || null;
+    if (!sink && config.file) {
+      sink = new NdjsonRecordingSink({ path: config.file });
+    } else if (!sink && config.storage) {
+      sink = new StorageRecordingSink({ storage: config.storage, namespace: config.namespace, recordingId });
+    }
+
+    const recorder = config.recorder || new FlightRecorder({
+      sink,
+      mode: config.mode,
+      capacity: config.capacity,
+      paths: config.paths,
+      subsystems: config.subsystems,
+      enabled: config.enabled ?? configured,
+      recordingId,
+      onSinkError: (error) => logger.error('Flight recorder sink failed:', error)
+    });
+
+    // Write pending entries when the system shuts down
+    if (typeof subsystem?.onDispose === 'function') {
+      subsystem.onDispose(async () => {
+        await recorder.flush();
+      });
+    }
+
+    if (debug) {
+      logger.log(`Flight recorder ${recorder.isRecording() ? 'recording' : 'idle'} (${recorder.getMode()} mode)`);
+    }
+
+    return new Facet('flightRecorder', { attach: true, source: import.meta.url })
+      .add({
+        /**
+         * Get the underlying recorder
+         * @returns {FlightRecorder} Recorder instance
+         */
+        getRecorder() {
+          return recorder;
+        },
+
+        /**
+         * Check if routed messages are recorded
+         * @returns {boolean} True while recording
+         */
+        isRecording() {
+          return recorder.isRecording();
+        },
+
+        /**
+         * Start recording
+         */
+        start() {
+          recorder.start();
+        },
+
+        /**
+         * Stop recording
+         */
+        stop() {
+          recorder.stop();
+        },
+
+        /**
+         * Replace the path / subsystem filters
+         * @param {Object} filter - `{ paths, subsystems }`
+         */
+        setFilter(filter) {
+          recorder.setFilter(filter);
+        },
+
+        /**
+         * Route a message while recording it (called by MessageRouter)
+         * @param {Message} message - Message being routed
+         * @param {Object} options - Routing options
+         * @param {Function} route - `async () => result`
+         * @returns {Promise<Object>} Routing result
+         */
+        async capture(message, options, route) {
+          return await recorder.capture(message, options, route);
+        },
+
+        /**
+         * Get the entries in memory
+         * @returns {Array<Object>} Entries in routing order
+         */
+        getEntries() {
+          return recorder.getEntries();
+        },
+
+        /**
+         * Write the entries in memory to a sink
+         * @param {Object} [target] - Sink (default: the configured sink)
+         * @returns {Promise<number>} Number of entries written
+         */
+        async dump(target) {
+          return await recorder.dump(target);
+        },
+
+        /**
+         * Wait for pending sink writes
+         * @returns {Promise<void>}
+         */
+        async flush() {
+          await recorder.flush();
+        },
+
+        /**
+         * Remove the entries in memory
+         */
+        clear() {
+          recorder.clear();
+        },
+
+        /**
+         * Get recorder statistics
+         * @returns {Object} Counters and state
+         */
+        getStatistics() {
+          return recorder.getStatistics();
+        }
+      });
+  }
+});
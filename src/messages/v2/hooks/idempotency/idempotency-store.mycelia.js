@@ -0,0 +1,172 @@
+/**
+ * IdempotencyStore Class
+ *
+ * Remembers which idempotency keys a subsystem has already seen, for how long,
+ * and (optionally) the result of their first execution.
+ *
+ * Entries live in a storage facet (useMemoryStorage, useSQLiteStorage, ...)
+ * when one is provided, so that deduplication survives restarts with a
+ * persistent backend. Without a storage facet a bounded in-memory Map is used.
+ *
+ * Entry shape:
+ * ```
+ * { key, messageId, status: 'pending' | 'completed', result, hasResult, firstSeenAt, expiresAt, duplicates }
+ * ```
+ *
+ * @example
+ * const store = new IdempotencyStore({ storage: subsystem.find('storage') });
+ * await store.set('order-42', { key: 'order-42', status: 'pending', expiresAt: Date.now() + 60000 });
+ * const entry = await store.get('order-42'); // null once expired
+ */
+export class IdempotencyStore {
+  #entries = new Map(); // key -> entry (used when no storage facet is available)
+  #getStorage;
+  #namespace;
+  #capacity;
+
+  /**
+   * @param {Object} [options={}] - Store options
+   * @param {Object|Function|null} [options.storage=null] - Storage facet, or a function returning it
+   *   (resolved on every call so facets added after build are picked up)
+   * @param {string} [options.namespace='idempotency'] - Storage namespace for entries
+   * @param {number} [options.capacity=10000] - Maximum in-memory entries (oldest evicted first)
+   */
+  constructor(options = {}) {
+    const { storage = null, namespace = 'idempotency', capacity = 10000 } = options;
+
+    if (typeof capacity !== 'number' || !Number.isFinite(capacity) || capacity < 1) {
+      throw new TypeError('IdempotencyStore: capacity must be a positive number');
+    }
+
+    this.#getStorage = typeof storage === 'function' ? storage : () => storage;
+    this.#namespace = namespace;
+    this.#capacity = capacity;
+  }
+
+  /**
+   * Whether entries are kept in a storage facet (vs. in memory)
+   * @returns {boolean}
+   */
+  isPersistent() {
+    return this.#storage() !== null;
+  }
+
+  /**
+   * Get a live entry
+   *
+   * @param {string} key - Idempotency key
+   * @param {number} [now=Date.now()] - Current time in epoch milliseconds
+   * @returns {Promise<Object|null>} Entry, or null if unknown or expired (expired entries are removed)
+   */
+  async get(key, now = Date.now()) {
+    const storage = this.#storage();
+    let entry;
+
+    if (storage) {
+      const result = await storage.get(key, { namespace: this.#namespace });
+      entry = result?.success ? result.data : null;
+    } else {
+      entry = this.#entries.get(key) || null;
+    }
+
+    if (entry && entry.expiresAt <= now) {
+      await this.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Store an entry
+   *
+   * @param {string} key - Idempotency key
+   * @param {Object} entry - Entry to store (must have a numeric expiresAt)
+   * @returns {Promise<void>}
+   * @throws {Error} If the storage facet rejects the entry
+   */
+  async set(key, entry) {
+    const storage = this.#storage();
+
+    if (storage) {
+      const result = await storage.set(key, entry, { namespace: this.#namespace });
+      if (result && result.success === false) {
+        throw result.error || new Error(`IdempotencyStore: failed to store key "${key}"`);
+      }
+      return;
+    }
+
+    this.#entries.delete(key); // re-insert to keep eviction order by last write
+    this.#entries.set(key, entry);
+    if (this.#entries.size > this.#capacity) {
+      this.#entries.delete(this.#entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove an entry
+   *
+   * @param {string} key - Idempotency key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const storage = this.#storage();
+    if (storage) {
+      await storage.delete(key, { namespace: this.#namespace });
+      return;
+    }
+    this.#entries.delete(key);
+  }
+
+  /**
+   * Remove all expired entries
+   *
+   * @param {number} [now=Date.now()] - Current time in epoch milliseconds
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async purgeExpired(now = Date.now()) {
+    const storage = this.#storage();
+
+    if (!storage) {
+      let purged = 0;
+      for (const [key, entry] of this.#entries) {
+        if (entry.expiresAt <= now) {
+          this.#entries.delete(key);
+          purged++;
+        }
+      }
+      return purged;
+    }
+
+    const listed = await storage.list({ namespace: this.#namespace });
+    if (!listed?.success || listed.keys.length === 0) {
+      return 0;
+    }
+
+    const { data } = await storage.getMany(listed.keys, { namespace: this.#namespace });
+    const expired = [...(data || new Map())]
+      .filter(([, entry]) => entry && entry.expiresAt <= now)
+      .map(([key]) => key);
+
+    if (expired.length > 0) {
+      await storage.deleteMany(expired, { namespace: this.#namespace });
+    }
+    return expired.length;
+  }
+
+  /**
+   * Remove all entries
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const storage = this.#storage();
+    if (storage) {
+      await storage.clear({ namespace: this.#namespace });
+      return;
+    }
+    this.#entries.clear();
+  }
+
+  #storage() {
+    return this.#getStorage() || null;
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Idempotency Utilities
+ *
+ * Helpers for resolving the idempotency key of a message. Transports
+ * (HTTP servers, WebSocket) copy the client's key into `meta.idempotencyKey`,
+ * which is scoped by sender and path; messages without one are deduplicated
+ * by message ID.
+ */
+
+/**
+ * HTTP header carrying the client's idempotency key
+ */
+export const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+
+/**
+ * Extract an idempotency key from HTTP headers
+ *
+ * @param {Object} headers - HTTP headers object
+ * @param {string} [headerName=IDEMPOTENCY_KEY_HEADER] - Header name to check (case-insensitive)
+ * @returns {string|undefined} Idempotency key, or undefined if absent
+ *
+ * @example
+ * const key = extractIdempotencyKeyFromHeaders(req.headers);
+ */
+export function extractIdempotencyKeyFromHeaders(headers, headerName = IDEMPOTENCY_KEY_HEADER) {
+  if (!headers || typeof headers !== 'object') return undefined;
+
+  const value = headers[headerName] ?? headers[headerName.toLowerCase()];
+  if (value === undefined || value === null || value === '') return undefined;
+
+  return String(Array.isArray(value) ? value[0] : value);
+}
+
+/**
+ * Get the idempotency key the client sent with a message
+ *
+ * @param {Message} message - Message to read the key from
+ * @returns {string|null} `meta.idempotencyKey`, or null if absent
+ */
+export function getClientIdempotencyKey(message) {
+  const key = message?.meta?.getCustomMutableField?.('idempotencyKey');
+  if (key === undefined || key === null || key === '') {
+    return null;
+  }
+  return String(key);
+}
+
+/**
+ * Resolve the key a message is deduplicated under
+ *
+ * A client key (`meta.idempotencyKey`) is namespaced by the sender and the
+ * message path, so two clients that pick the same key, or one client that
+ * reuses a key on another route, never share an entry. The sender is the
+ * caller's PKR (protected sends) or the transport connection
+ * (`meta.connectionId`); messages with neither share one anonymous namespace
+ * per path. Messages without a client key use their message ID, which is
+ * already unique.
+ *
+ * @param {Message} message - Message to resolve the key for
+ * @param {Object} [options={}] - Resolution options
+ * @param {Object} [options.callerId] - Caller's PKR (from the send options)
+ * @returns {string|null} Idempotency key, or null if the message has neither
+ *
+ * @example
+ * resolveIdempotencyKey(message, { callerId: pkr });
+ * // 'pkr-uuid|payments://charge|5f1c-charge-42'
+ */
+export function resolveIdempotencyKey(message, { callerId } = {}) {
+  const key = getClientIdempotencyKey(message);
+  if (key === null) {
+    return message?.getId?.() ?? null;
+  }
+
+  const sender = callerId?.uuid ?? message.meta?.getCustomMutableField?.('connectionId') ?? 'anonymous';
+  const path = message.getPath?.() ?? message.path ?? '';
+  return `${sender}|${path}|${key}`;
+}
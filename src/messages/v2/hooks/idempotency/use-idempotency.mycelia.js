@@ -0,0 +1,272 @@
+/**
+ * useIdempotency Hook
+ *
+ * Suppresses duplicate messages within a configurable window.
+ *
+ * A message's idempotency key is `meta.idempotencyKey` (copied from the
+ * `Idempotency-Key` HTTP header or the WebSocket frame's `metadata` by the
+ * server hooks), namespaced by the sender and the message path, or, if absent,
+ * its message ID (see resolveIdempotencyKey()). The message processor claims
+ * the key in `accept()` / `processImmediately()`; a second message with the
+ * same key inside the window is not executed again. For command messages
+ * (`meta.isCommand()`) the result of the first execution is returned instead.
+ *
+ * Failed executions release their key, so retries (useRetry, dead-letter
+ * replays, client retries after an error) are processed normally.
+ *
+ * Entries are kept in the subsystem's storage facet when one is installed
+ * (useMemoryStorage, useSQLiteStorage, ...) so deduplication survives restarts
+ * with a persistent backend; otherwise they are kept in memory.
+ *
+ * @param {Object} ctx - Context object containing config.idempotency for configuration
+ * @param {Object} ctx.config.idempotency - Idempotency configuration
+ * @param {number} [ctx.config.idempotency.window=300000] - How long a key is remembered, in milliseconds
+ * @param {string} [ctx.config.idempotency.cacheResults='commands'] - Which results to cache for duplicates ('commands' | 'all' | 'none')
+ * @param {boolean} [ctx.config.idempotency.storage=true] - Use the subsystem's storage facet if installed
+ * @param {string} [ctx.config.idempotency.namespace='idempotency'] - Storage namespace for entries
+ * @param {number} [ctx.config.idempotency.capacity=10000] - Maximum in-memory entries (without storage facet)
+ * @param {boolean} [ctx.config.idempotency.debug] - Enable debug logging
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {Facet} Facet object with idempotency methods
+ *
+ * @example
+ * const subsystem = new BaseSubsystem('payments', {
+ *   ms: messageSystem,
+ *   config: { idempotency: { window: 10 * 60 * 1000 } }
+ * });
+ * subsystem.use(useSQLiteStorage).use(useIdempotency);
+ */
+import { Facet } from 'mycelia-kernel-plugin/core';
+import { createHook } from '../create-hook.mycelia.js';
+import { getDebugFlag } from '../../utils/debug-flag.utils.mycelia.js';
+import { createLogger } from '../../utils/logger.utils.mycelia.js';
+import { findFacet } from '../../utils/find-facet.utils.mycelia.js';
+import { IdempotencyStore } from './idempotency-store.mycelia.js';
+import { getClientIdempotencyKey, resolveIdempotencyKey } from './idempotency.utils.mycelia.js';
+
+const CACHE_MODES = ['commands', 'all', 'none'];
+
+export const useIdempotency = createHook({
+  kind: 'idempotency',
+  version: '1.0.0',
+  overwrite: false,
+  required: ['statistics'],
+  attach: true,
+  source: import.meta.url,
+  fn: (ctx, api, subsystem) => {
+    const { name } = api;
+    const config = ctx.config?.idempotency || {};
+    const debug = getDebugFlag(config, ctx);
+    const logger = createLogger(debug, `useIdempotency ${name}`);
+
+    const window = config.window ?? 5 * 60 * 1000;
+    if (typeof window !== 'number' || !Number.isFinite(window) || window <= 0) {
+      throw new Error(`useIdempotency ${name}: window must be a positive number of milliseconds`);
+    }
+    const cacheResults = config.cacheResults ?? 'commands';
+    if (!CACHE_MODES.includes(cacheResults)) {
+      throw new Error(`useIdempotency ${name}: cacheResults must be one of ${CACHE_MODES.join(', ')}`);
+    }
+
+    const statisticsResult = findFacet(api.__facets, 'statistics');
+    const statistics = statisticsResult?.facet?._statistics || null;
+
+    // Resolve the storage facet at call time: it may be installed after this hook
+    const store = new IdempotencyStore({
+      storage: config.storage === false ? null : () => subsystem.find?.('storage') || null,
+      namespace: config.namespace || 'idempotency',
+      capacity: config.capacity ?? 10000
+    });
+
+    // Keys claimed by this process whose first execution is still running.
+    // Checked synchronously so concurrent duplicates cannot both pass.
+    const inFlight = new Set();
+
+    const shouldCache = (message) =>
+      cacheResults === 'all' ||
+      (cacheResults === 'commands' && message.meta?.isCommand?.() === true);
+
+    /**
+     * Build the result returned for a suppressed duplicate
+     */
+    const duplicateResult = (message, entry) => {
+      const key = getClientIdempotencyKey(message) ?? message.getId();
+      const messageId = message.getId();
+      if (entry?.hasResult) {
+        return entry.result;
+      }
+      if (entry && entry.status === 'pending') {
+        return {
+          success: false,
+          duplicate: true,
+          status: 'pending',
+          idempotencyKey: key,
+          messageId,
+          error: 'Duplicate message: the original is still being processed'
+        };
+      }
+      return { success: true, duplicate: true, status: 'completed', idempotencyKey: key, messageId };
+    };
+
+    return new Facet('idempotency', { attach: true, source: import.meta.url })
+      .add({
+        /**
+         * Get the key a message is deduplicated under
+         * @param {Message} message - Message
+         * @param {Object} [options={}] - Send options
+         * @param {Object} [options.callerId] - Caller's PKR
+         * @returns {string|null} Scoped `meta.idempotencyKey` or the message ID
+         */
+        getKey(message, options = {}) {
+          return resolveIdempotencyKey(message, options);
+        },
+
+        /**
+         * Claim a message's idempotency key before executing it
+         *
+         * @param {Message} message - Message about to be executed
+         * @param {Object} [options={}] - Send options
+         * @param {Object} [options.callerId] - Caller's PKR (scopes the key)
+         * @param {number} [options.now=Date.now()] - Current time in epoch milliseconds
+         * @returns {Promise<{duplicate: boolean, key: string|null, result?: any}>}
+         *   `duplicate: true` with the result to hand back if the key was already seen
+         */
+        async claim(message, { callerId, now = Date.now() } = {}) {
+          const key = resolveIdempotencyKey(message, { callerId });
+          if (!key) {
+            return { duplicate: false, key: null };
+          }
+
+          if (inFlight.has(key)) {
+            statistics?.recordDeduplicated();
+            logger.log(`Suppressed duplicate of in-flight key ${key}`);
+            return { duplicate: true, key, result: duplicateResult(message, { status: 'pending' }) };
+          }
+
+          inFlight.add(key);
+          try {
+            const entry = await store.get(key, now);
+            if (entry) {
+              inFlight.delete(key);
+              entry.duplicates = (entry.duplicates || 0) + 1;
+              await store.set(key, entry);
+              statistics?.recordDeduplicated();
+              logger.log(`Suppressed duplicate key ${key} (first seen as ${entry.messageId})`);
+              return { duplicate: true, key, result: duplicateResult(message, entry) };
+            }
+
+            await store.set(key, {
+              key,
+              messageId: message.getId(),
+              status: 'pending',
+              result: null,
+              hasResult: false,
+              firstSeenAt: now,
+              expiresAt: now + window,
+              duplicates: 0
+            });
+          } catch (error) {
+            // Fail open: a storage problem must not block message processing
+            inFlight.delete(key);
+            logger.error(`Failed to claim key ${key}:`, error);
+            return { duplicate: false, key };
+          }
+
+          return { duplicate: false, key };
+        },
+
+        /**
+         * Record a successful execution (caches the result for commands)
+         *
+         * @param {Message} message - Executed message
+         * @param {any} result - Handler result
+         * @param {Object} [options={}] - Send options
+         * @param {Object} [options.callerId] - Caller's PKR (scopes the key)
+         * @param {number} [options.now=Date.now()] - Current time in epoch milliseconds
+         * @returns {Promise<void>}
+         */
+        async complete(message, result, { callerId, now = Date.now() } = {}) {
+          const key = resolveIdempotencyKey(message, { callerId });
+          if (!key) return;
+
+          inFlight.delete(key);
+          try {
+            const entry = await store.get(key, now);
+            const cache = shouldCache(message);
+            await store.set(key, {
+              key,
+              messageId: entry?.messageId ?? message.getId(),
+              status: 'completed',
+              result: cache ? result ?? null : null,
+              hasResult: cache,
+              firstSeenAt: entry?.firstSeenAt ?? now,
+              expiresAt: entry?.expiresAt ?? now + window,
+              duplicates: entry?.duplicates ?? 0
+            });
+          } catch (error) {
+            logger.error(`Failed to record completion of key ${key}:`, error);
+          }
+        },
+
+        /**
+         * Forget a message's key after a failed execution so it can run again
+         *
+         * @param {Message} message - Message whose execution failed
+         * @param {Object} [options={}] - Send options
+         * @param {Object} [options.callerId] - Caller's PKR (scopes the key)
+         * @returns {Promise<void>}
+         */
+        async release(message, { callerId } = {}) {
+          const key = resolveIdempotencyKey(message, { callerId });
+          if (!key) return;
+
+          inFlight.delete(key);
+          try {
+            await store.delete(key);
+          } catch (error) {
+            logger.error(`Failed to release key ${key}:`, error);
+          }
+        },
+
+        /**
+         * Look up the entry for a key
+         * @param {string} key - Idempotency key
+         * @param {number} [now=Date.now()] - Current time in epoch milliseconds
+         * @returns {Promise<Object|null>} Entry or null if unknown/expired
+         */
+        async getEntry(key, now = Date.now()) {
+          return await store.get(key, now);
+        },
+
+        /**
+         * Forget a key
+         * @param {string} key - Idempotency key
+         * @returns {Promise<void>}
+         */
+        async forget(key) {
+          inFlight.delete(key);
+          await store.delete(key);
+        },
+
+        /**
+         * Remove entries whose window has passed
+         * @returns {Promise<number>} Number of entries removed
+         */
+        async purgeExpired() {
+          return await store.purgeExpired();
+        },
+
+        /**
+         * Whether entries are kept in a storage facet
+         * @returns {boolean}
+         */
+        isPersistent() {
+          return store.isPersistent();
+        },
+
+        // Expose store for internal use
+        _store: store
+      });
+  }
+});
@@ -0,0 +1,165 @@
+/**
+ * Interceptor Pipeline
+ *
+ * Runs ordered interceptors around a route handler, onion style:
+ *
+ *   before(1) → before(2) → handler → after(2) → after(1)
+ *
+ * An interceptor is an object with any of:
+ * - `before(message, ctx)` - runs before inner layers. Returning a value other
+ *   than `undefined` short-circuits: inner interceptors and the handler are
+ *   skipped, and the value becomes the result seen by outer `after` hooks.
+ * - `after(message, result, ctx)` - runs after inner layers. Returning a value
+ *   other than `undefined` replaces the result.
+ * - `onError(message, error, ctx)` - runs when its own `before` or any inner
+ *   layer throws. Returning a value other than `undefined` recovers (the value
+ *   becomes the result); returning nothing rethrows; throwing replaces the error.
+ *
+ * A plain function is shorthand for `{ before: fn }`.
+ *
+ * `ctx` is shared by all interceptors of one invocation:
+ * `{ subsystem, path, params, options, routeEntry, metadata, state }`.
+ * `ctx.params` is passed to the handler after the `before` hooks ran, and
+ * `ctx.state` is scratch space (e.g. a start time for timing interceptors).
+ * Message metadata is changed through `message.meta.updateMutable()`.
+ */
+import { createSchemaInterceptor } from './schema-interceptor.mycelia.js';
+
+/**
+ * Normalize an interceptor definition
+ *
+ * @param {Object|Function} interceptor - Interceptor object or `before` function
+ * @param {Object} [defaults={}] - Default `name` and `order`
+ * @returns {{name: string|null, order: number, before: Function|null, after: Function|null, onError: Function|null}}
+ * @throws {Error} If the interceptor has no hooks or a hook is not a function
+ *
+ * @example
+ * normalizeInterceptor((message) => { if (!message.getBody()) return { success: false }; });
+ */
+export function normalizeInterceptor(interceptor, defaults = {}) {
+  const definition = typeof interceptor === 'function' ? { before: interceptor } : interceptor;
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('normalizeInterceptor: interceptor must be an object or a function');
+  }
+
+  for (const hook of ['before', 'after', 'onError']) {
+    if (definition[hook] !== undefined && typeof definition[hook] !== 'function') {
+      throw new Error(`normalizeInterceptor: ${hook} must be a function`);
+    }
+  }
+  if (!definition.before && !definition.after && !definition.onError) {
+    throw new Error('normalizeInterceptor: interceptor needs at least one of before, after or onError');
+  }
+
+  const order = definition.order ?? defaults.order ?? 0;
+  if (typeof order !== 'number' || !Number.isFinite(order)) {
+    throw new Error('normalizeInterceptor: order must be a finite number');
+  }
+
+  return {
+    name: definition.name ?? defaults.name ?? null,
+    order,
+    before: definition.before || null,
+    after: definition.after || null,
+    onError: definition.onError || null
+  };
+}
+
+/**
+ * Run interceptors around a handler invocation
+ *
+ * @param {Array<Object>} interceptors - Normalized interceptors, outermost first
+ * @param {Message} message - Message being handled
+ * @param {Object} ctx - Interceptor context (see module documentation)
+ * @param {Function} invoke - `() => Promise<any>`; calls the handler
+ * @returns {Promise<any>} Handler result after interception
+ *
+ * @example
+ * const result = await runInterceptors(interceptors, message, ctx,
+ *   () => handler(message, ctx.params, ctx.options));
+ */
+export async function runInterceptors(interceptors, message, ctx, invoke) {
+  const runLayer = async (index) => {
+    if (index === interceptors.length) {
+      return await invoke();
+    }
+
+    const interceptor = interceptors[index];
+    let result;
+    try {
+      if (interceptor.before) {
+        const early = await interceptor.before(message, ctx);
+        if (early !== undefined) {
+          return early;
+        }
+      }
+      result = await runLayer(index + 1);
+    } catch (error) {
+      if (!interceptor.onError) {
+        throw error;
+      }
+      const recovered = await interceptor.onError(message, error, ctx);
+      if (recovered === undefined) {
+        throw error;
+      }
+      return recovered;
+    }
+
+    if (interceptor.after) {
+      const transformed = await interceptor.after(message, result, ctx);
+      if (transformed !== undefined) {
+        result = transformed;
+      }
+    }
+    return result;
+  };
+
+  return await runLayer(0);
+}
+
+/**
+ * Wrap a route handler with subsystem and route-level interceptors
+ *
+ * Subsystem interceptors (from the `interceptors` facet) wrap the route-level
+ * interceptors declared in `routeEntry.metadata.interceptors`. A route
+ * `metadata.schema` is enforced innermost, right around the handler (see
+ * schema-interceptor). Returns the handler unchanged when there is nothing to run.
+ *
+ * @param {Function} handler - Route handler: async (message, params, options) => result
+ * @param {RouteEntry} routeEntry - Matched route entry
+ * @param {Object} [options={}] - Wrapping options
+ * @param {Object} [options.interceptorsFacet] - Subsystem `interceptors` facet, if installed
+ * @param {string} [options.subsystemName] - Subsystem name for `ctx.subsystem`
+ * @returns {Function} Handler with the same signature
+ * @throws {Error} If a route-level interceptor is malformed
+ */
+export function wrapWithInterceptors(handler, routeEntry, options = {}) {
+  const { interceptorsFacet, subsystemName } = options;
+  const metadata = routeEntry?.metadata || {};
+
+  const subsystemInterceptors = interceptorsFacet?.getInterceptors?.() || [];
+  const routeInterceptors = [].concat(metadata.interceptors || [])
+    .map((interceptor, index) => normalizeInterceptor(interceptor, { name: `route:${index}` }));
+  const schemaInterceptors = metadata.schema
+    ? [createSchemaInterceptor(metadata.schema, { subsystemName })]
+    : [];
+  const interceptors = [...subsystemInterceptors, ...routeInterceptors, ...schemaInterceptors];
+
+  if (interceptors.length === 0) {
+    return handler;
+  }
+
+  return async (message, params, handlerOptions) => {
+    const ctx = {
+      subsystem: subsystemName,
+      path: message.getPath(),
+      params,
+      options: handlerOptions,
+      routeEntry,
+      metadata,
+      state: {}
+    };
+    return await runInterceptors(interceptors, message, ctx,
+      () => handler(message, ctx.params, handlerOptions));
+  };
+}
@@ -0,0 +1,117 @@
+/**
+ * Schema Interceptor
+ *
+ * Enforces `metadata.schema` of a route (JSON Schema subset, see
+ * json-schema.utils) around its handler:
+ *
+ * - `schema.body`   - checked against `message.getBody()` before the handler runs
+ * - `schema.result` - checked against successful handler results (`success !== false`)
+ *
+ * A violation short-circuits with a failure result instead of throwing, so the
+ * message is not retried and HTTP transports answer with the result's
+ * `statusCode` (400 for an invalid body, 500 for a result that breaks the
+ * route's contract). The result carries an `ERROR_TYPES.VALIDATION` ErrorRecord
+ * with field-level details.
+ *
+ * @example
+ * router.registerRoute('orders/create', handler, {
+ *   metadata: {
+ *     schema: {
+ *       body: { type: 'object', required: ['items'], properties: { items: { type: 'array', minItems: 1 } } }
+ *     }
+ *   }
+ * });
+ * // Body {} → { success: false, statusCode: 400, error: 'Validation failed: body.items is required', details, errorRecord }
+ */
+import { validateJsonSchema } from '../../utils/json-schema.utils.mycelia.js';
+import {
+  ErrorRecord,
+  ERROR_TYPES,
+  ERROR_SEVERITY
+} from '../../models/kernel-subsystem/error-manager-subsystem/error-record.mycelia.js';
+
+/**
+ * Build the failure result for schema violations
+ *
+ * @param {Array<Object>} details - Violations from validateJsonSchema
+ * @param {Object} context - Failure context
+ * @param {string} context.target - What was validated ('body' | 'result')
+ * @param {string} [context.subsystem] - Subsystem name for the ErrorRecord
+ * @param {string} [context.path] - Message path
+ * @param {string} [context.messageId] - Message ID
+ * @returns {{success: false, error: string, statusCode: number, details: Array<Object>, errorRecord: Object}}
+ */
+export function createValidationFailure(details, { target, subsystem, path, messageId } = {}) {
+  const summary = details.map(detail => `${detail.path} ${detail.message}`).join('; ');
+  const error = `Validation failed: ${summary}`;
+  const isRequest = target !== 'result';
+
+  const record = new ErrorRecord({
+    type: ERROR_TYPES.VALIDATION,
+    severity: isRequest ? ERROR_SEVERITY.WARN : ERROR_SEVERITY.ERROR,
+    subsystem: subsystem || 'unknown',
+    metadata: { message: error, target, path, messageId, details }
+  });
+
+  return {
+    success: false,
+    error,
+    statusCode: isRequest ? 400 : 500,
+    details,
+    errorRecord: record.toRecord()
+  };
+}
+
+/**
+ * Validate a request body against a route schema
+ *
+ * @param {Object} [schema] - Route schema (`{ body?, result? }`)
+ * @param {any} body - Request body
+ * @returns {Array<Object>} Violations (empty if valid or no body schema)
+ */
+export function validateRouteBody(schema, body) {
+  if (schema?.body === undefined) {
+    return [];
+  }
+  return validateJsonSchema(schema.body, body, 'body').errors;
+}
+
+/**
+ * Create the interceptor enforcing a route schema
+ *
+ * @param {Object} schema - Route schema (`{ body?, result? }`)
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.subsystemName] - Subsystem name for ErrorRecords
+ * @returns {Object} Interceptor (`{ name: 'schema', before, after }`)
+ * @throws {Error} If `schema` is not an object
+ */
+export function createSchemaInterceptor(schema, options = {}) {
+  if (!schema || typeof schema !== 'object') {
+    throw new Error('createSchemaInterceptor: schema must be an object with body and/or result');
+  }
+  const { subsystemName } = options;
+
+  const failure = (message, details, target) => createValidationFailure(details, {
+    target,
+    subsystem: subsystemName,
+    path: message.getPath?.(),
+    messageId: message.getId?.()
+  });
+
+  return {
+    name: 'schema',
+    order: 0,
+    before(message) {
+      const details = validateRouteBody(schema, message.getBody ? message.getBody() : message.body);
+      return details.length > 0 ? failure(message, details, 'body') : undefined;
+    },
+    after(message, result) {
+      if (schema.result === undefined || result?.success === false) {
+        return undefined;
+      }
+      const { errors } = validateJsonSchema(schema.result, result, 'result');
+      return errors.length > 0 ? failure(message, errors, 'result') : undefined;
+    },
+    onError: null
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * useInterceptors Hook
+ *
+ * Registers ordered interceptors that run around every route handler of the
+ * subsystem (see interceptor-pipeline for the before / after / onError
+ * contract). Use it for cross-cutting concerns - validation, auditing, timing -
+ * instead of repeating them in each handler passed to `router.registerRoute()`.
+ *
+ * Interceptors run inside the router's permission check, so denied callers
+ * never reach them. Lower `order` runs first (outermost); equal orders run in
+ * registration order. Route-level interceptors declared in route metadata
+ * (`{ metadata: { interceptors: [...] } }`) run inside the subsystem ones.
+ *
+ * @param {Object} ctx - Context object containing config.interceptors for configuration
+ * @param {Object} ctx.config.interceptors - Interceptor configuration
+ * @param {Array<Object|Function>} [ctx.config.interceptors.interceptors] - Interceptors registered at build time
+ * @param {boolean} [ctx.config.interceptors.debug] - Enable debug logging
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {Facet} Facet object with interceptor methods
+ *
+ * @example
+ * subsystem.use(useInterceptors);
+ * await subsystem.build();
+ *
+ * subsystem.interceptors.register({
+ *   name: 'timing',
+ *   before: (message, ctx) => { ctx.state.start = Date.now(); },
+ *   after: (message, result, ctx) => ({ ...result, took: Date.now() - ctx.state.start })
+ * });
+ */
+import { Facet } from 'mycelia-kernel-plugin/core';
+import { createHook } from '../create-hook.mycelia.js';
+import { getDebugFlag } from '../../utils/debug-flag.utils.mycelia.js';
+import { createLogger } from '../../utils/logger.utils.mycelia.js';
+import { normalizeInterceptor } from './interceptor-pipeline.mycelia.js';
+
+export const useInterceptors = createHook({
+  kind: 'interceptors',
+  version: '1.0.0',
+  overwrite: false,
+  required: [],
+  attach: true,
+  source: import.meta.url,
+  fn: (ctx, api) => {
+    const { name } = api;
+    const config = ctx.config?.interceptors || {};
+    const debug = getDebugFlag(config, ctx);
+    const logger = createLogger(debug, `useInterceptors ${name}`);
+
+    let interceptors = []; // normalized, sorted by order then registration
+    let nextId = 0;
+
+    const sort = () => {
+      interceptors = interceptors
+        .map((interceptor, index) => ({ interceptor, index }))
+        .sort((a, b) => a.interceptor.order - b.interceptor.order || a.index - b.index)
+        .map(({ interceptor }) => interceptor);
+    };
+
+    const facet = new Facet('interceptors', { attach: true, source: import.meta.url })
+      .add({
+        /**
+         * Register an interceptor
+         * @param {Object|Function} interceptor - `{ name?, order?, before?, after?, onError? }` or a `before` function
+         * @param {Object} [options={}] - Defaults for `name` and `order`
+         * @returns {string} Interceptor name (generated when not given)
+         * @throws {Error} If the interceptor is malformed or the name is taken
+         */
+        register(interceptor, options = {}) {
+          const normalized = normalizeInterceptor(interceptor, options);
+          if (normalized.name === null) {
+            normalized.name = `interceptor-${nextId++}`;
+          }
+          if (interceptors.some(existing => existing.name === normalized.name)) {
+            throw new Error(`useInterceptors ${name}: interceptor '${normalized.name}' is already registered`);
+          }
+
+          interceptors.push(normalized);
+          sort();
+          logger.log(`Registered interceptor '${normalized.name}' (order ${normalized.order})`);
+          return normalized.name;
+        },
+
+        /**
+         * Unregister an interceptor by name
+         * @param {string} interceptorName - Name returned by register()
+         * @returns {boolean} True if the interceptor was removed
+         */
+        unregister(interceptorName) {
+          const before = interceptors.length;
+          interceptors = interceptors.filter(interceptor => interceptor.name !== interceptorName);
+          return interceptors.length < before;
+        },
+
+        /**
+         * Check if an interceptor is registered
+         * @param {string} interceptorName - Interceptor name
+         * @returns {boolean} True if registered
+         */
+        has(interceptorName) {
+          return interceptors.some(interceptor => interceptor.name === interceptorName);
+        },
+
+        /**
+         * Get registered interceptors in execution order (outermost first)
+         * @returns {Array<Object>} Normalized interceptors
+         */
+        getInterceptors() {
+          return [...interceptors];
+        },
+
+        /**
+         * Get registered interceptor names in execution order
+         * @returns {Array<string>} Names
+         */
+        list() {
+          return interceptors.map(interceptor => interceptor.name);
+        },
+
+        /**
+         * Remove all interceptors
+         */
+        clear() {
+          interceptors = [];
+        }
+      });
+
+    for (const interceptor of config.interceptors || []) {
+      facet.register(interceptor);
+    }
+
+    return facet;
+  }
+});
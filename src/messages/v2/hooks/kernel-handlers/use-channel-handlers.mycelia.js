@@ -0,0 +1,60 @@
+/**
+ * useChannelHandlers Hook
+ *
+ * Provides channel handler functions for kernel:// routes.
+ * Exposes handlers for listing channels and managing channel participants.
+ *
+ * @param {Object} ctx - Context object
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance (should be KernelSubsystem)
+ * @returns {Facet} Facet object with channel handler methods
+ */
+import { Facet } from 'mycelia-kernel-plugin/core';
+import { createHook } from '../create-hook.mycelia.js';
+import * as ChannelHandlers from '../../models/kernel-subsystem/handlers/kernel-handlers-channel.mycelia.js';
+
+export const useChannelHandlers = createHook({
+  kind: 'channelHandlers',
+  version: '1.0.0',
+  overwrite: false,
+  required: [],
+  attach: true,
+  source: import.meta.url,
+  fn: (ctx, api, subsystem) => {
+    return new Facet('channelHandlers', {
+      attach: true,
+      source: import.meta.url
+    })
+    .add({
+      /**
+       * List the channels the caller owns or participates in (all for the kernel)
+       * @param {Message} message - The message
+       * @param {Object} params - Route parameters
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Channels
+       */
+      queryChannels: (message, params, options) =>
+        ChannelHandlers.handleQueryChannels(subsystem, message, params, options),
+
+      /**
+       * Add a participant to a channel owned by the caller
+       * @param {Message} message - The message (body: { participantPkr })
+       * @param {Object} params - Route parameters (route)
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Update result
+       */
+      addChannelParticipant: (message, params, options) =>
+        ChannelHandlers.handleAddChannelParticipant(subsystem, message, params, options),
+
+      /**
+       * Remove a participant from a channel owned by the caller
+       * @param {Message} message - The message (body: { participantPkr })
+       * @param {Object} params - Route parameters (route)
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Update result
+       */
+      removeChannelParticipant: (message, params, options) =>
+        ChannelHandlers.handleRemoveChannelParticipant(subsystem, message, params, options)
+    });
+  }
+});
@@ -0,0 +1,60 @@
+/**
+ * useDeadLetterHandlers Hook
+ *
+ * Provides dead-letter queue handler functions for kernel:// routes.
+ * Exposes handlers for recording, querying, and replaying dead-lettered messages.
+ *
+ * @param {Object} ctx - Context object
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance (should be KernelSubsystem)
+ * @returns {Facet} Facet object with dead-letter handler methods
+ */
+import { Facet } from 'mycelia-kernel-plugin/core';
+import { createHook } from '../create-hook.mycelia.js';
+import * as DeadLetterHandlers from '../../models/kernel-subsystem/handlers/kernel-handlers-deadletter.mycelia.js';
+
+export const useDeadLetterHandlers = createHook({
+  kind: 'deadLetterHandlers',
+  version: '1.0.0',
+  overwrite: false,
+  required: [],
+  attach: true,
+  source: import.meta.url,
+  fn: (ctx, api, subsystem) => {
+    return new Facet('deadLetterHandlers', {
+      attach: true,
+      source: import.meta.url
+    })
+    .add({
+      /**
+       * Record a dead-lettered message
+       * @param {Message} message - The message (body: { message, options, error, subsystem, attempts })
+       * @param {Object} params - Route parameters
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Record result with entry id
+       */
+      recordDeadLetter: (message, params, options) =>
+        DeadLetterHandlers.handleRecordDeadLetter(subsystem, message, params, options),
+
+      /**
+       * Query dead-lettered messages
+       * @param {Message} message - The message (body: { subsystem?, limit? })
+       * @param {Object} params - Route parameters
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} List of dead letters
+       */
+      queryDeadLetters: (message, params, options) =>
+        DeadLetterHandlers.handleQueryDeadLetters(subsystem, message, params, options),
+
+      /**
+       * Replay a dead-lettered message
+       * @param {Message} message - The message
+       * @param {Object} params - Route parameters (id)
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Replay result
+       */
+      replayDeadLetter: (message, params, options) =>
+        DeadLetterHandlers.handleReplayDeadLetter(subsystem, message, params, options)
+    });
+  }
+});
@@ -0,0 +1,50 @@
+/**
+ * useDeliveryHandlers Hook
+ *
+ * Provides delayed delivery handler functions for kernel:// routes.
+ * Exposes handlers for listing and cancelling pending (delayed/scheduled) deliveries.
+ *
+ * @param {Object} ctx - Context object
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance (should be KernelSubsystem)
+ * @returns {Facet} Facet object with delivery handler methods
+ */
+import { Facet } from 'mycelia-kernel-plugin/core';
+import { createHook } from '../create-hook.mycelia.js';
+import * as DeliveryHandlers from '../../models/kernel-subsystem/handlers/kernel-handlers-delivery.mycelia.js';
+
+export const useDeliveryHandlers = createHook({
+  kind: 'deliveryHandlers',
+  version: '1.0.0',
+  overwrite: false,
+  required: [],
+  attach: true,
+  source: import.meta.url,
+  fn: (ctx, api, subsystem) => {
+    return new Facet('deliveryHandlers', {
+      attach: true,
+      source: import.meta.url
+    })
+    .add({
+      /**
+       * Query pending deliveries
+       * @param {Message} message - The message (body: { subsystem?, limit? })
+       * @param {Object} params - Route parameters
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} List of pending deliveries
+       */
+      queryDeliveries: (message, params, options) =>
+        DeliveryHandlers.handleQueryDeliveries(subsystem, message, params, options),
+
+      /**
+       * Cancel a pending delivery
+       * @param {Message} message - The message
+       * @param {Object} params - Route parameters (id)
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Cancel result
+       */
+      cancelDelivery: (message, params, options) =>
+        DeliveryHandlers.handleCancelDelivery(subsystem, message, params, options)
+    });
+  }
+});
@@ -0,0 +1,71 @@
+/**
+ * useErrorHandlers Hook
+ *
+ * Provides error handler functions for kernel:// routes.
+ * Exposes handlers that record errors reported by subsystems (e.g. expired messages)
+ * and that query and clear recorded errors.
+ *
+ * @param {Object} ctx - Context object
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance (should be KernelSubsystem)
+ * @returns {Facet} Facet object with error handler methods
+ */
+import { Facet } from 'mycelia-kernel-plugin/core';
+import { createHook } from '../create-hook.mycelia.js';
+import * as ErrorHandlers from '../../models/kernel-subsystem/handlers/kernel-handlers-error.mycelia.js';
+
+export const useErrorHandlers = createHook({
+  kind: 'errorHandlers',
+  version: '1.0.0',
+  overwrite: false,
+  required: [],
+  attach: true,
+  source: import.meta.url,
+  fn: (ctx, api, subsystem) => {
+    return new Facet('errorHandlers', {
+      attach: true,
+      source: import.meta.url
+    })
+    .add({
+      /**
+       * Record a message that expired before it was processed
+       * @param {Message} message - The message (body: { messageId, path, subsystem, expiresAt?, stage? })
+       * @param {Object} params - Route parameters
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Record result
+       */
+      recordExpiredMessage: (message, params, options) =>
+        ErrorHandlers.handleRecordExpiredMessage(subsystem, message, params, options),
+
+      /**
+       * Query recent errors (the caller's subsystem, or all for the kernel)
+       * @param {Message} message - The message (body: { limit?, type?, subsystem? })
+       * @param {Object} params - Route parameters
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Recent errors
+       */
+      queryErrors: (message, params, options) =>
+        ErrorHandlers.handleQueryErrors(subsystem, message, params, options),
+
+      /**
+       * Summarize recent errors by type and subsystem
+       * @param {Message} message - The message (body: { limit?, subsystem? })
+       * @param {Object} params - Route parameters
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Error summary
+       */
+      queryErrorSummary: (message, params, options) =>
+        ErrorHandlers.handleQueryErrorSummary(subsystem, message, params, options),
+
+      /**
+       * Clear recorded errors (the caller's subsystem, or all for the kernel)
+       * @param {Message} message - The message (body: { type?, subsystem? })
+       * @param {Object} params - Route parameters
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Number of errors removed
+       */
+      clearErrors: (message, params, options) =>
+        ErrorHandlers.handleClearErrors(subsystem, message, params, options)
+    });
+  }
+});
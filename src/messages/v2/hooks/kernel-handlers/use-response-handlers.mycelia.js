@@ -0,0 +1,40 @@
+/**
+ * useResponseHandlers Hook
+ *
+ * Provides pending response handler functions for kernel:// routes.
+ * Exposes a handler for listing responses that are still awaited.
+ *
+ * @param {Object} ctx - Context object
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance (should be KernelSubsystem)
+ * @returns {Facet} Facet object with response handler methods
+ */
+import { Facet } from 'mycelia-kernel-plugin/core';
+import { createHook } from '../create-hook.mycelia.js';
+import * as ResponseHandlers from '../../models/kernel-subsystem/handlers/kernel-handlers-response.mycelia.js';
+
+export const useResponseHandlers = createHook({
+  kind: 'responseHandlers',
+  version: '1.0.0',
+  overwrite: false,
+  required: [],
+  attach: true,
+  source: import.meta.url,
+  fn: (ctx, api, subsystem) => {
+    return new Facet('responseHandlers', {
+      attach: true,
+      source: import.meta.url
+    })
+    .add({
+      /**
+       * List pending responses for the caller's requests (all for the kernel)
+       * @param {Message} message - The message
+       * @param {Object} params - Route parameters
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Pending responses
+       */
+      queryPendingResponses: (message, params, options) =>
+        ResponseHandlers.handleQueryPendingResponses(subsystem, message, params, options)
+    });
+  }
+});
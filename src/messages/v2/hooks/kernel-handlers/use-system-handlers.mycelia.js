@@ -2,7 +2,7 @@
  * useSystemHandlers Hook
  * 
  * Provides system information handler functions for kernel:// routes.
- * Exposes handlers for querying subsystems, status, and statistics.
+ * Exposes handlers for querying subsystems, status, statistics, and rate limit usage.
  * 
  * @param {Object} ctx - Context object
  * @param {Object} api - Subsystem API being built
@@ -76,7 +76,17 @@ export const useSystemHandlers = createHook({
        * @returns {Promise<Object>} List of registered routes
        */
       queryRoutes: (message, params, options) => 
-        SystemHandlers.handleQueryRoutes(subsystem, message, params, options)
+        SystemHandlers.handleQueryRoutes(subsystem, message, params, options),
+
+      /**
+       * Query rate limit and daily quota usage
+       * @param {Message} message - The message
+       * @param {Object} params - Route parameters
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Usage records
+       */
+      queryUsage: (message, params, options) => 
+        SystemHandlers.handleQueryUsage(subsystem, message, params, options)
     });
   }
 });
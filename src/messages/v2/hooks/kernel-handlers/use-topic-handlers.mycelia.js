@@ -0,0 +1,131 @@
+/**
+ * useTopicHandlers Hook
+ *
+ * Provides pub/sub topic handler functions for kernel:// routes.
+ * Exposes handlers for topic management, access grants, subscriptions, publishing
+ * and acknowledging durable topic entries.
+ *
+ * @param {Object} ctx - Context object
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance (should be KernelSubsystem)
+ * @returns {Facet} Facet object with topic handler methods
+ */
+import { Facet } from 'mycelia-kernel-plugin/core';
+import { createHook } from '../create-hook.mycelia.js';
+import * as TopicHandlers from '../../models/kernel-subsystem/handlers/kernel-handlers-topic.mycelia.js';
+
+export const useTopicHandlers = createHook({
+  kind: 'topicHandlers',
+  version: '1.0.0',
+  overwrite: false,
+  required: [],
+  attach: true,
+  source: import.meta.url,
+  fn: (ctx, api, subsystem) => {
+    return new Facet('topicHandlers', {
+      attach: true,
+      source: import.meta.url
+    })
+    .add({
+      /**
+       * Create a topic owned by the caller
+       * @param {Message} message - The message (body: { metadata?, durable?, retention? })
+       * @param {Object} params - Route parameters (name)
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Created topic
+       */
+      createTopic: (message, params, options) =>
+        TopicHandlers.handleCreateTopic(subsystem, message, params, options),
+
+      /**
+       * Delete a topic (owner only)
+       * @param {Message} message - The message
+       * @param {Object} params - Route parameters (name)
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Delete result
+       */
+      deleteTopic: (message, params, options) =>
+        TopicHandlers.handleDeleteTopic(subsystem, message, params, options),
+
+      /**
+       * Grant read, write or grant access on a topic
+       * @param {Message} message - The message (body: { granteePkr, permission })
+       * @param {Object} params - Route parameters (name)
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Grant result
+       */
+      grantTopic: (message, params, options) =>
+        TopicHandlers.handleGrantTopic(subsystem, message, params, options),
+
+      /**
+       * Revoke read, write or grant access on a topic
+       * @param {Message} message - The message (body: { granteePkr, permission })
+       * @param {Object} params - Route parameters (name)
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Revoke result
+       */
+      revokeTopic: (message, params, options) =>
+        TopicHandlers.handleRevokeTopic(subsystem, message, params, options),
+
+      /**
+       * Subscribe the caller to a topic or topic pattern
+       * @param {Message} message - The message (body: { deliverTo?, group?, from? })
+       * @param {Object} params - Route parameters (name: topic name or pattern)
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Subscription
+       */
+      subscribeTopic: (message, params, options) =>
+        TopicHandlers.handleSubscribeTopic(subsystem, message, params, options),
+
+      /**
+       * Remove the caller's subscriptions to a topic or topic pattern
+       * @param {Message} message - The message (body: { subscriptionId? })
+       * @param {Object} params - Route parameters (name)
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Number of subscriptions removed
+       */
+      unsubscribeTopic: (message, params, options) =>
+        TopicHandlers.handleUnsubscribeTopic(subsystem, message, params, options),
+
+      /**
+       * Publish the message body to every subscriber of a topic
+       * @param {Message} message - The message (body: payload)
+       * @param {Object} params - Route parameters (name)
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Delivery results
+       */
+      publishTopic: (message, params, options) =>
+        TopicHandlers.handlePublishTopic(subsystem, message, params, options),
+
+      /**
+       * Acknowledge a durable topic entry
+       * @param {Message} message - The message (body: { group, offset })
+       * @param {Object} params - Route parameters (name)
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Committed offset
+       */
+      ackTopic: (message, params, options) =>
+        TopicHandlers.handleAckTopic(subsystem, message, params, options),
+
+      /**
+       * Reject a durable topic entry
+       * @param {Message} message - The message (body: { group, offset, requeue? })
+       * @param {Object} params - Route parameters (name)
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Committed offset
+       */
+      nackTopic: (message, params, options) =>
+        TopicHandlers.handleNackTopic(subsystem, message, params, options),
+
+      /**
+       * List the topics the caller can read and its subscriptions
+       * @param {Message} message - The message
+       * @param {Object} params - Route parameters
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Topics, subscriptions and consumer groups
+       */
+      queryTopics: (message, params, options) =>
+        TopicHandlers.handleQueryTopics(subsystem, message, params, options)
+    });
+  }
+});
@@ -0,0 +1,60 @@
+/**
+ * useTransactionHandlers Hook
+ *
+ * Provides transaction handler functions for kernel:// routes.
+ * Exposes handlers for completion/failure reports and transaction status queries.
+ *
+ * @param {Object} ctx - Context object
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance (should be KernelSubsystem)
+ * @returns {Facet} Facet object with transaction handler methods
+ */
+import { Facet } from 'mycelia-kernel-plugin/core';
+import { createHook } from '../create-hook.mycelia.js';
+import * as TransactionHandlers from '../../models/kernel-subsystem/handlers/kernel-handlers-transaction.mycelia.js';
+
+export const useTransactionHandlers = createHook({
+  kind: 'transactionHandlers',
+  version: '1.0.0',
+  overwrite: false,
+  required: [],
+  attach: true,
+  source: import.meta.url,
+  fn: (ctx, api, subsystem) => {
+    return new Facet('transactionHandlers', {
+      attach: true,
+      source: import.meta.url
+    })
+    .add({
+      /**
+       * Record that a transaction message was processed
+       * @param {Message} message - The message (body: { transaction, seq, messageId })
+       * @param {Object} params - Route parameters
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Transaction status after the report
+       */
+      completeTransactionMessage: (message, params, options) =>
+        TransactionHandlers.handleCompleteTransactionMessage(subsystem, message, params, options),
+
+      /**
+       * Record that a transaction message failed (aborts the transaction)
+       * @param {Message} message - The message (body: { transaction, seq, messageId, error })
+       * @param {Object} params - Route parameters
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Transaction status and compensations
+       */
+      failTransactionMessage: (message, params, options) =>
+        TransactionHandlers.handleFailTransactionMessage(subsystem, message, params, options),
+
+      /**
+       * Query a transaction's status
+       * @param {Message} message - The message
+       * @param {Object} params - Route parameters (id)
+       * @param {Object} options - Message options
+       * @returns {Promise<Object>} Transaction record
+       */
+      queryTransaction: (message, params, options) =>
+        TransactionHandlers.handleQueryTransaction(subsystem, message, params, options)
+    });
+  }
+});
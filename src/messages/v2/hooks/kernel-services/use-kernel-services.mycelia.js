@@ -17,6 +17,9 @@ import { ErrorManagerSubsystem } from '../../models/kernel-subsystem/error-manag
 import { ResponseManagerSubsystem } from '../../models/kernel-subsystem/response-manager-subsystem/response-manager.subsystem.mycelia.js';
 import { ChannelManagerSubsystem } from '../../models/kernel-subsystem/channel-manager-subsystem/channel-manager.subsystem.mycelia.js';
 import { ProfileRegistrySubsystem } from '../../models/kernel-subsystem/profile-registry-subsystem/profile-registry.subsystem.mycelia.js';
+import { DeadLetterSubsystem } from '../../models/kernel-subsystem/dead-letter-subsystem/dead-letter.subsystem.mycelia.js';
+import { TransactionManagerSubsystem } from '../../models/kernel-subsystem/transaction-manager-subsystem/transaction-manager.subsystem.mycelia.js';
+import { TopicManagerSubsystem } from '../../models/kernel-subsystem/topic-manager-subsystem/topic-manager.subsystem.mycelia.js';
 
 export const useKernelServices = createHook({
   kind: 'kernelServices',
@@ -83,6 +86,29 @@ export const useKernelServices = createHook({
           },
           ...(kernelServicesConfig['profile-registry'] || {})
         }
+      },
+      {
+        name: 'dead-letter',
+        SubsystemClass: DeadLetterSubsystem,
+        config: {
+          ...(ctx.config?.deadLetter || {}),
+          ...(kernelServicesConfig['dead-letter'] || {})
+        }
+      },
+      {
+        name: 'transaction-manager',
+        SubsystemClass: TransactionManagerSubsystem,
+        config: {
+          ...(ctx.config?.transactionManager || {}),
+          ...(kernelServicesConfig['transaction-manager'] || {})
+        }
+      },
+      {
+        name: 'topic-manager',
+        SubsystemClass: TopicManagerSubsystem,
+        config: {
+          ...(kernelServicesConfig['topic-manager'] || {})
+        }
       }
     ];
 
@@ -567,7 +567,8 @@ export class ListenerManager {
 
   /**
    * Register a listener for a pattern path
-   * @param {string} pattern - Pattern path with {param} placeholders (e.g., 'command/completed/id/{id}')
+   * @param {string} pattern - Pattern path with {param}, {param:int}, :param, * or ** syntax
+   *   (e.g., 'command/completed/id/{id}', 'events/**')
    * @param {Function} handler - Handler function to call when pattern matches
    * @returns {boolean} Success status
    * 
@@ -582,9 +583,7 @@ export class ListenerManager {
       throw new Error('Handler must be a function');
     }
 
-    const existingHandlers = this.patternMatcher.has(pattern) 
-      ? this.patternMatcher.findMatches(pattern)[0]?.patternEntry?.handlers || []
-      : [];
+    const existingHandlers = this.patternMatcher.getHandlers(pattern);
 
     const policyFunction = this.allowedPolicies.get(this.registrationPolicy);
     
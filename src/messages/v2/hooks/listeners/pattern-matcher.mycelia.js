@@ -1,8 +1,14 @@
+import { compilePathPattern, isPathPattern } from '../../utils/path-pattern.utils.mycelia.js';
+
 /**
  * PatternMatcher Class
  * 
  * Handles pattern-based listener registration and matching.
- * Supports {param} syntax in paths (e.g., 'command/completed/id/{id}').
+ * Uses the same pattern syntax as route registration (see path-pattern.utils):
+ * - `{param}` / `:param` - one path segment (e.g., 'command/completed/id/{id}')
+ * - `{param:int}`, `{slug:[a-z-]+}` - typed segments, values coerced to the declared type
+ * - `{param?}` - optional segment
+ * - `*` - exactly one segment, `**` - any number of segments (e.g., 'events/**')
  * 
  * @example
  * const matcher = new PatternMatcher({ debug: false });
@@ -19,18 +25,18 @@ export class PatternMatcher {
   constructor(options = {}) {
     this.debug = options.debug || false;
     
-    // Pattern listener storage: pattern -> [{ handlers, paramNames, regex }, ...]
-    // Each entry contains handlers for that pattern and compiled regex for matching
+    // Pattern listener storage: pattern -> [{ handlers, paramNames, regex, compiled }, ...]
+    // Each entry contains handlers for that pattern and the compiled pattern for matching
     this.patternListeners = new Map();
   }
 
   /**
-   * Check if a path contains pattern syntax (e.g., {param})
+   * Check if a path contains pattern syntax ({param}, :param, * or **)
    * @param {string} path - Path to check
    * @returns {boolean} True if path contains pattern syntax
    */
   isPattern(path) {
-    return /\{[a-zA-Z_][a-zA-Z0-9_]*\}/.test(path);
+    return isPathPattern(path);
   }
 
   /**
@@ -39,98 +45,68 @@ export class PatternMatcher {
    * @returns {Array<string>} Array of parameter names (e.g., ['id'])
    */
   parsePattern(pattern) {
-    const paramNames = [];
-    const paramRegex = /\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g;
-    let match;
-    
-    while ((match = paramRegex.exec(pattern)) !== null) {
-      const paramName = match[1];
-      if (!paramNames.includes(paramName)) {
-        paramNames.push(paramName);
-      }
-    }
-    
-    return paramNames;
+    return compilePathPattern(pattern).params.map(param => param.name);
   }
 
   /**
-   * Convert pattern to regex with capture groups
+   * Convert pattern to regex
+   * Parameters are captured in named groups (p0, p1, ...) - use extractParams() to read them.
    * @param {string} pattern - Pattern string (e.g., 'command/completed/id/{id}')
-   * @returns {RegExp} Regex with capture groups
+   * @returns {RegExp} Anchored regex
    */
   patternToRegex(pattern) {
-    // Escape special regex characters except the pattern syntax
-    let regexStr = pattern
-      .replace(/[.*+?^${}()|[\]\\]/g, (char) => {
-        // Don't escape { and } as they're used for pattern syntax
-        if (char === '{' || char === '}') {
-          return char;
-        }
-        return '\\' + char;
-      });
-    
-    // Replace {param} with capture groups
-    // Each {param} becomes (.+) to capture any value
-    regexStr = regexStr.replace(/\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g, '(.+)');
-    
-    // Anchor to start and end
-    regexStr = '^' + regexStr + '$';
-    
-    return new RegExp(regexStr);
+    return compilePathPattern(pattern).regex;
   }
 
   /**
    * Extract parameter values from a pattern match
    * @param {string} pattern - Original pattern
    * @param {Array<string>} paramNames - Parameter names in order
-   * @param {Array} matchResult - Regex match result array
-   * @returns {Object} Parameters object (e.g., { id: 'msg_123' })
+   * @param {Array} matchResult - Regex match result array (from patternToRegex(pattern))
+   * @returns {Object} Parameters object, values coerced to their declared type (e.g., { id: 'msg_123' })
    */
   extractParams(pattern, paramNames, matchResult) {
     if (!matchResult || matchResult.length === 0) {
       return {};
     }
 
-    // matchResult[0] is the full match
-    // matchResult[1], matchResult[2], ... are capture groups
-    const params = {};
-    const captureGroups = matchResult.slice(1);
-    
-    if (paramNames.length !== captureGroups.length) {
+    const compiled = compilePathPattern(pattern);
+    if (paramNames.length !== compiled.params.length) {
       if (this.debug) {
-        console.warn(`PatternMatcher: Parameter count mismatch for pattern '${pattern}'. Expected ${paramNames.length}, got ${captureGroups.length}`);
+        console.warn(`PatternMatcher: Parameter count mismatch for pattern '${pattern}'. Expected ${paramNames.length}, got ${compiled.params.length}`);
       }
       return {};
     }
     
-    for (let i = 0; i < paramNames.length; i++) {
-      params[paramNames[i]] = captureGroups[i];
-    }
-    
-    return params;
+    return compiled.match(matchResult[0]) || {};
+  }
+
+  /**
+   * Get the handlers registered for a pattern
+   * @param {string} pattern - Pattern path
+   * @returns {Array<Function>} Handlers (empty if the pattern is not registered)
+   */
+  getHandlers(pattern) {
+    const entries = this.patternListeners.get(pattern) || [];
+    return entries.flatMap(entry => entry.handlers);
   }
 
   /**
    * Register a listener for a pattern path
-   * @param {string} pattern - Pattern path with {param} placeholders
+   * @param {string} pattern - Pattern path with {param}, :param, * or ** syntax
    * @param {Function} handler - Handler function to call when pattern matches
    * @param {Array<Function>} existingHandlers - Existing handlers for this pattern (from policy)
    * @returns {void}
    */
   register(pattern, handler, existingHandlers = []) {
     if (!this.isPattern(pattern)) {
-      throw new Error(`Path '${pattern}' does not contain pattern syntax. Use exact path matching or onPattern() with {param} syntax.`);
-    }
-
-    // Parse pattern to extract parameter names
-    const paramNames = this.parsePattern(pattern);
-    
-    if (paramNames.length === 0) {
-      throw new Error(`Pattern '${pattern}' contains no valid parameters. Use {paramName} syntax.`);
+      throw new Error(`Path '${pattern}' does not contain pattern syntax. Use exact path matching or onPattern() with {param}, :param, * or ** syntax.`);
     }
 
-    // Convert pattern to regex
-    const regex = this.patternToRegex(pattern);
+    // Compile pattern (throws on malformed patterns)
+    const compiled = compilePathPattern(pattern);
+    const paramNames = compiled.params.map(param => param.name);
+    const regex = compiled.regex;
 
     // Get existing pattern entries or create new array
     const existingEntries = this.patternListeners.get(pattern) || [];
@@ -147,6 +123,7 @@ export class PatternMatcher {
         pattern: pattern,
         paramNames: paramNames,
         regex: regex,
+        compiled,
         handlers: []
       };
       existingEntries.push(patternEntry);
@@ -206,11 +183,10 @@ export class PatternMatcher {
   findMatches(path) {
     const matches = [];
     
-    for (const [pattern, patternEntries] of this.patternListeners) {
+    for (const patternEntries of this.patternListeners.values()) {
       for (const patternEntry of patternEntries) {
-        const matchResult = patternEntry.regex.exec(path);
-        if (matchResult) {
-          const params = this.extractParams(pattern, patternEntry.paramNames, matchResult);
+        const params = patternEntry.compiled.match(path);
+        if (params) {
           matches.push({ patternEntry, params });
         }
       }
@@ -280,8 +256,3 @@ export class PatternMatcher {
     }
   }
 }
-
-
-
-
-
@@ -2,7 +2,7 @@
  * useListeners Hook
  * 
  * Provides listener management functionality to subsystems.
- * Wraps ListenerManager and exposes on(), off(), hasListeners() methods.
+ * Wraps ListenerManager and exposes on(), off(), onPattern(), offPattern() and hasListeners() methods.
  * 
  * @param {Object} ctx - Context object containing config.listeners for listener configuration
  * @param {Object} api - Subsystem API being built
@@ -124,6 +124,43 @@ export const useListeners = createHook({
         return listeners.off(path, handlers);
       },
       
+      /**
+       * Register a listener for a path pattern
+       * @param {string} pattern - Pattern with {param}, {param:int}, :param, * or ** syntax (e.g., 'events/**')
+       * @param {Function} handler - Handler function: (message, params) => void
+       * @returns {boolean} Success status
+       * 
+       * @example
+       * subsystem.listeners.onPattern('user/{id:int}/updated', (message, params) => {
+       *   console.log('User updated:', params.id); // number
+       * });
+       */
+      onPattern(pattern, handler) {
+        if (!listenersEnabled || listeners === null) {
+          if (debug) {
+            const runtimeLogger = createLogger(debug, `useListeners ${name}`);
+            runtimeLogger.warn('Cannot register pattern listener - listeners not enabled');
+          }
+          return false;
+        }
+        
+        return listeners.onPattern(pattern, handler);
+      },
+      
+      /**
+       * Unregister a pattern listener
+       * @param {string} pattern - Pattern used in onPattern()
+       * @param {Function} handler - Handler function to remove
+       * @returns {boolean} Success status
+       */
+      offPattern(pattern, handler) {
+        if (!listenersEnabled || listeners === null) {
+          return false;
+        }
+        
+        return listeners.offPattern(pattern, handler);
+      },
+      
       /**
        * Emit an event to listeners for a specific path
        * @param {string} path - Message path to emit to
@@ -11,6 +11,8 @@
  * @param {Message} message - Message to accept
  * @param {Object} [options={}] - Options for message processing
  * @param {string} [options.currentPiece] - Current piece for routing context
+ * @param {number} [options.maxQueueWait] - 'block' policy: maximum wait in milliseconds for queue space
+ * @param {AbortSignal} [options.signal] - 'block' policy: abort signal that cancels the wait
  * @returns {Promise<boolean>} Success status
  */
 import { createLogger } from '../../utils/logger.utils.mycelia.js';
@@ -32,7 +34,10 @@ export async function acceptMessage(context, message, options = {}) {
   // Enqueue message-options pair for later retrieval in processMessage()
   try {
     const pair = { msg: message, options };
-    const success = queueManager.enqueue(pair);
+    // Under the 'block' policy this waits for space (backpressure)
+    const success = typeof queueManager.enqueueAsync === 'function'
+      ? await queueManager.enqueueAsync(pair, { maxWait: options.maxQueueWait, signal: options.signal })
+      : queueManager.enqueue(pair);
     
     if (success) {
       statisticsRecorder();
@@ -1,4 +1,6 @@
 import { createLogger } from '../../utils/logger.utils.mycelia.js';
+import { wrapWithInterceptors } from '../interceptors/interceptor-pipeline.mycelia.js';
+import { createMessageContext, runWithMessageContext } from '../../utils/message-context.utils.mycelia.js';
 
 /**
  * Create a processMessageCore function with the given dependencies
@@ -77,10 +79,14 @@ export function createProcessMessageCore(dependencies) {
  * Utility function to process a message through the complete processing pipeline
  * Handles route matching, handler execution, and error handling
  * 
+ * The handler runs inside the message context (trace ID, correlation ID,
+ * caller PKR, subsystem name; see message-context.utils).
+ * 
  * @param {Object} context - Context object with subsystem dependencies
  * @param {Function} [context.getRouterFacet] - Function to get router facet at runtime: () => routerFacet
  * @param {Object} [context.routerFacet] - Router facet (deprecated - use getRouterFacet instead)
  * @param {SubsystemRouter} [context.routeRegistry] - Route registry (SubsystemRouter instance) for pattern matching (fallback)
+ * @param {Function} [context.getInterceptorsFacet] - Function to get the interceptors facet at runtime: () => interceptorsFacet
  * @param {Function} context.statisticsRecorder - Function to record successful processing: (processingTime) => void
  * @param {Function} context.errorRecorder - Function to record errors: () => void
  * @param {boolean} context.debug - Debug flag
@@ -90,7 +96,7 @@ export function createProcessMessageCore(dependencies) {
  * @returns {Promise<Object>} Processing result
  */
 export async function processMessage(context, message, options = {}) {
-  const { getRouterFacet, routerFacet, routeRegistry, statisticsRecorder, errorRecorder, debug, subsystemName } = context;
+  const { getRouterFacet, routerFacet, routeRegistry, getInterceptorsFacet, statisticsRecorder, errorRecorder, debug, subsystemName } = context;
   
   // Get router facet at runtime (after all facets are attached)
   const runtimeRouterFacet = getRouterFacet ? getRouterFacet() : routerFacet;
@@ -118,7 +124,10 @@ export async function processMessage(context, message, options = {}) {
       
       try {
         // Router.route() handles scope checking, RWS checking, and handler execution
-        result = await runtimeRouterFacet.route(message, options);
+        result = await runWithMessageContext(
+          createMessageContext(message, { caller: options.callerId, subsystem: subsystemName }),
+          () => runtimeRouterFacet.route(message, options)
+        );
         
         // Record statistics if result indicates success
         if (result && result.success !== false) {
@@ -160,8 +169,12 @@ export async function processMessage(context, message, options = {}) {
         };
       }
       
-      // Step 2: Execute handler
-      const result = await executeHandler(match, message, statisticsRecorder, options);
+      // Step 2: Execute handler (the router facet path runs interceptors in route())
+      match.handler = wrapWithInterceptors(match.handler, match.routeEntry, {
+        interceptorsFacet: getInterceptorsFacet?.(),
+        subsystemName
+      });
+      const result = await executeHandler(match, message, statisticsRecorder, options, subsystemName);
       
       return result;
     }
@@ -215,9 +228,10 @@ function matchRoute(routeRegistry, message, options = {}) {
  * @param {Message} message - Message being processed
  * @param {Function} statisticsRecorder - Function to record processing time: (processingTime) => void
  * @param {Object} [options={}] - Processing options (callerIdSetBy will be sanitized)
+ * @param {string} [subsystemName] - Subsystem name for the message context
  * @returns {Promise<Object>} Handler execution result
  */
-async function executeHandler(match, message, statisticsRecorder, options = {}) {
+async function executeHandler(match, message, statisticsRecorder, options = {}, subsystemName = null) {
   // Sanitize options: remove callerIdSetBy before passing to handler
   // callerIdSetBy is used by the auth wrapper for kernel validation but should not be exposed to handlers
   const { callerIdSetBy: _callerIdSetBy, ...sanitizedOptions } = options;
@@ -225,10 +239,9 @@ async function executeHandler(match, message, statisticsRecorder, options = {})
   // Execute matched handler (authorization passed)
   // Handler signature: async (message, params, options) => result
   const startTime = Date.now();
-  const result = await match.handler(
-    message,
-    match.params,
-    sanitizedOptions
+  const result = await runWithMessageContext(
+    createMessageContext(message, { caller: options.callerId, subsystem: subsystemName }),
+    () => match.handler(message, match.params, sanitizedOptions)
   );
   const processingTime = Date.now() - startTime;
   
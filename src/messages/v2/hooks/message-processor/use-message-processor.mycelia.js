@@ -4,6 +4,18 @@
  * Provides core message processing functionality to subsystems.
  * Handles message acceptance, processing, and routing.
  * 
+ * With tracing enabled on the MessageSystem (useTracing), the time a message
+ * spends queued is recorded as a `queue <subsystem>` span and its handling as
+ * a `handle <subsystem>` span.
+ * 
+ * Handlers run inside the message context (see message-context.utils): messages
+ * they create inherit the trace, and loggers tag records with it.
+ * 
+ * Handlers get an AbortSignal in `options.signal`. A cancel message from the
+ * sender (`<subsystem>://request/cancel`, see request-cancellation) removes the
+ * message from the queue if it has not started, or aborts that signal if it is
+ * running. Cancellations are counted in the `messagesCancelled` statistic.
+ * 
  * @param {Object} ctx - Context object
  * @param {Object} ctx.ms - MessageSystem instance
  * @param {Object} api - Subsystem API being built
@@ -15,6 +27,17 @@ import { Facet } from 'mycelia-kernel-plugin/core';
 import { createHook } from '../create-hook.mycelia.js';
 import { getDebugFlag } from '../../utils/debug-flag.utils.mycelia.js';
 import { findFacet } from '../../utils/find-facet.utils.mycelia.js';
+import { Message } from '../../models/message/message.mycelia.js';
+import { traceMessage } from '../../models/tracing/tracer.mycelia.js';
+import { SPAN_KIND, SPAN_STATUS } from '../../models/tracing/span.mycelia.js';
+import { createMessageContext, runWithMessageContext } from '../../utils/message-context.utils.mycelia.js';
+import { isCancelPath, onAbort } from '../requests/request-cancellation.mycelia.js';
+
+/**
+ * Kernel routes used to report the outcome of transaction messages
+ */
+export const TRANSACTION_COMPLETE_PATH = 'kernel://transaction/complete';
+export const TRANSACTION_FAIL_PATH = 'kernel://transaction/fail';
 
 export const useMessageProcessor = createHook({
   kind: 'processor',
@@ -41,7 +64,122 @@ export const useMessageProcessor = createHook({
       throw new Error(`useMessageProcessor ${name}: queue facet not found. useQueue must be added before useMessageProcessor.`);
     }
     const queueFacet = queueResult.facet;
+
+    // Tracing lives on the MessageSystem (useTracing); looked up per message so it can be toggled
+    const getTracing = () => {
+      const tracing = ctx.ms?.find?.('tracing');
+      return tracing && tracing.isEnabled?.() ? tracing : null;
+    };
+    // Queue wait spans of accepted messages, ended when the message is dequeued
+    const queueSpans = new WeakMap();
+    // Running messages: messageId -> { controller, callerId }
+    const running = new Map();
+
+    const recordCancelled = () => {
+      if (statisticsFacet?._statistics) {
+        statisticsFacet._statistics.recordCancelled();
+      }
+    };
     
+    /**
+     * Report the outcome of a transaction message to the kernel so the next
+     * seq can be released (or the transaction aborted). No-op for other messages.
+     */
+    const reportTransactionOutcome = async (message, error = null) => {
+      const transaction = message.meta?.getTransaction?.();
+      if (!transaction || typeof subsystem.identity?.sendProtected !== 'function') {
+        return;
+      }
+
+      const body = { transaction, seq: message.meta.getSeq(), messageId: message.getId() };
+      if (error) {
+        body.error = { name: error.name || 'Error', message: error.message || String(error) };
+      }
+
+      try {
+        await subsystem.identity.sendProtected(
+          new Message(error ? TRANSACTION_FAIL_PATH : TRANSACTION_COMPLETE_PATH, body)
+        );
+      } catch (reportError) {
+        if (debug) {
+          console.error(`useMessageProcessor ${name}: Failed to report transaction ${transaction}:`, reportError);
+        }
+      }
+    };
+
+    /**
+     * Cancel a message: remove it from the queue if it has not started, or abort
+     * its handler's signal if it is running. With a callerId, only messages sent
+     * by that caller are cancelled.
+     */
+    const cancelMessage = async (messageId, { reason, callerId } = {}) => {
+      const isSender = (senderId) => !callerId || !senderId || senderId === callerId ||
+        (senderId.uuid !== undefined && senderId.uuid === callerId.uuid);
+
+      const entry = running.get(messageId);
+      if (entry) {
+        if (!isSender(entry.callerId)) {
+          return { cancelled: false, state: 'running' };
+        }
+        running.delete(messageId);
+        entry.controller.abort(reason ?? 'cancelled');
+        recordCancelled();
+        return { cancelled: true, state: 'running' };
+      }
+
+      const removed = queueFacet.removeMessage?.(messageId, (pair) => isSender(pair.options?.callerId));
+      if (!removed) {
+        return { cancelled: false, state: 'unknown' };
+      }
+      recordCancelled();
+
+      const queueSpan = queueSpans.get(removed.msg);
+      if (queueSpan) {
+        queueSpans.delete(removed.msg);
+        queueSpan.setStatus(SPAN_STATUS.ERROR, 'Message cancelled').end();
+      }
+      // The message never ran: it may be sent again, and its transaction cannot complete
+      await subsystem.find('idempotency')?.release(removed.msg, removed.options);
+      await reportTransactionOutcome(removed.msg, new Error('Message cancelled'));
+      return { cancelled: true, state: 'queued' };
+    };
+
+    /**
+     * Handle a cancel message (`<subsystem>://request/cancel`, body `{ correlationId, reason }`)
+     */
+    const handleCancelRequest = async (message, options = {}) => {
+      const { correlationId, reason } = message.getBody?.() || {};
+      if (!correlationId) {
+        return { success: false, error: 'Cancel message requires a correlationId' };
+      }
+      const outcome = await cancelMessage(String(correlationId), { reason, callerId: options.callerId });
+      return { success: true, correlationId: String(correlationId), ...outcome };
+    };
+
+    /**
+     * Run the matched route's compensate handler for a message of an aborted transaction
+     */
+    const compensateMessage = async (routerFacet, message, options) => {
+      const match = typeof routerFacet.match === 'function' ? routerFacet.match(message.getPath()) : null;
+      const compensate = match?.routeEntry?.metadata?.compensate;
+      if (typeof compensate !== 'function') {
+        return { success: true, compensated: false };
+      }
+
+      try {
+        const result = await compensate(message, match.params, options);
+        return { success: true, compensated: true, result };
+      } catch (error) {
+        if (statisticsFacet?._statistics) {
+          statisticsFacet._statistics.recordError();
+        }
+        if (options.debug ?? debug) {
+          console.error(`useMessageProcessor ${name}: Compensation failed for message ${message.getId()}:`, error);
+        }
+        return { success: false, compensated: false, error: error.message };
+      }
+    };
+
     /**
      * Core message processing logic
      * Gets router facet at runtime to support overwrites (e.g., useRouterWithScopes)
@@ -64,27 +202,109 @@ export const useMessageProcessor = createHook({
         throw new Error(`useMessageProcessor ${name}: Router facet does not have a route() method`);
       }
       
+      // Messages of an aborted transaction come back to be undone, not re-run
+      if (options.transactionCompensation) {
+        return await compensateMessage(routerFacet, message, options);
+      }
+
       const runtimeDebug = options.debug !== undefined ? options.debug : debug;
       const startTime = Date.now();
       
+      // Get idempotency facet at runtime (optional)
+      const idempotencyFacet = subsystem.find('idempotency');
+
+      // The sender's signal (in-process sends) aborted while the message was queued
+      if (options.signal?.aborted) {
+        recordCancelled();
+        if (idempotencyFacet) {
+          await idempotencyFacet.release(message, options);
+        }
+        return { success: false, cancelled: true, error: 'Message cancelled' };
+      }
+
+      // Handlers get their own signal: aborted by a cancel message or the sender's signal
+      const messageId = message.getId();
+      const controller = new AbortController();
+      running.set(messageId, { controller, callerId: options.callerId });
+      const detachSenderSignal = onAbort(options.signal, () => {
+        cancelMessage(messageId, { reason: options.signal.reason });
+      });
+      const handlerOptions = { ...options, signal: controller.signal };
+
       try {
-        const result = await routerFacet.route(message, options);
+        const result = await traceMessage(
+          getTracing(),
+          `handle ${name}`,
+          message,
+          { kind: SPAN_KIND.CONSUMER, attributes: { 'mycelia.subsystem': name } },
+          // Handlers run in the message context (trace, correlation, caller, subsystem)
+          () => runWithMessageContext(
+            createMessageContext(message, { caller: options.callerId, subsystem: name }),
+            () => routerFacet.route(message, handlerOptions)
+          )
+        );
         
         // Record statistics if result indicates success
         if (result && result.success !== false && statisticsFacet?._statistics) {
           const processingTime = Date.now() - startTime;
           statisticsFacet._statistics.recordProcessed(processingTime);
         }
+
+        // Remember the outcome so duplicates are suppressed; failures may run again
+        if (idempotencyFacet) {
+          if (result && result.success !== false) {
+            await idempotencyFacet.complete(message, result, options);
+          } else {
+            await idempotencyFacet.release(message, options);
+          }
+        }
+
+        await reportTransactionOutcome(
+          message,
+          result === null ? new Error(`No route matches ${message.getPath()}`) : null
+        );
         
         return result;
       } catch (error) {
+        // A cancelled handler that gives up is not a failure: no error, no retry
+        if (controller.signal.aborted) {
+          if (idempotencyFacet) {
+            await idempotencyFacet.release(message, options);
+          }
+          await reportTransactionOutcome(message, error);
+          return { success: false, cancelled: true, error: error?.message || 'Message cancelled' };
+        }
+
         if (statisticsFacet?._statistics) {
           statisticsFacet._statistics.recordError();
         }
         if (runtimeDebug) {
           console.error(`useMessageProcessor ${name}: Error routing message ${message.getId()}:`, error);
         }
+
+        // Release the idempotency key before a retry re-delivers the same message
+        if (idempotencyFacet) {
+          await idempotencyFacet.release(message, options);
+        }
+
+        // Hand the failure to the retry facet (if installed) instead of rethrowing.
+        // The retry facet either re-delivers with backoff or dead-letters the message.
+        const retryFacet = subsystem.find('retry');
+        if (retryFacet && typeof retryFacet.handleFailure === 'function') {
+          const outcome = await retryFacet.handleFailure(message, options, error);
+          // A transaction only fails once the message will not be retried
+          if (!outcome?.retried) {
+            await reportTransactionOutcome(message, error);
+          }
+          return { success: false, error: error.message, ...outcome };
+        }
+        await reportTransactionOutcome(message, error);
         throw error;
+      } finally {
+        if (running.get(messageId)?.controller === controller) {
+          running.delete(messageId);
+        }
+        detachSenderSignal();
       }
     };
     
@@ -109,6 +329,12 @@ export const useMessageProcessor = createHook({
             message = pairOrMessage;
             finalOptions = options;
           }
+
+          const queueSpan = queueSpans.get(message);
+          if (queueSpan) {
+            queueSpans.delete(message);
+            queueSpan.end();
+          }
           
           return await processMessageCore(message, finalOptions);
         },
@@ -121,9 +347,38 @@ export const useMessageProcessor = createHook({
          * @returns {Promise<Object>} Processing result
          */
         async processImmediately(message, options = {}) {
+          if (isCancelPath(message.getPath?.())) {
+            return await handleCancelRequest(message, options);
+          }
+
+          // Duplicates get the first execution's result instead of running again
+          const idempotencyFacet = options.transactionCompensation ? null : subsystem.find('idempotency');
+          if (idempotencyFacet) {
+            const claim = await idempotencyFacet.claim(message, options);
+            if (claim.duplicate) {
+              return claim.result;
+            }
+          }
+
           return await processMessageCore(message, options);
         },
         
+        /**
+         * Cancel a message sent to this subsystem
+         * 
+         * A queued message is removed; a running message's handler sees
+         * `options.signal` abort (handlers decide when to stop).
+         * 
+         * @param {string} messageId - ID of the message to cancel
+         * @param {Object} [options={}] - Cancel options
+         * @param {any} [options.reason] - Abort reason
+         * @param {Object} [options.callerId] - Only cancel a message sent by this caller
+         * @returns {Promise<{cancelled: boolean, state: string}>} Outcome; state is 'queued', 'running' or 'unknown'
+         */
+        async cancel(messageId, options = {}) {
+          return await cancelMessage(String(messageId), options);
+        },
+        
         /**
          * Process a single message from the queue (process one tick)
          * 
@@ -151,10 +406,41 @@ export const useMessageProcessor = createHook({
          * @param {Message} message - Message to accept
          * @param {Object} [options={}] - Options for message processing
          * @param {string} [options.currentPiece] - Current piece for routing context
-         * @returns {Promise<boolean>} Success status
+         * @param {number} [options.maxQueueWait] - 'block' queue policy: maximum wait in milliseconds for space
+         * @param {AbortSignal} [options.signal] - 'block' queue policy: abort signal that cancels the wait
+         * @returns {Promise<boolean>} Success status (with the 'block' policy, resolves once the message is queued)
          */
         async accept(message, options = {}) {
-          return await acceptMessage(
+          // Cancel messages never wait behind the message they cancel
+          if (isCancelPath(message.getPath?.())) {
+            await handleCancelRequest(message, options);
+            return true;
+          }
+
+          // Delayed messages (delay/deliverAt metadata) are held by the scheduler
+          // until they are due, instead of occupying the queue; a duplicate of a
+          // held message is dropped
+          const schedulerFacet = subsystem.find('scheduler');
+          if (schedulerFacet && typeof schedulerFacet.deferDelivery === 'function' &&
+              schedulerFacet.deferDelivery(message, options)) {
+            return true;
+          }
+
+          // Duplicates (same idempotency key within the window) are dropped
+          const idempotencyFacet = options.transactionCompensation ? null : subsystem.find('idempotency');
+          if (idempotencyFacet) {
+            const claim = await idempotencyFacet.claim(message, options);
+            if (claim.duplicate) {
+              return true;
+            }
+          }
+
+          const tracing = getTracing();
+          const queueSpan = tracing
+            ? tracing.startMessageSpan(`queue ${name}`, message, { attributes: { 'mycelia.subsystem': name } })
+            : null;
+
+          const accepted = await acceptMessage(
             {
               queueManager: queueFacet._queueManager,
               statisticsRecorder: () => {
@@ -173,6 +459,19 @@ export const useMessageProcessor = createHook({
             message,
             options
           );
+
+          if (queueSpan) {
+            if (accepted) {
+              queueSpans.set(message, queueSpan);
+            } else {
+              queueSpan.setStatus(SPAN_STATUS.ERROR, 'Message not accepted').end();
+            }
+          }
+
+          if (!accepted && idempotencyFacet) {
+            await idempotencyFacet.release(message, options);
+          }
+          return accepted;
         }
       });
   }
@@ -7,6 +7,7 @@
  * @param {Object} ctx - Context object
  * @param {Object} ctx.ms - MessageSystem instance (required)
  * @param {Object} ctx.config?.messageSystemRouter - Router configuration
+ * @param {Object|boolean} [ctx.config.messageSystemRouter.circuitBreaker] - Circuit breaker options (or true for the defaults); circuit breakers are off without it
  * @param {Object} api - Subsystem API being built
  * @param {BaseSubsystem} subsystem - Subsystem instance
  * @returns {Facet} Facet object with router methods
@@ -54,6 +55,7 @@ export const useMessageSystemRouter = createHook({
     // Create MessageRouter instance
     const router = new MessageRouter(ms, null, subsystems, {
       debug: debug,
+      circuitBreaker: config.circuitBreaker,
       ...config.options // Allow additional options
     });
     
@@ -126,6 +128,30 @@ export const useMessageSystemRouter = createHook({
           return router.getStatistics();
         },
 
+        /**
+         * Get the circuit breaker states of all subsystems messages were routed to
+         * @returns {Array<Object>} Breaker snapshots ({ subsystem, state, calls, failures, failureRate, rejected, ... })
+         * 
+         * @example
+         * const open = subsystem.messageSystemRouter.getCircuitBreakers().filter(b => b.state === 'open');
+         */
+        getCircuitBreakers() {
+          return router.getCircuitBreakers();
+        },
+
+        /**
+         * Close a subsystem's circuit and forget its recorded outcomes
+         * @param {string} name - Subsystem name
+         * @returns {boolean} True if the subsystem had a circuit breaker
+         */
+        resetCircuitBreaker(name) {
+          const wasReset = router.resetCircuitBreaker(name);
+          if (debug && wasReset) {
+            logger.log(`Reset circuit breaker for ${name}`);
+          }
+          return wasReset;
+        },
+
         /**
          * Set the kernel subsystem.
          * Only sets the kernel if it is currently null.
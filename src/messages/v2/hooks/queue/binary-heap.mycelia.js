@@ -0,0 +1,331 @@
+/**
+ * BinaryHeap Class
+ *
+ * A bounded max-heap with the same storage interface as CircularBuffer
+ * (enqueue, dequeue, peek, toArray, clear, isEmpty, isFull, size), so it can
+ * back a BoundedQueue. Items are ordered by a score computed once on insert:
+ * the highest score is dequeued first, equal scores in insertion order.
+ *
+ * Performance:
+ * - Enqueue / dequeue: O(log n)
+ * - Peek: O(1)
+ * - Remove by reference: O(log n) (items are indexed by reference)
+ * - Drop lowest: O(n) (only used on overflow)
+ *
+ * @example
+ * const heap = new BinaryHeap(1000, (pair) => pair.msg.meta.getPriority());
+ * heap.enqueue(lowPair);
+ * heap.enqueue(highPair);
+ * heap.dequeue(); // highPair
+ */
+export class BinaryHeap {
+  /**
+   * Create a new BinaryHeap instance
+   *
+   * @param {number} capacity - Maximum number of items the heap can hold
+   * @param {Function} score - `(item) => number`; higher scores are dequeued first
+   *
+   * @example
+   * const heap = new BinaryHeap(100, (item) => item.priority);
+   */
+  constructor(capacity, score) {
+    if (!capacity || capacity <= 0) {
+      throw new Error('BinaryHeap: capacity must be positive');
+    }
+    if (typeof score !== 'function') {
+      throw new Error('BinaryHeap: score must be a function');
+    }
+
+    this.capacity = capacity;
+    this.score = score;
+    this.heap = []; // [{ item, score, seq, position }]
+    this.index = new Map(); // item -> entry (first occurrence)
+    this.duplicates = 0; // entries whose item is already indexed
+    this.seq = 0;
+  }
+
+  /**
+   * Add an item to the heap
+   *
+   * Time complexity: O(log n)
+   *
+   * @param {any} item - Item to add
+   * @returns {boolean} True if added, false if the heap is full
+   */
+  enqueue(item) {
+    if (this.isFull()) {
+      return false;
+    }
+
+    const entry = { item, score: this.score(item), seq: this.seq++, position: this.heap.length };
+    this.heap.push(entry);
+    if (this.index.has(item)) {
+      this.duplicates++;
+    } else {
+      this.index.set(item, entry);
+    }
+    this.#siftUp(entry.position);
+    return true;
+  }
+
+  /**
+   * Remove and return the highest-ranked item
+   *
+   * Time complexity: O(log n)
+   *
+   * @returns {any|null} Item or null if empty
+   */
+  dequeue() {
+    if (this.isEmpty()) {
+      return null;
+    }
+    return this.#removeAt(0);
+  }
+
+  /**
+   * Return the highest-ranked item without removing it
+   *
+   * @returns {any|null} Item or null if empty
+   */
+  peek() {
+    return this.isEmpty() ? null : this.heap[0].item;
+  }
+
+  /**
+   * Remove a specific item (matched by reference)
+   *
+   * Time complexity: O(log n)
+   *
+   * @param {any} item - Item to remove
+   * @returns {boolean} True if the item was found and removed
+   */
+  remove(item) {
+    let entry = this.index.get(item);
+    if (!entry) {
+      // Same reference enqueued more than once: later copies are not indexed
+      entry = this.duplicates > 0 ? this.heap.find(e => e.item === item) : null;
+      if (!entry) return false;
+    }
+    this.#removeAt(entry.position);
+    return true;
+  }
+
+  /**
+   * Remove every item matching a predicate, keeping the rank of the others
+   *
+   * Time complexity: O(n log n) in the worst case
+   *
+   * @param {Function} predicate - `(item) => boolean`
+   * @returns {Array} Removed items
+   */
+  removeWhere(predicate) {
+    const removed = [];
+    const kept = [];
+    for (const entry of this.heap) {
+      (predicate(entry.item) ? removed : kept).push(entry);
+    }
+    if (removed.length === 0) {
+      return [];
+    }
+
+    this.heap = kept;
+    this.#reindex();
+    for (let i = Math.floor(this.heap.length / 2) - 1; i >= 0; i--) {
+      this.#siftDown(i);
+    }
+    return removed.map(entry => entry.item);
+  }
+
+  /**
+   * Return the lowest-ranked item (the one that would be dequeued last)
+   *
+   * Time complexity: O(n)
+   *
+   * @returns {any|null} Item or null if empty
+   */
+  peekLowest() {
+    const position = this.#lowestPosition();
+    return position === -1 ? null : this.heap[position].item;
+  }
+
+  /**
+   * Remove and return the lowest-ranked item
+   *
+   * Time complexity: O(n)
+   *
+   * @returns {any|null} Item or null if empty
+   */
+  dropLowest() {
+    const position = this.#lowestPosition();
+    return position === -1 ? null : this.#removeAt(position);
+  }
+
+  /**
+   * Check whether an item would rank below everything in the heap
+   *
+   * @param {any} item - Candidate item
+   * @returns {boolean} True if the heap is non-empty and `item` ranks lowest
+   */
+  ranksBelowAll(item) {
+    const position = this.#lowestPosition();
+    if (position === -1) return false;
+    const candidate = { score: this.score(item), seq: this.seq };
+    return this.#before(this.heap[position], candidate);
+  }
+
+  /**
+   * Get all items in dequeue order
+   *
+   * Time complexity: O(n log n)
+   *
+   * @returns {Array} Items, highest-ranked first
+   */
+  toArray() {
+    return [...this.heap]
+      .sort((a, b) => (this.#before(a, b) ? -1 : 1))
+      .map(entry => entry.item);
+  }
+
+  /**
+   * Remove all items
+   */
+  clear() {
+    this.heap = [];
+    this.index.clear();
+    this.duplicates = 0;
+  }
+
+  /**
+   * Check if heap is empty
+   * @returns {boolean} True if empty
+   */
+  isEmpty() {
+    return this.heap.length === 0;
+  }
+
+  /**
+   * Check if heap is at capacity
+   * @returns {boolean} True if full
+   */
+  isFull() {
+    return this.heap.length >= this.capacity;
+  }
+
+  /**
+   * Get current number of items
+   * @returns {number} Size
+   */
+  size() {
+    return this.heap.length;
+  }
+
+  /**
+   * Whether entry `a` is dequeued before entry `b`
+   * @private
+   */
+  #before(a, b) {
+    return a.score > b.score || (a.score === b.score && a.seq < b.seq);
+  }
+
+  /**
+   * Find the position of the lowest-ranked entry (always a leaf)
+   * @private
+   */
+  #lowestPosition() {
+    if (this.isEmpty()) return -1;
+    let lowest = Math.floor(this.heap.length / 2);
+    for (let i = lowest + 1; i < this.heap.length; i++) {
+      if (this.#before(this.heap[lowest], this.heap[i])) {
+        lowest = i;
+      }
+    }
+    return lowest;
+  }
+
+  /**
+   * Remove the entry at a position and restore the heap property
+   * @private
+   */
+  #removeAt(position) {
+    const entry = this.heap[position];
+    const last = this.heap.pop();
+
+    if (position < this.heap.length) {
+      this.heap[position] = last;
+      last.position = position;
+      this.#siftDown(position);
+      this.#siftUp(last.position);
+    }
+
+    if (this.index.get(entry.item) !== entry) {
+      this.duplicates--;
+    } else {
+      this.index.delete(entry.item);
+      // Index a remaining copy of the same reference, if any
+      const copy = this.duplicates > 0 ? this.heap.find(e => e.item === entry.item) : null;
+      if (copy) {
+        this.index.set(copy.item, copy);
+        this.duplicates--;
+      }
+    }
+    return entry.item;
+  }
+
+  /**
+   * @private
+   */
+  #siftUp(position) {
+    while (position > 0) {
+      const parent = (position - 1) >> 1;
+      if (!this.#before(this.heap[position], this.heap[parent])) break;
+      this.#swap(position, parent);
+      position = parent;
+    }
+  }
+
+  /**
+   * @private
+   */
+  #siftDown(position) {
+    const length = this.heap.length;
+    for (;;) {
+      const left = position * 2 + 1;
+      const right = left + 1;
+      let first = position;
+      if (left < length && this.#before(this.heap[left], this.heap[first])) first = left;
+      if (right < length && this.#before(this.heap[right], this.heap[first])) first = right;
+      if (first === position) break;
+      this.#swap(position, first);
+      position = first;
+    }
+  }
+
+  /**
+   * @private
+   */
+  #swap(i, j) {
+    const a = this.heap[i];
+    const b = this.heap[j];
+    this.heap[i] = b;
+    this.heap[j] = a;
+    a.position = j;
+    b.position = i;
+  }
+
+  /**
+   * Rebuild positions and the reference index after bulk changes
+   * @private
+   */
+  #reindex() {
+    this.index.clear();
+    this.duplicates = 0;
+    this.heap.forEach((entry, position) => {
+      entry.position = position;
+      if (this.index.has(entry.item)) {
+        this.duplicates++;
+      } else {
+        this.index.set(entry.item, entry);
+      }
+    });
+  }
+}
@@ -22,6 +22,18 @@ import { CircularBuffer } from './circular-buffer.mycelia.js';
  * // Monitor queue events
  * queue.on('full', () => console.log('Queue is full!'));
  * queue.on('dropped', (data) => console.log('Item dropped:', data.reason));
+ * 
+ * @example
+ * // Discard expired items instead of handing them out
+ * const queue = new BoundedQueue(100, 'drop-oldest', {
+ *   isExpired: (pair) => pair.msg.meta.isExpired()
+ * });
+ * queue.on('expired', ({ item }) => console.log('Expired:', item));
+ * 
+ * @example
+ * // Backpressure: producers wait (up to 5s) until a consumer frees space
+ * const queue = new BoundedQueue(100, 'block', { maxWait: 5000 });
+ * const accepted = await queue.enqueueAsync(item, { signal: controller.signal });
  */
 export class BoundedQueue {
   /**
@@ -31,8 +43,14 @@ export class BoundedQueue {
    * @param {string} [policy='drop-oldest'] - Overflow policy when queue is full
    *   - 'drop-oldest': Remove oldest item and add new one (FIFO with replacement)
    *   - 'drop-newest': Reject new item when full (strict capacity)
-   *   - 'block': Wait for space (simplified implementation)
+   *   - 'block': Wait for space - `enqueueAsync()` resolves once an item leaves the queue
+   *     (the synchronous `enqueue()` cannot wait and rejects the item)
    *   - 'error': Throw error when full (fail-fast)
+   * @param {Object} [options={}] - Additional options
+   * @param {Function} [options.isExpired] - Predicate `(item) => boolean`; expired items are
+   *   rejected on enqueue, purged before the overflow policy applies and skipped on dequeue
+   * @param {number} [options.maxWait=0] - 'block' policy: default maximum wait in milliseconds
+   *   for `enqueueAsync()` (0 waits indefinitely)
    * 
    * @example
    * // Basic queue with default policy
@@ -46,16 +64,25 @@ export class BoundedQueue {
    * // Queue with drop-newest for real-time data
    * const realtimeQueue = new BoundedQueue(200, 'drop-newest');
    */
-  constructor(capacity, policy = 'drop-oldest') {
+  constructor(capacity, policy = 'drop-oldest', options = {}) {
     this.capacity = capacity;
     this.policy = policy;
+    this.isExpired = typeof options.isExpired === 'function' ? options.isExpired : null;
+    this.maxWait = options.maxWait || 0;
     this.queue = new CircularBuffer(capacity);
+    this.waiters = []; // producers blocked by the 'block' policy, in arrival order
     this.stats = {
       itemsEnqueued: 0,
       itemsDequeued: 0,
       itemsDropped: 0,
+      itemsExpired: 0,
       queueFullEvents: 0,
-      errors: 0
+      errors: 0,
+      itemsBlocked: 0,
+      blockTimeouts: 0,
+      blockAborts: 0,
+      totalWaitTime: 0,
+      maxWaitTime: 0
     };
     
     // Event emitters for queue events
@@ -63,7 +90,9 @@ export class BoundedQueue {
       full: [],
       empty: [],
       dropped: [],
-      error: []
+      expired: [],
+      error: [],
+      waited: []
     };
   }
 
@@ -74,6 +103,16 @@ export class BoundedQueue {
    */
   enqueue(item) {
     try {
+      if (this.#checkExpired(item)) {
+        this.#recordExpired(item, 'expired-on-enqueue');
+        return false;
+      }
+      
+      // Shed expired items before applying the overflow policy
+      if (this.isFull() && this.isExpired) {
+        this.purgeExpired();
+      }
+      
       if (this.isFull()) {
         this.stats.queueFullEvents++;
         this.emit('full');
@@ -102,6 +141,86 @@ export class BoundedQueue {
     }
   }
 
+  /**
+   * Add an item to the queue, waiting for space under the 'block' policy
+   * 
+   * With any other policy this behaves like `enqueue()`. Under 'block', a full
+   * queue suspends the caller until an item leaves the queue (dequeue, remove,
+   * purge or clear); blocked producers are admitted in arrival order. The wait
+   * ends early when `maxWait` elapses or `signal` aborts - the item is then
+   * dropped with reason 'block-timeout' or 'block-aborted'.
+   * 
+   * Every completed wait emits `'waited'` with `{ item, waitTime, outcome }`,
+   * where outcome is 'enqueued', 'rejected' (expired while waiting), 'timeout'
+   * or 'aborted'.
+   * 
+   * @param {any} item - Item to enqueue
+   * @param {Object} [options={}] - Wait options
+   * @param {number} [options.maxWait] - Maximum wait in milliseconds (defaults to the queue's maxWait; 0 waits indefinitely)
+   * @param {AbortSignal} [options.signal] - Abort signal that cancels the wait
+   * @returns {Promise<boolean>} Success status
+   * 
+   * @example
+   * const accepted = await queue.enqueueAsync(item, { maxWait: 1000 });
+   */
+  async enqueueAsync(item, options = {}) {
+    if (this.policy !== 'block') {
+      return this.enqueue(item);
+    }
+    
+    const { signal = null } = options;
+    const maxWait = options.maxWait ?? this.maxWait;
+    
+    if (signal?.aborted) {
+      this.stats.itemsDropped++;
+      this.stats.blockAborts++;
+      this.emit('dropped', { item, reason: 'block-aborted' });
+      return false;
+    }
+    
+    // Shed expired items before deciding to wait
+    if (this.isFull() && this.isExpired) {
+      this.purgeExpired();
+    }
+    
+    // Space available and nobody waiting ahead of us
+    if (!this.isFull() && this.waiters.length === 0) {
+      return this.enqueue(item);
+    }
+    
+    if (this.isFull()) {
+      this.stats.queueFullEvents++;
+      this.emit('full');
+    }
+    this.stats.itemsBlocked++;
+    
+    return new Promise(resolve => {
+      const waiter = { item, resolve, startedAt: Date.now(), timer: null, signal, onAbort: null };
+      
+      if (maxWait > 0) {
+        waiter.timer = setTimeout(() => this.#cancelWaiter(waiter, 'timeout'), maxWait);
+      }
+      if (signal) {
+        waiter.onAbort = () => this.#cancelWaiter(waiter, 'aborted');
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+      
+      this.waiters.push(waiter);
+      
+      if (this.debug) {
+        console.log(`BoundedQueue: Producer blocked, waiting producers: ${this.waiters.length}`);
+      }
+    });
+  }
+
+  /**
+   * Get the number of producers waiting for space
+   * @returns {number} Number of blocked `enqueueAsync()` calls
+   */
+  waitingCount() {
+    return this.waiters.length;
+  }
+
   /**
    * Remove and return the next item from the queue
    * @returns {any|null} Next item or null if empty
@@ -112,7 +231,19 @@ export class BoundedQueue {
         return null;
       }
       
-      const item = this.queue.dequeue();
+      let item = this.queue.dequeue();
+      
+      // Skip expired items
+      while (this.#checkExpired(item)) {
+        this.#recordExpired(item, 'expired-on-dequeue');
+        if (this.isEmpty()) {
+          this.emit('empty');
+          this.#admitWaiters();
+          return null;
+        }
+        item = this.queue.dequeue();
+      }
+      
       this.stats.itemsDequeued++;
       
       if (this.isEmpty()) {
@@ -123,6 +254,7 @@ export class BoundedQueue {
         console.log(`BoundedQueue: Dequeued item, queue size: ${this.size()}`);
       }
       
+      this.#admitWaiters();
       return item;
     } catch (error) {
       this.stats.errors++;
@@ -152,26 +284,15 @@ export class BoundedQueue {
    * @param {any} item - Item to remove (matched by reference)
    * @returns {boolean} True if item was found and removed
    * 
-   * Note: This operation is O(n) and requires converting to array temporarily.
+   * Note: This operation is O(n) for the default circular buffer.
    * For high-performance use cases, avoid using this method.
    */
   remove(item) {
     try {
-      // Get all items, find and remove the target, then rebuild queue
-      const items = this.queue.toArray();
-      const index = items.indexOf(item);
-      
-      if (index === -1) {
+      if (!this.queue.remove(item)) {
         return false;
       }
       
-      // Remove the item
-      items.splice(index, 1);
-      
-      // Rebuild queue
-      this.queue.clear();
-      items.forEach(i => this.queue.enqueue(i));
-      
       this.stats.itemsDequeued++;
       
       if (this.isEmpty()) {
@@ -182,6 +303,7 @@ export class BoundedQueue {
         console.log(`BoundedQueue: Removed item, queue size: ${this.size()}`);
       }
       
+      this.#admitWaiters();
       return true;
     } catch (error) {
       this.stats.errors++;
@@ -190,6 +312,32 @@ export class BoundedQueue {
     }
   }
 
+  /**
+   * Remove all expired items from the queue
+   * @returns {number} Number of items removed
+   * 
+   * Note: This operation is O(n). It is a no-op when no `isExpired` predicate is configured.
+   */
+  purgeExpired() {
+    if (!this.isExpired || this.isEmpty()) {
+      return 0;
+    }
+    
+    const expired = this.queue.removeWhere(item => this.#checkExpired(item));
+    if (expired.length === 0) {
+      return 0;
+    }
+    
+    expired.forEach(i => this.#recordExpired(i, 'expired-in-queue'));
+    
+    if (this.isEmpty()) {
+      this.emit('empty');
+    }
+    
+    this.#admitWaiters();
+    return expired.length;
+  }
+
   /**
    * Check if queue is empty
    * @returns {boolean} True if empty
@@ -230,6 +378,7 @@ export class BoundedQueue {
     if (this.debug) {
       console.log('BoundedQueue: Cleared all items');
     }
+    this.#admitWaiters();
   }
 
   /**
@@ -239,13 +388,14 @@ export class BoundedQueue {
    */
   handleFullQueue(item) {
     switch (this.policy) {
-      case 'drop-oldest':
+      case 'drop-oldest': {
         // Remove oldest item and add new one
         this.queue.dropOldest();
         const success = this.queue.enqueue(item);
         this.stats.itemsDropped++;
         this.emit('dropped', { item, reason: 'drop-oldest' });
         return success;
+      }
         
       case 'drop-newest':
         // Reject new item
@@ -254,7 +404,7 @@ export class BoundedQueue {
         return false;
         
       case 'block':
-        // Wait for space (simplified - in real implementation would be async)
+        // A synchronous enqueue cannot wait - enqueueAsync() does
         this.emit('dropped', { item, reason: 'block-timeout' });
         return false;
         
@@ -326,10 +476,105 @@ export class BoundedQueue {
       capacity: this.capacity,
       currentSize: this.size(),
       policy: this.policy,
-      utilization: this.size() / this.capacity
+      utilization: this.size() / this.capacity,
+      waiting: this.waiters.length,
+      averageWaitTime: this.stats.itemsBlocked > 0
+        ? this.stats.totalWaitTime / this.stats.itemsBlocked
+        : 0
     };
   }
 
+  /**
+   * Evaluate the expiry predicate for an item (predicate errors count as not expired)
+   * @private
+   */
+  #checkExpired(item) {
+    if (!this.isExpired) return false;
+    try {
+      return this.isExpired(item) === true;
+    } catch (error) {
+      this.stats.errors++;
+      this.emit('error', { error, item });
+      return false;
+    }
+  }
+
+  /**
+   * Count and announce an expired item
+   * @private
+   */
+  #recordExpired(item, reason) {
+    this.stats.itemsExpired++;
+    this.emit('expired', { item, reason });
+    
+    if (this.debug) {
+      console.log(`BoundedQueue: Discarded expired item (${reason}), queue size: ${this.size()}`);
+    }
+  }
+
+  /**
+   * Move blocked producers into the queue while there is space (arrival order)
+   * @private
+   */
+  #admitWaiters() {
+    while (this.waiters.length > 0 && !this.isFull()) {
+      const waiter = this.waiters.shift();
+      this.#settleWaiter(waiter);
+      // enqueue() rejects items that expired while their producer was waiting
+      const success = this.enqueue(waiter.item);
+      this.#finishWait(waiter, success ? 'enqueued' : 'rejected', success);
+    }
+  }
+
+  /**
+   * End a wait because of a timeout or an abort signal
+   * @private
+   */
+  #cancelWaiter(waiter, outcome) {
+    const index = this.waiters.indexOf(waiter);
+    if (index === -1) return;
+    this.waiters.splice(index, 1);
+    this.#settleWaiter(waiter);
+    
+    this.stats.itemsDropped++;
+    if (outcome === 'timeout') {
+      this.stats.blockTimeouts++;
+    } else {
+      this.stats.blockAborts++;
+    }
+    this.emit('dropped', { item: waiter.item, reason: outcome === 'timeout' ? 'block-timeout' : 'block-aborted' });
+    this.#finishWait(waiter, outcome, false);
+  }
+
+  /**
+   * Clear a waiter's timer and abort listener
+   * @private
+   */
+  #settleWaiter(waiter) {
+    if (waiter.timer) {
+      clearTimeout(waiter.timer);
+    }
+    if (waiter.signal && waiter.onAbort) {
+      waiter.signal.removeEventListener('abort', waiter.onAbort);
+    }
+  }
+
+  /**
+   * Record the wait time and resolve the blocked producer
+   * @private
+   */
+  #finishWait(waiter, outcome, success) {
+    const waitTime = Date.now() - waiter.startedAt;
+    this.stats.totalWaitTime += waitTime;
+    this.stats.maxWaitTime = Math.max(this.stats.maxWaitTime, waitTime);
+    this.emit('waited', { item: waiter.item, waitTime, outcome });
+    
+    if (this.debug) {
+      console.log(`BoundedQueue: Producer unblocked (${outcome}) after ${waitTime}ms`);
+    }
+    waiter.resolve(success);
+  }
+
   /**
    * Set debug mode
    * @param {boolean} debug - Debug mode
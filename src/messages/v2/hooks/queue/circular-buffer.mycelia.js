@@ -192,6 +192,47 @@ export class CircularBuffer {
     this._size = 0;
   }
   
+  /**
+   * Remove a specific item (matched by reference), keeping the order of the others
+   * 
+   * Time complexity: O(n)
+   * 
+   * @param {any} item - Item to remove
+   * @returns {boolean} True if the item was found and removed
+   */
+  remove(item) {
+    let removed = false;
+    this.removeWhere(candidate => {
+      if (removed || candidate !== item) return false;
+      removed = true;
+      return true;
+    });
+    return removed;
+  }
+  
+  /**
+   * Remove every item matching a predicate, keeping the order of the others
+   * 
+   * Time complexity: O(n)
+   * 
+   * @param {Function} predicate - `(item) => boolean`
+   * @returns {Array} Removed items (oldest to newest)
+   */
+  removeWhere(predicate) {
+    const kept = [];
+    const removed = [];
+    for (const item of this.toArray()) {
+      (predicate(item) ? removed : kept).push(item);
+    }
+    if (removed.length === 0) {
+      return removed;
+    }
+    
+    this.clear();
+    kept.forEach(item => this.enqueue(item));
+    return removed;
+  }
+  
   /**
    * Convert buffer to array (for debugging/inspection)
    * 
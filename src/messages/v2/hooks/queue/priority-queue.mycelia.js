@@ -0,0 +1,142 @@
+import { BoundedQueue } from './bounded-queue.mycelia.js';
+import { BinaryHeap } from './binary-heap.mycelia.js';
+
+/**
+ * PriorityQueue Class
+ *
+ * A BoundedQueue that hands out items by numeric priority instead of arrival
+ * order. Backed by a BinaryHeap, so enqueue, dequeue and removal of the head
+ * are O(log n). Items of equal priority are dequeued in arrival order.
+ *
+ * Starvation protection (aging): with `agingInterval` set, an item gains one
+ * priority level for every `agingInterval` milliseconds it waits. Because all
+ * waiting items age at the same rate, the ranking between two items never
+ * changes after insertion (`priority - enqueuedAt / agingInterval`), which keeps
+ * the heap valid without re-scoring.
+ *
+ * Overflow: the 'drop-oldest' policy evicts the lowest-ranked item (the one that
+ * would be processed last) - or rejects the incoming item if it ranks lowest.
+ * The 'dropped' event carries the item that was actually dropped. Other
+ * policies behave as in BoundedQueue.
+ *
+ * @example
+ * // Interactive traffic (priority 10) overtakes bulk imports (priority 0)
+ * const queue = new PriorityQueue(1000, 'drop-oldest', {
+ *   getPriority: (pair) => pair.msg.meta.getPriority(),
+ *   agingInterval: 1000
+ * });
+ * queue.enqueue(bulkPair);
+ * queue.enqueue(interactivePair);
+ * queue.dequeue(); // interactivePair
+ */
+export class PriorityQueue extends BoundedQueue {
+  /**
+   * Create a new PriorityQueue instance
+   *
+   * @param {number} capacity - Maximum number of items the queue can hold
+   * @param {string} [policy='drop-oldest'] - Overflow policy when queue is full (see BoundedQueue)
+   * @param {Object} [options={}] - Additional options
+   * @param {Function} [options.getPriority] - `(item) => number`; higher is more urgent
+   *   (defaults to `item.msg.meta.getPriority()`, or 0)
+   * @param {number} [options.agingInterval=0] - Milliseconds of waiting per priority level gained (0 disables aging)
+   * @param {Function} [options.now] - Clock `() => epoch milliseconds` (defaults to Date.now)
+   * @param {Function} [options.isExpired] - Expiry predicate (see BoundedQueue)
+   *
+   * @example
+   * const queue = new PriorityQueue(500, 'drop-newest', { agingInterval: 2000 });
+   */
+  constructor(capacity, policy = 'drop-oldest', options = {}) {
+    super(capacity, policy, options);
+
+    const { getPriority = defaultGetPriority, agingInterval = 0, now = Date.now } = options;
+    if (typeof getPriority !== 'function') {
+      throw new Error('PriorityQueue: getPriority must be a function');
+    }
+    if (typeof agingInterval !== 'number' || !Number.isFinite(agingInterval) || agingInterval < 0) {
+      throw new Error('PriorityQueue: agingInterval must be a non-negative number of milliseconds');
+    }
+
+    this.getPriority = getPriority;
+    this.agingInterval = agingInterval;
+    this.now = now;
+    this.epoch = now();
+    this.queue = new BinaryHeap(capacity, (item) => this.#rank(item));
+  }
+
+  /**
+   * Whether the queue hands out items in its own (priority) order
+   *
+   * Schedulers take the head of an ordered queue instead of scanning it
+   * with a selection strategy.
+   *
+   * @returns {boolean} Always true
+   */
+  isOrdered() {
+    return true;
+  }
+
+  /**
+   * Handle queue overflow based on policy
+   * @param {any} item - Item that couldn't be enqueued
+   * @returns {boolean} Success status
+   */
+  handleFullQueue(item) {
+    if (this.policy !== 'drop-oldest') {
+      return super.handleFullQueue(item);
+    }
+
+    this.stats.itemsDropped++;
+
+    // The incoming item would be processed last: keep the queue as it is
+    if (this.queue.ranksBelowAll(item)) {
+      this.emit('dropped', { item, reason: 'drop-lowest' });
+      return false;
+    }
+
+    const evicted = this.queue.dropLowest();
+    const success = this.queue.enqueue(item);
+    this.emit('dropped', { item: evicted, reason: 'drop-lowest' });
+    return success;
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} Statistics object (BoundedQueue statistics plus type and agingInterval)
+   */
+  getStatistics() {
+    return {
+      ...super.getStatistics(),
+      type: 'priority',
+      agingInterval: this.agingInterval
+    };
+  }
+
+  /**
+   * Rank of an item at insertion time (higher is dequeued first)
+   * @private
+   */
+  #rank(item) {
+    let priority;
+    try {
+      priority = Number(this.getPriority(item)) || 0;
+    } catch (error) {
+      this.stats.errors++;
+      this.emit('error', { error, item });
+      priority = 0;
+    }
+
+    if (this.agingInterval === 0) {
+      return priority;
+    }
+    return priority - (this.now() - this.epoch) / this.agingInterval;
+  }
+}
+
+/**
+ * Default priority accessor for message-options pairs
+ * @param {{msg: Message, options: Object}} item - Queue item
+ * @returns {number} Message priority, or 0
+ */
+function defaultGetPriority(item) {
+  return item?.msg?.meta?.getPriority?.() ?? 0;
+}
@@ -27,6 +27,12 @@
  * const next = queueManager.dequeue();
  */
 import { BoundedQueue } from './bounded-queue.mycelia.js';
+import { PriorityQueue } from './priority-queue.mycelia.js';
+
+/**
+ * Queue implementations selectable with the `type` option
+ */
+export const QUEUE_TYPES = ['fifo', 'priority'];
 
 export class SubsystemQueueManager {
   /**
@@ -35,9 +41,18 @@ export class SubsystemQueueManager {
    * @param {Object} options - Configuration options
    * @param {number} [options.capacity=1000] - Queue capacity
    * @param {string} [options.policy='drop-oldest'] - Queue overflow policy
+   * @param {string} [options.type='fifo'] - Queue implementation:
+   *   - 'fifo': BoundedQueue, arrival order
+   *   - 'priority': PriorityQueue, highest message priority first (O(log n) selection)
+   * @param {number} [options.agingInterval=0] - Priority queues: milliseconds of waiting per priority level gained
    * @param {boolean} [options.debug=false] - Enable debug logging
    * @param {string} options.subsystemName - Subsystem name for logging
    * @param {Function} [options.onQueueFull] - Callback when queue becomes full: () => void
+   * @param {Function} [options.isExpired] - Expiry predicate for pairs: (pair) => boolean
+   *   (defaults to checking the message's ttl/expiresAt metadata)
+   * @param {Function} [options.onExpired] - Callback when an expired pair is discarded: (pair, reason) => void
+   * @param {number} [options.maxWait=0] - 'block' policy: default maximum wait in milliseconds (0 waits indefinitely)
+   * @param {Function} [options.onWaited] - Callback when a blocked producer stops waiting: (pair, waitTime, outcome) => void
    * 
    * @example
    * const queueManager = new SubsystemQueueManager({
@@ -53,13 +68,25 @@ export class SubsystemQueueManager {
       throw new Error('SubsystemQueueManager: subsystemName is required');
     }
     
+    const type = options.type || 'fifo';
+    if (!QUEUE_TYPES.includes(type)) {
+      throw new Error(`SubsystemQueueManager: unknown queue type '${type}' (expected ${QUEUE_TYPES.join(' or ')})`);
+    }
+    
     this.subsystemName = options.subsystemName;
     this.debug = options.debug || false;
+    this.type = type;
     
-    // Initialize bounded queue
-    this.queue = new BoundedQueue(
+    // Initialize bounded queue (expired messages are discarded, not processed)
+    const QueueClass = type === 'priority' ? PriorityQueue : BoundedQueue;
+    this.queue = new QueueClass(
       options.capacity || 1000,
-      options.policy || 'drop-oldest'
+      options.policy || 'drop-oldest',
+      {
+        isExpired: options.isExpired || isPairExpired,
+        agingInterval: options.agingInterval || 0,
+        maxWait: options.maxWait || 0
+      }
     );
     
     // Set queue debug mode
@@ -70,8 +97,18 @@ export class SubsystemQueueManager {
       this.queue.on('full', options.onQueueFull);
     }
     
+    // Listen to expired message events
+    if (options.onExpired) {
+      this.queue.on('expired', ({ item, reason }) => options.onExpired(item, reason));
+    }
+    
+    // Listen to blocked producers being admitted, timing out or aborting
+    if (options.onWaited) {
+      this.queue.on('waited', ({ item, waitTime, outcome }) => options.onWaited(item, waitTime, outcome));
+    }
+    
     if (this.debug) {
-      console.log(`SubsystemQueueManager ${this.subsystemName}: Initialized with capacity ${this.queue.getCapacity()}`);
+      console.log(`SubsystemQueueManager ${this.subsystemName}: Initialized ${type} queue with capacity ${this.queue.getCapacity()}`);
     }
   }
 
@@ -88,6 +125,22 @@ export class SubsystemQueueManager {
     return this.queue.enqueue(pair);
   }
 
+  /**
+   * Enqueue a message-options pair, waiting for space under the 'block' policy
+   * 
+   * @param {{msg: Message, options: Object}} pair - Message-options pair to enqueue
+   * @param {Object} [options={}] - Wait options
+   * @param {number} [options.maxWait] - Maximum wait in milliseconds (defaults to the queue's maxWait)
+   * @param {AbortSignal} [options.signal] - Abort signal that cancels the wait
+   * @returns {Promise<boolean>} True if successfully enqueued
+   * 
+   * @example
+   * const success = await queueManager.enqueueAsync({ msg: message, options: {} }, { maxWait: 1000 });
+   */
+  enqueueAsync(pair, options = {}) {
+    return this.queue.enqueueAsync(pair, options);
+  }
+
   /**
    * Dequeue the next message-options pair
    * 
@@ -103,6 +156,36 @@ export class SubsystemQueueManager {
     return this.queue.dequeue();
   }
 
+  /**
+   * Remove a queued message by ID (e.g. when its sender cancels it)
+   * 
+   * @param {string} messageId - Message ID
+   * @param {Function} [predicate] - Only remove the pair when `predicate(pair)` returns true
+   * @returns {{msg: Message, options: Object}|null} Removed pair or null if not queued
+   * 
+   * @example
+   * const removed = queueManager.removeMessage(message.getId());
+   */
+  removeMessage(messageId, predicate) {
+    const pair = this.queue.peekAll().find(entry => entry?.msg?.getId?.() === messageId);
+    if (!pair || (predicate && !predicate(pair)) || !this.queue.remove(pair)) {
+      return null;
+    }
+    if (this.debug) {
+      console.log(`SubsystemQueueManager ${this.subsystemName}: Removed message ${messageId}`);
+    }
+    return pair;
+  }
+
+  /**
+   * Discard all expired messages from the queue
+   * 
+   * @returns {number} Number of messages discarded
+   */
+  purgeExpired() {
+    return this.queue.purgeExpired();
+  }
+
   /**
    * Get current queue size
    * 
@@ -160,7 +243,7 @@ export class SubsystemQueueManager {
    * 
    * @example
    * const status = queueManager.getStatus({ isProcessing: true, isPaused: false });
-   * // Returns: { size, capacity, utilization, isEmpty, isFull, isProcessing, isPaused }
+   * // Returns: { size, capacity, type, utilization, isEmpty, isFull, waiting, isProcessing, isPaused }
    */
   getStatus(additionalState = {}) {
     const size = this.queue.size();
@@ -169,9 +252,11 @@ export class SubsystemQueueManager {
     return {
       size,
       capacity,
+      type: this.type,
       utilization: size / capacity,
       isEmpty: this.queue.isEmpty(),
       isFull: this.queue.isFull(),
+      waiting: this.queue.waitingCount(),
       ...additionalState
     };
   }
@@ -196,3 +281,11 @@ export class SubsystemQueueManager {
   }
 }
 
+/**
+ * Default expiry predicate: a pair is expired when its message's ttl/expiresAt has passed
+ * @param {{msg: Message, options: Object}} pair - Message-options pair
+ * @returns {boolean}
+ */
+function isPairExpired(pair) {
+  return pair?.msg?.meta?.isExpired?.() === true;
+}
@@ -4,7 +4,26 @@
  * Provides queue management functionality to subsystems.
  * Wraps SubsystemQueueManager and exposes queue operations.
  * 
+ * Expired messages (ttl/expiresAt metadata) are discarded by the queue. Each
+ * discard is counted in statistics (messagesExpired). Discards in the same tick
+ * (one purge, or one dequeue skipping several messages) are reported to the
+ * kernel error manager as a single ERROR_TYPES.TIMEOUT record via
+ * `kernel://expired/record`, with the count and a sample of the message IDs.
+ * 
+ * With `type: 'priority'` the queue is a heap (PriorityQueue) ordered by the
+ * message's numeric `priority` metadata, with aging so that low-priority
+ * messages are not starved.
+ * 
+ * With `policy: 'block'` a full queue applies backpressure: `accept()` (and so
+ * `sendProtected()` / `MessageRouter.route()`) waits until a message leaves the
+ * queue, up to `maxWait` milliseconds or until `options.signal` aborts. Time
+ * spent waiting is recorded in statistics (messagesBlocked, queue wait times).
+ * 
  * @param {Object} ctx - Context object containing config.queue for queue configuration
+ * @param {string} [ctx.config.queue.type='fifo'] - Queue implementation: 'fifo' or 'priority'
+ * @param {number} [ctx.config.queue.agingInterval=1000] - Priority queues: milliseconds of waiting per priority level gained (0 disables aging)
+ * @param {number} [ctx.config.queue.maxWait=0] - 'block' policy: maximum wait in milliseconds for space (0 waits indefinitely)
+ * @param {boolean} [ctx.config.queue.reportExpired=true] - Report discarded expired messages to the kernel
  * @param {Object} api - Subsystem API being built
  * @param {BaseSubsystem} subsystem - Subsystem instance
  * @returns {Facet} Facet object with queue methods
@@ -14,6 +33,15 @@ import { Facet } from 'mycelia-kernel-plugin/core';
 import { createHook } from '../create-hook.mycelia.js';
 import { getDebugFlag } from '../../utils/debug-flag.utils.mycelia.js';
 import { findFacet } from '../../utils/find-facet.utils.mycelia.js';
+import { createLogger } from '../../utils/logger.utils.mycelia.js';
+import { Message } from '../../models/message/message.mycelia.js';
+
+export const EXPIRED_RECORD_PATH = 'kernel://expired/record';
+
+/**
+ * Maximum number of expired messages described in one report
+ */
+export const EXPIRED_SAMPLE_SIZE = 10;
 
 export const useQueue = createHook({
   kind: 'queue',
@@ -23,25 +51,82 @@ export const useQueue = createHook({
   attach: true,
   source: import.meta.url,
   contract: 'queue',
-  // eslint-disable-next-line no-unused-vars
-  fn: (ctx, api, _subsystem) => {
+  fn: (ctx, api, subsystem) => {
     const { name } = api;
     const config = ctx.config?.queue || {};
+    const debug = getDebugFlag(config, ctx);
+    const logger = createLogger(debug, `useQueue ${name}`);
+    const reportExpired = config.reportExpired !== false;
     
-    // Get statistics hook if available (for onQueueFull callback)
+    // Get statistics hook if available (for onQueueFull/onExpired callbacks)
     const statisticsResult = findFacet(api.__facets, 'statistics');
     const statisticsFacet = statisticsResult ? statisticsResult.facet : null;
     
+    // Expired messages not yet reported: { count, sample }
+    let pendingReport = null;
+    
+    /**
+     * Send one report for every message that expired since the last one
+     */
+    const flushExpiredReport = () => {
+      const { count, sample } = pendingReport;
+      pendingReport = null;
+      
+      const report = new Message(EXPIRED_RECORD_PATH, { subsystem: name, count, sample });
+      return subsystem.identity.sendProtected(report);
+    };
+    
+    /**
+     * Count a discarded expired message and queue it for the next report
+     */
+    const onExpired = (pair, reason) => {
+      if (statisticsFacet?._statistics) {
+        statisticsFacet._statistics.recordExpired();
+      }
+      
+      const message = pair?.msg;
+      if (!reportExpired || !message || typeof subsystem?.identity?.sendProtected !== 'function') {
+        return;
+      }
+      
+      // Fire-and-forget: queue operations are synchronous, so the report is
+      // sent once the current purge/dequeue is done
+      if (!pendingReport) {
+        pendingReport = { count: 0, sample: [] };
+        Promise.resolve().then(flushExpiredReport).catch(error => {
+          logger.error('Failed to report expired messages:', error);
+        });
+      }
+      pendingReport.count++;
+      if (pendingReport.sample.length < EXPIRED_SAMPLE_SIZE) {
+        pendingReport.sample.push({
+          messageId: message.getId(),
+          path: message.getPath(),
+          expiresAt: message.meta?.getExpiresAt?.() ?? null,
+          stage: reason
+        });
+      }
+    };
+    
     // Create queue manager
     const queueManager = new SubsystemQueueManager({
       capacity: config.capacity || 1000,
       policy: config.policy || 'drop-oldest',
-      debug: getDebugFlag(config, ctx),
+      type: config.type || 'fifo',
+      agingInterval: config.agingInterval ?? 1000,
+      maxWait: config.maxWait || 0,
+      debug,
       subsystemName: name,
       onQueueFull: () => {
         if (statisticsFacet?._statistics) {
           statisticsFacet._statistics.recordQueueFull();
         }
+      },
+      onExpired,
+      onWaited: (pair, waitTime, outcome) => {
+        if (statisticsFacet?._statistics) {
+          statisticsFacet._statistics.recordQueueWait(waitTime, outcome === 'enqueued');
+        }
       }
     });
     
@@ -80,6 +165,24 @@ export const useQueue = createHook({
         return !queueManager.isEmpty();
       },
       
+      /**
+       * Discard all expired messages from the queue
+       * @returns {number} Number of messages discarded
+       */
+      purgeExpired() {
+        return queueManager.purgeExpired();
+      },
+      
+      /**
+       * Remove a queued message by ID
+       * @param {string} messageId - Message ID
+       * @param {Function} [predicate] - Only remove the pair when `predicate(pair)` returns true
+       * @returns {{msg: Message, options: Object}|null} Removed pair or null if not queued
+       */
+      removeMessage(messageId, predicate) {
+        return queueManager.removeMessage(messageId, predicate);
+      },
+      
       /**
        * Select next message to process
        * @returns {{msg: Message, options: Object}|null} Message-options pair or null
@@ -9,12 +9,17 @@
  * - No local timeout (relies on ResponseManagerSubsystem)
  * - Tracks multiple pending commands by correlationId
  * - Handles replies via handleCommandReply() method
+ * - streamCommand() yields streamed replies until the end marker
+ * - An AbortSignal (`signal` option) rejects the command and cancels it on the target
  */
 import { createSubsystemLogger } from '../../utils/logger.utils.mycelia.js';
+import { ResponseStream, applyStreamReply } from '../responses/response-stream.mycelia.js';
+import { createAbortError, onAbort, sendCancel } from './request-cancellation.mycelia.js';
 
 export class CommandManager {
   #subsystem;
-  #pending = new Map(); // correlationId -> { resolve, reject }
+  #pending = new Map(); // correlationId -> { resolve, reject, detachAbort }
+  #streams = new Map(); // correlationId -> { stream, detachAbort }
   #logger;
 
   /**
@@ -45,48 +50,28 @@ export class CommandManager {
    * @param {string} [params.options.path] - Override message path
    * @param {string} params.options.replyTo - Reply channel route (required)
    * @param {number} [params.options.timeout] - Timeout in milliseconds
+   * @param {AbortSignal} [params.options.signal] - Aborting rejects the command and sends a cancel message to the target
    * @param {Object} [params.options.sendOptions] - Additional sendProtected options
    * @returns {Promise<Message>} Promise that resolves with the response message
    * @throws {Error} If identity is not available, path is invalid, or replyTo is missing
    */
   sendCommand({ message, options }) {
-    const subsystem = this.#subsystem;
-    const identity = subsystem.identity;
+    const { identity, path, replyTo, timeout, sendOptions, correlationId, signal } =
+      this.#prepareCommand('sendCommand', message, options);
 
-    if (!identity || typeof identity.sendProtected !== 'function') {
-      throw new Error('CommandManager.sendCommand: subsystem.identity.sendProtected() is required.');
-    }
-
-    const {
-      path = message.path,
-      replyTo,
-      timeout,
-      ...sendOptions
-    } = options || {};
-
-    if (typeof path !== 'string' || !path.trim()) {
-      throw new Error('CommandManager.sendCommand: path must be a non-empty string.');
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError(signal));
     }
 
-    if (typeof replyTo !== 'string' || !replyTo.trim()) {
-      throw new Error('CommandManager.sendCommand: replyTo must be a non-empty string.');
-    }
-
-    // Ensure message has an id (correlationId)
-    // v2: Messages should always have an ID set during creation
-    // ResponseManagerSubsystem requires message.id to exist
-    let correlationId = message.id || message.getId?.();
-    if (!correlationId) {
-      throw new Error(
-        'CommandManager.sendCommand: message must have an id property. ' +
-        'Messages in v2 should always have IDs set during creation via MessageFactory.'
-      );
-    }
-    correlationId = String(correlationId);
-
     return new Promise((resolve, reject) => {
       // Track pending promise
-      this.#pending.set(correlationId, { resolve, reject });
+      const detachAbort = onAbort(signal, () => {
+        if (this.#pending.delete(correlationId)) {
+          reject(createAbortError(signal));
+          sendCancel(identity, message, signal.reason);
+        }
+      });
+      this.#pending.set(correlationId, { resolve, reject, detachAbort });
 
       // Send the actual command through identity → kernel
       // v2: Use responseRequired object format
@@ -102,20 +87,82 @@ export class CommandManager {
         const entry = this.#pending.get(correlationId);
         if (entry) {
           this.#pending.delete(correlationId);
+          entry.detachAbort();
           entry.reject(err);
         }
       });
     });
   }
 
+  /**
+   * Send a command whose reply is streamed (see responses.stream())
+   *
+   * Replies arriving on the reply channel for this correlationId are yielded
+   * until the end marker. Wire the reply route with its options,
+   * `(message, params, options) => commandManager.handleCommandReply(message, options)`,
+   * so a timeout fails the stream. As with sendCommand(), timeouts come from
+   * the ResponseManager, which restarts the timeout on each chunk. Aborting
+   * `options.signal`, or stopping the loop early, cancels the command on the target.
+   *
+   * @param {Object} params - Command parameters (same as sendCommand)
+   * @param {Message} params.message - Message to send
+   * @param {Object} [params.options={}] - Send options (`path`, `replyTo`, `timeout`, ...)
+   * @returns {ResponseStream} Async iterable of response chunks
+   * @throws {Error} If identity is not available, path is invalid, or replyTo is missing
+   *
+   * @example
+   * for await (const row of commandManager.streamCommand({ message, options: { replyTo: 'reports://channel/replies' } })) {
+   *   console.log(row);
+   * }
+   */
+  streamCommand({ message, options }) {
+    const { identity, path, replyTo, timeout, sendOptions, correlationId, signal } =
+      this.#prepareCommand('streamCommand', message, options);
+
+    const stream = new ResponseStream({
+      onCancel: (reason) => {
+        this.#closeStream(correlationId);
+        sendCancel(identity, message, reason);
+      }
+    });
+    if (signal?.aborted) {
+      stream.error(createAbortError(signal));
+      return stream;
+    }
+
+    const detachAbort = onAbort(signal, () => {
+      if (this.#closeStream(correlationId)) {
+        stream.error(createAbortError(signal));
+        sendCancel(identity, message, signal.reason);
+      }
+    });
+    this.#streams.set(correlationId, { stream, detachAbort });
+
+    identity.sendProtected(message, {
+      ...sendOptions,
+      path,
+      responseRequired: {
+        replyTo,
+        timeout
+      }
+    }).catch((err) => {
+      this.#closeStream(correlationId);
+      stream.error(err);
+    });
+
+    return stream;
+  }
+
   /**
    * Called when a reply arrives on the reply channel.
    * Uses correlationId to resolve the local Promise.
    * 
    * @param {Message} responseMessage - Response message
+   * @param {Object} [options={}] - Routing options of the reply; pass them for streamed
+   *   commands so a ResponseManager timeout (`success: false`) fails the stream
    * @returns {boolean} True if reply was handled (matched a pending command), false otherwise
    */
-  handleCommandReply(responseMessage) {
+  handleCommandReply(responseMessage, options = {}) {
     if (!responseMessage) return false;
 
     // v2: Extract correlationId from message
@@ -156,6 +203,16 @@ export class CommandManager {
     }
 
     const correlationId = String(candidate);
+
+    const streamEntry = this.#streams.get(correlationId);
+    if (streamEntry) {
+      // Streamed reply: a chunk, or the end marker that completes the stream
+      if (applyStreamReply(streamEntry.stream, responseMessage, options)) {
+        this.#closeStream(correlationId);
+      }
+      return true;
+    }
+
     const entry = this.#pending.get(correlationId);
 
     if (!entry) {
@@ -167,6 +224,7 @@ export class CommandManager {
     }
 
     this.#pending.delete(correlationId);
+    entry.detachAbort();
 
     // For now, we always resolve with the raw responseMessage.
     // Callers can inspect responseMessage/meta/options to decide
@@ -185,6 +243,7 @@ export class CommandManager {
   dispose() {
     // Best-effort cleanup: reject any still-pending promises
     for (const [correlationId, entry] of this.#pending.entries()) {
+      entry.detachAbort();
       try {
         entry.reject(
           new Error(
@@ -197,18 +256,91 @@ export class CommandManager {
     }
 
     this.#pending.clear();
+
+    for (const [correlationId, { stream, detachAbort }] of this.#streams.entries()) {
+      detachAbort();
+      stream.error(
+        new Error(`CommandManager.dispose: streamed command "${correlationId}" rejected due to disposal.`)
+      );
+    }
+    this.#streams.clear();
     this.#logger.log('CommandManager disposed; all pending commands cleared.');
   }
 
   /**
    * Get status information
    * 
-   * @returns {Object} Status object with pending count
+   * @returns {Object} Status object with pending and streaming counts
    */
   getStatus() {
     return {
-      pendingCount: this.#pending.size
+      pendingCount: this.#pending.size,
+      streamingCount: this.#streams.size
     };
   }
-}
 
+  /**
+   * Validate command parameters
+   * 
+   * @private
+   * @param {string} method - Method name used in error messages
+   * @param {Message} message - Message to send
+   * @param {Object} [options] - Send options
+   * @returns {Object} `{ identity, path, replyTo, timeout, sendOptions, correlationId, signal }`
+   */
+  #prepareCommand(method, message, options) {
+    const subsystem = this.#subsystem;
+    const identity = subsystem.identity;
+
+    if (!identity || typeof identity.sendProtected !== 'function') {
+      throw new Error(`CommandManager.${method}: subsystem.identity.sendProtected() is required.`);
+    }
+
+    const {
+      path = message.path,
+      replyTo,
+      timeout,
+      signal,
+      ...sendOptions
+    } = options || {};
+
+    if (typeof path !== 'string' || !path.trim()) {
+      throw new Error(`CommandManager.${method}: path must be a non-empty string.`);
+    }
+
+    if (typeof replyTo !== 'string' || !replyTo.trim()) {
+      throw new Error(`CommandManager.${method}: replyTo must be a non-empty string.`);
+    }
+
+    // Ensure message has an id (correlationId)
+    // v2: Messages should always have an ID set during creation
+    // ResponseManagerSubsystem requires message.id to exist
+    let correlationId = message.id || message.getId?.();
+    if (!correlationId) {
+      throw new Error(
+        `CommandManager.${method}: message must have an id property. ` +
+        'Messages in v2 should always have IDs set during creation via MessageFactory.'
+      );
+    }
+    correlationId = String(correlationId);
+
+    return { identity, path, replyTo, timeout, sendOptions, correlationId, signal };
+  }
+
+  /**
+   * Stop tracking a streamed command
+   * 
+   * @private
+   * @param {string} correlationId - Correlation ID
+   * @returns {boolean} True if the stream was still tracked
+   */
+  #closeStream(correlationId) {
+    const entry = this.#streams.get(correlationId);
+    if (!entry) {
+      return false;
+    }
+    this.#streams.delete(correlationId);
+    entry.detachAbort();
+    return true;
+  }
+}
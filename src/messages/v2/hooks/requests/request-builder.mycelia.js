@@ -19,7 +19,29 @@
  *   .with({ replyTo: 'subsystem://channel/replies', timeout: 5000 })
  *   .forMessage(commandMessage)
  *   .send();
+ * 
+ * @example
+ * // Streamed response (the responder uses responses.stream())
+ * const request = subsystem.requests
+ *   .oneShot()
+ *   .with({ timeout: 5000 })
+ *   .forMessage(exportMessage);
+ * for await (const row of request.stream()) {
+ *   console.log(row);
+ * }
+ * 
+ * @example
+ * // Cancellable request: aborting rejects it and cancels the work on the target
+ * const controller = new AbortController();
+ * const pending = subsystem.requests
+ *   .oneShot()
+ *   .with({ handler: async (r) => r.getBody(), timeout: 5000, signal: controller.signal })
+ *   .forMessage(message)
+ *   .send();
+ * controller.abort();
  */
+import { performStreamRequest } from './request-core.mycelia.js';
+
 export class RequestBuilder {
   #type;
   #subsystem;
@@ -65,6 +87,7 @@ export class RequestBuilder {
    * 
    * Can be called multiple times to incrementally build options.
    * Options are merged (later calls override earlier ones).
+   * A `signal` (AbortSignal) makes the request cancellable for both types.
    * 
    * @param {Object} [options={}] - Options to merge
    * @returns {RequestBuilder} This builder instance for chaining
@@ -146,4 +169,56 @@ export class RequestBuilder {
         throw new Error(`RequestBuilder.send: unknown request type "${type}".`);
     }
   }
+
+  /**
+   * Execute the request and read a streamed response
+   * 
+   * The responder emits chunks with responses.stream(); a plain reply is
+   * yielded as the only chunk. For 'oneShot', `timeout` bounds the wait for
+   * each chunk; for 'command', the ResponseManager timeout applies.
+   * Breaking out of the loop stops listening for further chunks.
+   * 
+   * @returns {ResponseStream} Async iterable of response chunks
+   * @throws {Error} If message is not set or the request cannot be sent
+   * 
+   * @example
+   * for await (const chunk of builder.stream()) {
+   *   render(chunk);
+   * }
+   */
+  stream() {
+    const type = this.#type;
+    const message = this.#message;
+    const options = this.#options || {};
+
+    if (!message) {
+      throw new Error('RequestBuilder.stream: no message provided. Call forMessage() first.');
+    }
+
+    switch (type) {
+      case 'oneShot': {
+        // eslint-disable-next-line no-unused-vars
+        const { handler, timeout, replyTo, ...sendOptions } = options;
+        return performStreamRequest(this.#subsystem, message, {
+          timeout,
+          replyTo,
+          ...sendOptions
+        });
+      }
+
+      case 'command': {
+        if (!this.#commandManager) {
+          throw new Error('RequestBuilder(command).stream: CommandManager is not available.');
+        }
+
+        return this.#commandManager.streamCommand({
+          message,
+          options
+        });
+      }
+
+      default:
+        throw new Error(`RequestBuilder.stream: unknown request type "${type}".`);
+    }
+  }
 }
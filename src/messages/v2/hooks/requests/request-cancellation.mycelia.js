@@ -0,0 +1,113 @@
+/**
+ * Request Cancellation
+ *
+ * AbortSignal plumbing shared by performRequest, performStreamRequest and
+ * CommandManager, and the cancel message they send to the target subsystem.
+ *
+ * When the caller's signal aborts, the request is rejected locally and a
+ * cancel message is sent to the target subsystem's cancel route:
+ *
+ *   <subsystem>://request/cancel   { correlationId, reason }
+ *
+ * The kernel drops the pending response (ResponseManagerSubsystem.cancel) and
+ * the target's processor removes the message from its queue, or aborts the
+ * `signal` its handler received if it is already running.
+ *
+ * @example
+ * const controller = new AbortController();
+ * const pending = subsystem.requests.oneShot()
+ *   .with({ timeout: 5000, signal: controller.signal })
+ *   .forMessage(message)
+ *   .send();
+ * controller.abort(); // pending rejects with an AbortError; the handler's signal aborts
+ */
+import { Message } from '../../models/message/message.mycelia.js';
+
+/**
+ * Route (after the subsystem scheme) of cancel messages
+ */
+export const CANCEL_REQUEST_ROUTE = 'request/cancel';
+
+/**
+ * Get the cancel path of the subsystem that receives a message
+ *
+ * @param {string} path - Path of the request message (e.g. 'reports://export')
+ * @returns {string|null} Cancel path (e.g. 'reports://request/cancel') or null if the path has no scheme
+ */
+export function getCancelPath(path) {
+  if (typeof path !== 'string') {
+    return null;
+  }
+  const index = path.indexOf('://');
+  return index > 0 ? `${path.slice(0, index)}://${CANCEL_REQUEST_ROUTE}` : null;
+}
+
+/**
+ * Check if a path is a subsystem's cancel path
+ *
+ * @param {string} path - Message path
+ * @returns {boolean} True for '<subsystem>://request/cancel'
+ */
+export function isCancelPath(path) {
+  return typeof path === 'string' && path.endsWith(`://${CANCEL_REQUEST_ROUTE}`);
+}
+
+/**
+ * Create the error a cancelled request rejects with
+ *
+ * @param {AbortSignal} [signal] - Aborted signal (its reason is used when it is an Error)
+ * @returns {Error} The signal's reason, or an Error named 'AbortError'
+ */
+export function createAbortError(signal) {
+  if (signal?.reason instanceof Error) {
+    return signal.reason;
+  }
+  const error = new Error(
+    signal?.reason !== undefined ? `Request aborted: ${String(signal.reason)}` : 'Request aborted'
+  );
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Call `listener` once when `signal` aborts
+ *
+ * @param {AbortSignal} [signal] - Signal to watch (no-op when missing)
+ * @param {Function} listener - Called with no arguments
+ * @returns {Function} Detach function
+ */
+export function onAbort(signal, listener) {
+  if (!signal || typeof signal.addEventListener !== 'function') {
+    return () => {};
+  }
+  signal.addEventListener('abort', listener, { once: true });
+  return () => signal.removeEventListener('abort', listener);
+}
+
+/**
+ * Send a cancel message for a request to its target subsystem (best-effort)
+ *
+ * @param {Object} identity - Sender identity with sendProtected()
+ * @param {Message} message - Cancelled request message
+ * @param {any} [reason] - Abort reason
+ * @returns {Promise<boolean>} True if the cancel message was sent
+ */
+export async function sendCancel(identity, message, reason) {
+  const cancelPath = getCancelPath(message?.getPath?.() ?? message?.path);
+  const correlationId = message?.getId?.() ?? message?.id;
+  if (!cancelPath || !correlationId || typeof identity?.sendProtected !== 'function') {
+    return false;
+  }
+
+  const body = {
+    correlationId: String(correlationId),
+    reason: reason instanceof Error ? reason.message : (reason === undefined ? null : String(reason))
+  };
+  try {
+    // Processed immediately: the cancel must not wait behind the work it cancels
+    await identity.sendProtected(new Message(cancelPath, body, { processImmediately: true }));
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -12,12 +12,24 @@
  *   - clears the timeout
  *   - resolves/rejects the promise
  * 
+ * performStreamRequest() does the same for streamed responses: the reply
+ * route stays registered until the end marker and chunks are yielded as they
+ * arrive.
+ * 
+ * Both accept an AbortSignal (`signal` option): aborting rejects the request
+ * (or fails the stream) and sends a cancel message to the target subsystem
+ * (see request-cancellation.mycelia.js). A streaming caller that stops reading
+ * early cancels the same way.
+ * 
  * Assumptions:
  * - message.meta is frozen elsewhere; we DO NOT mutate it.
  * - reply semantics live in the send options only.
  * - message.getId() must return a valid id.
  */
 
+import { ResponseStream, applyStreamReply } from '../responses/response-stream.mycelia.js';
+import { createAbortError, onAbort, sendCancel } from './request-cancellation.mycelia.js';
+
 /**
  * Perform a request/response operation
  * 
@@ -25,64 +37,28 @@
  * @param {Function} handler - Handler function to process the response: async (responseMessage, params, options) => result
  * @param {Message} message - Message to send
  * @param {number|Object} [timeoutOrOptions] - Timeout in milliseconds or options object
+ * @param {AbortSignal} [timeoutOrOptions.signal] - Aborting rejects the request and cancels it on the target
  * @returns {Promise<any>} Result from the handler function
- * @throws {Error} If router or identity is not available, or if request times out
+ * @throws {Error} If router or identity is not available, if request times out, or if it is aborted
  */
 export async function performRequest(subsystem, handler, message, timeoutOrOptions) {
-  // Get router facet
-  const routerFacet = subsystem.router || subsystem.find?.('router');
-  if (!routerFacet) {
-    throw new Error('performRequest: subsystem requires router facet');
-  }
-
-  // Get identity
-  const identity = subsystem.identity;
-  if (!identity?.sendProtected) {
-    throw new Error('performRequest: subsystem requires identity.sendProtected()');
-  }
-
-  // Normalize options
-  let opts = {};
-  if (typeof timeoutOrOptions === 'number') {
-    opts.timeout = timeoutOrOptions;
-  } else if (typeof timeoutOrOptions === 'object' && timeoutOrOptions !== null) {
-    opts = { ...timeoutOrOptions };
-  }
-
-  const {
-    timeout = 10_000,
-    replyTo: explicitReplyTo,
-    ...sendOptions
-  } = opts;
-
-  // Get subsystem name string
-  const nameString = subsystem.getNameString?.() || subsystem.name || 'subsystem';
-
-  // Get message ID (v2 uses getId() method)
-  const messageId = message.getId?.();
-  if (!messageId) {
-    throw new Error('performRequest: message.getId() must return a valid id for oneShot requests.');
-  }
-
-  // Generate reply route
-  // One-shot reply route, owned by this subsystem
-  // Example: "kernel://request/oneShot/1234"
-  const replyTo = explicitReplyTo ?? `${nameString}://request/oneShot/${messageId}`;
+  const { routerFacet, identity, timeout, sendOptions, messageId, replyTo, signal } =
+    prepareOneShot('performRequest', subsystem, message, timeoutOrOptions);
   const routeForHandler = replyTo; // We treat replyTo as the route we register.
 
-  // OPTIMIZATION: Set processImmediately flag to bypass scheduler for faster processing
-  // This allows one-shot requests to be processed immediately without waiting for scheduler
-  if (message.meta && typeof message.meta.updateMutable === 'function') {
-    message.meta.updateMutable({ processImmediately: true });
+  if (signal?.aborted) {
+    throw createAbortError(signal);
   }
 
   return new Promise((resolve, reject) => {
     let timeoutId = null;
+    let detachAbort = () => {};
 
     const wrappedHandler = async (responseMessage, params, localHandlerOptions = {}) => {
       try {
         routerFacet.unregisterRoute(routeForHandler);
         if (timeoutId) clearTimeout(timeoutId);
+        detachAbort();
         const result = await handler(responseMessage, params, localHandlerOptions);
         resolve(result);
       } catch (err) {
@@ -101,10 +77,20 @@ export async function performRequest(subsystem, handler, message, timeoutOrOptio
     if (timeout > 0) {
       timeoutId = setTimeout(() => {
         routerFacet.unregisterRoute(routeForHandler);
-        reject(new Error(`Request timed out after ${timeout}ms`));
+        detachAbort();
+        const error = new Error(`Request timed out after ${timeout}ms`);
+        error.name = 'TimeoutError';
+        reject(error);
       }, timeout);
     }
 
+    detachAbort = onAbort(signal, () => {
+      routerFacet.unregisterRoute(routeForHandler);
+      if (timeoutId) clearTimeout(timeoutId);
+      reject(createAbortError(signal));
+      sendCancel(identity, message, signal.reason);
+    });
+
     identity
       .sendProtected(message, {
         ...sendOptions,
@@ -118,8 +104,161 @@ export async function performRequest(subsystem, handler, message, timeoutOrOptio
         if (timeoutId) {
           clearTimeout(timeoutId);
         }
+        detachAbort();
         reject(err);
       });
   });
 }
 
+/**
+ * Perform a streaming request
+ *
+ * Like performRequest, but the reply route stays registered until the
+ * responder's end marker (see responses.stream()). A reply without a stream
+ * frame is delivered as the only chunk. `timeout` bounds the wait for each
+ * chunk, not the whole stream; stopping the loop early unregisters the route
+ * and cancels the request on the target.
+ *
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @param {Message} message - Message to send
+ * @param {number|Object} [timeoutOrOptions] - Timeout in milliseconds or options object
+ * @param {AbortSignal} [timeoutOrOptions.signal] - Aborting fails the stream and cancels the request on the target
+ * @returns {ResponseStream} Async iterable of response chunks
+ * @throws {Error} If router or identity is not available, or the reply route cannot be registered
+ *
+ * @example
+ * for await (const row of performStreamRequest(subsystem, message, { timeout: 5000 })) {
+ *   console.log(row);
+ * }
+ */
+export function performStreamRequest(subsystem, message, timeoutOrOptions) {
+  const { routerFacet, identity, timeout, sendOptions, messageId, replyTo, signal } =
+    prepareOneShot('performStreamRequest', subsystem, message, timeoutOrOptions);
+
+  let timeoutId = null;
+  let detachAbort = () => {};
+  const finish = () => {
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+      timeoutId = null;
+    }
+    detachAbort();
+    routerFacet.unregisterRoute(replyTo);
+  };
+  // The reader stopped early: the rest of the work is not needed
+  const stream = new ResponseStream({
+    onCancel: (reason) => {
+      finish();
+      sendCancel(identity, message, reason);
+    }
+  });
+
+  if (signal?.aborted) {
+    stream.error(createAbortError(signal));
+    return stream;
+  }
+
+  // Restarted on every chunk
+  const armTimeout = () => {
+    if (timeout <= 0) return;
+    if (timeoutId) clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => {
+      timeoutId = null;
+      finish();
+      stream.error(new Error(`Stream request timed out after ${timeout}ms without a chunk`));
+    }, timeout);
+  };
+
+  routerFacet.registerRoute(replyTo, async (responseMessage, params, localHandlerOptions = {}) => {
+    if (applyStreamReply(stream, responseMessage, localHandlerOptions)) {
+      finish();
+    } else {
+      armTimeout();
+    }
+  }, {
+    metadata: { description: `Auto stream reply route for message ${messageId}` }
+  });
+  armTimeout();
+
+  detachAbort = onAbort(signal, () => {
+    finish();
+    stream.error(createAbortError(signal));
+    sendCancel(identity, message, signal.reason);
+  });
+
+  identity
+    .sendProtected(message, {
+      ...sendOptions,
+      responseRequired: {
+        replyTo,
+        timeout
+      }
+    })
+    .catch((err) => {
+      finish();
+      stream.error(err);
+    });
+
+  return stream;
+}
+
+/**
+ * Resolve the facets, options and reply route of a one-shot request
+ *
+ * @private
+ * @param {string} caller - Function name used in error messages
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @param {Message} message - Message to send
+ * @param {number|Object} [timeoutOrOptions] - Timeout in milliseconds or options object
+ * @returns {Object} `{ routerFacet, identity, timeout, sendOptions, messageId, replyTo, signal }`
+ */
+function prepareOneShot(caller, subsystem, message, timeoutOrOptions) {
+  // Get router facet
+  const routerFacet = subsystem.router || subsystem.find?.('router');
+  if (!routerFacet) {
+    throw new Error(`${caller}: subsystem requires router facet`);
+  }
+
+  // Get identity
+  const identity = subsystem.identity;
+  if (!identity?.sendProtected) {
+    throw new Error(`${caller}: subsystem requires identity.sendProtected()`);
+  }
+
+  // Normalize options
+  let opts = {};
+  if (typeof timeoutOrOptions === 'number') {
+    opts.timeout = timeoutOrOptions;
+  } else if (typeof timeoutOrOptions === 'object' && timeoutOrOptions !== null) {
+    opts = { ...timeoutOrOptions };
+  }
+
+  const {
+    timeout = 10_000,
+    replyTo: explicitReplyTo,
+    signal,
+    ...sendOptions
+  } = opts;
+
+  // Get subsystem name string
+  const nameString = subsystem.getNameString?.() || subsystem.name || 'subsystem';
+
+  // Get message ID (v2 uses getId() method)
+  const messageId = message.getId?.();
+  if (!messageId) {
+    throw new Error(`${caller}: message.getId() must return a valid id for oneShot requests.`);
+  }
+
+  // Generate reply route
+  // One-shot reply route, owned by this subsystem
+  // Example: "kernel://request/oneShot/1234"
+  const replyTo = explicitReplyTo ?? `${nameString}://request/oneShot/${messageId}`;
+
+  // OPTIMIZATION: Set processImmediately flag to bypass scheduler for faster processing
+  // This allows one-shot requests to be processed immediately without waiting for scheduler
+  if (message.meta && typeof message.meta.updateMutable === 'function') {
+    message.meta.updateMutable({ processImmediately: true });
+  }
+
+  return { routerFacet, identity, timeout, sendOptions, messageId, replyTo, signal };
+}
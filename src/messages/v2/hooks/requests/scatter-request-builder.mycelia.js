@@ -0,0 +1,368 @@
+/**
+ * ScatterRequestBuilder Class
+ *
+ * Fluent builder for scatter-gather requests: one message is sent to several
+ * subsystem paths as one-shot requests (one RequestBuilder per target) and the
+ * replies are gathered according to a policy:
+ *
+ * - 'all': wait for every target; succeeds if every target replied successfully
+ * - 'first-success': resolve with the first successful reply
+ * - 'quorum': resolve once `quorum` targets replied successfully
+ * - 'best-effort': collect replies until `deadline`; succeeds if any target replied
+ *
+ * Each target has its own timeout. Targets still running when the policy is
+ * decided (or the deadline passes) are cancelled through their AbortSignal.
+ *
+ * @example
+ * // Health probe of every subsystem
+ * const result = await subsystem.requests
+ *   .scatter()
+ *   .to('*://health')
+ *   .with({ policy: 'best-effort', timeout: 500, deadline: 1000 })
+ *   .forMessage(probeMessage)
+ *   .send();
+ * // result.results => [{ target: 'db://health', status: 'fulfilled', value: {...} }, ...]
+ *
+ * @example
+ * // Quorum vote
+ * const vote = await subsystem.requests
+ *   .scatter()
+ *   .to(['node-a://vote', 'node-b://vote', 'node-c://vote'])
+ *   .with({ policy: 'quorum', quorum: 2, timeout: 2000 })
+ *   .forMessage(proposalMessage)
+ *   .send();
+ */
+import { RequestBuilder } from './request-builder.mycelia.js';
+import { createAbortError, onAbort } from './request-cancellation.mycelia.js';
+import { Message } from '../../models/message/message.mycelia.js';
+import { compilePathPattern, isPathPattern } from '../../utils/path-pattern.utils.mycelia.js';
+
+export const SCATTER_POLICIES = ['all', 'first-success', 'quorum', 'best-effort'];
+
+export class ScatterRequestBuilder {
+  #subsystem;
+  #performRequest;
+  #commandManager;
+  #targets = null;
+  #options = {};
+  #message = null;
+
+  /**
+   * Create a new ScatterRequestBuilder
+   *
+   * @param {Object} params - Builder parameters
+   * @param {BaseSubsystem} params.subsystem - Subsystem instance
+   * @param {Function} params.performRequest - performRequest function reference
+   * @param {CommandManager} [params.commandManager] - CommandManager instance
+   * @throws {Error} If parameters are invalid
+   */
+  constructor({ subsystem, performRequest, commandManager }) {
+    if (!subsystem) {
+      throw new Error('ScatterRequestBuilder: subsystem is required');
+    }
+    if (typeof performRequest !== 'function') {
+      throw new Error('ScatterRequestBuilder: performRequest function is required');
+    }
+
+    this.#subsystem = subsystem;
+    this.#performRequest = performRequest;
+    this.#commandManager = commandManager;
+  }
+
+  /**
+   * Set the target paths
+   *
+   * Either a list of paths, or one path whose subsystem name is a path pattern
+   * (see compilePathPattern, e.g. '*://health', 'search-*://query'); a pattern
+   * is expanded against the subsystems registered in the MessageSystem when sending.
+   *
+   * @param {string|Array<string>} targets - Target paths or pattern
+   * @returns {ScatterRequestBuilder} This builder instance for chaining
+   *
+   * @example
+   * builder.to(['a://status', 'b://status']);
+   * builder.to('*://status');
+   */
+  to(targets) {
+    this.#targets = targets;
+    return this;
+  }
+
+  /**
+   * Add options to the builder
+   *
+   * Options are merged (later calls override earlier ones):
+   * - `policy` - 'all' (default), 'first-success', 'quorum' or 'best-effort'
+   * - `quorum` - Successful replies required by the 'quorum' policy
+   * - `timeout` - Per-target timeout in milliseconds (default: 10000)
+   * - `timeouts` - Per-target overrides: { [targetPath]: ms }
+   * - `deadline` - Overall deadline in milliseconds (required for 'best-effort')
+   * - `handler` - Reply handler run per target: async (response, params, options) => value
+   *   (default: the reply body; a reply sent with `success: false` rejects)
+   * - `signal` - AbortSignal cancelling every target
+   *
+   * Any other option is passed on to each request's sendProtected call.
+   *
+   * @param {Object} [options={}] - Options to merge
+   * @returns {ScatterRequestBuilder} This builder instance for chaining
+   */
+  with(options = {}) {
+    this.#options = { ...(this.#options || {}), ...(options || {}) };
+    return this;
+  }
+
+  /**
+   * Set the message to send
+   *
+   * Each target receives a copy of the message at its own path (same body,
+   * trace inherited from the original message).
+   *
+   * @param {Message} message - Message to send
+   * @returns {ScatterRequestBuilder} This builder instance for chaining
+   */
+  forMessage(message) {
+    this.#message = message;
+    return this;
+  }
+
+  /**
+   * Send the message to every target and gather the replies
+   *
+   * @returns {Promise<Object>} Scatter result:
+   *   { success, policy, value, succeeded, failed, results: [{ target, status, value, error, durationMs }] }
+   *   where status is 'fulfilled', 'rejected', 'timeout' or 'cancelled'
+   *   and `value` is the winning reply for 'first-success'
+   * @throws {Error} If the message, targets or policy options are invalid, or the signal aborted
+   *
+   * @example
+   * const { success, results } = await builder.send();
+   */
+  async send() {
+    const message = this.#message;
+    const {
+      policy = 'all',
+      quorum,
+      timeout = 10_000,
+      timeouts = {},
+      deadline,
+      handler = defaultReplyHandler,
+      signal,
+      ...sendOptions
+    } = this.#options || {};
+
+    if (!message) {
+      throw new Error('ScatterRequestBuilder.send: no message provided. Call forMessage() first.');
+    }
+    if (!SCATTER_POLICIES.includes(policy)) {
+      throw new Error(`ScatterRequestBuilder.send: unknown policy "${policy}". Expected one of: ${SCATTER_POLICIES.join(', ')}`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error('ScatterRequestBuilder.send: options.handler must be a function.');
+    }
+
+    const targets = this.#resolveTargets();
+    if (targets.length === 0) {
+      throw new Error('ScatterRequestBuilder.send: no targets. Call to() with paths or a pattern matching registered subsystems.');
+    }
+
+    const required = policy === 'quorum' ? quorum : null;
+    if (policy === 'quorum' && (!Number.isInteger(required) || required < 1 || required > targets.length)) {
+      throw new Error(`ScatterRequestBuilder.send: quorum must be an integer between 1 and ${targets.length}, got ${quorum}`);
+    }
+    if (policy === 'best-effort' && !(deadline > 0)) {
+      throw new Error('ScatterRequestBuilder.send: the best-effort policy requires a deadline (ms).');
+    }
+    if (signal?.aborted) {
+      throw createAbortError(signal);
+    }
+
+    const startedAt = Date.now();
+    const entries = targets.map(target => ({
+      target,
+      controller: new AbortController(),
+      outcome: { target, status: 'pending', value: undefined, error: undefined, durationMs: null }
+    }));
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let deadlineId = null;
+      let detachAbort = () => {};
+
+      const counts = () => {
+        let succeeded = 0;
+        let failed = 0;
+        for (const { outcome } of entries) {
+          if (outcome.status === 'fulfilled') succeeded++;
+          else if (outcome.status !== 'pending') failed++;
+        }
+        return { succeeded, failed };
+      };
+
+      // Stop the targets that are still running
+      const stopPending = (status, reason) => {
+        for (const entry of entries) {
+          if (entry.outcome.status === 'pending') {
+            settleTarget(entry, status, { error: reason });
+            entry.controller.abort(reason);
+          }
+        }
+      };
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        if (deadlineId) clearTimeout(deadlineId);
+        detachAbort();
+
+        if (error) {
+          stopPending('cancelled', error.message);
+          reject(error);
+          return;
+        }
+        stopPending('cancelled', 'Scatter request settled');
+
+        const { succeeded, failed } = counts();
+        const results = entries.map(entry => entry.outcome);
+        resolve({
+          success: isSuccessful(policy, { succeeded, failed, total: entries.length, required }),
+          policy,
+          value: policy === 'first-success' ? results.find(r => r.status === 'fulfilled')?.value : undefined,
+          succeeded,
+          failed,
+          results
+        });
+      };
+
+      // Decide as soon as the policy allows
+      const evaluate = () => {
+        const { succeeded, failed } = counts();
+        const total = entries.length;
+        if (succeeded + failed === total) return finish();
+
+        if (policy === 'first-success' && succeeded > 0) return finish();
+        if (policy === 'quorum' && (succeeded >= required || total - failed < required)) return finish();
+      };
+
+      function settleTarget(entry, status, { value, error } = {}) {
+        if (entry.outcome.status !== 'pending') return;
+        entry.outcome.status = status;
+        entry.outcome.value = value;
+        entry.outcome.error = error;
+        entry.outcome.durationMs = Date.now() - startedAt;
+      }
+
+      if (deadline > 0) {
+        deadlineId = setTimeout(() => {
+          deadlineId = null;
+          stopPending('timeout', `Scatter deadline of ${deadline}ms passed`);
+          finish();
+        }, deadline);
+      }
+
+      detachAbort = onAbort(signal, () => finish(createAbortError(signal)));
+
+      for (const entry of entries) {
+        const targetMessage = new Message(entry.target, message.getBody(), { parentMessage: message });
+        const request = new RequestBuilder({
+          type: 'oneShot',
+          subsystem: this.#subsystem,
+          performRequest: this.#performRequest,
+          commandManager: this.#commandManager
+        })
+          .with({
+            ...sendOptions,
+            handler,
+            timeout: timeouts[entry.target] ?? timeout,
+            signal: entry.controller.signal
+          })
+          .forMessage(targetMessage);
+
+        request.send()
+          .then(
+            (value) => settleTarget(entry, 'fulfilled', { value }),
+            (err) => settleTarget(entry, classifyError(err, entry.controller.signal), { error: err?.message || String(err) })
+          )
+          .finally(() => {
+            if (!settled) evaluate();
+          });
+      }
+    });
+  }
+
+  /**
+   * Resolve the configured targets to a list of paths
+   *
+   * @returns {Array<string>} Unique target paths
+   * @throws {Error} If targets are missing or a pattern cannot be expanded
+   */
+  #resolveTargets() {
+    const targets = this.#targets;
+    if (Array.isArray(targets)) {
+      return [...new Set(targets.filter(target => typeof target === 'string' && target.length > 0))];
+    }
+    if (typeof targets !== 'string' || !targets.includes('://')) {
+      throw new Error('ScatterRequestBuilder.send: targets must be an array of paths or a path pattern like "*://health".');
+    }
+
+    const index = targets.indexOf('://');
+    const namePattern = targets.slice(0, index);
+    const route = targets.slice(index + 3);
+    if (!isPathPattern(namePattern)) {
+      return [targets];
+    }
+
+    const messageSystem = this.#subsystem.messageSystem || this.#subsystem.ctx?.ms;
+    if (typeof messageSystem?.getSubsystems !== 'function') {
+      throw new Error('ScatterRequestBuilder.send: a MessageSystem is required to expand target patterns.');
+    }
+    const matcher = compilePathPattern(namePattern);
+    return messageSystem.getSubsystems()
+      .map(subsystem => subsystem.name)
+      .filter(name => matcher.match(name) !== null)
+      .map(name => `${name}://${route}`);
+  }
+}
+
+/**
+ * Default per-target reply handler: the reply body, or an error for failed replies
+ *
+ * @param {Message} response - Reply message
+ * @param {Object} params - Route params
+ * @param {Object} [options] - Route options ({ success, error } of the reply)
+ * @returns {any} Reply body
+ * @throws {Error} If the reply was sent with success=false
+ */
+function defaultReplyHandler(response, params, options = {}) {
+  if (options.success === false) {
+    const detail = options.error;
+    const error = new Error(detail?.message || (typeof detail === 'string' ? detail : 'Target replied with an error'));
+    if (detail?.kind === 'timeout') {
+      error.name = 'TimeoutError';
+    }
+    throw error;
+  }
+  return response.getBody?.() ?? response.body;
+}
+
+/**
+ * Map a failed target request to its outcome status
+ */
+function classifyError(err, signal) {
+  if (err?.name === 'TimeoutError') return 'timeout';
+  if (signal.aborted || err?.name === 'AbortError') return 'cancelled';
+  return 'rejected';
+}
+
+/**
+ * Whether a gathered scatter request met its policy
+ */
+function isSuccessful(policy, { succeeded, failed, total, required }) {
+  switch (policy) {
+    case 'all':
+      return succeeded === total && failed === 0;
+    case 'quorum':
+      return succeeded >= required;
+    default:
+      return succeeded > 0;
+  }
+}
@@ -12,6 +12,7 @@
 import { Facet } from 'mycelia-kernel-plugin/core';
 import { createHook } from '../create-hook.mycelia.js';
 import { RequestBuilder } from './request-builder.mycelia.js';
+import { ScatterRequestBuilder } from './scatter-request-builder.mycelia.js';
 import { CommandManager } from './command-manager.mycelia.js';
 import { performRequest } from './request-core.mycelia.js';
 import { getDebugFlag } from '../../utils/debug-flag.utils.mycelia.js';
@@ -91,6 +92,32 @@ export const useRequests = createHook({
           });
         },
 
+        /**
+         * Create a scatter-gather request builder
+         * 
+         * Sends one message to several subsystem paths (a list, or a pattern such as
+         * '*://health') and gathers the replies by policy: 'all', 'first-success',
+         * 'quorum' or 'best-effort' (until a deadline). Each target's outcome is
+         * reported individually.
+         * 
+         * @returns {ScatterRequestBuilder} Scatter request builder instance
+         * 
+         * @example
+         * const { success, results } = await subsystem.requests
+         *   .scatter()
+         *   .to(['search-a://query', 'search-b://query'])
+         *   .with({ policy: 'all', timeout: 2000 })
+         *   .forMessage(queryMessage)
+         *   .send();
+         */
+        scatter() {
+          return new ScatterRequestBuilder({
+            subsystem,
+            performRequest,
+            commandManager
+          });
+        },
+
         /**
          * Get the CommandManager instance for channel-based commands
          * 
@@ -0,0 +1,450 @@
+/**
+ * Response Streams
+ *
+ * Streaming responses: a handler emits several response chunks followed by
+ * an end marker, and the caller reads them with `for await`.
+ *
+ * - ResponseStream - async iterable of chunks (caller side, and the value a
+ *   handler returns when the response goes out over HTTP or WebSocket)
+ * - ReplyStreamWriter - sends chunks as response messages to a reply path
+ *
+ * Chunks sent as response messages carry a stream frame in their body:
+ *
+ *   { stream: { seq: 0, done: false }, chunk: <payload> }   // chunk
+ *   { stream: { seq: 3, done: true } }                      // end marker
+ *   { stream: { seq: 3, done: true }, error: { message } }  // failure (success=false)
+ *
+ * ResponseManagerSubsystem keeps the request pending (and restarts its timeout)
+ * until the end marker arrives. Frames are re-ordered by `seq` on the caller side.
+ *
+ * @example
+ * // Handler
+ * subsystem.registerRoute('reports://export', async (message) => {
+ *   const stream = subsystem.responses.stream(message);
+ *   stream.pipe(exportRows(message.getBody())); // not awaited
+ *   return stream;
+ * });
+ *
+ * // Caller
+ * const request = subsystem.requests.oneShot().with({ timeout: 5000 }).forMessage(message);
+ * for await (const row of request.stream()) {
+ *   console.log(row);
+ * }
+ */
+
+/**
+ * Async iterable of response chunks with a bounded write buffer
+ */
+export class ResponseStream {
+  #buffer = [];
+  #readers = [];
+  #drainWaiters = [];
+  #highWaterMark;
+  #onCancel;
+  #ended = false;
+  #cancelled = false;
+  #error = null;
+  #nextSeq = 0;
+  #early = new Map(); // seq -> frame received ahead of order
+
+  /**
+   * @param {Object} [options={}] - Stream options
+   * @param {number} [options.highWaterMark=16] - Buffered chunks before write() waits for the reader
+   * @param {Function} [options.onCancel] - Called with (reason) when the reader stops early
+   */
+  constructor(options = {}) {
+    this.#highWaterMark = options.highWaterMark ?? 16;
+    this.#onCancel = options.onCancel || null;
+  }
+
+  /**
+   * Check if no more chunks will be written
+   * @returns {boolean} True after end(), error() or cancel()
+   */
+  isClosed() {
+    return this.#ended || this.#cancelled || this.#error !== null;
+  }
+
+  /**
+   * Check if the reader stopped early
+   * @returns {boolean} True after cancel()
+   */
+  isCancelled() {
+    return this.#cancelled;
+  }
+
+  /**
+   * Write a chunk
+   * @param {any} chunk - Chunk payload
+   * @returns {Promise<void>} Resolves when the buffer is below the high-water mark
+   * @throws {Error} If the stream is closed
+   */
+  async write(chunk) {
+    this.#assertOpen('write');
+    this.#push(chunk);
+    if (this.#buffer.length >= this.#highWaterMark) {
+      await new Promise(resolve => this.#drainWaiters.push(resolve));
+    }
+  }
+
+  /**
+   * End the stream
+   * @param {any} [chunk] - Last chunk
+   * @returns {Promise<void>}
+   */
+  async end(chunk) {
+    if (this.isClosed()) {
+      return;
+    }
+    if (chunk !== undefined) {
+      this.#push(chunk);
+    }
+    this.#ended = true;
+    this.#settleReaders();
+  }
+
+  /**
+   * Fail the stream; the reader's loop throws `error` after the buffered chunks
+   * @param {Error|Object|string} error - Error (or error payload)
+   * @returns {Promise<void>}
+   */
+  async error(error) {
+    if (this.isClosed()) {
+      return;
+    }
+    this.#error = toError(error);
+    this.#settleReaders();
+  }
+
+  /**
+   * Write every chunk of an iterable, then end the stream (or fail it if the iterable throws)
+   * @param {AsyncIterable|Iterable} source - Chunks
+   * @returns {Promise<void>} Resolves when the source is exhausted or the reader stopped
+   */
+  async pipe(source) {
+    await pipeInto(this, source);
+  }
+
+  /**
+   * Stop reading: buffered chunks are dropped and the producer is notified
+   * @param {string} [reason='cancelled'] - Reason passed to onCancel
+   */
+  cancel(reason = 'cancelled') {
+    if (this.#cancelled || (this.#ended && this.#buffer.length === 0) || this.#error) {
+      return;
+    }
+    this.#cancelled = true;
+    this.#buffer = [];
+    this.#settleReaders();
+    if (this.#onCancel) {
+      this.#onCancel(reason);
+    }
+  }
+
+  /**
+   * Apply a stream frame received as a response message, in `seq` order
+   *
+   * @param {number} seq - Frame sequence number (0-based)
+   * @param {Object} frame - `{ chunk }`, `{ done: true }` or `{ error }`
+   * @returns {boolean} True when the stream is complete
+   */
+  receive(seq, frame) {
+    if (this.isClosed()) {
+      return true;
+    }
+    this.#early.set(seq, frame);
+    while (this.#early.has(this.#nextSeq)) {
+      const next = this.#early.get(this.#nextSeq);
+      this.#early.delete(this.#nextSeq);
+      this.#nextSeq++;
+      if (next.error !== undefined) {
+        this.error(next.error);
+      } else if (next.done) {
+        this.end();
+      } else {
+        this.#push(next.chunk);
+      }
+    }
+    return this.isClosed();
+  }
+
+  /**
+   * Read all chunks
+   * @returns {Promise<Array<any>>} Chunks
+   */
+  async toArray() {
+    const chunks = [];
+    for await (const chunk of this) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  }
+
+  [Symbol.asyncIterator]() {
+    return {
+      next: () => this.#next(),
+      return: async () => {
+        this.cancel();
+        return { done: true, value: undefined };
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  #next() {
+    if (this.#buffer.length > 0) {
+      const value = this.#buffer.shift();
+      this.#releaseWriters();
+      return Promise.resolve({ done: false, value });
+    }
+    if (this.#error) {
+      return Promise.reject(this.#error);
+    }
+    if (this.isClosed()) {
+      return Promise.resolve({ done: true, value: undefined });
+    }
+    return new Promise((resolve, reject) => this.#readers.push({ resolve, reject }));
+  }
+
+  /**
+   * @private
+   */
+  #push(chunk) {
+    const reader = this.#readers.shift();
+    if (reader) {
+      reader.resolve({ done: false, value: chunk });
+    } else {
+      this.#buffer.push(chunk);
+    }
+  }
+
+  /**
+   * Resolve waiting readers and writers once the stream is closed
+   * @private
+   */
+  #settleReaders() {
+    const readers = this.#readers;
+    this.#readers = [];
+    for (const reader of readers) {
+      if (this.#error) {
+        reader.reject(this.#error);
+      } else {
+        reader.resolve({ done: true, value: undefined });
+      }
+    }
+    if (this.#cancelled) {
+      this.#releaseWriters(true);
+    }
+  }
+
+  /**
+   * @private
+   */
+  #releaseWriters(all = false) {
+    while (this.#drainWaiters.length > 0 && (all || this.#buffer.length < this.#highWaterMark)) {
+      this.#drainWaiters.shift()();
+    }
+  }
+
+  /**
+   * @private
+   */
+  #assertOpen(operation) {
+    if (this.#cancelled) {
+      throw new Error(`ResponseStream.${operation}: the reader cancelled the stream`);
+    }
+    if (this.isClosed()) {
+      throw new Error(`ResponseStream.${operation}: stream is closed`);
+    }
+  }
+}
+
+/**
+ * Sends chunks as response messages to a reply path (see the frame format above)
+ */
+export class ReplyStreamWriter {
+  #send;
+  #seq = 0;
+  #closed = false;
+  #sending = Promise.resolve();
+
+  /**
+   * @param {Function} send - `async (body, { success, error }) => result`; sends one response message
+   */
+  constructor(send) {
+    if (typeof send !== 'function') {
+      throw new Error('ReplyStreamWriter: send function is required');
+    }
+    this.#send = send;
+  }
+
+  /**
+   * Check if the end marker was sent
+   * @returns {boolean} True after end() or error()
+   */
+  isClosed() {
+    return this.#closed;
+  }
+
+  /**
+   * Send a chunk
+   * @param {any} chunk - Chunk payload
+   * @returns {Promise<void>} Resolves when the chunk was sent
+   * @throws {Error} If the stream is closed or sending fails
+   */
+  async write(chunk) {
+    if (this.#closed) {
+      throw new Error('ReplyStreamWriter.write: stream is closed');
+    }
+    await this.#frame({ chunk }, false);
+  }
+
+  /**
+   * Send the end marker
+   * @param {any} [chunk] - Last chunk
+   * @returns {Promise<void>}
+   */
+  async end(chunk) {
+    if (this.#closed) {
+      return;
+    }
+    if (chunk !== undefined) {
+      await this.write(chunk);
+    }
+    this.#closed = true;
+    await this.#frame({}, true);
+  }
+
+  /**
+   * Send a failure end marker (success=false); the caller's loop throws
+   * @param {Error|Object|string} error - Error (or error payload)
+   * @returns {Promise<void>}
+   */
+  async error(error) {
+    if (this.#closed) {
+      return;
+    }
+    this.#closed = true;
+    const payload = toErrorPayload(error);
+    await this.#frame({ error: payload }, true, payload);
+  }
+
+  /**
+   * Send every chunk of an iterable, then the end marker (or a failure if the iterable throws)
+   * @param {AsyncIterable|Iterable} source - Chunks
+   * @returns {Promise<void>} Resolves when the source is exhausted or sending failed
+   */
+  async pipe(source) {
+    await pipeInto(this, source);
+  }
+
+  /**
+   * Frames are sent one at a time so they leave in seq order
+   * @private
+   */
+  async #frame(fields, done, error) {
+    const seq = this.#seq++;
+    const body = { stream: { seq, done }, ...fields };
+    const sending = this.#sending.then(() => this.#send(body, { success: error === undefined, error }));
+    this.#sending = sending.catch(() => {});
+    await sending;
+  }
+}
+
+/**
+ * Check if a handler result should be streamed (any async iterable)
+ *
+ * @param {any} value - Handler result
+ * @returns {boolean} True for ResponseStream and other async iterables
+ */
+export function isResponseStream(value) {
+  return value !== null && typeof value === 'object' && typeof value[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * Apply a reply received on a streaming request's reply route
+ *
+ * A reply without a stream frame is a single (final) response: its body becomes
+ * the only chunk. A `success: false` reply (failure frame, ResponseManager
+ * timeout) fails the stream.
+ *
+ * @param {ResponseStream} stream - Caller-side stream
+ * @param {Message} responseMessage - Response message
+ * @param {Object} [options={}] - Routing options of the response (`success`, `error`)
+ * @returns {boolean} True when the stream is complete
+ */
+export function applyStreamReply(stream, responseMessage, options = {}) {
+  const body = responseMessage?.getBody?.() ?? responseMessage?.body;
+  const frame = body && typeof body === 'object' ? body.stream : undefined;
+
+  if (frame && typeof frame.seq === 'number') {
+    if (body.error !== undefined) {
+      return stream.receive(frame.seq, { error: body.error });
+    }
+    return stream.receive(frame.seq, frame.done ? { done: true } : { chunk: body.chunk });
+  }
+  if (options.success === false) {
+    stream.error(options.error ?? body?.reason ?? 'Request failed');
+    return true;
+  }
+  stream.end(body);
+  return true;
+}
+
+/**
+ * Encode a stream as NDJSON lines (chunked HTTP bodies)
+ *
+ * A failure after the first line cannot change the status code, so it is
+ * written as a last `{ "error": message }` line.
+ *
+ * @param {AsyncIterable} stream - Chunks
+ * @returns {AsyncGenerator<string>} One JSON line per chunk
+ */
+export async function* toNdjsonLines(stream) {
+  try {
+    for await (const chunk of stream) {
+      yield `${JSON.stringify(chunk ?? null)}\n`;
+    }
+  } catch (error) {
+    yield `${JSON.stringify({ error: error?.message || String(error) })}\n`;
+  }
+}
+
+/**
+ * @private
+ */
+async function pipeInto(target, source) {
+  try {
+    for await (const chunk of source) {
+      await target.write(chunk);
+    }
+    await target.end();
+  } catch (error) {
+    if (!target.isClosed()) {
+      await target.error(error).catch(() => {});
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function toError(error) {
+  if (error instanceof Error) {
+    return error;
+  }
+  const message = typeof error === 'string' ? error : (error?.message || 'Stream failed');
+  return new Error(message, { cause: error });
+}
+
+/**
+ * @private
+ */
+function toErrorPayload(error) {
+  if (error instanceof Error) {
+    return { name: error.name, message: error.message };
+  }
+  return typeof error === 'string' ? { message: error } : (error ?? { message: 'Stream failed' });
+}
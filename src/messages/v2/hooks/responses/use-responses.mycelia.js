@@ -14,13 +14,16 @@
  * - or use a configured default (e.g., from ctx.config.responses)
  * - or rely on ResponseManagerSubsystem lookup (if responseRequired was used)
  *
+ * stream() answers with several chunks followed by an end marker
+ * (see response-stream.mycelia.js).
+ *
  * It assumes:
  * - subsystem.identity.sendProtected(message, options) exists
  * - subsystem has a 'messages' facet for message creation
  */
 import { Facet } from 'mycelia-kernel-plugin/core';
 import { createHook } from '../create-hook.mycelia.js';
-import { createSubsystemLogger } from '../../utils/logger.utils.mycelia.js';
+import { ResponseStream, ReplyStreamWriter } from './response-stream.mycelia.js';
 
 export const useResponses = createHook({
   kind: 'responses',
@@ -46,7 +49,6 @@ export const useResponses = createHook({
     }
 
     const config = ctx.config?.responses || {};
-    const logger = createSubsystemLogger(subsystem);
 
     /**
      * Base helper that actually creates and sends the response.
@@ -352,6 +354,50 @@ export const useResponses = createHook({
       });
     }
 
+    /**
+     * Public: stream the response to a request as several chunks.
+     *
+     * When a reply path is known (explicit, or the request was sent with
+     * responseRequired, e.g. `request.stream()`), each chunk is sent as a
+     * response message and the end marker resolves the request. Otherwise the
+     * message came in over HTTP or WebSocket: the returned ResponseStream must be
+     * returned by the handler, and the server writes it as chunked HTTP / frames.
+     *
+     * @param {Message} originalMessage - Original request message
+     * @param {Object} [options={}] - Stream options
+     * @param {string} [options.replyPath] - Explicit reply path
+     * @param {Object} [options.options] - Extra sendProtected options for each chunk
+     * @param {number} [options.highWaterMark=16] - Buffered chunks of a returned stream before write() waits
+     * @returns {ReplyStreamWriter|ResponseStream} Writer with write(chunk), end(chunk?), error(err) and pipe(iterable)
+     * @throws {Error} If originalMessage is missing or a reply path is known but no correlationId can be derived
+     *
+     * @example
+     * subsystem.registerRoute('reports://export', async (message) => {
+     *   const stream = subsystem.responses.stream(message);
+     *   stream.pipe(exportRows()); // not awaited: chunks flow while the caller reads
+     *   return stream;
+     * });
+     */
+    function stream(originalMessage, { replyPath, options, highWaterMark } = {}) {
+      if (!originalMessage) {
+        throw new Error('responses.stream: originalMessage is required.');
+      }
+
+      const path = replyPath || deriveReplyPath(originalMessage, subsystem);
+      if (!path) {
+        return new ResponseStream({ highWaterMark });
+      }
+
+      const inReplyTo = deriveCorrelationId(originalMessage);
+      if (!inReplyTo) {
+        throw new Error('responses.stream: unable to derive correlationId from originalMessage.');
+      }
+
+      return new ReplyStreamWriter((payload, { success, error }) =>
+        sendResponseBase({ path, inReplyTo, payload, success, error, options })
+      );
+    }
+
     return new Facet('responses', {
       attach: true,
       source: import.meta.url
@@ -360,6 +406,7 @@ export const useResponses = createHook({
         sendResponse,
         replyTo,
         replyErrorTo,
+        stream,
         deriveCorrelationId,
         deriveReplyPath
       });
@@ -0,0 +1,132 @@
+/**
+ * RETRY_STRATEGIES
+ *
+ * Backoff strategies supported by RetryPolicy.
+ * - 'fixed': Always wait baseDelay between attempts
+ * - 'exponential': baseDelay * factor^(attempt - 1), capped at maxDelay
+ * - 'jitter': Exponential delay with full jitter (random value in [0, exponential delay])
+ */
+export const RETRY_STRATEGIES = Object.freeze({
+  FIXED: 'fixed',
+  EXPONENTIAL: 'exponential',
+  JITTER: 'jitter'
+});
+
+/**
+ * RetryPolicy Class
+ *
+ * Decides whether a failed message should be retried and how long to wait
+ * before re-delivering it. Used by the useRetry hook.
+ *
+ * @example
+ * // Exponential backoff: 100ms, 200ms, 400ms, ... capped at 5s
+ * const policy = new RetryPolicy({ strategy: 'exponential', baseDelay: 100, maxDelay: 5000 });
+ * policy.getDelay(3); // 400
+ *
+ * @example
+ * // Only retry transient failures
+ * const policy = new RetryPolicy({
+ *   retryOn: (error) => error.code !== 'VALIDATION'
+ * });
+ */
+export class RetryPolicy {
+  /**
+   * Create a new RetryPolicy instance
+   *
+   * @param {Object} [options={}] - Policy options
+   * @param {string} [options.strategy='exponential'] - Backoff strategy (see RETRY_STRATEGIES)
+   * @param {number} [options.baseDelay=100] - Base delay in milliseconds
+   * @param {number} [options.maxDelay=30000] - Maximum delay in milliseconds
+   * @param {number} [options.factor=2] - Growth factor for exponential strategies
+   * @param {number} [options.maxRetries] - Override for message maxRetries (falls back to message metadata)
+   * @param {Function} [options.retryOn] - Predicate: (error, message) => boolean. Return false to dead-letter immediately
+   * @param {Function} [options.random=Math.random] - Random source for jitter (injectable for tests)
+   */
+  constructor(options = {}) {
+    const {
+      strategy = RETRY_STRATEGIES.EXPONENTIAL,
+      baseDelay = 100,
+      maxDelay = 30000,
+      factor = 2,
+      maxRetries,
+      retryOn = null,
+      random = Math.random
+    } = options;
+
+    if (!Object.values(RETRY_STRATEGIES).includes(strategy)) {
+      throw new Error(`RetryPolicy: unknown strategy '${strategy}'. Expected one of: ${Object.values(RETRY_STRATEGIES).join(', ')}`);
+    }
+    if (typeof baseDelay !== 'number' || baseDelay < 0) {
+      throw new Error('RetryPolicy: baseDelay must be a non-negative number');
+    }
+    if (typeof maxDelay !== 'number' || maxDelay < baseDelay) {
+      throw new Error('RetryPolicy: maxDelay must be a number >= baseDelay');
+    }
+    if (typeof factor !== 'number' || factor < 1) {
+      throw new Error('RetryPolicy: factor must be a number >= 1');
+    }
+    if (maxRetries !== undefined && (typeof maxRetries !== 'number' || maxRetries < 0)) {
+      throw new Error('RetryPolicy: maxRetries must be a non-negative number');
+    }
+    if (retryOn !== null && typeof retryOn !== 'function') {
+      throw new Error('RetryPolicy: retryOn must be a function');
+    }
+
+    this.strategy = strategy;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.factor = factor;
+    this.maxRetries = maxRetries;
+    this.retryOn = retryOn;
+    this.random = random;
+  }
+
+  /**
+   * Get the delay before a given retry attempt
+   *
+   * @param {number} attempt - Retry attempt number (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(attempt) {
+    const n = Math.max(1, attempt);
+
+    if (this.strategy === RETRY_STRATEGIES.FIXED) {
+      return this.baseDelay;
+    }
+
+    const exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(this.factor, n - 1));
+
+    if (this.strategy === RETRY_STRATEGIES.JITTER) {
+      return Math.floor(this.random() * exponential);
+    }
+
+    return exponential;
+  }
+
+  /**
+   * Get the maximum number of retries allowed for a message
+   *
+   * @param {Message} message - Message being retried
+   * @returns {number} Maximum retries
+   */
+  getMaxRetries(message) {
+    if (this.maxRetries !== undefined) {
+      return this.maxRetries;
+    }
+    return message?.meta?.getMaxRetries?.() || 0;
+  }
+
+  /**
+   * Check whether the error is retryable at all (independent of attempt count)
+   *
+   * @param {Error} error - Failure raised by the handler
+   * @param {Message} message - Message that failed
+   * @returns {boolean} True if the error may be retried
+   */
+  isRetryable(error, message) {
+    if (!this.retryOn) {
+      return true;
+    }
+    return this.retryOn(error, message) !== false;
+  }
+}
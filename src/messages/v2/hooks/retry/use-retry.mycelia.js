@@ -0,0 +1,229 @@
+/**
+ * useRetry Hook
+ *
+ * Provides retry-with-backoff for messages whose handlers fail.
+ *
+ * When installed, the message processor hands failed messages to this facet
+ * instead of rethrowing. The facet either schedules a re-delivery (respecting
+ * the message's maxRetries and the configured backoff strategy) or, once
+ * retries are exhausted, forwards the message to the kernel dead-letter queue
+ * via `kernel://deadletter/record`.
+ *
+ * @param {Object} ctx - Context object containing config.retry for retry configuration
+ * @param {Object} ctx.config.retry - Retry configuration
+ * @param {string} [ctx.config.retry.strategy='exponential'] - Backoff strategy ('fixed' | 'exponential' | 'jitter')
+ * @param {number} [ctx.config.retry.baseDelay=100] - Base delay in milliseconds
+ * @param {number} [ctx.config.retry.maxDelay=30000] - Maximum delay in milliseconds
+ * @param {number} [ctx.config.retry.factor=2] - Exponential growth factor
+ * @param {number} [ctx.config.retry.maxRetries] - Override for message maxRetries
+ * @param {Function} [ctx.config.retry.retryOn] - Predicate (error, message) => boolean
+ * @param {boolean} [ctx.config.retry.deadLetter=true] - Forward exhausted messages to the kernel DLQ
+ * @param {Function} [ctx.config.retry.onDeadLetter] - Callback invoked with the dead-letter payload
+ * @param {boolean} [ctx.config.retry.debug] - Enable debug logging
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {Facet} Facet object with retry methods
+ *
+ * @example
+ * const subsystem = new BaseSubsystem('orders', {
+ *   ms: messageSystem,
+ *   config: { retry: { strategy: 'exponential', baseDelay: 50, maxDelay: 2000 } }
+ * });
+ * subsystem.use(useRetry);
+ */
+import { Facet } from 'mycelia-kernel-plugin/core';
+import { createHook } from '../create-hook.mycelia.js';
+import { getDebugFlag } from '../../utils/debug-flag.utils.mycelia.js';
+import { createLogger } from '../../utils/logger.utils.mycelia.js';
+import { findFacet } from '../../utils/find-facet.utils.mycelia.js';
+import { Message } from '../../models/message/message.mycelia.js';
+import { RetryPolicy } from './retry-policy.mycelia.js';
+
+export const DEAD_LETTER_RECORD_PATH = 'kernel://deadletter/record';
+
+export const useRetry = createHook({
+  kind: 'retry',
+  version: '1.0.0',
+  overwrite: false,
+  required: ['statistics'],
+  attach: true,
+  source: import.meta.url,
+  fn: (ctx, api, subsystem) => {
+    const { name } = api;
+    const config = ctx.config?.retry || {};
+    const debug = getDebugFlag(config, ctx);
+    const logger = createLogger(debug, `useRetry ${name}`);
+
+    const policy = new RetryPolicy(config);
+    const deadLetterEnabled = config.deadLetter !== false;
+    const onDeadLetter = typeof config.onDeadLetter === 'function' ? config.onDeadLetter : null;
+
+    const statisticsResult = findFacet(api.__facets, 'statistics');
+    const statistics = statisticsResult?.facet?._statistics || null;
+
+    // messageId -> timer handle
+    const pendingRetries = new Map();
+
+    /**
+     * Strip kernel-only fields before options travel to another hop.
+     * callerIdSetBy is set by the kernel on every protected send and must
+     * never be forwarded by a subsystem.
+     */
+    const sanitizeOptions = (options = {}) => {
+      // eslint-disable-next-line no-unused-vars
+      const { callerIdSetBy, ...rest } = options;
+      return rest;
+    };
+
+    const serializeError = (error) => ({
+      name: error?.name || 'Error',
+      message: error?.message || String(error)
+    });
+
+    /**
+     * Forward an exhausted message to the kernel dead-letter queue
+     */
+    const deadLetter = async (message, options, error, attempts) => {
+      if (statistics) {
+        statistics.recordDeadLettered();
+      }
+
+      const payload = {
+        message,
+        options: sanitizeOptions(options),
+        error: serializeError(error),
+        subsystem: name,
+        attempts
+      };
+
+      if (onDeadLetter) {
+        try {
+          onDeadLetter(payload);
+        } catch (callbackError) {
+          logger.error('onDeadLetter callback failed:', callbackError);
+        }
+      }
+
+      if (!deadLetterEnabled) {
+        return { retried: false, deadLettered: false, attempts, error: payload.error };
+      }
+
+      const identity = subsystem.identity;
+      if (!identity || typeof identity.sendProtected !== 'function') {
+        logger.warn(`Cannot dead-letter message ${message.getId()}: subsystem has no identity.sendProtected()`);
+        return { retried: false, deadLettered: false, attempts, error: payload.error };
+      }
+
+      try {
+        await identity.sendProtected(new Message(DEAD_LETTER_RECORD_PATH, payload));
+      } catch (sendError) {
+        logger.error(`Failed to dead-letter message ${message.getId()}:`, sendError);
+        return { retried: false, deadLettered: false, attempts, error: payload.error };
+      }
+
+      logger.log(`Message ${message.getId()} dead-lettered after ${attempts} attempt(s)`);
+      return { retried: false, deadLettered: true, attempts, error: payload.error };
+    };
+
+    /**
+     * Schedule re-delivery of a message through subsystem.accept()
+     */
+    const scheduleRetry = (message, options, attempt) => {
+      const delay = policy.getDelay(attempt);
+      const messageId = message.getId();
+
+      const timer = setTimeout(async () => {
+        pendingRetries.delete(messageId);
+        try {
+          await subsystem.accept(message, options);
+        } catch (acceptError) {
+          logger.error(`Retry ${attempt} of message ${messageId} could not be re-accepted:`, acceptError);
+        }
+      }, delay);
+
+      if (typeof timer?.unref === 'function') {
+        timer.unref();
+      }
+
+      pendingRetries.set(messageId, timer);
+
+      if (statistics) {
+        statistics.recordRetry();
+      }
+
+      logger.log(`Message ${messageId} scheduled for retry ${attempt} in ${delay}ms`);
+      return { retried: true, attempt, delay };
+    };
+
+    // Clear outstanding timers when the subsystem is disposed
+    if (typeof subsystem.onDispose === 'function') {
+      subsystem.onDispose(() => {
+        for (const timer of pendingRetries.values()) {
+          clearTimeout(timer);
+        }
+        pendingRetries.clear();
+      });
+    }
+
+    return new Facet('retry', { attach: true, source: import.meta.url })
+      .add({
+        /**
+         * Handle a processing failure for a message.
+         * Either schedules a retry or dead-letters the message.
+         *
+         * @param {Message} message - Message whose processing failed
+         * @param {Object} [options={}] - Options the message was processed with
+         * @param {Error} error - Failure raised by the handler
+         * @returns {Promise<Object>} Outcome: { retried: true, attempt, delay } or { retried: false, deadLettered, attempts, error }
+         */
+        async handleFailure(message, options = {}, error) {
+          if (!message || !message.meta) {
+            throw new Error(`useRetry ${name}: handleFailure requires a message`);
+          }
+
+          const attempt = message.meta.getRetries() + 1;
+          const maxRetries = policy.getMaxRetries(message);
+
+          if (attempt <= maxRetries && policy.isRetryable(error, message)) {
+            message.meta.setRetries(attempt);
+            return scheduleRetry(message, options, attempt);
+          }
+
+          // Total attempts = initial delivery + retries already made
+          return await deadLetter(message, options, error, message.meta.getRetries() + 1);
+        },
+
+        /**
+         * Get the number of retries currently waiting on a timer
+         * @returns {number} Pending retry count
+         */
+        getPendingRetries() {
+          return pendingRetries.size;
+        },
+
+        /**
+         * Cancel pending retries
+         * @param {string} [messageId] - Cancel only this message's retry (all when omitted)
+         * @returns {number} Number of retries cancelled
+         */
+        cancelPendingRetries(messageId) {
+          if (messageId !== undefined) {
+            const timer = pendingRetries.get(messageId);
+            if (!timer) return 0;
+            clearTimeout(timer);
+            pendingRetries.delete(messageId);
+            return 1;
+          }
+          const count = pendingRetries.size;
+          for (const timer of pendingRetries.values()) {
+            clearTimeout(timer);
+          }
+          pendingRetries.clear();
+          return count;
+        },
+
+        // Expose policy for internal use and introspection
+        _policy: policy
+      });
+  }
+});
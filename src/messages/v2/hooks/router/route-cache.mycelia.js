@@ -75,15 +75,37 @@ export class RouteCache {
   }
   
   /**
-   * Invalidate cache entries that match a pattern
+   * Invalidate cached matches that resolved to a pattern
    * 
-   * @param {string} _pattern - Pattern to invalidate
+   * Used when a route is unregistered: only paths that were routed to that
+   * pattern are dropped, the rest of the cache stays warm.
+   * 
+   * @param {string} pattern - Route pattern that was removed
+   * @returns {number} Number of entries removed
    */
-  // eslint-disable-next-line no-unused-vars
-  invalidate(_pattern) {
-    // Simple: clear all (could be smarter and only remove matching entries)
-    // This is safe and simple - cache will rebuild as paths are matched
-    this.cache.clear();
+  invalidate(pattern) {
+    return this.invalidateWhere((_path, matchResult) => matchResult?.pattern === pattern);
+  }
+  
+  /**
+   * Invalidate cached matches selected by a predicate
+   * 
+   * @param {Function} predicate - `(path, matchResult) => boolean`; true removes the entry
+   * @returns {number} Number of entries removed
+   * 
+   * @example
+   * // A new route may take over paths it matches
+   * cache.invalidateWhere((path) => entry.match(path) !== null);
+   */
+  invalidateWhere(predicate) {
+    let removed = 0;
+    for (const [path, matchResult] of this.cache) {
+      if (predicate(path, matchResult)) {
+        this.cache.delete(path);
+        removed++;
+      }
+    }
+    return removed;
   }
   
   /**
@@ -0,0 +1,300 @@
+import { compilePathPattern, isPathPattern } from '../../utils/path-pattern.utils.mycelia.js';
+
+/**
+ * RouteTrie Class
+ *
+ * Segment trie index over RouteEntry patterns. Patterns are split on '/' and
+ * each segment becomes an edge of one of four kinds, tried in this order:
+ *
+ * 1. static   - literal text ('users'), Map lookup
+ * 2. param    - '{id:int}', '{slug:[a-z-]+}', 'v{n}.json' (constrained first), then plain '{id}' / ':id'
+ * 3. wildcard - '*', exactly one non-empty segment
+ * 4. multi    - '**', any number of segments (including none)
+ *
+ * Matching is a depth-first search in that order, so the first complete match
+ * is the most specific route: static beats param beats wildcard, decided
+ * segment by segment from the left. Optional segments ('{id?}') are indexed
+ * both with and without the segment; a route registered without the segment
+ * wins over the expanded optional form.
+ *
+ * Patterns the trie cannot split on '/' (a custom param regex containing '/',
+ * or '**' inside a segment) are kept in a fallback list that is scanned only
+ * when the trie finds no match (longest pattern wins among them).
+ *
+ * @example
+ * const trie = new RouteTrie();
+ * trie.insert(entry); // RouteEntry for 'user/{id:int}'
+ * const found = trie.match('user/42'); // { entry, result: { matched, params: { id: 42 }, pattern } }
+ */
+export class RouteTrie {
+  /**
+   * Create a new RouteTrie
+   */
+  constructor() {
+    this.root = createNode();
+    this.fallback = []; // RouteEntry[] that cannot be indexed by segment
+    this.indexed = new Map(); // pattern → segment variants used on insert
+    this.order = 0;
+  }
+
+  /**
+   * Index a route entry
+   *
+   * @param {RouteEntry} entry - Route entry (pattern must be unique)
+   */
+  insert(entry) {
+    const segments = splitPattern(entry.pattern);
+    if (!segments) {
+      this.fallback.push(entry);
+      return;
+    }
+
+    const order = this.order++;
+    const variants = expandOptional(segments);
+    for (const { segments: variant, omitted } of variants) {
+      let node = this.root;
+      for (const segment of variant) {
+        node = childFor(node, segment, true);
+      }
+      node.entries.push({ entry, omitted, order });
+      node.entries.sort((a, b) => a.omitted - b.omitted || a.order - b.order);
+    }
+    this.indexed.set(entry.pattern, variants.map(v => v.segments));
+  }
+
+  /**
+   * Remove a route entry by pattern
+   *
+   * @param {string} pattern - Route pattern
+   * @returns {boolean} True if the pattern was indexed
+   */
+  remove(pattern) {
+    const variants = this.indexed.get(pattern);
+    if (!variants) {
+      const index = this.fallback.findIndex(entry => entry.pattern === pattern);
+      if (index === -1) return false;
+      this.fallback.splice(index, 1);
+      return true;
+    }
+
+    for (const variant of variants) {
+      removeFrom(this.root, variant, 0, pattern);
+    }
+    this.indexed.delete(pattern);
+    return true;
+  }
+
+  /**
+   * Find the most specific route for a path
+   *
+   * @param {string} path - Path to match
+   * @returns {{entry: RouteEntry, result: MatchResult}|null} Matched entry and its match result
+   */
+  match(path) {
+    const found = search(this.root, path.split('/'), 0, path);
+    if (found) {
+      return found;
+    }
+
+    let best = null;
+    for (const entry of this.fallback) {
+      const result = entry.match(path);
+      if (result && (!best || entry.pattern.length > best.entry.pattern.length)) {
+        best = { entry, result };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Remove all routes
+   */
+  clear() {
+    this.root = createNode();
+    this.fallback = [];
+    this.indexed.clear();
+  }
+
+  /**
+   * Number of indexed patterns (including fallback patterns)
+   * @returns {number}
+   */
+  size() {
+    return this.indexed.size + this.fallback.length;
+  }
+}
+
+/**
+ * @private
+ */
+function createNode() {
+  return {
+    static: new Map(), // segment text → node
+    params: [], // [{ key, matcher, constrained, order, node }] sorted constrained-first
+    wildcard: null,
+    multi: null,
+    entries: [] // [{ entry, omitted, order }] routes ending here
+  };
+}
+
+/**
+ * Split a pattern into segments, or null if it cannot be indexed by segment
+ * @private
+ */
+function splitPattern(pattern) {
+  // A '/' inside braces belongs to a custom regex and would be split apart
+  let depth = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+    } else if (char === '/' && depth > 0) {
+      return null;
+    }
+  }
+
+  const segments = pattern.split('/');
+  if (segments.some(segment => segment !== '**' && segment.includes('**'))) {
+    return null;
+  }
+  return segments;
+}
+
+/**
+ * Expand whole-segment optional params into variants with and without the segment
+ * @private
+ */
+function expandOptional(segments) {
+  let variants = [{ segments: [], omitted: 0 }];
+  segments.forEach((segment, index) => {
+    const required = requiredForm(segment);
+    if (required === null) {
+      variants = variants.map(v => ({ segments: [...v.segments, segment], omitted: v.omitted }));
+    } else {
+      // Only an optional after '/' swallows the separator; a leading one leaves an empty segment
+      variants = variants.flatMap(v => [
+        { segments: [...v.segments, required], omitted: v.omitted },
+        { segments: index === 0 ? [...v.segments, ''] : v.segments, omitted: v.omitted + 1 }
+      ]);
+    }
+  });
+  return variants;
+}
+
+/**
+ * Required form of an optional segment ('{id?:int}' → '{id:int}'), or null if not optional
+ * @private
+ */
+function requiredForm(segment) {
+  let match = /^\{([A-Za-z_][A-Za-z0-9_]*)\?((?::[\s\S]+)?)\}$/.exec(segment);
+  if (match) {
+    return `{${match[1]}${match[2]}}`;
+  }
+  match = /^:([A-Za-z_][A-Za-z0-9_]*)\?$/.exec(segment);
+  return match ? `:${match[1]}` : null;
+}
+
+/**
+ * Get (or create) the child node for a segment
+ * @private
+ */
+function childFor(node, segment, create) {
+  if (segment === '**') {
+    if (!node.multi && create) node.multi = createNode();
+    return node.multi;
+  }
+  if (segment === '*') {
+    if (!node.wildcard && create) node.wildcard = createNode();
+    return node.wildcard;
+  }
+  if (!isPathPattern(segment)) {
+    if (!node.static.has(segment) && create) node.static.set(segment, createNode());
+    return node.static.get(segment) || null;
+  }
+
+  let param = node.params.find(p => p.key === segment);
+  if (!param && create) {
+    const compiled = compilePathPattern(segment);
+    const plain = /^(\{[A-Za-z_][A-Za-z0-9_]*\}|:[A-Za-z_][A-Za-z0-9_]*)$/.test(segment);
+    param = { key: segment, matcher: compiled, constrained: !plain, order: node.params.length, node: createNode() };
+    node.params.push(param);
+    node.params.sort((a, b) => (b.constrained - a.constrained) || a.order - b.order);
+  }
+  return param ? param.node : null;
+}
+
+/**
+ * Remove a pattern from the variant path, pruning empty nodes
+ * @returns {boolean} True if `node` is now empty
+ * @private
+ */
+function removeFrom(node, segments, index, pattern) {
+  if (index === segments.length) {
+    node.entries = node.entries.filter(e => e.entry.pattern !== pattern);
+  } else {
+    const segment = segments[index];
+    const child = childFor(node, segment, false);
+    if (child && removeFrom(child, segments, index + 1, pattern)) {
+      if (segment === '**') {
+        node.multi = null;
+      } else if (segment === '*') {
+        node.wildcard = null;
+      } else if (node.static.get(segment) === child) {
+        node.static.delete(segment);
+      } else {
+        node.params = node.params.filter(p => p.node !== child);
+      }
+    }
+  }
+  return node.entries.length === 0 && node.static.size === 0 && node.params.length === 0 &&
+    !node.wildcard && !node.multi;
+}
+
+/**
+ * Depth-first search in specificity order (static, param, wildcard, multi)
+ * @private
+ */
+function search(node, segments, index, path) {
+  if (index === segments.length) {
+    for (const { entry } of node.entries) {
+      // The full matcher coerces params (and re-checks the whole path)
+      const result = entry.match(path);
+      if (result) {
+        return { entry, result };
+      }
+    }
+  } else {
+    const segment = segments[index];
+
+    const staticChild = node.static.get(segment);
+    if (staticChild) {
+      const found = search(staticChild, segments, index + 1, path);
+      if (found) return found;
+    }
+
+    for (const param of node.params) {
+      if (param.matcher.match(segment)) {
+        const found = search(param.node, segments, index + 1, path);
+        if (found) return found;
+      }
+    }
+
+    if (node.wildcard && segment.length > 0) {
+      const found = search(node.wildcard, segments, index + 1, path);
+      if (found) return found;
+    }
+  }
+
+  if (node.multi) {
+    for (let next = index; next <= segments.length; next++) {
+      const found = search(node.multi, segments, next, path);
+      if (found) return found;
+    }
+  }
+
+  return null;
+}
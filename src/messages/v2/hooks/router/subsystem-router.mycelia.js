@@ -1,12 +1,21 @@
 import { RouteEntry } from './route-entry.mycelia.js';
 import { RouteCache } from './route-cache.mycelia.js';
+import { RouteTrie } from './route-trie.mycelia.js';
+import { compilePathPattern } from '../../utils/path-pattern.utils.mycelia.js';
 
 /**
  * SubsystemRouter Class
  * 
  * Manages route registration and matching for subsystems.
  * Supports strict matching (one pattern = one handler).
- * If multiple routes match a path, the route with the longest pattern wins.
+ * Routes are indexed in a segment trie (RouteTrie), so matching cost depends on
+ * path depth rather than the number of routes. If multiple routes match a path,
+ * the most specific wins, compared segment by segment from the left:
+ * static > param (typed/regex before plain) > `*` > `**`.
+ * 
+ * Patterns support `{param}` / `:param` segments, typed params (`{id:int}`,
+ * `{slug:[a-z-]+}`), optional segments (`{id?}`) and `*` / `**` wildcards.
+ * Params are coerced to their declared type.
  * 
  * @example
  * const router = new SubsystemRouter(subsystem, { cacheCapacity: 1000, debug: false });
@@ -34,6 +43,7 @@ export class SubsystemRouter {
     
     this.subsystem = subsystem;
     this.routes = new Map(); // pattern → RouteEntry (strict: one pattern = one handler)
+    this.trie = new RouteTrie();
     this.cache = new RouteCache(cacheCapacity);
     this.debug = debug;
   }
@@ -41,11 +51,11 @@ export class SubsystemRouter {
   /**
    * Register a route (strict: throws if pattern already exists)
    * 
-   * @param {string} pattern - Route pattern (e.g., "user/{id}", "posts/*")
+   * @param {string} pattern - Route pattern (e.g., "user/{id:int}", "posts/*", "events/**")
    * @param {Function} handler - Handler function: async (message, params, options) => result
    * @param {Object} [metadata={}] - Route metadata (description, priority, etc.)
    * @returns {RouteEntry} The created route entry
-   * @throws {Error} If pattern already registered
+   * @throws {Error} If pattern already registered or malformed
    */
   register(pattern, handler, metadata = {}) {
     if (!pattern || typeof pattern !== 'string') {
@@ -65,11 +75,13 @@ export class SubsystemRouter {
     // Create route entry
     const entry = new RouteEntry(pattern, handler, matcher, metadata);
     
-    // Store route
+    // Store and index route
     this.routes.set(pattern, entry);
+    this.trie.insert(entry);
     
-    // Invalidate cache (new route might match previously unmatched paths)
-    this.cache.clear();
+    // Only cached paths the new route matches can resolve differently now
+    // (unmatched paths are never cached)
+    this.cache.invalidateWhere((path) => entry.match(path) !== null);
     
     if (this.debug) {
       console.log(`SubsystemRouter: Registered route '${pattern}'`);
@@ -90,6 +102,7 @@ export class SubsystemRouter {
     }
     
     this.routes.delete(pattern);
+    this.trie.remove(pattern);
     this.cache.invalidate(pattern);
     
     if (this.debug) {
@@ -102,8 +115,8 @@ export class SubsystemRouter {
   /**
    * Match a path against registered routes
    * 
-   * If multiple routes match, returns the route with the longest pattern (most specific).
-   * If patterns have the same length, the first registered route wins.
+   * If multiple routes match, returns the most specific route: segments are compared
+   * from the left and static beats param beats wildcard (see RouteTrie).
    * 
    * @param {string} path - Path to match (e.g., "user/123")
    * @returns {MatchResult|null} Match result or null if no match
@@ -119,26 +132,11 @@ export class SubsystemRouter {
       return cached;
     }
     
-    let bestMatch = null;
-    let longestPattern = 0;
-    
-    // Try all routes, track longest match
-    for (const entry of this.routes.values()) {
-      const matchResult = entry.match(path);
-      if (matchResult) {
-        const patternLength = entry.pattern.length;
-        
-        // Longer pattern wins (more specific)
-        // If tie, first registered wins (Map iteration order maintains insertion order)
-        if (patternLength > longestPattern) {
-          longestPattern = patternLength;
-          bestMatch = matchResult;
-          bestMatch.routeEntry = entry;
-        }
-      }
-    }
-    
-    if (bestMatch) {
+    const found = this.trie.match(path);
+    if (found) {
+      const bestMatch = found.result;
+      bestMatch.routeEntry = found.entry;
+      
       // Cache the result
       this.cache.set(path, bestMatch);
       return bestMatch;
@@ -181,6 +179,7 @@ export class SubsystemRouter {
    */
   clear() {
     this.routes.clear();
+    this.trie.clear();
     this.cache.clear();
     
     if (this.debug) {
@@ -191,47 +190,28 @@ export class SubsystemRouter {
   /**
    * Create a matcher function for a pattern
    * 
-   * Supports:
+   * Supports (see path-pattern.utils for the full syntax):
    * - Static: "user/profile" → matches exactly "user/profile"
-   * - Params: "user/{id}" → matches "user/123", extracts {id: "123"}
-   * - Wildcards: "posts/*" → matches "posts/anything/here"
+   * - Params: "user/{id}" or "user/:id" → matches "user/123" (one segment), extracts {id: "123"}
+   * - Typed params: "user/{id:int}" → matches "user/123" only, extracts {id: 123}
+   * - Regex params: "post/{slug:[a-z-]+}" → value must match the regex
+   * - Optional segments: "files/{name?}" → matches "files" and "files/a.txt"
+   * - Wildcards: "posts/*" → exactly one segment; "events/**" → any number of segments
    * 
    * @param {string} pattern - Route pattern
    * @returns {Function} Matcher function: (path) => MatchResult | null
+   * @throws {Error} If the pattern is malformed
    * @private
    */
   _createMatcher(pattern) {
-    // Extract param names and build regex
-    const paramNames = [];
-    
-    // Escape special regex characters first
-    let escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
-    
-    // Replace param placeholders {name} with capture groups
-    escaped = escaped.replace(/\\\{(\w+)\\\}/g, (_, name) => {
-      paramNames.push(name);
-      return '([^/]+)'; // Match non-slash characters
-    });
-    
-    // Replace wildcards * with .*
-    // Note: * is not escaped in the first step, so we match * directly
-    escaped = escaped.replace(/\*/g, '.*');
-    
-    // Anchor to start and end (strict matching)
-    const regex = new RegExp(`^${escaped}$`);
+    const compiled = compilePathPattern(pattern);
     
     return (path) => {
-      const match = path.match(regex);
-      if (!match) {
+      const params = compiled.match(path);
+      if (!params) {
         return null;
       }
       
-      // Extract params
-      const params = {};
-      for (let i = 0; i < paramNames.length; i++) {
-        params[paramNames[i]] = match[i + 1]; // match[0] is full match
-      }
-      
       return {
         matched: true,
         params,
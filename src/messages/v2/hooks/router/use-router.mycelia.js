@@ -14,6 +14,7 @@ import { Facet } from 'mycelia-kernel-plugin/core';
 import { createHook } from '../create-hook.mycelia.js';
 import { getDebugFlag } from '../../utils/debug-flag.utils.mycelia.js';
 import { createLogger } from '../../utils/logger.utils.mycelia.js';
+import { wrapWithInterceptors } from '../interceptors/interceptor-pipeline.mycelia.js';
 
 /**
  * Get the authentication wrapper from subsystem identity if available
@@ -58,6 +59,13 @@ export const useRouter = createHook({
       debug
     });
     
+    // Wrap the route handler with subsystem and route-level interceptors.
+    // The interceptors facet is optional and looked up at call time.
+    const interceptHandler = (routeEntry) => wrapWithInterceptors(routeEntry.handler, routeEntry, {
+      interceptorsFacet: subsystem.find?.('interceptors'),
+      subsystemName: name
+    });
+    
     return new Facet('router', { attach: true, source: import.meta.url, contract: 'router' })
     .add({
       /**
@@ -67,6 +75,7 @@ export const useRouter = createHook({
        * @param {Object} [routeOptions={}] - Route options
        * @param {number} [routeOptions.priority=0] - Route priority
        * @param {string} [routeOptions.description] - Route description
+       * @param {Array<Object|Function>} [routeOptions.interceptors] - Route-level interceptors (run inside subsystem interceptors)
        * @param {Object} [routeOptions.metadata] - Additional metadata
        * @returns {boolean} True if registration successful
        */
@@ -157,9 +166,10 @@ export const useRouter = createHook({
         // Wrap the handler with authentication checks if required permission is specified
         // This ensures the handler will check permissions before executing when an identity is attached
         // If no identity or no required permission is specified, the handler is returned as-is
+        // Interceptors run inside the permission check
         const handler = getAuthWrapper(
           subsystem, 
-          matchResult.routeEntry.handler, 
+          interceptHandler(matchResult.routeEntry), 
           matchResult.routeEntry.metadata?.required,
           options
         );
@@ -198,9 +208,10 @@ export const useRouter = createHook({
         // Wrap the handler with authentication checks if required permission is specified
         // This ensures the handler will check permissions before executing when an identity is attached
         // If no identity or no required permission is specified, the handler is returned as-is
+        // Interceptors run inside the permission check
         const handler = getAuthWrapper(
           subsystem, 
-          matchResult.routeEntry.handler, 
+          interceptHandler(matchResult.routeEntry), 
           matchResult.routeEntry.metadata?.required,
           options
         );
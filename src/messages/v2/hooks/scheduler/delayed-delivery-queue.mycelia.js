@@ -0,0 +1,130 @@
+import { BinaryHeap } from '../queue/binary-heap.mycelia.js';
+
+/**
+ * DelayedDeliveryQueue Class
+ *
+ * Heap of message-options pairs ordered by their delivery time (`deliverAt`),
+ * earliest first. Holds delayed/scheduled messages outside the subsystem's
+ * BoundedQueue until they become eligible for processing. Supports O(log n)
+ * insertion, removal and cancellation by message ID. Entries with the same
+ * delivery time are delivered in insertion order.
+ *
+ * @example
+ * const delayed = new DelayedDeliveryQueue();
+ * delayed.push({ id: msg.getId(), deliverAt: Date.now() + 5000, msg, options });
+ *
+ * // Later, move due entries to the processing queue
+ * for (const entry of delayed.popDue(Date.now())) {
+ *   queue.enqueue({ msg: entry.msg, options: entry.options });
+ * }
+ */
+export class DelayedDeliveryQueue {
+  #heap = new BinaryHeap(Infinity, (entry) => -entry.deliverAt);
+  #entries = new Map(); // id -> entry
+
+  /**
+   * Number of pending entries
+   * @returns {number}
+   */
+  size() {
+    return this.#heap.size();
+  }
+
+  /**
+   * Check if there are no pending entries
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.#heap.isEmpty();
+  }
+
+  /**
+   * Add an entry
+   *
+   * @param {Object} entry - Delayed delivery entry
+   * @param {string} entry.id - Unique ID (the message ID)
+   * @param {number} entry.deliverAt - Delivery time in epoch milliseconds
+   * @param {Message} entry.msg - Message to deliver
+   * @param {Object} [entry.options={}] - Options to deliver the message with
+   * @returns {Object} The stored entry
+   * @throws {Error} If the entry is invalid or its ID is already pending
+   */
+  push(entry) {
+    if (!entry || entry.id === undefined || entry.id === null) {
+      throw new Error('DelayedDeliveryQueue.push: entry.id is required');
+    }
+    if (typeof entry.deliverAt !== 'number' || !Number.isFinite(entry.deliverAt)) {
+      throw new Error('DelayedDeliveryQueue.push: entry.deliverAt must be a finite number');
+    }
+    if (this.#entries.has(entry.id)) {
+      throw new Error(`DelayedDeliveryQueue.push: entry "${entry.id}" is already pending`);
+    }
+
+    this.#heap.enqueue(entry);
+    this.#entries.set(entry.id, entry);
+    return entry;
+  }
+
+  /**
+   * Peek at the entry with the earliest delivery time
+   * @returns {Object|null}
+   */
+  peek() {
+    return this.#heap.peek();
+  }
+
+  /**
+   * Get a pending entry by ID
+   * @param {string} id - Entry ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.#entries.get(id) || null;
+  }
+
+  /**
+   * Remove all entries whose delivery time is at or before `now`
+   *
+   * @param {number} [now=Date.now()] - Current time in epoch milliseconds
+   * @returns {Array<Object>} Due entries in delivery order
+   */
+  popDue(now = Date.now()) {
+    const due = [];
+    while (!this.#heap.isEmpty() && this.#heap.peek().deliverAt <= now) {
+      const entry = this.#heap.dequeue();
+      this.#entries.delete(entry.id);
+      due.push(entry);
+    }
+    return due;
+  }
+
+  /**
+   * Remove a pending entry by ID
+   *
+   * @param {string} id - Entry ID
+   * @returns {Object|null} Removed entry or null if not pending
+   */
+  remove(id) {
+    const entry = this.#entries.get(id);
+    if (!entry) return null;
+    this.#heap.remove(entry);
+    this.#entries.delete(id);
+    return entry;
+  }
+
+  /**
+   * List pending entries in delivery order (copy)
+   * @returns {Array<Object>}
+   */
+  list() {
+    return this.#heap.toArray();
+  }
+
+  /**
+   * Remove all pending entries
+   */
+  clear() {
+    this.#heap.clear();
+    this.#entries.clear();
+  }
+}
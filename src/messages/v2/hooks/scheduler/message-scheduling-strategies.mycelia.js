@@ -11,7 +11,12 @@
 /**
  * Priority-based message scheduling strategy
  * 
- * Selects messages based on priority: atomic messages first, then by timestamp.
+ * Selects messages based on priority: atomic messages first, then by numeric
+ * `priority` metadata (higher first), then by timestamp (older first).
+ * 
+ * This scans every pair on each pick (O(n)). For large queues use a priority
+ * queue instead (useQueue `type: 'priority'`), which the scheduler drains in
+ * heap order without consulting the strategy.
  * 
  * @param {Array<{msg: Message, options: Object}>} pairs - Available message-options pairs to process
  * @param {Object} [options={}] - Strategy options
@@ -31,7 +36,14 @@ export function messagePriority(pairs, options = {}) {
     if (currentMsg.isAtomic() && !highestMsg.isAtomic()) return current;
     if (!currentMsg.isAtomic() && highestMsg.isAtomic()) return highest;
     
-    // If both atomic or both non-atomic, use timestamp (older = higher priority)
+    // Higher numeric priority first
+    const currentPriority = currentMsg.meta?.getPriority?.() ?? 0;
+    const highestPriority = highestMsg.meta?.getPriority?.() ?? 0;
+    if (currentPriority !== highestPriority) {
+      return currentPriority > highestPriority ? current : highest;
+    }
+    
+    // Same priority: use timestamp (older = higher priority)
     return currentMsg.getTimestamp() < highestMsg.getTimestamp() ? current : highest;
   });
 }
@@ -22,6 +22,36 @@ export function getAvailableMessages(subsystem) {
   return queueFacet.queue.peekAll();
 }
 
+/**
+ * Get the subsystem queue if it hands out messages in its own order
+ * 
+ * Priority queues (useQueue `type: 'priority'`) are drained from the head in
+ * O(log n) per message instead of being scanned by a selection strategy.
+ * 
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {BoundedQueue|null} The ordered queue, or null for FIFO queues
+ */
+export function getOrderedQueue(subsystem) {
+  const queue = subsystem.find('queue')?.queue;
+  return typeof queue?.isOrdered === 'function' && queue.isOrdered() ? queue : null;
+}
+
+/**
+ * Discard expired messages (ttl/expiresAt) from the subsystem queue
+ * 
+ * The queue reports each discarded message through its 'expired' event.
+ * 
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {number} Number of messages discarded
+ */
+export function purgeExpiredMessages(subsystem) {
+  const queueFacet = subsystem.find('queue');
+  if (!queueFacet || typeof queueFacet.queue?.purgeExpired !== 'function') {
+    return 0;
+  }
+  return queueFacet.queue.purgeExpired();
+}
+
 /**
  * Calculate current queue utilization
  * 
@@ -15,7 +15,11 @@ export function createStatistics() {
     messagesProcessed: 0,
     processingErrors: 0,
     averageProcessingTime: 0,
-    totalProcessingTime: 0
+    totalProcessingTime: 0,
+    deliveriesDeferred: 0,
+    deliveriesReleased: 0,
+    deliveriesCancelled: 0,
+    messagesExpired: 0
   };
 }
 
@@ -42,15 +46,17 @@ export function updateStatistics(stats, processed, processingTime) {
  * @param {Array<string>} availableStrategies - Available strategy names
  * @param {number} queueUtilization - Current queue utilization
  * @param {Object} options - Scheduler options
+ * @param {number} [pendingDeliveries=0] - Number of delayed messages waiting for their delivery time
  * @returns {Object} Statistics object
  */
-export function getStatistics(stats, subsystem, currentStrategy, availableStrategies, queueUtilization, options) {
+export function getStatistics(stats, subsystem, currentStrategy, availableStrategies, queueUtilization, options, pendingDeliveries = 0) {
   return {
     ...stats,
     subsystemName: subsystem.name,
     currentStrategy,
     availableStrategies,
     queueUtilization,
+    pendingDeliveries,
     options
   };
 }
@@ -69,6 +75,10 @@ export function clearStatistics(stats, state, debug, subsystemName) {
   stats.processingErrors = 0;
   stats.averageProcessingTime = 0;
   stats.totalProcessingTime = 0;
+  stats.deliveriesDeferred = 0;
+  stats.deliveriesReleased = 0;
+  stats.deliveriesCancelled = 0;
+  stats.messagesExpired = 0;
   state.currentIndex = 0;
   state.lastProcessed = {};
   
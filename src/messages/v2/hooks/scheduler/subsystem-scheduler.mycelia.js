@@ -17,9 +17,12 @@ import {
 } from './scheduler-statistics.utils.mycelia.js';
 import {
   getAvailableMessages,
+  getOrderedQueue,
   calculateQueueUtilization,
-  processMessage
+  processMessage,
+  purgeExpiredMessages
 } from './scheduler-processing.utils.mycelia.js';
+import { DelayedDeliveryQueue } from './delayed-delivery-queue.mycelia.js';
 
 /**
  * SubsystemScheduler Class
@@ -46,6 +49,11 @@ import {
  * // Process messages during time slice
  * const result = await scheduler.process(50); // 50ms time slice
  * console.log(`Processed ${result.processed} messages`);
+ * 
+ * @example
+ * // Hold a delayed message until its deliverAt time
+ * scheduler.defer(message, options); // true if held
+ * await scheduler.releaseDueDeliveries(); // moves due messages into the queue
  */
 export class SubsystemScheduler {
   /**
@@ -54,7 +62,8 @@ export class SubsystemScheduler {
    * @param {BaseSubsystem} subsystem - The subsystem this scheduler manages
    * @param {Object} [options={}] - Configuration options
    * @param {string} [options.schedulingStrategy='priority'] - Message scheduling strategy
-   *   - 'priority': Atomic messages first, then by timestamp (default)
+   *   - 'priority': Atomic messages first, then by message priority, then by timestamp (default)
+   *   Ignored when the subsystem uses a priority queue (useQueue `type: 'priority'`), which is drained in heap order
    *   - 'fifo': First in, first out (oldest messages first)
    *   - 'load-based': Simple messages first (lowest complexity)
    *   - 'adaptive': Dynamic switching based on queue utilization
@@ -94,6 +103,9 @@ export class SubsystemScheduler {
     // Basic statistics
     this.stats = createStatistics();
     
+    // Delayed/scheduled messages wait here (not in the BoundedQueue) until deliverAt
+    this.delayed = new DelayedDeliveryQueue();
+    
     if (this.debug) {
       console.log(`SubsystemScheduler for ${subsystem.name}: Initialized with strategy '${this.options.schedulingStrategy}'`);
       console.log(`SubsystemScheduler: Available strategies:`, getMessageStrategyNames());
@@ -119,14 +131,24 @@ export class SubsystemScheduler {
     let errors = 0;
     
     try {
+      // Move delayed messages whose delivery time has passed into the queue
+      await this.releaseDueDeliveries();
+      
+      // Shed stale work before selecting messages
+      this.stats.messagesExpired += purgeExpiredMessages(this.subsystem);
+      
+      // Priority queues are already ordered: take the head instead of scanning
+      const orderedQueue = getOrderedQueue(this.subsystem);
+      
       // Get messages from subsystem queue
-      let messages = getAvailableMessages(this.subsystem);
-      if (messages.length === 0) {
+      let messages = orderedQueue ? null : getAvailableMessages(this.subsystem);
+      const available = orderedQueue ? orderedQueue.size() : messages.length;
+      if (available === 0) {
         return { processed: 0, processingTime: 0, errors: 0 };
       }
       
       // Limit messages per slice (use initial count)
-      const maxMessages = Math.min(messages.length, this.options.maxMessagesPerSlice);
+      const maxMessages = Math.min(available, this.options.maxMessagesPerSlice);
       
       for (let i = 0; i < maxMessages; i++) {
         // Check if we have time remaining
@@ -138,18 +160,30 @@ export class SubsystemScheduler {
           break;
         }
         
-        // Refresh messages list to get current queue state
-        messages = getAvailableMessages(this.subsystem);
-        if (messages.length === 0) break;
-        
-        // Select next message-options pair using strategy
-        const pair = this.selectNextMessage(messages);
+        let pair;
+        if (orderedQueue) {
+          pair = orderedQueue.peek();
+        } else {
+          // Refresh messages list to get current queue state
+          messages = getAvailableMessages(this.subsystem);
+          if (messages.length === 0) break;
+          
+          // Select next message-options pair using strategy
+          pair = this.selectNextMessage(messages);
+          if (!pair || !pair.msg) break;
+          
+          // Remove selected pair from the messages array to avoid selecting it again
+          const pairIndex = messages.indexOf(pair);
+          if (pairIndex !== -1) {
+            messages.splice(pairIndex, 1);
+          }
+        }
         if (!pair || !pair.msg) break;
         
-        // Remove selected pair from the messages array to avoid selecting it again
-        const pairIndex = messages.indexOf(pair);
-        if (pairIndex !== -1) {
-          messages.splice(pairIndex, 1);
+        // Message expired while waiting - discard it instead of processing
+        if (pair.msg.meta?.isExpired?.()) {
+          this.stats.messagesExpired += purgeExpiredMessages(this.subsystem);
+          continue;
         }
         
         try {
@@ -189,6 +223,128 @@ export class SubsystemScheduler {
     }
   }
 
+  /**
+   * Hold a message until its scheduled delivery time.
+   * 
+   * Messages without `deliverAt` metadata, or whose delivery time has already
+   * passed, are not held and should be enqueued normally. A message whose ID
+   * is already held is a duplicate: the pending entry is kept and the message
+   * is not held again.
+   * 
+   * @param {Message} message - Message to hold
+   * @param {Object} [options={}] - Options to deliver the message with
+   * @param {number} [now=Date.now()] - Current time in epoch milliseconds
+   * @returns {boolean|Object} True if the message was held for later delivery, false if
+   *   it should be enqueued now, or `{ success: false, duplicate: true, messageId, deliverAt }`
+   *   if a message with the same ID is already held
+   */
+  defer(message, options = {}, now = Date.now()) {
+    const deliverAt = message?.meta?.getDeliverAt?.();
+    if (typeof deliverAt !== 'number' || deliverAt <= now) {
+      return false;
+    }
+    
+    const pending = this.delayed.get(message.getId());
+    if (pending) {
+      if (this.debug) {
+        console.log(`SubsystemScheduler ${this.subsystem.name}: Message ${message.getId()} is already deferred; duplicate dropped`);
+      }
+      return { success: false, duplicate: true, messageId: pending.id, deliverAt: pending.deliverAt };
+    }
+    
+    this.delayed.push({
+      id: message.getId(),
+      deliverAt,
+      msg: message,
+      options,
+      ownerPkrUuid: options.callerId?.uuid ?? null,
+      deferredAt: now
+    });
+    this.stats.deliveriesDeferred++;
+    
+    if (this.debug) {
+      console.log(`SubsystemScheduler ${this.subsystem.name}: Deferred message ${message.getId()} until ${new Date(deliverAt).toISOString()}`);
+    }
+    
+    return true;
+  }
+
+  /**
+   * Move delayed messages whose delivery time has passed into the subsystem queue
+   * 
+   * @param {number} [now=Date.now()] - Current time in epoch milliseconds
+   * @returns {Promise<number>} Number of messages released
+   * @throws {Error} If processor facet is not found
+   */
+  async releaseDueDeliveries(now = Date.now()) {
+    if (this.delayed.isEmpty() || this.delayed.peek().deliverAt > now) {
+      return 0;
+    }
+    
+    const processorFacet = this.subsystem.find('processor');
+    if (!processorFacet) {
+      throw new Error(`SubsystemScheduler ${this.subsystem.name}: processor facet not found. useMessageProcessor must be added before useScheduler.`);
+    }
+    
+    const due = this.delayed.popDue(now);
+    for (const entry of due) {
+      await processorFacet.accept(entry.msg, entry.options);
+      this.stats.deliveriesReleased++;
+    }
+    
+    if (this.debug) {
+      console.log(`SubsystemScheduler ${this.subsystem.name}: Released ${due.length} delayed message(s)`);
+    }
+    
+    return due.length;
+  }
+
+  /**
+   * List messages waiting for their delivery time
+   * 
+   * @param {Object} [filter={}] - Filter options
+   * @param {string} [filter.ownerPkrUuid] - Only include messages sent by this PKR
+   * @returns {Array<Object>} Pending deliveries in delivery order
+   */
+  getPendingDeliveries(filter = {}) {
+    return this.delayed.list()
+      .filter(entry => !filter.ownerPkrUuid || entry.ownerPkrUuid === filter.ownerPkrUuid)
+      .map(entry => ({
+        id: entry.id,
+        path: entry.msg.getPath(),
+        subsystem: this.subsystem.name,
+        deliverAt: entry.deliverAt,
+        deferredAt: entry.deferredAt,
+        ownerPkrUuid: entry.ownerPkrUuid
+      }));
+  }
+
+  /**
+   * Cancel a pending delivery
+   * 
+   * @param {string} id - Message ID
+   * @returns {Object|null} Cancelled entry or null if not pending
+   */
+  cancelDelivery(id) {
+    const entry = this.delayed.remove(id);
+    if (entry) {
+      this.stats.deliveriesCancelled++;
+      
+      if (this.debug) {
+        console.log(`SubsystemScheduler ${this.subsystem.name}: Cancelled delivery of message ${id}`);
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Get the earliest pending delivery time
+   * @returns {number|null} Epoch milliseconds, or null if nothing is pending
+   */
+  getNextDeliveryTime() {
+    return this.delayed.peek()?.deliverAt ?? null;
+  }
+
   /**
    * Select next message using the configured strategy
    * @param {Array<Message>} messages - Available messages
@@ -289,7 +445,8 @@ export class SubsystemScheduler {
       this.options.schedulingStrategy,
       this.getAvailableStrategies(),
       calculateQueueUtilization(this.subsystem),
-      this.options
+      this.options,
+      this.delayed.size()
     );
   }
 
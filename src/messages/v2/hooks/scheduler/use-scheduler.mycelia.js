@@ -86,6 +86,43 @@ export const useScheduler = createHook({
       }
     },
     
+    /**
+     * Hold a message with delay/deliverAt metadata until it is due
+     * @param {Message} message - Message to hold
+     * @param {Object} [options={}] - Options to deliver the message with
+     * @returns {boolean|Object} True if the message was held, false if it should be enqueued now,
+     *   or `{ success: false, duplicate: true, ... }` if a message with the same ID is already held
+     */
+    deferDelivery(message, options = {}) {
+      return scheduler.defer(message, options);
+    },
+
+    /**
+     * Move due delayed messages into the queue
+     * @returns {Promise<number>} Number of messages released
+     */
+    async releaseDueDeliveries() {
+      return await scheduler.releaseDueDeliveries();
+    },
+
+    /**
+     * List messages waiting for their delivery time
+     * @param {Object} [filter={}] - Filter options (ownerPkrUuid)
+     * @returns {Array<Object>} Pending deliveries in delivery order
+     */
+    getPendingDeliveries(filter = {}) {
+      return scheduler.getPendingDeliveries(filter);
+    },
+
+    /**
+     * Cancel a pending delivery
+     * @param {string} id - Message ID
+     * @returns {boolean} True if a pending delivery was cancelled
+     */
+    cancelDelivery(id) {
+      return scheduler.cancelDelivery(id) !== null;
+    },
+
     /**
      * Get subsystem priority
      * @returns {number} Priority value
@@ -59,6 +59,22 @@ export const useServerRoutes = createHook({
     const config = ctx.config?.serverRoutes || {};
     const debug = getDebugFlag(config, ctx);
     const logger = createLogger(debug, `useServerRoutes ${name}`);
+
+    /**
+     * Attach the schema declared on the local route serving `myceliaPath`,
+     * so the HTTP layer can reject invalid bodies with 400 up front.
+     * An explicit `options.schema` wins.
+     * @private
+     */
+    const withRouteSchema = (myceliaPath, options = {}) => {
+      if (options.schema !== undefined) {
+        return options;
+      }
+      const entry = router.getRoutes?.().find(route => route.pattern === myceliaPath)
+        || router.match?.(myceliaPath)?.routeEntry;
+      const schema = entry?.metadata?.schema;
+      return schema ? { ...options, schema } : options;
+    };
     
     // Create facet with helper methods that construct and send messages
     return new Facet('serverRoutes', {
@@ -74,6 +90,7 @@ export const useServerRoutes = createHook({
        * @param {string} httpMethod - HTTP method ('GET', 'POST', etc.)
        * @param {string} httpPath - HTTP path (e.g., '/api/users/:id')
        * @param {Object} [options={}] - Optional transformation and middleware options
+       *   (`options.schema` defaults to the local route's `metadata.schema`)
        * @returns {Promise<Object>} Result from ServerSubsystem route handler
        */
       async registerMyceliaRoute(myceliaPath, httpMethod, httpPath, options = {}) {
@@ -81,7 +98,7 @@ export const useServerRoutes = createHook({
           myceliaPath,
           httpMethod,
           httpPath,
-          options
+          options: withRouteSchema(myceliaPath, options)
         });
         
         if (debug) {
@@ -177,7 +194,9 @@ export const useServerRoutes = createHook({
         }
         
         const msg = messages.create(SERVER_ROUTES.registerBatch.path, {
-          routes
+          routes: routes.map(route => route.type === 'route'
+            ? { ...route, options: withRouteSchema(route.myceliaPath, route.options) }
+            : route)
         });
         
         if (debug) {
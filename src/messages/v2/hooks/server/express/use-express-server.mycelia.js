@@ -61,7 +61,9 @@ export const useExpressServer = createHook({
     
     // Wrapper for createMyceliaHandler with bound dependencies
     const createMyceliaHandlerWrapper = (routePath, httpMethod, options = {}) => {
-      return createMyceliaHandler(routerFacet, messagesFacet, logger, routePath, httpMethod, options);
+      // Requests are recorded as server spans when the MessageSystem has tracing enabled
+      const tracing = options.tracing ?? ms?.find?.('tracing');
+      return createMyceliaHandler(routerFacet, messagesFacet, logger, routePath, httpMethod, { ...options, tracing });
     };
     
     // Create a placeholder server object for contract validation
@@ -6,6 +6,10 @@
  */
 
 import { extractTraceIdFromHeaders, injectTraceIdIntoHeaders } from '../../../utils/trace.utils.mycelia.js';
+import { extractIdempotencyKeyFromHeaders } from '../../idempotency/idempotency.utils.mycelia.js';
+import { validateRouteBody, createValidationFailure } from '../../interceptors/schema-interceptor.mycelia.js';
+import { startHttpServerSpan, endHttpServerSpan } from '../../../models/tracing/tracer.mycelia.js';
+import { isResponseStream, toNdjsonLines } from '../../responses/response-stream.mycelia.js';
 
 /**
  * Load and configure Express application
@@ -44,7 +48,9 @@ export async function loadExpress(config, expressAppRef) {
  * Create a Mycelia message handler for Express routes
  * 
  * Transforms HTTP requests to Mycelia messages, routes them through the Mycelia system,
- * and transforms the results back to HTTP responses.
+ * and transforms the results back to HTTP responses. A handler that returns a
+ * stream (responses.stream(), or any async iterable) is answered with a chunked
+ * NDJSON body, one line per chunk.
  * 
  * @param {Object} routerFacet - Router facet for routing messages
  * @param {Object} messagesFacet - Messages facet for creating messages
@@ -53,18 +59,31 @@ export async function loadExpress(config, expressAppRef) {
  * @param {string} httpMethod - HTTP method ('GET', 'POST', etc.)
  * @param {Object} [options={}] - Handler options
  * @param {Function} [options.transformRequest] - Transform HTTP request to message body
+ * @param {Object} [options.schema] - Route schema; an invalid `schema.body` is answered with 400
  * @param {Function} [options.transformResponse] - Transform Mycelia result to HTTP response
+ * @param {Object} [options.tracing] - Tracing facet; each request is recorded as a server span that continues an incoming `traceparent`
  * @returns {Function} Express route handler function
  */
 export function createMyceliaHandler(routerFacet, messagesFacet, logger, routePath, httpMethod, options = {}) {
   return async (req, res, next) => {
+    let span = null;
+    let handlerError = null;
     try {
       // Extract trace ID from HTTP headers (if present)
       const traceId = extractTraceIdFromHeaders(req.headers, options.traceIdHeader || 'X-Trace-Id');
+      span = startHttpServerSpan(options.tracing, { headers: req.headers, method: httpMethod, route: routePath, traceId });
       
       // Transform HTTP request to Mycelia message
       const transformRequest = options.transformRequest || ((req) => req.body || {});
       const body = transformRequest(req);
+
+      // Reject bodies that break the route's schema before creating a message
+      const violations = validateRouteBody(options.schema, body);
+      if (violations.length > 0) {
+        const failure = createValidationFailure(violations, { target: 'body', path: routePath });
+        res.status(400).json(failure);
+        return;
+      }
       
       // Create message with concrete Mycelia path (substitute params into routePath)
       const pathWithParams = routePath.replace(/\{([^}]+)\}/g, (_, name) => {
@@ -74,10 +93,14 @@ export function createMyceliaHandler(routerFacet, messagesFacet, logger, routePa
       const message = messagesFacet.create(pathWithParams, body, {
         meta: {
           traceId: traceId || undefined, // Use extracted trace ID or let MessageFactory generate one
+          // Handler spans become children of the server span
+          traceparent: span ? span.getTraceparent() : req.headers?.traceparent,
           httpMethod,
           params: req.params || {},
           query: req.query || {},
           headers: req.headers || {},
+          // Client retries carrying the same Idempotency-Key are deduplicated (useIdempotency)
+          idempotencyKey: extractIdempotencyKeyFromHeaders(req.headers),
           // Ensure immediate processing for HTTP-triggered Mycelia messages
           processImmediately: true
         }
@@ -116,6 +139,15 @@ export function createMyceliaHandler(routerFacet, messagesFacet, logger, routePa
         }
       }
       
+      // Streamed response: one NDJSON line per chunk (chunked transfer encoding)
+      if (isResponseStream(handlerResult)) {
+        if (messageTraceId) {
+          res.setHeader('X-Trace-Id', messageTraceId);
+        }
+        await writeChunkedResponse(res, handlerResult);
+        return;
+      }
+      
       // Transform Mycelia response to HTTP response
       const transformResponse = options.transformResponse || ((resBody) => resBody);
       const responseBody = transformResponse(handlerResult);
@@ -131,17 +163,49 @@ export function createMyceliaHandler(routerFacet, messagesFacet, logger, routePa
       
       res.status(statusCode).json(responseBody);
     } catch (error) {
+      handlerError = error;
       logger.error('Error in Mycelia route handler:', error);
       if (next) {
         next(error);
       } else {
         res.status(500).json({ error: error.message || 'Internal server error' });
       }
+    } finally {
+      endHttpServerSpan(span, handlerError ? 500 : res.statusCode, handlerError);
     }
   };
 }
 
+/**
+ * Write a stream as a chunked NDJSON response
+ * 
+ * Cancels the stream when the client disconnects, and waits for 'drain' when
+ * the socket buffer is full.
+ * 
+ * @private
+ * @param {Object} res - Express response
+ * @param {AsyncIterable} stream - Response chunks
+ * @returns {Promise<void>}
+ */
+async function writeChunkedResponse(res, stream) {
+  let closed = false;
+  res.on?.('close', () => {
+    closed = true;
+    stream.cancel?.('client disconnected');
+  });
 
-
-
-
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  for await (const line of toNdjsonLines(stream)) {
+    if (closed) {
+      break;
+    }
+    if (res.write(line) === false && typeof res.once === 'function') {
+      await new Promise(resolve => {
+        res.once('drain', resolve);
+        res.once('close', resolve);
+      });
+    }
+  }
+  res.end();
+}
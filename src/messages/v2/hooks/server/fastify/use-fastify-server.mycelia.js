@@ -59,7 +59,9 @@ export const useFastifyServer = createHook({
     
     // Wrapper for createMyceliaHandler with bound dependencies
     const createMyceliaHandlerWrapper = (routePath, httpMethod, options = {}) => {
-      return createMyceliaHandler(routerFacet, messagesFacet, logger, routePath, httpMethod, options);
+      // Requests are recorded as server spans when the MessageSystem has tracing enabled
+      const tracing = options.tracing ?? ms?.find?.('tracing');
+      return createMyceliaHandler(routerFacet, messagesFacet, logger, routePath, httpMethod, { ...options, tracing });
     };
     
     // Create a placeholder server object for contract validation
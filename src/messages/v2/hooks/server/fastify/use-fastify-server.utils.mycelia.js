@@ -6,6 +6,11 @@
  */
 
 import { extractTraceIdFromHeaders, injectTraceIdIntoHeaders } from '../../../utils/trace.utils.mycelia.js';
+import { extractIdempotencyKeyFromHeaders } from '../../idempotency/idempotency.utils.mycelia.js';
+import { validateRouteBody, createValidationFailure } from '../../interceptors/schema-interceptor.mycelia.js';
+import { Readable } from 'node:stream';
+import { startHttpServerSpan, endHttpServerSpan } from '../../../models/tracing/tracer.mycelia.js';
+import { isResponseStream, toNdjsonLines } from '../../responses/response-stream.mycelia.js';
 
 /**
  * Load and configure Fastify application
@@ -36,7 +41,9 @@ export async function loadFastify(config, fastifyRef) {
  * Create a Mycelia message handler for Fastify routes
  * 
  * Transforms HTTP requests to Mycelia messages, routes them through the Mycelia system,
- * and transforms the results back to HTTP responses.
+ * and transforms the results back to HTTP responses. A handler that returns a
+ * stream (responses.stream(), or any async iterable) is answered with a chunked
+ * NDJSON body, one line per chunk.
  * 
  * @param {Object} routerFacet - Router facet for routing messages
  * @param {Object} messagesFacet - Messages facet for creating messages
@@ -45,18 +52,31 @@ export async function loadFastify(config, fastifyRef) {
  * @param {string} httpMethod - HTTP method ('GET', 'POST', etc.)
  * @param {Object} [options={}] - Handler options
  * @param {Function} [options.transformRequest] - Transform HTTP request to message body
+ * @param {Object} [options.schema] - Route schema; an invalid `schema.body` is answered with 400
  * @param {Function} [options.transformResponse] - Transform Mycelia result to HTTP response
+ * @param {Object} [options.tracing] - Tracing facet; each request is recorded as a server span that continues an incoming `traceparent`
  * @returns {Function} Fastify route handler function
  */
 export function createMyceliaHandler(routerFacet, messagesFacet, logger, routePath, httpMethod, options = {}) {
   return async (request, reply) => {
+    let span = null;
+    let handlerError = null;
     try {
       // Extract trace ID from HTTP headers (if present)
       const traceId = extractTraceIdFromHeaders(request.headers, options.traceIdHeader || 'X-Trace-Id');
+      span = startHttpServerSpan(options.tracing, { headers: request.headers, method: httpMethod, route: routePath, traceId });
       
       // Transform HTTP request to Mycelia message
       const transformRequest = options.transformRequest || ((req) => req.body || {});
       const body = transformRequest(request);
+
+      // Reject bodies that break the route's schema before creating a message
+      const violations = validateRouteBody(options.schema, body);
+      if (violations.length > 0) {
+        const failure = createValidationFailure(violations, { target: 'body', path: routePath });
+        reply.code(400).send(failure);
+        return;
+      }
       
       // Create message with concrete Mycelia path (substitute params into routePath)
       const pathWithParams = routePath.replace(/\{([^}]+)\}/g, (_, name) => {
@@ -66,10 +86,14 @@ export function createMyceliaHandler(routerFacet, messagesFacet, logger, routePa
       const message = messagesFacet.create(pathWithParams, body, {
         meta: {
           traceId: traceId || undefined, // Use extracted trace ID or let MessageFactory generate one
+          // Handler spans become children of the server span
+          traceparent: span ? span.getTraceparent() : request.headers?.traceparent,
           httpMethod,
           params: request.params || {},
           query: request.query || {},
           headers: request.headers || {},
+          // Client retries carrying the same Idempotency-Key are deduplicated (useIdempotency)
+          idempotencyKey: extractIdempotencyKeyFromHeaders(request.headers),
           // Ensure immediate processing for HTTP-triggered Mycelia messages
           processImmediately: true
         }
@@ -112,6 +136,19 @@ export function createMyceliaHandler(routerFacet, messagesFacet, logger, routePa
         }
       }
       
+      // Streamed response: one NDJSON line per chunk (chunked transfer encoding).
+      // Fastify destroys the Readable when the client disconnects, which cancels the stream
+      if (isResponseStream(handlerResult)) {
+        if (messageTraceId) {
+          reply.header('X-Trace-Id', messageTraceId);
+        }
+        const body = Readable.from(toNdjsonLines(handlerResult));
+        const finished = new Promise(resolve => body.once('close', resolve));
+        reply.code(200).type('application/x-ndjson').send(body);
+        await finished;
+        return;
+      }
+      
       // Transform Mycelia response to HTTP response
       const transformResponse = options.transformResponse || ((res) => res);
       const responseBody = transformResponse(handlerResult);
@@ -127,8 +164,11 @@ export function createMyceliaHandler(routerFacet, messagesFacet, logger, routePa
       
       reply.code(statusCode).send(responseBody);
     } catch (error) {
+      handlerError = error;
       logger.error('Error in Mycelia route handler:', error);
       reply.code(500).send({ error: error.message || 'Internal server error' });
+    } finally {
+      endHttpServerSpan(span, reply.statusCode, handlerError);
     }
   };
 }
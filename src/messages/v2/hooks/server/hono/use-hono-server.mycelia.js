@@ -60,7 +60,9 @@ export const useHonoServer = createHook({
     
     // Wrapper for createMyceliaHandler with bound dependencies
     const createMyceliaHandlerWrapper = (routePath, httpMethod, options = {}) => {
-      return createMyceliaHandler(routerFacet, messagesFacet, logger, routePath, httpMethod, options);
+      // Requests are recorded as server spans when the MessageSystem has tracing enabled
+      const tracing = options.tracing ?? ms?.find?.('tracing');
+      return createMyceliaHandler(routerFacet, messagesFacet, logger, routePath, httpMethod, { ...options, tracing });
     };
     
     // Create a placeholder server object for contract validation
@@ -97,11 +99,14 @@ export const useHonoServer = createHook({
         const port = options.port ?? config.port ?? 3000;
         const host = options.host ?? config.host ?? '0.0.0.0';
         
-        return new Promise(async (resolve, reject) => {
+        // Use @hono/node-server for proper Node.js integration
+        const { serve } = await import('@hono/node-server').catch((error) => {
+          logger.error('Failed to start server:', error);
+          throw error;
+        });
+        
+        return new Promise((resolve, reject) => {
           try {
-            // Use @hono/node-server for proper Node.js integration
-            const { serve } = await import('@hono/node-server');
-            
             // Create HTTP server using @hono/node-server
             // Convert 0.0.0.0 to localhost for better compatibility with Node.js fetch
             const bindHost = host === '0.0.0.0' ? '0.0.0.0' : host;
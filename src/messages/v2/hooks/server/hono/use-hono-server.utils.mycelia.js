@@ -6,6 +6,10 @@
  */
 
 import { extractTraceIdFromHeaders, injectTraceIdIntoHeaders } from '../../../utils/trace.utils.mycelia.js';
+import { extractIdempotencyKeyFromHeaders } from '../../idempotency/idempotency.utils.mycelia.js';
+import { validateRouteBody, createValidationFailure } from '../../interceptors/schema-interceptor.mycelia.js';
+import { startHttpServerSpan, endHttpServerSpan } from '../../../models/tracing/tracer.mycelia.js';
+import { isResponseStream, toNdjsonLines } from '../../responses/response-stream.mycelia.js';
 
 /**
  * Load and configure Hono application
@@ -36,7 +40,9 @@ export async function loadHono(config, honoAppRef) {
  * Create a Mycelia message handler for Hono routes
  * 
  * Transforms HTTP requests to Mycelia messages, routes them through the Mycelia system,
- * and transforms the results back to HTTP responses.
+ * and transforms the results back to HTTP responses. A handler that returns a
+ * stream (responses.stream(), or any async iterable) is answered with a chunked
+ * NDJSON body, one line per chunk.
  * 
  * @param {Object} routerFacet - Router facet for routing messages
  * @param {Object} messagesFacet - Messages facet for creating messages
@@ -45,15 +51,18 @@ export async function loadHono(config, honoAppRef) {
  * @param {string} httpMethod - HTTP method ('GET', 'POST', etc.)
  * @param {Object} [options={}] - Handler options
  * @param {Function} [options.transformRequest] - Transform HTTP request to message body
+ * @param {Object} [options.schema] - Route schema; an invalid `schema.body` is answered with 400
  * @param {Function} [options.transformResponse] - Transform Mycelia result to HTTP response
+ * @param {Object} [options.tracing] - Tracing facet; each request is recorded as a server span that continues an incoming `traceparent`
  * @returns {Function} Hono route handler function
  */
 export function createMyceliaHandler(routerFacet, messagesFacet, logger, routePath, httpMethod, options = {}) {
-  return async (c) => {
+  const handler = async (c, trace) => {
     try {
       // Extract trace ID from HTTP headers (if present)
       const headers = Object.fromEntries(c.req.raw.headers.entries());
       const traceId = extractTraceIdFromHeaders(headers, options.traceIdHeader || 'X-Trace-Id');
+      trace.span = startHttpServerSpan(options.tracing, { headers, method: httpMethod, route: routePath, traceId });
       
       // Transform HTTP request to Mycelia message
       const transformRequest = options.transformRequest || (async (c) => {
@@ -64,6 +73,13 @@ export function createMyceliaHandler(routerFacet, messagesFacet, logger, routePa
         }
       });
       const body = await transformRequest(c);
+
+      // Reject bodies that break the route's schema before creating a message
+      const violations = validateRouteBody(options.schema, body);
+      if (violations.length > 0) {
+        const failure = createValidationFailure(violations, { target: 'body', path: routePath });
+        return c.json(failure, 400);
+      }
       
       // Substitute path parameters into the Mycelia path
       let finalMyceliaPath = routePath;
@@ -84,10 +100,14 @@ export function createMyceliaHandler(routerFacet, messagesFacet, logger, routePa
       const message = messagesFacet.create(finalMyceliaPath, body, {
         meta: {
           traceId: traceId || undefined, // Use extracted trace ID or let MessageFactory generate one
+          // Handler spans become children of the server span
+          traceparent: trace.span ? trace.span.getTraceparent() : headers.traceparent,
           httpMethod,
           params: params || {},
           query: query || {},
           headers: headers || {},
+          // Client retries carrying the same Idempotency-Key are deduplicated (useIdempotency)
+          idempotencyKey: extractIdempotencyKeyFromHeaders(headers),
           // Ensure immediate processing for HTTP-triggered Mycelia messages
           processImmediately: true
         }
@@ -128,6 +148,14 @@ export function createMyceliaHandler(routerFacet, messagesFacet, logger, routePa
         }
       }
       
+      // Streamed response: one NDJSON line per chunk
+      if (isResponseStream(handlerResult)) {
+        if (messageTraceId) {
+          c.header('X-Trace-Id', messageTraceId);
+        }
+        return c.body(toReadableStream(handlerResult), 200, { 'Content-Type': 'application/x-ndjson' });
+      }
+      
       // Transform Mycelia response to HTTP response
       const transformResponse = options.transformResponse || ((res) => res);
       const responseBody = transformResponse(handlerResult);
@@ -143,13 +171,57 @@ export function createMyceliaHandler(routerFacet, messagesFacet, logger, routePa
       
       return c.json(responseBody, statusCode);
     } catch (error) {
+      trace.error = error;
       logger.error('Error in Mycelia route handler:', error);
       return c.json({ error: error.message || 'Internal server error' }, 500);
     }
   };
-}
-
-
 
+  return (c) => handleWithServerSpan(c, handler);
+}
 
+/**
+ * Run a request handler and end its server span with the response status
+ * 
+ * The handler stores the span it started (startHttpServerSpan) and any error
+ * it answered with a 500 on `trace`.
+ * 
+ * @private
+ * @param {Object} c - Hono context
+ * @param {Function} handler - `(c, trace) => Promise<Response>`
+ * @returns {Promise<Response>} Handler response
+ */
+async function handleWithServerSpan(c, handler) {
+  const trace = { span: null, error: null };
+  const response = await handler(c, trace);
+  endHttpServerSpan(trace.span, response?.status, trace.error);
+  return response;
+}
 
+/**
+ * Wrap a stream in a web ReadableStream of NDJSON lines
+ * 
+ * Cancelling the ReadableStream (client disconnect) cancels the stream.
+ * 
+ * @private
+ * @param {AsyncIterable} stream - Response chunks
+ * @returns {ReadableStream} Encoded body
+ */
+function toReadableStream(stream) {
+  const lines = toNdjsonLines(stream);
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await lines.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(encoder.encode(value));
+      }
+    },
+    async cancel() {
+      stream.cancel?.('client disconnected');
+      await lines.return();
+    }
+  });
+}
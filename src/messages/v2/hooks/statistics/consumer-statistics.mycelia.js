@@ -0,0 +1,132 @@
+/**
+ * ConsumerStatistics Class
+ *
+ * Tracks delivery statistics for a durable topic consumer group. Counterpart of
+ * SubsystemStatistics for messages consumed from a topic log: what was
+ * delivered, acknowledged, redelivered or given up on, and how far the group
+ * lags behind the end of the log.
+ *
+ * @example
+ * // Used internally by ConsumerGroup
+ * const stats = new ConsumerStatistics();
+ * stats.recordDelivered();
+ * stats.recordAcked();
+ * stats.getStats({ committed: 41, next: 45 }); // { ..., lag: 4 }
+ */
+export class ConsumerStatistics {
+  /**
+   * Create a new ConsumerStatistics instance
+   *
+   * @param {boolean} [debug=false] - Enable debug logging
+   */
+  constructor(debug = false) {
+    this.debug = debug || false;
+    this.reset();
+  }
+
+  /**
+   * Reset all statistics to zero
+   */
+  reset() {
+    this.stats = {
+      messagesDelivered: 0,
+      messagesAcked: 0,
+      messagesNacked: 0,
+      messagesRedelivered: 0,
+      ackTimeouts: 0,
+      messagesDropped: 0,
+      messagesSkipped: 0,
+      deliveryFailures: 0,
+      lastAckedAt: null
+    };
+  }
+
+  /**
+   * Record that a log entry was handed to a group member
+   *
+   * @param {boolean} [redelivery=false] - True if the entry had been delivered before
+   */
+  recordDelivered(redelivery = false) {
+    this.stats.messagesDelivered++;
+    if (redelivery) {
+      this.stats.messagesRedelivered++;
+    }
+
+    if (this.debug) {
+      console.log(`ConsumerStatistics: Message delivered (total: ${this.stats.messagesDelivered}, redelivery: ${redelivery})`);
+    }
+  }
+
+  /**
+   * Record that a member acknowledged an entry
+   */
+  recordAcked() {
+    this.stats.messagesAcked++;
+    this.stats.lastAckedAt = Date.now();
+  }
+
+  /**
+   * Record that a member rejected an entry (nack)
+   */
+  recordNacked() {
+    this.stats.messagesNacked++;
+
+    if (this.debug) {
+      console.log(`ConsumerStatistics: Message nacked (total: ${this.stats.messagesNacked})`);
+    }
+  }
+
+  /**
+   * Record that an entry was not acknowledged in time and will be redelivered
+   */
+  recordAckTimeout() {
+    this.stats.ackTimeouts++;
+  }
+
+  /**
+   * Record that an entry could not be dispatched to a member
+   */
+  recordDeliveryFailure() {
+    this.stats.deliveryFailures++;
+  }
+
+  /**
+   * Record that an entry was given up on (attempts exhausted or nacked without requeue)
+   */
+  recordDropped() {
+    this.stats.messagesDropped++;
+
+    if (this.debug) {
+      console.log(`ConsumerStatistics: Message dropped (total: ${this.stats.messagesDropped})`);
+    }
+  }
+
+  /**
+   * Record entries that left the log (retention) before the group consumed them
+   *
+   * @param {number} [count=1] - Number of entries skipped
+   */
+  recordSkipped(count = 1) {
+    this.stats.messagesSkipped += count;
+
+    if (this.debug) {
+      console.log(`ConsumerStatistics: ${count} message(s) skipped by retention (total: ${this.stats.messagesSkipped})`);
+    }
+  }
+
+  /**
+   * Get all statistics, with the lag when log positions are given
+   *
+   * @param {Object} [positions] - Log positions
+   * @param {number} positions.committed - First offset not yet acknowledged by the group
+   * @param {number} positions.next - Next offset the log will assign
+   * @returns {Object} Statistics object
+   */
+  getStats(positions) {
+    const stats = { ...this.stats };
+    if (positions) {
+      stats.lag = Math.max(0, positions.next - positions.committed);
+    }
+    return stats;
+  }
+}
@@ -43,7 +43,16 @@ export class SubsystemStatistics {
       processingErrors: 0,
       queueFullEvents: 0,
       timeSlicesReceived: 0,
-      totalProcessingTime: 0
+      totalProcessingTime: 0,
+      messagesRetried: 0,
+      messagesDeadLettered: 0,
+      messagesExpired: 0,
+      messagesDeduplicated: 0,
+      messagesCancelled: 0,
+      messagesBlocked: 0,
+      queueWaitTimeouts: 0,
+      totalQueueWaitTime: 0,
+      maxQueueWaitTime: 0
     };
     
     if (this.debug) {
@@ -124,6 +133,99 @@ export class SubsystemStatistics {
     }
   }
 
+  /**
+   * Record that a failed message was scheduled for retry
+   * 
+   * @example
+   * stats.recordRetry();
+   */
+  recordRetry() {
+    this.stats.messagesRetried++;
+    
+    if (this.debug) {
+      console.log(`SubsystemStatistics: Message retry scheduled (total: ${this.stats.messagesRetried})`);
+    }
+  }
+
+  /**
+   * Record that a message exhausted its retries and was dead-lettered
+   * 
+   * @example
+   * stats.recordDeadLettered();
+   */
+  recordDeadLettered() {
+    this.stats.messagesDeadLettered++;
+    
+    if (this.debug) {
+      console.log(`SubsystemStatistics: Message dead-lettered (total: ${this.stats.messagesDeadLettered})`);
+    }
+  }
+
+  /**
+   * Record that an expired message (ttl/expiresAt) was discarded without processing
+   * 
+   * @example
+   * stats.recordExpired();
+   */
+  recordExpired() {
+    this.stats.messagesExpired++;
+    
+    if (this.debug) {
+      console.log(`SubsystemStatistics: Expired message discarded (total: ${this.stats.messagesExpired})`);
+    }
+  }
+
+  /**
+   * Record that a duplicate message (same idempotency key) was suppressed
+   * 
+   * @example
+   * stats.recordDeduplicated();
+   */
+  recordDeduplicated() {
+    this.stats.messagesDeduplicated++;
+    
+    if (this.debug) {
+      console.log(`SubsystemStatistics: Duplicate message suppressed (total: ${this.stats.messagesDeduplicated})`);
+    }
+  }
+
+  /**
+   * Record that a message was cancelled by its sender (removed from the queue or aborted while running)
+   * 
+   * @example
+   * stats.recordCancelled();
+   */
+  recordCancelled() {
+    this.stats.messagesCancelled++;
+    
+    if (this.debug) {
+      console.log(`SubsystemStatistics: Message cancelled (total: ${this.stats.messagesCancelled})`);
+    }
+  }
+
+  /**
+   * Record how long a producer waited for queue space ('block' policy)
+   * 
+   * @param {number} waitTime - Wait time in milliseconds
+   * @param {boolean} [enqueued=true] - False if the wait ended without the message being queued
+   *   (timeout, abort, or the message expired while waiting)
+   * 
+   * @example
+   * stats.recordQueueWait(12, true);
+   */
+  recordQueueWait(waitTime, enqueued = true) {
+    this.stats.messagesBlocked++;
+    this.stats.totalQueueWaitTime += waitTime;
+    this.stats.maxQueueWaitTime = Math.max(this.stats.maxQueueWaitTime, waitTime);
+    if (!enqueued) {
+      this.stats.queueWaitTimeouts++;
+    }
+    
+    if (this.debug) {
+      console.log(`SubsystemStatistics: Queue wait recorded (${waitTime}ms, ${enqueued ? 'enqueued' : 'not enqueued'})`);
+    }
+  }
+
   /**
    * Get all statistics as a copy
    * 
@@ -152,6 +254,20 @@ export class SubsystemStatistics {
       : 0;
   }
 
+  /**
+   * Get average time producers waited for queue space
+   * 
+   * @returns {number} Average queue wait time in milliseconds
+   * 
+   * @example
+   * const avgWait = statistics.getAverageQueueWaitTime();
+   */
+  getAverageQueueWaitTime() {
+    return this.stats.messagesBlocked > 0
+      ? this.stats.totalQueueWaitTime / this.stats.messagesBlocked
+      : 0;
+  }
+
   /**
    * Get a specific statistic value
    * 
@@ -50,7 +50,15 @@ export const useStatistics = createHook({
           averageProcessingTime: statistics.getAverageProcessingTime(),
           processingErrors: statistics.getStats().processingErrors,
           queueFullEvents: statistics.getStats().queueFullEvents,
-          timeSlicesReceived: statistics.getStats().timeSlicesReceived
+          timeSlicesReceived: statistics.getStats().timeSlicesReceived,
+          messagesRetried: statistics.getStats().messagesRetried,
+          messagesDeadLettered: statistics.getStats().messagesDeadLettered,
+          messagesExpired: statistics.getStats().messagesExpired,
+          messagesDeduplicated: statistics.getStats().messagesDeduplicated,
+          messagesCancelled: statistics.getStats().messagesCancelled,
+          messagesBlocked: statistics.getStats().messagesBlocked,
+          averageQueueWaitTime: statistics.getAverageQueueWaitTime(),
+          maxQueueWaitTime: statistics.getStats().maxQueueWaitTime
         };
       },
       
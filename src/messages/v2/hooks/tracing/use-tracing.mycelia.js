@@ -0,0 +1,179 @@
+/**
+ * useTracing Hook
+ *
+ * Provides OpenTelemetry-compatible tracing to a MessageSystem. Installed by
+ * default on MessageSystem and looked up at runtime with `ms.find('tracing')` by:
+ *
+ * - MessageRouter.route           → `route <subsystem>` span
+ * - useMessageProcessor           → `queue <subsystem>` (queue wait) and `handle <subsystem>` spans
+ * - KernelSubsystem.sendProtected → `sendProtected` span
+ * - HTTP servers (ServerSubsystem) → `<METHOD> <route>` server span, honouring an incoming `traceparent`
+ *
+ * Tracing is off unless exporters (or a tracer) are configured, so an
+ * unconfigured system pays nothing but a facet lookup per hop.
+ *
+ * @param {Object} ctx - Context object containing config.tracing for configuration
+ * @param {Object} ctx.config.tracing - Tracing configuration
+ * @param {Tracer} [ctx.config.tracing.tracer] - Existing tracer to use (e.g. shared by several MessageSystems)
+ * @param {string} [ctx.config.tracing.serviceName] - Service name (default: the MessageSystem name)
+ * @param {Array<Object>} [ctx.config.tracing.exporters=[]] - Span exporters
+ * @param {number} [ctx.config.tracing.sampleRate=1] - Probability that a new trace is recorded
+ * @param {boolean} [ctx.config.tracing.enabled] - Record spans (default: true when exporters are configured)
+ * @param {boolean} [ctx.config.tracing.debug] - Enable debug logging
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {Facet} Facet object with tracing methods
+ *
+ * @example
+ * const memory = new InMemorySpanExporter();
+ * const ms = new MessageSystem('main', {
+ *   config: { tracing: { serviceName: 'orders', exporters: [memory] } }
+ * });
+ * await ms.bootstrap();
+ * // ... traffic ...
+ * memory.getFinishedSpans();
+ */
+import { Facet } from 'mycelia-kernel-plugin/core';
+import { createHook } from '../create-hook.mycelia.js';
+import { getDebugFlag } from '../../utils/debug-flag.utils.mycelia.js';
+import { createLogger } from '../../utils/logger.utils.mycelia.js';
+import { Tracer } from '../../models/tracing/tracer.mycelia.js';
+
+export const useTracing = createHook({
+  kind: 'tracing',
+  version: '1.0.0',
+  overwrite: false,
+  required: [],
+  attach: true,
+  source: import.meta.url,
+  fn: (ctx, api, subsystem) => {
+    const { name } = api;
+    const config = ctx.config?.tracing || {};
+    const debug = getDebugFlag(config, ctx);
+    const logger = createLogger(debug, `useTracing ${name}`);
+
+    const exporters = config.exporters || [];
+    const tracer = config.tracer || new Tracer({
+      serviceName: config.serviceName || name,
+      exporters,
+      sampleRate: config.sampleRate ?? 1,
+      enabled: config.enabled ?? exporters.length > 0,
+      onExportError: (error) => logger.error('Span export failed:', error)
+    });
+
+    // Write buffered spans when the system shuts down
+    if (typeof subsystem?.onDispose === 'function') {
+      subsystem.onDispose(async () => {
+        await tracer.shutdown();
+      });
+    }
+
+    if (debug) {
+      logger.log(`Tracing ${tracer.isEnabled() ? 'enabled' : 'disabled'} (${tracer.getExporters().length} exporters)`);
+    }
+
+    return new Facet('tracing', { attach: true, source: import.meta.url })
+      .add({
+        /**
+         * Get the underlying tracer
+         * @returns {Tracer} Tracer instance
+         */
+        getTracer() {
+          return tracer;
+        },
+
+        /**
+         * Check if spans are recorded
+         * @returns {boolean} True if enabled
+         */
+        isEnabled() {
+          return tracer.isEnabled();
+        },
+
+        /**
+         * Enable or disable span recording
+         * @param {boolean} value - Enable flag
+         */
+        setEnabled(value) {
+          tracer.setEnabled(value);
+        },
+
+        /**
+         * Add a span exporter
+         * @param {Object} exporter - Exporter with an `export(spans)` method
+         */
+        addExporter(exporter) {
+          tracer.addExporter(exporter);
+        },
+
+        /**
+         * Remove a span exporter
+         * @param {Object} exporter - Exporter added before
+         * @returns {boolean} True if removed
+         */
+        removeExporter(exporter) {
+          return tracer.removeExporter(exporter);
+        },
+
+        /**
+         * Start a span (see Tracer.startSpan)
+         * @param {string} spanName - Span name
+         * @param {Object} [options={}] - Span options
+         * @returns {Span} Running span
+         */
+        startSpan(spanName, options = {}) {
+          return tracer.startSpan(spanName, options);
+        },
+
+        /**
+         * Run a function inside a span (see Tracer.withSpan)
+         * @param {string} spanName - Span name
+         * @param {Object} options - Span options
+         * @param {Function} fn - `async (span) => result`
+         * @returns {Promise<any>} Result of `fn`
+         */
+        async withSpan(spanName, options, fn) {
+          return await tracer.withSpan(spanName, options, fn);
+        },
+
+        /**
+         * Start a span for a message hop (see Tracer.startMessageSpan)
+         * @param {string} spanName - Span name
+         * @param {Message} message - Message being handled
+         * @param {Object} [options={}] - Span options
+         * @returns {Span} Running span
+         */
+        startMessageSpan(spanName, message, options = {}) {
+          return tracer.startMessageSpan(spanName, message, options);
+        },
+
+        /**
+         * Run a function inside a message span (see Tracer.withMessageSpan)
+         * @param {string} spanName - Span name
+         * @param {Message} message - Message being handled
+         * @param {Object} options - Span options
+         * @param {Function} fn - `async (span) => result`
+         * @returns {Promise<any>} Result of `fn`
+         */
+        async withMessageSpan(spanName, message, options, fn) {
+          return await tracer.withMessageSpan(spanName, message, options, fn);
+        },
+
+        /**
+         * Flush all exporters
+         * @returns {Promise<void>}
+         */
+        async flush() {
+          await tracer.flush();
+        },
+
+        /**
+         * Get tracer statistics
+         * @returns {Object} Span counters
+         */
+        getStatistics() {
+          return tracer.getStatistics();
+        }
+      });
+  }
+});
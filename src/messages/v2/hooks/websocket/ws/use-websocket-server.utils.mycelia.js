@@ -6,6 +6,7 @@
  */
 
 import { extractTraceIdFromHeaders } from '../../../utils/trace.utils.mycelia.js';
+import { isResponseStream } from '../../responses/response-stream.mycelia.js';
 
 /**
  * Load and configure WebSocket server (ws library)
@@ -49,12 +50,18 @@ export async function loadWebSocketServer(config, wsRef) {
  * Transforms WebSocket messages to Mycelia messages, routes them through the Mycelia system,
  * and transforms the results back to WebSocket messages.
  * 
+ * A handler that returns a stream (responses.stream(), or any async iterable)
+ * is answered with one frame per chunk, `{ success, data, correlationId,
+ * stream: { seq, done: false } }`, then an end frame with `done: true` (and
+ * `success: false` plus `error` if the stream failed). The handler then
+ * resolves with null, as the frames were already sent.
+ * 
  * @param {Object} routerFacet - Router facet for routing messages
  * @param {Object} messagesFacet - Messages facet for creating messages
  * @param {Object} logger - Logger instance for error logging
  * @param {string} defaultPath - Default Mycelia path for messages
  * @param {Object} [options={}] - Handler options
- * @returns {Function} WebSocket message handler function
+ * @returns {Function} WebSocket message handler function (resolves with the response, or null for streams)
  */
 export function createWebSocketMessageHandler(routerFacet, messagesFacet, logger, defaultPath, options = {}) {
   return async (connection, wsMessage) => {
@@ -95,6 +102,7 @@ export function createWebSocketMessageHandler(routerFacet, messagesFacet, logger
           correlationId,
           connectionId: connection.id,
           websocket: true,
+          idempotencyKey: messageData.metadata?.idempotencyKey || undefined,
           processImmediately: true  // Goes into mutable metadata, accessible via getCustomMutableField
         }
       });
@@ -132,6 +140,15 @@ export function createWebSocketMessageHandler(routerFacet, messagesFacet, logger
         }
       }
 
+      // Streamed response: one frame per chunk, then the end frame
+      if (isResponseStream(handlerResult)) {
+        await sendStreamFrames(connection, handlerResult, {
+          correlationId,
+          traceId: message.getMeta?.()?.getTraceId?.() || traceId
+        });
+        return null;
+      }
+
       // Transform result to WebSocket response format
       const response = {
         success: handlerResult?.success !== false,
@@ -156,3 +173,39 @@ export function createWebSocketMessageHandler(routerFacet, messagesFacet, logger
   };
 }
 
+/**
+ * Send a stream as WebSocket frames
+ * 
+ * Stops reading (and cancels the stream) when the connection closes.
+ * 
+ * @private
+ * @param {WebSocketConnection} connection - Client connection
+ * @param {AsyncIterable} stream - Response chunks
+ * @param {Object} context - `{ correlationId, traceId }`
+ * @returns {Promise<void>}
+ */
+async function sendStreamFrames(connection, stream, { correlationId, traceId }) {
+  let seq = 0;
+  const frame = (fields, done) => ({
+    correlationId,
+    stream: { seq: seq++, done },
+    metadata: { traceId, timestamp: Date.now() },
+    ...fields
+  });
+
+  try {
+    for await (const chunk of stream) {
+      if (!connection.isOpen()) {
+        return;
+      }
+      await connection.send(frame({ success: true, data: chunk, error: null }, false));
+    }
+    if (connection.isOpen()) {
+      await connection.send(frame({ success: true, data: null, error: null }, true));
+    }
+  } catch (error) {
+    if (connection.isOpen()) {
+      await connection.send(frame({ success: false, data: null, error: error.message || 'Stream failed' }, true));
+    }
+  }
+}
@@ -8,27 +8,35 @@
 export { BaseSubsystem } from './models/base-subsystem/base.subsystem.mycelia.js';
 export { StandalonePluginSystem } from './models/standalone-plugin-system/standalone-plugin-system.mycelia.js';
 export { MessageSystem } from './models/message-system/message-system.v2.mycelia.js';
+export { CircuitBreaker, CircuitOpenError, CIRCUIT_STATES } from './models/message-system/circuit-breaker.mycelia.js';
 export { Message } from './models/message/message.mycelia.js';
 
 // Kernel subsystems
 export { KernelSubsystem } from './models/kernel-subsystem/kernel.subsystem.mycelia.js';
 export { ProfileRegistrySubsystem } from './models/kernel-subsystem/profile-registry-subsystem/profile-registry.subsystem.mycelia.js';
 export { AccessControlSubsystem } from './models/kernel-subsystem/access-control-subsystem/access-control.subsystem.mycelia.js';
-export { ErrorManagerSubsystem } from './models/kernel-subsystem/error-manager-subsystem/error-manager.subsystem.mycelia.js';
+export { ErrorManagerSubsystem, ERROR_ALERT_PATH } from './models/kernel-subsystem/error-manager-subsystem/error-manager.subsystem.mycelia.js';
 export { ChannelManagerSubsystem } from './models/kernel-subsystem/channel-manager-subsystem/channel-manager.subsystem.mycelia.js';
 export { ResponseManagerSubsystem } from './models/kernel-subsystem/response-manager-subsystem/response-manager.subsystem.mycelia.js';
+export { DeadLetterSubsystem } from './models/kernel-subsystem/dead-letter-subsystem/dead-letter.subsystem.mycelia.js';
+export { TransactionManagerSubsystem } from './models/kernel-subsystem/transaction-manager-subsystem/transaction-manager.subsystem.mycelia.js';
+export { TopicManagerSubsystem } from './models/kernel-subsystem/topic-manager-subsystem/topic-manager.subsystem.mycelia.js';
 
 // Security models
 export { SecurityProfile } from './models/security/security-profile.mycelia.js';
 export { Principal } from './models/security/principal.mycelia.js';
 export { PKR } from './models/security/public-key-record.mycelia.js';
 export { ReaderWriterSet } from './models/security/reader-writer-set.mycelia.js';
+export { RateLimiter, TokenBucket, RATE_LIMIT_CODES, normalizeRateLimit } from './models/security/rate-limiter.mycelia.js';
 export { PrincipalRegistry } from './models/security/principal-registry.mycelia.js';
 
 // Hooks
 export { useStatistics } from './hooks/statistics/use-statistics.mycelia.js';
+export { ConsumerStatistics } from './hooks/statistics/consumer-statistics.mycelia.js';
 export { useQueue } from './hooks/queue/use-queue.mycelia.js';
+export { PriorityQueue } from './hooks/queue/priority-queue.mycelia.js';
 export { useScheduler } from './hooks/scheduler/use-scheduler.mycelia.js';
+export { DelayedDeliveryQueue } from './hooks/scheduler/delayed-delivery-queue.mycelia.js';
 export { useGlobalScheduler } from './hooks/global-scheduler/use-global-scheduler.mycelia.js';
 export { useListeners } from './hooks/listeners/use-listeners.mycelia.js';
 export { useRouter } from './hooks/router/use-router.mycelia.js';
@@ -36,11 +44,23 @@ export { useRouterWithScopes } from './hooks/router/use-router-with-scopes.mycel
 export { useMessageSystemRouter } from './hooks/message-system-router/use-message-system-router.mycelia.js';
 export { useMessageSystemRegistry } from './hooks/message-system-registry/use-message-system-registry.mycelia.js';
 export { useMessageProcessor } from './hooks/message-processor/use-message-processor.mycelia.js';
+export { useRetry } from './hooks/retry/use-retry.mycelia.js';
+export { RetryPolicy, RETRY_STRATEGIES } from './hooks/retry/retry-policy.mycelia.js';
+export { useIdempotency } from './hooks/idempotency/use-idempotency.mycelia.js';
+export { IdempotencyStore } from './hooks/idempotency/idempotency-store.mycelia.js';
+export { IDEMPOTENCY_KEY_HEADER, extractIdempotencyKeyFromHeaders, resolveIdempotencyKey } from './hooks/idempotency/idempotency.utils.mycelia.js';
+export { useInterceptors } from './hooks/interceptors/use-interceptors.mycelia.js';
+export { normalizeInterceptor, runInterceptors, wrapWithInterceptors } from './hooks/interceptors/interceptor-pipeline.mycelia.js';
+export { createSchemaInterceptor, createValidationFailure, validateRouteBody } from './hooks/interceptors/schema-interceptor.mycelia.js';
 export { useMessages } from './hooks/messages/use-messages.mycelia.js';
 export { useResponses } from './hooks/responses/use-responses.mycelia.js';
+export { ResponseStream, ReplyStreamWriter, isResponseStream, applyStreamReply, toNdjsonLines } from './hooks/responses/response-stream.mycelia.js';
 export { useChannels } from './hooks/channels/use-channels.mycelia.js';
 export { useHierarchy } from './hooks/hierarchy/use-hierarchy.mycelia.js';
 export { useRequests } from './hooks/requests/use-requests.mycelia.js';
+export { performRequest, performStreamRequest } from './hooks/requests/request-core.mycelia.js';
+export { CANCEL_REQUEST_ROUTE, getCancelPath, isCancelPath, createAbortError, sendCancel } from './hooks/requests/request-cancellation.mycelia.js';
+export { ScatterRequestBuilder, SCATTER_POLICIES } from './hooks/requests/scatter-request-builder.mycelia.js';
 export { useQueries } from './hooks/queries/use-queries.mycelia.js';
 export { useSynchronous } from './hooks/synchronous/use-synchronous.mycelia.js';
 export { useExtractHandlerResult } from './hooks/extract-handler-result/use-extract-handler-result.mycelia.js';
@@ -57,6 +77,14 @@ export { ChildSubsystemRegistry } from './hooks/hierarchy/child-subsystem-regist
 export { DefaultHooks, createCanonicalDefaultHooks, createSynchronousDefaultHooks, FACET_KINDS } from './models/defaults/default-hooks.mycelia.js';
 export { useHealthCheck } from './hooks/health/use-health-check.mycelia.js';
 export { useProfiler } from './hooks/profiler/use-profiler.mycelia.js';
+export { useTracing } from './hooks/tracing/use-tracing.mycelia.js';
+export { Tracer, traceMessage, getMessageTraceparent, setMessageTraceparent, startHttpServerSpan, endHttpServerSpan } from './models/tracing/tracer.mycelia.js';
+export { Span, SPAN_KIND, SPAN_STATUS } from './models/tracing/span.mycelia.js';
+export { InMemorySpanExporter, ConsoleSpanExporter, OtlpJsonFileExporter, toOtlpJson } from './models/tracing/span-exporters.mycelia.js';
+export { useFlightRecorder } from './hooks/flight-recorder/use-flight-recorder.mycelia.js';
+export { FlightRecorder, RECORDING_MODES, toRecordable } from './models/flight-recorder/flight-recorder.mycelia.js';
+export { NdjsonRecordingSink, StorageRecordingSink, parseNdjsonRecording } from './models/flight-recorder/flight-recording-sinks.mycelia.js';
+export { FlightReplayer } from './models/flight-recorder/flight-replayer.mycelia.js';
 export { useMemoryStorage } from './hooks/storage/memory/use-memory-storage.mycelia.js';
 export { useSQLiteStorage } from './hooks/storage/sqlite/use-sqlite-storage.mycelia.js';
 export { useIndexedDBStorage } from './hooks/storage/indexeddb/use-indexeddb-storage.mycelia.js';
@@ -132,7 +160,22 @@ export { findFacet } from './utils/find-facet.utils.mycelia.js';
 export { MessagePool, globalMessagePool, createPooledMessage, withPooledMessage } from './utils/message-pool.mycelia.js';
 export { parseVersion, isValidSemver, compareVersions, satisfiesRange, getDefaultVersion, validateVersion } from './utils/semver.utils.mycelia.js';
 export { createStructuredLogger, createStructuredLoggerFromMessage } from './utils/structured-logger.utils.mycelia.js';
-export { generateTraceId, inheritTraceId, extractTraceIdFromHeaders, injectTraceIdIntoHeaders } from './utils/trace.utils.mycelia.js';
+export {
+  generateTraceId,
+  inheritTraceId,
+  inheritTraceparent,
+  extractTraceIdFromHeaders,
+  injectTraceIdIntoHeaders,
+  generateSpanId,
+  toW3CTraceId,
+  parseTraceparent,
+  formatTraceparent,
+  TRACEPARENT_HEADER
+} from './utils/trace.utils.mycelia.js';
+export { initMessageContext, createMessageContext, runWithMessageContext, getMessageContext, getMessageContextLogFields } from './utils/message-context.utils.mycelia.js';
+export { compilePathPattern, isPathPattern, PARAM_TYPES } from './utils/path-pattern.utils.mycelia.js';
+export { validateJsonSchema, SCHEMA_FORMATS } from './utils/json-schema.utils.mycelia.js';
+
 // Export Facet so external hooks use the same instance as mycelia-kernel
 export { Facet } from 'mycelia-kernel-plugin/core';
 export { FacetManager } from './models/facet-manager/facet-manager.mycelia.js';
@@ -142,9 +185,18 @@ export { WebSocketConnection } from './models/websocket/websocket-connection.myc
 
 // Kernel subsystem models
 export { Channel } from './models/kernel-subsystem/channel-manager-subsystem/channel.mycelia.js';
+export { ChannelStore, CHANNEL_RECORD_VERSION, migrateChannelRecord, createPrincipalResolver } from './models/kernel-subsystem/channel-manager-subsystem/channel-store.mycelia.js';
 export { ErrorRecord, ERROR_TYPES, ERROR_SEVERITY } from './models/kernel-subsystem/error-manager-subsystem/error-record.mycelia.js';
 export { BoundedErrorStore } from './models/kernel-subsystem/error-manager-subsystem/bounded-error-store.mycelia.js';
+export { ErrorAlertRule } from './models/kernel-subsystem/error-manager-subsystem/error-alert-rule.mycelia.js';
+export { ErrorGroup, fingerprintError, normalizeErrorPath, normalizeErrorMessage } from './models/kernel-subsystem/error-manager-subsystem/error-group.mycelia.js';
 export { PendingResponse } from './models/kernel-subsystem/response-manager-subsystem/pending-response.mycelia.js';
+export { DeadLetterEntry } from './models/kernel-subsystem/dead-letter-subsystem/dead-letter-entry.mycelia.js';
+export { DeadLetterStore } from './models/kernel-subsystem/dead-letter-subsystem/dead-letter-store.mycelia.js';
+export { Transaction, TRANSACTION_STATUS } from './models/kernel-subsystem/transaction-manager-subsystem/transaction.mycelia.js';
+export { Topic, TopicSubscription, getTopicPath, isValidTopicName } from './models/kernel-subsystem/topic-manager-subsystem/topic.mycelia.js';
+export { TopicLog } from './models/kernel-subsystem/topic-manager-subsystem/topic-log.mycelia.js';
+export { ConsumerGroup } from './models/kernel-subsystem/topic-manager-subsystem/consumer-group.mycelia.js';
 
 // Result utility
 export { Result } from './models/result/result.mycelia.js';
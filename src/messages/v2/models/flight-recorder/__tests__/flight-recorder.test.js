@@ -0,0 +1,211 @@
+import { describe, it, expect, vi } from 'vitest';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { rm } from 'node:fs/promises';
+import { FlightRecorder, RECORDING_MODES } from '../flight-recorder.mycelia.js';
+import { NdjsonRecordingSink, StorageRecordingSink, parseNdjsonRecording } from '../flight-recording-sinks.mycelia.js';
+import { FlightReplayer } from '../flight-replayer.mycelia.js';
+import { MessageRouter } from '../../message-system/message-router.mycelia.js';
+import { MemoryStorageBackend } from '../../../hooks/storage/memory/memory-storage-backend.mycelia.js';
+import { Message } from '../../message/message.mycelia.js';
+import { MessageFactory } from '../../message/message-factory.mycelia.js';
+import { createMessageContext, runWithMessageContext } from '../../../utils/message-context.utils.mycelia.js';
+
+const caller = { uuid: 'pkr-1', name: 'web', kind: 'topLevel' };
+
+/**
+ * Router over two fake subsystems: orders handlers send an audit message
+ * (inside a message context, like the real processor) and return its ID.
+ */
+function createSystem(recorder) {
+  const ms = {
+    find: (kind) => (kind === 'flightRecorder' ? recorder : undefined),
+    send: (message, options = {}) => router.route(message, options),
+    getSubsystems: () => []
+  };
+  const handle = (name, handler) => ({
+    name,
+    processImmediately: (message, options) =>
+      runWithMessageContext(createMessageContext(message, { subsystem: name }), () => handler(message, options))
+  });
+  const subsystems = new Map([
+    ['orders', handle('orders', async (message) => {
+      const audit = MessageFactory.create('audit://record', { order: message.getBody().id }, { meta: { processImmediately: true } });
+      await router.route(new Message(audit));
+      return { success: true, auditId: audit.id, at: Date.now(), roll: Math.random() };
+    })],
+    ['audit', handle('audit', async () => ({ success: true }))]
+  ]);
+  const router = new MessageRouter(ms, null, subsystems);
+  return ms;
+}
+
+function order(id) {
+  return new Message('orders://create', { id }, { processImmediately: true });
+}
+
+describe('FlightRecorder', () => {
+  it('records routed messages with sender, result and causing message', async () => {
+    const recorder = new FlightRecorder();
+    const ms = createSystem(recorder);
+    const message = order(1);
+
+    await ms.send(message, { callerId: caller });
+
+    const [root, child] = recorder.getEntries();
+    expect(root).toMatchObject({ seq: 1, id: message.getId(), path: 'orders://create', subsystem: 'orders', body: { id: 1 }, sender: caller, causedBy: null, error: null });
+    expect(root.result).toMatchObject({ success: true, subsystem: 'orders', result: { processed: true, result: { auditId: child.id } } });
+    expect(child).toMatchObject({ seq: 2, path: 'audit://record', causedBy: message.getId(), result: { success: true, subsystem: 'audit' } });
+  });
+
+  it('records only messages matching the path and subsystem filters', async () => {
+    const recorder = new FlightRecorder({ paths: ['audit://**'] });
+    const ms = createSystem(recorder);
+
+    await ms.send(order(1));
+    recorder.setFilter({ subsystems: ['orders'] });
+    await ms.send(order(2));
+
+    expect(recorder.getEntries().map(entry => entry.path)).toEqual(['audit://record', 'orders://create']);
+    expect(recorder.getStatistics()).toMatchObject({ recorded: 2, filtered: 2 });
+  });
+
+  it('keeps the last entries in ring mode until dumped', async () => {
+    const sink = { write: vi.fn() };
+    const recorder = new FlightRecorder({ sink, mode: RECORDING_MODES.RING, capacity: 3 });
+    const ms = createSystem(recorder);
+
+    await ms.send(order(1));
+    await ms.send(order(2));
+
+    expect(sink.write).not.toHaveBeenCalled();
+    expect(recorder.getEntries().map(entry => entry.seq)).toEqual([2, 3, 4]);
+    expect(await recorder.dump()).toBe(3);
+    expect(sink.write).toHaveBeenCalledWith(recorder.getEntries());
+    expect(recorder.getStatistics()).toMatchObject({ evicted: 1, buffered: 3 });
+  });
+
+  it('streams entries to the sink without failing routing when the sink fails', async () => {
+    const written = [];
+    const onSinkError = vi.fn();
+    let fail = false;
+    const sink = { write: async (entries) => { if (fail) throw new Error('disk full'); written.push(...entries); } };
+    const recorder = new FlightRecorder({ sink, onSinkError });
+    const ms = createSystem(recorder);
+
+    await ms.send(order(1));
+    fail = true;
+    const result = await ms.send(order(2));
+    await recorder.flush();
+
+    expect(result.success).toBe(true);
+    expect(written.map(entry => entry.path)).toEqual(['audit://record', 'orders://create']);
+    expect(recorder.getStatistics()).toMatchObject({ written: 2, sinkErrors: 2 });
+    expect(onSinkError).toHaveBeenCalledWith(expect.objectContaining({ message: 'disk full' }));
+  });
+
+  it('records routing errors and does not record while stopped', async () => {
+    const recorder = new FlightRecorder();
+    const ms = createSystem(recorder);
+
+    const router = { route: async () => { throw new Error('route failed'); } };
+    await expect(recorder.capture(order(1), {}, () => router.route())).rejects.toThrow('route failed');
+    recorder.stop();
+    await ms.send(order(2));
+
+    expect(recorder.getEntries()).toHaveLength(1);
+    expect(recorder.getEntries()[0]).toMatchObject({ error: 'route failed', result: null });
+  });
+});
+
+describe('flight recording sinks', () => {
+  it('round-trips entries through an NDJSON file', async () => {
+    const path = join(tmpdir(), `flight-${process.pid}-${Date.now()}.ndjson`);
+    const sink = new NdjsonRecordingSink({ path });
+    try {
+      await sink.write([{ seq: 2, path: 'b://y' }]);
+      await sink.write([{ seq: 1, path: 'a://x' }]);
+
+      expect((await sink.read()).map(entry => entry.seq)).toEqual([1, 2]);
+      await sink.clear();
+      expect(await sink.read()).toEqual([]);
+    } finally {
+      await rm(path, { force: true });
+    }
+  });
+
+  it('reports the invalid line of an NDJSON recording', () => {
+    expect(() => parseNdjsonRecording('{"seq":1}\nnot json\n')).toThrow(/line 2/);
+  });
+
+  it('stores entries per recording in a storage backend', async () => {
+    const storage = new MemoryStorageBackend();
+    const first = new StorageRecordingSink({ storage, recordingId: 'incident-1' });
+    const second = new StorageRecordingSink({ storage, recordingId: 'incident-2' });
+
+    await first.write([{ seq: 10, path: 'b://y' }, { seq: 9, path: 'a://x' }]);
+    await second.write([{ seq: 1, path: 'c://z' }]);
+
+    expect((await first.read()).map(entry => entry.seq)).toEqual([9, 10]);
+    await first.clear();
+    expect(await first.read()).toEqual([]);
+    expect(await second.read()).toHaveLength(1);
+  });
+});
+
+describe('FlightReplayer', () => {
+  it('replays root messages deterministically and compares results', async () => {
+    const recorder = new FlightRecorder();
+    await createSystem(recorder).send(order(1));
+    await createSystem(recorder).send(order(2));
+    const recording = recorder.getEntries();
+
+    const first = await new FlightReplayer(createSystem(null), { seed: 7 }).replay(recording);
+    const second = await new FlightReplayer(createSystem(null), { seed: 7 }).replay(recording);
+
+    expect(first).toMatchObject({ replayed: 2, skipped: 2 });
+    expect(first.results.map(result => result.id)).toEqual([recording[0].id, recording[2].id]);
+    expect(second.results.map(result => result.actual)).toEqual(first.results.map(result => result.actual));
+    // The audit IDs were generated with the real clock and random, so they diverge
+    expect(first.diverged).toBe(2);
+  });
+
+  it('matches a recording made during a replay with the same seed', async () => {
+    const recorder = new FlightRecorder();
+    const source = [{ seq: 1, recordedAt: 1000, id: 'msg-1', path: 'orders://create', body: { id: 1 }, meta: order(1).getMeta().toJSON(), causedBy: null }];
+    await new FlightReplayer(createSystem(recorder), { seed: 3 }).replay(source);
+
+    // Recording reads the clock too, so the replay records as well
+    const report = await new FlightReplayer(createSystem(new FlightRecorder()), { seed: 3 }).replay(recorder.getEntries());
+
+    expect(report).toMatchObject({ replayed: 1, skipped: 1, diverged: 0 });
+  });
+
+  it('restores Date.now and Math.random after replaying', async () => {
+    const now = Date.now;
+    const random = Math.random;
+
+    await new FlightReplayer({ send: async () => { throw new Error('boom'); } }).replay([{ seq: 1, path: 'a://x', meta: {}, error: 'boom' }]);
+
+    expect(Date.now).toBe(now);
+    expect(Math.random).toBe(random);
+  });
+
+  it('drains queued messages in subsystem order after each entry', async () => {
+    const processed = [];
+    const queued = (name, count) => {
+      let pending = count;
+      const facets = {
+        queue: { hasMessagesToProcess: () => pending > 0 },
+        processor: { processTick: async () => { pending--; processed.push(name); } }
+      };
+      return { name, find: (kind) => facets[kind] };
+    };
+    const ms = { send: async () => ({ success: true }), getSubsystems: () => [queued('b', 1), queued('a', 2)] };
+
+    const report = await new FlightReplayer(ms).replay([{ seq: 1, path: 'a://x', meta: {}, result: { success: true } }]);
+
+    expect(report.diverged).toBe(0);
+    expect(processed).toEqual(['a', 'b', 'a']);
+  });
+});
@@ -0,0 +1,329 @@
+/**
+ * FlightRecorder
+ *
+ * Captures routed messages in routing order: path, body, metadata, sender and
+ * the routing result. Entries are kept in a size-bounded ring and, in 'stream'
+ * mode, written to a sink as soon as their routing completes. In 'ring' mode
+ * only the last `capacity` entries are kept until dump() writes them out (a
+ * black box to save after an incident).
+ *
+ * Every entry records the message that was being handled when it was routed
+ * (`causedBy`, from the message context), so a replay can feed only the
+ * externally originated messages and let handlers regenerate the rest.
+ *
+ * @example
+ * const recorder = new FlightRecorder({
+ *   sink: new NdjsonRecordingSink({ path: './incident.ndjson' }),
+ *   paths: ['orders://**'],
+ *   capacity: 5000
+ * });
+ * await recorder.capture(message, options, () => router.route(message, options));
+ */
+import { CircularBuffer } from '../../hooks/queue/circular-buffer.mycelia.js';
+import { compilePathPattern } from '../../utils/path-pattern.utils.mycelia.js';
+import { getMessageContext } from '../../utils/message-context.utils.mycelia.js';
+
+/**
+ * RECORDING_MODES
+ *
+ * When recorded entries reach the sink.
+ */
+export const RECORDING_MODES = Object.freeze({
+  STREAM: 'stream', // Written to the sink as each routing completes
+  RING: 'ring' // Kept in memory only, written by dump()
+});
+
+export class FlightRecorder {
+  #sink;
+  #mode;
+  #ring;
+  #recording;
+  #recordingId;
+  #pathMatchers = [];
+  #subsystems = null;
+  #seq = 0;
+  #onSinkError;
+  #pendingWrites = new Set();
+  #stats = {
+    recorded: 0,
+    filtered: 0,
+    evicted: 0,
+    written: 0,
+    sinkErrors: 0
+  };
+
+  /**
+   * Create a new FlightRecorder
+   *
+   * @param {Object} [options={}] - Recorder options
+   * @param {Object} [options.sink=null] - Sink with `write(entries)` (see flight-recording-sinks)
+   * @param {string} [options.mode='stream'] - RECORDING_MODES value
+   * @param {number} [options.capacity=1000] - Entries kept in memory (oldest evicted first)
+   * @param {Array<string>} [options.paths=[]] - Path patterns to record (empty: all paths)
+   * @param {Array<string>} [options.subsystems=[]] - Target subsystems to record (empty: all subsystems)
+   * @param {boolean} [options.enabled=true] - Start recording immediately
+   * @param {string} [options.recordingId] - Recording ID (default: generated)
+   * @param {Function} [options.onSinkError] - Called with (error) when the sink fails
+   * @throws {Error} If mode or capacity is invalid
+   */
+  constructor(options = {}) {
+    const mode = options.mode || RECORDING_MODES.STREAM;
+    if (!Object.values(RECORDING_MODES).includes(mode)) {
+      throw new Error(`FlightRecorder: unknown mode '${mode}'`);
+    }
+    const capacity = options.capacity ?? 1000;
+    if (!Number.isInteger(capacity) || capacity <= 0) {
+      throw new Error('FlightRecorder: capacity must be a positive integer');
+    }
+
+    this.#sink = options.sink || null;
+    this.#mode = mode;
+    this.#ring = new CircularBuffer(capacity);
+    this.#recording = options.enabled !== false;
+    this.#recordingId = options.recordingId || `rec_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    this.#onSinkError = options.onSinkError || null;
+    this.setFilter(options);
+  }
+
+  /**
+   * Get the recording ID
+   * @returns {string} Recording ID (used as key prefix by storage sinks)
+   */
+  getRecordingId() {
+    return this.#recordingId;
+  }
+
+  /**
+   * Get the recording mode
+   * @returns {string} RECORDING_MODES value
+   */
+  getMode() {
+    return this.#mode;
+  }
+
+  /**
+   * Get the sink
+   * @returns {Object|null} Sink, or null
+   */
+  getSink() {
+    return this.#sink;
+  }
+
+  /**
+   * Check if messages are being recorded
+   * @returns {boolean} True while recording
+   */
+  isRecording() {
+    return this.#recording;
+  }
+
+  /**
+   * Start recording
+   */
+  start() {
+    this.#recording = true;
+  }
+
+  /**
+   * Stop recording (entries already captured are kept)
+   */
+  stop() {
+    this.#recording = false;
+  }
+
+  /**
+   * Replace the path / subsystem filters
+   * @param {Object} filter - Filter
+   * @param {Array<string>} [filter.paths=[]] - Path patterns (empty: all paths)
+   * @param {Array<string>} [filter.subsystems=[]] - Subsystem names (empty: all subsystems)
+   */
+  setFilter({ paths = [], subsystems = [] } = {}) {
+    this.#pathMatchers = paths.map(pattern => compilePathPattern(pattern));
+    this.#subsystems = subsystems.length > 0 ? new Set(subsystems) : null;
+  }
+
+  /**
+   * Check if a message passes the filters
+   * @param {Message} message - Message
+   * @returns {boolean} True if the message would be recorded
+   */
+  matches(message) {
+    const path = message?.getPath?.() ?? message?.path;
+    if (this.#subsystems && !this.#subsystems.has(message?.extractSubsystem?.())) {
+      return false;
+    }
+    return this.#pathMatchers.length === 0 || this.#pathMatchers.some(matcher => matcher.match(path) !== null);
+  }
+
+  /**
+   * Route a message while recording it
+   *
+   * The entry takes its sequence number when routing starts, so entries are
+   * ordered by routing order even when routings complete out of order.
+   *
+   * @param {Message} message - Message being routed
+   * @param {Object} options - Routing options (`callerId` is recorded as the sender)
+   * @param {Function} route - `async () => result` performing the routing
+   * @returns {Promise<Object>} Result of `route`
+   */
+  async capture(message, options, route) {
+    if (!this.#recording || !this.matches(message)) {
+      if (this.#recording) {
+        this.#stats.filtered++;
+      }
+      return await route();
+    }
+
+    const entry = this.#createEntry(message, options);
+    const startedAt = Date.now();
+    try {
+      const result = await route();
+      entry.result = toRecordable(result);
+      return result;
+    } catch (error) {
+      entry.error = error?.message || String(error);
+      throw error;
+    } finally {
+      entry.duration = Date.now() - startedAt;
+      // Not awaited: a slow sink must not delay routing (flush() waits for it)
+      if (this.#mode === RECORDING_MODES.STREAM && this.#sink) {
+        this.#write([entry]);
+      }
+    }
+  }
+
+  /**
+   * Get the entries in memory, in routing order
+   * @returns {Array<Object>} Recorded entries
+   */
+  getEntries() {
+    return this.#ring.toArray().map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Write the entries in memory to a sink
+   * @param {Object} [sink] - Sink (default: the recorder's sink)
+   * @returns {Promise<number>} Number of entries written
+   * @throws {Error} If no sink is available
+   */
+  async dump(sink = this.#sink) {
+    if (!sink || typeof sink.write !== 'function') {
+      throw new Error('FlightRecorder: dump() needs a sink with write(entries)');
+    }
+    const entries = this.getEntries();
+    await sink.write(entries);
+    await sink.flush?.();
+    return entries.length;
+  }
+
+  /**
+   * Flush the sink
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all([...this.#pendingWrites]);
+    await this.#sink?.flush?.();
+  }
+
+  /**
+   * Remove the entries in memory
+   */
+  clear() {
+    this.#ring.clear();
+  }
+
+  /**
+   * Get recorder statistics
+   * @returns {Object} Counters (recorded, filtered, evicted, written, sinkErrors) and state
+   */
+  getStatistics() {
+    return {
+      ...this.#stats,
+      buffered: this.#ring.size(),
+      capacity: this.#ring.getCapacity(),
+      mode: this.#mode,
+      recording: this.#recording
+    };
+  }
+
+  /**
+   * Build an entry and put it in the ring
+   * @private
+   */
+  #createEntry(message, options = {}) {
+    const json = typeof message.toJSON === 'function'
+      ? message.toJSON()
+      : { id: message.id, path: message.path, body: message.body, meta: message.meta?.toJSON?.() };
+    const caller = options?.callerId;
+
+    const entry = {
+      seq: ++this.#seq,
+      recordedAt: Date.now(),
+      id: json.id,
+      path: json.path,
+      subsystem: message.extractSubsystem?.() ?? null,
+      body: toRecordable(json.body),
+      meta: toRecordable(json.meta),
+      sender: caller ? { uuid: caller.uuid ?? null, name: caller.name ?? null, kind: caller.kind ?? null } : null,
+      causedBy: getMessageContext()?.messageId ?? null,
+      result: null,
+      error: null,
+      duration: null
+    };
+
+    if (this.#ring.isFull()) {
+      this.#ring.dropOldest();
+      this.#stats.evicted++;
+    }
+    this.#ring.enqueue(entry);
+    this.#stats.recorded++;
+    return entry;
+  }
+
+  /**
+   * Write entries, isolating sink failures from routing
+   * @private
+   */
+  #write(entries) {
+    const pending = (async () => {
+      try {
+        await this.#sink.write(entries);
+        this.#stats.written += entries.length;
+      } catch (error) {
+        this.#stats.sinkErrors++;
+        if (this.#onSinkError) {
+          this.#onSinkError(error);
+        }
+      }
+    })();
+    this.#pendingWrites.add(pending);
+    pending.finally(() => this.#pendingWrites.delete(pending));
+  }
+}
+
+/**
+ * Copy a value into plain JSON data: functions and symbols are dropped, errors
+ * keep name and message, and an object seen before is replaced by '[Circular]'
+ *
+ * @param {any} value - Value to copy
+ * @returns {any} JSON-safe copy
+ */
+export function toRecordable(value) {
+  if (value === undefined) {
+    return null;
+  }
+  const seen = new WeakSet();
+  const json = JSON.stringify(value, (key, current) => {
+    if (typeof current === 'bigint') return current.toString();
+    if (typeof current === 'function' || typeof current === 'symbol') return undefined;
+    if (current instanceof Error) return { name: current.name, message: current.message };
+    if (current instanceof Map) return Object.fromEntries(current);
+    if (current instanceof Set) return [...current];
+    if (current && typeof current === 'object') {
+      if (seen.has(current)) return '[Circular]';
+      seen.add(current);
+    }
+    return current;
+  });
+  return json === undefined ? null : JSON.parse(json);
+}
@@ -0,0 +1,213 @@
+/**
+ * Flight Recording Sinks
+ *
+ * Destinations for FlightRecorder entries. A sink is any object with
+ * `write(entries)`; `read()` (used by FlightReplayer), `flush()` and `clear()`
+ * are optional and may be async.
+ *
+ * - NdjsonRecordingSink - one JSON entry per line in a file
+ * - StorageRecordingSink - entries in a storage facet (memory, SQLite, IndexedDB, ...)
+ *
+ * @example
+ * const sink = new NdjsonRecordingSink({ path: './incident.ndjson' });
+ * const recorder = new FlightRecorder({ sink });
+ * // later, on another machine
+ * await new FlightReplayer(messageSystem).replay(sink);
+ */
+
+/**
+ * Appends entries to an NDJSON file
+ */
+export class NdjsonRecordingSink {
+  #path;
+  #writing = Promise.resolve();
+  #fs = null;
+
+  /**
+   * @param {Object} options - Sink options
+   * @param {string} options.path - Recording file (appended to)
+   * @throws {Error} If `path` is missing
+   */
+  constructor(options = {}) {
+    if (typeof options.path !== 'string' || !options.path) {
+      throw new Error('NdjsonRecordingSink: path is required');
+    }
+    this.#path = options.path;
+  }
+
+  /**
+   * Get the file path
+   * @returns {string} Recording file
+   */
+  getPath() {
+    return this.#path;
+  }
+
+  /**
+   * Append entries
+   * @param {Array<Object>} entries - Recorded entries
+   * @returns {Promise<void>} Resolves when the entries are on disk
+   */
+  async write(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+    const lines = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    // Writes are chained so lines never interleave
+    this.#writing = this.#writing
+      .catch(() => {})
+      .then(async () => {
+        const fs = await this.#getFs();
+        await fs.appendFile(this.#path, lines, 'utf8');
+      });
+    await this.#writing;
+  }
+
+  /**
+   * Read all entries, ordered by sequence number
+   * @returns {Promise<Array<Object>>} Entries (empty if the file does not exist)
+   */
+  async read() {
+    await this.flush();
+    const fs = await this.#getFs();
+    let text;
+    try {
+      text = await fs.readFile(this.#path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    return parseNdjsonRecording(text);
+  }
+
+  /**
+   * Wait for pending writes
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.#writing.catch(() => {});
+  }
+
+  /**
+   * Truncate the file
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.flush();
+    const fs = await this.#getFs();
+    await fs.writeFile(this.#path, '', 'utf8');
+  }
+
+  /**
+   * @private
+   */
+  async #getFs() {
+    this.#fs = this.#fs || await import('node:fs/promises');
+    return this.#fs;
+  }
+}
+
+/**
+ * Keeps entries in a storage facet, one key per entry (`<recordingId>:<seq>`)
+ */
+export class StorageRecordingSink {
+  #storage;
+  #namespace;
+  #recordingId;
+
+  /**
+   * @param {Object} options - Sink options
+   * @param {Object} options.storage - Storage facet (`set`, `list`, `getMany`, `deleteMany`)
+   * @param {string} [options.namespace='flight-recorder'] - Storage namespace
+   * @param {string} [options.recordingId='recording'] - Key prefix; read() returns only this recording
+   * @throws {Error} If `storage` is missing
+   */
+  constructor(options = {}) {
+    if (!options.storage || typeof options.storage.set !== 'function') {
+      throw new Error('StorageRecordingSink: storage facet is required');
+    }
+    this.#storage = options.storage;
+    this.#namespace = options.namespace || 'flight-recorder';
+    this.#recordingId = options.recordingId || 'recording';
+  }
+
+  /**
+   * Store entries
+   * @param {Array<Object>} entries - Recorded entries
+   * @returns {Promise<void>}
+   * @throws {Error} If the storage rejects an entry
+   */
+  async write(entries) {
+    for (const entry of entries) {
+      const result = await this.#storage.set(this.#key(entry.seq), entry, { namespace: this.#namespace });
+      if (result && result.success === false) {
+        throw result.error || new Error(`StorageRecordingSink: failed to store entry ${entry.seq}`);
+      }
+    }
+  }
+
+  /**
+   * Read the entries of the recording, ordered by sequence number
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async read() {
+    const keys = await this.#listKeys();
+    if (keys.length === 0) {
+      return [];
+    }
+    const result = await this.#storage.getMany(keys, { namespace: this.#namespace });
+    const values = result?.data instanceof Map ? [...result.data.values()] : Object.values(result?.data || {});
+    return values.filter(Boolean).sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * Delete the entries of the recording
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const keys = await this.#listKeys();
+    if (keys.length > 0) {
+      await this.#storage.deleteMany(keys, { namespace: this.#namespace });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async #listKeys() {
+    const result = await this.#storage.list({ namespace: this.#namespace, pattern: `${this.#recordingId}:*` });
+    return result?.success === false ? [] : (result?.keys || []);
+  }
+
+  /**
+   * Zero-padded so keys sort in sequence order
+   * @private
+   */
+  #key(seq) {
+    return `${this.#recordingId}:${String(seq).padStart(12, '0')}`;
+  }
+}
+
+/**
+ * Parse an NDJSON recording
+ *
+ * @param {string} text - File contents, one JSON entry per line
+ * @returns {Array<Object>} Entries ordered by sequence number
+ * @throws {Error} If a line is not valid JSON (the message names the line)
+ */
+export function parseNdjsonRecording(text) {
+  const entries = [];
+  const lines = String(text).split('\n');
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim();
+    if (!line) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`parseNdjsonRecording: invalid JSON on line ${index + 1}: ${error.message}`);
+    }
+  }
+  return entries.sort((a, b) => a.seq - b.seq);
+}
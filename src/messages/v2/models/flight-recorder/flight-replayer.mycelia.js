@@ -0,0 +1,196 @@
+/**
+ * FlightReplayer
+ *
+ * Feeds a FlightRecorder recording into a freshly bootstrapped MessageSystem
+ * to reproduce an incident locally.
+ *
+ * Replay is deterministic:
+ * - Recorded messages keep their IDs and metadata (trace IDs, timestamps)
+ * - During the replay `Date.now()` follows a virtual clock set to each entry's
+ *   recording time, and `Math.random()` is seeded, so IDs generated by handlers
+ *   (MessageFactory) repeat from run to run
+ * - Queues are drained after each entry in subsystem name order, so queued work
+ *   runs in the same order every time (do not start the global scheduler)
+ *
+ * Only entries routed outside a handler are fed (`causedBy: null`); messages
+ * sent by handlers are produced again by the replayed handlers. Each fed
+ * entry's routing result is compared with the recorded one.
+ *
+ * The clock and random patches are global while replay() runs, so replay in a
+ * dedicated process or test.
+ *
+ * @example
+ * const messageSystem = new MessageSystem('replay');
+ * await messageSystem.bootstrap();
+ * await messageSystem.registerSubsystem(new OrdersSubsystem('orders', { ms: messageSystem }));
+ *
+ * const report = await new FlightReplayer(messageSystem, { seed: 7 })
+ *   .replay(new NdjsonRecordingSink({ path: './incident.ndjson' }));
+ * report.diverged; // entries whose result differs from the recording
+ */
+import { Message } from '../message/message.mycelia.js';
+import { toRecordable } from './flight-recorder.mycelia.js';
+
+export class FlightReplayer {
+  #messageSystem;
+  #send;
+  #seed;
+  #deterministic;
+  #drain;
+  #rootsOnly;
+  #maxDrainTicks;
+  #clock = 0;
+
+  /**
+   * Create a new FlightReplayer
+   *
+   * @param {MessageSystem} messageSystem - Bootstrapped MessageSystem with the subsystems to exercise
+   * @param {Object} [options={}] - Replay options
+   * @param {Function} [options.send] - `async (message, entry) => result`; default `messageSystem.send(message)`.
+   *   Use it to re-send as a local principal, e.g. `(message) => kernel.sendProtected(pkr, message)`
+   * @param {number} [options.seed=1] - Seed for `Math.random()`
+   * @param {boolean} [options.deterministic=true] - Patch `Date.now()` / `Math.random()` while replaying
+   * @param {boolean} [options.drain=true] - Process queued messages after each entry
+   * @param {boolean} [options.rootsOnly=true] - Feed only entries routed outside a handler
+   * @param {number} [options.maxDrainTicks=10000] - Upper bound on messages processed per drain
+   */
+  constructor(messageSystem, options = {}) {
+    if (!messageSystem || typeof messageSystem.send !== 'function') {
+      throw new Error('FlightReplayer: messageSystem with send() is required');
+    }
+    this.#messageSystem = messageSystem;
+    this.#send = options.send || ((message) => messageSystem.send(message));
+    this.#seed = options.seed ?? 1;
+    this.#deterministic = options.deterministic !== false;
+    this.#drain = options.drain !== false;
+    this.#rootsOnly = options.rootsOnly !== false;
+    this.#maxDrainTicks = options.maxDrainTicks ?? 10000;
+  }
+
+  /**
+   * Replay a recording
+   *
+   * @param {Array<Object>|Object} recording - Entries, or a sink with `read()`
+   * @returns {Promise<{replayed: number, skipped: number, diverged: number, results: Array<Object>}>}
+   *   Report; each result is `{ seq, id, path, expected, actual, error, matched }`
+   */
+  async replay(recording) {
+    const entries = Array.isArray(recording) ? [...recording] : await recording?.read?.();
+    if (!Array.isArray(entries)) {
+      throw new Error('FlightReplayer: recording must be an array of entries or a sink with read()');
+    }
+    entries.sort((a, b) => a.seq - b.seq);
+
+    const restore = this.#deterministic ? this.#install() : () => {};
+    const report = { replayed: 0, skipped: 0, diverged: 0, results: [] };
+    try {
+      for (const entry of entries) {
+        if (this.#rootsOnly && entry.causedBy) {
+          report.skipped++;
+          continue;
+        }
+        const result = await this.#replayEntry(entry);
+        report.replayed++;
+        if (!result.matched) {
+          report.diverged++;
+        }
+        report.results.push(result);
+      }
+    } finally {
+      restore();
+    }
+    return report;
+  }
+
+  /**
+   * Rebuild the recorded message (same ID and metadata)
+   *
+   * @param {Object} entry - Recorded entry
+   * @returns {Message} Message
+   */
+  toMessage(entry) {
+    return Message.fromJSON({ id: entry.id, path: entry.path, body: entry.body, meta: entry.meta });
+  }
+
+  /**
+   * @private
+   */
+  async #replayEntry(entry) {
+    this.#clock = Math.max(this.#clock, entry.recordedAt ?? 0);
+    const outcome = { seq: entry.seq, id: entry.id, path: entry.path, expected: entry.result ?? null, actual: null, error: null, matched: false };
+
+    try {
+      outcome.actual = toRecordable(await this.#send(this.toMessage(entry), entry));
+      if (this.#drain) {
+        await this.#drainQueues();
+      }
+    } catch (error) {
+      outcome.error = error?.message || String(error);
+    }
+
+    outcome.matched = entry.error
+      ? outcome.error === entry.error
+      : outcome.error === null && JSON.stringify(outcome.actual) === JSON.stringify(outcome.expected);
+    return outcome;
+  }
+
+  /**
+   * Process queued messages until every queue is empty
+   * @private
+   */
+  async #drainQueues() {
+    const subsystems = [...(this.#messageSystem.getSubsystems?.() || [])]
+      .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    let ticks = 0;
+    let progressed = true;
+
+    while (progressed && ticks < this.#maxDrainTicks) {
+      progressed = false;
+      for (const subsystem of subsystems) {
+        const queue = subsystem.find?.('queue');
+        const processor = subsystem.find?.('processor');
+        if (!queue?.hasMessagesToProcess?.() || typeof processor?.processTick !== 'function') {
+          continue;
+        }
+        await processor.processTick();
+        progressed = true;
+        ticks++;
+      }
+    }
+  }
+
+  /**
+   * Patch Date.now() and Math.random(); returns the restore function
+   * @private
+   */
+  #install() {
+    const originalNow = Date.now;
+    const originalRandom = Math.random;
+    const random = createSeededRandom(this.#seed);
+
+    // The clock only moves forward, one millisecond per read, so elapsed-time
+    // loops terminate and durations repeat from run to run
+    Date.now = () => this.#clock++;
+    Math.random = random;
+
+    return () => {
+      Date.now = originalNow;
+      Math.random = originalRandom;
+    };
+  }
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @private
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,181 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { KernelProtectedMessaging } from '../kernel-protected-messaging.mycelia.js';
+import { handleQueryUsage } from '../handlers/kernel-handlers-system.mycelia.js';
+import { Message } from '../../message/message.mycelia.js';
+import { RateLimiter, RATE_LIMIT_CODES } from '../../security/rate-limiter.mycelia.js';
+import { SecurityProfile } from '../../security/security-profile.mycelia.js';
+
+const kernelPkr = { uuid: 'pkr-kernel', name: 'kernel', kind: 'kernel' };
+const clientPkr = { uuid: 'pkr-client', name: 'ws-client', kind: 'friend' };
+const canvasPkr = { uuid: 'pkr-canvas', name: 'canvas', kind: 'topLevel' };
+
+const createKernel = (rateLimits, { roles = {}, profiles = {}, pending = [] } = {}) => {
+  const limiter = new RateLimiter(rateLimits);
+  const errorManager = { record: vi.fn() };
+  const registry = new Map([['canvas', { name: 'canvas', identity: { pkr: canvasPkr } }]]);
+  const responseManager = {
+    isPending: (correlationId) => pending.includes(correlationId),
+    handleResponse: () => ({ ok: true })
+  };
+  return {
+    name: 'kernel',
+    identity: { pkr: kernelPkr },
+    messageSystem: {
+      find: (kind) => (kind === 'messageSystemRegistry' ? registry : null),
+      acquirePooledMessage: (path, body) => new Message(path, body),
+      releasePooledMessage: () => {}
+    },
+    getRateLimiter: () => limiter,
+    getErrorManager: () => errorManager,
+    getResponseManager: () => responseManager,
+    getChannelManager: () => null,
+    getAccessControl: () => ({
+      find: (kind) => (kind === 'principals' ? { getRoleForPKR: (pkr) => roles[pkr.uuid] ?? null } : null)
+    }),
+    getProfileRegistry: () => ({ getProfile: (name) => profiles[name] })
+  };
+};
+
+describe('KernelProtectedMessaging rate limits', () => {
+  let router;
+
+  beforeEach(() => {
+    router = { route: vi.fn().mockResolvedValue({ success: true }) };
+  });
+
+  it('rejects sends over the caller\'s rate limit before routing', async () => {
+    const kernel = createKernel({ kinds: { friend: { capacity: 2, refillPerSecond: 1 } } });
+    const messaging = new KernelProtectedMessaging(kernel, router);
+
+    await messaging.sendProtected(clientPkr, new Message('canvas://layers/list', {}));
+    await messaging.sendProtected(clientPkr, new Message('canvas://layers/list', {}));
+    const message = new Message('canvas://layers/list', {});
+    const result = await messaging.sendProtected(clientPkr, message);
+
+    expect(router.route).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({
+      success: false,
+      rateLimited: true,
+      code: RATE_LIMIT_CODES.RATE_LIMITED,
+      messageId: message.id
+    });
+    expect(result.retryAfter).toBeGreaterThan(0);
+  });
+
+  it('records each rejected send as a rate_limited error', async () => {
+    const kernel = createKernel({ default: { dailyQuota: 1 } });
+    const messaging = new KernelProtectedMessaging(kernel, router);
+
+    await messaging.sendPooledProtected(clientPkr, 'canvas://layers/list', {});
+    const result = await messaging.sendPooledProtected(clientPkr, 'canvas://layers/list', {});
+
+    expect(result).toMatchObject({ rateLimited: true, code: RATE_LIMIT_CODES.QUOTA_EXCEEDED });
+    expect(kernel.getErrorManager().record).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'rate_limited', severity: 'warn', code: RATE_LIMIT_CODES.QUOTA_EXCEEDED }),
+      expect.objectContaining({
+        messageSubsystem: 'kernel',
+        path: 'canvas://layers/list',
+        meta: expect.objectContaining({ principal: 'pkr-client', kind: 'friend', source: 'default' })
+      })
+    );
+  });
+
+  it('applies the limit of the caller\'s security profile', async () => {
+    const partner = new SecurityProfile('partner', {}, { rateLimit: { capacity: 1, refillPerSecond: 1 } });
+    const kernel = createKernel(
+      { kinds: { friend: { capacity: 100, refillPerSecond: 100 } } },
+      { roles: { 'pkr-client': 'partner' }, profiles: { partner } }
+    );
+    const messaging = new KernelProtectedMessaging(kernel, router);
+
+    await messaging.sendProtected(clientPkr, new Message('canvas://layers/list', {}));
+    const result = await messaging.sendProtected(clientPkr, new Message('canvas://layers/list', {}));
+
+    expect(result.rateLimited).toBe(true);
+    expect(kernel.getRateLimiter().getUsage('pkr-client')).toMatchObject({ profile: 'partner', source: 'profile' });
+  });
+
+  it('lets a throttled subsystem still complete transactions, answer pending requests and cancel', async () => {
+    const kernel = createKernel({ kinds: { topLevel: { dailyQuota: 1 } } }, { pending: ['req-1', 'req-2'] });
+    const messaging = new KernelProtectedMessaging(kernel, router);
+
+    await messaging.sendProtected(canvasPkr, new Message('canvas://layers/list', {}));
+    expect((await messaging.sendProtected(canvasPkr, new Message('canvas://layers/list', {}))).rateLimited).toBe(true);
+
+    for (const path of ['kernel://transaction/complete', 'kernel://transaction/fail', 'kernel://deadletter/record', 'kernel://expired/record']) {
+      expect(await messaging.sendProtected(canvasPkr, new Message(path, {}))).toEqual({ success: true });
+    }
+    expect(await messaging.sendProtected(canvasPkr, new Message('canvas://request/cancel', { correlationId: 'm1' }))).toEqual({ success: true });
+    expect(await messaging.sendProtected(canvasPkr, new Message('canvas://replies', { inReplyTo: 'req-1' }), { isResponse: true })).toEqual({ success: true });
+    expect(await messaging.sendPooledProtected(canvasPkr, 'canvas://replies', { inReplyTo: 'req-2' }, { isResponse: true })).toEqual({ success: true });
+    expect(await messaging.sendPooledProtected(canvasPkr, 'kernel://transaction/complete', {})).toEqual({ success: true });
+
+    expect(router.route).toHaveBeenCalledTimes(9);
+    expect(kernel.getRateLimiter().getUsage('pkr-canvas')).toMatchObject({ dailyUsed: 1, rejected: { rate: 0, quota: 1 } });
+  });
+
+  it('limits responses that answer no pending request', async () => {
+    const kernel = createKernel({ kinds: { friend: { dailyQuota: 1 } } }, { pending: ['req-1'] });
+    const messaging = new KernelProtectedMessaging(kernel, router);
+
+    await messaging.sendProtected(clientPkr, new Message('canvas://replies', { inReplyTo: 'forged' }), { isResponse: true });
+    const result = await messaging.sendProtected(clientPkr, new Message('canvas://replies', {}), { isResponse: true });
+
+    expect(result.rateLimited).toBe(true);
+    expect(router.route).toHaveBeenCalledTimes(1);
+  });
+
+  it('limits kernel bookkeeping sent by principals that are not registered subsystems', async () => {
+    const kernel = createKernel({ kinds: { friend: { dailyQuota: 1 } } });
+    const messaging = new KernelProtectedMessaging(kernel, router);
+
+    await messaging.sendProtected(clientPkr, new Message('kernel://deadletter/record', {}));
+    const result = await messaging.sendProtected(clientPkr, new Message('kernel://expired/record', {}));
+
+    expect(result).toMatchObject({ rateLimited: true, code: RATE_LIMIT_CODES.QUOTA_EXCEEDED });
+    expect(router.route).toHaveBeenCalledTimes(1);
+  });
+
+  it('never limits the kernel', async () => {
+    const kernel = createKernel({ default: { dailyQuota: 1 } });
+    const messaging = new KernelProtectedMessaging(kernel, router);
+
+    await messaging.sendProtected(kernelPkr, new Message('canvas://layers/list', {}));
+    await messaging.sendProtected(kernelPkr, new Message('canvas://layers/list', {}));
+
+    expect(router.route).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('kernel://query/usage', () => {
+  const query = (kernel, callerId, body = {}) =>
+    handleQueryUsage(kernel, new Message('kernel://query/usage', body), {}, { callerId });
+
+  it('returns the caller\'s own usage', async () => {
+    const kernel = createKernel({ kinds: { friend: { refillPerSecond: 10, dailyQuota: 100 } } });
+    kernel.getRateLimiter().consume(clientPkr);
+    kernel.getRateLimiter().consume({ uuid: 'pkr-other', kind: 'friend' });
+
+    const result = await query(kernel, clientPkr);
+
+    expect(result.success).toBe(true);
+    expect(result.usage).toEqual([expect.objectContaining({ principal: 'pkr-client', dailyUsed: 1, dailyRemaining: 99 })]);
+  });
+
+  it('lets only the kernel query other principals', async () => {
+    const kernel = createKernel({ kinds: { friend: { refillPerSecond: 10 } } });
+    kernel.getRateLimiter().consume(clientPkr);
+    kernel.getRateLimiter().consume({ uuid: 'pkr-other', kind: 'friend' });
+
+    expect(await query(kernel, clientPkr, { principal: 'pkr-other' })).toMatchObject({
+      success: false,
+      error: expect.stringMatching(/^Access denied/)
+    });
+    expect((await query(kernel, kernelPkr)).count).toBe(2);
+    expect((await query(kernel, kernelPkr, { principal: 'pkr-other' })).usage[0].principal).toBe('pkr-other');
+  });
+
+  it('requires a caller', async () => {
+    await expect(query(createKernel({}), null)).rejects.toThrow(/callerId/);
+  });
+});
@@ -35,6 +35,8 @@ vi.mock('../../../../utils/logger.utils.mycelia.js', () => ({
 }));
 
 import { ChannelManagerSubsystem } from '../channel-manager.subsystem.mycelia.js';
+import { MemoryStorageBackend } from '../../../../hooks/storage/memory/memory-storage-backend.mycelia.js';
+import * as ChannelHandlers from '../../handlers/kernel-handlers-channel.mycelia.js';
 
 describe('ChannelManagerSubsystem', () => {
   beforeEach(() => {
@@ -94,3 +96,161 @@ describe('ChannelManagerSubsystem', () => {
   });
 });
 
+describe('ChannelManagerSubsystem persistence', () => {
+  const owner = { uuid: 'owner-1', name: 'canvas://', kind: 'topLevel' };
+  const participant = { uuid: 'editor-1', name: 'editor://', kind: 'topLevel' };
+  let storage;
+
+  const createManager = () => new ChannelManagerSubsystem('channel-manager', { ms: {}, config: { storage } });
+
+  // Principals get new uuids after a restart; names stay the same
+  const restarted = (...pkrs) => {
+    const byName = new Map(pkrs.map((pkr) => [pkr.name, pkr]));
+    return (ref) => byName.get(ref.name) || null;
+  };
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    storage = new MemoryStorageBackend();
+
+    const before = createManager();
+    before.registerChannel({ route: 'canvas://channel/main', ownerPkr: owner, participants: [participant], metadata: { name: 'main' } });
+    before.updateChannelMetadata('canvas://channel/main', { topic: 'layout' });
+    await before.flush();
+  });
+
+  it('persists registrations, participants and metadata', async () => {
+    const { data } = await storage.get('canvas://channel/main', { namespace: 'channels' });
+
+    expect(data).toMatchObject({
+      version: 1,
+      owner: { uuid: 'owner-1', name: 'canvas://' },
+      participants: [{ uuid: 'editor-1', name: 'editor://' }],
+      metadata: { name: 'main', topic: 'layout' },
+    });
+  });
+
+  it('restores channels with principals resolved to current PKRs', async () => {
+    const newOwner = { ...owner, uuid: 'owner-2' };
+    const newParticipant = { ...participant, uuid: 'editor-2' };
+    const after = createManager();
+
+    const result = await after.restoreChannels(restarted(newOwner, newParticipant));
+    await after.flush();
+
+    expect(result).toEqual({ restored: 1, pending: [], failed: [] });
+    const channel = after.getChannel('canvas://channel/main');
+    expect(channel.ownerPkr).toBe(newOwner);
+    expect(channel.canUse(newParticipant)).toBe(true);
+    expect(channel.metadata).toEqual({ name: 'main', topic: 'layout' });
+    expect((await storage.get('canvas://channel/main', { namespace: 'channels' })).data.owner.uuid).toBe('owner-2');
+  });
+
+  it('lets the owner register a restored channel again', async () => {
+    const newOwner = { ...owner, uuid: 'owner-2' };
+    const after = createManager();
+    await after.restoreChannels(restarted(newOwner));
+
+    const channel = after.registerChannel({ route: 'canvas://channel/main', ownerPkr: newOwner, metadata: { name: 'main' } });
+
+    expect(channel).toBe(after.getChannel('canvas://channel/main'));
+    expect(() => after.registerChannel({ route: 'canvas://channel/main', ownerPkr: newOwner })).toThrow(/already exists/);
+  });
+
+  it('keeps channels pending until their principals are registered', async () => {
+    const principals = [];
+    const resolve = (ref) => principals.find((pkr) => pkr.name === ref.name) || null;
+    const after = createManager();
+
+    expect(await after.restoreChannels(resolve)).toMatchObject({ restored: 0, pending: ['canvas://channel/main'] });
+    expect(after.getStatus()).toMatchObject({ count: 0, pending: 1, persistent: true });
+
+    const newOwner = { ...owner, uuid: 'owner-2' };
+    principals.push(newOwner);
+    expect(after.resolvePendingChannels()).toBe(1);
+    expect(after.getChannel('canvas://channel/main').participants.size).toBe(0);
+
+    const newParticipant = { ...participant, uuid: 'editor-2' };
+    principals.push(newParticipant);
+    expect(after.resolvePendingChannels()).toBe(1);
+    expect(after.canUseChannel('canvas://channel/main', newParticipant)).toBe(true);
+  });
+
+  it('keeps unresolved participants in the stored record', async () => {
+    const newOwner = { ...owner, uuid: 'owner-2' };
+    const after = createManager();
+    await after.restoreChannels(restarted(newOwner));
+    after.addParticipant('canvas://channel/main', { uuid: 'viewer-1', name: 'viewer://', kind: 'topLevel' });
+    await after.flush();
+
+    const { data } = await storage.get('canvas://channel/main', { namespace: 'channels' });
+    expect(data.participants.map((ref) => ref.name)).toEqual(['viewer://', 'editor://']);
+  });
+
+  it('removes unregistered channels from storage', async () => {
+    const after = createManager();
+    await after.restoreChannels(restarted(owner));
+
+    after.unregisterChannel('canvas://channel/main');
+    await after.flush();
+
+    expect((await storage.list({ namespace: 'channels' })).keys).toEqual([]);
+  });
+});
+
+describe('channel kernel handlers', () => {
+  const owner = { uuid: 'owner', name: 'canvas://', kind: 'topLevel' };
+  const editor = { uuid: 'editor', name: 'editor://', kind: 'topLevel' };
+  const outsider = { uuid: 'outsider', name: 'other://', kind: 'topLevel' };
+  const route = 'canvas://channel/layout';
+  const params = { route: encodeURIComponent(route) };
+  let cms;
+  let kernel;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    cms = new ChannelManagerSubsystem('channel-manager', { ms: {} });
+    cms.registerChannel({ route, ownerPkr: owner, metadata: { name: 'layout' } });
+    const principals = new Map([owner, editor, outsider].map((pkr) => [pkr.uuid, { pkr }]));
+    kernel = {
+      identity: { pkr: { uuid: 'kernel' } },
+      getChannelManager: () => cms,
+      getAccessControl: () => ({ find: () => ({ registry: { get: (uuid) => principals.get(uuid) } }) }),
+    };
+  });
+
+  const call = (handler, body, callerId, routeParams = params) =>
+    ChannelHandlers[handler](kernel, { getBody: () => body }, routeParams, { callerId });
+
+  it('lets only the owner manage participants, using the registry PKR', async () => {
+    expect(await call('handleAddChannelParticipant', { participantPkr: { uuid: 'editor' } }, outsider))
+      .toEqual({ success: false, error: 'Access denied: not channel owner' });
+
+    expect(await call('handleAddChannelParticipant', { participantPkr: { uuid: 'editor' } }, owner))
+      .toEqual({ success: true, route, changed: true, participants: 1 });
+    expect(cms.canUseChannel(route, editor)).toBe(true);
+
+    expect(await call('handleAddChannelParticipant', { participantPkr: { uuid: 'ghost' } }, owner))
+      .toEqual({ success: false, error: 'Participant not found' });
+    expect(await call('handleRemoveChannelParticipant', { participantPkr: editor }, owner))
+      .toMatchObject({ success: true, changed: true, participants: 0 });
+    expect(await call('handleRemoveChannelParticipant', { participantPkr: editor }, owner, { route: 'x' }))
+      .toEqual({ success: false, error: 'Channel not found' });
+  });
+
+  it('lists the channels the caller owns or participates in', async () => {
+    cms.addParticipant(route, editor);
+
+    const listed = await call('handleQueryChannels', {}, editor, {});
+    expect(listed).toMatchObject({ success: true, count: 1 });
+    expect(listed.channels[0]).toEqual({
+      route,
+      owner: { uuid: 'owner', name: 'canvas://', kind: 'topLevel' },
+      participants: [{ uuid: 'editor', name: 'editor://', kind: 'topLevel' }],
+      metadata: { name: 'layout' },
+      isOwner: false,
+    });
+    expect((await call('handleQueryChannels', {}, outsider, {})).count).toBe(0);
+    expect((await call('handleQueryChannels', {}, kernel.identity.pkr, {})).count).toBe(1);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ChannelStore,
+  CHANNEL_RECORD_VERSION,
+  migrateChannelRecord,
+  createPrincipalResolver,
+  toChannelRecord,
+} from '../channel-store.mycelia.js';
+import { MemoryStorageBackend } from '../../../../hooks/storage/memory/memory-storage-backend.mycelia.js';
+
+const pkr = (uuid, name, kind = 'topLevel') => ({ uuid, name, kind, publicKey: Symbol(uuid) });
+
+describe('ChannelStore', () => {
+  it('saves, loads and deletes channel records', async () => {
+    const store = new ChannelStore({ storage: new MemoryStorageBackend() });
+    const channel = {
+      route: 'canvas://channel/main',
+      ownerPkr: pkr('u1', 'canvas://'),
+      participants: new Set([pkr('u2', 'editor://')]),
+      metadata: { name: 'main' },
+    };
+
+    await store.save(toChannelRecord(channel));
+    const { records } = await store.loadAll();
+
+    expect(records).toEqual([expect.objectContaining({
+      version: CHANNEL_RECORD_VERSION,
+      route: 'canvas://channel/main',
+      owner: { uuid: 'u1', name: 'canvas://', kind: 'topLevel' },
+      participants: [{ uuid: 'u2', name: 'editor://', kind: 'topLevel' }],
+      metadata: { name: 'main' },
+    })]);
+
+    await store.delete('canvas://channel/main');
+    expect((await store.loadAll()).records).toEqual([]);
+  });
+
+  it('does nothing without a storage facet', async () => {
+    const store = new ChannelStore();
+
+    expect(store.isPersistent()).toBe(false);
+    await store.save({ route: 'canvas://channel/main' });
+    expect(await store.loadAll()).toEqual({ records: [], failed: [] });
+  });
+
+  it('reports records it cannot migrate', async () => {
+    const storage = new MemoryStorageBackend();
+    await storage.set('a://channel/new', { version: CHANNEL_RECORD_VERSION + 1, route: 'a://channel/new' }, { namespace: 'channels' });
+
+    const { records, failed } = await new ChannelStore({ storage }).loadAll();
+
+    expect(records).toEqual([]);
+    expect(failed).toEqual([{ route: 'a://channel/new', error: expect.stringMatching(/version/) }]);
+  });
+});
+
+describe('migrateChannelRecord', () => {
+  it('upgrades unversioned channel snapshots', () => {
+    const snapshot = JSON.parse(JSON.stringify({
+      route: 'canvas://channel/main',
+      ownerPkr: { uuid: 'u1', name: 'canvas://', kind: 'topLevel', publicKey: 'k', expiresAt: 1 },
+      participants: [{ uuid: 'u2', name: 'editor://', kind: 'topLevel', publicKey: 'k', expiresAt: 1 }],
+      metadata: { name: 'main' },
+    }));
+
+    expect(migrateChannelRecord(snapshot)).toMatchObject({
+      version: 1,
+      owner: { uuid: 'u1', name: 'canvas://', kind: 'topLevel' },
+      participants: [{ uuid: 'u2', name: 'editor://', kind: 'topLevel' }],
+      metadata: { name: 'main' },
+    });
+  });
+
+  it('rejects malformed records', () => {
+    expect(() => migrateChannelRecord(null)).toThrow(/route/);
+  });
+});
+
+describe('createPrincipalResolver', () => {
+  it('resolves by uuid, then by name and kind', () => {
+    const current = { uuid: 'new', name: 'canvas://', kind: 'topLevel', pkr: pkr('new', 'canvas://') };
+    const registry = {
+      get: (uuid) => (uuid === 'new' ? current : undefined),
+      list: () => [current],
+    };
+    const resolve = createPrincipalResolver(registry);
+
+    expect(resolve({ uuid: 'new' })).toBe(current.pkr);
+    expect(resolve({ uuid: 'old', name: 'canvas://', kind: 'topLevel' })).toBe(current.pkr);
+    expect(resolve({ uuid: 'old', name: 'canvas://', kind: 'friend' })).toBeNull();
+    expect(resolve({ uuid: 'old' })).toBeNull();
+  });
+});
@@ -8,17 +8,32 @@
  * - Manage channel participants
  * - Verify channel access (owner and participants)
  * - Provide owner-scoped channel lookup
+ * - Persist channels through a storage facet and restore them on bootstrap
  *
  * Channels are used for multi-party communication where an owner controls access
  * and can add/remove participants.
+ *
+ * Persistence: when a storage facet is configured, every registration,
+ * participant change and metadata change is written as a versioned channel
+ * record (see ChannelStore). Writes are queued so the registration API stays
+ * synchronous; `flush()` waits for them. `restoreChannels()` loads the records
+ * and resolves owners and participants to current PKRs; records whose owner is
+ * not registered yet stay pending until `resolvePendingChannels()` finds it.
  */
 import { BaseSubsystem } from '../../base-subsystem/base.subsystem.mycelia.js';
 import { Channel } from './channel.mycelia.js';
+import { ChannelStore, toChannelRecord, toPrincipalRef } from './channel-store.mycelia.js';
 import { createSubsystemLogger } from '../../../utils/logger.utils.mycelia.js';
 
 export class ChannelManagerSubsystem extends BaseSubsystem {
   #channels = new Map(); // route -> Channel
   #channelsByOwner = new Map(); // ownerPkr -> Set<Channel>
+  #store;
+  #writes = Promise.resolve();
+  #restored = new Set(); // routes restored from storage and not yet re-registered
+  #pending = new Map(); // route -> channel record whose owner is not resolved yet
+  #unresolved = new Map(); // route -> participant references not resolved yet
+  #resolvePkr = null;
   #logger;
 
   /**
@@ -28,10 +43,18 @@ export class ChannelManagerSubsystem extends BaseSubsystem {
    * @param {Object} options - Configuration options
    * @param {Object} options.ms - MessageSystem instance (required)
    * @param {Object} [options.config={}] - Configuration object
+   * @param {Object} [options.config.storage] - Storage facet for channel records (default: this subsystem's 'storage' facet, else channels are not persisted)
+   * @param {string} [options.config.namespace='channels'] - Storage namespace for channel records
    * @param {boolean} [options.debug=false] - Enable debug logging
    */
   constructor(name = 'channel-manager', options = {}) {
     super(name, options);
+
+    const config = options.config || {};
+    this.#store = new ChannelStore({
+      storage: () => config.storage || this.find?.('storage') || null,
+      namespace: config.namespace || 'channels'
+    });
     this.#logger = createSubsystemLogger(this);
   }
 
@@ -41,6 +64,10 @@ export class ChannelManagerSubsystem extends BaseSubsystem {
 
   /**
    * Register a new channel
+   *
+   * If the route holds a channel restored from storage for the same owner, the
+   * restored channel is kept (with its participants) and the given participants
+   * and metadata are merged into it.
    * 
    * @param {Object} params - Channel parameters
    * @param {string} params.route - Channel route/path
@@ -57,7 +84,11 @@ export class ChannelManagerSubsystem extends BaseSubsystem {
     if (!ownerPkr) {
       throw new Error('ChannelManagerSubsystem.registerChannel: ownerPkr is required.');
     }
-    if (this.#channels.has(route)) {
+    const existing = this.#channels.get(route);
+    if (existing) {
+      if (this.#restored.has(route) && existing.ownerPkr === ownerPkr) {
+        return this.#adoptRestored(existing, participants, metadata);
+      }
       throw new Error(
         `ChannelManagerSubsystem.registerChannel: channel already exists for route "${route}".`
       );
@@ -65,15 +96,21 @@ export class ChannelManagerSubsystem extends BaseSubsystem {
 
     const channel = new Channel({ route, ownerPkr, participants, metadata });
     this.#channels.set(route, channel);
-
-    // Index by owner
-    let ownedSet = this.#channelsByOwner.get(ownerPkr);
-    if (!ownedSet) {
-      ownedSet = new Set();
-      this.#channelsByOwner.set(ownerPkr, ownedSet);
+    this.#index(channel);
+
+    // A stored record for this route that could not be restored: keep its
+    // participants if it belonged to the same principal, else discard it
+    const pending = this.#pending.get(route);
+    if (pending) {
+      this.#pending.delete(route);
+      const owner = toPrincipalRef(ownerPkr);
+      if (owner.name && owner.name === pending.owner?.name && owner.kind === pending.owner?.kind) {
+        this.#unresolved.set(route, pending.participants);
+        this.resolvePendingChannels();
+      }
     }
-    ownedSet.add(channel);
 
+    this.#persist(route);
     this.#logger.log(
       `Registered channel "${route}" with ${channel.participants.size} participant(s).`
     );
@@ -99,16 +136,11 @@ export class ChannelManagerSubsystem extends BaseSubsystem {
     }
 
     this.#channels.delete(route);
+    this.#unindex(channel);
+    this.#restored.delete(route);
+    this.#unresolved.delete(route);
 
-    // Remove from owner index
-    const ownedSet = this.#channelsByOwner.get(channel.ownerPkr);
-    if (ownedSet) {
-      ownedSet.delete(channel);
-      if (ownedSet.size === 0) {
-        this.#channelsByOwner.delete(channel.ownerPkr);
-      }
-    }
-
+    this.#persist(route);
     this.#logger.log(`Unregistered channel "${route}".`);
 
     return true;
@@ -230,6 +262,7 @@ export class ChannelManagerSubsystem extends BaseSubsystem {
 
     const changed = channel.addParticipant(pkr);
     if (changed) {
+      this.#persist(route);
       this.#logger.log(`Added participant to channel "${route}".`);
     }
 
@@ -249,12 +282,35 @@ export class ChannelManagerSubsystem extends BaseSubsystem {
 
     const removed = channel.removeParticipant(pkr);
     if (removed) {
+      this.#persist(route);
       this.#logger.log(`Removed participant from channel "${route}".`);
     }
 
     return removed;
   }
 
+  /**
+   * Merge metadata into a channel
+   * 
+   * @param {string} route - Channel route
+   * @param {Object} metadata - Metadata fields to set
+   * @returns {boolean} True if the channel was found and updated, false otherwise
+   * @throws {Error} If metadata is not an object
+   */
+  updateChannelMetadata(route, metadata) {
+    if (!metadata || typeof metadata !== 'object') {
+      throw new Error('ChannelManagerSubsystem.updateChannelMetadata: metadata must be an object.');
+    }
+
+    const channel = this.getChannel(route);
+    if (!channel) return false;
+
+    Object.assign(channel.metadata, metadata);
+    this.#persist(route);
+
+    return true;
+  }
+
   /**
    * Check if a caller can use a channel
    * 
@@ -285,6 +341,96 @@ export class ChannelManagerSubsystem extends BaseSubsystem {
     return ok;
   }
 
+  // ---------------------------------------------------------------------------
+  // Persistence
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Restore channels from storage
+   *
+   * Channels whose owner resolves are registered again (routes that are
+   * already registered are left alone). Records whose owner does not resolve
+   * yet are kept pending, as are participants that do not resolve.
+   *
+   * @param {Function} resolvePkr - (ref: {uuid, name, kind}) => PKR|null, see createPrincipalResolver()
+   * @returns {Promise<{restored: number, pending: Array<string>, failed: Array<{route: string, error: string}>}>}
+   *   Restored channel count, routes left pending, and records that could not be migrated
+   * @throws {Error} If resolvePkr is not a function
+   */
+  async restoreChannels(resolvePkr) {
+    if (typeof resolvePkr !== 'function') {
+      throw new Error('ChannelManagerSubsystem.restoreChannels: resolvePkr must be a function.');
+    }
+    this.#resolvePkr = resolvePkr;
+
+    const { records, failed } = await this.#store.loadAll();
+    let restored = 0;
+    for (const record of records) {
+      if (this.#channels.has(record.route)) continue;
+      if (this.#restoreRecord(record)) {
+        restored++;
+      }
+    }
+
+    for (const { route, error } of failed) {
+      this.#logger.warn(`Could not restore channel "${route}": ${error}`);
+    }
+    if (records.length > 0) {
+      this.#logger.log(`Restored ${restored} of ${records.length} channel(s); ${this.#pending.size} pending.`);
+    }
+
+    return { restored, pending: Array.from(this.#pending.keys()), failed };
+  }
+
+  /**
+   * Retry pending channels and unresolved participants
+   *
+   * Called when new principals are registered (e.g. a subsystem registered
+   * after bootstrap).
+   *
+   * @param {Function} [resolvePkr] - Resolver (default: the one given to restoreChannels())
+   * @returns {number} Number of channels and participants resolved
+   */
+  resolvePendingChannels(resolvePkr = this.#resolvePkr) {
+    if (typeof resolvePkr !== 'function') return 0;
+    this.#resolvePkr = resolvePkr;
+
+    let resolved = 0;
+    for (const [route, record] of this.#pending) {
+      if (this.#channels.has(route)) {
+        this.#pending.delete(route);
+      } else if (this.#restoreRecord(record)) {
+        resolved++;
+      }
+    }
+
+    for (const [route, refs] of this.#unresolved) {
+      const channel = this.#channels.get(route);
+      const { pkrs, unresolved } = this.#resolveRefs(refs);
+      if (pkrs.length === 0) continue;
+
+      pkrs.forEach((pkr) => channel.addParticipant(pkr));
+      if (unresolved.length > 0) {
+        this.#unresolved.set(route, unresolved);
+      } else {
+        this.#unresolved.delete(route);
+      }
+      this.#persist(route);
+      resolved += pkrs.length;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Wait for queued channel writes to reach storage
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.#writes;
+  }
+
   // ---------------------------------------------------------------------------
   // Introspection
   // ---------------------------------------------------------------------------
@@ -292,12 +438,14 @@ export class ChannelManagerSubsystem extends BaseSubsystem {
   /**
    * Get status information
    * 
-   * @returns {Object} Status object with count and channel snapshots
+   * @returns {Object} Status object with count, channel snapshots and persistence state
    */
   getStatus() {
     return {
       count: this.#channels.size,
-      channels: Array.from(this.#channels.values()).map((ch) => ch.snapshot())
+      channels: Array.from(this.#channels.values()).map((ch) => ch.snapshot()),
+      persistent: this.#store.isPersistent(),
+      pending: this.#pending.size
     };
   }
 
@@ -311,9 +459,13 @@ export class ChannelManagerSubsystem extends BaseSubsystem {
    * @returns {Promise<void>}
    */
   async dispose() {
-    // Clear all channels
+    // Let queued writes finish, then clear all channels (records stay in storage)
+    await this.flush();
     this.#channels.clear();
     this.#channelsByOwner.clear();
+    this.#restored.clear();
+    this.#pending.clear();
+    this.#unresolved.clear();
 
     this.#logger.log('Disposed; all channels cleared.');
 
@@ -321,6 +473,110 @@ export class ChannelManagerSubsystem extends BaseSubsystem {
       await super.dispose();
     }
   }
+
+  // ---------------------------------------------------------------------------
+  // Private helpers
+  // ---------------------------------------------------------------------------
+
+  #index(channel) {
+    let ownedSet = this.#channelsByOwner.get(channel.ownerPkr);
+    if (!ownedSet) {
+      ownedSet = new Set();
+      this.#channelsByOwner.set(channel.ownerPkr, ownedSet);
+    }
+    ownedSet.add(channel);
+  }
+
+  #unindex(channel) {
+    const ownedSet = this.#channelsByOwner.get(channel.ownerPkr);
+    if (ownedSet) {
+      ownedSet.delete(channel);
+      if (ownedSet.size === 0) {
+        this.#channelsByOwner.delete(channel.ownerPkr);
+      }
+    }
+  }
+
+  /**
+   * The owner registered a channel that was restored from storage
+   */
+  #adoptRestored(channel, participants, metadata) {
+    this.#restored.delete(channel.route);
+    participants.forEach((pkr) => channel.addParticipant(pkr));
+    Object.assign(channel.metadata, metadata);
+
+    this.#persist(channel.route);
+    this.#logger.log(
+      `Re-registered restored channel "${channel.route}" with ${channel.participants.size} participant(s).`
+    );
+
+    return channel;
+  }
+
+  /**
+   * Register a channel from a stored record, or keep it pending
+   * @returns {boolean} True if the owner resolved and the channel was registered
+   */
+  #restoreRecord(record) {
+    const [ownerPkr] = this.#resolveRefs([record.owner]).pkrs;
+    if (!ownerPkr) {
+      this.#pending.set(record.route, record);
+      return false;
+    }
+
+    const { pkrs, unresolved } = this.#resolveRefs(record.participants || []);
+    const channel = new Channel({ route: record.route, ownerPkr, participants: pkrs, metadata: record.metadata || {} });
+    this.#channels.set(channel.route, channel);
+    this.#index(channel);
+    this.#restored.add(channel.route);
+    this.#pending.delete(channel.route);
+    if (unresolved.length > 0) {
+      this.#unresolved.set(channel.route, unresolved);
+    }
+
+    // Rewrite the record with the current uuids (and the current version)
+    this.#persist(channel.route);
+    return true;
+  }
+
+  #resolveRefs(refs) {
+    const pkrs = [];
+    const unresolved = [];
+    for (const ref of refs) {
+      let pkr = null;
+      try {
+        pkr = this.#resolvePkr?.(ref) || null;
+      } catch (error) {
+        this.#logger.warn(`Could not resolve principal "${ref?.name || ref?.uuid}": ${error.message}`);
+      }
+      if (pkr) {
+        pkrs.push(pkr);
+      } else {
+        unresolved.push(ref);
+      }
+    }
+    return { pkrs, unresolved };
+  }
+
+  /**
+   * Queue a write of the channel's current state (or its removal)
+   */
+  #persist(route) {
+    if (!this.#store.isPersistent()) return;
+
+    this.#writes = this.#writes
+      .then(async () => {
+        const channel = this.#channels.get(route);
+        if (channel) {
+          await this.#store.save(toChannelRecord(channel, this.#unresolved.get(route)));
+        } else if (!this.#pending.has(route)) {
+          await this.#store.delete(route);
+        }
+      })
+      .catch((error) => {
+        this.#logger.warn(`Failed to persist channel "${route}": ${error.message}`);
+      });
+  }
 }
 
 
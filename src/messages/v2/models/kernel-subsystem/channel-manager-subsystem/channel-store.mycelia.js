@@ -0,0 +1,225 @@
+/**
+ * Channel persistence
+ *
+ * Channels are saved as plain records in a storage facet (useMemoryStorage,
+ * useSQLiteStorage, useIndexedDBStorage, usePrismaStorage) so that they can be
+ * restored after a restart. PKRs are not serializable, so owners and
+ * participants are stored as principal references and resolved again through
+ * the PrincipalRegistry.
+ *
+ * Record shape (version 1):
+ * ```
+ * { version: 1, route, owner: { uuid, name, kind }, participants: [{ uuid, name, kind }], metadata, updatedAt }
+ * ```
+ *
+ * Records written by older versions are upgraded by `migrateChannelRecord()`
+ * when they are loaded.
+ */
+
+/**
+ * Current channel record version
+ */
+export const CHANNEL_RECORD_VERSION = 1;
+
+/**
+ * Upgrades from each version to the next
+ *
+ * Version 0 records are unversioned JSON channel snapshots
+ * (`{ route, ownerPkr, participants, metadata }` with serialized PKRs).
+ * @private
+ */
+const MIGRATIONS = {
+  0: (record) => ({
+    version: 1,
+    route: record.route,
+    owner: toPrincipalRef(record.ownerPkr),
+    participants: (record.participants || []).map(toPrincipalRef),
+    metadata: { ...(record.metadata || {}) },
+    updatedAt: record.updatedAt ?? null
+  })
+};
+
+/**
+ * Build a principal reference from a PKR (or a serialized PKR)
+ *
+ * @param {PKR|Object} pkr - Public Key Record
+ * @returns {{uuid: string|null, name: string|null, kind: string|null}} Principal reference
+ */
+export function toPrincipalRef(pkr) {
+  return {
+    uuid: pkr?.uuid ?? null,
+    name: pkr?.name ?? null,
+    kind: pkr?.kind ?? null
+  };
+}
+
+/**
+ * Build the record saved for a channel
+ *
+ * @param {Channel} channel - Channel instance
+ * @param {Array<Object>} [unresolved=[]] - Participant references that could not be resolved yet (kept as is)
+ * @returns {Object} Channel record (current version)
+ */
+export function toChannelRecord(channel, unresolved = []) {
+  return {
+    version: CHANNEL_RECORD_VERSION,
+    route: channel.route,
+    owner: toPrincipalRef(channel.ownerPkr),
+    participants: [...Array.from(channel.participants).map(toPrincipalRef), ...unresolved],
+    metadata: { ...channel.metadata },
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Upgrade a stored channel record to the current version
+ *
+ * @param {Object} record - Stored record
+ * @returns {Object} Record at CHANNEL_RECORD_VERSION
+ * @throws {Error} If the record is malformed or was written by a newer version
+ */
+export function migrateChannelRecord(record) {
+  if (!record || typeof record !== 'object' || typeof record.route !== 'string') {
+    throw new Error('migrateChannelRecord: record must be an object with a route.');
+  }
+
+  let current = record;
+  let version = Number.isInteger(current.version) ? current.version : 0;
+  if (version > CHANNEL_RECORD_VERSION) {
+    throw new Error(
+      `migrateChannelRecord: record for "${record.route}" has version ${version}; ` +
+      `this kernel supports up to ${CHANNEL_RECORD_VERSION}.`
+    );
+  }
+
+  while (version < CHANNEL_RECORD_VERSION) {
+    current = MIGRATIONS[version](current);
+    version = current.version;
+  }
+  return current;
+}
+
+/**
+ * Create a resolver from principal references to current PKRs
+ *
+ * A reference resolves by uuid while the principal still exists, and else by
+ * name and kind (principals get new uuids when the process restarts).
+ *
+ * @param {PrincipalRegistry} registry - Principal registry
+ * @returns {Function} (ref) => PKR|null
+ */
+export function createPrincipalResolver(registry) {
+  return (ref) => {
+    if (!ref) return null;
+
+    const byUuid = ref.uuid ? registry.get(ref.uuid) : null;
+    if (byUuid) return byUuid.pkr;
+
+    if (!ref.name) return null;
+    for (const principal of registry.list()) {
+      if (principal.name === ref.name && (!ref.kind || principal.kind === ref.kind)) {
+        return principal.pkr;
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * ChannelStore Class
+ *
+ * Saves channel records in a storage facet. Without a storage facet every
+ * operation is a no-op and nothing is restored.
+ *
+ * @example
+ * const store = new ChannelStore({ storage: subsystem.find('storage') });
+ * await store.save(toChannelRecord(channel));
+ * const records = await store.loadAll(); // migrated to the current version
+ */
+export class ChannelStore {
+  #getStorage;
+  #namespace;
+
+  /**
+   * @param {Object} [options={}] - Store options
+   * @param {Object|Function|null} [options.storage=null] - Storage facet, or a function returning it
+   * @param {string} [options.namespace='channels'] - Storage namespace for channel records
+   */
+  constructor(options = {}) {
+    const { storage = null, namespace = 'channels' } = options;
+    this.#getStorage = typeof storage === 'function' ? storage : () => storage;
+    this.#namespace = namespace;
+  }
+
+  /**
+   * Whether channels are saved (a storage facet is available)
+   * @returns {boolean}
+   */
+  isPersistent() {
+    return this.#storage() !== null;
+  }
+
+  /**
+   * Save a channel record
+   *
+   * @param {Object} record - Channel record
+   * @returns {Promise<void>}
+   * @throws {Error} If the storage facet rejects the record
+   */
+  async save(record) {
+    const storage = this.#storage();
+    if (!storage) return;
+
+    const result = await storage.set(record.route, record, { namespace: this.#namespace });
+    if (result && result.success === false) {
+      throw result.error || new Error(`ChannelStore: failed to save channel "${record.route}"`);
+    }
+  }
+
+  /**
+   * Remove a channel record
+   *
+   * @param {string} route - Channel route
+   * @returns {Promise<void>}
+   */
+  async delete(route) {
+    const storage = this.#storage();
+    if (!storage) return;
+
+    await storage.delete(route, { namespace: this.#namespace });
+  }
+
+  /**
+   * Load all channel records, migrated to the current version
+   *
+   * @returns {Promise<{records: Array<Object>, failed: Array<{route: string|null, error: string}>}>}
+   *   Loaded records, and records that could not be read or migrated
+   */
+  async loadAll() {
+    const storage = this.#storage();
+    if (!storage) {
+      return { records: [], failed: [] };
+    }
+
+    const listed = await storage.list({ namespace: this.#namespace });
+    if (!listed?.success || listed.keys.length === 0) {
+      return { records: [], failed: [] };
+    }
+
+    const { data } = await storage.getMany(listed.keys, { namespace: this.#namespace });
+    const records = [];
+    const failed = [];
+    for (const [route, record] of data || new Map()) {
+      try {
+        records.push(migrateChannelRecord(record));
+      } catch (error) {
+        failed.push({ route, error: error.message });
+      }
+    }
+    return { records, failed };
+  }
+
+  #storage() {
+    return this.#getStorage() || null;
+  }
+}
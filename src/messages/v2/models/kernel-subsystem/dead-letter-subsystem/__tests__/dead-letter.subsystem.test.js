@@ -0,0 +1,194 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const hoisted = vi.hoisted(() => {
+  class BaseSubsystemMock {
+    constructor(name, options = {}) {
+      this.name = name;
+      this.options = options;
+    }
+  }
+
+  const logger = {
+    log: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  };
+
+  return { BaseSubsystemMock, logger };
+});
+
+vi.mock('../../../base-subsystem/base.subsystem.mycelia.js', () => ({
+  BaseSubsystem: hoisted.BaseSubsystemMock,
+}));
+
+vi.mock('../../../../utils/logger.utils.mycelia.js', () => ({
+  createSubsystemLogger: vi.fn(() => hoisted.logger),
+}));
+
+import { DeadLetterSubsystem } from '../dead-letter.subsystem.mycelia.js';
+import { DeadLetterStore } from '../dead-letter-store.mycelia.js';
+import { DeadLetterEntry } from '../dead-letter-entry.mycelia.js';
+import { handleRecordDeadLetter, handleReplayDeadLetter } from '../../handlers/kernel-handlers-deadletter.mycelia.js';
+
+const createMessage = (id, path = 'orders://process') => ({
+  getId: () => id,
+  getPath: () => path,
+  getBody: () => ({ id }),
+  meta: { resetRetries: vi.fn() },
+});
+
+const ownerA = { uuid: 'owner-a' };
+const ownerB = { uuid: 'owner-b' };
+
+describe('DeadLetterEntry', () => {
+  it('validates message and subsystem', () => {
+    expect(() => new DeadLetterEntry({ subsystem: 'orders' })).toThrow(/message/);
+    expect(() => new DeadLetterEntry({ message: createMessage('m1') })).toThrow(/subsystem/);
+  });
+
+  it('derives owner uuid and serializes to a record', () => {
+    const entry = new DeadLetterEntry({
+      message: createMessage('m1'),
+      subsystem: 'orders',
+      attempts: 4,
+      error: { name: 'Error', message: 'boom' },
+      ownerPkr: ownerA,
+    });
+
+    expect(entry.id).toBeTruthy();
+    expect(entry.ownerPkrUuid).toBe('owner-a');
+    expect(entry.toRecord()).toEqual({
+      id: entry.id,
+      messageId: 'm1',
+      path: 'orders://process',
+      body: { id: 'm1' },
+      subsystem: 'orders',
+      attempts: 4,
+      error: { name: 'Error', message: 'boom' },
+      timestamp: entry.timestamp.toISOString(),
+    });
+  });
+});
+
+describe('DeadLetterStore', () => {
+  it('rejects invalid capacity', () => {
+    expect(() => new DeadLetterStore(0)).toThrow(/capacity/);
+  });
+
+  it('evicts the oldest entry when full and keeps the index in sync', () => {
+    const store = new DeadLetterStore(2);
+    const first = store.add({ message: createMessage('m1'), subsystem: 'orders' });
+    store.add({ message: createMessage('m2'), subsystem: 'orders' });
+    store.add({ message: createMessage('m3'), subsystem: 'orders' });
+
+    expect(store.size).toBe(2);
+    expect(store.get(first.id)).toBeNull();
+    expect(store.list().map((e) => e.message.getId())).toEqual(['m2', 'm3']);
+  });
+
+  it('filters by subsystem and owner and applies limit to newest entries', () => {
+    const store = new DeadLetterStore(10);
+    store.add({ message: createMessage('m1'), subsystem: 'orders', ownerPkr: ownerA });
+    store.add({ message: createMessage('m2'), subsystem: 'billing', ownerPkr: ownerB });
+    store.add({ message: createMessage('m3'), subsystem: 'orders', ownerPkr: ownerA });
+
+    expect(store.list({ subsystem: 'orders' })).toHaveLength(2);
+    expect(store.list({ ownerPkrUuid: 'owner-b' }).map((e) => e.message.getId())).toEqual(['m2']);
+    expect(store.list({ limit: 1 }).map((e) => e.message.getId())).toEqual(['m3']);
+  });
+
+  it('removes entries by id', () => {
+    const store = new DeadLetterStore(10);
+    const entry = store.add({ message: createMessage('m1'), subsystem: 'orders' });
+
+    expect(store.remove(entry.id)).toBe(entry);
+    expect(store.remove(entry.id)).toBeNull();
+    expect(store.size).toBe(0);
+  });
+});
+
+describe('DeadLetterSubsystem', () => {
+  let dlq;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    dlq = new DeadLetterSubsystem('dead-letter', { ms: {}, config: { capacity: 5 } });
+  });
+
+  it('records, lists, and removes entries', () => {
+    const entry = dlq.record({ message: createMessage('m1'), subsystem: 'orders', ownerPkr: ownerA });
+
+    expect(dlq.get(entry.id)).toBe(entry);
+    expect(dlq.list({ ownerPkrUuid: 'owner-a' })).toEqual([entry]);
+    expect(hoisted.logger.log).toHaveBeenCalledWith(expect.stringContaining('m1'));
+
+    expect(dlq.remove(entry.id)).toBe(entry);
+    expect(dlq.get(entry.id)).toBeNull();
+  });
+
+  it('reports status using configured capacity', () => {
+    dlq.record({ message: createMessage('m1'), subsystem: 'orders' });
+    expect(dlq.getStatus()).toEqual({ size: 1, capacity: 5 });
+
+    dlq.clear();
+    expect(dlq.getStatus()).toEqual({ size: 0, capacity: 5 });
+  });
+});
+
+describe('dead-letter kernel handlers', () => {
+  const kernelPkr = { uuid: 'pkr-kernel' };
+  let dlq;
+  let kernel;
+
+  const record = (callerId, body) =>
+    handleRecordDeadLetter(kernel, { getBody: () => body }, {}, { callerId });
+  const replay = (callerId, id) => handleReplayDeadLetter(kernel, {}, { id }, { callerId });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    dlq = new DeadLetterSubsystem('dead-letter', { ms: {}, config: { capacity: 5 } });
+    const registry = new Map([['orders', { name: 'orders', identity: { pkr: ownerA } }]]);
+    kernel = {
+      identity: { pkr: kernelPkr },
+      messageSystem: { find: (name) => (name === 'messageSystemRegistry' ? registry : null) },
+      getDeadLetterQueue: () => dlq,
+      getErrorManager: () => ({ record: vi.fn() }),
+      sendProtected: vi.fn().mockResolvedValue({ success: true }),
+    };
+  });
+
+  it('binds recorded entries to the caller\'s subsystem', async () => {
+    expect(await record(ownerA, { message: createMessage('m1'), subsystem: 'orders' })).toMatchObject({ success: true });
+    expect(await record(ownerA, { message: createMessage('m2'), subsystem: 'billing' })).toMatchObject({
+      success: false,
+      error: expect.stringMatching(/^Access denied/),
+    });
+    expect(await record(ownerB, { message: createMessage('m3'), subsystem: 'orders' })).toMatchObject({
+      success: false,
+      error: expect.stringMatching(/^Access denied/),
+    });
+    expect(await record(kernelPkr, { message: createMessage('m4'), subsystem: 'billing' })).toMatchObject({ success: true });
+
+    expect(dlq.list().map((e) => e.message.getId())).toEqual(['m1', 'm4']);
+  });
+
+  it('removes a replayed entry once the send succeeds', async () => {
+    const entry = dlq.record({ message: createMessage('m1'), subsystem: 'orders', ownerPkr: ownerA });
+
+    expect(await replay(ownerA, entry.id)).toMatchObject({ success: true, id: entry.id, messageId: 'm1' });
+    expect(kernel.sendProtected).toHaveBeenCalledWith(ownerA, entry.message, {});
+    expect(dlq.get(entry.id)).toBeNull();
+  });
+
+  it('keeps the entry when the replayed send fails', async () => {
+    const entry = dlq.record({ message: createMessage('m1'), subsystem: 'orders', ownerPkr: ownerA });
+
+    kernel.sendProtected.mockRejectedValueOnce(new Error('route failed'));
+    await expect(replay(ownerA, entry.id)).rejects.toThrow('route failed');
+    expect(dlq.get(entry.id)).toBe(entry);
+
+    kernel.sendProtected.mockResolvedValueOnce({ success: false, error: 'Rate limit exceeded' });
+    expect(await replay(ownerA, entry.id)).toMatchObject({ success: false, id: entry.id, error: 'Rate limit exceeded' });
+    expect(dlq.get(entry.id)).toBe(entry);
+  });
+});
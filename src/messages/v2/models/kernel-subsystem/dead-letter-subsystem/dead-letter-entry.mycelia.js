@@ -0,0 +1,66 @@
+import { randomUUID } from '../../security/security.utils.mycelia.js';
+
+/**
+ * DeadLetterEntry
+ * ---------------
+ * A message that exhausted its retries, together with the context needed
+ * to inspect or replay it.
+ *
+ * @param {Object} params - Entry parameters
+ * @param {string} [params.id] - Unique identifier (auto-generated if not provided)
+ * @param {Message} params.message - The failed message
+ * @param {Object} [params.options={}] - Options the message was processed with
+ * @param {Object} [params.error=null] - Serialized failure ({ name, message })
+ * @param {string} params.subsystem - Name of the subsystem whose handler failed
+ * @param {number} [params.attempts=1] - Total delivery attempts made
+ * @param {PKR|null} [params.ownerPkr=null] - PKR that recorded the entry (replays are sent as this PKR)
+ * @param {Date} [params.timestamp] - When the entry was recorded (defaults to now)
+ */
+export class DeadLetterEntry {
+  constructor(params = {}) {
+    const {
+      id,
+      message,
+      options = {},
+      error = null,
+      subsystem,
+      attempts = 1,
+      ownerPkr = null,
+      timestamp
+    } = params;
+
+    if (!message || typeof message.getPath !== 'function') {
+      throw new TypeError('DeadLetterEntry: message must be a Message instance');
+    }
+    if (!subsystem || typeof subsystem !== 'string') {
+      throw new TypeError('DeadLetterEntry: subsystem must be a non-empty string');
+    }
+
+    this.id = id || randomUUID();
+    this.message = message;
+    this.options = options;
+    this.error = error;
+    this.subsystem = subsystem;
+    this.attempts = attempts;
+    this.ownerPkr = ownerPkr;
+    this.ownerPkrUuid = ownerPkr?.uuid ?? null;
+    this.timestamp = timestamp instanceof Date ? timestamp : new Date();
+  }
+
+  /**
+   * Convert entry to a plain object (the message is summarized, not embedded)
+   * @returns {Object} Plain object representation of the entry
+   */
+  toRecord() {
+    return {
+      id: this.id,
+      messageId: this.message.getId(),
+      path: this.message.getPath(),
+      body: this.message.getBody(),
+      subsystem: this.subsystem,
+      attempts: this.attempts,
+      error: this.error,
+      timestamp: this.timestamp.toISOString()
+    };
+  }
+}
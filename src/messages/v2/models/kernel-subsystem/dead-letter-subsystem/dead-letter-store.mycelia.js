@@ -0,0 +1,133 @@
+/**
+ * dead-letter-store.mycelia.js
+ * ----------------------------
+ * DeadLetterStore
+ *
+ * A fixed-capacity, in-memory store of DeadLetterEntry instances.
+ * Uses BoundedQueue so the store never grows unbounded (oldest entries are
+ * evicted first); a Map index provides O(1) lookup by entry ID for replay.
+ */
+import { DeadLetterEntry } from './dead-letter-entry.mycelia.js';
+import { BoundedQueue } from '../../../hooks/queue/bounded-queue.mycelia.js';
+
+export class DeadLetterStore {
+  #queue; // BoundedQueue<DeadLetterEntry>
+  #byId; // Map<id, DeadLetterEntry>
+
+  /**
+   * @param {number} [capacity=1000] - Maximum number of entries to retain.
+   */
+  constructor(capacity = 1000) {
+    if (typeof capacity !== 'number' || !Number.isFinite(capacity) || capacity < 1) {
+      throw new TypeError('DeadLetterStore: capacity must be a positive number');
+    }
+
+    this.#queue = new BoundedQueue(capacity, 'drop-oldest');
+    this.#byId = new Map();
+  }
+
+  /**
+   * Current number of stored entries.
+   * @returns {number}
+   */
+  get size() {
+    return this.#queue.size();
+  }
+
+  /**
+   * Maximum capacity of the store.
+   * @returns {number}
+   */
+  get capacity() {
+    return this.#queue.getCapacity();
+  }
+
+  /**
+   * Appends an entry to the store.
+   * Accepts either a DeadLetterEntry instance or constructor params.
+   *
+   * @param {DeadLetterEntry|Object} entryOrParams
+   * @returns {DeadLetterEntry} The stored entry.
+   */
+  add(entryOrParams) {
+    const entry = entryOrParams instanceof DeadLetterEntry
+      ? entryOrParams
+      : new DeadLetterEntry(entryOrParams);
+
+    // Evict the oldest entry ourselves so the index stays in sync
+    // (BoundedQueue's 'dropped' event reports the incoming item, not the evicted one)
+    if (this.#queue.isFull()) {
+      const oldest = this.#queue.dequeue();
+      if (oldest) {
+        this.#byId.delete(oldest.id);
+      }
+    }
+
+    if (!this.#queue.enqueue(entry)) {
+      throw new Error('DeadLetterStore: failed to add entry');
+    }
+    this.#byId.set(entry.id, entry);
+
+    return entry;
+  }
+
+  /**
+   * Retrieves an entry by its ID.
+   *
+   * @param {string} id
+   * @returns {DeadLetterEntry|null}
+   */
+  get(id) {
+    return this.#byId.get(id) || null;
+  }
+
+  /**
+   * Removes an entry by its ID.
+   *
+   * @param {string} id
+   * @returns {DeadLetterEntry|null} The removed entry, or null if not found.
+   */
+  remove(id) {
+    const entry = this.#byId.get(id);
+    if (!entry) return null;
+
+    this.#queue.remove(entry);
+    this.#byId.delete(id);
+    return entry;
+  }
+
+  /**
+   * Lists entries with optional filtering and limit.
+   *
+   * @param {Object} [options={}]
+   * @param {string} [options.subsystem] - Only include entries from this subsystem.
+   * @param {string} [options.ownerPkrUuid] - Only include entries recorded by this PKR.
+   * @param {number} [options.limit] - Max number of entries to return (newest kept).
+   * @returns {DeadLetterEntry[]} Matching entries, oldest → newest.
+   */
+  list(options = {}) {
+    const { subsystem, ownerPkrUuid, limit } = options;
+    const entries = this.#queue.peekAll();
+    const max = typeof limit === 'number' && limit > 0 ? limit : Infinity;
+    const results = [];
+
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const entry = entries[i];
+      if (subsystem && entry.subsystem !== subsystem) continue;
+      if (ownerPkrUuid && entry.ownerPkrUuid !== ownerPkrUuid) continue;
+
+      results.push(entry);
+      if (results.length >= max) break;
+    }
+
+    return results.reverse();
+  }
+
+  /**
+   * Clears all stored entries.
+   */
+  clear() {
+    this.#queue.clear();
+    this.#byId.clear();
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * DeadLetterSubsystem
+ * -------------------
+ * Kernel child subsystem that holds messages which exhausted their retries.
+ *
+ * Responsibilities:
+ * - Store dead-lettered messages (bounded, oldest evicted first)
+ * - Provide owner-scoped listing of entries
+ * - Hand entries back for replay
+ *
+ * Entries arrive via `kernel://deadletter/record`, sent by the useRetry hook
+ * of the subsystem whose handler kept failing.
+ */
+import { BaseSubsystem } from '../../base-subsystem/base.subsystem.mycelia.js';
+import { DeadLetterStore } from './dead-letter-store.mycelia.js';
+import { createSubsystemLogger } from '../../../utils/logger.utils.mycelia.js';
+
+export class DeadLetterSubsystem extends BaseSubsystem {
+  #store;
+  #logger;
+
+  /**
+   * Create a new DeadLetterSubsystem
+   *
+   * @param {string} name - Subsystem name (default: 'dead-letter')
+   * @param {Object} options - Configuration options
+   * @param {Object} options.ms - MessageSystem instance (required)
+   * @param {Object} [options.config={}] - Configuration object
+   * @param {number} [options.config.capacity=1000] - Maximum number of entries retained
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(name = 'dead-letter', options = {}) {
+    super(name, options);
+    this.#store = new DeadLetterStore(options.config?.capacity ?? 1000);
+    this.#logger = createSubsystemLogger(this);
+  }
+
+  /**
+   * Record a dead-lettered message
+   *
+   * @param {Object} params - Entry parameters (see DeadLetterEntry)
+   * @returns {DeadLetterEntry} The stored entry
+   */
+  record(params) {
+    const entry = this.#store.add(params);
+    this.#logger.log(
+      `Dead-lettered message ${entry.message.getId()} from "${entry.subsystem}" after ${entry.attempts} attempt(s).`
+    );
+    return entry;
+  }
+
+  /**
+   * Get an entry by ID
+   *
+   * @param {string} id - Entry ID
+   * @returns {DeadLetterEntry|null} Entry or null if not found
+   */
+  get(id) {
+    return this.#store.get(id);
+  }
+
+  /**
+   * Remove an entry (e.g. before replaying it)
+   *
+   * @param {string} id - Entry ID
+   * @returns {DeadLetterEntry|null} Removed entry or null if not found
+   */
+  remove(id) {
+    return this.#store.remove(id);
+  }
+
+  /**
+   * List entries
+   *
+   * @param {Object} [options={}] - Filter options (subsystem, ownerPkrUuid, limit)
+   * @returns {Array<DeadLetterEntry>} Matching entries, oldest → newest
+   */
+  list(options = {}) {
+    return this.#store.list(options);
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.#store.clear();
+    this.#logger.log('Cleared all dead-letter entries.');
+  }
+
+  /**
+   * Get status information
+   *
+   * @returns {Object} Status object with size and capacity
+   */
+  getStatus() {
+    return {
+      size: this.#store.size,
+      capacity: this.#store.capacity
+    };
+  }
+
+  /**
+   * Dispose the subsystem and clear all entries
+   *
+   * @returns {Promise<void>}
+   */
+  async dispose() {
+    this.#store.clear();
+
+    if (typeof super.dispose === 'function') {
+      await super.dispose();
+    }
+  }
+}
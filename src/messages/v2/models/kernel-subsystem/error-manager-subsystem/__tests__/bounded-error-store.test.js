@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import { BoundedErrorStore } from '../bounded-error-store.mycelia.js';
+
+describe('BoundedErrorStore', () => {
+  const fill = (store) => {
+    store.add({ type: 'simple', severity: 'error', subsystem: 'canvas', metadata: { message: 'a' } });
+    store.add({ type: 'auth_failed', severity: 'error', subsystem: 'canvas', metadata: { message: 'b' } });
+    store.add({ type: 'simple', severity: 'error', subsystem: 'billing', metadata: { message: 'c' } });
+  };
+
+  it('clears every record without filters', () => {
+    const store = new BoundedErrorStore(10);
+    fill(store);
+
+    expect(store.clear()).toBe(3);
+    expect(store.size).toBe(0);
+  });
+
+  it('clears only the records matching the filters', () => {
+    const store = new BoundedErrorStore(10);
+    fill(store);
+    const [first] = store.all;
+
+    expect(store.clear({ subsystem: 'canvas', type: 'simple' })).toBe(1);
+    expect(store.all.map(record => record.metadata.message)).toEqual(['b', 'c']);
+    expect(store.get(first.id)).toBeNull();
+  });
+
+  it('evicts the oldest record from the index when full', () => {
+    const store = new BoundedErrorStore(2);
+    fill(store);
+    const [second, third] = store.all;
+
+    expect(store.size).toBe(2);
+    expect(store.get(third.id)).toBe(third);
+    expect(store.get(second.id)).toBe(second);
+    expect(store.list().map(record => record.metadata.message)).toEqual(['b', 'c']);
+  });
+});
+
+describe('BoundedErrorStore groups', () => {
+  const failure = (id, timestamp) => ({
+    type: 'external',
+    severity: 'error',
+    subsystem: 'canvas',
+    timestamp: new Date(timestamp),
+    metadata: { message: `Layer ${id} not found`, path: `canvas://layers/${id}/render?force=1` },
+  });
+
+  it('groups recurring errors that outlive record eviction', () => {
+    const store = new BoundedErrorStore(3, { maxSamples: 3 });
+    store.add({ type: 'auth_failed', severity: 'warn', subsystem: 'billing', timestamp: new Date(0), metadata: { message: 'denied' } });
+    for (let i = 1; i <= 5; i++) {
+      store.add(failure(i, i * 1000));
+    }
+
+    expect(store.size).toBe(3);
+    expect(store.groupCount).toBe(2);
+
+    const [recurring, auth] = store.groups();
+    expect(recurring).toMatchObject({
+      type: 'external',
+      subsystem: 'canvas',
+      path: 'canvas://layers/:n/render',
+      message: 'Layer <n> not found',
+      count: 5,
+    });
+    expect(recurring.firstSeen.getTime()).toBe(1000);
+    expect(recurring.lastSeen.getTime()).toBe(5000);
+    expect(recurring.samples.map(record => record.metadata.message))
+      .toEqual(['Layer 1 not found', 'Layer 4 not found', 'Layer 5 not found']);
+    expect(auth).toMatchObject({ type: 'auth_failed', count: 1 });
+    expect(store.getGroup(auth.fingerprint)).toBe(auth);
+  });
+
+  it('filters and sorts groups', () => {
+    const store = new BoundedErrorStore(10);
+    store.add(failure(1, 5000));
+    store.add({ type: 'timeout', severity: 'critical', subsystem: 'canvas', timestamp: new Date(6000), metadata: { message: 'slow' } });
+    store.add(failure(2, 4000));
+
+    expect(store.groups().map(group => group.type)).toEqual(['timeout', 'external']);
+    expect(store.groups({ sort: 'count' }).map(group => group.type)).toEqual(['external', 'timeout']);
+    expect(store.groups({ severity: 'critical' })).toHaveLength(1);
+    expect(store.groups({ since: 5500 }).map(group => group.type)).toEqual(['timeout']);
+    expect(store.groups({ limit: 1 })).toHaveLength(1);
+  });
+
+  it('separates errors with different stack tops', () => {
+    const store = new BoundedErrorStore(10);
+    const withStack = (fn) => ({
+      type: 'internal',
+      severity: 'error',
+      subsystem: 'canvas',
+      metadata: { message: 'boom', data: { stack: `Error: boom\n    at ${fn} (/app/canvas.js:10:5)\n    at run (/app/run.js:1:1)` } },
+    });
+    store.add(withStack('draw'));
+    store.add({ ...withStack('draw'), metadata: { message: 'boom', data: { stack: 'Error: boom\n    at draw (/app/canvas.js:12:9)' } } });
+    store.add(withStack('resize'));
+
+    expect(store.groups({ sort: 'count' }).map(group => group.count)).toEqual([2, 1]);
+  });
+
+  it('evicts the least recently seen group', () => {
+    const store = new BoundedErrorStore(10, { maxGroups: 2 });
+    store.add({ type: 'simple', severity: 'error', subsystem: 'a', metadata: { message: 'a' } });
+    store.add({ type: 'simple', severity: 'error', subsystem: 'b', metadata: { message: 'b' } });
+    store.add({ type: 'simple', severity: 'error', subsystem: 'a', metadata: { message: 'a' } });
+    store.add({ type: 'simple', severity: 'error', subsystem: 'c', metadata: { message: 'c' } });
+
+    expect(store.groups().map(group => group.subsystem).sort()).toEqual(['a', 'c']);
+  });
+
+  it('exports groups as NDJSON and clears them with the records', () => {
+    const store = new BoundedErrorStore(10);
+    store.add(failure(1, 1000));
+    store.add({ type: 'timeout', severity: 'error', subsystem: 'billing', metadata: { message: 'slow' } });
+
+    const lines = store.exportGroups().trimEnd().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toMatchObject({ type: 'external', count: 1, firstSeen: new Date(1000).toISOString() });
+    expect(lines[1].samples[0]).toMatchObject({ subsystem: 'canvas', metadata: { message: 'Layer 1 not found' } });
+
+    store.clear({ subsystem: 'billing' });
+    expect(store.groups().map(group => group.subsystem)).toEqual(['canvas']);
+    store.clear();
+    expect(store.groupCount).toBe(0);
+    expect(store.exportGroups()).toBe('');
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { ErrorAlertRule } from '../error-alert-rule.mycelia.js';
+import { ErrorRecord } from '../error-record.mycelia.js';
+
+const makeRecord = (type, subsystem = 'canvas', severity = 'error') =>
+  new ErrorRecord({ type, severity, subsystem, metadata: { message: `${type} in ${subsystem}` } });
+
+describe('ErrorAlertRule', () => {
+  it('validates its definition', () => {
+    expect(() => new ErrorAlertRule({})).toThrow(/id/);
+    expect(() => new ErrorAlertRule({ id: 'r', threshold: -1 })).toThrow(/threshold/);
+    expect(() => new ErrorAlertRule({ id: 'r', window: 0 })).toThrow(/window/);
+  });
+
+  it('matches type, severity and subsystem filters', () => {
+    const rule = new ErrorAlertRule({ id: 'critical', match: { severity: 'critical', subsystem: ['canvas', 'editor'] } });
+
+    expect(rule.matches(makeRecord('internal', 'canvas', 'critical'))).toBe(true);
+    expect(rule.matches(makeRecord('internal', 'editor', 'critical'))).toBe(true);
+    expect(rule.matches(makeRecord('internal', 'canvas', 'error'))).toBe(false);
+    expect(rule.matches(makeRecord('internal', 'server', 'critical'))).toBe(false);
+  });
+
+  it('fires once when the threshold is exceeded within the window', () => {
+    const rule = new ErrorAlertRule({ id: 'auth', match: { type: 'auth_failed' }, threshold: 2, window: 1000 });
+
+    expect(rule.observe(makeRecord('auth_failed'), 0)).toBeNull();
+    expect(rule.observe(makeRecord('timeout'), 10)).toBeNull();
+    expect(rule.observe(makeRecord('auth_failed'), 20)).toBeNull();
+    expect(rule.observe(makeRecord('auth_failed'), 30)).toBe('fired');
+    expect(rule.observe(makeRecord('auth_failed'), 40)).toBeNull();
+
+    expect(rule.snapshot(40)).toMatchObject({ firing: true, count: 4, firedAt: 30, deduplicated: 1 });
+    expect(rule.toAlert('firing', 40)).toMatchObject({
+      ruleId: 'auth',
+      status: 'firing',
+      count: 4,
+      threshold: 2,
+      lastError: { type: 'auth_failed', subsystem: 'canvas' },
+    });
+  });
+
+  it('does not count errors that left the window', () => {
+    const rule = new ErrorAlertRule({ id: 'auth', match: { type: 'auth_failed' }, threshold: 1, window: 100 });
+
+    rule.observe(makeRecord('auth_failed'), 0);
+    expect(rule.observe(makeRecord('auth_failed'), 150)).toBeNull();
+    expect(rule.observe(makeRecord('auth_failed'), 160)).toBe('fired');
+  });
+
+  it('resolves when the count drops back to the threshold', () => {
+    const rule = new ErrorAlertRule({ id: 'auth', match: { type: 'auth_failed' }, threshold: 1, window: 100 });
+    rule.observe(makeRecord('auth_failed'), 0);
+    rule.observe(makeRecord('auth_failed'), 50);
+
+    expect(rule.nextEvaluationAt()).toBe(100);
+    expect(rule.evaluate(99)).toBeNull();
+    expect(rule.evaluate(100)).toBe('resolved');
+    expect(rule.firing).toBe(false);
+    expect(rule.toAlert('resolved', 100)).toMatchObject({ status: 'resolved', resolvedAt: 100, firedAt: null });
+  });
+
+  it('suppresses a new alert until the cooldown has passed', () => {
+    const rule = new ErrorAlertRule({ id: 'any-critical', match: { severity: 'critical' }, window: 100, cooldown: 1000 });
+
+    expect(rule.observe(makeRecord('internal', 'canvas', 'critical'), 0)).toBe('fired');
+    expect(rule.evaluate(100)).toBe('resolved');
+
+    expect(rule.observe(makeRecord('internal', 'canvas', 'critical'), 500)).toBeNull();
+    expect(rule.snapshot(500)).toMatchObject({ firing: false, suppressed: 1 });
+    expect(rule.nextEvaluationAt()).toBe(1000);
+
+    // The error left the window before the cooldown ended
+    expect(rule.evaluate(1000)).toBeNull();
+    expect(rule.observe(makeRecord('internal', 'canvas', 'critical'), 1100)).toBe('fired');
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 
 const hoisted = vi.hoisted(() => {
   class BaseSubsystemMock {
@@ -41,6 +41,8 @@ vi.mock('../../result/result.mycelia.js', () => ({
 }));
 
 import { ErrorManagerSubsystem } from '../error-manager.subsystem.mycelia.js';
+import * as ErrorHandlers from '../../handlers/kernel-handlers-error.mycelia.js';
+import { Message } from '../../../message/message.mycelia.js';
 
 describe('ErrorManagerSubsystem', () => {
   let ems;
@@ -109,5 +111,179 @@ describe('ErrorManagerSubsystem', () => {
     expect(ems.boundedErrorStore.clear).toHaveBeenCalled();
     expect(ems.size()).toBe(2);
   });
+
+  it('returns error groups in group mode and exports them', () => {
+    const group = (type, subsystem, count) => ({ type, subsystem, count, toRecord: () => ({ type, subsystem, count }) });
+    ems.boundedErrorStore.groups = vi.fn().mockReturnValue([group('timeout', 'canvas', 7), group('simple', 'billing', 2)]);
+    ems.boundedErrorStore.exportGroups = vi.fn().mockReturnValue('{"a":1}\n{"b":2}\n');
+
+    expect(ems.queryRecent({ group: true, limit: 5, subsystem: 'canvas' }).data).toMatchObject({ count: 2, groups: [{ type: 'timeout' }, { type: 'simple' }] });
+    expect(ems.boundedErrorStore.groups).toHaveBeenCalledWith({ limit: 5, type: undefined, subsystem: 'canvas' });
+
+    expect(ems.summary({ group: true, limit: 1 }).data).toEqual({
+      limit: 1,
+      count: 9,
+      groupCount: 2,
+      byType: { timeout: 7, simple: 2 },
+      bySubsystem: { canvas: 7, billing: 2 },
+      groups: [{ type: 'timeout', subsystem: 'canvas', count: 7 }],
+    });
+    expect(ems.boundedErrorStore.groups).toHaveBeenLastCalledWith({ subsystem: undefined, sort: 'count' });
+
+    expect(ems.exportGroups({ subsystem: 'canvas' }).data).toEqual({ count: 2, ndjson: '{"a":1}\n{"b":2}\n' });
+  });
 });
 
+describe('error kernel handlers', () => {
+  const canvas = { uuid: 'canvas-pkr' };
+  const kernelPkr = { uuid: 'kernel' };
+  let ems;
+  let kernel;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    ems = new ErrorManagerSubsystem('error-manager', { ms: {} });
+    ems.boundedErrorStore = {
+      recent: vi.fn().mockReturnValue([
+        { type: 'simple', subsystem: 'canvas', toRecord: () => ({ id: 'a' }) },
+        { type: 'auth_failed', subsystem: 'billing', toRecord: () => ({ id: 'b' }) },
+      ]),
+      clear: vi.fn().mockReturnValue(1),
+    };
+    kernel = {
+      identity: { pkr: kernelPkr },
+      messageSystem: { find: () => ({ values: () => [{ name: 'canvas', identity: { pkr: canvas } }] }) },
+      getErrorManager: () => ems,
+    };
+  });
+
+  const call = (handler, body, callerId) =>
+    ErrorHandlers[handler](kernel, new Message('kernel://query/errors', body), {}, { callerId });
+
+  it('scopes queries to the caller\'s subsystem', async () => {
+    expect(await call('handleQueryErrors', {}, canvas)).toEqual({ success: true, count: 1, errors: [{ id: 'a' }] });
+    expect(await call('handleQueryErrors', {}, kernelPkr)).toMatchObject({ success: true, count: 2 });
+    expect(await call('handleQueryErrors', { subsystem: 'billing' }, canvas))
+      .toEqual({ success: false, error: 'Access denied: errors of other subsystems' });
+    expect(await call('handleQueryErrors', {}, { uuid: 'friend' }))
+      .toMatchObject({ success: false, error: expect.stringContaining('Access denied') });
+  });
+
+  it('summarizes and clears only the caller\'s errors', async () => {
+    const summary = await call('handleQueryErrorSummary', {}, canvas);
+    expect(summary).toMatchObject({ success: true, count: 1, bySubsystem: { canvas: 1 } });
+
+    expect(await call('handleClearErrors', { type: 'simple' }, canvas)).toEqual({ success: true, cleared: true, removed: 1 });
+    expect(ems.boundedErrorStore.clear).toHaveBeenCalledWith({ type: 'simple', subsystem: 'canvas' });
+
+    await call('handleClearErrors', {}, kernelPkr);
+    expect(ems.boundedErrorStore.clear).toHaveBeenLastCalledWith({ type: undefined, subsystem: undefined });
+  });
+
+  it('records expired messages only for the caller\'s subsystem', async () => {
+    ems.record = vi.fn().mockReturnValue({ success: true, data: { id: 'e1' } });
+    const expired = { count: 1, sample: [{ messageId: 'm1', path: 'canvas://render' }] };
+
+    expect(await call('handleRecordExpiredMessage', { ...expired, subsystem: 'canvas' }, canvas))
+      .toEqual({ success: true, id: 'e1' });
+    expect(await call('handleRecordExpiredMessage', { ...expired, subsystem: 'billing' }, canvas))
+      .toEqual({ success: false, error: 'Access denied: errors of other subsystems' });
+    expect(await call('handleRecordExpiredMessage', { ...expired, subsystem: 'canvas' }, { uuid: 'friend' }))
+      .toMatchObject({ success: false, error: expect.stringContaining('Access denied') });
+    expect(await call('handleRecordExpiredMessage', { ...expired, subsystem: 'billing' }, kernelPkr))
+      .toEqual({ success: true, id: 'e1' });
+
+    expect(ems.record).toHaveBeenCalledTimes(2);
+    expect(ems.record).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'timeout' }),
+      expect.objectContaining({ messageSubsystem: 'canvas', path: 'canvas://render' })
+    );
+  });
+
+  it('records a batch of expired messages as one error with a bounded sample', async () => {
+    ems.record = vi.fn().mockReturnValue({ success: true, data: { id: 'e1' } });
+    const sample = Array.from({ length: 12 }, (_, i) => ({ messageId: `m${i}`, path: 'canvas://render', stage: 'expired-in-queue' }));
+
+    await call('handleRecordExpiredMessage', { subsystem: 'canvas', count: 250, sample }, canvas);
+
+    expect(ems.record).toHaveBeenCalledTimes(1);
+    const { meta } = ems.record.mock.calls[0][1];
+    expect(meta).toMatchObject({ count: 250, reportedBy: canvas.uuid });
+    expect(meta.sample).toHaveLength(10);
+    expect(meta.sample[0]).toEqual({ messageId: 'm0', path: 'canvas://render', expiresAt: null, stage: 'expired-in-queue' });
+
+    await expect(call('handleRecordExpiredMessage', { subsystem: 'canvas', count: 0 }, canvas)).rejects.toThrow(/count/);
+    await expect(call('handleRecordExpiredMessage', { subsystem: 'canvas', count: 1, sample: [{}] }, canvas))
+      .rejects.toThrow(/sample/);
+  });
+
+  it('requires a caller', async () => {
+    await expect(call('handleQueryErrors', {}, null)).rejects.toThrow(/callerId/);
+  });
+});
+
+describe('ErrorManagerSubsystem alert rules', () => {
+  let ems;
+  let emit;
+
+  const makeRecord = (type, severity = 'error', subsystem = 'canvas') => ({
+    type,
+    severity,
+    subsystem,
+    toRecord: () => ({ type, severity, subsystem }),
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    emit = vi.fn();
+    ems = new ErrorManagerSubsystem('error-manager', {
+      ms: {},
+      config: {
+        alertRules: [{ id: 'auth-spike', match: { type: 'auth_failed' }, threshold: 2, window: 60000 }],
+      },
+    });
+    ems.errorClassifier = { classify: vi.fn((record) => record) };
+    ems.boundedErrorStore = { add: vi.fn() };
+    ems.find = vi.fn((kind) => (kind === 'listeners' ? { listeners: { emit } } : null));
+  });
+
+  afterEach(async () => {
+    await ems.dispose();
+    vi.useRealTimers();
+  });
+
+  const alerts = () => emit.mock.calls.filter(([path]) => path === 'kernel://error/alert').map(([, message]) => message);
+
+  it('emits one firing alert and a resolved alert when the window clears', () => {
+    for (let i = 0; i < 4; i++) {
+      ems.record(makeRecord('auth_failed'));
+      vi.advanceTimersByTime(1000);
+    }
+
+    expect(alerts()).toHaveLength(1);
+    expect(alerts()[0].path).toBe('kernel://error/alert');
+    expect(alerts()[0].body).toMatchObject({ ruleId: 'auth-spike', status: 'firing', count: 3, deduplicated: 0 });
+
+    vi.advanceTimersByTime(56000);
+    expect(alerts()).toHaveLength(1);
+    vi.advanceTimersByTime(1000);
+    expect(alerts()).toHaveLength(2);
+    expect(alerts()[1].body).toMatchObject({ ruleId: 'auth-spike', status: 'resolved', count: 2, deduplicated: 1 });
+    expect(ems.listAlertRules()[0]).toMatchObject({ id: 'auth-spike', firing: false });
+  });
+
+  it('adds and removes rules at runtime', () => {
+    ems.addAlertRule({ id: 'canvas-critical', match: { severity: 'critical', subsystem: 'canvas' } });
+    expect(() => ems.addAlertRule({ id: 'canvas-critical' })).toThrow(/already exists/);
+
+    ems.record(makeRecord('internal', 'critical', 'server'));
+    ems.record(makeRecord('internal', 'critical', 'canvas'));
+    expect(alerts().map((alert) => alert.body.ruleId)).toEqual(['canvas-critical']);
+
+    expect(ems.removeAlertRule('canvas-critical')).toBe(true);
+    vi.runAllTimers();
+    expect(alerts()).toHaveLength(1);
+    expect(ems.listAlertRules().map((rule) => rule.id)).toEqual(['auth-spike']);
+  });
+});
@@ -7,35 +7,48 @@
  * - appending new ErrorRecords
  * - querying recent errors with filters
  * - summarizing error types & severity
+ * - grouping recurring errors by fingerprint
  *
  * This is intended to be used by ErrorManagerSubsystem as its primary
  * storage layer. It uses BoundedQueue internally for capacity management.
+ *
+ * Groups are kept separately from the records: a recurring failure that
+ * evicts older records still shows up as one group, and groups of evicted
+ * records keep their counts and samples.
  */
 import { ErrorRecord } from './error-record.mycelia.js';
+import { ErrorGroup, fingerprintError, DEFAULT_GROUP_SAMPLES } from './error-group.mycelia.js';
 import { BoundedQueue } from '../../../hooks/queue/bounded-queue.mycelia.js';
 
 export class BoundedErrorStore {
   #queue; // BoundedQueue<ErrorRecord>
   #byId; // Map<id, ErrorRecord>
+  #groups; // Map<fingerprint, ErrorGroup>, least recently seen first
+  #maxGroups;
+  #maxSamples;
 
   /**
    * @param {number} [capacity=1000] - Maximum number of error records to retain.
+   * @param {Object} [options={}]
+   * @param {number} [options.maxGroups=500] - Maximum number of error groups; the least recently seen group is evicted.
+   * @param {number} [options.maxSamples=5] - Sample records kept per group.
    */
-  constructor(capacity = 1000) {
+  constructor(capacity = 1000, options = {}) {
     if (typeof capacity !== 'number' || !Number.isFinite(capacity) || capacity < 1) {
       throw new TypeError('BoundedErrorStore: capacity must be a positive number');
     }
 
-    // Use BoundedQueue with 'drop-oldest' policy to automatically evict oldest records
+    const { maxGroups = 500, maxSamples = DEFAULT_GROUP_SAMPLES } = options;
+    if (!Number.isInteger(maxGroups) || maxGroups < 1) {
+      throw new TypeError('BoundedErrorStore: maxGroups must be a positive integer');
+    }
+
+    // BoundedQueue holds the records; add() evicts the oldest record itself
     this.#queue = new BoundedQueue(capacity, 'drop-oldest');
     this.#byId = new Map();
-
-    // Track dropped items to remove from byId map
-    this.#queue.on('dropped', ({ item, reason }) => {
-      if (reason === 'drop-oldest' && item instanceof ErrorRecord) {
-        this.#byId.delete(item.id);
-      }
-    });
+    this.#groups = new Map();
+    this.#maxGroups = maxGroups;
+    this.#maxSamples = maxSamples;
   }
 
   // -----------------------------------
@@ -75,10 +88,10 @@ export class BoundedErrorStore {
   // -----------------------------------
 
   /**
-   * Appends an error record to the store.
+   * Appends an error record to the store and counts it in its group.
    * Accepts either an ErrorRecord instance or constructor params.
    *
-   * Evicts the oldest record when capacity is exceeded (handled by BoundedQueue).
+   * Evicts the oldest record when capacity is exceeded.
    *
    * @param {ErrorRecord|Object} recordOrParams
    * @returns {ErrorRecord} The stored ErrorRecord instance.
@@ -88,16 +101,24 @@ export class BoundedErrorStore {
       ? recordOrParams
       : new ErrorRecord(recordOrParams);
 
-    // Enqueue the record (BoundedQueue handles capacity and eviction)
-    const success = this.#queue.enqueue(record);
-    if (!success) {
-      // If enqueue failed (shouldn't happen with drop-oldest policy, but handle gracefully)
+    // Evict the oldest record ourselves so the index stays in sync
+    // (BoundedQueue's 'dropped' event reports the incoming item, not the evicted one)
+    if (this.#queue.isFull()) {
+      const oldest = this.#queue.dequeue();
+      if (oldest) {
+        this.#byId.delete(oldest.id);
+      }
+    }
+
+    if (!this.#queue.enqueue(record)) {
       throw new Error('BoundedErrorStore: failed to add error record');
     }
 
     // Track by ID
     this.#byId.set(record.id, record);
 
+    this.#addToGroup(record);
+
     return record;
   }
 
@@ -112,11 +133,35 @@ export class BoundedErrorStore {
   }
 
   /**
-   * Clears all stored error records.
+   * Clears stored error records and groups.
+   * Without filters everything is removed; with filters only the matching
+   * records, and the groups groups() would return for the same filters.
+   *
+   * @param {Object} [options={}] - Same filters as list() (type, severity, subsystem, since)
+   * @returns {number} Number of records removed.
    */
-  clear() {
-    this.#queue.clear();
-    this.#byId.clear();
+  clear(options = {}) {
+    const { type, severity, subsystem, since } = options;
+    if (type === undefined && severity === undefined && subsystem === undefined && since === undefined) {
+      const removed = this.#queue.size();
+      this.#queue.clear();
+      this.#byId.clear();
+      this.#groups.clear();
+      return removed;
+    }
+
+    for (const group of this.groups({ type, severity, subsystem, since })) {
+      this.#groups.delete(group.fingerprint);
+    }
+
+    let removed = 0;
+    for (const rec of this.list({ type, severity, subsystem, since })) {
+      if (this.#queue.remove(rec)) {
+        this.#byId.delete(rec.id);
+        removed += 1;
+      }
+    }
+    return removed;
   }
 
   // -----------------------------------
@@ -183,6 +228,76 @@ export class BoundedErrorStore {
     return this.list({ limit });
   }
 
+  // -----------------------------------
+  // Groups
+  // -----------------------------------
+
+  /**
+   * Number of error groups.
+   * @returns {number}
+   */
+  get groupCount() {
+    return this.#groups.size;
+  }
+
+  /**
+   * Retrieves an error group by its fingerprint.
+   *
+   * @param {string} fingerprint
+   * @returns {ErrorGroup|null}
+   */
+  getGroup(fingerprint) {
+    return this.#groups.get(fingerprint) || null;
+  }
+
+  /**
+   * Lists error groups with optional filtering and limit.
+   *
+   * @param {Object} [options={}]
+   * @param {string|string[]} [options.type] - Error type(s) to include.
+   * @param {string|string[]} [options.severity] - Include groups with at least one occurrence of these severities.
+   * @param {string|string[]} [options.subsystem] - Subsystem name(s) to include.
+   * @param {Date|string|number} [options.since] - Only include groups last seen at or after this timestamp.
+   * @param {number} [options.limit] - Max number of groups to return.
+   * @param {'lastSeen'|'count'} [options.sort='lastSeen'] - Most recently seen first, or most frequent first.
+   * @returns {ErrorGroup[]} Matching groups.
+   */
+  groups(options = {}) {
+    const { type, severity, subsystem, since, limit, sort = 'lastSeen' } = options;
+
+    const typeSet = this.#normalizeFilterSet(type);
+    const severitySet = this.#normalizeFilterSet(severity);
+    const subsystemSet = this.#normalizeFilterSet(subsystem);
+    const sinceTime = this.#normalizeSince(since);
+
+    const results = [];
+    for (const group of this.#groups.values()) {
+      if (typeSet && !typeSet.has(group.type)) continue;
+      if (severitySet && !Object.keys(group.bySeverity).some((level) => severitySet.has(level))) continue;
+      if (subsystemSet && !subsystemSet.has(group.subsystem)) continue;
+      if (sinceTime !== null && group.lastSeen.getTime() < sinceTime) continue;
+      results.push(group);
+    }
+
+    results.sort(sort === 'count'
+      ? (a, b) => b.count - a.count || b.lastSeen - a.lastSeen
+      : (a, b) => b.lastSeen - a.lastSeen);
+
+    return typeof limit === 'number' && limit > 0 ? results.slice(0, limit) : results;
+  }
+
+  /**
+   * Exports error groups as NDJSON (one JSON object per line).
+   *
+   * @param {Object} [options={}] - Same options as groups()
+   * @returns {string} NDJSON text ('' when there are no groups).
+   */
+  exportGroups(options = {}) {
+    return this.groups(options)
+      .map((group) => JSON.stringify(group.toRecord()) + '\n')
+      .join('');
+  }
+
   // -----------------------------------
   // Summary
   // -----------------------------------
@@ -253,6 +368,25 @@ export class BoundedErrorStore {
   // Internal helpers
   // -----------------------------------
 
+  #addToGroup(record) {
+    const fingerprint = fingerprintError(record);
+    const group = this.#groups.get(fingerprint);
+
+    if (group) {
+      group.add(record);
+      // Move to the end: the map stays ordered least recently seen first
+      this.#groups.delete(fingerprint);
+      this.#groups.set(fingerprint, group);
+      return;
+    }
+
+    if (this.#groups.size >= this.#maxGroups) {
+      const leastRecent = this.#groups.keys().next().value;
+      this.#groups.delete(leastRecent);
+    }
+    this.#groups.set(fingerprint, new ErrorGroup(fingerprint, record, { maxSamples: this.#maxSamples }));
+  }
+
   #normalizeFilterSet(value) {
     if (value == null) return null;
 
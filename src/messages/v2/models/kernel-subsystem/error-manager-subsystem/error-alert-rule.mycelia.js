@@ -0,0 +1,221 @@
+/**
+ * ErrorAlertRule
+ * --------------
+ * A declarative alert condition over recorded errors.
+ *
+ * A rule fires when more than `threshold` matching errors were recorded within
+ * the last `window` milliseconds, and resolves once the count drops back to
+ * `threshold` or below. Each firing is reported once (dedup); after an alert,
+ * the rule does not fire again for `cooldown` milliseconds.
+ *
+ * @example
+ * // More than 20 auth_failed errors in 60s
+ * new ErrorAlertRule({ id: 'auth-spike', match: { type: 'auth_failed' }, threshold: 20, window: 60000 });
+ *
+ * // Any critical error from the canvas subsystem
+ * new ErrorAlertRule({ id: 'canvas-critical', match: { severity: 'critical', subsystem: 'canvas' } });
+ */
+export class ErrorAlertRule {
+  #events = []; // timestamps of matching errors within the window (oldest first)
+  #lastError = null;
+  #firedAt = null;
+  #lastAlertAt = null;
+  #deduplicated = 0;
+  #suppressed = 0;
+
+  /**
+   * @param {Object} params - Rule definition
+   * @param {string} params.id - Unique rule id
+   * @param {string} [params.description=''] - Human-readable description
+   * @param {Object} [params.match={}] - Filters; each a value or an array of values
+   * @param {string|string[]} [params.match.type] - Error type(s)
+   * @param {string|string[]} [params.match.severity] - Severity level(s)
+   * @param {string|string[]} [params.match.subsystem] - Subsystem name(s)
+   * @param {number} [params.threshold=0] - Fire when more than this many errors match within the window
+   * @param {number} [params.window=60000] - Window length in milliseconds
+   * @param {number} [params.cooldown=params.window] - Minimum milliseconds between two alerts of this rule
+   */
+  constructor({ id, description = '', match = {}, threshold = 0, window = 60000, cooldown = window } = {}) {
+    if (typeof id !== 'string' || !id.trim()) {
+      throw new Error('ErrorAlertRule: id must be a non-empty string.');
+    }
+    if (!match || typeof match !== 'object') {
+      throw new Error('ErrorAlertRule: match must be an object.');
+    }
+    if (!Number.isInteger(threshold) || threshold < 0) {
+      throw new Error('ErrorAlertRule: threshold must be a non-negative integer.');
+    }
+    if (typeof window !== 'number' || !(window > 0)) {
+      throw new Error('ErrorAlertRule: window must be a positive number of milliseconds.');
+    }
+    if (typeof cooldown !== 'number' || cooldown < 0) {
+      throw new Error('ErrorAlertRule: cooldown must be a non-negative number of milliseconds.');
+    }
+
+    this.id = id.trim();
+    this.description = description;
+    this.match = {
+      type: toSet(match.type),
+      severity: toSet(match.severity),
+      subsystem: toSet(match.subsystem)
+    };
+    this.threshold = threshold;
+    this.window = window;
+    this.cooldown = cooldown;
+  }
+
+  /**
+   * Whether the rule is currently firing
+   * @returns {boolean}
+   */
+  get firing() {
+    return this.#firedAt !== null;
+  }
+
+  /**
+   * Check whether an error record matches the rule's filters
+   *
+   * @param {ErrorRecord} record - Error record
+   * @returns {boolean}
+   */
+  matches(record) {
+    const { type, severity, subsystem } = this.match;
+    if (type && !type.has(record.type)) return false;
+    if (severity && !severity.has(record.severity)) return false;
+    if (subsystem && !subsystem.has(record.subsystem)) return false;
+    return true;
+  }
+
+  /**
+   * Count a recorded error and evaluate the rule
+   *
+   * @param {ErrorRecord} record - Error record
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {'fired'|null} 'fired' when this error made the rule fire
+   */
+  observe(record, now = Date.now()) {
+    if (!this.matches(record)) return null;
+
+    this.#events.push(now);
+    this.#lastError = record;
+    if (this.firing) {
+      this.#deduplicated += 1;
+      return null;
+    }
+    return this.evaluate(now) === 'fired' ? 'fired' : null;
+  }
+
+  /**
+   * Re-evaluate the rule (errors leave the window as time passes)
+   *
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {'fired'|'resolved'|null} State change, if any
+   */
+  evaluate(now = Date.now()) {
+    this.#prune(now);
+    const exceeded = this.#events.length > this.threshold;
+
+    if (this.firing) {
+      if (exceeded) return null;
+      this.#firedAt = null;
+      return 'resolved';
+    }
+
+    if (!exceeded) return null;
+    if (this.#lastAlertAt !== null && now - this.#lastAlertAt < this.cooldown) {
+      this.#suppressed += 1;
+      return null;
+    }
+
+    this.#firedAt = now;
+    this.#lastAlertAt = now;
+    this.#deduplicated = 0;
+    return 'fired';
+  }
+
+  /**
+   * When the rule should be evaluated again without new errors
+   *
+   * @returns {number|null} Timestamp, or null if nothing can change without new errors
+   */
+  nextEvaluationAt() {
+    if (this.#events.length === 0) return null;
+    if (this.firing) {
+      // The count drops when the oldest error leaves the window
+      return this.#events[0] + this.window;
+    }
+    if (this.#events.length > this.threshold && this.#lastAlertAt !== null) {
+      // Condition holds but the cooldown suppressed the alert
+      return this.#lastAlertAt + this.cooldown;
+    }
+    return null;
+  }
+
+  /**
+   * Build the payload of a kernel://error/alert message
+   *
+   * @param {'firing'|'resolved'} status - Alert status
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Object} Alert payload
+   */
+  toAlert(status, now = Date.now()) {
+    return {
+      ruleId: this.id,
+      status,
+      description: this.description,
+      count: this.#events.length,
+      threshold: this.threshold,
+      window: this.window,
+      firedAt: status === 'firing' ? this.#firedAt : null,
+      resolvedAt: status === 'resolved' ? now : null,
+      deduplicated: this.#deduplicated,
+      lastError: this.#lastError?.toRecord ? this.#lastError.toRecord() : this.#lastError
+    };
+  }
+
+  /**
+   * Get a snapshot of the rule and its state
+   *
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Object} Snapshot
+   */
+  snapshot(now = Date.now()) {
+    this.#prune(now);
+    return {
+      id: this.id,
+      description: this.description,
+      match: Object.fromEntries(
+        Object.entries(this.match).filter(([, set]) => set).map(([key, set]) => [key, Array.from(set)])
+      ),
+      threshold: this.threshold,
+      window: this.window,
+      cooldown: this.cooldown,
+      firing: this.firing,
+      count: this.#events.length,
+      firedAt: this.#firedAt,
+      lastAlertAt: this.#lastAlertAt,
+      deduplicated: this.#deduplicated,
+      suppressed: this.#suppressed
+    };
+  }
+
+  #prune(now) {
+    const cutoff = now - this.window;
+    let drop = 0;
+    while (drop < this.#events.length && this.#events[drop] <= cutoff) {
+      drop += 1;
+    }
+    if (drop > 0) {
+      this.#events.splice(0, drop);
+    }
+  }
+}
+
+/**
+ * Normalize a filter value to a Set (null = no filter)
+ * @private
+ */
+function toSet(value) {
+  if (value === undefined || value === null) return null;
+  return new Set(Array.isArray(value) ? value : [value]);
+}
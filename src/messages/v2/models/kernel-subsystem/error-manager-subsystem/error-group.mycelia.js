@@ -0,0 +1,200 @@
+/**
+ * error-group.mycelia.js
+ * ----------------------
+ * Error fingerprinting and grouping
+ *
+ * Errors with the same fingerprint are occurrences of the same failure. The
+ * fingerprint is computed from:
+ * - type
+ * - subsystem
+ * - normalized path (ids, numbers and query strings removed)
+ * - normalized message (ids and numbers removed), and the top stack frame
+ *
+ * so that `canvas://layers/42/render` and `canvas://layers/43/render` failing
+ * with "Layer 42 not found" / "Layer 43 not found" end up in one group.
+ */
+
+/**
+ * Default number of sample records kept per group
+ */
+export const DEFAULT_GROUP_SAMPLES = 5;
+
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+const HEX_PATTERN = /\b(?:0x[0-9a-f]+|(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{6,})\b/gi;
+const NUMBER_PATTERN = /\d+(?:\.\d+)?/g;
+
+/**
+ * Normalize a message path for grouping
+ *
+ * @param {string|null} path - Message path
+ * @returns {string} Path with variable parts replaced by placeholders
+ *
+ * @example
+ * normalizeErrorPath('canvas://layers/7f3c9a21-0b4d-4c1e-9a6f-2d8e5b7c1a90/render?force=1');
+ * // 'canvas://layers/:id/render'
+ */
+export function normalizeErrorPath(path) {
+  if (typeof path !== 'string' || path.length === 0) return '';
+
+  const [withoutQuery] = path.split(/[?#]/);
+  const separator = withoutQuery.indexOf('://');
+  const scheme = separator === -1 ? '' : withoutQuery.slice(0, separator + 3);
+  const rest = separator === -1 ? withoutQuery : withoutQuery.slice(separator + 3);
+
+  const segments = rest.split('/').map((segment) => {
+    if (segment.replace(UUID_PATTERN, '') === '' && segment !== '') return ':id';
+    if (/^\d+$/.test(segment)) return ':n';
+    if (/^(?=.*\d)[0-9a-f]{8,}$/i.test(segment)) return ':id';
+    return segment;
+  });
+  return scheme + segments.join('/');
+}
+
+/**
+ * Normalize an error message for grouping
+ *
+ * @param {string|null} message - Error message
+ * @returns {string} Message with ids and numbers replaced by placeholders
+ */
+export function normalizeErrorMessage(message) {
+  if (typeof message !== 'string') return '';
+  return message
+    .replace(UUID_PATTERN, '<id>')
+    .replace(HEX_PATTERN, '<id>')
+    .replace(NUMBER_PATTERN, '<n>')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Extract the top stack frame (without line and column numbers)
+ *
+ * @param {string|null} stack - Error stack
+ * @returns {string} Top frame, or '' if there is none
+ */
+export function topStackFrame(stack) {
+  if (typeof stack !== 'string') return '';
+  const frame = stack.split('\n').map((line) => line.trim()).find((line) => line.startsWith('at '));
+  return frame ? frame.replace(/:\d+(?::\d+)?(\)?)$/, '$1') : '';
+}
+
+/**
+ * Compute the fingerprint of an error record
+ *
+ * @param {ErrorRecord} record - Error record
+ * @returns {string} Fingerprint (16 hex characters)
+ */
+export function fingerprintError(record) {
+  const metadata = record.metadata || {};
+  const stack = metadata.stack ?? metadata.data?.stack ?? metadata.cause?.stack ?? null;
+  const key = [
+    record.type,
+    record.subsystem,
+    normalizeErrorPath(metadata.path ?? null),
+    normalizeErrorMessage(metadata.message ?? null),
+    topStackFrame(stack)
+  ].join('\u0000');
+  return hash(key);
+}
+
+/**
+ * ErrorGroup
+ * ----------
+ * All occurrences of one error fingerprint.
+ *
+ * A group outlives the records in the BoundedErrorStore: its count and
+ * first/last seen timestamps cover every occurrence, while only a few sample
+ * records are kept (the first occurrence and the most recent ones).
+ */
+export class ErrorGroup {
+  #samples = [];
+  #maxSamples;
+
+  /**
+   * @param {string} fingerprint - Group fingerprint
+   * @param {ErrorRecord} record - First occurrence
+   * @param {Object} [options={}] - Group options
+   * @param {number} [options.maxSamples=DEFAULT_GROUP_SAMPLES] - Number of sample records to keep
+   */
+  constructor(fingerprint, record, options = {}) {
+    const { maxSamples = DEFAULT_GROUP_SAMPLES } = options;
+
+    this.fingerprint = fingerprint;
+    this.type = record.type;
+    this.subsystem = record.subsystem;
+    this.path = normalizeErrorPath(record.metadata?.path ?? null) || null;
+    this.message = normalizeErrorMessage(record.metadata?.message ?? null) || null;
+    this.severity = record.severity;
+    this.bySeverity = Object.create(null);
+    this.count = 0;
+    this.firstSeen = record.timestamp;
+    this.lastSeen = record.timestamp;
+    this.#maxSamples = Math.max(1, maxSamples);
+
+    this.add(record);
+  }
+
+  /**
+   * Sample records (first occurrence, then the most recent ones)
+   * @returns {ErrorRecord[]}
+   */
+  get samples() {
+    return this.#samples.slice();
+  }
+
+  /**
+   * Count an occurrence
+   *
+   * @param {ErrorRecord} record - Error record with this group's fingerprint
+   */
+  add(record) {
+    this.count += 1;
+    this.severity = record.severity;
+    this.bySeverity[record.severity] = (this.bySeverity[record.severity] || 0) + 1;
+    if (record.timestamp < this.firstSeen) this.firstSeen = record.timestamp;
+    if (record.timestamp > this.lastSeen) this.lastSeen = record.timestamp;
+
+    this.#samples.push(record);
+    if (this.#samples.length > this.#maxSamples) {
+      // Keep the first occurrence as a sample
+      this.#samples.splice(this.#maxSamples > 1 ? 1 : 0, 1);
+    }
+  }
+
+  /**
+   * Convert the group to a plain object
+   * @returns {Object} Plain object representation of the group
+   */
+  toRecord() {
+    return {
+      fingerprint: this.fingerprint,
+      type: this.type,
+      subsystem: this.subsystem,
+      path: this.path,
+      message: this.message,
+      severity: this.severity,
+      bySeverity: { ...this.bySeverity },
+      count: this.count,
+      firstSeen: this.firstSeen.toISOString(),
+      lastSeen: this.lastSeen.toISOString(),
+      samples: this.#samples.map((record) => record.toRecord())
+    };
+  }
+}
+
+/**
+ * String hash (both 32-bit halves of cyrb53), as 16 hex characters
+ * @private
+ */
+function hash(value) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < value.length; i++) {
+    const ch = value.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+}
@@ -4,7 +4,14 @@ import { useErrorClassifier } from '../../../hooks/error-classifier/use-error-cl
 import { useRouter } from '../../../hooks/router/use-router.mycelia.js';
 import { useListeners } from '../../../hooks/listeners/use-listeners.mycelia.js';
 import { ErrorRecord, ERROR_TYPES } from './error-record.mycelia.js';
+import { ErrorAlertRule } from './error-alert-rule.mycelia.js';
 import { Result } from '../../result/result.mycelia.js';
+import { Message } from '../../message/message.mycelia.js';
+
+/**
+ * Path of alert notifications emitted when an alert rule fires or resolves
+ */
+export const ERROR_ALERT_PATH = 'kernel://error/alert';
 
 /**
  * ErrorManagerSubsystem
@@ -13,15 +20,29 @@ import { Result } from '../../result/result.mycelia.js';
  * - Recording normalized error events
  * - Providing query APIs over recent errors
  * - Emitting notifications via listeners (if configured)
+ * - Evaluating alert rules and emitting kernel://error/alert notifications
  *
  * Installed hooks:
  * - useBoundedErrorStore (kind: boundedErrorStore)
  * - useErrorClassifier (kind: errorClassifier)
  */
 export class ErrorManagerSubsystem extends BaseSubsystem {
+  #alertRules = new Map(); // ruleId -> ErrorAlertRule
+  #alertTimers = new Map(); // ruleId -> timer re-evaluating the rule
+
+  /**
+   * @param {string} [name='error-manager'] - Subsystem name
+   * @param {Object} [options={}] - Subsystem options
+   * @param {Object} [options.config={}] - Configuration object
+   * @param {Array<Object>} [options.config.alertRules=[]] - Alert rule definitions (see ErrorAlertRule)
+   */
   constructor(name = 'error-manager', options = {}) {
     super(name, options);
 
+    for (const definition of options.config?.alertRules || []) {
+      this.addAlertRule(definition);
+    }
+
     // Core error management facets
     this.use(useRouter);
     this.use(useListeners);
@@ -64,6 +85,12 @@ export class ErrorManagerSubsystem extends BaseSubsystem {
         { meta: { description: 'Get error summary counts' } }
       );
 
+      router.registerRoute(
+        'kernel://error/export/groups',
+        async (message) => this.#handleExportGroupsRoute(message),
+        { meta: { description: 'Export error groups as NDJSON' } }
+      );
+
       // Enable listeners for broadcasted error events
       if (listeners && typeof listeners.enableListeners === 'function') {
         listeners.enableListeners();
@@ -102,6 +129,8 @@ export class ErrorManagerSubsystem extends BaseSubsystem {
       if (listeners?.listeners?.emit) {
         listeners.listeners.emit('kernel://error/event/recorded', record);
       }
+
+      this.#observeAlertRules(record);
       
       return Result.ok(record.toRecord());
     } catch (error) {
@@ -112,14 +141,23 @@ export class ErrorManagerSubsystem extends BaseSubsystem {
   /**
    * Query recent errors
    * @param {Object} [opts={}] - Query options
-   * @param {number} [opts.limit=50] - Maximum number of records to return
+   * @param {number} [opts.limit=50] - Maximum number of records (or groups) to return
    * @param {string} [opts.type] - Filter by error type
    * @param {string} [opts.subsystem] - Filter by subsystem
+   * @param {boolean} [opts.group=false] - Return error groups (most recently seen first) instead of records
    * @returns {Object} Result object with success and data
    */
   queryRecent(opts = {}) {
     try {
-      const { limit = 50, type, subsystem } = opts;
+      const { limit = 50, type, subsystem, group = false } = opts;
+      if (group) {
+        const groups = this.boundedErrorStore.groups({ limit, type, subsystem });
+        return Result.ok({
+          count: groups.length,
+          groups: groups.map((g) => g.toRecord())
+        });
+      }
+
       const all = this.boundedErrorStore.recent(limit);
       const filtered = all.filter((r) => {
         if (type && r.type !== type) return false;
@@ -157,12 +195,19 @@ export class ErrorManagerSubsystem extends BaseSubsystem {
    * Get error summary
    * @param {Object} [opts={}] - Summary options
    * @param {number} [opts.limit=500] - Maximum number of records to analyze
+   * @param {string} [opts.subsystem] - Only count errors from this subsystem
+   * @param {boolean} [opts.group=false] - Summarize error groups (all occurrences, including evicted records)
+   *   and include the `limit` most frequent groups
    * @returns {Object} Result object with success and data
    */
   summary(opts = {}) {
     try {
-      const { limit = 500 } = opts;
-      const recent = this.boundedErrorStore.recent(limit);
+      const { limit = 500, subsystem, group = false } = opts;
+      if (group) {
+        return Result.ok(this.#summarizeGroups({ limit, subsystem }));
+      }
+
+      const recent = this.boundedErrorStore.recent(limit).filter((r) => !subsystem || r.subsystem === subsystem);
       const byType = new Map();
       const bySubsystem = new Map();
 
@@ -184,13 +229,39 @@ export class ErrorManagerSubsystem extends BaseSubsystem {
   }
 
   /**
-   * Clear all error records
-   * @returns {Object} Result object with success
+   * Export error groups as NDJSON for offline triage
+   * @param {Object} [opts={}] - Export options
+   * @param {string} [opts.type] - Filter by error type
+   * @param {string} [opts.subsystem] - Filter by subsystem
+   * @param {Date|string|number} [opts.since] - Only groups last seen at or after this timestamp
+   * @param {number} [opts.limit] - Maximum number of groups to export
+   * @returns {Object} Result object with success and data ({ count, ndjson })
    */
-  clear() {
+  exportGroups(opts = {}) {
     try {
-      this.boundedErrorStore.clear();
-      return Result.ok({ cleared: true });
+      const { type, subsystem, since, limit } = opts;
+      const ndjson = this.boundedErrorStore.exportGroups({ type, subsystem, since, limit });
+      return Result.ok({
+        count: ndjson ? ndjson.split('\n').length - 1 : 0,
+        ndjson
+      });
+    } catch (error) {
+      return Result.fail('export_error', error.message || 'Failed to export error groups', { error: error.toString() });
+    }
+  }
+
+  /**
+   * Clear error records
+   * @param {Object} [opts={}] - Filters; without filters all records are cleared
+   * @param {string} [opts.type] - Only clear errors of this type
+   * @param {string} [opts.subsystem] - Only clear errors from this subsystem
+   * @returns {Object} Result object with success and the number of records removed
+   */
+  clear(opts = {}) {
+    try {
+      const { type, subsystem } = opts;
+      const removed = this.boundedErrorStore.clear({ type, subsystem });
+      return Result.ok({ cleared: true, removed: removed ?? 0 });
     } catch (error) {
       return Result.fail('clear_error', error.message || 'Failed to clear error store', { error: error.toString() });
     }
@@ -204,6 +275,144 @@ export class ErrorManagerSubsystem extends BaseSubsystem {
     return this.boundedErrorStore.size;
   }
 
+  // ---------------------------------------------------------------------------
+  // Alert rules
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Add an alert rule
+   *
+   * When the rule fires or resolves, a `kernel://error/alert` message is
+   * emitted to listeners with status 'firing' or 'resolved'.
+   *
+   * @param {Object|ErrorAlertRule} definition - Rule definition (see ErrorAlertRule) or rule instance
+   * @returns {ErrorAlertRule} The added rule
+   * @throws {Error} If a rule with the same id already exists
+   */
+  addAlertRule(definition) {
+    const rule = definition instanceof ErrorAlertRule ? definition : new ErrorAlertRule(definition);
+    if (this.#alertRules.has(rule.id)) {
+      throw new Error(`ErrorManagerSubsystem.addAlertRule: rule "${rule.id}" already exists.`);
+    }
+    this.#alertRules.set(rule.id, rule);
+    return rule;
+  }
+
+  /**
+   * Remove an alert rule (no resolved notification is emitted)
+   *
+   * @param {string} id - Rule id
+   * @returns {boolean} True if the rule was removed
+   */
+  removeAlertRule(id) {
+    this.#cancelAlertTimer(id);
+    return this.#alertRules.delete(id);
+  }
+
+  /**
+   * List alert rules and their current state
+   *
+   * @returns {Array<Object>} Rule snapshots
+   */
+  listAlertRules() {
+    return Array.from(this.#alertRules.values()).map((rule) => rule.snapshot());
+  }
+
+  /**
+   * Dispose the subsystem and stop alert rule timers
+   *
+   * @returns {Promise<void>}
+   */
+  async dispose() {
+    for (const id of Array.from(this.#alertTimers.keys())) {
+      this.#cancelAlertTimer(id);
+    }
+
+    if (typeof super.dispose === 'function') {
+      await super.dispose();
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Groups (private)
+  // ---------------------------------------------------------------------------
+
+  #summarizeGroups({ limit, subsystem }) {
+    const groups = this.boundedErrorStore.groups({ subsystem, sort: 'count' });
+    const byType = new Map();
+    const bySubsystem = new Map();
+    let total = 0;
+
+    for (const g of groups) {
+      total += g.count;
+      byType.set(g.type, (byType.get(g.type) || 0) + g.count);
+      bySubsystem.set(g.subsystem, (bySubsystem.get(g.subsystem) || 0) + g.count);
+    }
+
+    return {
+      limit,
+      count: total,
+      groupCount: groups.length,
+      byType: Object.fromEntries(byType),
+      bySubsystem: Object.fromEntries(bySubsystem),
+      groups: groups.slice(0, limit).map((g) => g.toRecord())
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Alert rules (private)
+  // ---------------------------------------------------------------------------
+
+  #observeAlertRules(record) {
+    const now = Date.now();
+    for (const rule of this.#alertRules.values()) {
+      if (rule.observe(record, now) === 'fired') {
+        this.#emitAlert(rule, 'firing', now);
+      }
+      this.#scheduleAlertEvaluation(rule);
+    }
+  }
+
+  #evaluateAlertRule(rule) {
+    this.#alertTimers.delete(rule.id);
+    if (this.#alertRules.get(rule.id) !== rule) return;
+
+    const now = Date.now();
+    const change = rule.evaluate(now);
+    if (change === 'fired') {
+      this.#emitAlert(rule, 'firing', now);
+    } else if (change === 'resolved') {
+      this.#emitAlert(rule, 'resolved', now);
+    }
+    this.#scheduleAlertEvaluation(rule);
+  }
+
+  #scheduleAlertEvaluation(rule) {
+    this.#cancelAlertTimer(rule.id);
+    const at = rule.nextEvaluationAt();
+    if (at === null) return;
+
+    const timer = setTimeout(() => this.#evaluateAlertRule(rule), Math.max(0, at - Date.now()));
+    if (typeof timer?.unref === 'function') timer.unref();
+    this.#alertTimers.set(rule.id, timer);
+  }
+
+  #cancelAlertTimer(id) {
+    const timer = this.#alertTimers.get(id);
+    if (timer) {
+      clearTimeout(timer);
+      this.#alertTimers.delete(id);
+    }
+  }
+
+  #emitAlert(rule, status, now) {
+    const listeners = this.find('listeners');
+    if (!listeners?.listeners?.emit) return;
+
+    const alert = new Message(ERROR_ALERT_PATH, rule.toAlert(status, now));
+    listeners.listeners.emit(ERROR_ALERT_PATH, alert);
+  }
+
   // ---------------------------------------------------------------------------
   // Route handlers
   // ---------------------------------------------------------------------------
@@ -230,8 +439,8 @@ export class ErrorManagerSubsystem extends BaseSubsystem {
 
   async #handleQueryRecentRoute(message) {
     try {
-      const { limit, type, subsystem } = message.payload || {};
-      const result = this.queryRecent({ limit, type, subsystem });
+      const { limit, type, subsystem, group } = message.payload || {};
+      const result = this.queryRecent({ limit, type, subsystem, group });
       return result;
     } catch (error) {
       return Result.fail('route_error', error.message || 'Failed to handle query recent route', { error: error.toString() });
@@ -251,11 +460,21 @@ export class ErrorManagerSubsystem extends BaseSubsystem {
 
   async #handleQuerySummaryRoute(message) {
     try {
-      const { limit } = message.payload || {};
-      const result = this.summary({ limit });
+      const { limit, group } = message.payload || {};
+      const result = this.summary({ limit, group });
       return result;
     } catch (error) {
       return Result.fail('route_error', error.message || 'Failed to handle query summary route', { error: error.toString() });
     }
   }
+
+  async #handleExportGroupsRoute(message) {
+    try {
+      const { type, subsystem, since, limit } = message.payload || {};
+      const result = this.exportGroups({ type, subsystem, since, limit });
+      return result;
+    } catch (error) {
+      return Result.fail('route_error', error.message || 'Failed to handle export groups route', { error: error.toString() });
+    }
+  }
 }
@@ -15,6 +15,7 @@ export const ERROR_TYPES = Object.freeze({
   VALIDATION: 'validation', // Schema or payload validation error
   INTERNAL: 'internal', // Internal system or kernel error
   EXTERNAL: 'external', // External service or transport failure
+  RATE_LIMITED: 'rate_limited', // Sender exceeded its rate limit or daily quota
   SIMPLE: 'simple' // Generic catch-all error
 });
 
@@ -0,0 +1,120 @@
+import { toPrincipalRef } from '../channel-manager-subsystem/channel-store.mycelia.js';
+import { isKernelCaller } from './kernel-handlers.utils.mycelia.js';
+
+/**
+ * Channel Handlers
+ *
+ * Handlers for kernel:// routes related to channels.
+ * All handlers receive (kernel, message, params, options) and return a result.
+ *
+ * The `:route` route param is the URI-encoded channel route
+ * (e.g. `canvas%3A%2F%2Fchannel%2Flayout`). Callers see the channels they own
+ * or participate in; only the channel owner manages participants. The kernel
+ * can see and manage every channel.
+ */
+
+/**
+ * Validate the caller and resolve the channel manager
+ * @private
+ */
+function prepare(kernel, options, operation) {
+  const callerPkr = options.callerId;
+  if (!callerPkr || !callerPkr.uuid) {
+    throw new Error(`KernelSubsystem.${operation}: callerId (PKR) required`);
+  }
+
+  const channelManager = kernel.getChannelManager();
+  if (!channelManager) {
+    throw new Error(`KernelSubsystem.${operation}: ChannelManagerSubsystem not available`);
+  }
+
+  return { callerPkr, channelManager };
+}
+
+/**
+ * Decode the `:route` route param
+ * @private
+ */
+function decodeRoute(params, operation) {
+  const raw = params.route;
+  if (!raw) {
+    throw new Error(`KernelSubsystem.${operation}: channel route required`);
+  }
+  try {
+    return decodeURIComponent(raw);
+  } catch {
+    throw new Error(`KernelSubsystem.${operation}: channel route is not valid URI encoding`);
+  }
+}
+
+/**
+ * Serializable view of a channel (PKRs as principal references)
+ * @private
+ */
+function describeChannel(channel, callerPkr) {
+  return {
+    route: channel.route,
+    owner: toPrincipalRef(channel.ownerPkr),
+    participants: Array.from(channel.participants).map(toPrincipalRef),
+    metadata: { ...channel.metadata },
+    isOwner: channel.ownerPkr?.uuid === callerPkr.uuid
+  };
+}
+
+export async function handleQueryChannels(kernel, message, params, options) {
+  const { callerPkr, channelManager } = prepare(kernel, options, 'queryChannels');
+  const kernelCaller = isKernelCaller(kernel, callerPkr);
+
+  const channels = channelManager
+    .listChannels()
+    .filter(channel => kernelCaller
+      || channel.ownerPkr?.uuid === callerPkr.uuid
+      || Array.from(channel.participants).some(pkr => pkr?.uuid === callerPkr.uuid))
+    .map(channel => describeChannel(channel, callerPkr));
+
+  return { success: true, channels, count: channels.length };
+}
+
+/**
+ * Add or remove a channel participant
+ * @private
+ */
+async function changeParticipant(kernel, message, params, options, operation, add) {
+  const { callerPkr, channelManager } = prepare(kernel, options, operation);
+  const route = decodeRoute(params, operation);
+
+  const { participantPkr } = message.getBody() || {};
+  if (!participantPkr || !participantPkr.uuid) {
+    throw new Error(`KernelSubsystem.${operation}: participantPkr required`);
+  }
+
+  const channel = channelManager.getChannel(route);
+  if (!channel) {
+    return { success: false, error: 'Channel not found' };
+  }
+  if (!isKernelCaller(kernel, callerPkr) && channel.ownerPkr?.uuid !== callerPkr.uuid) {
+    return { success: false, error: 'Access denied: not channel owner' };
+  }
+
+  // Channels compare PKRs by identity: use the registry's PKR, or the one already in the channel
+  const principals = kernel.getAccessControl()?.find('principals');
+  const participant = principals?.registry?.get(participantPkr.uuid)?.pkr
+    || Array.from(channel.participants).find(pkr => pkr?.uuid === participantPkr.uuid);
+  if (!participant) {
+    return { success: false, error: 'Participant not found' };
+  }
+
+  const changed = add
+    ? channelManager.addParticipant(route, participant)
+    : channelManager.removeParticipant(route, participant);
+
+  return { success: true, route, changed, participants: channel.participants.size };
+}
+
+export async function handleAddChannelParticipant(kernel, message, params, options) {
+  return changeParticipant(kernel, message, params, options, 'addChannelParticipant', true);
+}
+
+export async function handleRemoveChannelParticipant(kernel, message, params, options) {
+  return changeParticipant(kernel, message, params, options, 'removeChannelParticipant', false);
+}
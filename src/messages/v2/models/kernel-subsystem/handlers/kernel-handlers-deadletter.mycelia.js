@@ -0,0 +1,152 @@
+import { ERROR_TYPES } from '../error-manager-subsystem/error-record.mycelia.js';
+import { isKernelCaller, findSubsystemName } from './kernel-handlers.utils.mycelia.js';
+
+/**
+ * Dead-Letter Queue Handlers
+ *
+ * Handlers for kernel:// routes related to the dead-letter queue.
+ * All handlers receive (kernel, message, params, options) and return a result.
+ *
+ * Entries are owner-scoped: a caller only sees and replays the entries it
+ * recorded itself. The kernel can see and replay every entry.
+ * Subsystems can only record entries for themselves; the kernel can record
+ * entries for any subsystem.
+ */
+
+export async function handleRecordDeadLetter(kernel, message, params, options) {
+  const callerPkr = options.callerId;
+  if (!callerPkr || !callerPkr.uuid) {
+    throw new Error('KernelSubsystem.recordDeadLetter: callerId (PKR) required');
+  }
+
+  const body = message.getBody() || {};
+  const { message: failedMessage, options: failedOptions = {}, error = null, subsystem, attempts = 1 } = body;
+
+  if (!failedMessage || typeof failedMessage.getPath !== 'function') {
+    throw new Error('KernelSubsystem.recordDeadLetter: message is required');
+  }
+  if (!subsystem || typeof subsystem !== 'string') {
+    throw new Error('KernelSubsystem.recordDeadLetter: subsystem name required');
+  }
+
+  if (!isKernelCaller(kernel, callerPkr)) {
+    const ownSubsystem = findSubsystemName(kernel, callerPkr);
+    if (!ownSubsystem) {
+      return { success: false, error: 'Access denied: caller is not a registered subsystem' };
+    }
+    if (subsystem !== ownSubsystem) {
+      return { success: false, error: 'Access denied: dead letters of other subsystems' };
+    }
+  }
+
+  const deadLetter = kernel.getDeadLetterQueue();
+  if (!deadLetter) {
+    throw new Error('KernelSubsystem.recordDeadLetter: DeadLetterSubsystem not available');
+  }
+
+  // Never keep identity fields - replays get a fresh callerId from sendProtected
+  // eslint-disable-next-line no-unused-vars
+  const { callerId, callerIdSetBy, ...replayOptions } = failedOptions;
+
+  const entry = deadLetter.record({
+    message: failedMessage,
+    options: replayOptions,
+    error,
+    subsystem,
+    attempts,
+    ownerPkr: callerPkr
+  });
+
+  // Surface exhausted retries in the error manager as well
+  const errorManager = kernel.getErrorManager();
+  if (errorManager && typeof errorManager.record === 'function') {
+    errorManager.record(
+      { type: ERROR_TYPES.MAX_RETRIES, message: error?.message || 'Message exceeded max retries' },
+      {
+        messageSubsystem: subsystem,
+        path: failedMessage.getPath(),
+        meta: { deadLetterId: entry.id, messageId: failedMessage.getId(), attempts }
+      }
+    );
+  }
+
+  return { success: true, id: entry.id };
+}
+
+export async function handleQueryDeadLetters(kernel, message, params, options) {
+  const callerPkr = options.callerId;
+  if (!callerPkr || !callerPkr.uuid) {
+    throw new Error('KernelSubsystem.queryDeadLetters: callerId (PKR) required');
+  }
+
+  const deadLetter = kernel.getDeadLetterQueue();
+  if (!deadLetter) {
+    throw new Error('KernelSubsystem.queryDeadLetters: DeadLetterSubsystem not available');
+  }
+
+  const body = message.getBody() || {};
+  const entries = deadLetter.list({
+    subsystem: body.subsystem,
+    limit: body.limit,
+    ownerPkrUuid: isKernelCaller(kernel, callerPkr) ? undefined : callerPkr.uuid
+  });
+
+  return {
+    success: true,
+    deadLetters: entries.map(entry => entry.toRecord()),
+    count: entries.length
+  };
+}
+
+export async function handleReplayDeadLetter(kernel, message, params, options) {
+  const callerPkr = options.callerId;
+  if (!callerPkr || !callerPkr.uuid) {
+    throw new Error('KernelSubsystem.replayDeadLetter: callerId (PKR) required');
+  }
+
+  const id = params.id;
+  if (!id) {
+    throw new Error('KernelSubsystem.replayDeadLetter: dead-letter id required');
+  }
+
+  const deadLetter = kernel.getDeadLetterQueue();
+  if (!deadLetter) {
+    throw new Error('KernelSubsystem.replayDeadLetter: DeadLetterSubsystem not available');
+  }
+
+  const entry = deadLetter.get(id);
+  if (!entry) {
+    return { success: false, error: 'Dead letter not found' };
+  }
+
+  if (!isKernelCaller(kernel, callerPkr) && entry.ownerPkrUuid !== callerPkr.uuid) {
+    return { success: false, error: 'Access denied: not dead letter owner' };
+  }
+
+  // Remove before sending so a concurrent replay cannot send the entry twice
+  deadLetter.remove(id);
+
+  // Give the message a fresh retry budget
+  const replayMessage = entry.message;
+  replayMessage.meta.resetRetries();
+
+  let result;
+  try {
+    result = await kernel.sendProtected(
+      entry.ownerPkr || kernel.identity.pkr,
+      replayMessage,
+      entry.options
+    );
+  } catch (error) {
+    deadLetter.record(entry);
+    throw error;
+  }
+
+  // Keep the entry if the replay was rejected (e.g. access denied or rate limited)
+  if (result?.success === false) {
+    deadLetter.record(entry);
+    return { success: false, id, messageId: replayMessage.getId(), error: result.error || 'Replay failed', result };
+  }
+
+  return { success: true, id, messageId: replayMessage.getId(), result };
+}
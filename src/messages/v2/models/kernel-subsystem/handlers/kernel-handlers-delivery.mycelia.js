@@ -0,0 +1,85 @@
+import { isKernelCaller } from './kernel-handlers.utils.mycelia.js';
+
+/**
+ * Delayed Delivery Handlers
+ *
+ * Handlers for kernel:// routes related to delayed/scheduled message delivery.
+ * All handlers receive (kernel, message, params, options) and return a result.
+ *
+ * Pending deliveries live in each subsystem's scheduler. Entries are
+ * owner-scoped: a caller only sees and cancels the deliveries it sent.
+ * The kernel can see and cancel every entry.
+ */
+
+/**
+ * Get scheduler facets that support delayed delivery, keyed by subsystem name
+ * @private
+ */
+function getDeliverySchedulers(kernel) {
+  const registry = kernel.messageSystem?.find('messageSystemRegistry');
+  if (!registry) {
+    return [];
+  }
+
+  const schedulers = [];
+  for (const subsystem of registry.values()) {
+    const schedulerFacet = subsystem.find?.('scheduler');
+    if (schedulerFacet && typeof schedulerFacet.getPendingDeliveries === 'function') {
+      schedulers.push({ name: subsystem.name, scheduler: schedulerFacet });
+    }
+  }
+  return schedulers;
+}
+
+export async function handleQueryDeliveries(kernel, message, params, options) {
+  const callerPkr = options.callerId;
+  if (!callerPkr || !callerPkr.uuid) {
+    throw new Error('KernelSubsystem.queryDeliveries: callerId (PKR) required');
+  }
+
+  const body = message.getBody() || {};
+  const filter = isKernelCaller(kernel, callerPkr) ? {} : { ownerPkrUuid: callerPkr.uuid };
+
+  let deliveries = [];
+  for (const { name, scheduler } of getDeliverySchedulers(kernel)) {
+    if (body.subsystem && body.subsystem !== name) {
+      continue;
+    }
+    deliveries.push(...scheduler.getPendingDeliveries(filter));
+  }
+
+  deliveries.sort((a, b) => a.deliverAt - b.deliverAt);
+  if (typeof body.limit === 'number' && body.limit >= 0) {
+    deliveries = deliveries.slice(0, body.limit);
+  }
+
+  return { success: true, deliveries, count: deliveries.length };
+}
+
+export async function handleCancelDelivery(kernel, message, params, options) {
+  const callerPkr = options.callerId;
+  if (!callerPkr || !callerPkr.uuid) {
+    throw new Error('KernelSubsystem.cancelDelivery: callerId (PKR) required');
+  }
+
+  const id = params.id;
+  if (!id) {
+    throw new Error('KernelSubsystem.cancelDelivery: delivery id required');
+  }
+
+  for (const { name, scheduler } of getDeliverySchedulers(kernel)) {
+    const pending = scheduler.getPendingDeliveries().find(entry => entry.id === id);
+    if (!pending) {
+      continue;
+    }
+
+    if (!isKernelCaller(kernel, callerPkr) && pending.ownerPkrUuid !== callerPkr.uuid) {
+      return { success: false, error: 'Access denied: not delivery owner' };
+    }
+
+    scheduler.cancelDelivery(id);
+    return { success: true, id, subsystem: name };
+  }
+
+  return { success: false, error: 'Pending delivery not found' };
+}
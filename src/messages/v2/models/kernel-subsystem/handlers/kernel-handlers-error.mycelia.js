@@ -0,0 +1,136 @@
+import { ERROR_TYPES } from '../error-manager-subsystem/error-record.mycelia.js';
+import { isKernelCaller, findSubsystemName } from './kernel-handlers.utils.mycelia.js';
+import { EXPIRED_SAMPLE_SIZE } from '../../../hooks/queue/use-queue.mycelia.js';
+
+/**
+ * Error Handlers
+ *
+ * Handlers for kernel:// routes that feed and query the kernel error manager.
+ * All handlers receive (kernel, message, params, options) and return a result.
+ *
+ * Queries and clearing are scoped to the caller's subsystem: a subsystem only
+ * sees (and clears) the errors recorded for it. The kernel can see and clear
+ * every error. Expired messages are reported the same way: a subsystem can
+ * only report its own. useQueue reports them in batches (one report per
+ * purge, with a count and a sample of the messages), each recorded as one
+ * error.
+ */
+
+/**
+ * Validate the caller, resolve the error manager and the subsystem the
+ * caller may see errors for (undefined = all, for the kernel)
+ * @private
+ */
+function prepareQuery(kernel, message, options, operation) {
+  const callerPkr = options.callerId;
+  if (!callerPkr || !callerPkr.uuid) {
+    throw new Error(`KernelSubsystem.${operation}: callerId (PKR) required`);
+  }
+
+  const errorManager = kernel.getErrorManager();
+  if (!errorManager) {
+    throw new Error(`KernelSubsystem.${operation}: ErrorManagerSubsystem not available`);
+  }
+
+  const body = message.getBody() || {};
+  if (isKernelCaller(kernel, callerPkr)) {
+    return { errorManager, body, subsystem: body.subsystem, denied: null };
+  }
+
+  const ownSubsystem = findSubsystemName(kernel, callerPkr);
+  if (!ownSubsystem) {
+    return { denied: { success: false, error: 'Access denied: caller is not a registered subsystem' } };
+  }
+  if (body.subsystem !== undefined && body.subsystem !== ownSubsystem) {
+    return { denied: { success: false, error: 'Access denied: errors of other subsystems' } };
+  }
+  return { errorManager, body, subsystem: ownSubsystem, denied: null };
+}
+
+/**
+ * Flatten an ErrorManagerSubsystem Result
+ * @private
+ */
+function unwrap(result) {
+  if (!result?.success) {
+    return { success: false, error: result?.message || 'Error manager request failed' };
+  }
+  return { success: true, ...result.data };
+}
+
+export async function handleRecordExpiredMessage(kernel, message, params, options) {
+  const callerPkr = options.callerId;
+  if (!callerPkr || !callerPkr.uuid) {
+    throw new Error('KernelSubsystem.recordExpiredMessage: callerId (PKR) required');
+  }
+
+  const body = message.getBody() || {};
+  const { subsystem, count, sample = [] } = body;
+
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('KernelSubsystem.recordExpiredMessage: count must be a positive integer');
+  }
+  if (!Array.isArray(sample) || sample.some(entry => !entry?.messageId || !entry?.path)) {
+    throw new Error('KernelSubsystem.recordExpiredMessage: sample must be an array of { messageId, path }');
+  }
+  if (!subsystem || typeof subsystem !== 'string') {
+    throw new Error('KernelSubsystem.recordExpiredMessage: subsystem name required');
+  }
+
+  if (!isKernelCaller(kernel, callerPkr)) {
+    const ownSubsystem = findSubsystemName(kernel, callerPkr);
+    if (!ownSubsystem) {
+      return { success: false, error: 'Access denied: caller is not a registered subsystem' };
+    }
+    if (subsystem !== ownSubsystem) {
+      return { success: false, error: 'Access denied: errors of other subsystems' };
+    }
+  }
+
+  const errorManager = kernel.getErrorManager();
+  if (!errorManager || typeof errorManager.record !== 'function') {
+    throw new Error('KernelSubsystem.recordExpiredMessage: ErrorManagerSubsystem not available');
+  }
+
+  const messages = sample.slice(0, EXPIRED_SAMPLE_SIZE).map(({ messageId, path, expiresAt = null, stage = 'queue' }) =>
+    ({ messageId, path, expiresAt, stage }));
+  const result = errorManager.record(
+    { type: ERROR_TYPES.TIMEOUT, message: 'Message expired before processing' },
+    {
+      messageSubsystem: subsystem,
+      path: messages[0]?.path ?? null,
+      meta: { count, sample: messages, reportedBy: callerPkr.uuid }
+    }
+  );
+
+  return { success: result?.success !== false, id: result?.data?.id ?? null };
+}
+
+export async function handleQueryErrors(kernel, message, params, options) {
+  const { errorManager, body, subsystem, denied } = prepareQuery(kernel, message, options, 'queryErrors');
+  if (denied) {
+    return denied;
+  }
+
+  const { limit = 50, type, group = false } = body;
+  return unwrap(errorManager.queryRecent({ limit, type, subsystem, group }));
+}
+
+export async function handleQueryErrorSummary(kernel, message, params, options) {
+  const { errorManager, body, subsystem, denied } = prepareQuery(kernel, message, options, 'queryErrorSummary');
+  if (denied) {
+    return denied;
+  }
+
+  const { limit = 500, group = false } = body;
+  return unwrap(errorManager.summary({ limit, subsystem, group }));
+}
+
+export async function handleClearErrors(kernel, message, params, options) {
+  const { errorManager, body, subsystem, denied } = prepareQuery(kernel, message, options, 'clearErrors');
+  if (denied) {
+    return denied;
+  }
+
+  return unwrap(errorManager.clear({ type: body.type, subsystem }));
+}
@@ -0,0 +1,31 @@
+import { isKernelCaller } from './kernel-handlers.utils.mycelia.js';
+
+/**
+ * Response Handlers
+ *
+ * Handlers for kernel:// routes related to pending responses.
+ * All handlers receive (kernel, message, params, options) and return a result.
+ *
+ * Callers see the pending responses of their own requests; the kernel sees
+ * every pending response.
+ */
+
+export async function handleQueryPendingResponses(kernel, message, params, options) {
+  const callerPkr = options.callerId;
+  if (!callerPkr || !callerPkr.uuid) {
+    throw new Error('KernelSubsystem.queryPendingResponses: callerId (PKR) required');
+  }
+
+  const responseManager = kernel.getResponseManager();
+  if (!responseManager) {
+    throw new Error('KernelSubsystem.queryPendingResponses: ResponseManagerSubsystem not available');
+  }
+
+  const kernelCaller = isKernelCaller(kernel, callerPkr);
+  const pending = responseManager
+    .listAllPending()
+    .filter(entry => kernelCaller || entry.ownerPkr?.uuid === callerPkr.uuid)
+    .map(({ ownerPkr, ...entry }) => ({ ...entry, ownerPkrUuid: ownerPkr?.uuid ?? null }));
+
+  return { success: true, pending, count: pending.length };
+}
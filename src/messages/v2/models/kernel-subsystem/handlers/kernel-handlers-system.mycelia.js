@@ -1,3 +1,5 @@
+import { isKernelCaller } from './kernel-handlers.utils.mycelia.js';
+
 /**
  * System Information Handlers
  * 
@@ -77,6 +79,7 @@ export async function handleQueryStatus(kernel, message, params, options) {
   const messageSystem = kernel.messageSystem;
   const registry = messageSystem?.find('messageSystemRegistry');
   const subsystemCount = registry ? registry.size || 0 : 0;
+  const msRouter = messageSystem?.find('messageSystemRouter');
 
   return {
     success: true,
@@ -88,6 +91,7 @@ export async function handleQueryStatus(kernel, message, params, options) {
       subsystems: {
         count: subsystemCount
       },
+      circuitBreakers: msRouter?.getCircuitBreakers ? msRouter.getCircuitBreakers() : [],
       timestamp: Date.now()
     }
   };
@@ -139,7 +143,8 @@ export async function handleQueryRoutes(kernel, message, params, options) {
       pattern: route.pattern,
       description: route.metadata?.description || '',
       purpose: route.metadata?.purpose || '',
-      operation: route.metadata?.operation || ''
+      operation: route.metadata?.operation || '',
+      ...(route.metadata?.schema ? { schema: route.metadata.schema } : {})
     }));
 
   return {
@@ -149,3 +154,29 @@ export async function handleQueryRoutes(kernel, message, params, options) {
   };
 }
 
+/**
+ * Rate limit usage: callers see their own usage; the kernel sees the usage of
+ * any principal (`{ principal }`) or of all principals.
+ */
+export async function handleQueryUsage(kernel, message, params, options) {
+  const callerPkr = options.callerId;
+  if (!callerPkr || !callerPkr.uuid) {
+    throw new Error('KernelSubsystem.queryUsage: callerId (PKR) required');
+  }
+
+  const { principal = null } = message.getBody?.() || {};
+  const kernelCaller = isKernelCaller(kernel, callerPkr);
+  if (principal !== null && principal !== callerPkr.uuid && !kernelCaller) {
+    return { success: false, error: 'Access denied: only the kernel can query the usage of other principals' };
+  }
+
+  const limiter = kernel.getRateLimiter?.();
+  let usage = [];
+  if (limiter) {
+    usage = kernelCaller && principal === null
+      ? limiter.listUsage()
+      : [limiter.getUsage(principal ?? callerPkr.uuid)].filter(Boolean);
+  }
+
+  return { success: true, usage, count: usage.length };
+}
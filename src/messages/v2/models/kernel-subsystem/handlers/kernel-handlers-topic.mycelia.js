@@ -0,0 +1,277 @@
+import { ReaderWriterSet } from '../../security/reader-writer-set.mycelia.js';
+import { isValidTopicName } from '../topic-manager-subsystem/topic.mycelia.js';
+import { isKernelCaller, findSubsystemName } from './kernel-handlers.utils.mycelia.js';
+
+/**
+ * Topic Handlers
+ *
+ * Handlers for kernel:// routes related to pub/sub topics.
+ * All handlers receive (kernel, message, params, options) and return a result.
+ *
+ * The `:name` route param is the URI-encoded topic name (or subscription
+ * pattern), see getTopicPath(). Topic access is controlled by the topic's
+ * ReaderWriterSet: the creator owns the topic, writers publish, readers
+ * subscribe. Subscribers can only have messages delivered to their own
+ * subsystem (the kernel may deliver anywhere).
+ *
+ * Durable topics keep a log; durable subscriptions (consumer groups) receive
+ * log entries from the kernel's identity and acknowledge them through
+ * kernel://ack/topic/:name and kernel://nack/topic/:name.
+ */
+
+/**
+ * Validate the caller and resolve the topic manager
+ * @private
+ */
+function prepare(kernel, options, operation) {
+  const callerPkr = options.callerId;
+  if (!callerPkr || !callerPkr.uuid) {
+    throw new Error(`KernelSubsystem.${operation}: callerId (PKR) required`);
+  }
+
+  const manager = kernel.getTopicManager();
+  if (!manager) {
+    throw new Error(`KernelSubsystem.${operation}: TopicManagerSubsystem not available`);
+  }
+
+  return { callerPkr, manager };
+}
+
+/**
+ * Decode the `:name` route param
+ * @private
+ */
+function decodeName(params, operation) {
+  const raw = params.name;
+  if (!raw) {
+    throw new Error(`KernelSubsystem.${operation}: topic name required`);
+  }
+  try {
+    return decodeURIComponent(raw);
+  } catch {
+    throw new Error(`KernelSubsystem.${operation}: topic name is not valid URI encoding`);
+  }
+}
+
+/**
+ * Dispatch for consumer group deliveries: entries may be (re)delivered long
+ * after the publisher's request, so they are sent as the kernel
+ * @private
+ */
+function kernelDispatch(kernel, operation) {
+  const kernelPkr = kernel.identity?.pkr;
+  if (!kernelPkr) {
+    throw new Error(`KernelSubsystem.${operation}: kernel identity required for durable delivery`);
+  }
+  return (copy, deliveryOptions) => kernel.sendProtected(kernelPkr, copy, deliveryOptions);
+}
+
+export async function handleCreateTopic(kernel, message, params, options) {
+  const { callerPkr, manager } = prepare(kernel, options, 'createTopic');
+  const name = decodeName(params, 'createTopic');
+  if (!isValidTopicName(name)) {
+    return { success: false, error: `Invalid topic name "${name}"` };
+  }
+  if (manager.getTopic(name)) {
+    return { success: false, error: 'Topic already exists' };
+  }
+
+  const principals = kernel.getAccessControl()?.find('principals');
+  if (!principals || !principals.registry) {
+    throw new Error('KernelSubsystem.createTopic: principals facet not available');
+  }
+
+  const { metadata = {}, durable = false, retention = null } = message.getBody() || {};
+  const rws = new ReaderWriterSet({ pkr: callerPkr, principals: principals.registry });
+  const topic = manager.createTopic({ name, ownerPkr: callerPkr, rws, metadata, durable, retention });
+
+  return { success: true, topic: topic.snapshot() };
+}
+
+export async function handleDeleteTopic(kernel, message, params, options) {
+  const { callerPkr, manager } = prepare(kernel, options, 'deleteTopic');
+  const name = decodeName(params, 'deleteTopic');
+
+  const topic = manager.getTopic(name);
+  if (!topic) {
+    return { success: false, error: 'Topic not found' };
+  }
+  if (!isKernelCaller(kernel, callerPkr) && topic.ownerPkrUuid !== callerPkr.uuid) {
+    return { success: false, error: 'Access denied: not topic owner' };
+  }
+
+  manager.deleteTopic(name);
+  return { success: true, name };
+}
+
+/**
+ * Grant or revoke read/write/grant access on a topic
+ * @private
+ */
+async function changeTopicAccess(kernel, message, params, options, operation, grant) {
+  const { callerPkr, manager } = prepare(kernel, options, operation);
+  const name = decodeName(params, operation);
+
+  const { granteePkr, permission } = message.getBody() || {};
+  if (!granteePkr || !granteePkr.uuid) {
+    throw new Error(`KernelSubsystem.${operation}: granteePkr required`);
+  }
+  if (!permission || !['read', 'write', 'grant'].includes(permission)) {
+    throw new Error(`KernelSubsystem.${operation}: permission must be "read", "write", or "grant"`);
+  }
+
+  const topic = manager.getTopic(name);
+  if (!topic) {
+    return { success: false, error: 'Topic not found' };
+  }
+
+  const rws = topic.rws;
+  const methods = grant
+    ? { read: 'addReader', write: 'addWriter', grant: 'addGranter' }
+    : { read: 'removeReader', write: 'removeWriter', grant: 'removeGranter' };
+
+  let changed = false;
+  try {
+    changed = rws[methods[permission]](callerPkr, granteePkr);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+  if (!changed) {
+    return { success: false, error: `Access denied: cannot ${grant ? 'grant' : 'revoke'} permissions on this topic` };
+  }
+
+  return { success: true, name, permission };
+}
+
+export async function handleGrantTopic(kernel, message, params, options) {
+  return changeTopicAccess(kernel, message, params, options, 'grantTopic', true);
+}
+
+export async function handleRevokeTopic(kernel, message, params, options) {
+  return changeTopicAccess(kernel, message, params, options, 'revokeTopic', false);
+}
+
+export async function handleSubscribeTopic(kernel, message, params, options) {
+  const { callerPkr, manager } = prepare(kernel, options, 'subscribeTopic');
+  const topic = decodeName(params, 'subscribeTopic');
+  const { deliverTo = null, durable = false, group, from } = message.getBody() || {};
+
+  const kernelCaller = isKernelCaller(kernel, callerPkr);
+  const subscriberName = kernelCaller ? 'kernel' : findSubsystemName(kernel, callerPkr);
+  if (!subscriberName) {
+    return { success: false, error: 'Subscriber subsystem not found' };
+  }
+  if (deliverTo !== null) {
+    if (typeof deliverTo !== 'string' || !deliverTo.includes('://')) {
+      throw new Error('KernelSubsystem.subscribeTopic: deliverTo must be a path like "subsystem://route"');
+    }
+    if (!kernelCaller && !deliverTo.startsWith(`${subscriberName}://`)) {
+      return { success: false, error: 'Access denied: deliverTo must be a path of the subscribing subsystem' };
+    }
+  }
+
+  if (durable || group !== undefined) {
+    const result = await manager.subscribeDurable({
+      topic,
+      subscriberPkr: callerPkr,
+      subscriberName,
+      deliverTo,
+      group,
+      from,
+      dispatch: kernelDispatch(kernel, 'subscribeTopic')
+    });
+    if (!result.success) {
+      return result;
+    }
+    return {
+      success: true,
+      subscription: result.subscription.snapshot(),
+      existing: result.existing,
+      deliverTo: result.subscription.getDeliveryPath(topic),
+      group: result.group
+    };
+  }
+
+  const result = manager.subscribe({ topic, subscriberPkr: callerPkr, subscriberName, deliverTo });
+  if (!result.success) {
+    return result;
+  }
+
+  const subscription = result.subscription.snapshot();
+  return {
+    success: true,
+    subscription,
+    existing: result.existing,
+    deliverTo: subscription.isPattern ? subscription.deliverTo : result.subscription.getDeliveryPath(topic)
+  };
+}
+
+export async function handleUnsubscribeTopic(kernel, message, params, options) {
+  const { callerPkr, manager } = prepare(kernel, options, 'unsubscribeTopic');
+  const topic = decodeName(params, 'unsubscribeTopic');
+  const { subscriptionId } = message.getBody() || {};
+
+  const removed = manager.unsubscribe(callerPkr, { topic, id: subscriptionId });
+  if (removed === 0) {
+    return { success: false, error: 'Subscription not found' };
+  }
+  return { success: true, removed };
+}
+
+export async function handlePublishTopic(kernel, message, params, options) {
+  const { callerPkr, manager } = prepare(kernel, options, 'publishTopic');
+  const name = decodeName(params, 'publishTopic');
+
+  // Each copy is routed as if the publisher had sent it to the subscriber
+  const dispatch = (copy, deliveryOptions) => kernel.sendProtected(callerPkr, copy, deliveryOptions);
+  const durableDispatch = manager.getTopic(name)?.durable ? kernelDispatch(kernel, 'publishTopic') : dispatch;
+
+  return await manager.publish(callerPkr, name, message, dispatch, durableDispatch);
+}
+
+/**
+ * Acknowledge or reject a durable topic entry
+ * @private
+ */
+async function settleEntry(kernel, message, params, options, operation) {
+  const { callerPkr, manager } = prepare(kernel, options, operation);
+  const topic = decodeName(params, operation);
+
+  const { group, offset, requeue = true } = message.getBody() || {};
+  if (typeof group !== 'string' || !group) {
+    throw new Error(`KernelSubsystem.${operation}: group required`);
+  }
+  if (!Number.isInteger(offset)) {
+    throw new Error(`KernelSubsystem.${operation}: offset must be an integer`);
+  }
+
+  const dispatch = kernelDispatch(kernel, operation);
+  return operation === 'ackTopic'
+    ? await manager.ack(callerPkr, { topic, group, offset }, dispatch)
+    : await manager.nack(callerPkr, { topic, group, offset, requeue }, dispatch);
+}
+
+export async function handleAckTopic(kernel, message, params, options) {
+  return settleEntry(kernel, message, params, options, 'ackTopic');
+}
+
+export async function handleNackTopic(kernel, message, params, options) {
+  return settleEntry(kernel, message, params, options, 'nackTopic');
+}
+
+export async function handleQueryTopics(kernel, message, params, options) {
+  const { callerPkr, manager } = prepare(kernel, options, 'queryTopics');
+  const kernelCaller = isKernelCaller(kernel, callerPkr);
+
+  const topics = manager.listTopics(kernelCaller ? {} : { readableBy: callerPkr }).map(topic => ({
+    ...topic.snapshot(),
+    canPublish: topic.canPublish(callerPkr),
+    subscribers: manager.listSubscriptions({ topic: topic.name }).length
+  }));
+  const subscriptions = manager
+    .listSubscriptions(kernelCaller ? {} : { subscriberPkrUuid: callerPkr.uuid })
+    .map(subscription => subscription.snapshot());
+  const consumerGroups = await manager.getConsumerGroups(kernelCaller ? {} : { memberPkrUuid: callerPkr.uuid });
+
+  return { success: true, topics, subscriptions, consumerGroups, count: topics.length };
+}
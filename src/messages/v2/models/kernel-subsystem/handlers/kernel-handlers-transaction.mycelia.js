@@ -0,0 +1,143 @@
+import { ERROR_TYPES } from '../error-manager-subsystem/error-record.mycelia.js';
+import { isKernelCaller } from './kernel-handlers.utils.mycelia.js';
+
+/**
+ * Transaction Handlers
+ *
+ * Handlers for kernel:// routes related to transaction batches.
+ * All handlers receive (kernel, message, params, options) and return a result.
+ *
+ * Completion and failure reports are only accepted from the subsystem that
+ * is processing the in-flight message (or from the kernel itself).
+ * Queries are owner-scoped: a caller only sees the transactions it sent.
+ */
+
+/**
+ * Check whether the caller is the subsystem the in-flight message was routed to
+ * @private
+ */
+function isProcessingSubsystem(kernel, tx, callerPkr) {
+  if (isKernelCaller(kernel, callerPkr)) return true;
+
+  const subsystemName = tx.inFlight?.message.extractSubsystem?.();
+  if (!subsystemName) return false;
+
+  const registry = kernel.messageSystem?.find?.('messageSystemRegistry');
+  const subsystem = registry?.get?.(subsystemName);
+  return subsystem?.identity?.pkr?.uuid === callerPkr.uuid;
+}
+
+/**
+ * Validate a completion/failure report body and resolve its transaction
+ * @private
+ */
+function resolveReport(kernel, message, callerPkr, operation) {
+  const { transaction, seq } = message.getBody() || {};
+  if (!transaction || typeof transaction !== 'string') {
+    throw new Error(`KernelSubsystem.${operation}: transaction id required`);
+  }
+  if (!Number.isInteger(seq) || seq < 1) {
+    throw new Error(`KernelSubsystem.${operation}: seq must be a positive integer`);
+  }
+
+  const manager = kernel.getTransactionManager();
+  if (!manager) {
+    throw new Error(`KernelSubsystem.${operation}: TransactionManagerSubsystem not available`);
+  }
+
+  const tx = manager.get(transaction);
+  if (!tx) {
+    return { manager, error: { success: false, error: 'Transaction not found' } };
+  }
+  if (tx.inFlight?.seq !== seq) {
+    return { manager, error: { success: false, error: `Seq ${seq} is not in flight`, status: tx.status } };
+  }
+  if (!isProcessingSubsystem(kernel, tx, callerPkr)) {
+    return { manager, error: { success: false, error: 'Access denied: caller is not processing this message' } };
+  }
+
+  return { manager, tx, transaction, seq };
+}
+
+export async function handleCompleteTransactionMessage(kernel, message, params, options) {
+  const callerPkr = options.callerId;
+  if (!callerPkr || !callerPkr.uuid) {
+    throw new Error('KernelSubsystem.completeTransactionMessage: callerId (PKR) required');
+  }
+
+  const report = resolveReport(kernel, message, callerPkr, 'completeTransactionMessage');
+  if (report.error) {
+    return report.error;
+  }
+
+  const tx = await report.manager.complete(report.transaction, report.seq);
+  return { success: true, transaction: tx.id, status: tx.status, nextSeq: tx.nextSeq };
+}
+
+export async function handleFailTransactionMessage(kernel, message, params, options) {
+  const callerPkr = options.callerId;
+  if (!callerPkr || !callerPkr.uuid) {
+    throw new Error('KernelSubsystem.failTransactionMessage: callerId (PKR) required');
+  }
+
+  const report = resolveReport(kernel, message, callerPkr, 'failTransactionMessage');
+  if (report.error) {
+    return report.error;
+  }
+
+  const { error = null } = message.getBody();
+  const failedMessage = report.tx.inFlight.message;
+  const tx = await report.manager.fail(report.transaction, report.seq, error);
+
+  const errorManager = kernel.getErrorManager();
+  if (errorManager && typeof errorManager.record === 'function') {
+    errorManager.record(
+      { type: ERROR_TYPES.SIMPLE, message: error?.message || `Transaction ${tx.id} aborted` },
+      {
+        messageSubsystem: failedMessage.extractSubsystem?.() || null,
+        path: failedMessage.getPath(),
+        meta: {
+          transaction: tx.id,
+          seq: report.seq,
+          messageId: failedMessage.getId(),
+          compensated: tx.compensations.length
+        }
+      }
+    );
+  }
+
+  return {
+    success: true,
+    transaction: tx.id,
+    status: tx.status,
+    compensations: tx.compensations
+  };
+}
+
+export async function handleQueryTransaction(kernel, message, params, options) {
+  const callerPkr = options.callerId;
+  if (!callerPkr || !callerPkr.uuid) {
+    throw new Error('KernelSubsystem.queryTransaction: callerId (PKR) required');
+  }
+
+  const id = params.id;
+  if (!id) {
+    throw new Error('KernelSubsystem.queryTransaction: transaction id required');
+  }
+
+  const manager = kernel.getTransactionManager();
+  if (!manager) {
+    throw new Error('KernelSubsystem.queryTransaction: TransactionManagerSubsystem not available');
+  }
+
+  const tx = manager.get(id);
+  if (!tx) {
+    return { success: false, error: 'Transaction not found' };
+  }
+
+  if (!isKernelCaller(kernel, callerPkr) && tx.ownerPkrUuid !== callerPkr.uuid) {
+    return { success: false, error: 'Access denied: not transaction owner' };
+  }
+
+  return { success: true, transaction: tx.toRecord() };
+}
@@ -0,0 +1,37 @@
+/**
+ * Kernel Handler Utilities
+ * 
+ * Caller checks shared by the kernel route handlers.
+ */
+
+/**
+ * Check whether the caller is the kernel itself
+ * 
+ * @param {Object} kernel - Kernel subsystem instance
+ * @param {Object} callerPkr - Caller's PKR
+ * @returns {boolean} True if the caller is the kernel
+ */
+export function isKernelCaller(kernel, callerPkr) {
+  const kernelUuid = kernel.identity?.pkr?.uuid;
+  return !!kernelUuid && callerPkr.uuid === kernelUuid;
+}
+
+/**
+ * Find the name of the registered subsystem a PKR belongs to
+ * 
+ * @param {Object} kernel - Kernel subsystem instance
+ * @param {Object} pkr - PKR to look up
+ * @returns {string|null} Subsystem name, or null if no registered subsystem owns the PKR
+ */
+export function findSubsystemName(kernel, pkr) {
+  const registry = kernel.messageSystem?.find?.('messageSystemRegistry');
+  if (!registry) {
+    return null;
+  }
+  for (const subsystem of registry.values()) {
+    if (subsystem.identity?.pkr?.uuid === pkr.uuid) {
+      return subsystem.name;
+    }
+  }
+  return null;
+}
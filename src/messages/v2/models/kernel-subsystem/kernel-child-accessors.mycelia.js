@@ -82,6 +82,43 @@ export class KernelChildAccessors {
     }
     return hierarchy.getChild('profile-registry') || null;
   }
-}
 
+  /**
+   * Get the dead-letter subsystem reference.
+   * 
+   * @returns {DeadLetterSubsystem|null} Dead-letter subsystem instance or null
+   */
+  getDeadLetterQueue() {
+    const hierarchy = this.kernel.find('hierarchy');
+    if (!hierarchy) {
+      return null;
+    }
+    return hierarchy.getChild('dead-letter') || null;
+  }
 
+  /**
+   * Get the transaction manager subsystem reference.
+   * 
+   * @returns {TransactionManagerSubsystem|null} Transaction manager subsystem instance or null
+   */
+  getTransactionManager() {
+    const hierarchy = this.kernel.find('hierarchy');
+    if (!hierarchy) {
+      return null;
+    }
+    return hierarchy.getChild('transaction-manager') || null;
+  }
+
+  /**
+   * Get the topic manager subsystem reference.
+   * 
+   * @returns {TopicManagerSubsystem|null} Topic manager subsystem instance or null
+   */
+  getTopicManager() {
+    const hierarchy = this.kernel.find('hierarchy');
+    if (!hierarchy) {
+      return null;
+    }
+    return hierarchy.getChild('topic-manager') || null;
+  }
+}
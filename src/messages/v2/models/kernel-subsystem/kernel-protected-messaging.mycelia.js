@@ -2,12 +2,32 @@
  * KernelProtectedMessaging
  * 
  * Handles protected message sending with caller authentication.
- * Enforces channel ACLs and manages response tracking.
+ * Enforces per-principal rate limits and channel ACLs and manages response tracking.
+ * Each send is recorded as a `sendProtected` span when the MessageSystem has
+ * tracing enabled (useTracing).
  * 
  * @example
  * const messaging = new KernelProtectedMessaging(kernelSubsystem, msRouter);
  * const result = await messaging.sendProtected(pkr, message, options);
  */
+import { traceMessage } from '../tracing/tracer.mycelia.js';
+import { SPAN_KIND } from '../tracing/span.mycelia.js';
+import { isCancelPath } from '../../hooks/requests/request-cancellation.mycelia.js';
+import { ERROR_TYPES, ERROR_SEVERITY } from './error-manager-subsystem/error-record.mycelia.js';
+import { RATE_LIMIT_CODES } from '../security/rate-limiter.mycelia.js';
+import { deriveCorrelationIdFromMessage } from './response-manager-subsystem/response-correlation.utils.mycelia.js';
+import { findSubsystemName } from './handlers/kernel-handlers.utils.mycelia.js';
+
+// Kernel bookkeeping a subsystem sends on behalf of a message it already
+// handled; limiting these would lose transaction outcomes, dead letters and
+// expiry records
+const RATE_LIMIT_EXEMPT_PATHS = new Set([
+  'kernel://transaction/complete',
+  'kernel://transaction/fail',
+  'kernel://deadletter/record',
+  'kernel://expired/record'
+]);
+
 export class KernelProtectedMessaging {
   /**
    * Create a new KernelProtectedMessaging instance
@@ -74,6 +94,121 @@ export class KernelProtectedMessaging {
     }
   }
 
+  /**
+   * Check if a send is exempt from rate limits.
+   * 
+   * Sends that finish work already accepted neither count against nor are
+   * rejected by the caller's limit:
+   * - responses the ResponseManager matches to a request still waiting for them
+   * - request cancellations
+   * - kernel bookkeeping (transaction outcomes, dead letters, expired-message
+   *   reports) sent by a registered subsystem
+   * 
+   * A response that answers no pending request, or bookkeeping sent by any
+   * other principal, is limited like any other send.
+   * 
+   * @param {PKR} pkr - Caller's PKR
+   * @param {string} path - Message path
+   * @param {Message} [message] - Message being sent (used to match responses)
+   * @param {Object} [options={}] - Send options
+   * @returns {boolean} True if the send is not rate limited
+   */
+  isRateLimitExempt(pkr, path, message, options = {}) {
+    if (options.isResponse === true) {
+      return this.#answersPendingRequest(message);
+    }
+    if (isCancelPath(path)) {
+      return true;
+    }
+    return RATE_LIMIT_EXEMPT_PATHS.has(path) && findSubsystemName(this.kernel, pkr) !== null;
+  }
+
+  /**
+   * Check whether a response answers a request the ResponseManager is tracking
+   * 
+   * @private
+   * @param {Message} [message] - Response message
+   * @returns {boolean} True if the response's correlation ID has a pending entry
+   */
+  #answersPendingRequest(message) {
+    const responseManager = this.kernel.getResponseManager?.();
+    const correlationId = deriveCorrelationIdFromMessage(message);
+    return !!responseManager && !!correlationId && responseManager.isPending?.(correlationId) === true;
+  }
+
+  /**
+   * Count a send against the caller's rate limit and daily quota.
+   * 
+   * The limit is resolved by the kernel's RateLimiter from the caller's PKR,
+   * security profile (the principal's role) and principal kind. The kernel
+   * itself and exempt sends (see isRateLimitExempt()) are never limited. Each
+   * rejected send is recorded as a `rate_limited` ErrorRecord.
+   * 
+   * @param {PKR} pkr - Caller's PKR
+   * @param {Message} message - Message being sent
+   * @param {Object} [options={}] - Send options
+   * @returns {Object|null} Failure result if the send is rejected, null if it may proceed
+   */
+  enforceRateLimit(pkr, message, options = {}) {
+    const limiter = this.kernel.getRateLimiter?.();
+    const path = message?.path || message?.getPath?.();
+    if (!limiter || pkr.uuid === this.kernel.identity.pkr.uuid || this.isRateLimitExempt(pkr, path, message, options)) {
+      return null;
+    }
+    const messageId = message?.getId?.() || message?.id;
+
+    const profileName = this.kernel.getAccessControl?.()?.find?.('principals')?.getRoleForPKR?.(pkr) ?? null;
+    const profile = profileName ? this.kernel.getProfileRegistry?.()?.getProfile?.(profileName) : null;
+    const decision = limiter.consume({
+      uuid: pkr.uuid,
+      name: pkr.name,
+      kind: pkr.kind,
+      profile: profileName,
+      profileLimit: profile?.getRateLimit?.() ?? null
+    });
+    if (decision.allowed) {
+      return null;
+    }
+
+    const caller = pkr.name || pkr.uuid;
+    const error = decision.code === RATE_LIMIT_CODES.QUOTA_EXCEEDED
+      ? `Daily quota exceeded for ${caller}`
+      : `Rate limit exceeded for ${caller}`;
+
+    const errorManager = this.kernel.getErrorManager?.();
+    if (errorManager && typeof errorManager.record === 'function') {
+      errorManager.record(
+        { type: ERROR_TYPES.RATE_LIMITED, severity: ERROR_SEVERITY.WARN, code: decision.code, message: error },
+        {
+          messageSubsystem: this.kernel.name,
+          path,
+          meta: {
+            messageId,
+            principal: pkr.uuid,
+            kind: pkr.kind ?? null,
+            profile: profileName,
+            source: decision.source,
+            retryAfter: decision.retryAfter,
+            stage: 'sendProtected'
+          }
+        }
+      );
+    }
+
+    if (this.kernel.debug) {
+      console.warn(`KernelProtectedMessaging.sendProtected: ${error} (${path})`);
+    }
+
+    return {
+      success: false,
+      rateLimited: true,
+      code: decision.code,
+      error,
+      retryAfter: decision.retryAfter,
+      messageId
+    };
+  }
+
   /**
    * Called for *non-response* messages that require a response.
    * Registers the command with ResponseManager.
@@ -153,6 +288,25 @@ export class KernelProtectedMessaging {
     }
   }
 
+  /**
+   * Called for cancel messages (`<subsystem>://request/cancel`).
+   * Drops the caller's pending response for the cancelled request, so no
+   * timeout response is emitted for it. The cancel message is then routed to
+   * the target subsystem as usual.
+   * 
+   * @param {PKR} pkr - Caller's PKR
+   * @param {Message} message - Cancel message (body `{ correlationId, reason }`)
+   * @returns {boolean} True if a pending response was cancelled
+   */
+  cancelPendingResponse(pkr, message) {
+    const correlationId = message?.getBody?.()?.correlationId ?? message?.body?.correlationId;
+    const responseManager = this.kernel.getResponseManager();
+    if (!correlationId || typeof responseManager?.cancel !== 'function') {
+      return false;
+    }
+    return responseManager.cancel(String(correlationId), { ownerPkr: pkr });
+  }
+
   /**
    * Validate inputs and set up security options.
    * 
@@ -174,7 +328,9 @@ export class KernelProtectedMessaging {
     }
 
     // SECURITY: Strip any callerId from user-provided options (prevent spoofing)
-    const { callerId, ...sanitizedOptions } = options;
+    // transactionCompensation is only ever set by the transaction manager
+    // eslint-disable-next-line no-unused-vars
+    const { callerId, transactionCompensation, ...sanitizedOptions } = options;
     if (callerId !== undefined && this.kernel.debug) {
       console.warn(`KernelProtectedMessaging ${this.kernel.name}: callerId stripped from options - callerId is set by kernel`);
     }
@@ -261,16 +417,58 @@ export class KernelProtectedMessaging {
     }
 
     // Non-response message (command / event / etc)
+    // Cancel messages also drop the caller's pending response
+    if (isCancelPath(path)) {
+      this.cancelPendingResponse(pkr, message);
+    }
+
     // Register response-required if needed (non-blocking)
     this.registerResponseIfRequired(pkr, message, sanitizedOptions);
 
     // Enforce channel ACL if this is a channel path
     this.enforceChannelAccessIfChannel(pkr, path);
 
+    // Transaction messages are delivered in seq order by the transaction manager
+    const transactionManager = message?.meta?.getTransaction?.() ? this.kernel.getTransactionManager?.() : null;
+    if (transactionManager) {
+      return await transactionManager.submit(
+        pkr,
+        message,
+        sanitizedOptions,
+        (msg, opts) => router.route(msg, opts)
+      );
+    }
+
     // Route normally
     return await router.route(message, sanitizedOptions);
   }
 
+  /**
+   * Record a protected send as a `sendProtected` span (when tracing is enabled)
+   * 
+   * @private
+   * @param {PKR} pkr - Caller's PKR
+   * @param {Message} message - Message being sent
+   * @param {Function} send - `async () => result`
+   * @returns {Promise<Object>} Send result
+   */
+  async #traceSend(pkr, message, send) {
+    return await traceMessage(
+      this.kernel.messageSystem?.find?.('tracing'),
+      'sendProtected',
+      message,
+      {
+        kind: SPAN_KIND.PRODUCER,
+        attributes: {
+          'mycelia.caller': pkr?.uuid,
+          'mycelia.caller.name': pkr?.name,
+          'mycelia.caller.kind': pkr?.kind
+        }
+      },
+      send
+    );
+  }
+
   /**
    * Send a protected message with caller authentication.
    * 
@@ -281,20 +479,24 @@ export class KernelProtectedMessaging {
    * Flow:
    * 1. Validate kernel identity and pkr
    * 2. Strip callerId from options and set callerId/callerIdSetBy
-   * 3. Get MessageSystem router
-   * 4. If isResponse:
+   * 3. Enforce the caller's rate limit and daily quota (rejected sends are not routed;
+   *    see isRateLimitExempt() for the sends that are exempt)
+   * 4. Get MessageSystem router
+   * 5. If isResponse:
    *    - Handle response via ResponseManager (non-blocking)
    *    - If one-shot path: Route directly (skip channel ACL)
    *    - Else: Enforce channel ACL if channel, then route
-   * 5. Else (non-response):
+   * 6. Else (non-response):
+   *    - Cancel messages: drop the caller's pending response
    *    - Register response-required if needed (non-blocking)
    *    - Enforce channel ACL if channel path
-   *    - Route normally
+   *    - Transaction messages: hand to the TransactionManager (delivered in seq order)
+   *    - Otherwise route normally
    * 
    * @param {PKR} pkr - The caller's Public Key Record (PKR)
    * @param {Message} message - Message object (contains path for routing)
    * @param {Object} [options={}] - Send options (callerId will be set by kernel, any user-provided callerId is stripped)
-   * @returns {Promise<Object>} Send result
+   * @returns {Promise<Object>} Send result (`{ success: false, rateLimited: true, code, retryAfter }` if the caller is over its limit)
    * @throws {Error} If kernel identity is missing, MessageSystem is not found, or pkr is invalid
    * 
    * @example
@@ -305,11 +507,19 @@ export class KernelProtectedMessaging {
    * );
    */
   async sendProtected(pkr, message, options = {}) {
-    // Step 1: Validation and security setup
-    const { sanitizedOptions } = this.#validateAndSetupSecurity(pkr, options);
+    return await this.#traceSend(pkr, message, async () => {
+      // Step 1: Validation and security setup
+      const { sanitizedOptions } = this.#validateAndSetupSecurity(pkr, options);
+
+      // Step 2: Rate limit and daily quota
+      const limited = this.enforceRateLimit(pkr, message, sanitizedOptions);
+      if (limited) {
+        return limited;
+      }
 
-    // Step 2: Route message (includes validation, ACL, routing)
-    return await this.#routeProtectedMessage(pkr, message, sanitizedOptions);
+      // Step 3: Route message (includes validation, ACL, routing)
+      return await this.#routeProtectedMessage(pkr, message, sanitizedOptions);
+    });
   }
 
   /**
@@ -324,12 +534,13 @@ export class KernelProtectedMessaging {
    * 
    * Flow:
    * 1. Validate kernel identity and pkr
-   * 2. Acquire Message from MessageSystem's pool
-   * 3. Strip callerId from options and set callerId/callerIdSetBy
-   * 4. Handle response management (if isResponse)
-   * 5. Enforce channel ACL (if channel path)
-   * 6. Route via MessageSystem router
-   * 7. Release Message back to pool
+   * 2. Strip callerId from options and set callerId/callerIdSetBy
+   * 3. Acquire Message from MessageSystem's pool
+   * 4. Enforce the caller's rate limit and daily quota (rejected sends are not routed)
+   * 5. Handle response management (if isResponse)
+   * 6. Enforce channel ACL (if channel path)
+   * 7. Route via MessageSystem router
+   * 8. Release Message back to pool
    * 
    * @param {PKR} pkr - The caller's Public Key Record (PKR)
    * @param {string} path - Message path (e.g., 'api://users/123')
@@ -378,8 +589,15 @@ export class KernelProtectedMessaging {
     const message = ms.acquirePooledMessage(path, body, meta);
 
     try {
+      // Rate limit and daily quota (responses are matched against the pooled message)
+      const limited = this.enforceRateLimit(pkr, message, sendOptions);
+      if (limited) {
+        return limited;
+      }
+
       // Step 5: Route message (includes validation, ACL, routing)
-      return await this.#routeProtectedMessage(pkr, message, sendOptions);
+      return await this.#traceSend(pkr, message,
+        () => this.#routeProtectedMessage(pkr, message, sendOptions));
     } finally {
       // Step 6: Always release message back to pool
       ms.releasePooledMessage(message);
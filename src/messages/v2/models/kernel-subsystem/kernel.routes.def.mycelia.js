@@ -4,7 +4,11 @@
  * Defines the route paths used by KernelSubsystem to handle kernel:// messages.
  * These routes are registered internally by KernelSubsystem and handle privileged
  * operations like resource/friend creation, permission management, profile management,
- * and system information queries.
+ * system information queries, dead-letter queue management, and channel, error and
+ * pending-response inspection.
+ * 
+ * An optional `schema` (`{ body?, result? }`, JSON Schema subset) is enforced by
+ * the router around the handler (see schema-interceptor).
  */
 
 export const KERNEL_ROUTES = {
@@ -286,6 +290,322 @@ export const KERNEL_ROUTES = {
       operation: 'query'
     },
     handler: 'handleQueryRoutes'
+  },
+  'queryUsage': {
+    path: 'kernel://query/usage',
+    description: 'Get rate limit and daily quota usage (the caller\'s own, or any principal\'s for the kernel)',
+    metadata: {
+      type: 'route',
+      purpose: 'system-information',
+      operation: 'query'
+    },
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          principal: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    handler: 'handleQueryUsage'
+  },
+
+  // === Dead-Letter Queue Routes ===
+  'recordDeadLetter': {
+    path: 'kernel://deadletter/record',
+    description: 'Record a message that exhausted its retries',
+    metadata: {
+      type: 'route',
+      purpose: 'dead-letter-management',
+      operation: 'create'
+    },
+    handler: 'handleRecordDeadLetter'
+  },
+  'queryDeadLetters': {
+    path: 'kernel://query/deadletters',
+    description: 'List dead-lettered messages owned by the caller',
+    metadata: {
+      type: 'route',
+      purpose: 'dead-letter-management',
+      operation: 'query'
+    },
+    handler: 'handleQueryDeadLetters'
+  },
+  'replayDeadLetter': {
+    path: 'kernel://replay/deadletter/:id',
+    description: 'Replay a dead-lettered message with a fresh retry budget',
+    metadata: {
+      type: 'route',
+      purpose: 'dead-letter-management',
+      operation: 'replay'
+    },
+    handler: 'handleReplayDeadLetter'
+  },
+
+  // === Delayed Delivery Routes ===
+  'queryDeliveries': {
+    path: 'kernel://query/deliveries',
+    description: 'List delayed deliveries sent by the caller that are still pending',
+    metadata: {
+      type: 'route',
+      purpose: 'delivery-management',
+      operation: 'query'
+    },
+    handler: 'handleQueryDeliveries'
+  },
+  'cancelDelivery': {
+    path: 'kernel://cancel/delivery/:id',
+    description: 'Cancel a pending delayed delivery',
+    metadata: {
+      type: 'route',
+      purpose: 'delivery-management',
+      operation: 'delete'
+    },
+    handler: 'handleCancelDelivery'
+  },
+
+  // === Error Routes ===
+  'recordExpiredMessage': {
+    path: 'kernel://expired/record',
+    description: 'Record messages that expired (ttl/expiresAt) before they were processed (count and sample)',
+    metadata: {
+      type: 'route',
+      purpose: 'error-management',
+      operation: 'create'
+    },
+    handler: 'handleRecordExpiredMessage'
+  },
+  'queryErrors': {
+    path: 'kernel://query/errors',
+    description: 'List recent errors recorded for the caller\'s subsystem',
+    metadata: {
+      type: 'route',
+      purpose: 'error-management',
+      operation: 'query'
+    },
+    handler: 'handleQueryErrors'
+  },
+  'queryErrorSummary': {
+    path: 'kernel://query/errors/summary',
+    description: 'Count recent errors by type and subsystem',
+    metadata: {
+      type: 'route',
+      purpose: 'error-management',
+      operation: 'query'
+    },
+    handler: 'handleQueryErrorSummary'
+  },
+  'clearErrors': {
+    path: 'kernel://clear/errors',
+    description: 'Clear errors recorded for the caller\'s subsystem',
+    metadata: {
+      type: 'route',
+      purpose: 'error-management',
+      operation: 'delete'
+    },
+    handler: 'handleClearErrors'
+  },
+
+  // === Channel Routes ===
+  'queryChannels': {
+    path: 'kernel://query/channels',
+    description: 'List channels the caller owns or participates in',
+    metadata: {
+      type: 'route',
+      purpose: 'channel-management',
+      operation: 'query'
+    },
+    handler: 'handleQueryChannels'
+  },
+  'addChannelParticipant': {
+    path: 'kernel://add/channel-participant/:route',
+    description: 'Add a participant to a channel owned by the caller',
+    metadata: {
+      type: 'route',
+      purpose: 'channel-management',
+      operation: 'update'
+    },
+    handler: 'handleAddChannelParticipant'
+  },
+  'removeChannelParticipant': {
+    path: 'kernel://remove/channel-participant/:route',
+    description: 'Remove a participant from a channel owned by the caller',
+    metadata: {
+      type: 'route',
+      purpose: 'channel-management',
+      operation: 'update'
+    },
+    handler: 'handleRemoveChannelParticipant'
+  },
+
+  // === Pending Response Routes ===
+  'queryPendingResponses': {
+    path: 'kernel://query/responses/pending',
+    description: 'List responses still awaited for the caller\'s requests',
+    metadata: {
+      type: 'route',
+      purpose: 'response-management',
+      operation: 'query'
+    },
+    handler: 'handleQueryPendingResponses'
+  },
+
+  // === Transaction Routes ===
+  'completeTransactionMessage': {
+    path: 'kernel://transaction/complete',
+    description: 'Report that a transaction message was processed and release the next seq',
+    metadata: {
+      type: 'route',
+      purpose: 'transaction-management',
+      operation: 'update'
+    },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['transaction', 'seq'],
+        properties: {
+          transaction: { type: 'string', minLength: 1 },
+          seq: { type: 'integer', minimum: 1 },
+          messageId: { type: 'string' },
+          error: { type: 'object' }
+        }
+      }
+    },
+    handler: 'handleCompleteTransactionMessage'
+  },
+  'failTransactionMessage': {
+    path: 'kernel://transaction/fail',
+    description: 'Report that a transaction message failed and abort the transaction',
+    metadata: {
+      type: 'route',
+      purpose: 'transaction-management',
+      operation: 'update'
+    },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['transaction', 'seq'],
+        properties: {
+          transaction: { type: 'string', minLength: 1 },
+          seq: { type: 'integer', minimum: 1 },
+          messageId: { type: 'string' },
+          error: { type: 'object' }
+        }
+      }
+    },
+    handler: 'handleFailTransactionMessage'
+  },
+  'queryTransaction': {
+    path: 'kernel://query/transaction/:id',
+    description: 'Get the status of a transaction sent by the caller',
+    metadata: {
+      type: 'route',
+      purpose: 'transaction-management',
+      operation: 'query'
+    },
+    handler: 'handleQueryTransaction'
+  },
+
+  // === Topic (Pub/Sub) Routes ===
+  'createTopic': {
+    path: 'kernel://create/topic/:name',
+    description: 'Create a pub/sub topic owned by the caller',
+    metadata: {
+      type: 'route',
+      purpose: 'topic-management',
+      operation: 'create'
+    },
+    handler: 'handleCreateTopic'
+  },
+  'deleteTopic': {
+    path: 'kernel://delete/topic/:name',
+    description: 'Delete a topic owned by the caller',
+    metadata: {
+      type: 'route',
+      purpose: 'topic-management',
+      operation: 'delete'
+    },
+    handler: 'handleDeleteTopic'
+  },
+  'grantTopic': {
+    path: 'kernel://grant/topic/:name',
+    description: 'Grant read, write or grant access on a topic',
+    metadata: {
+      type: 'route',
+      purpose: 'topic-management',
+      operation: 'grant'
+    },
+    handler: 'handleGrantTopic'
+  },
+  'revokeTopic': {
+    path: 'kernel://revoke/topic/:name',
+    description: 'Revoke read, write or grant access on a topic',
+    metadata: {
+      type: 'route',
+      purpose: 'topic-management',
+      operation: 'revoke'
+    },
+    handler: 'handleRevokeTopic'
+  },
+  'subscribeTopic': {
+    path: 'kernel://subscribe/topic/:name',
+    description: 'Subscribe the caller to a topic or topic pattern',
+    metadata: {
+      type: 'route',
+      purpose: 'topic-management',
+      operation: 'subscribe'
+    },
+    handler: 'handleSubscribeTopic'
+  },
+  'unsubscribeTopic': {
+    path: 'kernel://unsubscribe/topic/:name',
+    description: 'Remove the caller\'s subscriptions to a topic or topic pattern',
+    metadata: {
+      type: 'route',
+      purpose: 'topic-management',
+      operation: 'unsubscribe'
+    },
+    handler: 'handleUnsubscribeTopic'
+  },
+  'publishTopic': {
+    path: 'kernel://publish/topic/:name',
+    description: 'Publish a message to every subscriber of a topic',
+    metadata: {
+      type: 'route',
+      purpose: 'topic-management',
+      operation: 'publish'
+    },
+    handler: 'handlePublishTopic'
+  },
+  'ackTopic': {
+    path: 'kernel://ack/topic/:name',
+    description: 'Acknowledge a durable topic entry delivered to the caller',
+    metadata: {
+      type: 'route',
+      purpose: 'topic-management',
+      operation: 'ack'
+    },
+    handler: 'handleAckTopic'
+  },
+  'nackTopic': {
+    path: 'kernel://nack/topic/:name',
+    description: 'Reject a durable topic entry delivered to the caller (redelivered or dropped)',
+    metadata: {
+      type: 'route',
+      purpose: 'topic-management',
+      operation: 'nack'
+    },
+    handler: 'handleNackTopic'
+  },
+  'queryTopics': {
+    path: 'kernel://query/topics',
+    description: 'List readable topics and the caller\'s subscriptions',
+    metadata: {
+      type: 'route',
+      purpose: 'topic-management',
+      operation: 'query'
+    },
+    handler: 'handleQueryTopics'
   }
 };
 
@@ -299,6 +619,13 @@ export const KERNEL_ROUTES = {
  * @param {Object} permissionHandlers - Permission handlers facet
  * @param {Object} profileHandlers - Profile handlers facet
  * @param {Object} systemHandlers - System handlers facet
+ * @param {Object} deadLetterHandlers - Dead-letter handlers facet
+ * @param {Object} deliveryHandlers - Delayed delivery handlers facet
+ * @param {Object} errorHandlers - Error handlers facet
+ * @param {Object} channelHandlers - Channel handlers facet
+ * @param {Object} responseHandlers - Pending response handlers facet
+ * @param {Object} transactionHandlers - Transaction handlers facet
+ * @param {Object} topicHandlers - Topic handlers facet
  * @param {Function} createResourceHandler - Create resource handler function
  * @param {Function} createFriendHandler - Create friend handler function
  * @returns {Object} Handler map object
@@ -309,6 +636,13 @@ export function createKernelHandlerMap({
   permissionHandlers,
   profileHandlers,
   systemHandlers,
+  deadLetterHandlers,
+  deliveryHandlers,
+  errorHandlers,
+  channelHandlers,
+  responseHandlers,
+  transactionHandlers,
+  topicHandlers,
   createResourceHandler,
   createFriendHandler
 }) {
@@ -345,7 +679,41 @@ export function createKernelHandlerMap({
     handleQuerySubsystem: (m, p, o) => systemHandlers?.querySubsystem(m, p, o),
     handleQueryStatus: (m, p, o) => systemHandlers?.queryStatus(m, p, o),
     handleQueryStatistics: (m, p, o) => systemHandlers?.queryStatistics(m, p, o),
-    handleQueryRoutes: (m, p, o) => systemHandlers?.queryRoutes(m, p, o)
+    handleQueryRoutes: (m, p, o) => systemHandlers?.queryRoutes(m, p, o),
+    handleQueryUsage: (m, p, o) => systemHandlers?.queryUsage(m, p, o),
+    // Dead-letter handlers (from deadLetterHandlers facet)
+    handleRecordDeadLetter: (m, p, o) => deadLetterHandlers?.recordDeadLetter(m, p, o),
+    handleQueryDeadLetters: (m, p, o) => deadLetterHandlers?.queryDeadLetters(m, p, o),
+    handleReplayDeadLetter: (m, p, o) => deadLetterHandlers?.replayDeadLetter(m, p, o),
+    // Delivery handlers (from deliveryHandlers facet)
+    handleQueryDeliveries: (m, p, o) => deliveryHandlers?.queryDeliveries(m, p, o),
+    handleCancelDelivery: (m, p, o) => deliveryHandlers?.cancelDelivery(m, p, o),
+    // Error handlers (from errorHandlers facet)
+    handleRecordExpiredMessage: (m, p, o) => errorHandlers?.recordExpiredMessage(m, p, o),
+    handleQueryErrors: (m, p, o) => errorHandlers?.queryErrors(m, p, o),
+    handleQueryErrorSummary: (m, p, o) => errorHandlers?.queryErrorSummary(m, p, o),
+    handleClearErrors: (m, p, o) => errorHandlers?.clearErrors(m, p, o),
+    // Channel handlers (from channelHandlers facet)
+    handleQueryChannels: (m, p, o) => channelHandlers?.queryChannels(m, p, o),
+    handleAddChannelParticipant: (m, p, o) => channelHandlers?.addChannelParticipant(m, p, o),
+    handleRemoveChannelParticipant: (m, p, o) => channelHandlers?.removeChannelParticipant(m, p, o),
+    // Response handlers (from responseHandlers facet)
+    handleQueryPendingResponses: (m, p, o) => responseHandlers?.queryPendingResponses(m, p, o),
+    // Transaction handlers (from transactionHandlers facet)
+    handleCompleteTransactionMessage: (m, p, o) => transactionHandlers?.completeTransactionMessage(m, p, o),
+    handleFailTransactionMessage: (m, p, o) => transactionHandlers?.failTransactionMessage(m, p, o),
+    handleQueryTransaction: (m, p, o) => transactionHandlers?.queryTransaction(m, p, o),
+    // Topic handlers (from topicHandlers facet)
+    handleCreateTopic: (m, p, o) => topicHandlers?.createTopic(m, p, o),
+    handleDeleteTopic: (m, p, o) => topicHandlers?.deleteTopic(m, p, o),
+    handleGrantTopic: (m, p, o) => topicHandlers?.grantTopic(m, p, o),
+    handleRevokeTopic: (m, p, o) => topicHandlers?.revokeTopic(m, p, o),
+    handleSubscribeTopic: (m, p, o) => topicHandlers?.subscribeTopic(m, p, o),
+    handleUnsubscribeTopic: (m, p, o) => topicHandlers?.unsubscribeTopic(m, p, o),
+    handlePublishTopic: (m, p, o) => topicHandlers?.publishTopic(m, p, o),
+    handleAckTopic: (m, p, o) => topicHandlers?.ackTopic(m, p, o),
+    handleNackTopic: (m, p, o) => topicHandlers?.nackTopic(m, p, o),
+    handleQueryTopics: (m, p, o) => topicHandlers?.queryTopics(m, p, o)
   };
 }
 
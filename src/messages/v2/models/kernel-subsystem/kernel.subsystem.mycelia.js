@@ -6,6 +6,13 @@ import { useFriendHandlers } from '../../hooks/kernel-handlers/use-friend-handle
 import { usePermissionHandlers } from '../../hooks/kernel-handlers/use-permission-handlers.mycelia.js';
 import { useProfileHandlers } from '../../hooks/kernel-handlers/use-profile-handlers.mycelia.js';
 import { useSystemHandlers } from '../../hooks/kernel-handlers/use-system-handlers.mycelia.js';
+import { useDeadLetterHandlers } from '../../hooks/kernel-handlers/use-dead-letter-handlers.mycelia.js';
+import { useDeliveryHandlers } from '../../hooks/kernel-handlers/use-delivery-handlers.mycelia.js';
+import { useErrorHandlers } from '../../hooks/kernel-handlers/use-error-handlers.mycelia.js';
+import { useChannelHandlers } from '../../hooks/kernel-handlers/use-channel-handlers.mycelia.js';
+import { useResponseHandlers } from '../../hooks/kernel-handlers/use-response-handlers.mycelia.js';
+import { useTransactionHandlers } from '../../hooks/kernel-handlers/use-transaction-handlers.mycelia.js';
+import { useTopicHandlers } from '../../hooks/kernel-handlers/use-topic-handlers.mycelia.js';
 import { KernelChildAccessors } from './kernel-child-accessors.mycelia.js';
 import { KernelRegistration } from './kernel-registration.mycelia.js';
 import { KernelProtectedMessaging } from './kernel-protected-messaging.mycelia.js';
@@ -13,6 +20,9 @@ import { KernelWrapper } from './kernel-wrapper.mycelia.js';
 import { Message } from '../message/message.mycelia.js';
 import { PRINCIPAL_KINDS } from '../security/security.utils.mycelia.js';
 import { KERNEL_ROUTES, createKernelHandlerMap } from './kernel.routes.def.mycelia.js';
+import { createPrincipalResolver } from './channel-manager-subsystem/channel-store.mycelia.js';
+import { RateLimiter } from '../security/rate-limiter.mycelia.js';
+import { initMessageContext } from '../../utils/message-context.utils.mycelia.js';
 
 /**
  * KernelSubsystem
@@ -28,12 +38,14 @@ export class KernelSubsystem extends BaseSubsystem {
   #childAccessors = null;
   #registration = null;
   #protectedMessaging = null;
+  #rateLimiter = null;
 
   /**
    * @param {string} name - Subsystem name (must be 'kernel')
    * @param {Object} options - Configuration options
    * @param {Object} options.ms - MessageSystem instance (required)
    * @param {Object} [options.config={}] - Configuration object
+   * @param {Object} [options.config.rateLimits] - Per-principal rate limits for sendProtected (see RateLimiter)
    * @param {boolean} [options.debug=false] - Enable debug logging
    */
   constructor(name = 'kernel', options = {}) {
@@ -54,6 +66,13 @@ export class KernelSubsystem extends BaseSubsystem {
     this.use(usePermissionHandlers);
     this.use(useProfileHandlers);
     this.use(useSystemHandlers);
+    this.use(useDeadLetterHandlers);
+    this.use(useDeliveryHandlers);
+    this.use(useErrorHandlers);
+    this.use(useChannelHandlers);
+    this.use(useResponseHandlers);
+    this.use(useTransactionHandlers);
+    this.use(useTopicHandlers);
     
     // Initialize helper modules (will be fully initialized after build)
     this.#childAccessors = new KernelChildAccessors(this);
@@ -110,19 +129,24 @@ export class KernelSubsystem extends BaseSubsystem {
    * Bootstrap the kernel subsystem.
    * 
    * Flow:
+   * 0) Load the async message context (initMessageContext)
    * 1) Build the subsystem (initializes all facets and hooks)
    * 2) Verify that hierarchy facet has been installed
    * 3) Child subsystems are automatically created and added by useKernelServices hook
    * 4) Child subsystems are automatically built by buildChildren()
    * 5) Wire identities for all child subsystems (access-control, error-manager, etc.)
-   * 6) Register kernel:// routes for resource and friend creation
-   * 7) Enable listeners if listeners hook is installed
-   * 8) Emit 'kernel://event/kernel-bootstapped' event if listeners are enabled
+   * 6) Restore persisted channels (owners and participants resolved via the PrincipalRegistry)
+   * 7) Register kernel:// routes for resource and friend creation
+   * 8) Enable listeners if listeners hook is installed
+   * 9) Emit 'kernel://event/kernel-bootstapped' event if listeners are enabled
    * 
    * @returns {Promise<void>}
    * @throws {Error} If hierarchy facet is not installed after build
    */
   async bootstrap(opts) {
+    // Message contexts must be available before the first message is handled
+    await initMessageContext();
+
     // Build the subsystem (this will run all hooks including useKernelServices)
     await this.build(opts);
     
@@ -134,6 +158,9 @@ export class KernelSubsystem extends BaseSubsystem {
     const registration = this.#getRegistration();
     registration.registerChildSubsystems(this, {});
     
+    // Restore persisted channels now that kernel child principals exist
+    await this.#restoreChannels();
+    
     // Register kernel:// routes for resource and friend creation
     this.#registerKernelRoutes();
     
@@ -155,6 +182,27 @@ export class KernelSubsystem extends BaseSubsystem {
     }
   }
 
+  /**
+   * Restore channels saved by the ChannelManagerSubsystem.
+   * Channels owned by subsystems that are registered later stay pending until
+   * registerSubsystem() creates their principals.
+   * @private
+   */
+  async #restoreChannels() {
+    const channelManager = this.getChannelManager();
+    const registry = this.getAccessControl()?.find?.('principals')?.registry;
+    if (!channelManager || typeof channelManager.restoreChannels !== 'function' || !registry) {
+      return;
+    }
+
+    try {
+      await channelManager.restoreChannels(createPrincipalResolver(registry));
+    } catch (error) {
+      // Channels can be re-registered by their owners; do not fail bootstrap
+      console.warn(`KernelSubsystem: failed to restore channels: ${error.message}`);
+    }
+  }
+
   /**
    * Register kernel:// routes for resource, friend, permission, profile, and system management.
    * Routes are defined in kernel.routes.def.mycelia.js
@@ -179,6 +227,13 @@ export class KernelSubsystem extends BaseSubsystem {
     const permissionHandlers = this.find('permissionHandlers');
     const profileHandlers = this.find('profileHandlers');
     const systemHandlers = this.find('systemHandlers');
+    const deadLetterHandlers = this.find('deadLetterHandlers');
+    const deliveryHandlers = this.find('deliveryHandlers');
+    const errorHandlers = this.find('errorHandlers');
+    const channelHandlers = this.find('channelHandlers');
+    const responseHandlers = this.find('responseHandlers');
+    const transactionHandlers = this.find('transactionHandlers');
+    const topicHandlers = this.find('topicHandlers');
 
     if (!resourceHandlers || !friendHandlers || !permissionHandlers || !profileHandlers || !systemHandlers) {
       if (this.debug) {
@@ -192,6 +247,13 @@ export class KernelSubsystem extends BaseSubsystem {
       permissionHandlers,
       profileHandlers,
       systemHandlers,
+      deadLetterHandlers,
+      deliveryHandlers,
+      errorHandlers,
+      channelHandlers,
+      responseHandlers,
+      transactionHandlers,
+      topicHandlers,
       createResourceHandler: (m, p, o) => this.#handleCreateResource(m, o),
       createFriendHandler: (m, p, o) => this.#handleCreateFriend(m, o)
     });
@@ -215,7 +277,8 @@ export class KernelSubsystem extends BaseSubsystem {
         {
           metadata: {
             description: routeDef.description,
-            ...routeDef.metadata
+            ...routeDef.metadata,
+            schema: routeDef.schema
           }
         }
       );
@@ -389,6 +452,46 @@ export class KernelSubsystem extends BaseSubsystem {
     return this.#childAccessors.getProfileRegistry();
   }
 
+  /**
+   * Get the dead-letter subsystem reference.
+   * 
+   * @returns {DeadLetterSubsystem|null} Dead-letter subsystem instance or null
+   */
+  getDeadLetterQueue() {
+    return this.#childAccessors.getDeadLetterQueue();
+  }
+
+  /**
+   * Get the transaction manager subsystem reference.
+   * 
+   * @returns {TransactionManagerSubsystem|null} Transaction manager subsystem instance or null
+   */
+  getTransactionManager() {
+    return this.#childAccessors.getTransactionManager();
+  }
+
+  /**
+   * Get the topic manager subsystem reference.
+   * 
+   * @returns {TopicManagerSubsystem|null} Topic manager subsystem instance or null
+   */
+  getTopicManager() {
+    return this.#childAccessors.getTopicManager();
+  }
+
+  /**
+   * Get the rate limiter applied to protected sends.
+   * Created on first use from `config.rateLimits`.
+   * 
+   * @returns {RateLimiter} Rate limiter instance
+   */
+  getRateLimiter() {
+    if (!this.#rateLimiter) {
+      this.#rateLimiter = new RateLimiter(this.ctx?.config?.rateLimits || {});
+    }
+    return this.#rateLimiter;
+  }
+
   /**
    * Register a subsystem with access control.
    * 
@@ -437,6 +540,9 @@ export class KernelSubsystem extends BaseSubsystem {
     const registration = this.#getRegistration();
     const subsystem = registration.registerSubsystem(subsystemInstance, options);
     
+    // The new principal may own (or participate in) restored channels
+    this.getChannelManager()?.resolvePendingChannels?.();
+    
     // Create a wrapper that exposes only specific methods
     const wrapper = KernelWrapper.create(subsystem);
     
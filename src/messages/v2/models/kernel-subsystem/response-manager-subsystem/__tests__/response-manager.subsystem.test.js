@@ -58,6 +58,7 @@ vi.mock('../../../../utils/logger.utils.mycelia.js', () => ({
 }));
 
 import { ResponseManagerSubsystem } from '../response-manager.subsystem.mycelia.js';
+import { handleQueryPendingResponses } from '../../handlers/kernel-handlers-response.mycelia.js';
 
 describe('ResponseManagerSubsystem', () => {
   beforeEach(() => {
@@ -91,6 +92,20 @@ describe('ResponseManagerSubsystem', () => {
     expect(result.pending.resolved).toBe(true);
   });
 
+  it('keeps streamed requests pending until the end marker', () => {
+    const rms = new ResponseManagerSubsystem('response-manager', { ms: {} });
+    const pending = rms.registerResponseRequiredFor(owner, message, { replyTo: 'kernel://reply', timeout: 1000 });
+
+    const chunk = rms.handleResponse({ body: { inReplyTo: 'msg-1', stream: { seq: 0, done: false }, chunk: 'a' } });
+    expect(chunk).toMatchObject({ ok: true, partial: true });
+    expect(pending.resolved).toBe(false);
+    expect(pending.startTimeout).toHaveBeenCalledTimes(2);
+
+    const end = rms.handleResponse({ body: { inReplyTo: 'msg-1', stream: { seq: 1, done: true } } });
+    expect(end.ok).toBe(true);
+    expect(pending.resolved).toBe(true);
+  });
+
   it('emits timeout responses via kernel', async () => {
     const rms = new ResponseManagerSubsystem('response-manager', { ms: {} });
     rms.registerResponseRequiredFor(owner, message, { replyTo: 'kernel://reply', timeout: 1000 });
@@ -111,8 +126,32 @@ describe('ResponseManagerSubsystem', () => {
     expect(rms.listAllPending()).toHaveLength(1);
     expect(rms.listPendingFor(owner)).toHaveLength(1);
     expect(rms.getReplyTo('msg-1')).toBe('kernel://reply');
+    expect(rms.isPending('msg-1')).toBe(true);
     rms.cancel('msg-1');
+    expect(rms.isPending('msg-1')).toBe(false);
     expect(rms.listAllPending()).toHaveLength(0);
   });
 });
 
+describe('pending response kernel handler', () => {
+  const owner = { uuid: 'owner' };
+  const kernel = {
+    identity: { pkr: { uuid: 'kernel' } },
+    getResponseManager: () => ({
+      listAllPending: () => [
+        { correlationId: 'a', ownerPkr: owner, replyTo: 'canvas://replies' },
+        { correlationId: 'b', ownerPkr: { uuid: 'other' }, replyTo: 'other://replies' },
+      ],
+    }),
+  };
+
+  it('lists the caller\'s pending responses, and all of them for the kernel', async () => {
+    expect(await handleQueryPendingResponses(kernel, {}, {}, { callerId: owner })).toEqual({
+      success: true,
+      count: 1,
+      pending: [{ correlationId: 'a', ownerPkrUuid: 'owner', replyTo: 'canvas://replies' }],
+    });
+    expect((await handleQueryPendingResponses(kernel, {}, {}, { callerId: kernel.identity.pkr })).count).toBe(2);
+    await expect(handleQueryPendingResponses(kernel, {}, {}, {})).rejects.toThrow(/callerId/);
+  });
+});
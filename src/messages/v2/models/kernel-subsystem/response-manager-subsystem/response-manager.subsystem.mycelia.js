@@ -97,13 +97,15 @@ export class ResponseManagerSubsystem extends BaseSubsystem {
   }
 
   /**
-   * Cancel a pending entry by correlationId (optional, if you ever support explicit cancels).
+   * Cancel a pending entry by correlationId (e.g. when the sender aborts the request).
    * 
    * @param {string} correlationId - Correlation ID to cancel
+   * @param {Object} [options={}] - Cancel options
+   * @param {PKR} [options.ownerPkr] - Only cancel an entry owned by this PKR
    * @returns {boolean} True if entry was found and cancelled, false otherwise
    * @throws {Error} If correlationId is invalid
    */
-  cancel(correlationId) {
+  cancel(correlationId, { ownerPkr } = {}) {
     if (typeof correlationId !== 'string' || !correlationId.trim()) {
       throw new Error(
         'ResponseManagerSubsystem.cancel: correlationId must be a non-empty string.'
@@ -112,6 +114,7 @@ export class ResponseManagerSubsystem extends BaseSubsystem {
 
     const pending = this.#pendingByCorrelation.get(correlationId);
     if (!pending) return false;
+    if (ownerPkr && pending.ownerPkr !== ownerPkr) return false;
 
     finalizeEntry(pending, this.#pendingByCorrelation, this.#pendingByOwner);
 
@@ -145,7 +148,8 @@ export class ResponseManagerSubsystem extends BaseSubsystem {
    * Kernel calls this *before* routing a response. This method:
    * - Looks up the correlationId
    * - Verifies that there is a pending entry
-   * - Marks it resolved and finalizes it
+   * - Marks it resolved and finalizes it (a streamed chunk only restarts the
+   *   timeout; the end marker resolves the entry)
    *
    * @param {Message} message - Response message
    * @param {Object} [options={}] - Options
@@ -153,6 +157,7 @@ export class ResponseManagerSubsystem extends BaseSubsystem {
    * @returns {Object} Result object with ok flag and pending entry or reason
    * @returns {boolean} result.ok - True if response was handled successfully
    * @returns {PendingResponse|undefined} result.pending - Pending entry if ok
+   * @returns {boolean|undefined} result.partial - True for a streamed chunk (entry still pending)
    * @returns {string|undefined} result.reason - Error reason if not ok
    */
   handleResponse(message, { correlationId } = {}) {
@@ -184,6 +189,15 @@ export class ResponseManagerSubsystem extends BaseSubsystem {
       return { ok: false, reason };
     }
 
+    // Streamed chunk (see response-stream): the request stays pending until the
+    // end marker, and the timeout restarts so it bounds the gap between chunks
+    const frame = message?.body?.stream;
+    if (frame && frame.done === false) {
+      pending.clearTimeout();
+      pending.startTimeout((entry) => this.#onTimeout(entry));
+      return { ok: true, pending, partial: true };
+    }
+
     pending.resolved = true;
     pending.clearTimeout();
     finalizeEntry(pending, this.#pendingByCorrelation, this.#pendingByOwner);
@@ -231,6 +245,21 @@ export class ResponseManagerSubsystem extends BaseSubsystem {
     return Array.from(set).map((entry) => entry.snapshot());
   }
 
+  /**
+   * Check whether a request is still waiting for its response
+   * 
+   * @param {string} correlationId - Correlation ID (typically the request's message.id)
+   * @returns {boolean} True if an unresolved pending entry exists
+   */
+  isPending(correlationId) {
+    if (typeof correlationId !== 'string' || !correlationId.trim()) {
+      return false;
+    }
+
+    const pending = this.#pendingByCorrelation.get(correlationId);
+    return !!pending && !pending.resolved;
+  }
+
   /**
    * Get the replyTo path for a pending response by correlationId
    * 
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ConsumerGroup } from '../consumer-group.mycelia.js';
+import { TopicSubscription } from '../topic.mycelia.js';
+
+const member = (name) => new TopicSubscription({
+  topic: 'orders',
+  subscriberPkr: { uuid: `pkr-${name}` },
+  subscriberName: name,
+  group: 'workers',
+});
+
+describe('ConsumerGroup', () => {
+  let group;
+  let a;
+  let b;
+
+  beforeEach(() => {
+    group = new ConsumerGroup({ topic: 'orders', name: 'workers', committed: 0, maxInFlight: 2, ackTimeout: 1000, maxAttempts: 2 });
+    a = member('a');
+    b = member('b');
+    group.addMember(a);
+    group.addMember(b);
+  });
+
+  it('hands each entry to one member, round-robin, up to maxInFlight', () => {
+    const claims = [];
+    let claim;
+    while ((claim = group.claim(10, new Set(), 0))) {
+      claims.push([claim.offset, claim.member.subscriberName]);
+    }
+
+    expect(claims).toEqual([[0, 'a'], [1, 'b'], [2, 'a'], [3, 'b']]);
+    expect(group.snapshot(10)).toMatchObject({ committed: 0, next: 4, inFlight: 4, statistics: { lag: 10 } });
+  });
+
+  it('commits acknowledged offsets in order', () => {
+    [0, 1, 2].forEach(() => group.claim(3));
+
+    group.ack(1);
+    expect(group.committed).toBe(0);
+    group.ack(0);
+    expect(group.committed).toBe(2);
+    expect(group.ack(0)).toBe(false);
+    expect(group.snapshot(3).statistics).toMatchObject({ messagesAcked: 2, lag: 1 });
+  });
+
+  it('redelivers nacked and timed-out entries, lowest offset first', () => {
+    group.claim(3, new Set(), 0);
+    group.claim(3, new Set(), 0);
+    group.nack(1);
+    expect(group.expire(999)).toBe(0);
+    expect(group.expire(1000)).toBe(1);
+
+    const first = group.claim(3, new Set(), 1000);
+    expect(first).toMatchObject({ offset: 0, attempt: 2, redelivery: true });
+    expect(group.claim(3, new Set(), 1000).offset).toBe(1);
+    expect(group.claim(3, new Set(), 1000).offset).toBe(2);
+    expect(group.statistics.getStats()).toMatchObject({ messagesNacked: 1, ackTimeouts: 1, messagesRedelivered: 2 });
+  });
+
+  it('drops entries after maxAttempts and when nacked without requeue', () => {
+    group.claim(2);
+    group.release(0);
+    group.claim(2);
+    group.release(0); // second attempt failed: dropped
+    group.claim(2); // offset 1
+    group.nack(1, false);
+
+    expect(group.committed).toBe(2);
+    expect(group.statistics.getStats()).toMatchObject({ messagesDropped: 2, deliveryFailures: 2 });
+  });
+
+  it('redelivers a removed member\'s entries to the others', () => {
+    group.claim(2); // 0 -> a
+    group.claim(2); // 1 -> b
+    group.removeMember(a.id);
+
+    const claim = group.claim(2);
+    expect(claim).toMatchObject({ offset: 0, redelivery: true });
+    expect(claim.member).toBe(b);
+  });
+
+  it('skips entries the log no longer retains', () => {
+    group.claim(10);
+    group.ack(0);
+
+    expect(group.skipTo(4)).toBe(3);
+    expect(group.committed).toBe(4);
+    expect(group.claim(10).offset).toBe(4);
+    expect(group.statistics.getStats().messagesSkipped).toBe(3);
+  });
+
+  it('excludes members and validates options', () => {
+    expect(group.claim(1, new Set([a.id, b.id]))).toBeNull();
+    expect(() => new ConsumerGroup({ topic: 'orders', name: 'x', ackTimeout: 0 })).toThrow(/ackTimeout/);
+    expect(() => new ConsumerGroup({ topic: 'orders', name: ' ' })).toThrow(/name/);
+  });
+});
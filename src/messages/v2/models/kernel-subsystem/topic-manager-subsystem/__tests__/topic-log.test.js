@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { TopicLog } from '../topic-log.mycelia.js';
+import { MemoryStorageBackend } from '../../../../hooks/storage/memory/memory-storage-backend.mycelia.js';
+
+describe.each([
+  ['in memory', () => null],
+  ['with a storage facet', () => new MemoryStorageBackend()],
+])('TopicLog (%s)', (_label, createStorage) => {
+  it('assigns increasing offsets per topic and reads from an offset', async () => {
+    const log = new TopicLog({ storage: createStorage() });
+
+    const first = await log.append('orders', { body: { n: 1 } });
+    await log.append('orders', { body: { n: 2 } });
+    await log.append('invoices', { body: { n: 3 } });
+
+    expect(first).toMatchObject({ offset: 0, topic: 'orders', body: { n: 1 } });
+    expect((await log.read('orders', 1)).map(entry => entry.body.n)).toEqual([2]);
+    expect(await log.getBounds('orders')).toEqual({ first: 0, next: 2 });
+    expect(await log.getBounds('invoices')).toEqual({ first: 0, next: 1 });
+  });
+
+  it('gives concurrent appends distinct offsets', async () => {
+    const log = new TopicLog({ storage: createStorage() });
+
+    const entries = await Promise.all([1, 2, 3].map(n => log.append('orders', { body: n })));
+
+    expect(entries.map(entry => entry.offset).sort()).toEqual([0, 1, 2]);
+  });
+
+  it('trims the oldest entries beyond the retention', async () => {
+    const log = new TopicLog({ storage: createStorage(), retention: 2 });
+
+    for (let n = 0; n < 5; n++) {
+      await log.append('orders', { body: n });
+    }
+
+    expect(await log.getBounds('orders')).toEqual({ first: 3, next: 5 });
+    expect((await log.read('orders', 0)).map(entry => entry.offset)).toEqual([3, 4]);
+    expect(await log.get('orders', 1)).toBeNull();
+  });
+
+  it('saves consumer group cursors', async () => {
+    const log = new TopicLog({ storage: createStorage() });
+
+    expect(await log.loadCursor('orders', 'billing')).toBeNull();
+    await log.saveCursor('orders', 'billing', { committed: 7 });
+
+    expect(await log.loadCursor('orders', 'billing')).toEqual({ committed: 7 });
+  });
+});
+
+describe('TopicLog persistence', () => {
+  it('resumes offsets and cursors from storage in a new instance', async () => {
+    const storage = new MemoryStorageBackend();
+    const before = new TopicLog({ storage });
+    await before.append('orders', { body: 'a' });
+    await before.append('orders', { body: 'b' });
+    await before.saveCursor('orders', 'billing', { committed: 1 });
+
+    const after = new TopicLog({ storage });
+
+    expect(after.isPersistent()).toBe(true);
+    expect(await after.loadCursor('orders', 'billing')).toEqual({ committed: 1 });
+    expect((await after.append('orders', { body: 'c' })).offset).toBe(2);
+    expect((await after.read('orders', 1)).map(entry => entry.body)).toEqual(['b', 'c']);
+  });
+
+  it('rejects an invalid retention', () => {
+    expect(() => new TopicLog({ retention: 0 })).toThrow(/retention/);
+  });
+});
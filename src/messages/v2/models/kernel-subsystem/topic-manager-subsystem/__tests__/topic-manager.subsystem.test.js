@@ -0,0 +1,359 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const hoisted = vi.hoisted(() => {
+  class BaseSubsystemMock {
+    constructor(name, options = {}) {
+      this.name = name;
+      this.options = options;
+    }
+  }
+
+  const logger = {
+    log: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  };
+
+  return { BaseSubsystemMock, logger };
+});
+
+vi.mock('../../../base-subsystem/base.subsystem.mycelia.js', () => ({
+  BaseSubsystem: hoisted.BaseSubsystemMock,
+}));
+
+vi.mock('../../../../utils/logger.utils.mycelia.js', () => ({
+  createSubsystemLogger: vi.fn(() => hoisted.logger),
+}));
+
+import { TopicManagerSubsystem } from '../topic-manager.subsystem.mycelia.js';
+import { Topic, getTopicPath, isValidTopicName } from '../topic.mycelia.js';
+import * as TopicHandlers from '../../handlers/kernel-handlers-topic.mycelia.js';
+import { Message } from '../../../message/message.mycelia.js';
+import { MemoryStorageBackend } from '../../../../hooks/storage/memory/memory-storage-backend.mycelia.js';
+
+const orders = { uuid: 'pkr-orders' };
+const billing = { uuid: 'pkr-billing' };
+const shipping = { uuid: 'pkr-shipping' };
+
+/**
+ * ACL stand-in: the owner can read and write, other PKRs as granted
+ */
+const createRws = (owner, { readers = [], writers = [] } = {}) => {
+  const read = new Set(readers.map(pkr => pkr.uuid));
+  const write = new Set(writers.map(pkr => pkr.uuid));
+  return {
+    canRead: (pkr) => pkr.uuid === owner.uuid || read.has(pkr.uuid) || write.has(pkr.uuid),
+    canWrite: (pkr) => pkr.uuid === owner.uuid || write.has(pkr.uuid),
+    addReader: vi.fn((granter, grantee) => granter.uuid === owner.uuid && !!read.add(grantee.uuid)),
+    removeReader: vi.fn((granter, grantee) => granter.uuid === owner.uuid && read.delete(grantee.uuid)),
+  };
+};
+
+const createTopic = (manager, name = 'orders/created', acl = {}) =>
+  manager.createTopic({ name, ownerPkr: orders, rws: createRws(orders, acl) });
+
+describe('Topic', () => {
+  it('validates names and builds encoded route paths', () => {
+    expect(isValidTopicName('orders/created')).toBe(true);
+    expect(isValidTopicName('orders/*')).toBe(false);
+    expect(isValidTopicName('kernel://x')).toBe(false);
+    expect(() => new Topic({ name: 'orders/{id}', ownerPkr: orders, rws: createRws(orders) })).toThrow(/invalid topic name/);
+    expect(getTopicPath('publish', 'orders/created')).toBe('kernel://publish/topic/orders%2Fcreated');
+  });
+
+  it('treats ACL errors as no access', () => {
+    const topic = new Topic({
+      name: 'orders',
+      ownerPkr: orders,
+      rws: { canRead: () => { throw new Error('unknown PKR'); }, canWrite: () => true },
+    });
+    expect(topic.canSubscribe(billing)).toBe(false);
+    expect(topic.canPublish(billing)).toBe(true);
+  });
+});
+
+describe('TopicManagerSubsystem', () => {
+  let manager;
+  let dispatch;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    manager = new TopicManagerSubsystem('topic-manager', { ms: {} });
+    dispatch = vi.fn(async () => ({ success: true }));
+  });
+
+  it('creates unique topics and deletes their exact subscriptions', () => {
+    createTopic(manager, 'orders/created', { readers: [billing] });
+    expect(() => createTopic(manager, 'orders/created')).toThrow(/already exists/);
+
+    manager.subscribe({ topic: 'orders/created', subscriberPkr: billing, subscriberName: 'billing' });
+    manager.subscribe({ topic: 'orders/*', subscriberPkr: billing, subscriberName: 'billing' });
+
+    expect(manager.deleteTopic('orders/created')).toBe(true);
+    expect(manager.listSubscriptions().map(s => s.topic)).toEqual(['orders/*']);
+    expect(manager.deleteTopic('orders/created')).toBe(false);
+  });
+
+  it('checks read access when subscribing to a topic name', () => {
+    createTopic(manager, 'orders/created', { readers: [billing] });
+
+    expect(manager.subscribe({ topic: 'orders/created', subscriberPkr: shipping, subscriberName: 'shipping' }))
+      .toEqual({ success: false, error: 'Access denied: cannot read topic "orders/created"' });
+    expect(manager.subscribe({ topic: 'orders/missing', subscriberPkr: billing, subscriberName: 'billing' }))
+      .toMatchObject({ success: false, error: 'Topic "orders/missing" not found' });
+
+    const first = manager.subscribe({ topic: 'orders/created', subscriberPkr: billing, subscriberName: 'billing' });
+    const again = manager.subscribe({ topic: 'orders/created', subscriberPkr: billing, subscriberName: 'billing' });
+    expect(first).toMatchObject({ success: true, existing: false });
+    expect(again).toMatchObject({ success: true, existing: true });
+    expect(again.subscription).toBe(first.subscription);
+  });
+
+  it('fans a published message out to exact and pattern subscribers', async () => {
+    createTopic(manager, 'orders/created', { readers: [billing, shipping] });
+    const exact = manager.subscribe({ topic: 'orders/created', subscriberPkr: billing, subscriberName: 'billing' }).subscription;
+    manager.subscribe({ topic: 'orders/**', subscriberPkr: shipping, subscriberName: 'shipping', deliverTo: 'shipping://events/orders' });
+    manager.subscribe({ topic: 'invoices/*', subscriberPkr: shipping, subscriberName: 'shipping' });
+
+    const published = new Message('kernel://publish/topic/orders%2Fcreated', { orderId: 42 });
+    const result = await manager.publish(orders, 'orders/created', published, dispatch);
+
+    expect(result).toMatchObject({ success: true, topic: 'orders/created', delivered: 2, denied: 0, failed: 0 });
+    expect(dispatch.mock.calls.map(([copy]) => copy.getPath())).toEqual([
+      'billing://topic/orders/created',
+      'shipping://events/orders',
+    ]);
+    const [copy, options] = dispatch.mock.calls[0];
+    expect(copy.getBody()).toEqual({ orderId: 42 });
+    expect(copy.meta.getTraceId()).toBe(published.meta.getTraceId());
+    expect(options).toEqual({ topic: { name: 'orders/created', subscriptionId: exact.id, publishedBy: 'pkr-orders' } });
+    expect(manager.getTopic('orders/created').published).toBe(1);
+  });
+
+  it('checks write access on publish and read access per subscriber on delivery', async () => {
+    createTopic(manager, 'orders/created');
+    // Pattern subscriptions are accepted without access; the topic ACL decides per message
+    manager.subscribe({ topic: 'orders/*', subscriberPkr: shipping, subscriberName: 'shipping' });
+
+    expect(await manager.publish(billing, 'orders/created', new Message('kernel://x', {}), dispatch))
+      .toEqual({ success: false, error: 'Access denied: cannot publish to topic "orders/created"' });
+
+    const result = await manager.publish(orders, 'orders/created', new Message('kernel://x', {}), dispatch);
+    expect(result).toMatchObject({ success: true, delivered: 0, denied: 1 });
+    expect(result.deliveries[0]).toMatchObject({ path: 'shipping://topic/orders/created', denied: true });
+    expect(dispatch).not.toHaveBeenCalled();
+  });
+
+  it('reports failed deliveries without stopping the others', async () => {
+    createTopic(manager, 'orders/created', { readers: [billing, shipping] });
+    manager.subscribe({ topic: 'orders/created', subscriberPkr: billing, subscriberName: 'billing' });
+    manager.subscribe({ topic: 'orders/created', subscriberPkr: shipping, subscriberName: 'shipping' });
+    dispatch.mockRejectedValueOnce(new Error('Subsystem not found: billing'));
+
+    const result = await manager.publish(orders, 'orders/created', new Message('kernel://x', {}), dispatch);
+
+    expect(result).toMatchObject({ delivered: 1, failed: 1 });
+    expect(result.deliveries[0]).toMatchObject({ success: false, error: 'Subsystem not found: billing' });
+  });
+
+  it('unsubscribes only the caller\'s subscriptions', () => {
+    createTopic(manager, 'orders/created', { readers: [billing, shipping] });
+    manager.subscribe({ topic: 'orders/created', subscriberPkr: billing, subscriberName: 'billing' });
+    manager.subscribe({ topic: 'orders/created', subscriberPkr: shipping, subscriberName: 'shipping' });
+
+    expect(manager.unsubscribe(billing, { topic: 'orders/created' })).toBe(1);
+    expect(manager.listSubscriptions().map(s => s.subscriberPkrUuid)).toEqual(['pkr-shipping']);
+    expect(manager.getStatus()).toMatchObject({ count: 1, subscriptions: 1, topics: [{ name: 'orders/created', subscribers: 1 }] });
+  });
+});
+
+describe('topic kernel handlers', () => {
+  let manager;
+  let kernel;
+
+  beforeEach(() => {
+    manager = new TopicManagerSubsystem('topic-manager', { ms: {} });
+    const subsystems = [
+      { name: 'billing', identity: { pkr: billing } },
+      { name: 'orders', identity: { pkr: orders } },
+    ];
+    kernel = {
+      identity: { pkr: { uuid: 'kernel' } },
+      messageSystem: { find: () => ({ values: () => subsystems }) },
+      getTopicManager: () => manager,
+      sendProtected: vi.fn(async () => ({ success: true })),
+    };
+  });
+
+  const call = (handler, path, body, callerId, params) =>
+    TopicHandlers[handler](kernel, new Message(path, body), params, { callerId });
+
+  it('delivers to the subscriber\'s own subsystem only', async () => {
+    createTopic(manager, 'orders/created', { readers: [billing] });
+    const params = { name: encodeURIComponent('orders/created') };
+
+    expect(await call('handleSubscribeTopic', 'kernel://subscribe/topic/x', { deliverTo: 'orders://inbox' }, billing, params))
+      .toMatchObject({ success: false, error: expect.stringContaining('deliverTo must be a path of the subscribing subsystem') });
+
+    const subscribed = await call('handleSubscribeTopic', 'kernel://subscribe/topic/x', {}, billing, params);
+    expect(subscribed).toMatchObject({ success: true, deliverTo: 'billing://topic/orders/created' });
+  });
+
+  it('publishes through kernel.sendProtected on behalf of the publisher', async () => {
+    createTopic(manager, 'orders/created', { readers: [billing] });
+    const params = { name: encodeURIComponent('orders/created') };
+    await call('handleSubscribeTopic', 'kernel://subscribe/topic/x', {}, billing, params);
+
+    const result = await call('handlePublishTopic', 'kernel://publish/topic/x', { orderId: 7 }, orders, params);
+
+    expect(result).toMatchObject({ success: true, delivered: 1 });
+    const [pkr, copy, options] = kernel.sendProtected.mock.calls[0];
+    expect(pkr).toBe(orders);
+    expect(copy.getPath()).toBe('billing://topic/orders/created');
+    expect(options.topic.name).toBe('orders/created');
+  });
+
+  it('only lets the owner delete a topic and lists readable topics', async () => {
+    createTopic(manager, 'orders/created');
+    createTopic(manager, 'orders/shipped', { readers: [billing] });
+    const params = { name: encodeURIComponent('orders/created') };
+
+    expect(await call('handleDeleteTopic', 'kernel://delete/topic/x', {}, billing, params))
+      .toEqual({ success: false, error: 'Access denied: not topic owner' });
+
+    const listed = await call('handleQueryTopics', 'kernel://query/topics', {}, billing, {});
+    expect(listed.topics.map(topic => topic.name)).toEqual(['orders/shipped']);
+    expect(listed.topics[0].canPublish).toBe(false);
+
+    expect(await call('handleDeleteTopic', 'kernel://delete/topic/x', {}, orders, params)).toEqual({ success: true, name: 'orders/created' });
+  });
+
+  it('grants access through the topic ACL', async () => {
+    const topic = createTopic(manager, 'orders/created');
+    const params = { name: encodeURIComponent('orders/created') };
+
+    expect(await call('handleGrantTopic', 'kernel://grant/topic/x', { granteePkr: billing, permission: 'read' }, shipping, params))
+      .toMatchObject({ success: false });
+    expect(await call('handleGrantTopic', 'kernel://grant/topic/x', { granteePkr: billing, permission: 'read' }, orders, params))
+      .toEqual({ success: true, name: 'orders/created', permission: 'read' });
+    expect(topic.canSubscribe(billing)).toBe(true);
+  });
+});
+
+describe('TopicManagerSubsystem durable topics', () => {
+  let manager;
+  let dispatch;
+
+  const publish = (body) => manager.publish(orders, 'orders/created', new Message('kernel://x', body), dispatch);
+  const join = (pkr, subscriberName, extra = {}) => manager.subscribeDurable({
+    topic: 'orders/created', subscriberPkr: pkr, subscriberName, dispatch, ...extra,
+  });
+  const delivered = () => dispatch.mock.calls.map(([copy, options]) => [copy.getBody(), options.topic.offset, copy.getPath()]);
+
+  beforeEach(() => {
+    manager = new TopicManagerSubsystem('topic-manager', { ms: {}, config: { maxInFlight: 1 } });
+    dispatch = vi.fn(async () => ({ success: true }));
+    manager.createTopic({
+      name: 'orders/created', ownerPkr: orders, rws: createRws(orders, { readers: [billing, shipping] }), durable: true,
+    });
+  });
+
+  it('logs published messages and lets a new group catch up from the earliest offset', async () => {
+    expect((await publish('a')).offset).toBe(0);
+    await publish('b');
+
+    const result = await join(billing, 'billing', { from: 'earliest' });
+
+    expect(result).toMatchObject({ success: true, existing: false, group: { name: 'billing', committed: 0, statistics: { lag: 2 } } });
+    expect(delivered()).toEqual([['a', 0, 'billing://topic/orders/created']]);
+    expect(dispatch.mock.calls[0][1].topic).toMatchObject({ group: 'billing', attempt: 1, publishedBy: 'pkr-orders' });
+
+    await manager.ack(billing, { topic: 'orders/created', group: 'billing', offset: 0 }, dispatch);
+    expect(delivered().map(([body]) => body)).toEqual(['a', 'b']);
+  });
+
+  it('starts new groups at the end of the log by default', async () => {
+    await publish('old');
+    await join(billing, 'billing');
+    await publish('new');
+
+    expect(delivered().map(([body]) => body)).toEqual(['new']);
+  });
+
+  it('delivers each entry to one member of a group', async () => {
+    await join(billing, 'billing-1', { group: 'billing' });
+    await join(shipping, 'billing-2', { group: 'billing' });
+
+    await publish('a');
+    await publish('b');
+    await publish('c');
+
+    expect(delivered().map(([body, , path]) => [body, path])).toEqual([
+      ['a', 'billing-1://topic/orders/created'],
+      ['b', 'billing-2://topic/orders/created'],
+    ]);
+    const [group] = await manager.getConsumerGroups({ topic: 'orders/created' });
+    expect(group).toMatchObject({ committed: 0, inFlight: 2, statistics: { lag: 3 } });
+  });
+
+  it('only accepts acks from the member the entry was delivered to', async () => {
+    await join(billing, 'billing');
+    await publish('a');
+
+    expect(await manager.ack(shipping, { topic: 'orders/created', group: 'billing', offset: 0 }, dispatch))
+      .toMatchObject({ success: false, error: expect.stringContaining('another member') });
+    expect(await manager.ack(billing, { topic: 'orders/created', group: 'billing', offset: 0 }, dispatch))
+      .toEqual({ success: true, committed: 1 });
+    expect(await manager.ack(billing, { topic: 'orders/created', group: 'billing', offset: 0 }, dispatch))
+      .toMatchObject({ success: false, error: 'Offset 0 is not in flight' });
+  });
+
+  it('redelivers to a rebuilt subscriber that rejoins with a new PKR', async () => {
+    await join(billing, 'billing');
+    dispatch.mockRejectedValue(new Error('Subsystem not found: billing'));
+    await publish('a');
+    await publish('b'); // retries 'a' once more
+    expect(delivered().map(([body]) => body)).toEqual(['a', 'a']);
+
+    const rebuilt = { uuid: 'pkr-billing-2' };
+    manager.getTopic('orders/created').rws.addReader(orders, rebuilt);
+    dispatch.mockResolvedValue({ success: true });
+    const result = await join(rebuilt, 'billing');
+
+    expect(result.group.members).toEqual([expect.objectContaining({ subscriberPkrUuid: 'pkr-billing-2' })]);
+    expect(delivered()[2]).toEqual(['a', 0, 'billing://topic/orders/created']);
+    expect(dispatch.mock.calls[2][1].topic.attempt).toBe(3);
+    expect(manager.listSubscriptions()).toHaveLength(1);
+  });
+
+  it('resumes a group from its saved offset after a restart', async () => {
+    const storage = new MemoryStorageBackend();
+    const create = () => {
+      const instance = new TopicManagerSubsystem('topic-manager', { ms: {}, config: { storage } });
+      instance.createTopic({ name: 'orders/created', ownerPkr: orders, rws: createRws(orders, { readers: [billing] }), durable: true });
+      return instance;
+    };
+
+    manager = create();
+    await join(billing, 'billing');
+    await publish('a');
+    await manager.ack(billing, { topic: 'orders/created', group: 'billing', offset: 0 }, dispatch);
+    await publish('b'); // delivered, never acknowledged
+    await manager.dispose();
+
+    manager = create();
+    dispatch.mockClear();
+    await publish('c');
+    await join(billing, 'billing');
+
+    expect(delivered().map(([body, offset]) => [body, offset])).toEqual([['b', 1], ['c', 2]]);
+  });
+
+  it('rejects durable subscriptions to patterns and non-durable topics', async () => {
+    manager.createTopic({ name: 'orders/shipped', ownerPkr: orders, rws: createRws(orders, { readers: [billing] }) });
+
+    await expect(join(billing, 'billing', { topic: 'orders/*' })).rejects.toThrow(/cannot use patterns/);
+    expect(await join(billing, 'billing', { topic: 'orders/shipped' }))
+      .toEqual({ success: false, error: 'Topic "orders/shipped" is not durable' });
+  });
+});
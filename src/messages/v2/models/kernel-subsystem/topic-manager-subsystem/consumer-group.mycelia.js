@@ -0,0 +1,354 @@
+import { ConsumerStatistics } from '../../../hooks/statistics/consumer-statistics.mycelia.js';
+
+/**
+ * ConsumerGroup Class
+ *
+ * Delivery state of one named consumer group on a durable topic. Members are
+ * durable TopicSubscriptions; each log entry is handed to one member at a time
+ * (round-robin among members with free capacity) and stays in flight until the
+ * member acknowledges it.
+ *
+ * Positions:
+ * - `committed`: every offset below it has been acknowledged (or given up on);
+ *   this is what is saved and where a restarted group resumes
+ * - `next`: the next offset that has never been handed out
+ *
+ * Entries that are nacked, not acknowledged within `ackTimeout`, or could not
+ * be dispatched are redelivered (lowest offset first) until `maxAttempts` is
+ * reached, after which they are dropped.
+ *
+ * @example
+ * const group = new ConsumerGroup({ topic: 'orders/created', name: 'billing', committed: 0 });
+ * group.addMember(subscription);
+ * const claim = group.claim(logNext); // { offset, member, attempt, redelivery }
+ * group.ack(claim.offset);
+ */
+export class ConsumerGroup {
+  #members = new Map(); // subscription id -> TopicSubscription
+  #inFlight = new Map(); // offset -> { offset, memberId, attempt, deliveredAt }
+  #attempts = new Map(); // offset -> delivery attempts so far (in flight or waiting for redelivery)
+  #redeliver = []; // offsets waiting for redelivery, ascending
+  #done = new Set(); // offsets >= committed that are acknowledged or dropped
+  #cursor = 0; // round-robin position
+
+  /**
+   * Create a new ConsumerGroup
+   *
+   * @param {Object} params - Group parameters
+   * @param {string} params.topic - Topic name
+   * @param {string} params.name - Group name
+   * @param {number} [params.committed=0] - Offset to resume from
+   * @param {number} [params.maxInFlight=10] - Maximum unacknowledged entries per member
+   * @param {number} [params.ackTimeout=30000] - Milliseconds before an unacknowledged entry is redelivered
+   * @param {number} [params.maxAttempts=5] - Delivery attempts before an entry is dropped
+   * @param {boolean} [params.debug=false] - Enable debug logging for statistics
+   */
+  constructor({ topic, name, committed = 0, maxInFlight = 10, ackTimeout = 30000, maxAttempts = 5, debug = false } = {}) {
+    if (typeof topic !== 'string' || !topic) {
+      throw new Error('ConsumerGroup: topic is required.');
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('ConsumerGroup: name must be a non-empty string.');
+    }
+    for (const [option, value] of Object.entries({ maxInFlight, ackTimeout, maxAttempts })) {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 1) {
+        throw new TypeError(`ConsumerGroup: ${option} must be a positive number`);
+      }
+    }
+    if (!Number.isInteger(committed) || committed < 0) {
+      throw new TypeError('ConsumerGroup: committed must be a non-negative integer');
+    }
+
+    this.topic = topic;
+    this.name = name.trim();
+    this.committed = committed;
+    this.next = committed;
+    this.maxInFlight = maxInFlight;
+    this.ackTimeout = ackTimeout;
+    this.maxAttempts = maxAttempts;
+    this.statistics = new ConsumerStatistics(debug);
+    this.createdAt = new Date();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Members
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Add a member
+   *
+   * @param {TopicSubscription} subscription - Durable subscription of this group
+   */
+  addMember(subscription) {
+    this.#members.set(subscription.id, subscription);
+  }
+
+  /**
+   * Remove a member; its in-flight entries are queued for redelivery to the others
+   *
+   * @param {string} id - Subscription ID
+   * @returns {boolean} True if the member existed
+   */
+  removeMember(id) {
+    if (!this.#members.delete(id)) {
+      return false;
+    }
+    for (const flight of [...this.#inFlight.values()]) {
+      if (flight.memberId === id) {
+        this.#inFlight.delete(flight.offset);
+        this.#queueRedelivery(flight.offset);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Get a member
+   *
+   * @param {string} id - Subscription ID
+   * @returns {TopicSubscription|null}
+   */
+  getMember(id) {
+    return this.#members.get(id) || null;
+  }
+
+  /**
+   * List members
+   *
+   * @returns {Array<TopicSubscription>}
+   */
+  listMembers() {
+    return Array.from(this.#members.values());
+  }
+
+  // ---------------------------------------------------------------------------
+  // Delivery
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Hand the next entry to a member with free capacity
+   *
+   * Entries waiting for redelivery go first, then new entries below `logNext`.
+   *
+   * @param {number} logNext - Next offset the log will assign (end of the log)
+   * @param {Set<string>} [exclude] - Member IDs to skip (e.g. whose delivery just failed)
+   * @param {number} [now=Date.now()] - Current time in epoch milliseconds
+   * @returns {{offset: number, member: TopicSubscription, attempt: number, redelivery: boolean}|null}
+   *   The claim, or null if nothing is pending or no member has capacity
+   */
+  claim(logNext, exclude = new Set(), now = Date.now()) {
+    const hasRedelivery = this.#redeliver.length > 0;
+    if (!hasRedelivery && this.next >= logNext) {
+      return null;
+    }
+
+    const member = this.#pickMember(exclude);
+    if (!member) {
+      return null;
+    }
+
+    const offset = hasRedelivery ? this.#redeliver.shift() : this.next++;
+    const attempt = (this.#attempts.get(offset) || 0) + 1;
+    this.#attempts.set(offset, attempt);
+    this.#inFlight.set(offset, { offset, memberId: member.id, attempt, deliveredAt: now });
+    this.statistics.recordDelivered(attempt > 1);
+
+    return { offset, member, attempt, redelivery: attempt > 1 };
+  }
+
+  /**
+   * Get the in-flight record of an offset
+   *
+   * @param {number} offset - Entry offset
+   * @returns {Object|null} `{ offset, memberId, attempt, deliveredAt }` or null
+   */
+  getInFlight(offset) {
+    return this.#inFlight.get(offset) || null;
+  }
+
+  /**
+   * Acknowledge an in-flight entry
+   *
+   * @param {number} offset - Entry offset
+   * @returns {boolean} True if the entry was in flight
+   */
+  ack(offset) {
+    if (!this.#inFlight.delete(offset)) {
+      return false;
+    }
+    this.statistics.recordAcked();
+    this.#finish(offset);
+    return true;
+  }
+
+  /**
+   * Reject an in-flight entry
+   *
+   * @param {number} offset - Entry offset
+   * @param {boolean} [requeue=true] - Redeliver the entry (until maxAttempts), or drop it
+   * @returns {boolean} True if the entry was in flight
+   */
+  nack(offset, requeue = true) {
+    if (!this.#inFlight.delete(offset)) {
+      return false;
+    }
+    this.statistics.recordNacked();
+    if (requeue) {
+      this.#queueRedelivery(offset);
+    } else {
+      this.drop(offset);
+    }
+    return true;
+  }
+
+  /**
+   * Return an entry whose dispatch failed to the redelivery queue
+   *
+   * @param {number} offset - Entry offset
+   * @returns {boolean} True if the entry was in flight
+   */
+  release(offset) {
+    if (!this.#inFlight.delete(offset)) {
+      return false;
+    }
+    this.statistics.recordDeliveryFailure();
+    this.#queueRedelivery(offset);
+    return true;
+  }
+
+  /**
+   * Give up on an entry (counts as consumed)
+   *
+   * @param {number} offset - Entry offset
+   */
+  drop(offset) {
+    this.#inFlight.delete(offset);
+    this.#redeliver = this.#redeliver.filter(pending => pending !== offset);
+    this.statistics.recordDropped();
+    this.#finish(offset);
+  }
+
+  /**
+   * Queue entries that were not acknowledged in time for redelivery
+   *
+   * @param {number} [now=Date.now()] - Current time in epoch milliseconds
+   * @returns {number} Number of entries expired
+   */
+  expire(now = Date.now()) {
+    let expired = 0;
+    for (const flight of [...this.#inFlight.values()]) {
+      if (flight.deliveredAt + this.ackTimeout <= now) {
+        this.#inFlight.delete(flight.offset);
+        this.statistics.recordAckTimeout();
+        this.#queueRedelivery(flight.offset);
+        expired++;
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Move past entries that the log no longer retains
+   *
+   * @param {number} first - First offset still retained by the log
+   * @returns {number} Number of unconsumed entries skipped
+   */
+  skipTo(first) {
+    if (this.committed >= first) {
+      return 0;
+    }
+
+    let skipped = first - this.committed;
+    for (const offset of [...this.#done]) {
+      if (offset < first) {
+        this.#done.delete(offset);
+        skipped--;
+      }
+    }
+    for (const offset of [...this.#inFlight.keys(), ...this.#attempts.keys()]) {
+      if (offset < first) {
+        this.#inFlight.delete(offset);
+        this.#attempts.delete(offset);
+      }
+    }
+    this.#redeliver = this.#redeliver.filter(offset => offset >= first);
+    this.committed = first;
+    this.next = Math.max(this.next, first);
+    while (this.#done.delete(this.committed)) {
+      this.committed++;
+    }
+
+    if (skipped > 0) {
+      this.statistics.recordSkipped(skipped);
+    }
+    return skipped;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Introspection
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Get a snapshot of the group
+   *
+   * @param {number} [logNext] - End of the log, to include the lag
+   * @returns {Object} Group data and statistics
+   */
+  snapshot(logNext) {
+    return {
+      topic: this.topic,
+      name: this.name,
+      committed: this.committed,
+      next: this.next,
+      inFlight: this.#inFlight.size,
+      pendingRedelivery: this.#redeliver.length,
+      members: this.listMembers().map(member => ({
+        subscriptionId: member.id,
+        subscriberPkrUuid: member.subscriberPkrUuid,
+        subscriberName: member.subscriberName,
+        inFlight: this.#memberInFlight(member.id)
+      })),
+      statistics: this.statistics.getStats(
+        logNext === undefined ? undefined : { committed: this.committed, next: logNext }
+      ),
+      createdAt: this.createdAt
+    };
+  }
+
+  #pickMember(exclude) {
+    const members = this.listMembers();
+    for (let i = 0; i < members.length; i++) {
+      const member = members[(this.#cursor + i) % members.length];
+      if (!exclude.has(member.id) && this.#memberInFlight(member.id) < this.maxInFlight) {
+        this.#cursor = (this.#cursor + i + 1) % members.length;
+        return member;
+      }
+    }
+    return null;
+  }
+
+  #memberInFlight(memberId) {
+    let count = 0;
+    for (const flight of this.#inFlight.values()) {
+      if (flight.memberId === memberId) count++;
+    }
+    return count;
+  }
+
+  #queueRedelivery(offset) {
+    if ((this.#attempts.get(offset) || 0) >= this.maxAttempts) {
+      this.drop(offset);
+      return;
+    }
+    const index = this.#redeliver.findIndex(pending => pending > offset);
+    this.#redeliver.splice(index === -1 ? this.#redeliver.length : index, 0, offset);
+  }
+
+  #finish(offset) {
+    this.#attempts.delete(offset);
+    this.#done.add(offset);
+    while (this.#done.delete(this.committed)) {
+      this.committed++;
+    }
+  }
+}
@@ -0,0 +1,278 @@
+/**
+ * TopicLog Class
+ *
+ * Append-only, per-topic message log for durable topics, plus the committed
+ * offsets of their consumer groups.
+ *
+ * Entries live in a storage facet (useMemoryStorage, useSQLiteStorage, ...)
+ * when one is provided, so that a restarted kernel resumes offsets and
+ * consumers can catch up on what was published while they were down. Without
+ * a storage facet everything is kept in memory.
+ *
+ * Offsets start at 0 and increase by one per entry. Each topic keeps at most
+ * `retention` entries; older entries are removed from the head.
+ *
+ * Entry shape:
+ * ```
+ * { offset, topic, body, messageId, traceId, publishedBy, publishedAt }
+ * ```
+ *
+ * @example
+ * const log = new TopicLog({ storage: subsystem.find('storage'), retention: 1000 });
+ * const entry = await log.append('orders/created', { body: { orderId: 42 } });
+ * const entries = await log.read('orders/created', entry.offset, 10);
+ */
+export class TopicLog {
+  #heads = new Map(); // topic -> { first, next } (cached; persisted under HEAD_KEY)
+  #entries = new Map(); // topic -> Map(offset -> entry) (used when no storage facet is available)
+  #cursors = new Map(); // cursor key -> state (used when no storage facet is available)
+  #getStorage;
+  #namespace;
+  #retention;
+
+  /**
+   * @param {Object} [options={}] - Log options
+   * @param {Object|Function|null} [options.storage=null] - Storage facet, or a function returning it
+   * @param {string} [options.namespace='topic-log'] - Storage namespace prefix
+   * @param {number} [options.retention=10000] - Maximum entries kept per topic (oldest removed first)
+   */
+  constructor(options = {}) {
+    const { storage = null, namespace = 'topic-log', retention = 10000 } = options;
+
+    if (typeof retention !== 'number' || !Number.isFinite(retention) || retention < 1) {
+      throw new TypeError('TopicLog: retention must be a positive number');
+    }
+
+    this.#getStorage = typeof storage === 'function' ? storage : () => storage;
+    this.#namespace = namespace;
+    this.#retention = retention;
+  }
+
+  /**
+   * Whether entries are kept in a storage facet (vs. in memory)
+   * @returns {boolean}
+   */
+  isPersistent() {
+    return this.#storage() !== null;
+  }
+
+  /**
+   * Get the retained offset range of a topic
+   *
+   * @param {string} topic - Topic name
+   * @returns {Promise<{first: number, next: number}>} First retained offset and the next offset to assign
+   */
+  async getBounds(topic) {
+    const head = await this.#head(topic);
+    return { ...head };
+  }
+
+  /**
+   * Append an entry to a topic's log
+   *
+   * @param {string} topic - Topic name
+   * @param {Object} record - Entry data (body, messageId, traceId, publishedBy)
+   * @param {number} [retention] - Per-topic retention (defaults to the log's retention)
+   * @returns {Promise<Object>} Stored entry, with its offset
+   * @throws {Error} If the storage facet rejects the entry
+   */
+  async append(topic, record, retention = this.#retention) {
+    const head = await this.#head(topic);
+    // Reserve the offset (and trim) synchronously so concurrent appends get distinct offsets
+    const entry = {
+      ...record,
+      offset: head.next++,
+      topic,
+      publishedAt: record.publishedAt ?? Date.now()
+    };
+    const trimmed = [];
+    while (head.next - head.first > retention) {
+      trimmed.push(head.first++);
+    }
+
+    const storage = this.#storage();
+    if (storage) {
+      const result = await storage.set(this.#entryKey(topic, entry.offset), entry, { namespace: this.#namespace });
+      if (result && result.success === false) {
+        throw result.error || new Error(`TopicLog: failed to append to topic "${topic}"`);
+      }
+    } else {
+      this.#topicEntries(topic).set(entry.offset, entry);
+    }
+
+    if (trimmed.length > 0) {
+      await this.#remove(topic, trimmed);
+    }
+    await this.#saveHead(topic, head);
+
+    return entry;
+  }
+
+  /**
+   * Read entries starting at an offset
+   *
+   * @param {string} topic - Topic name
+   * @param {number} fromOffset - First offset to read (clamped to the first retained offset)
+   * @param {number} [limit=100] - Maximum number of entries
+   * @returns {Promise<Array<Object>>} Entries in offset order
+   */
+  async read(topic, fromOffset, limit = 100) {
+    const head = await this.#head(topic);
+    const start = Math.max(fromOffset, head.first);
+    const end = Math.min(head.next, start + limit);
+    if (start >= end) {
+      return [];
+    }
+
+    const offsets = [];
+    for (let offset = start; offset < end; offset++) {
+      offsets.push(offset);
+    }
+
+    const storage = this.#storage();
+    if (!storage) {
+      const entries = this.#topicEntries(topic);
+      return offsets.map(offset => entries.get(offset)).filter(Boolean);
+    }
+
+    const { data } = await storage.getMany(offsets.map(offset => this.#entryKey(topic, offset)), { namespace: this.#namespace });
+    return [...(data || new Map()).values()].filter(Boolean).sort((a, b) => a.offset - b.offset);
+  }
+
+  /**
+   * Get a single entry
+   *
+   * @param {string} topic - Topic name
+   * @param {number} offset - Entry offset
+   * @returns {Promise<Object|null>} Entry, or null if not retained
+   */
+  async get(topic, offset) {
+    const [entry] = await this.read(topic, offset, 1);
+    return entry && entry.offset === offset ? entry : null;
+  }
+
+  /**
+   * Remove a topic's entries (its offsets keep counting from where they were)
+   *
+   * @param {string} topic - Topic name
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async truncate(topic) {
+    const head = await this.#head(topic);
+    const offsets = [];
+    for (let offset = head.first; offset < head.next; offset++) {
+      offsets.push(offset);
+    }
+    await this.#remove(topic, offsets);
+    head.first = head.next;
+    await this.#saveHead(topic, head);
+    return offsets.length;
+  }
+
+  /**
+   * Load a consumer group's saved state
+   *
+   * @param {string} topic - Topic name
+   * @param {string} group - Group name
+   * @returns {Promise<Object|null>} Saved state (e.g. `{ committed }`) or null
+   */
+  async loadCursor(topic, group) {
+    const key = this.#cursorKey(topic, group);
+    const storage = this.#storage();
+    if (!storage) {
+      return this.#cursors.get(key) || null;
+    }
+    const result = await storage.get(key, { namespace: `${this.#namespace}-cursors` });
+    return result?.success ? result.data : null;
+  }
+
+  /**
+   * Save a consumer group's state
+   *
+   * @param {string} topic - Topic name
+   * @param {string} group - Group name
+   * @param {Object} state - State to save (e.g. `{ committed }`)
+   * @returns {Promise<void>}
+   */
+  async saveCursor(topic, group, state) {
+    const key = this.#cursorKey(topic, group);
+    const storage = this.#storage();
+    if (!storage) {
+      this.#cursors.set(key, { ...state });
+      return;
+    }
+    await storage.set(key, { ...state }, { namespace: `${this.#namespace}-cursors` });
+  }
+
+  /**
+   * Remove all in-memory state (persisted entries are left in storage)
+   */
+  clear() {
+    this.#heads.clear();
+    this.#entries.clear();
+    this.#cursors.clear();
+  }
+
+  async #head(topic) {
+    let head = this.#heads.get(topic);
+    if (head) {
+      return head;
+    }
+
+    head = { first: 0, next: 0 };
+    const storage = this.#storage();
+    if (storage) {
+      const result = await storage.get(this.#headKey(topic), { namespace: this.#namespace });
+      if (result?.success && result.data) {
+        head = { first: result.data.first, next: result.data.next };
+      }
+    }
+    // Another call may have loaded the head while we were waiting on storage
+    if (!this.#heads.has(topic)) {
+      this.#heads.set(topic, head);
+    }
+    return this.#heads.get(topic);
+  }
+
+  async #saveHead(topic, head) {
+    const storage = this.#storage();
+    if (storage) {
+      await storage.set(this.#headKey(topic), { first: head.first, next: head.next }, { namespace: this.#namespace });
+    }
+  }
+
+  async #remove(topic, offsets) {
+    const storage = this.#storage();
+    if (!storage) {
+      const entries = this.#topicEntries(topic);
+      offsets.forEach(offset => entries.delete(offset));
+      return;
+    }
+    await storage.deleteMany(offsets.map(offset => this.#entryKey(topic, offset)), { namespace: this.#namespace });
+  }
+
+  #topicEntries(topic) {
+    let entries = this.#entries.get(topic);
+    if (!entries) {
+      entries = new Map();
+      this.#entries.set(topic, entries);
+    }
+    return entries;
+  }
+
+  #entryKey(topic, offset) {
+    return `${encodeURIComponent(topic)}/${offset}`;
+  }
+
+  #headKey(topic) {
+    return `${encodeURIComponent(topic)}/head`;
+  }
+
+  #cursorKey(topic, group) {
+    return `${encodeURIComponent(topic)}/${encodeURIComponent(group)}`;
+  }
+
+  #storage() {
+    return this.#getStorage() || null;
+  }
+}
@@ -0,0 +1,647 @@
+/**
+ * TopicManagerSubsystem
+ * ---------------------
+ * Kernel child subsystem for publish/subscribe topics.
+ *
+ * Responsibilities:
+ * - Create and delete topics; each topic has its own ReaderWriterSet
+ * - Track subscriptions to a topic name or a topic pattern ('orders/*')
+ * - Fan a published message out to every subscriber, checking per subscriber
+ *   that it may read the topic (at delivery time, so revoked access applies
+ *   to pattern subscriptions too)
+ * - Keep an append-only log for durable topics and deliver it to consumer
+ *   groups: each entry goes to one member of each group and is redelivered
+ *   until acknowledged, so subscribers catch up after being down
+ *
+ * Messages arrive through the kernel:// topic routes (see
+ * kernel-handlers-topic.mycelia.js). Delivery goes through a dispatch function
+ * supplied by the caller, so each copy is routed like any protected message
+ * and lands in the subscriber's queue.
+ */
+import { BaseSubsystem } from '../../base-subsystem/base.subsystem.mycelia.js';
+import { Topic, TopicSubscription, isValidTopicName } from './topic.mycelia.js';
+import { TopicLog } from './topic-log.mycelia.js';
+import { ConsumerGroup } from './consumer-group.mycelia.js';
+import { Message } from '../../message/message.mycelia.js';
+import { createSubsystemLogger } from '../../../utils/logger.utils.mycelia.js';
+
+export class TopicManagerSubsystem extends BaseSubsystem {
+  #topics = new Map(); // name -> Topic
+  #subscriptions = new Map(); // id -> TopicSubscription
+  #groups = new Map(); // 'topic\u0000group' -> ConsumerGroup
+  #pumps = new Map(); // ConsumerGroup -> Promise of the running delivery loop
+  #groupOptions;
+  #log;
+  #logger;
+
+  /**
+   * Create a new TopicManagerSubsystem
+   *
+   * @param {string} name - Subsystem name (default: 'topic-manager')
+   * @param {Object} options - Configuration options
+   * @param {Object} options.ms - MessageSystem instance (required)
+   * @param {Object} [options.config={}] - Configuration object
+   * @param {Object} [options.config.storage] - Storage facet for the topic log (default: this subsystem's 'storage' facet, else memory)
+   * @param {number} [options.config.retention=10000] - Log entries kept per durable topic
+   * @param {number} [options.config.maxInFlight=10] - Unacknowledged entries per consumer group member
+   * @param {number} [options.config.ackTimeout=30000] - Milliseconds before an unacknowledged entry is redelivered
+   * @param {number} [options.config.maxAttempts=5] - Delivery attempts before an entry is dropped
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(name = 'topic-manager', options = {}) {
+    super(name, options);
+
+    const config = options.config || {};
+    this.#log = new TopicLog({
+      storage: () => config.storage || this.find?.('storage') || null,
+      retention: config.retention ?? 10000
+    });
+    this.#groupOptions = {
+      maxInFlight: config.maxInFlight ?? 10,
+      ackTimeout: config.ackTimeout ?? 30000,
+      maxAttempts: config.maxAttempts ?? 5
+    };
+    this.#logger = createSubsystemLogger(this);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Topics
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create a topic
+   *
+   * @param {Object} params - Topic parameters (see Topic)
+   * @param {string} params.name - Topic name
+   * @param {PKR} params.ownerPkr - Owner's Public Key Record
+   * @param {ReaderWriterSet} params.rws - Access control for the topic
+   * @param {Object} [params.metadata={}] - Topic metadata
+   * @param {boolean} [params.durable=false] - Log published messages for durable subscriptions
+   * @param {number|null} [params.retention=null] - Log entries kept for this topic
+   * @returns {Topic} The created topic
+   * @throws {Error} If parameters are invalid or the topic already exists
+   */
+  createTopic({ name, ownerPkr, rws, metadata = {}, durable = false, retention = null } = {}) {
+    if (this.#topics.has(name)) {
+      throw new Error(`TopicManagerSubsystem.createTopic: topic "${name}" already exists.`);
+    }
+
+    const topic = new Topic({ name, ownerPkr, rws, metadata, durable, retention });
+    this.#topics.set(topic.name, topic);
+    this.#logger.log(`Created topic "${topic.name}".`);
+    return topic;
+  }
+
+  /**
+   * Delete a topic and the subscriptions to its exact name
+   *
+   * Pattern subscriptions are kept; they match topics created later. The log
+   * and the groups' committed offsets of a durable topic are kept too, so a
+   * recreated topic continues where it stopped.
+   *
+   * @param {string} name - Topic name
+   * @returns {boolean} True if the topic existed
+   */
+  deleteTopic(name) {
+    if (!this.#topics.delete(name)) {
+      return false;
+    }
+
+    for (const [id, subscription] of this.#subscriptions) {
+      if (!subscription.isPattern && subscription.topic === name) {
+        this.#subscriptions.delete(id);
+      }
+    }
+    for (const [key, group] of this.#groups) {
+      if (group.topic === name) {
+        this.#groups.delete(key);
+      }
+    }
+    this.#logger.log(`Deleted topic "${name}".`);
+    return true;
+  }
+
+  /**
+   * Get a topic by name
+   *
+   * @param {string} name - Topic name
+   * @returns {Topic|null} Topic or null if not found
+   */
+  getTopic(name) {
+    return this.#topics.get(name) || null;
+  }
+
+  /**
+   * List topics
+   *
+   * @param {Object} [filter={}] - Filter
+   * @param {PKR} [filter.readableBy] - Only topics this PKR may read
+   * @returns {Array<Topic>} Topics in creation order
+   */
+  listTopics({ readableBy } = {}) {
+    const topics = Array.from(this.#topics.values());
+    return readableBy ? topics.filter(topic => topic.canSubscribe(readableBy)) : topics;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Subscriptions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Subscribe to a topic or a topic pattern
+   *
+   * Subscribing to a topic name requires the topic to exist and the subscriber
+   * to be able to read it. Pattern subscriptions are accepted as is; each
+   * matching topic's ACL is checked when a message is published. Subscribing
+   * twice with the same topic and delivery path returns the existing subscription.
+   *
+   * @param {Object} params - Subscription parameters (see TopicSubscription)
+   * @param {string} params.topic - Topic name or pattern
+   * @param {PKR} params.subscriberPkr - Subscriber's Public Key Record
+   * @param {string|null} [params.subscriberName=null] - Subscriber subsystem name
+   * @param {string|null} [params.deliverTo=null] - Delivery path
+   * @returns {Object} `{ success: true, subscription, existing }` or `{ success: false, error }`
+   * @throws {Error} If parameters are invalid
+   */
+  subscribe({ topic, subscriberPkr, subscriberName = null, deliverTo = null } = {}) {
+    const subscription = new TopicSubscription({ topic, subscriberPkr, subscriberName, deliverTo });
+
+    if (!subscription.isPattern) {
+      const target = this.#topics.get(subscription.topic);
+      if (!target) {
+        return { success: false, error: `Topic "${subscription.topic}" not found` };
+      }
+      if (!target.canSubscribe(subscriberPkr)) {
+        return { success: false, error: `Access denied: cannot read topic "${subscription.topic}"` };
+      }
+    }
+
+    for (const existing of this.#subscriptions.values()) {
+      if (existing.topic === subscription.topic &&
+          existing.subscriberPkrUuid === subscription.subscriberPkrUuid &&
+          existing.getDeliveryPath(subscription.topic) === subscription.getDeliveryPath(subscription.topic)) {
+        return { success: true, subscription: existing, existing: true };
+      }
+    }
+
+    this.#subscriptions.set(subscription.id, subscription);
+    this.#logger.log(`Subscribed to ${subscription.isPattern ? 'pattern' : 'topic'} "${subscription.topic}".`);
+    return { success: true, subscription, existing: false };
+  }
+
+  /**
+   * Join a consumer group of a durable topic
+   *
+   * The group is created on first use, starting at its saved committed offset
+   * or else at `from`. Entries are delivered through `dispatch` to one member
+   * at a time and must be acknowledged with ack(). Subscribing again with the
+   * same delivery path (e.g. after the subscriber was rebuilt, possibly with a
+   * new PKR) replaces the previous member and redelivers what it had not
+   * acknowledged.
+   *
+   * @param {Object} params - Subscription parameters
+   * @param {string} params.topic - Topic name (patterns are not supported)
+   * @param {PKR} params.subscriberPkr - Subscriber's Public Key Record
+   * @param {string|null} [params.subscriberName=null] - Subscriber subsystem name
+   * @param {string|null} [params.deliverTo=null] - Delivery path
+   * @param {string} [params.group] - Consumer group name (default: subscriberName)
+   * @param {'earliest'|'latest'|number} [params.from='latest'] - Start position of a new group
+   * @param {Function} params.dispatch - async (message, options) => routing result
+   * @returns {Promise<Object>} `{ success: true, subscription, existing, group }` or `{ success: false, error }`
+   * @throws {Error} If parameters are invalid
+   */
+  async subscribeDurable({ topic, subscriberPkr, subscriberName = null, deliverTo = null, group, from = 'latest', dispatch } = {}) {
+    if (typeof dispatch !== 'function') {
+      throw new Error('TopicManagerSubsystem.subscribeDurable: dispatch must be a function');
+    }
+    if (!isValidTopicName(topic)) {
+      throw new Error(`TopicManagerSubsystem.subscribeDurable: "${topic}" is not a topic name; durable subscriptions cannot use patterns.`);
+    }
+    if (from !== 'earliest' && from !== 'latest' && !(Number.isInteger(from) && from >= 0)) {
+      throw new Error('TopicManagerSubsystem.subscribeDurable: from must be "earliest", "latest" or an offset');
+    }
+
+    const target = this.#topics.get(topic);
+    if (!target) {
+      return { success: false, error: `Topic "${topic}" not found` };
+    }
+    if (!target.durable) {
+      return { success: false, error: `Topic "${topic}" is not durable` };
+    }
+    if (!target.canSubscribe(subscriberPkr)) {
+      return { success: false, error: `Access denied: cannot read topic "${topic}"` };
+    }
+
+    const subscription = new TopicSubscription({
+      topic, subscriberPkr, subscriberName, deliverTo, group: group ?? subscriberName
+    });
+    const consumerGroup = await this.#getGroup(topic, subscription.group, from);
+
+    let member = subscription;
+    let existing = false;
+    for (const current of consumerGroup.listMembers()) {
+      if (current.getDeliveryPath(topic) !== subscription.getDeliveryPath(topic)) continue;
+      // Re-adding the member puts its unacknowledged entries back up for delivery
+      consumerGroup.removeMember(current.id);
+      if (current.subscriberPkrUuid === subscription.subscriberPkrUuid) {
+        member = current;
+        existing = true;
+      } else {
+        this.#subscriptions.delete(current.id);
+      }
+    }
+
+    consumerGroup.addMember(member);
+    this.#subscriptions.set(member.id, member);
+    this.#logger.log(`${existing ? 'Resumed' : 'Joined'} consumer group "${consumerGroup.name}" on topic "${topic}".`);
+
+    await this.#pump(consumerGroup, dispatch);
+    const { next } = await this.#log.getBounds(topic);
+    return { success: true, subscription: member, existing, group: consumerGroup.snapshot(next) };
+  }
+
+  /**
+   * Acknowledge a delivered log entry
+   *
+   * @param {PKR} subscriberPkr - PKR of the member the entry was delivered to
+   * @param {Object} params - Entry to acknowledge
+   * @param {string} params.topic - Topic name
+   * @param {string} params.group - Consumer group name
+   * @param {number} params.offset - Entry offset (from `options.topic.offset`)
+   * @param {Function} dispatch - async (message, options) => routing result, for further deliveries
+   * @returns {Promise<Object>} `{ success: true, committed }` or `{ success: false, error }`
+   */
+  async ack(subscriberPkr, { topic, group, offset } = {}, dispatch) {
+    return await this.#settle('ack', subscriberPkr, { topic, group, offset }, dispatch,
+      (consumerGroup) => consumerGroup.ack(offset));
+  }
+
+  /**
+   * Reject a delivered log entry
+   *
+   * @param {PKR} subscriberPkr - PKR of the member the entry was delivered to
+   * @param {Object} params - Entry to reject
+   * @param {string} params.topic - Topic name
+   * @param {string} params.group - Consumer group name
+   * @param {number} params.offset - Entry offset
+   * @param {boolean} [params.requeue=true] - Redeliver the entry (to any member), or drop it
+   * @param {Function} dispatch - async (message, options) => routing result, for redelivery
+   * @returns {Promise<Object>} `{ success: true, committed }` or `{ success: false, error }`
+   */
+  async nack(subscriberPkr, { topic, group, offset, requeue = true } = {}, dispatch) {
+    return await this.#settle('nack', subscriberPkr, { topic, group, offset }, dispatch,
+      (consumerGroup) => consumerGroup.nack(offset, requeue));
+  }
+
+  /**
+   * Get consumer group positions, lag and statistics
+   *
+   * @param {Object} [filter={}] - Filter
+   * @param {string} [filter.topic] - Only groups of this topic
+   * @param {string} [filter.memberPkrUuid] - Only groups this PKR is a member of
+   * @returns {Promise<Array<Object>>} Group snapshots (see ConsumerGroup.snapshot)
+   */
+  async getConsumerGroups({ topic, memberPkrUuid } = {}) {
+    const snapshots = [];
+    for (const group of this.#groups.values()) {
+      if (topic && group.topic !== topic) continue;
+      if (memberPkrUuid && !group.listMembers().some(member => member.subscriberPkrUuid === memberPkrUuid)) continue;
+
+      const { next } = await this.#log.getBounds(group.topic);
+      snapshots.push(group.snapshot(next));
+    }
+    return snapshots;
+  }
+
+  /**
+   * Remove a subscriber's subscriptions to a topic name or pattern
+   *
+   * @param {PKR} subscriberPkr - Subscriber's Public Key Record
+   * @param {Object} criteria - What to remove
+   * @param {string} [criteria.topic] - Topic name or pattern (as subscribed)
+   * @param {string} [criteria.id] - Subscription ID
+   * @returns {number} Number of subscriptions removed
+   */
+  unsubscribe(subscriberPkr, { topic, id } = {}) {
+    let removed = 0;
+    for (const [subscriptionId, subscription] of this.#subscriptions) {
+      if (subscription.subscriberPkrUuid !== subscriberPkr?.uuid) continue;
+      if (id && subscriptionId !== id) continue;
+      if (topic && subscription.topic !== topic) continue;
+
+      this.#subscriptions.delete(subscriptionId);
+      if (subscription.durable) {
+        this.#groups.get(groupKey(subscription.topic, subscription.group))?.removeMember(subscriptionId);
+      }
+      removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * List subscriptions
+   *
+   * @param {Object} [filter={}] - Filter
+   * @param {string} [filter.subscriberPkrUuid] - Only this subscriber's subscriptions
+   * @param {string} [filter.topic] - Only subscriptions receiving this topic (exact or pattern)
+   * @returns {Array<TopicSubscription>} Subscriptions
+   */
+  listSubscriptions({ subscriberPkrUuid, topic } = {}) {
+    return Array.from(this.#subscriptions.values()).filter(subscription =>
+      (!subscriberPkrUuid || subscription.subscriberPkrUuid === subscriberPkrUuid) &&
+      (!topic || subscription.matches(topic))
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // Publishing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Publish a message to a topic
+   *
+   * Every subscription matching the topic that may read it receives a copy of
+   * the message at its delivery path, with the options
+   * `{ topic: { name, subscriptionId, publishedBy } }`. A failed delivery does
+   * not stop the others.
+   *
+   * On a durable topic the message is first appended to the topic log, then
+   * handed to each consumer group through `durableDispatch`.
+   *
+   * @param {PKR} publisherPkr - Publisher's Public Key Record
+   * @param {string} name - Topic name
+   * @param {Message} message - Published message (its body is delivered)
+   * @param {Function} dispatch - async (message, options) => routing result
+   * @param {Function} [durableDispatch=dispatch] - Dispatch for consumer group deliveries
+   * @returns {Promise<Object>} `{ success, topic, offset, delivered, denied, failed, deliveries }`
+   *   (`offset` is null unless the topic is durable)
+   *   or `{ success: false, error }` if the topic does not exist or the publisher cannot write
+   * @throws {Error} If the topic name or dispatch function is invalid
+   */
+  async publish(publisherPkr, name, message, dispatch, durableDispatch = dispatch) {
+    if (!isValidTopicName(name)) {
+      throw new Error(`TopicManagerSubsystem.publish: invalid topic name "${name}".`);
+    }
+    if (typeof dispatch !== 'function') {
+      throw new Error('TopicManagerSubsystem.publish: dispatch must be a function');
+    }
+
+    const topic = this.#topics.get(name);
+    if (!topic) {
+      return { success: false, error: `Topic "${name}" not found` };
+    }
+    if (!topic.canPublish(publisherPkr)) {
+      return { success: false, error: `Access denied: cannot publish to topic "${name}"` };
+    }
+
+    topic.published++;
+    topic.lastPublishedAt = new Date();
+
+    const body = message?.getBody?.() ?? message?.body;
+    let offset = null;
+    if (topic.durable) {
+      const entry = await this.#log.append(name, {
+        body,
+        messageId: message?.getId?.() ?? message?.id ?? null,
+        traceId: message?.meta?.getTraceId?.() ?? null,
+        publishedBy: publisherPkr?.uuid ?? null
+      }, topic.retention ?? undefined);
+      offset = entry.offset;
+    }
+
+    const fanOut = this.listSubscriptions({ topic: name }).filter(subscription => !subscription.durable);
+    const deliveries = await Promise.all(fanOut.map(async (subscription) => {
+      const path = subscription.getDeliveryPath(name);
+      const delivery = { subscriptionId: subscription.id, path };
+
+      if (!topic.canSubscribe(subscription.subscriberPkr)) {
+        subscription.denied++;
+        return { ...delivery, success: false, denied: true, error: 'Access denied' };
+      }
+
+      try {
+        const copy = new Message(path, body, { parentMessage: message });
+        const result = await dispatch(copy, {
+          topic: { name, subscriptionId: subscription.id, publishedBy: publisherPkr?.uuid ?? null }
+        });
+        if (result?.success === false) {
+          return { ...delivery, success: false, error: result.error || 'Delivery failed' };
+        }
+        subscription.delivered++;
+        return { ...delivery, success: true };
+      } catch (error) {
+        return { ...delivery, success: false, error: error?.message || String(error) };
+      }
+    }));
+
+    const delivered = deliveries.filter(delivery => delivery.success).length;
+    const denied = deliveries.filter(delivery => delivery.denied).length;
+    this.#logger.log(`Published to topic "${name}": ${delivered}/${deliveries.length} delivered.`);
+
+    if (topic.durable) {
+      await Promise.all(this.#groupsOf(name).map(group => this.#pump(group, durableDispatch)));
+    }
+
+    return {
+      success: true,
+      topic: name,
+      offset,
+      delivered,
+      denied,
+      failed: deliveries.length - delivered - denied,
+      deliveries
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Introspection
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Get status information
+   *
+   * @returns {Object} Status object with counts and topic snapshots
+   */
+  getStatus() {
+    return {
+      count: this.#topics.size,
+      subscriptions: this.#subscriptions.size,
+      consumerGroups: this.#groups.size,
+      topics: Array.from(this.#topics.values()).map(topic => ({
+        ...topic.snapshot(),
+        subscribers: this.listSubscriptions({ topic: topic.name }).length
+      }))
+    };
+  }
+
+  /**
+   * Remove all topics and subscriptions
+   */
+  clear() {
+    this.#topics.clear();
+    this.#subscriptions.clear();
+    this.#groups.clear();
+    this.#log.clear();
+  }
+
+  /**
+   * Dispose the subsystem and clean up all topics
+   *
+   * @returns {Promise<void>}
+   */
+  async dispose() {
+    this.clear();
+    this.#logger.log('Disposed; all topics cleared.');
+
+    if (typeof super.dispose === 'function') {
+      await super.dispose();
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Consumer groups (private)
+  // ---------------------------------------------------------------------------
+
+  #groupsOf(topic) {
+    return Array.from(this.#groups.values()).filter(group => group.topic === topic);
+  }
+
+  async #getGroup(topic, name, from) {
+    const key = groupKey(topic, name);
+    if (this.#groups.has(key)) {
+      return this.#groups.get(key);
+    }
+
+    const cursor = await this.#log.loadCursor(topic, name);
+    const { first, next } = await this.#log.getBounds(topic);
+    let committed;
+    if (Number.isInteger(cursor?.committed)) {
+      committed = cursor.committed;
+    } else if (from === 'earliest') {
+      committed = first;
+    } else if (from === 'latest') {
+      committed = next;
+    } else {
+      committed = Math.min(Math.max(from, first), next);
+    }
+
+    // Another subscriber may have created the group while we were loading
+    if (!this.#groups.has(key)) {
+      const group = new ConsumerGroup({ topic, name, committed, ...this.#groupOptions, debug: this.debug });
+      this.#groups.set(key, group);
+      await this.#log.saveCursor(topic, name, { committed });
+    }
+    return this.#groups.get(key);
+  }
+
+  async #settle(operation, subscriberPkr, { topic, group, offset }, dispatch, apply) {
+    if (typeof dispatch !== 'function') {
+      throw new Error(`TopicManagerSubsystem.${operation}: dispatch must be a function`);
+    }
+    if (!Number.isInteger(offset)) {
+      throw new Error(`TopicManagerSubsystem.${operation}: offset must be an integer`);
+    }
+
+    const consumerGroup = this.#groups.get(groupKey(topic, group));
+    if (!consumerGroup) {
+      return { success: false, error: `Consumer group "${group}" not found on topic "${topic}"` };
+    }
+    const flight = consumerGroup.getInFlight(offset);
+    const member = flight ? consumerGroup.getMember(flight.memberId) : null;
+    if (!member) {
+      return { success: false, error: `Offset ${offset} is not in flight` };
+    }
+    if (member.subscriberPkrUuid !== subscriberPkr?.uuid) {
+      return { success: false, error: `Access denied: offset ${offset} was delivered to another member` };
+    }
+
+    apply(consumerGroup);
+    await this.#pump(consumerGroup, dispatch);
+    return { success: true, committed: consumerGroup.committed };
+  }
+
+  /**
+   * Deliver pending entries of a group until no member has capacity. Runs one
+   * loop per group; calls made while it runs are picked up by the running loop.
+   */
+  async #pump(group, dispatch) {
+    const running = this.#pumps.get(group);
+    if (running) {
+      running.again = true;
+      return await running.promise;
+    }
+
+    const state = { again: true, promise: null };
+    state.promise = (async () => {
+      try {
+        while (state.again) {
+          state.again = false;
+          await this.#deliverPending(group, dispatch);
+        }
+        await this.#log.saveCursor(group.topic, group.name, { committed: group.committed });
+      } finally {
+        this.#pumps.delete(group);
+      }
+    })();
+    this.#pumps.set(group, state);
+    return await state.promise;
+  }
+
+  async #deliverPending(group, dispatch) {
+    const topic = this.#topics.get(group.topic);
+    const { first, next } = await this.#log.getBounds(group.topic);
+    group.skipTo(first);
+    group.expire();
+
+    const unavailable = new Set(); // members that were denied or could not be reached this round
+    let claim;
+    while (topic && (claim = group.claim(next, unavailable))) {
+      const { offset, member, attempt } = claim;
+
+      if (!topic.canSubscribe(member.subscriberPkr)) {
+        member.denied++;
+        unavailable.add(member.id);
+        group.release(offset);
+        continue;
+      }
+
+      const entry = await this.#log.get(group.topic, offset);
+      if (!entry) {
+        group.drop(offset); // trimmed by retention (or lost by the storage backend)
+        continue;
+      }
+
+      const copy = new Message(member.getDeliveryPath(group.topic), entry.body, entry.traceId ? { traceId: entry.traceId } : {});
+      let delivered = false;
+      try {
+        const result = await dispatch(copy, {
+          topic: {
+            name: group.topic,
+            subscriptionId: member.id,
+            publishedBy: entry.publishedBy,
+            group: group.name,
+            offset,
+            attempt
+          }
+        });
+        delivered = result?.success !== false;
+      } catch (error) {
+        this.#logger.warn(`Delivery of "${group.topic}"@${offset} to ${member.getDeliveryPath(group.topic)} failed: ${error?.message || error}`);
+      }
+
+      if (delivered) {
+        member.delivered++;
+      } else {
+        unavailable.add(member.id);
+        group.release(offset);
+      }
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function groupKey(topic, group) {
+  return `${topic}\u0000${group}`;
+}
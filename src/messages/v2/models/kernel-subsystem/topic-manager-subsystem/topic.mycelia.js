@@ -0,0 +1,231 @@
+import { compilePathPattern, isPathPattern } from '../../../utils/path-pattern.utils.mycelia.js';
+import { randomUUID } from '../../security/security.utils.mycelia.js';
+
+/**
+ * Kernel topic routes take the topic name as one path segment; names with
+ * '/' (and patterns) are URI-encoded
+ *
+ * @param {string} action - Route action: 'create', 'delete', 'grant', 'revoke', 'subscribe', 'unsubscribe' or 'publish'
+ * @param {string} name - Topic name or subscription pattern (e.g. 'orders/created', 'orders/*')
+ * @returns {string} Kernel route path (e.g. 'kernel://publish/topic/orders%2Fcreated')
+ *
+ * @example
+ * await subsystem.identity.sendProtected(
+ *   new Message(getTopicPath('publish', 'orders/created'), { orderId: 42 })
+ * );
+ */
+export function getTopicPath(action, name) {
+  return `kernel://${action}/topic/${encodeURIComponent(name)}`;
+}
+
+/**
+ * Check that a topic name is usable: non-empty, no scheme and no pattern syntax
+ *
+ * @param {string} name - Topic name
+ * @returns {boolean} True if valid
+ */
+export function isValidTopicName(name) {
+  return typeof name === 'string' &&
+    name.trim().length > 0 &&
+    !name.includes('://') &&
+    !name.startsWith('/') &&
+    !name.endsWith('/') &&
+    !isPathPattern(name);
+}
+
+/**
+ * Topic Class
+ *
+ * A kernel-managed pub/sub topic. The owner (creator) controls access through
+ * the topic's own ReaderWriterSet: writers may publish, readers may subscribe
+ * and receive messages.
+ *
+ * @example
+ * const topic = new Topic({ name: 'orders/created', ownerPkr, rws });
+ * topic.rws.addReader(ownerPkr, billingPkr);
+ * topic.canSubscribe(billingPkr); // true
+ */
+export class Topic {
+  /**
+   * Create a new Topic
+   *
+   * @param {Object} params - Topic parameters
+   * @param {string} params.name - Topic name ('/'-separated segments, e.g. 'orders/created')
+   * @param {PKR} params.ownerPkr - Owner's Public Key Record
+   * @param {ReaderWriterSet} params.rws - Access control for the topic
+   * @param {Object} [params.metadata={}] - Topic metadata
+   * @param {boolean} [params.durable=false] - Keep published messages in the topic log for durable subscriptions
+   * @param {number|null} [params.retention=null] - Log entries kept for this topic (default: the log's retention)
+   */
+  constructor({ name, ownerPkr, rws, metadata = {}, durable = false, retention = null } = {}) {
+    if (!isValidTopicName(name)) {
+      throw new Error(`Topic: invalid topic name "${name}". Use '/'-separated segments without pattern syntax.`);
+    }
+    if (!ownerPkr) {
+      throw new Error('Topic: ownerPkr is required.');
+    }
+    if (!rws || typeof rws.canRead !== 'function' || typeof rws.canWrite !== 'function') {
+      throw new Error('Topic: rws (ReaderWriterSet) is required.');
+    }
+    if (metadata && typeof metadata !== 'object') {
+      throw new Error('Topic: metadata must be an object.');
+    }
+    if (retention !== null && (!Number.isInteger(retention) || retention < 1)) {
+      throw new Error('Topic: retention must be a positive integer.');
+    }
+
+    this.name = name.trim();
+    this.ownerPkr = ownerPkr;
+    this.ownerPkrUuid = ownerPkr.uuid ?? null;
+    this.rws = rws;
+    this.metadata = { ...metadata };
+    this.durable = durable === true;
+    this.retention = retention;
+    this.published = 0;
+    this.createdAt = new Date();
+    this.lastPublishedAt = null;
+  }
+
+  /**
+   * Check if a caller may publish to this topic
+   *
+   * @param {PKR} pkr - Caller's Public Key Record
+   * @returns {boolean} True if the caller can write
+   */
+  canPublish(pkr) {
+    return !!pkr && safeCheck(() => this.rws.canWrite(pkr));
+  }
+
+  /**
+   * Check if a caller may subscribe to (and receive) this topic
+   *
+   * @param {PKR} pkr - Caller's Public Key Record
+   * @returns {boolean} True if the caller can read
+   */
+  canSubscribe(pkr) {
+    return !!pkr && safeCheck(() => this.rws.canRead(pkr));
+  }
+
+  /**
+   * Get a snapshot of the topic
+   *
+   * @returns {Object} Topic data (without the ACL)
+   */
+  snapshot() {
+    return {
+      name: this.name,
+      ownerPkrUuid: this.ownerPkrUuid,
+      metadata: { ...this.metadata },
+      durable: this.durable,
+      retention: this.retention,
+      published: this.published,
+      createdAt: this.createdAt,
+      lastPublishedAt: this.lastPublishedAt
+    };
+  }
+}
+
+/**
+ * TopicSubscription Class
+ *
+ * A subscriber's interest in one topic, or in every topic whose name matches
+ * a pattern (path pattern syntax, e.g. 'orders/*', 'orders/**', 'orders/{kind}').
+ *
+ * A subscription with a `group` is durable: it is a member of that consumer
+ * group on a durable topic and receives entries from the topic log, which it
+ * must acknowledge (see ConsumerGroup).
+ */
+export class TopicSubscription {
+  /**
+   * Create a new TopicSubscription
+   *
+   * @param {Object} params - Subscription parameters
+   * @param {string} [params.id] - Subscription ID (generated if not provided)
+   * @param {string} params.topic - Topic name or pattern
+   * @param {PKR} params.subscriberPkr - Subscriber's Public Key Record
+   * @param {string|null} [params.subscriberName=null] - Subscriber subsystem name (for the default delivery path)
+   * @param {string|null} [params.deliverTo=null] - Delivery path; default '<subscriberName>://topic/<topic name>'
+   * @param {string|null} [params.group=null] - Consumer group name (durable subscriptions only)
+   */
+  constructor({ id, topic, subscriberPkr, subscriberName = null, deliverTo = null, group = null } = {}) {
+    if (typeof topic !== 'string' || !topic.trim()) {
+      throw new Error('TopicSubscription: topic must be a non-empty string.');
+    }
+    if (!subscriberPkr) {
+      throw new Error('TopicSubscription: subscriberPkr is required.');
+    }
+    if (!deliverTo && !subscriberName) {
+      throw new Error('TopicSubscription: deliverTo or subscriberName is required.');
+    }
+    if (group !== null && (typeof group !== 'string' || !group.trim())) {
+      throw new Error('TopicSubscription: group must be a non-empty string.');
+    }
+
+    this.id = id || randomUUID();
+    this.topic = topic.trim();
+    this.isPattern = isPathPattern(this.topic);
+    this.matcher = this.isPattern ? compilePathPattern(this.topic) : null;
+    this.subscriberPkr = subscriberPkr;
+    this.subscriberPkrUuid = subscriberPkr.uuid ?? null;
+    this.subscriberName = subscriberName;
+    this.deliverTo = deliverTo;
+    this.group = group ? group.trim() : null;
+    this.durable = this.group !== null;
+    this.delivered = 0;
+    this.denied = 0;
+    this.createdAt = new Date();
+  }
+
+  /**
+   * Check if this subscription receives messages of a topic
+   *
+   * @param {string} topicName - Topic name
+   * @returns {boolean} True if the topic matches
+   */
+  matches(topicName) {
+    return this.isPattern ? this.matcher.match(topicName) !== null : this.topic === topicName;
+  }
+
+  /**
+   * Get the path a topic message is delivered to
+   *
+   * @param {string} topicName - Topic name
+   * @returns {string} Delivery path
+   */
+  getDeliveryPath(topicName) {
+    return this.deliverTo || `${this.subscriberName}://topic/${topicName}`;
+  }
+
+  /**
+   * Get a snapshot of the subscription
+   *
+   * @returns {Object} Subscription data
+   */
+  snapshot() {
+    return {
+      id: this.id,
+      topic: this.topic,
+      isPattern: this.isPattern,
+      subscriberPkrUuid: this.subscriberPkrUuid,
+      subscriberName: this.subscriberName,
+      deliverTo: this.deliverTo,
+      group: this.group,
+      durable: this.durable,
+      delivered: this.delivered,
+      denied: this.denied,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+/**
+ * ACL checks resolve PKRs and throw on unknown principals; treat that as "no access"
+ * @private
+ */
+function safeCheck(check) {
+  try {
+    return check() === true;
+  } catch {
+    return false;
+  }
+}
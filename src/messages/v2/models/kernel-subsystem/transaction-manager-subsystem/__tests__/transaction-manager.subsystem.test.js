@@ -0,0 +1,307 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const hoisted = vi.hoisted(() => {
+  class BaseSubsystemMock {
+    constructor(name, options = {}) {
+      this.name = name;
+      this.options = options;
+    }
+  }
+
+  const logger = {
+    log: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  };
+
+  return { BaseSubsystemMock, logger };
+});
+
+vi.mock('../../../base-subsystem/base.subsystem.mycelia.js', () => ({
+  BaseSubsystem: hoisted.BaseSubsystemMock,
+}));
+
+vi.mock('../../../../utils/logger.utils.mycelia.js', () => ({
+  createSubsystemLogger: vi.fn(() => hoisted.logger),
+}));
+
+import { TransactionManagerSubsystem } from '../transaction-manager.subsystem.mycelia.js';
+import { Transaction, TRANSACTION_STATUS } from '../transaction.mycelia.js';
+
+const createMessage = (seq, { transaction = 'tx_1', size = 3 } = {}) => ({
+  getId: () => `msg-${seq}`,
+  getPath: () => `orders://step/${seq}`,
+  meta: {
+    getTransaction: () => transaction,
+    getSeq: () => seq,
+    getTransactionSize: () => size,
+  },
+});
+
+const owner = { uuid: 'owner-a' };
+const other = { uuid: 'owner-b' };
+
+describe('Transaction', () => {
+  it('validates id and size', () => {
+    expect(() => new Transaction({})).toThrow(/id/);
+    expect(() => new Transaction({ id: 'tx', size: 0 })).toThrow(/size/);
+  });
+
+  it('serializes held, in-flight and completed messages as summaries', () => {
+    const tx = new Transaction({ id: 'tx_1', ownerPkr: owner, size: 3 });
+    tx.held.set(3, { message: createMessage(3) });
+    tx.inFlight = { seq: 2, message: createMessage(2) };
+    tx.completed.push({ seq: 1, message: createMessage(1) });
+
+    const record = tx.toRecord();
+    expect(record).toMatchObject({
+      id: 'tx_1',
+      status: 'pending',
+      size: 3,
+      inFlight: { seq: 2, messageId: 'msg-2', path: 'orders://step/2' },
+      held: [{ seq: 3, messageId: 'msg-3', path: 'orders://step/3' }],
+      completed: [{ seq: 1, messageId: 'msg-1', path: 'orders://step/1' }],
+      failure: null,
+      finishedAt: null,
+    });
+  });
+});
+
+describe('TransactionManagerSubsystem', () => {
+  let manager;
+  let dispatch;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    manager = new TransactionManagerSubsystem('transaction-manager', { ms: {}, config: { capacity: 2 } });
+    dispatch = vi.fn(async (message) => ({ success: true, messageId: message.getId() }));
+  });
+
+  it('validates capacity', () => {
+    expect(() => new TransactionManagerSubsystem('transaction-manager', { ms: {}, config: { capacity: 0 } }))
+      .toThrow(/capacity/);
+  });
+
+  it('requires a transaction id and a positive seq', async () => {
+    await expect(manager.submit(owner, createMessage(1, { transaction: null }), {}, dispatch))
+      .rejects.toThrow(/transaction id/);
+    await expect(manager.submit(owner, createMessage(0), {}, dispatch)).rejects.toThrow(/seq/);
+  });
+
+  it('dispatches seq 1 immediately and holds later seqs until the previous one completes', async () => {
+    const first = await manager.submit(owner, createMessage(1), { a: 1 }, dispatch);
+    expect(first).toEqual({ success: true, messageId: 'msg-1' });
+    expect(dispatch).toHaveBeenCalledWith(expect.objectContaining({ getId: expect.any(Function) }), { a: 1 });
+
+    const second = await manager.submit(owner, createMessage(2), {}, dispatch);
+    expect(second).toMatchObject({ success: true, held: true, seq: 2, waitingFor: 1 });
+    expect(dispatch).toHaveBeenCalledTimes(1);
+
+    await manager.complete('tx_1', 1);
+    expect(dispatch).toHaveBeenCalledTimes(2);
+    expect(dispatch.mock.calls[1][0].getId()).toBe('msg-2');
+  });
+
+  it('holds the rest of the batch while a seq is missing', async () => {
+    await manager.submit(owner, createMessage(1), {}, dispatch);
+    await manager.submit(owner, createMessage(3), {}, dispatch);
+    await manager.complete('tx_1', 1);
+
+    expect(dispatch).toHaveBeenCalledTimes(1);
+    expect(manager.get('tx_1').toRecord().held.map(h => h.seq)).toEqual([3]);
+
+    await manager.submit(owner, createMessage(2), {}, dispatch);
+    await manager.complete('tx_1', 2);
+
+    expect(dispatch.mock.calls.map(([m]) => m.getId())).toEqual(['msg-1', 'msg-2', 'msg-3']);
+  });
+
+  it('commits after the last message completes', async () => {
+    for (const seq of [1, 2, 3]) {
+      await manager.submit(owner, createMessage(seq), {}, dispatch);
+      await manager.complete('tx_1', seq);
+    }
+
+    const tx = manager.get('tx_1');
+    expect(tx.status).toBe(TRANSACTION_STATUS.COMMITTED);
+    expect(tx.toRecord().completed).toHaveLength(3);
+    expect(tx.finishedAt).toBeInstanceOf(Date);
+  });
+
+  it('ignores completion reports for a seq that is not in flight', async () => {
+    await manager.submit(owner, createMessage(1), {}, dispatch);
+    await manager.complete('tx_1', 2);
+    expect(manager.get('tx_1').nextSeq).toBe(1);
+    expect(await manager.complete('unknown', 1)).toBeNull();
+  });
+
+  it('rejects duplicates, seqs beyond the batch size and messages from another caller', async () => {
+    await manager.submit(owner, createMessage(1), {}, dispatch);
+
+    expect(await manager.submit(owner, createMessage(1), {}, dispatch)).toMatchObject({ success: false, error: /duplicate/ });
+    expect(await manager.submit(owner, createMessage(4), {}, dispatch)).toMatchObject({ success: false, error: /exceeds/ });
+    expect(await manager.submit(other, createMessage(2), {}, dispatch)).toMatchObject({ success: false, error: /another caller/ });
+    expect(dispatch).toHaveBeenCalledTimes(1);
+  });
+
+  it('aborts on failure, drops held messages and compensates completed ones newest first', async () => {
+    await manager.submit(owner, createMessage(1), { step: 1 }, dispatch);
+    await manager.complete('tx_1', 1);
+    await manager.submit(owner, createMessage(2), { step: 2 }, dispatch);
+    await manager.complete('tx_1', 2);
+    await manager.submit(owner, createMessage(3), { step: 3 }, dispatch);
+    dispatch.mockClear();
+
+    const error = { name: 'Error', message: 'boom' };
+    const tx = await manager.fail('tx_1', 3, error);
+
+    expect(tx.status).toBe(TRANSACTION_STATUS.ABORTED);
+    expect(tx.failure).toEqual({ seq: 3, messageId: 'msg-3', error });
+    expect(dispatch.mock.calls.map(([m]) => m.getId())).toEqual(['msg-2', 'msg-1']);
+    expect(dispatch.mock.calls[0][1]).toEqual({
+      step: 2,
+      transactionCompensation: { transaction: 'tx_1', failure: tx.failure },
+    });
+    expect(tx.compensations).toEqual([
+      { seq: 2, messageId: 'msg-2', success: true },
+      { seq: 1, messageId: 'msg-1', success: true },
+    ]);
+    expect(tx.toRecord().completed.map(c => c.seq)).toEqual([1, 2]);
+
+    const late = await manager.submit(owner, createMessage(3), {}, dispatch);
+    expect(late).toMatchObject({ success: false, status: 'aborted' });
+  });
+
+  it('aborts when a message cannot be routed', async () => {
+    dispatch.mockResolvedValueOnce({ success: false, error: 'No route found' });
+
+    const result = await manager.submit(owner, createMessage(1), {}, dispatch);
+
+    expect(result).toEqual({ success: false, error: 'No route found' });
+    expect(manager.get('tx_1').status).toBe(TRANSACTION_STATUS.ABORTED);
+    expect(manager.get('tx_1').failure.error.message).toBe('No route found');
+  });
+
+  it('records failed compensations', async () => {
+    await manager.submit(owner, createMessage(1), {}, dispatch);
+    await manager.complete('tx_1', 1);
+    await manager.submit(owner, createMessage(2), {}, dispatch);
+    dispatch.mockRejectedValueOnce(new Error('offline'));
+
+    const tx = await manager.fail('tx_1', 2, null);
+
+    expect(tx.compensations).toEqual([
+      { seq: 1, messageId: 'msg-1', success: false, error: { name: 'Error', message: 'offline' } },
+    ]);
+  });
+
+  it('lists transactions by owner and status and reports status counts', async () => {
+    await manager.submit(owner, createMessage(1, { transaction: 'tx_a', size: 1 }), {}, dispatch);
+    await manager.complete('tx_a', 1);
+    await manager.submit(other, createMessage(1, { transaction: 'tx_b' }), {}, dispatch);
+
+    expect(manager.list({ ownerPkrUuid: 'owner-a' }).map(tx => tx.id)).toEqual(['tx_a']);
+    expect(manager.list({ status: 'pending' }).map(tx => tx.id)).toEqual(['tx_b']);
+    expect(manager.getStatus()).toEqual({ pending: 1, committed: 1, aborted: 0, total: 2, capacity: 2 });
+  });
+
+  it('evicts the oldest finished transactions over capacity', async () => {
+    for (const id of ['tx_a', 'tx_b', 'tx_c']) {
+      await manager.submit(owner, createMessage(1, { transaction: id, size: 1 }), {}, dispatch);
+      await manager.complete(id, 1);
+    }
+
+    expect(manager.get('tx_a')).toBeNull();
+    expect(manager.list().map(tx => tx.id)).toEqual(['tx_b', 'tx_c']);
+  });
+
+  it('validates the hold timeout and per-owner caps', () => {
+    for (const key of ['holdTimeout', 'maxPendingPerOwner', 'maxHeldPerOwner']) {
+      expect(() => new TransactionManagerSubsystem('transaction-manager', { ms: {}, config: { [key]: 0 } }))
+        .toThrow(key);
+    }
+  });
+
+  describe('hold timeout', () => {
+    let errorManager;
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      errorManager = { record: vi.fn() };
+      manager = new TransactionManagerSubsystem('transaction-manager', { ms: {}, config: { holdTimeout: 1000 } });
+      manager.getRoot = () => ({ getErrorManager: () => errorManager });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('aborts a transaction whose missing seq never arrives and compensates it', async () => {
+      await manager.submit(owner, createMessage(1), {}, dispatch);
+      await manager.complete('tx_1', 1);
+      await manager.submit(owner, createMessage(3), {}, dispatch);
+
+      await vi.advanceTimersByTimeAsync(999);
+      expect(manager.get('tx_1').status).toBe(TRANSACTION_STATUS.PENDING);
+
+      await vi.advanceTimersByTimeAsync(1);
+      const tx = manager.get('tx_1');
+      expect(tx.status).toBe(TRANSACTION_STATUS.ABORTED);
+      expect(tx.failure).toMatchObject({ seq: 2, messageId: null, error: { name: 'TimeoutError' } });
+      expect(tx.toRecord().held).toEqual([]);
+      expect(tx.compensations).toEqual([{ seq: 1, messageId: 'msg-1', success: true }]);
+      expect(errorManager.record).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'timeout', severity: 'warn' }),
+        expect.objectContaining({ meta: expect.objectContaining({ transaction: 'tx_1', seq: 2, dropped: 1, compensated: 1 }) })
+      );
+    });
+
+    it('does not time out while a message is in flight', async () => {
+      await manager.submit(owner, createMessage(1), {}, dispatch);
+
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(manager.get('tx_1').status).toBe(TRANSACTION_STATUS.PENDING);
+
+      await manager.complete('tx_1', 1);
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(manager.get('tx_1').status).toBe(TRANSACTION_STATUS.ABORTED);
+    });
+
+    it('commits an idle transaction without a size once nothing is held', async () => {
+      await manager.submit(owner, createMessage(1, { size: null }), {}, dispatch);
+      await manager.complete('tx_1', 1);
+
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect(manager.get('tx_1').status).toBe(TRANSACTION_STATUS.COMMITTED);
+      expect(errorManager.record).not.toHaveBeenCalled();
+    });
+  });
+
+  it('caps pending transactions and held messages per owner', async () => {
+    manager = new TransactionManagerSubsystem('transaction-manager', {
+      ms: {},
+      config: { maxPendingPerOwner: 2, maxHeldPerOwner: 1 },
+    });
+
+    await manager.submit(owner, createMessage(1, { transaction: 'tx_a' }), {}, dispatch);
+    await manager.submit(owner, createMessage(1, { transaction: 'tx_b' }), {}, dispatch);
+    expect(await manager.submit(owner, createMessage(1, { transaction: 'tx_c' }), {}, dispatch))
+      .toMatchObject({ success: false, status: null, error: /2 pending transactions/ });
+    expect(manager.get('tx_c')).toBeNull();
+    expect((await manager.submit(other, createMessage(1, { transaction: 'tx_d' }), {}, dispatch)).success).toBe(true);
+
+    expect(await manager.submit(owner, createMessage(2, { transaction: 'tx_a' }), {}, dispatch)).toMatchObject({ held: true });
+    expect(await manager.submit(owner, createMessage(2, { transaction: 'tx_b' }), {}, dispatch))
+      .toMatchObject({ success: false, error: /1 held messages/ });
+
+    await manager.complete('tx_b', 1);
+    expect(dispatch).toHaveBeenCalledTimes(3);
+  });
+
+  it('clears transactions on dispose', async () => {
+    await manager.submit(owner, createMessage(1), {}, dispatch);
+    await manager.dispose();
+    expect(manager.list()).toEqual([]);
+  });
+});
@@ -0,0 +1,474 @@
+/**
+ * TransactionManagerSubsystem
+ * ---------------------------
+ * Kernel child subsystem that enforces transaction semantics for messages
+ * created with `MessageFactory.createTransactionBatch()`.
+ *
+ * Responsibilities:
+ * - Deliver a transaction's messages strictly in `seq` order, holding later
+ *   messages while an earlier one is missing or still being processed
+ * - Commit the transaction once every message has been processed
+ * - Abort on the first failure, drop held messages and re-send completed
+ *   messages (newest first) as compensations
+ * - Abort a transaction that waits longer than `holdTimeout` for its next
+ *   message, and cap pending transactions and held messages per sender
+ * - Keep finished transactions queryable (bounded, oldest evicted first)
+ *
+ * Messages arrive via KernelProtectedMessaging, which hands every message
+ * carrying `transaction` metadata to `submit()`. The processing subsystem's
+ * useMessageProcessor reports back through `kernel://transaction/complete`
+ * and `kernel://transaction/fail`.
+ */
+import { BaseSubsystem } from '../../base-subsystem/base.subsystem.mycelia.js';
+import { Transaction, TRANSACTION_STATUS } from './transaction.mycelia.js';
+import { createSubsystemLogger } from '../../../utils/logger.utils.mycelia.js';
+import { ERROR_TYPES, ERROR_SEVERITY } from '../error-manager-subsystem/error-record.mycelia.js';
+
+export class TransactionManagerSubsystem extends BaseSubsystem {
+  #transactions = new Map(); // id -> Transaction (insertion order = creation order)
+  #holdTimers = new Map(); // id -> timer of a pending transaction waiting for its next message
+  #capacity;
+  #holdTimeout;
+  #maxPendingPerOwner;
+  #maxHeldPerOwner;
+  #logger;
+
+  /**
+   * Create a new TransactionManagerSubsystem
+   *
+   * @param {string} name - Subsystem name (default: 'transaction-manager')
+   * @param {Object} options - Configuration options
+   * @param {Object} options.ms - MessageSystem instance (required)
+   * @param {Object} [options.config={}] - Configuration object
+   * @param {number} [options.config.capacity=1000] - Maximum number of finished transactions retained
+   * @param {number} [options.config.holdTimeout=60000] - Milliseconds a pending transaction may wait for its next message
+   * @param {number} [options.config.maxPendingPerOwner=100] - Maximum pending transactions per sender
+   * @param {number} [options.config.maxHeldPerOwner=1000] - Maximum held messages per sender, across its pending transactions
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(name = 'transaction-manager', options = {}) {
+    super(name, options);
+
+    const config = options.config || {};
+    const positive = (key, value) => {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 1) {
+        throw new TypeError(`TransactionManagerSubsystem: ${key} must be a positive number`);
+      }
+      return value;
+    };
+    this.#capacity = positive('capacity', config.capacity ?? 1000);
+    this.#holdTimeout = positive('holdTimeout', config.holdTimeout ?? 60000);
+    this.#maxPendingPerOwner = positive('maxPendingPerOwner', config.maxPendingPerOwner ?? 100);
+    this.#maxHeldPerOwner = positive('maxHeldPerOwner', config.maxHeldPerOwner ?? 1000);
+    this.#logger = createSubsystemLogger(this);
+  }
+
+  /**
+   * Submit a transaction message for ordered delivery
+   *
+   * The message is dispatched immediately if it is next in line; otherwise it
+   * is held until the preceding messages have been processed. A sender may
+   * have at most `maxPendingPerOwner` pending transactions and
+   * `maxHeldPerOwner` held messages; messages over either cap are rejected.
+   *
+   * @param {PKR} ownerPkr - PKR of the sender
+   * @param {Message} message - Message with `transaction` and `seq` metadata
+   * @param {Object} options - Options to deliver the message with
+   * @param {Function} dispatch - async (message, options) => routing result
+   * @returns {Promise<Object>} Routing result if dispatched, `{ success: true, held: true, ... }` if held,
+   *   or `{ success: false, error, ... }` if the message was rejected
+   * @throws {Error} If the message has no transaction id or an invalid seq
+   */
+  async submit(ownerPkr, message, options, dispatch) {
+    const id = message?.meta?.getTransaction?.();
+    if (!id) {
+      throw new Error('TransactionManagerSubsystem.submit: message has no transaction id');
+    }
+    const seq = message.meta.getSeq();
+    if (!Number.isInteger(seq) || seq < 1) {
+      throw new Error(`TransactionManagerSubsystem.submit: transaction ${id} message requires a positive integer seq`);
+    }
+    if (typeof dispatch !== 'function') {
+      throw new Error('TransactionManagerSubsystem.submit: dispatch must be a function');
+    }
+
+    // Validate before creating the transaction so a rejected message leaves nothing behind
+    const ownerPkrUuid = ownerPkr?.uuid ?? null;
+    let tx = this.#transactions.get(id);
+    if (tx && tx.ownerPkrUuid !== ownerPkrUuid) {
+      return this.#reject(id, tx.status, seq, 'transaction belongs to another caller');
+    }
+    if (tx?.isFinished()) {
+      return this.#reject(id, tx.status, seq, `transaction is ${tx.status}`);
+    }
+
+    const status = tx?.status ?? null;
+    const nextSeq = tx?.nextSeq ?? 1;
+    const size = tx ? tx.size : message.meta.getTransactionSize?.() ?? null;
+    if (tx && (seq < nextSeq || tx.held.has(seq) || tx.inFlight?.seq === seq)) {
+      return this.#reject(id, status, seq, `duplicate seq ${seq}`);
+    }
+    if (size !== null && seq > size) {
+      return this.#reject(id, status, seq, `seq ${seq} exceeds transaction size ${size}`);
+    }
+
+    const pending = this.#countPending(ownerPkrUuid);
+    if (!tx && pending.transactions >= this.#maxPendingPerOwner) {
+      return this.#reject(id, status, seq, `caller has ${this.#maxPendingPerOwner} pending transactions`);
+    }
+    const dispatchable = seq === nextSeq && !tx?.inFlight;
+    if (!dispatchable && pending.held >= this.#maxHeldPerOwner) {
+      return this.#reject(id, status, seq, `caller has ${this.#maxHeldPerOwner} held messages`);
+    }
+
+    if (!tx) {
+      tx = new Transaction({ id, ownerPkr, size });
+      this.#transactions.set(id, tx);
+    }
+
+    tx.held.set(seq, { message, options, dispatch });
+    tx.touch();
+
+    const dispatched = await this.#dispatchNext(tx);
+    this.#armHoldTimeout(tx);
+    if (dispatched && dispatched.seq === seq) {
+      return dispatched.result;
+    }
+
+    return { success: true, held: true, transaction: id, seq, waitingFor: tx.nextSeq };
+  }
+
+  /**
+   * Record that a message of the transaction was processed successfully
+   *
+   * Commits the transaction after its last message, otherwise dispatches the
+   * next held message. Reports for a seq that is not in flight are ignored.
+   *
+   * @param {string} id - Transaction ID
+   * @param {number} seq - Sequence number that completed
+   * @returns {Promise<Transaction|null>} The transaction or null if unknown
+   */
+  async complete(id, seq) {
+    const tx = this.#transactions.get(id);
+    if (!tx) return null;
+    if (tx.isFinished() || tx.inFlight?.seq !== seq) return tx;
+
+    tx.completed.push(tx.inFlight);
+    tx.inFlight = null;
+    tx.nextSeq = seq + 1;
+    tx.touch();
+
+    if (tx.size !== null && tx.completed.length >= tx.size) {
+      // Nothing left to compensate - keep summaries only
+      tx.completed = tx.completed.map(({ seq, message }) => ({ seq, message }));
+      this.#finish(tx, TRANSACTION_STATUS.COMMITTED);
+      this.#logger.log(`Transaction ${id} committed (${tx.completed.length} message(s)).`);
+      return tx;
+    }
+
+    await this.#dispatchNext(tx);
+    this.#armHoldTimeout(tx);
+    return tx;
+  }
+
+  /**
+   * Abort the transaction after a message failed
+   *
+   * Held messages are dropped and the completed messages are re-sent, newest
+   * first, with a `transactionCompensation` option so their routes' compensate
+   * handlers run instead of the regular handlers.
+   *
+   * @param {string} id - Transaction ID
+   * @param {number} seq - Sequence number that failed
+   * @param {Object|null} [error=null] - Serialized failure ({ name, message })
+   * @returns {Promise<Transaction|null>} The transaction or null if unknown
+   */
+  async fail(id, seq, error = null) {
+    const tx = this.#transactions.get(id);
+    if (!tx) return null;
+    if (tx.isFinished()) return tx;
+
+    const failedEntry = tx.inFlight?.seq === seq ? tx.inFlight : tx.held.get(seq);
+    tx.failure = {
+      seq,
+      messageId: failedEntry?.message.getId() ?? null,
+      error
+    };
+    this.#finish(tx, TRANSACTION_STATUS.ABORTED);
+    this.#logger.warn(`Transaction ${id} aborted at seq ${seq}: ${error?.message || 'unknown error'}`);
+
+    await this.#compensate(tx);
+    return tx;
+  }
+
+  /**
+   * Get a transaction by ID
+   *
+   * @param {string} id - Transaction ID
+   * @returns {Transaction|null} Transaction or null if not found
+   */
+  get(id) {
+    return this.#transactions.get(id) || null;
+  }
+
+  /**
+   * List transactions
+   *
+   * @param {Object} [options={}] - Filter options
+   * @param {string} [options.ownerPkrUuid] - Only include transactions sent by this PKR
+   * @param {string} [options.status] - Only include transactions with this status
+   * @param {number} [options.limit] - Max number of transactions to return (newest kept)
+   * @returns {Array<Transaction>} Matching transactions, oldest → newest
+   */
+  list(options = {}) {
+    const { ownerPkrUuid, status, limit } = options;
+    let results = [...this.#transactions.values()].filter(tx =>
+      (!ownerPkrUuid || tx.ownerPkrUuid === ownerPkrUuid) &&
+      (!status || tx.status === status)
+    );
+    if (typeof limit === 'number' && limit > 0) {
+      results = results.slice(-limit);
+    }
+    return results;
+  }
+
+  /**
+   * Get status information
+   *
+   * @returns {Object} Status object with transaction counts per status and capacity
+   */
+  getStatus() {
+    const counts = { pending: 0, committed: 0, aborted: 0 };
+    for (const tx of this.#transactions.values()) {
+      counts[tx.status]++;
+    }
+    return { ...counts, total: this.#transactions.size, capacity: this.#capacity };
+  }
+
+  /**
+   * Remove all transactions (held messages are dropped)
+   */
+  clear() {
+    this.#clearHoldTimers();
+    this.#transactions.clear();
+    this.#logger.log('Cleared all transactions.');
+  }
+
+  /**
+   * Dispose the subsystem and drop all transactions
+   *
+   * @returns {Promise<void>}
+   */
+  async dispose() {
+    this.#clearHoldTimers();
+    this.#transactions.clear();
+
+    if (typeof super.dispose === 'function') {
+      await super.dispose();
+    }
+  }
+
+  // -----------------------------------
+  // Internals
+  // -----------------------------------
+
+  /**
+   * Dispatch the next held message if nothing is in flight
+   * @private
+   * @returns {Promise<{seq: number, result: Object}|null>} Dispatched seq and routing result
+   */
+  async #dispatchNext(tx) {
+    if (tx.isFinished() || tx.inFlight) return null;
+
+    const seq = tx.nextSeq;
+    const entry = tx.held.get(seq);
+    if (!entry) return null;
+
+    tx.held.delete(seq);
+    tx.inFlight = { seq, ...entry };
+    tx.touch();
+    this.#clearHoldTimer(tx.id);
+
+    let result;
+    try {
+      result = await entry.dispatch(entry.message, entry.options);
+    } catch (error) {
+      await this.fail(tx.id, seq, { name: error?.name || 'Error', message: error?.message || String(error) });
+      throw error;
+    }
+
+    // The message never reached its handler (unknown subsystem, expired, ...)
+    if (result && result.success === false) {
+      await this.fail(tx.id, seq, { name: 'Error', message: result.error?.message || result.error || 'Routing failed' });
+    }
+
+    return { seq, result };
+  }
+
+  /**
+   * Re-send completed messages (newest first) as compensations
+   * @private
+   */
+  async #compensate(tx) {
+    const completed = [...tx.completed].reverse();
+    tx.completed = [];
+
+    for (const entry of completed) {
+      const record = { seq: entry.seq, messageId: entry.message.getId() };
+      try {
+        const result = await entry.dispatch(entry.message, {
+          ...entry.options,
+          transactionCompensation: { transaction: tx.id, failure: tx.failure }
+        });
+        record.success = result?.success !== false;
+      } catch (error) {
+        record.success = false;
+        record.error = { name: error?.name || 'Error', message: error?.message || String(error) };
+      }
+      tx.compensations.push(record);
+    }
+
+    // Keep summaries of what ran before the failure for queries
+    tx.completed = completed.reverse().map(({ seq, message }) => ({ seq, message }));
+    tx.touch();
+  }
+
+  /**
+   * Start (or restart) the hold timer of a pending transaction that waits for
+   * its next message; a transaction with a message in flight has no timer
+   * @private
+   */
+  #armHoldTimeout(tx) {
+    this.#clearHoldTimer(tx.id);
+    if (tx.isFinished() || tx.inFlight) return;
+
+    const timer = setTimeout(() => {
+      this.#holdTimers.delete(tx.id);
+      this.#onHoldTimeout(tx).catch(error => {
+        this.#logger.error(`Transaction ${tx.id} hold timeout failed:`, error);
+      });
+    }, this.#holdTimeout);
+    timer.unref?.();
+    this.#holdTimers.set(tx.id, timer);
+  }
+
+  /**
+   * @private
+   */
+  #clearHoldTimer(id) {
+    const timer = this.#holdTimers.get(id);
+    if (timer) {
+      clearTimeout(timer);
+      this.#holdTimers.delete(id);
+    }
+  }
+
+  /**
+   * @private
+   */
+  #clearHoldTimers() {
+    for (const timer of this.#holdTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.#holdTimers.clear();
+  }
+
+  /**
+   * Finish a transaction that waited `holdTimeout` for its next message
+   *
+   * A transaction without a size and nothing held has processed every message
+   * it was sent, so it commits. Otherwise a message is missing: the transaction
+   * aborts, its completed messages are compensated and the failure is recorded
+   * with the ErrorManager.
+   * @private
+   */
+  async #onHoldTimeout(tx) {
+    if (tx.isFinished() || tx.inFlight) return;
+
+    if (tx.size === null && tx.held.size === 0) {
+      tx.completed = tx.completed.map(({ seq, message }) => ({ seq, message }));
+      this.#finish(tx, TRANSACTION_STATUS.COMMITTED);
+      this.#logger.log(`Transaction ${tx.id} committed after ${this.#holdTimeout}ms without a new message.`);
+      return;
+    }
+
+    const seq = tx.nextSeq;
+    const held = tx.held.size;
+    tx.failure = {
+      seq,
+      messageId: null,
+      error: { name: 'TimeoutError', message: `Transaction ${tx.id} timed out after ${this.#holdTimeout}ms waiting for seq ${seq}` }
+    };
+    this.#finish(tx, TRANSACTION_STATUS.ABORTED);
+    this.#logger.warn(tx.failure.error.message);
+
+    await this.#compensate(tx);
+
+    const errorManager = this.getRoot?.()?.getErrorManager?.();
+    if (errorManager && typeof errorManager.record === 'function') {
+      errorManager.record(
+        { type: ERROR_TYPES.TIMEOUT, severity: ERROR_SEVERITY.WARN, message: tx.failure.error.message },
+        {
+          messageSubsystem: this.name,
+          meta: {
+            transaction: tx.id,
+            seq,
+            owner: tx.ownerPkrUuid,
+            dropped: held,
+            compensated: tx.compensations.length
+          }
+        }
+      );
+    }
+  }
+
+  /**
+   * Count a sender's pending transactions and held messages
+   * @private
+   */
+  #countPending(ownerPkrUuid) {
+    let transactions = 0;
+    let held = 0;
+    for (const tx of this.#transactions.values()) {
+      if (tx.isFinished() || tx.ownerPkrUuid !== ownerPkrUuid) continue;
+      transactions++;
+      held += tx.held.size;
+    }
+    return { transactions, held };
+  }
+
+  /**
+   * Finish a transaction and evict the oldest finished ones over capacity
+   * @private
+   */
+  #finish(tx, status) {
+    this.#clearHoldTimer(tx.id);
+    tx.finish(status);
+
+    let finished = 0;
+    for (const t of this.#transactions.values()) {
+      if (t.isFinished()) finished++;
+    }
+    for (const [id, t] of this.#transactions) {
+      if (finished <= this.#capacity) break;
+      if (t.isFinished()) {
+        this.#transactions.delete(id);
+        finished--;
+      }
+    }
+  }
+
+  /**
+   * Build a rejection result
+   * @private
+   */
+  #reject(id, status, seq, reason) {
+    return {
+      success: false,
+      transaction: id,
+      seq,
+      status,
+      error: `Transaction ${id}: ${reason}`
+    };
+  }
+}
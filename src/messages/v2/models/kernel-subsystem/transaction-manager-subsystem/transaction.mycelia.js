@@ -0,0 +1,108 @@
+/**
+ * Transaction status values
+ */
+export const TRANSACTION_STATUS = Object.freeze({
+  PENDING: 'pending',
+  COMMITTED: 'committed',
+  ABORTED: 'aborted'
+});
+
+/**
+ * Transaction
+ * -----------
+ * Delivery state of one transaction batch (messages sharing a `transaction`
+ * id, ordered by `seq`).
+ *
+ * Messages are held until it is their turn: seq `n` is dispatched only after
+ * seq `n - 1` has been processed. Completed messages are kept (together with
+ * the options and dispatch function they were sent with) so they can be
+ * compensated if a later message fails.
+ *
+ * @param {Object} params - Transaction parameters
+ * @param {string} params.id - Transaction ID (message `transaction` metadata)
+ * @param {PKR|null} [params.ownerPkr=null] - PKR that sent the first message
+ * @param {number|null} [params.size=null] - Number of messages in the batch (null if unknown)
+ */
+export class Transaction {
+  constructor(params = {}) {
+    const { id, ownerPkr = null, size = null } = params;
+
+    if (!id || typeof id !== 'string') {
+      throw new TypeError('Transaction: id must be a non-empty string');
+    }
+    if (size !== null && (!Number.isInteger(size) || size < 1)) {
+      throw new TypeError('Transaction: size must be a positive integer or null');
+    }
+
+    this.id = id;
+    this.ownerPkr = ownerPkr;
+    this.ownerPkrUuid = ownerPkr?.uuid ?? null;
+    this.size = size;
+    this.status = TRANSACTION_STATUS.PENDING;
+    this.nextSeq = 1;
+    this.held = new Map(); // seq -> { message, options, dispatch }
+    this.inFlight = null; // { seq, message, options, dispatch }
+    this.completed = []; // [{ seq, message, options, dispatch }] in seq order
+    this.failure = null; // { seq, messageId, error }
+    this.compensations = []; // [{ seq, messageId, success, error? }]
+    this.createdAt = new Date();
+    this.updatedAt = this.createdAt;
+    this.finishedAt = null;
+  }
+
+  /**
+   * Check whether the transaction has committed or aborted
+   * @returns {boolean}
+   */
+  isFinished() {
+    return this.status !== TRANSACTION_STATUS.PENDING;
+  }
+
+  /**
+   * Mark the transaction as changed
+   */
+  touch() {
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Move the transaction to a final status
+   * @param {string} status - TRANSACTION_STATUS.COMMITTED or TRANSACTION_STATUS.ABORTED
+   */
+  finish(status) {
+    this.status = status;
+    this.held.clear();
+    this.inFlight = null;
+    this.touch();
+    this.finishedAt = this.updatedAt;
+  }
+
+  /**
+   * Convert to a plain object (messages are summarized, not embedded)
+   * @returns {Object} Plain object representation of the transaction
+   */
+  toRecord() {
+    const summarize = (seq, message) => ({
+      seq,
+      messageId: message.getId(),
+      path: message.getPath()
+    });
+
+    return {
+      id: this.id,
+      status: this.status,
+      size: this.size,
+      nextSeq: this.nextSeq,
+      inFlight: this.inFlight ? summarize(this.inFlight.seq, this.inFlight.message) : null,
+      held: [...this.held.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([seq, entry]) => summarize(seq, entry.message)),
+      completed: this.completed.map(entry => summarize(entry.seq, entry.message)),
+      failure: this.failure,
+      compensations: this.compensations,
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString(),
+      finishedAt: this.finishedAt ? this.finishedAt.toISOString() : null
+    };
+  }
+}
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { CircuitBreaker, CircuitOpenError, CIRCUIT_STATES } from '../circuit-breaker.mycelia.js';
+
+describe('CircuitBreaker', () => {
+  const createBreaker = (options = {}) =>
+    new CircuitBreaker('svc', { failureRateThreshold: 0.5, minimumCalls: 4, window: 1000, openDuration: 500, ...options });
+
+  it('opens when the failure rate reaches the threshold', () => {
+    const breaker = createBreaker();
+    breaker.recordFailure(1, 0);
+    breaker.recordFailure(1, 10);
+    breaker.recordSuccess(1, 20);
+    expect(breaker.getState(20)).toBe(CIRCUIT_STATES.CLOSED);
+
+    breaker.recordSuccess(1, 30);
+    breaker.recordFailure(1, 40);
+    expect(breaker.getState(40)).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.allowRequest(100)).toBe(false);
+    expect(breaker.retryAfter(100)).toBe(440);
+    expect(breaker.snapshot(100)).toMatchObject({ state: 'open', calls: 5, failures: 3, rejected: 1, timesOpened: 1 });
+  });
+
+  it('only counts outcomes within the window', () => {
+    const breaker = createBreaker();
+    breaker.recordFailure(3, 0);
+    breaker.recordSuccess(1, 1500);
+    breaker.recordFailure(1, 1600);
+
+    expect(breaker.getState(1600)).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  it('lets probes through when half-open and closes after successful probes', () => {
+    const breaker = createBreaker({ halfOpenProbes: 2 });
+    breaker.recordFailure(4, 0);
+
+    expect(breaker.getState(500)).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(breaker.allowRequest(500)).toBe(true);
+    expect(breaker.allowRequest(510)).toBe(true);
+    expect(breaker.allowRequest(520)).toBe(false);
+
+    breaker.recordSuccess(1, 530);
+    expect(breaker.getState(530)).toBe(CIRCUIT_STATES.HALF_OPEN);
+    breaker.recordSuccess(1, 540);
+    expect(breaker.getState(540)).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.snapshot(540)).toMatchObject({ calls: 0, failures: 0 });
+  });
+
+  it('reopens when a probe fails', () => {
+    const breaker = createBreaker();
+    breaker.recordFailure(4, 0);
+    expect(breaker.allowRequest(600)).toBe(true);
+
+    breaker.recordFailure(1, 650);
+    expect(breaker.getState(650)).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.retryAfter(650)).toBe(500);
+    expect(breaker.snapshot(650).timesOpened).toBe(2);
+  });
+
+  it('allows new probes when a probe outcome never arrives', () => {
+    const breaker = createBreaker();
+    breaker.recordFailure(4, 0);
+    expect(breaker.allowRequest(500)).toBe(true);
+    expect(breaker.allowRequest(900)).toBe(false);
+    expect(breaker.allowRequest(1000)).toBe(true);
+  });
+
+  it('resets to closed', () => {
+    const breaker = createBreaker();
+    breaker.recordFailure(4, 0);
+    breaker.reset(10);
+    expect(breaker.allowRequest(10)).toBe(true);
+  });
+
+  it('describes the rejection in CircuitOpenError', () => {
+    const error = new CircuitOpenError('svc', 250);
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toMatchObject({ name: 'CircuitOpenError', code: 'CIRCUIT_OPEN', subsystem: 'svc', retryAfter: 250 });
+  });
+});
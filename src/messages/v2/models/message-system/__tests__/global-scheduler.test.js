@@ -63,6 +63,25 @@ describe('GlobalScheduler', () => {
     expect(scheduler.stats.subsystemsScheduled).toBe(1);
   });
 
+  it('releases due delayed deliveries before allocating time slices', async () => {
+    const scheduler = new GlobalScheduler(messageSystem, { timeSliceDuration: 5 });
+    const schedulerFacet = { releaseDueDeliveries: vi.fn().mockResolvedValue(2) };
+    const subsystem = {
+      name: 'svc',
+      find: vi.fn((kind) => (kind === 'scheduler' ? schedulerFacet : undefined)),
+      process: vi.fn().mockResolvedValue({ processed: 2 }),
+      getQueueStatus: vi.fn().mockReturnValue({ size: 0 }),
+      getStatistics: vi.fn().mockReturnValue({}),
+    };
+    messageSystem.getSubsystems.mockReturnValue([subsystem]);
+
+    scheduler.isRunning = true;
+    await scheduler.scheduleNext();
+    expect(schedulerFacet.releaseDueDeliveries).toHaveBeenCalledTimes(1);
+    expect(schedulerFacet.releaseDueDeliveries.mock.invocationCallOrder[0])
+      .toBeLessThan(subsystem.process.mock.invocationCallOrder[0]);
+  });
+
   it('registers strategies and validates setStrategy', () => {
     const scheduler = new GlobalScheduler(messageSystem);
     const customStrategy = vi.fn((subs) => subs[0]);
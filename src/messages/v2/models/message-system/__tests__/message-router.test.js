@@ -1,5 +1,7 @@
-import { describe, it, expect, vi } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { MessageRouter } from '../message-router.mycelia.js';
+import { SubsystemQueueManager } from '../../../hooks/queue/subsystem-queue-manager.mycelia.js';
+import { SubsystemStatistics } from '../../../hooks/statistics/subsystem-statistics.mycelia.js';
 
 const createMessage = ({
   path = 'svc://op',
@@ -83,5 +85,177 @@ describe('MessageRouter', () => {
     router.clear();
     expect(router.stats.messagesRouted).toBe(0);
   });
-});
 
+  it('discards expired messages and records a timeout error', async () => {
+    const errorManager = { record: vi.fn() };
+    const expiryKernel = { ...kernel, getErrorManager: vi.fn().mockReturnValue(errorManager) };
+    const router = new MessageRouter(messageSystem, expiryKernel, registry);
+    const recordExpired = vi.fn();
+    const subsystem = {
+      name: 'svc',
+      accept: vi.fn(),
+      find: vi.fn((kind) => (kind === 'statistics' ? { _statistics: { recordExpired } } : null)),
+    };
+    registry.set('svc', subsystem);
+    const message = createMessage({
+      meta: { isExpired: vi.fn().mockReturnValue(true), getExpiresAt: () => 1000 },
+    });
+
+    const result = await router.route(message);
+
+    expect(result).toEqual(expect.objectContaining({ success: false, expired: true, messageId: 'msg-1' }));
+    expect(subsystem.accept).not.toHaveBeenCalled();
+    expect(recordExpired).toHaveBeenCalledTimes(1);
+    expect(errorManager.record).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'timeout' }),
+      expect.objectContaining({ messageSubsystem: 'svc', path: 'svc://op' }),
+    );
+    expect(router.getStatistics().messagesExpired).toBe(1);
+  });
+
+  describe('circuit breakers', () => {
+    const createQueuedSubsystem = () => {
+      const stats = { messagesProcessed: 0, processingErrors: 0, queueFullEvents: 0, queueWaitTimeouts: 0, messagesExpired: 0 };
+      return {
+        stats,
+        name: 'svc',
+        accept: vi.fn().mockResolvedValue(true),
+        getQueueStatus: vi.fn().mockReturnValue({ size: 0 }),
+        find: vi.fn((kind) => (kind === 'statistics' ? { _statistics: { getStats: () => ({ ...stats }) } } : null)),
+      };
+    };
+    const breakerOptions = { failureRateThreshold: 0.5, minimumCalls: 4, openDuration: 1000 };
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('opens on the subsystem error rate, fails fast and recovers through a probe', async () => {
+      vi.useFakeTimers();
+      const router = new MessageRouter(messageSystem, kernel, registry, { circuitBreaker: breakerOptions });
+      const subsystem = createQueuedSubsystem();
+      registry.set('svc', subsystem);
+
+      await router.route(createMessage());
+      subsystem.stats.messagesProcessed += 1;
+      subsystem.stats.processingErrors += 2;
+      subsystem.stats.queueWaitTimeouts += 1;
+
+      // The next route samples the statistics and opens the circuit
+      const rejected = await router.route(createMessage({ id: 'msg-3' }));
+      expect(rejected).toEqual({
+        success: false,
+        circuitOpen: true,
+        code: 'CIRCUIT_OPEN',
+        error: 'Circuit open for subsystem svc',
+        retryAfter: 1000,
+        messageId: 'msg-3',
+      });
+      expect(subsystem.accept).toHaveBeenCalledTimes(1);
+      expect(router.getStatistics().circuitRejections).toBe(1);
+      expect(router.getCircuitBreakers()).toEqual([expect.objectContaining({ subsystem: 'svc', state: 'open' })]);
+
+      vi.advanceTimersByTime(1000);
+      expect((await router.route(createMessage({ id: 'probe' }))).success).toBe(true);
+      expect((await router.route(createMessage({ id: 'msg-4' }))).circuitOpen).toBe(true);
+
+      subsystem.stats.messagesProcessed += 1;
+      expect((await router.route(createMessage({ id: 'msg-5' }))).success).toBe(true);
+      expect(router.getCircuitBreakers()[0].state).toBe('closed');
+    });
+
+    it('throws a CircuitOpenError from routeToSubsystem', async () => {
+      const router = new MessageRouter(messageSystem, kernel, registry, { circuitBreaker: { ...breakerOptions, minimumCalls: 1 } });
+      const subsystem = { name: 'flaky', accept: vi.fn().mockRejectedValue(new Error('down')) };
+
+      await expect(router.routeToSubsystem(createMessage(), subsystem)).rejects.toThrow(/down/);
+      await expect(router.routeToSubsystem(createMessage(), subsystem)).rejects.toMatchObject({
+        name: 'CircuitOpenError',
+        subsystem: 'flaky',
+      });
+      expect(router.resetCircuitBreaker('flaky')).toBe(true);
+      expect(router.getCircuitBreakers()[0].state).toBe('closed');
+    });
+
+    it('uses error manager records for subsystems without statistics', async () => {
+      vi.useFakeTimers();
+      const records = [];
+      const errorManager = { boundedErrorStore: { list: vi.fn(({ since }) => records.filter((r) => r.timestamp.getTime() >= since)) } };
+      const router = new MessageRouter(messageSystem, { ...kernel, getErrorManager: () => errorManager }, registry, {
+        circuitBreaker: breakerOptions,
+      });
+      const subsystem = { name: 'svc', accept: vi.fn().mockResolvedValue(true), getQueueStatus: () => ({ size: 0 }) };
+      registry.set('svc', subsystem);
+
+      await router.route(createMessage());
+      vi.advanceTimersByTime(10);
+      for (let i = 0; i < 3; i++) records.push({ type: 'timeout', timestamp: new Date() });
+      await router.route(createMessage());
+
+      expect(errorManager.boundedErrorStore.list).toHaveBeenLastCalledWith(
+        expect.objectContaining({ subsystem: 'svc', type: ['timeout', 'maxretries', 'internal', 'external'] }),
+      );
+      expect(router.getCircuitBreakers()[0]).toMatchObject({ state: 'open', failures: 3 });
+    });
+
+    it('does not open on a burst that overflows a drop-oldest queue', async () => {
+      const router = new MessageRouter(messageSystem, kernel, registry, { circuitBreaker: breakerOptions });
+      const statistics = new SubsystemStatistics();
+      const queue = new SubsystemQueueManager({
+        subsystemName: 'svc',
+        capacity: 5,
+        policy: 'drop-oldest',
+        onQueueFull: () => statistics.recordQueueFull(),
+      });
+      const subsystem = {
+        name: 'svc',
+        accept: vi.fn(async (msg, options) => queue.enqueue({ msg, options })),
+        getQueueStatus: () => queue.getStatus(),
+        find: (kind) => (kind === 'statistics' ? { _statistics: statistics } : null),
+      };
+      registry.set('svc', subsystem);
+
+      for (let i = 0; i < 30; i++) {
+        expect((await router.route(createMessage({ id: `burst-${i}` }))).success).toBe(true);
+      }
+      while (queue.dequeue()) statistics.recordProcessed();
+      expect((await router.route(createMessage({ id: 'after' }))).success).toBe(true);
+
+      expect(statistics.getStats().queueFullEvents).toBe(25);
+      expect(router.getCircuitBreakers()[0]).toMatchObject({ state: 'closed', failures: 0, calls: 5 });
+    });
+
+    it('counts a failed route once for subsystems with statistics', async () => {
+      const router = new MessageRouter(messageSystem, kernel, registry, { circuitBreaker: breakerOptions });
+      const subsystem = createQueuedSubsystem();
+      registry.set('svc', subsystem);
+
+      await router.route(createMessage());
+      subsystem.accept.mockImplementationOnce(async () => {
+        subsystem.stats.processingErrors += 1;
+        throw new Error('handler failed');
+      });
+      await router.route(createMessage({ id: 'msg-2' }));
+      await router.route(createMessage({ id: 'msg-3' }));
+
+      expect(router.getCircuitBreakers()[0]).toMatchObject({ failures: 1, calls: 1 });
+    });
+
+    it('is off by default and never breaks the kernel', async () => {
+      const subsystem = { name: 'flaky', accept: vi.fn().mockRejectedValue(new Error('down')) };
+      for (const options of [{}, { circuitBreaker: false }]) {
+        const disabled = new MessageRouter(messageSystem, kernel, registry, options);
+        for (let i = 0; i < 20; i++) {
+          await expect(disabled.routeToSubsystem(createMessage(), subsystem)).rejects.toThrow(/down/);
+        }
+        expect(disabled.getCircuitBreakers()).toEqual([]);
+      }
+
+      const router = new MessageRouter(messageSystem, kernel, registry, { circuitBreaker: { ...breakerOptions, minimumCalls: 1 } });
+      kernel.accept = vi.fn().mockRejectedValue(new Error('busy'));
+      await expect(router.routeToSubsystem(createMessage(), kernel)).rejects.toThrow(/busy/);
+      await expect(router.routeToSubsystem(createMessage(), kernel)).rejects.toThrow(/busy/);
+      expect(router.getCircuitBreakers()).toEqual([]);
+    });
+  });
+});
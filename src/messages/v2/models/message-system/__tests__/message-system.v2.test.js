@@ -30,6 +30,8 @@ const hoisted = vi.hoisted(() => {
       useMessages: vi.fn(),
       useMessageSystemRouter: vi.fn(),
       useMessageSystemRegistry: vi.fn(),
+      useTracing: vi.fn(),
+      useFlightRecorder: vi.fn(),
     },
   };
 });
@@ -58,6 +60,12 @@ vi.mock('../../../hooks/message-system-router/use-message-system-router.mycelia.
 vi.mock('../../../hooks/message-system-registry/use-message-system-registry.mycelia.js', () => ({
   useMessageSystemRegistry: hoisted.hooks.useMessageSystemRegistry,
 }));
+vi.mock('../../../hooks/tracing/use-tracing.mycelia.js', () => ({
+  useTracing: hoisted.hooks.useTracing,
+}));
+vi.mock('../../../hooks/flight-recorder/use-flight-recorder.mycelia.js', () => ({
+  useFlightRecorder: hoisted.hooks.useFlightRecorder,
+}));
 
 import { MessageSystem } from '../message-system.v2.mycelia.js';
 
@@ -73,6 +81,8 @@ describe('MessageSystem', () => {
       hoisted.hooks.useMessages,
       hoisted.hooks.useMessageSystemRegistry,
       hoisted.hooks.useMessageSystemRouter,
+      hoisted.hooks.useTracing,
+      hoisted.hooks.useFlightRecorder,
     ]);
   });
 
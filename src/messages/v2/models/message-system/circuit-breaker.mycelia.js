@@ -0,0 +1,290 @@
+/**
+ * Circuit breaker for message delivery to a subsystem
+ *
+ * States:
+ * - closed: messages are delivered; outcomes are counted in a sliding window.
+ *   When at least `minimumCalls` outcomes were counted and the failure rate
+ *   reaches `failureRateThreshold`, the circuit opens.
+ * - open: messages are rejected with a CircuitOpenError. After `openDuration`
+ *   the circuit becomes half-open.
+ * - half-open: up to `halfOpenProbes` probe messages are delivered. A failure
+ *   opens the circuit again; `halfOpenProbes` successes close it. If no outcome
+ *   arrives within `openDuration`, new probes are allowed.
+ */
+
+/**
+ * Circuit breaker states
+ */
+export const CIRCUIT_STATES = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+});
+
+/**
+ * Error thrown when a message is routed to a subsystem whose circuit is open
+ *
+ * @example
+ * if (error instanceof CircuitOpenError) {
+ *   setTimeout(retry, error.retryAfter);
+ * }
+ */
+export class CircuitOpenError extends Error {
+  /**
+   * @param {string} subsystem - Target subsystem name
+   * @param {number} retryAfter - Milliseconds until the circuit allows a probe
+   */
+  constructor(subsystem, retryAfter) {
+    super(`Circuit open for subsystem ${subsystem}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.subsystem = subsystem;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * CircuitBreaker Class
+ *
+ * @example
+ * const breaker = new CircuitBreaker('canvas', { failureRateThreshold: 0.5, openDuration: 5000 });
+ * if (!breaker.allowRequest()) throw new CircuitOpenError('canvas', breaker.retryAfter());
+ * breaker.recordFailure();
+ */
+export class CircuitBreaker {
+  #state = CIRCUIT_STATES.CLOSED;
+  #outcomes = []; // { at, successes, failures }, oldest first
+  #openedAt = null;
+  #halfOpenedAt = null;
+  #probes = 0;
+  #probeSuccesses = 0;
+  #lastTransitionAt = null;
+  #rejected = 0;
+  #timesOpened = 0;
+
+  /**
+   * @param {string} name - Subsystem name
+   * @param {Object} [options={}] - Breaker options
+   * @param {number} [options.failureRateThreshold=0.5] - Failure rate (0-1) that opens the circuit
+   * @param {number} [options.minimumCalls=10] - Outcomes needed in the window before the rate is evaluated
+   * @param {number} [options.window=30000] - Sliding window in milliseconds
+   * @param {number} [options.openDuration=10000] - Milliseconds before an open circuit allows probes
+   * @param {number} [options.halfOpenProbes=1] - Probe messages allowed (and successes needed) in half-open state
+   */
+  constructor(name, options = {}) {
+    const {
+      failureRateThreshold = 0.5,
+      minimumCalls = 10,
+      window = 30000,
+      openDuration = 10000,
+      halfOpenProbes = 1
+    } = options;
+
+    if (!(failureRateThreshold > 0 && failureRateThreshold <= 1)) {
+      throw new Error('CircuitBreaker: failureRateThreshold must be greater than 0 and at most 1.');
+    }
+    if (!Number.isInteger(minimumCalls) || minimumCalls < 1) {
+      throw new Error('CircuitBreaker: minimumCalls must be a positive integer.');
+    }
+    if (!Number.isInteger(halfOpenProbes) || halfOpenProbes < 1) {
+      throw new Error('CircuitBreaker: halfOpenProbes must be a positive integer.');
+    }
+
+    this.name = name;
+    this.failureRateThreshold = failureRateThreshold;
+    this.minimumCalls = minimumCalls;
+    this.window = window;
+    this.openDuration = openDuration;
+    this.halfOpenProbes = halfOpenProbes;
+  }
+
+  /**
+   * Current state ('closed', 'open' or 'half-open')
+   *
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {string}
+   */
+  getState(now = Date.now()) {
+    if (this.#state === CIRCUIT_STATES.OPEN && now - this.#openedAt >= this.openDuration) {
+      this.#transition(CIRCUIT_STATES.HALF_OPEN, now);
+    }
+    return this.#state;
+  }
+
+  /**
+   * Check whether a message may be delivered (counts probes in half-open state)
+   *
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {boolean} False if the message must be rejected
+   */
+  allowRequest(now = Date.now()) {
+    const state = this.getState(now);
+    if (state === CIRCUIT_STATES.CLOSED) return true;
+
+    if (state === CIRCUIT_STATES.HALF_OPEN) {
+      // Probes whose outcome never arrived do not block recovery forever
+      if (this.#probes >= this.halfOpenProbes && now - this.#halfOpenedAt >= this.openDuration) {
+        this.#probes = this.#probeSuccesses;
+        this.#halfOpenedAt = now;
+      }
+      if (this.#probes < this.halfOpenProbes) {
+        this.#probes += 1;
+        return true;
+      }
+    }
+
+    this.#rejected += 1;
+    return false;
+  }
+
+  /**
+   * Milliseconds until the circuit allows a message again (0 when closed)
+   *
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {number}
+   */
+  retryAfter(now = Date.now()) {
+    const state = this.getState(now);
+    if (state === CIRCUIT_STATES.OPEN) {
+      return Math.max(0, this.#openedAt + this.openDuration - now);
+    }
+    if (state === CIRCUIT_STATES.HALF_OPEN && this.#probes >= this.halfOpenProbes) {
+      return Math.max(0, this.#halfOpenedAt + this.openDuration - now);
+    }
+    return 0;
+  }
+
+  /**
+   * Count successful deliveries
+   *
+   * @param {number} [count=1] - Number of successes
+   * @param {number} [now=Date.now()] - Current time
+   */
+  recordSuccess(count = 1, now = Date.now()) {
+    this.record(count, 0, now);
+  }
+
+  /**
+   * Count failed deliveries (errors, timeouts, rejections)
+   *
+   * @param {number} [count=1] - Number of failures
+   * @param {number} [now=Date.now()] - Current time
+   */
+  recordFailure(count = 1, now = Date.now()) {
+    this.record(0, count, now);
+  }
+
+  /**
+   * Count a batch of outcomes (e.g. a statistics sample) and evaluate the circuit once
+   *
+   * In half-open state, any failure opens the circuit again, even if the batch
+   * also contains successes.
+   *
+   * @param {number} successes - Number of successes
+   * @param {number} failures - Number of failures
+   * @param {number} [now=Date.now()] - Current time
+   */
+  record(successes, failures, now = Date.now()) {
+    successes = Math.max(0, successes || 0);
+    failures = Math.max(0, failures || 0);
+    if (successes === 0 && failures === 0) return;
+    const state = this.getState(now);
+
+    if (state === CIRCUIT_STATES.HALF_OPEN) {
+      if (failures > 0) {
+        this.#transition(CIRCUIT_STATES.OPEN, now);
+        return;
+      }
+      this.#probeSuccesses += successes;
+      if (this.#probeSuccesses >= this.halfOpenProbes) {
+        this.#transition(CIRCUIT_STATES.CLOSED, now);
+      }
+      return;
+    }
+
+    if (state === CIRCUIT_STATES.CLOSED) {
+      this.#count(now, successes, failures);
+      const totals = this.#totals();
+      if (failures > 0 && totals.calls >= this.minimumCalls && totals.failures / totals.calls >= this.failureRateThreshold) {
+        this.#transition(CIRCUIT_STATES.OPEN, now);
+      }
+    }
+  }
+
+  /**
+   * Close the circuit and forget all outcomes
+   *
+   * @param {number} [now=Date.now()] - Current time
+   */
+  reset(now = Date.now()) {
+    this.#transition(CIRCUIT_STATES.CLOSED, now);
+    this.#rejected = 0;
+  }
+
+  /**
+   * Get a snapshot of the breaker
+   *
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Object} Breaker state and counters
+   */
+  snapshot(now = Date.now()) {
+    const state = this.getState(now);
+    this.#prune(now);
+    const { calls, failures } = this.#totals();
+    return {
+      subsystem: this.name,
+      state,
+      calls,
+      failures,
+      failureRate: calls > 0 ? failures / calls : 0,
+      rejected: this.#rejected,
+      timesOpened: this.#timesOpened,
+      openedAt: this.#openedAt,
+      lastTransitionAt: this.#lastTransitionAt,
+      retryAfter: this.retryAfter(now)
+    };
+  }
+
+  #transition(state, now) {
+    this.#state = state;
+    this.#lastTransitionAt = now;
+    this.#probes = 0;
+    this.#probeSuccesses = 0;
+
+    if (state === CIRCUIT_STATES.OPEN) {
+      this.#openedAt = now;
+      this.#timesOpened += 1;
+    } else if (state === CIRCUIT_STATES.HALF_OPEN) {
+      this.#halfOpenedAt = now;
+    } else {
+      this.#openedAt = null;
+      this.#outcomes = [];
+    }
+  }
+
+  #count(now, successes, failures) {
+    this.#prune(now);
+    this.#outcomes.push({ at: now, successes, failures });
+  }
+
+  #prune(now) {
+    const cutoff = now - this.window;
+    let drop = 0;
+    while (drop < this.#outcomes.length && this.#outcomes[drop].at <= cutoff) {
+      drop += 1;
+    }
+    if (drop > 0) {
+      this.#outcomes.splice(0, drop);
+    }
+  }
+
+  #totals() {
+    let successes = 0;
+    let failures = 0;
+    for (const outcome of this.#outcomes) {
+      successes += outcome.successes;
+      failures += outcome.failures;
+    }
+    return { calls: successes + failures, failures };
+  }
+}
@@ -16,7 +16,8 @@ import {
 } from './utils/global-scheduler-statistics.utils.mycelia.js';
 import {
   calculateAverageUtilization,
-  allocateTimeSlice
+  allocateTimeSlice,
+  releaseDueDeliveries
 } from './utils/global-scheduler-processing.utils.mycelia.js';
 
 /**
@@ -153,6 +154,9 @@ export class GlobalScheduler {
       return;
     }
     
+    // Move due delayed messages into their queues before selecting
+    await releaseDueDeliveries(subsystems, this.stats, this.debug);
+    
     // Get next subsystem based on strategy
     const subsystem = this.selectNextSubsystem(subsystems);
     
@@ -1,3 +1,13 @@
+import { ERROR_TYPES } from '../kernel-subsystem/error-manager-subsystem/error-record.mycelia.js';
+import { traceMessage } from '../tracing/tracer.mycelia.js';
+import { CircuitBreaker, CircuitOpenError } from './circuit-breaker.mycelia.js';
+
+/**
+ * Error types that count as delivery failures for subsystems without statistics
+ * @private
+ */
+const BREAKER_ERROR_TYPES = [ERROR_TYPES.TIMEOUT, ERROR_TYPES.MAX_RETRIES, ERROR_TYPES.INTERNAL, ERROR_TYPES.EXTERNAL];
+
 /**
  * MessageRouter Class
  * 
@@ -8,6 +18,24 @@
  * Kernel-level paths (kernel://*) are routed to the kernel subsystem, which processes them
  * immediately (synchronously) without queuing.
  * 
+ * Expired messages (ttl/expiresAt metadata) are discarded instead of routed. Each
+ * discard is counted in the target subsystem's statistics and recorded in the
+ * kernel error manager as an ERROR_TYPES.TIMEOUT record.
+ * 
+ * When the MessageSystem has tracing enabled (useTracing), every route() call is
+ * recorded as a `route <subsystem>` span and becomes the message's trace parent.
+ * With a recording flight recorder (useFlightRecorder), every routed message and
+ * its routing result is recorded for replay.
+ * 
+ * With the `circuitBreaker` option, every target subsystem (except the kernel)
+ * has a circuit breaker (see CircuitBreaker). Its failure rate comes from the
+ * subsystem's statistics (processing errors, queue wait timeouts and expired
+ * messages against processed messages), sampled whenever a message is routed
+ * to it; subsystems without statistics are judged by their routing outcomes
+ * and error manager records. Full queues are not failures: the queue's
+ * overflow policy handles them. While a circuit is open, routeToSubsystem()
+ * throws a CircuitOpenError and route() fails fast with `circuitOpen: true`.
+ * 
  * @example
  * // Create router with MessageSystem
  * const router = new MessageRouter(messageSystem, { debug: true });
@@ -30,6 +58,11 @@ export class MessageRouter {
   // Private field for subsystem registry (for routing to subsystems)
   #subsystems;
   
+  // Circuit breakers by subsystem name (null options = disabled)
+  #breakers = new Map();
+  #breakerOptions;
+  #breakerSamples = new Map();
+  
   /**
    * Create a new MessageRouter instance
    * 
@@ -38,6 +71,7 @@ export class MessageRouter {
    * @param {MessageSubsystems} subsystems - The subsystem registry (for routing to subsystems)
    * @param {Object} [options={}] - Configuration options
    * @param {boolean} [options.debug=false] - Enable debug logging
+   * @param {Object|boolean} [options.circuitBreaker=false] - CircuitBreaker options (or true for the defaults) to give every subsystem a circuit breaker
    * 
    * @example
    * // Basic router
@@ -52,12 +86,17 @@ export class MessageRouter {
     this.#kernel = kernel;
     this.#subsystems = subsystems;
     this.debug = options.debug || false;
+    this.#breakerOptions = options.circuitBreaker
+      ? { ...(options.circuitBreaker === true ? {} : options.circuitBreaker) }
+      : null;
     
     // Statistics
     this.stats = {
       messagesRouted: 0,
       routingErrors: 0,
-      unknownRoutes: 0
+      unknownRoutes: 0,
+      messagesExpired: 0,
+      circuitRejections: 0
     };
     
     if (this.debug) {
@@ -126,6 +165,24 @@ export class MessageRouter {
    * }
    */
   async route(message, options = {}) {
+    const target = message?.extractSubsystem?.() || 'unknown';
+    const traced = () => traceMessage(
+      this.messageSystem?.find?.('tracing'),
+      `route ${target}`,
+      message,
+      { attributes: { 'mycelia.subsystem': target } },
+      () => this.#routeMessage(message, options)
+    );
+
+    const recorder = this.messageSystem?.find?.('flightRecorder');
+    return recorder?.isRecording?.() ? await recorder.capture(message, options, traced) : await traced();
+  }
+
+  /**
+   * Route a message (see route())
+   * @private
+   */
+  async #routeMessage(message, options) {
     try {
       // Validate message has valid subsystem
       if (!message.hasValidSubsystem()) {
@@ -166,6 +223,18 @@ export class MessageRouter {
         };
       }
       
+      // Discard stale work instead of routing it
+      if (message.meta?.isExpired?.()) {
+        this.stats.messagesExpired++;
+        this.#recordExpired(message, subsystem);
+        return {
+          success: false,
+          expired: true,
+          error: `Message expired: ${message.path}`,
+          messageId: message.id
+        };
+      }
+      
       // Route message to subsystem
       // KernelSubsystem processes kernel:// messages immediately (synchronously)
       // Other subsystems enqueue messages for later processing
@@ -186,6 +255,18 @@ export class MessageRouter {
       };
       
     } catch (error) {
+      if (error instanceof CircuitOpenError) {
+        this.stats.circuitRejections++;
+        return {
+          success: false,
+          circuitOpen: true,
+          code: error.code,
+          error: error.message,
+          retryAfter: error.retryAfter,
+          messageId: message.id
+        };
+      }
+      
       this.stats.routingErrors++;
       
       if (this.debug) {
@@ -208,8 +289,22 @@ export class MessageRouter {
    * @param {BaseSubsystem} subsystem - Target subsystem
    * @param {Object} [options={}] - Options to pass to accept() or processImmediately()
    * @returns {Object} Routing result
+   * @throws {CircuitOpenError} If the subsystem's circuit is open
    */
   async routeToSubsystem(message, subsystem, options = {}) {
+    const breaker = this.#getBreaker(subsystem);
+    const sampled = breaker ? this.#sampleHealth(subsystem, breaker) : false;
+    if (breaker && !breaker.allowRequest()) {
+      if (this.debug) {
+        console.log(`MessageRouter: Circuit open for ${subsystem.name}, rejected message ${message.id}`);
+      }
+      throw new CircuitOpenError(subsystem.name, breaker.retryAfter());
+    }
+    
+    // Without statistics, the routing outcome is the only success signal.
+    // With statistics, the sample already counts processing errors.
+    const countOutcome = breaker && !sampled;
+    
     try {
       // Check if message should be processed immediately (bypasses queue)
       // processImmediately can be in mutable metadata or accessed via getCustomMutableField
@@ -218,6 +313,7 @@ export class MessageRouter {
       if (processImmediately) {
         // Process message immediately (synchronously, never queued)
         const result = await subsystem.processImmediately(message, options);
+        if (countOutcome) breaker.recordSuccess();
         
         return {
           accepted: true,
@@ -236,6 +332,7 @@ export class MessageRouter {
       if (acceptResult !== undefined && acceptResult !== null && typeof acceptResult === 'object' && acceptResult !== true && acceptResult !== false) {
         // If acceptResult is an object (not a boolean), it's a processing result
         // This happens for synchronous subsystems where accept() processes immediately
+        if (countOutcome) breaker.recordSuccess();
         return {
           accepted: true,
           processed: true,
@@ -245,6 +342,10 @@ export class MessageRouter {
       }
       
       // For non-synchronous subsystems, accept() returns boolean
+      if (countOutcome) {
+        if (acceptResult === true) breaker.recordSuccess();
+        else breaker.recordFailure();
+      }
       return {
         accepted: acceptResult === true,
         subsystem: subsystem.name,
@@ -252,10 +353,118 @@ export class MessageRouter {
       };
       
     } catch (error) {
+      if (countOutcome) breaker.recordFailure();
       throw new Error(`Failed to route to subsystem ${subsystem.name}: ${error.message}`);
     }
   }
 
+  /**
+   * Get the circuit breaker states of all subsystems messages were routed to
+   * @returns {Array<Object>} Breaker snapshots (see CircuitBreaker.snapshot())
+   */
+  getCircuitBreakers() {
+    return Array.from(this.#breakers.values()).map(breaker => breaker.snapshot());
+  }
+
+  /**
+   * Close a subsystem's circuit and forget its recorded outcomes
+   * @param {string} name - Subsystem name
+   * @returns {boolean} True if the subsystem had a circuit breaker
+   */
+  resetCircuitBreaker(name) {
+    const breaker = this.#breakers.get(name);
+    if (!breaker) {
+      return false;
+    }
+    breaker.reset();
+    return true;
+  }
+
+  /**
+   * Get (or create) the circuit breaker for a subsystem
+   * @param {BaseSubsystem} subsystem - Target subsystem
+   * @returns {CircuitBreaker|null} Null for the kernel or when breakers are disabled
+   * @private
+   */
+  #getBreaker(subsystem) {
+    if (!this.#breakerOptions || subsystem === this.#kernel || !subsystem?.name) {
+      return null;
+    }
+    let breaker = this.#breakers.get(subsystem.name);
+    if (!breaker) {
+      breaker = new CircuitBreaker(subsystem.name, this.#breakerOptions);
+      this.#breakers.set(subsystem.name, breaker);
+    }
+    return breaker;
+  }
+
+  /**
+   * Feed the breaker with what happened to the subsystem since the last sample
+   * @param {BaseSubsystem} subsystem - Target subsystem
+   * @param {CircuitBreaker} breaker - Its circuit breaker
+   * @returns {boolean} True if the subsystem has statistics (they provide the successes)
+   * @private
+   */
+  #sampleHealth(subsystem, breaker) {
+    const previous = this.#breakerSamples.get(subsystem.name);
+    const stats = subsystem.find?.('statistics')?._statistics?.getStats?.();
+    
+    if (stats) {
+      const current = {
+        successes: stats.messagesProcessed || 0,
+        failures: (stats.processingErrors || 0) + (stats.queueWaitTimeouts || 0) + (stats.messagesExpired || 0)
+      };
+      this.#breakerSamples.set(subsystem.name, current);
+      if (previous) {
+        breaker.record(current.successes - previous.successes, current.failures - previous.failures);
+      }
+      return true;
+    }
+    
+    const errors = this.#kernel?.getErrorManager?.()?.boundedErrorStore?.list?.({
+      subsystem: subsystem.name,
+      type: BREAKER_ERROR_TYPES,
+      since: previous?.since ?? Date.now()
+    }) || [];
+    const fresh = previous ? errors.filter(record => record.timestamp.getTime() > previous.since) : [];
+    const since = errors.length > 0 ? errors[errors.length - 1].timestamp.getTime() : (previous?.since ?? Date.now());
+    this.#breakerSamples.set(subsystem.name, { since });
+    breaker.recordFailure(fresh.length);
+    return false;
+  }
+
+
+  /**
+   * Count an expired message against its target subsystem and record it in the error manager
+   * @param {Message} message - Expired message
+   * @param {BaseSubsystem} subsystem - Target subsystem
+   * @private
+   */
+  #recordExpired(message, subsystem) {
+    try {
+      subsystem.find?.('statistics')?._statistics?.recordExpired?.();
+      
+      const errorManager = this.#kernel?.getErrorManager?.();
+      if (errorManager && typeof errorManager.record === 'function') {
+        errorManager.record(
+          { type: ERROR_TYPES.TIMEOUT, message: 'Message expired before routing' },
+          {
+            messageSubsystem: subsystem.name,
+            path: message.path,
+            meta: { messageId: message.id, expiresAt: message.meta.getExpiresAt(), stage: 'router' }
+          }
+        );
+      }
+    } catch (error) {
+      if (this.debug) {
+        console.error(`MessageRouter: Failed to record expired message ${message.id}:`, error);
+      }
+    }
+    
+    if (this.debug) {
+      console.log(`MessageRouter: Discarded expired message ${message.id} for ${subsystem.name}`);
+    }
+  }
 
   /**
    * Get router statistics
@@ -275,7 +484,9 @@ export class MessageRouter {
     this.stats = {
       messagesRouted: 0,
       routingErrors: 0,
-      unknownRoutes: 0
+      unknownRoutes: 0,
+      messagesExpired: 0,
+      circuitRejections: 0
     };
     
     if (this.debug) {
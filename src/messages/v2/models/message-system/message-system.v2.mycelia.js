@@ -33,6 +33,8 @@ import { useGlobalScheduler } from '../../hooks/global-scheduler/use-global-sche
 import { useMessages } from '../../hooks/messages/use-messages.mycelia.js';
 import { useMessageSystemRouter } from '../../hooks/message-system-router/use-message-system-router.mycelia.js';
 import { useMessageSystemRegistry } from '../../hooks/message-system-registry/use-message-system-registry.mycelia.js';
+import { useTracing } from '../../hooks/tracing/use-tracing.mycelia.js';
+import { useFlightRecorder } from '../../hooks/flight-recorder/use-flight-recorder.mycelia.js';
 import { MessagePool } from '../../utils/message-pool.mycelia.js';
 import { Message } from '../message/message.mycelia.js';
 
@@ -64,7 +66,9 @@ export class MessageSystem extends BaseSubsystem {
       useGlobalScheduler,
       useMessages,
       useMessageSystemRegistry,
-      useMessageSystemRouter
+      useMessageSystemRouter,
+      useTracing, // disabled unless config.tracing has exporters
+      useFlightRecorder // idle unless config.flightRecorder is given
     ];
 
     // Create KernelSubsystem (do not build yet)
@@ -65,3 +65,36 @@ export async function allocateTimeSlice(subsystem, timeSliceDuration, stats, las
 
 
 
+
+/**
+ * Release due delayed deliveries on every subsystem
+ * 
+ * Moves delayed messages whose delivery time has passed into their subsystem
+ * queues before a subsystem is selected, so queue-based strategies see them.
+ * 
+ * @param {Array<BaseSubsystem>} subsystems - Subsystems to check
+ * @param {Object} stats - Statistics object (will be updated)
+ * @param {boolean} debug - Enable debug logging
+ * @returns {Promise<number>} Total number of messages released
+ */
+export async function releaseDueDeliveries(subsystems, stats, debug) {
+  let released = 0;
+  
+  for (const subsystem of subsystems) {
+    const schedulerFacet = subsystem.find?.('scheduler');
+    if (!schedulerFacet || typeof schedulerFacet.releaseDueDeliveries !== 'function') {
+      continue;
+    }
+    
+    try {
+      released += await schedulerFacet.releaseDueDeliveries();
+    } catch (error) {
+      stats.schedulingErrors++;
+      if (debug) {
+        console.error(`GlobalScheduler: Error releasing delayed deliveries for ${subsystem.name}:`, error);
+      }
+    }
+  }
+  
+  return released;
+}
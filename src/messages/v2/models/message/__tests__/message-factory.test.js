@@ -42,6 +42,8 @@ describe('MessageFactory', () => {
     expect(batch).toHaveLength(2);
     expect(batch[0].meta.getTransaction()).toBe('tx-batch');
     expect(batch[0].meta.getSeq()).toBe(1);
+    expect(batch[1].meta.getSeq()).toBe(2);
+    expect(batch[0].meta.getTransactionSize()).toBe(2);
     expect(batch[0].meta.isAtomic()).toBe(true);
     expect(logSpy).toHaveBeenCalled();
   });
@@ -59,5 +59,20 @@ describe('MessageMetadata', () => {
     const fromJson = MessageMetadata.fromJSON(json);
     expect(fromJson.getTimestamp()).toBe(1000);
   });
-});
 
+  it('reports expiry from expiresAt', () => {
+    const meta = new MessageMetadata({ ...fixed, expiresAt: 5000 }, {});
+    expect(meta.getExpiresAt()).toBe(5000);
+    expect(meta.isExpired(4999)).toBe(false);
+    expect(meta.isExpired(5000)).toBe(true);
+
+    const forever = new MessageMetadata(fixed, {});
+    expect(forever.getExpiresAt()).toBeNull();
+    expect(forever.isExpired()).toBe(false);
+  });
+
+  it('reports priority with a default of 0', () => {
+    expect(new MessageMetadata({ ...fixed, priority: 3 }, {}).getPriority()).toBe(3);
+    expect(new MessageMetadata(fixed, {}).getPriority()).toBe(0);
+  });
+});
@@ -44,5 +44,45 @@ describe('buildMessageMetadata', () => {
     const fallback = buildMessageMetadata('unknown', {}, {}, vi.fn());
     expect(fallback.fixedMeta.type).toBe('unknown');
   });
-});
 
+  it('resolves deliverAt from delay or absolute time', () => {
+    const delayed = buildMessageMetadata('simple', { delay: 5000 }, {}, vi.fn());
+    expect(delayed.fixedMeta.deliverAt).toBe(1_700_000_005_000);
+    expect(delayed.mutableMeta).not.toHaveProperty('delay');
+
+    const scheduled = buildMessageMetadata('simple', { deliverAt: new Date(1_700_000_060_000), delay: 5 }, {}, vi.fn());
+    expect(scheduled.fixedMeta.deliverAt).toBe(1_700_000_060_000);
+
+    const immediate = buildMessageMetadata('simple', {}, {}, vi.fn());
+    expect(immediate.fixedMeta.deliverAt).toBeNull();
+  });
+
+  it('rejects invalid delay and deliverAt values', () => {
+    expect(() => buildMessageMetadata('simple', { delay: -1 }, {}, vi.fn())).toThrow(/delay/);
+    expect(() => buildMessageMetadata('simple', { deliverAt: 'not a date' }, {}, vi.fn())).toThrow(/deliverAt/);
+  });
+
+  it('resolves expiresAt from ttl or absolute time', () => {
+    const ttl = buildMessageMetadata('simple', { ttl: 30_000 }, {}, vi.fn());
+    expect(ttl.fixedMeta.expiresAt).toBe(1_700_000_030_000);
+    expect(ttl.mutableMeta).not.toHaveProperty('ttl');
+
+    const absolute = buildMessageMetadata('simple', { expiresAt: '2023-11-14T22:14:20.000Z', ttl: 5 }, {}, vi.fn());
+    expect(absolute.fixedMeta.expiresAt).toBe(1_700_000_060_000);
+
+    expect(buildMessageMetadata('simple', {}, {}, vi.fn()).fixedMeta.expiresAt).toBeNull();
+    expect(() => buildMessageMetadata('simple', { ttl: 'soon' }, {}, vi.fn())).toThrow(/ttl/);
+    expect(() => buildMessageMetadata('simple', { expiresAt: NaN }, {}, vi.fn())).toThrow(/expiresAt/);
+  });
+
+  it('resolves a numeric priority', () => {
+    const urgent = buildMessageMetadata('simple', { priority: 10 }, {}, vi.fn());
+    expect(urgent.fixedMeta.priority).toBe(10);
+    expect(urgent.mutableMeta).not.toHaveProperty('priority');
+
+    expect(buildMessageMetadata('simple', {}, {}, vi.fn()).fixedMeta.priority).toBe(0);
+    expect(buildMessageMetadata('simple', { priority: 'high' }, {}, vi.fn()).fixedMeta.priority).toBe(10);
+    expect(() => buildMessageMetadata('simple', { priority: 'urgent' }, {}, vi.fn())).toThrow(/priority/);
+    expect(() => buildMessageMetadata('simple', { priority: NaN }, {}, vi.fn())).toThrow(/priority/);
+  });
+});
@@ -33,6 +33,7 @@
 import { MessageMetadata } from './message-metadata.mycelia.js';
 import { buildMessageMetadata } from './message-metadata.utils.mycelia.js';
 import { generateTraceId, inheritTraceId } from '../../utils/trace.utils.mycelia.js';
+import { getMessageContext } from '../../utils/message-context.utils.mycelia.js';
 
 export class MessageFactory {
   /**
@@ -46,7 +47,9 @@ export class MessageFactory {
    * @param {number} [options.maxRetries] - Max retries (for retry type)
    * @param {string} [options.transaction] - Transaction ID (for transaction type)
    * @param {number} [options.seq] - Sequence number (for transaction type)
+   * @param {number} [options.transactionSize] - Number of messages in the transaction (for transaction type)
    * @param {boolean} [options.generateTransactionId=false] - Auto-generate transaction ID if not provided
+   * @param {Message} [options.parentMessage] - Message to inherit the trace from (default: the message being handled, see message-context.utils)
    * @returns {Object} Message data object
    * 
    * @example
@@ -93,6 +96,7 @@ export class MessageFactory {
       maxRetries, 
       transaction, 
       seq, 
+      transactionSize,
       generateTransactionId = false 
     } = options;
     
@@ -102,14 +106,15 @@ export class MessageFactory {
       finalTransaction = this.generateTransactionId();
     }
     
-    // Extract parent message for trace ID inheritance (if provided)
-    const parentMessage = options.parentMessage || null;
+    // Extract parent message for trace ID inheritance: explicit, or the message being handled
+    const parentMessage = options.parentMessage || getMessageContext()?.message || null;
     
     // Build metadata based on type and options
     const messageMeta = this.buildMetadata(type, meta, { 
       maxRetries, 
       transaction: finalTransaction, 
       seq,
+      transactionSize,
       path // Pass path for auto-detection of query messages
     }, parentMessage);
     
@@ -161,6 +166,7 @@ export class MessageFactory {
       { key: 'timestamp', check: (v) => v },
       { key: 'transaction', check: (v) => v },
       { key: 'seq', check: (v) => v !== undefined },
+      { key: 'transactionSize', check: (v) => v !== undefined },
       { key: 'caller', check: (v) => v },
       { key: 'maxRetries', check: (v) => v !== undefined },
       { key: 'isAtomic', check: (v) => v !== undefined },
@@ -311,7 +317,8 @@ export class MessageFactory {
         ...spec.options,
         type: 'transaction',
         transaction: transactionId,
-        seq: index + 1
+        seq: index + 1,
+        transactionSize: messageSpecs.length
       };
       
       // If global options specified atomic, ensure atomic flag is preserved in meta
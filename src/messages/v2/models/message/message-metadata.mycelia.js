@@ -95,6 +95,14 @@ export class MessageMetadata {
     return this.#fixed.seq || null;
   }
 
+  /**
+   * Get the number of messages in the transaction
+   * @returns {number|null} Transaction size, or null if unknown
+   */
+  getTransactionSize() {
+    return this.#fixed.transactionSize ?? null;
+  }
+
   /**
    * Get message type
    * @returns {string} Message type (simple, atomic, batch, query, command, retry, transaction, error)
@@ -111,6 +119,40 @@ export class MessageMetadata {
     return this.#fixed.maxRetries || 0;
   }
 
+  /**
+   * Get scheduled delivery time (epoch milliseconds)
+   * @returns {number|null} Delivery time, or null for immediate delivery
+   */
+  getDeliverAt() {
+    return this.#fixed.deliverAt ?? null;
+  }
+
+  /**
+   * Get expiry time (epoch milliseconds)
+   * @returns {number|null} Expiry time, or null if the message never expires
+   */
+  getExpiresAt() {
+    return this.#fixed.expiresAt ?? null;
+  }
+
+  /**
+   * Check if the message has expired
+   * @param {number} [now=Date.now()] - Current time in epoch milliseconds
+   * @returns {boolean} True if the message has an expiry time at or before `now`
+   */
+  isExpired(now = Date.now()) {
+    const expiresAt = this.getExpiresAt();
+    return expiresAt !== null && expiresAt <= now;
+  }
+
+  /**
+   * Get message priority
+   * @returns {number} Priority (higher is more urgent, 0 by default)
+   */
+  getPriority() {
+    return this.#fixed.priority ?? 0;
+  }
+
   /**
    * Get caller subsystem name
    * @returns {string|null} Subsystem name that created/sent the message or null
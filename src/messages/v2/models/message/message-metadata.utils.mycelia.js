@@ -4,7 +4,7 @@
  * Utilities for building message metadata based on type and options.
  */
 
-import { generateTraceId, inheritTraceId } from '../../utils/trace.utils.mycelia.js';
+import { generateTraceId, inheritTraceId, inheritTraceparent } from '../../utils/trace.utils.mycelia.js';
 
 /**
  * Build fixed and mutable metadata based on message type
@@ -13,7 +13,7 @@ import { generateTraceId, inheritTraceId } from '../../utils/trace.utils.mycelia
  * @param {Object} meta - Base metadata
  * @param {Object} options - Type-specific options
  * @param {Function} generateSenderId - Function to generate sender ID
- * @param {Message|Object} [parentMessage] - Parent message for trace ID inheritance
+ * @param {Message|Object} [parentMessage] - Parent message for trace ID and traceparent inheritance
  * @returns {{fixedMeta: Object, mutableMeta: Object}} Fixed and mutable metadata objects
  */
 export function buildMessageMetadata(type, meta, options, generateSenderId, parentMessage = null) {
@@ -26,9 +26,11 @@ export function buildMessageMetadata(type, meta, options, generateSenderId, pare
     traceId = generateTraceId();
   }
   
+  const timestamp = Date.now();
+
   // Base fixed metadata (immutable)
   const baseFixed = {
-    timestamp: Date.now(),
+    timestamp,
     type: type,
     traceId: traceId, // Add trace ID to fixed metadata
     maxRetries: meta.maxRetries || 3,
@@ -39,8 +41,12 @@ export function buildMessageMetadata(type, meta, options, generateSenderId, pare
     isError: false,
     transaction: null,
     seq: null,
+    transactionSize: null,
     senderId: null,
-    caller: meta.caller || null
+    caller: meta.caller || null,
+    deliverAt: resolveDeliverAt(meta, timestamp),
+    expiresAt: resolveExpiresAt(meta, timestamp),
+    priority: resolvePriority(meta)
   };
 
   // Base mutable metadata (editable)
@@ -51,7 +57,7 @@ export function buildMessageMetadata(type, meta, options, generateSenderId, pare
 
   // Extract custom properties from meta that should go into mutable metadata
   // These are properties that are not part of the standard fixed metadata
-  const standardFixedKeys = new Set(['id', 'timestamp', 'type', 'traceId', 'maxRetries', 'isAtomic', 'batch', 'isQuery', 'isCommand', 'isError', 'transaction', 'seq', 'senderId', 'caller']);
+  const standardFixedKeys = new Set(['id', 'timestamp', 'type', 'traceId', 'maxRetries', 'isAtomic', 'batch', 'isQuery', 'isCommand', 'isError', 'transaction', 'seq', 'transactionSize', 'senderId', 'caller', 'deliverAt', 'delay', 'expiresAt', 'ttl', 'priority']);
   const customMutable = {};
   for (const [key, value] of Object.entries(meta || {})) {
     if (!standardFixedKeys.has(key)) {
@@ -59,6 +65,14 @@ export function buildMessageMetadata(type, meta, options, generateSenderId, pare
     }
   }
 
+  // Child messages continue the span that handled their parent
+  if (customMutable.traceparent === undefined && parentMessage) {
+    const traceparent = inheritTraceparent(parentMessage);
+    if (traceparent) {
+      customMutable.traceparent = traceparent;
+    }
+  }
+
   // Apply type-specific fixed metadata
   let fixedMeta = { ...baseFixed };
 
@@ -84,6 +98,7 @@ export function buildMessageMetadata(type, meta, options, generateSenderId, pare
     transaction: (fixedMeta, options, meta) => {
       fixedMeta.transaction = options.transaction;
       fixedMeta.seq = options.seq;
+      fixedMeta.transactionSize = options.transactionSize ?? null;
       // If atomic was specified in meta, preserve it for transaction messages
       if (meta.isAtomic) {
         fixedMeta.isAtomic = true;
@@ -123,3 +138,110 @@ export function buildMessageMetadata(type, meta, options, generateSenderId, pare
   return { fixedMeta, mutableMeta };
 }
 
+/**
+ * Convert a Date, epoch milliseconds, or date string to epoch milliseconds
+ * @private
+ */
+function toEpochMs(value, field) {
+  const ms = value instanceof Date
+    ? value.getTime()
+    : typeof value === 'string'
+      ? new Date(value).getTime()
+      : value;
+
+  if (typeof ms !== 'number' || !Number.isFinite(ms)) {
+    throw new Error(`buildMessageMetadata: ${field} must be a Date, epoch milliseconds, or a valid date string`);
+  }
+  return ms;
+}
+
+/**
+ * Resolve a duration in milliseconds relative to creation time
+ * @private
+ */
+function fromDuration(value, field, timestamp) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new Error(`buildMessageMetadata: ${field} must be a non-negative number of milliseconds`);
+  }
+  return timestamp + value;
+}
+
+/**
+ * Resolve the delivery time for delayed/scheduled messages
+ * 
+ * `deliverAt` (absolute) takes precedence over `delay` (relative to creation time).
+ * 
+ * @param {Object} meta - Base metadata
+ * @param {Date|number|string} [meta.deliverAt] - Absolute delivery time (Date, epoch ms, or date string)
+ * @param {number} [meta.delay] - Delay in milliseconds from creation time
+ * @param {number} timestamp - Message creation time in epoch milliseconds
+ * @returns {number|null} Delivery time in epoch milliseconds, or null for immediate delivery
+ * @throws {Error} If deliverAt or delay is invalid
+ */
+export function resolveDeliverAt(meta, timestamp) {
+  if (meta?.deliverAt !== undefined && meta.deliverAt !== null) {
+    return toEpochMs(meta.deliverAt, 'deliverAt');
+  }
+  if (meta?.delay !== undefined && meta.delay !== null) {
+    return fromDuration(meta.delay, 'delay', timestamp);
+  }
+  return null;
+}
+
+/**
+ * Resolve the expiry time for messages with a time-to-live
+ * 
+ * `expiresAt` (absolute) takes precedence over `ttl` (relative to creation time).
+ * Expired messages are discarded by queues, schedulers and the message router.
+ * 
+ * @param {Object} meta - Base metadata
+ * @param {Date|number|string} [meta.expiresAt] - Absolute expiry time (Date, epoch ms, or date string)
+ * @param {number} [meta.ttl] - Time-to-live in milliseconds from creation time
+ * @param {number} timestamp - Message creation time in epoch milliseconds
+ * @returns {number|null} Expiry time in epoch milliseconds, or null if the message never expires
+ * @throws {Error} If expiresAt or ttl is invalid
+ */
+export function resolveExpiresAt(meta, timestamp) {
+  if (meta?.expiresAt !== undefined && meta.expiresAt !== null) {
+    return toEpochMs(meta.expiresAt, 'expiresAt');
+  }
+  if (meta?.ttl !== undefined && meta.ttl !== null) {
+    return fromDuration(meta.ttl, 'ttl', timestamp);
+  }
+  return null;
+}
+
+/**
+ * Named priority levels accepted in place of a number
+ */
+export const PRIORITY_LEVELS = Object.freeze({
+  low: -10,
+  normal: 0,
+  high: 10,
+  critical: 20
+});
+
+/**
+ * Resolve the numeric priority of a message
+ * 
+ * Higher values are more urgent. Priority queues (useQueue `type: 'priority'`)
+ * and the 'priority' scheduling strategy process higher priorities first.
+ * 
+ * @param {Object} meta - Base metadata
+ * @param {number|string} [meta.priority=0] - Message priority, or a name from PRIORITY_LEVELS
+ * @returns {number} Priority (0 when not set)
+ * @throws {Error} If priority is neither a finite number nor a known level name
+ */
+export function resolvePriority(meta) {
+  const priority = meta?.priority;
+  if (priority === undefined || priority === null) {
+    return 0;
+  }
+  if (typeof priority === 'string' && Object.hasOwn(PRIORITY_LEVELS, priority)) {
+    return PRIORITY_LEVELS[priority];
+  }
+  if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+    throw new Error(`buildMessageMetadata: priority must be a finite number or one of ${Object.keys(PRIORITY_LEVELS).join(', ')}`);
+  }
+  return priority;
+}
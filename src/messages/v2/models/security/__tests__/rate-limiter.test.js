@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import { RateLimiter, TokenBucket, RATE_LIMIT_CODES, normalizeRateLimit } from '../rate-limiter.mycelia.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const friend = { uuid: 'pkr-friend', name: 'client', kind: 'friend' };
+
+describe('normalizeRateLimit', () => {
+  it('defaults the capacity to the refill rate', () => {
+    expect(normalizeRateLimit({ refillPerSecond: 2.5 })).toEqual({ capacity: 3, refillPerSecond: 2.5, dailyQuota: null });
+    expect(normalizeRateLimit({ dailyQuota: 10 })).toEqual({ capacity: null, refillPerSecond: null, dailyQuota: 10 });
+    expect(normalizeRateLimit(null)).toBeNull();
+  });
+
+  it('rejects invalid limits', () => {
+    expect(() => normalizeRateLimit({ refillPerSecond: 0 })).toThrow(/refillPerSecond/);
+    expect(() => normalizeRateLimit({ capacity: 5 })).toThrow(/requires refillPerSecond/);
+    expect(() => normalizeRateLimit({ refillPerSecond: 1, capacity: 1.5 })).toThrow(/capacity/);
+    expect(() => normalizeRateLimit({ dailyQuota: -1 })).toThrow(/dailyQuota/);
+  });
+});
+
+describe('TokenBucket', () => {
+  it('allows bursts up to its capacity and refills over time', () => {
+    const bucket = new TokenBucket(2, 4, 0);
+
+    expect(bucket.take(1, 0)).toBe(true);
+    expect(bucket.take(1, 0)).toBe(true);
+    expect(bucket.take(1, 0)).toBe(false);
+    expect(bucket.retryAfter(1, 0)).toBe(250);
+
+    expect(bucket.take(1, 250)).toBe(true);
+    expect(bucket.available(10000)).toBe(2);
+  });
+});
+
+describe('RateLimiter', () => {
+  it('resolves the most specific limit', () => {
+    const limiter = new RateLimiter({
+      default: { refillPerSecond: 100 },
+      kinds: { friend: { refillPerSecond: 10 } },
+      profiles: { partner: { refillPerSecond: 50 } },
+      principals: { 'pkr-vip': {} }
+    });
+
+    expect(limiter.resolve({ uuid: 'pkr-a', kind: 'topLevel' }).source).toBe('default');
+    expect(limiter.resolve({ uuid: 'pkr-b', kind: 'friend' }).source).toBe('kind');
+    expect(limiter.resolve({ uuid: 'pkr-c', kind: 'friend', profile: 'partner' }).limit.refillPerSecond).toBe(50);
+    expect(limiter.resolve({ uuid: 'pkr-d', kind: 'friend', profile: 'basic', profileLimit: { dailyQuota: 5 } }))
+      .toMatchObject({ source: 'profile', limit: { dailyQuota: 5 } });
+    expect(limiter.resolve({ uuid: 'pkr-vip', kind: 'friend', profile: 'partner' }))
+      .toMatchObject({ source: 'principal', limit: { refillPerSecond: null, dailyQuota: null } });
+    expect(new RateLimiter().resolve(friend)).toBeNull();
+  });
+
+  it('rejects requests over the rate limit with a retry delay', () => {
+    const limiter = new RateLimiter({ kinds: { friend: { capacity: 2, refillPerSecond: 1 } } });
+
+    expect(limiter.consume(friend, 0).allowed).toBe(true);
+    expect(limiter.consume(friend, 0).allowed).toBe(true);
+    expect(limiter.consume(friend, 0)).toMatchObject({ allowed: false, code: RATE_LIMIT_CODES.RATE_LIMITED, retryAfter: 1000, source: 'kind' });
+    expect(limiter.consume(friend, 1000).allowed).toBe(true);
+
+    // Each principal has its own bucket
+    expect(limiter.consume({ ...friend, uuid: 'pkr-other' }, 1000).allowed).toBe(true);
+  });
+
+  it('enforces the daily quota until the next UTC day', () => {
+    const limiter = new RateLimiter({ default: { dailyQuota: 2 } });
+    const now = 3 * DAY + 1000;
+
+    limiter.consume(friend, now);
+    limiter.consume(friend, now);
+    expect(limiter.consume(friend, now)).toMatchObject({
+      allowed: false,
+      code: RATE_LIMIT_CODES.QUOTA_EXCEEDED,
+      retryAfter: DAY - 1000
+    });
+    expect(limiter.consume(friend, 4 * DAY).allowed).toBe(true);
+  });
+
+  it('does not use quota for requests rejected by the rate limit', () => {
+    const limiter = new RateLimiter({ default: { capacity: 1, refillPerSecond: 1, dailyQuota: 10 } });
+
+    limiter.consume(friend, 0);
+    limiter.consume(friend, 0);
+
+    expect(limiter.getUsage(friend.uuid, 0)).toMatchObject({ dailyUsed: 1, dailyRemaining: 9, rejected: { rate: 1, quota: 0 } });
+  });
+
+  it('reports usage per principal', () => {
+    const limiter = new RateLimiter({ kinds: { friend: { capacity: 5, refillPerSecond: 1, dailyQuota: 100 } } });
+    limiter.consume(friend, 1000);
+    limiter.consume(friend, 1000);
+
+    expect(limiter.getUsage(friend.uuid, 1000)).toEqual({
+      principal: 'pkr-friend',
+      name: 'client',
+      kind: 'friend',
+      profile: null,
+      source: 'kind',
+      limit: { capacity: 5, refillPerSecond: 1, dailyQuota: 100 },
+      tokens: 3,
+      dailyUsed: 2,
+      dailyRemaining: 98,
+      resetsAt: DAY,
+      allowed: 2,
+      rejected: { rate: 0, quota: 0 },
+      lastRequestAt: 1000
+    });
+    expect(limiter.listUsage(1000)).toHaveLength(1);
+    expect(limiter.getUsage('pkr-unknown')).toBeNull();
+
+    expect(limiter.reset(friend.uuid)).toBe(true);
+    expect(limiter.getUsage(friend.uuid)).toBeNull();
+  });
+
+  it('applies a changed limit from the next request', () => {
+    const limiter = new RateLimiter({ default: { capacity: 1, refillPerSecond: 1 } });
+    limiter.consume(friend, 0);
+    expect(limiter.consume(friend, 0).allowed).toBe(false);
+
+    limiter.setLimit('principal', friend.uuid, { capacity: 3, refillPerSecond: 1 });
+    expect(limiter.consume(friend, 0)).toMatchObject({ allowed: true, source: 'principal' });
+
+    expect(() => limiter.setLimit('group', 'x', {})).toThrow(/unknown scope/);
+  });
+});
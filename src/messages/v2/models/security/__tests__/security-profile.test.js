@@ -153,6 +153,31 @@ describe('SecurityProfile', () => {
     });
   });
 
+  describe('rateLimit', () => {
+    it('reads the rate limit from metadata', () => {
+      const profile = new SecurityProfile('partner', {}, { rateLimit: { refillPerSecond: 5, dailyQuota: 1000 } });
+
+      expect(profile.getRateLimit()).toEqual({ refillPerSecond: 5, dailyQuota: 1000 });
+      expect(new SecurityProfile('user').getRateLimit()).toBeNull();
+    });
+
+    it('sets and removes the rate limit', () => {
+      const profile = new SecurityProfile('partner', {}, { tier: 'gold' });
+
+      profile.setRateLimit({ capacity: 10, refillPerSecond: 2 });
+      expect(profile.toJSON().metadata).toEqual({ tier: 'gold', rateLimit: { capacity: 10, refillPerSecond: 2 } });
+
+      profile.setRateLimit(null);
+      expect(profile.getRateLimit()).toBeNull();
+      expect(profile.getMetadata()).toEqual({ tier: 'gold' });
+    });
+
+    it('rejects invalid rate limits', () => {
+      expect(() => new SecurityProfile('partner', {}, { rateLimit: { capacity: 10 } })).toThrow(/refillPerSecond/);
+      expect(() => new SecurityProfile('partner').setRateLimit({ dailyQuota: 0 })).toThrow(/dailyQuota/);
+    });
+  });
+
   describe('updateGrants', () => {
     it('updates grants in-place preserving UUID', () => {
       const profile = new SecurityProfile('admin', { 'scope1': 'r' });
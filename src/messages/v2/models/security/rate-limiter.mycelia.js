@@ -0,0 +1,375 @@
+/**
+ * Rate limits and daily quotas per principal
+ *
+ * A rate limit has up to two parts:
+ * - a token bucket (`capacity` tokens, refilled at `refillPerSecond`), which
+ *   allows bursts of `capacity` messages and a sustained rate of
+ *   `refillPerSecond` messages per second
+ * - a `dailyQuota`: messages allowed per UTC day
+ *
+ * Limits are configured for a PKR, a security profile, a principal kind or
+ * as the default, and are counted per principal (each PKR has its own bucket
+ * and quota). The most specific limit wins: PKR, then profile, then kind,
+ * then default. An empty limit (`{}`) means "no limit".
+ *
+ * @example
+ * const limiter = new RateLimiter({
+ *   default: { capacity: 50, refillPerSecond: 20 },
+ *   kinds: { friend: { capacity: 10, refillPerSecond: 5, dailyQuota: 10000 } },
+ *   profiles: { partner: { capacity: 100, refillPerSecond: 50 } },
+ *   principals: { [pkr.uuid]: {} }
+ * });
+ *
+ * const decision = limiter.consume({ uuid: pkr.uuid, kind: pkr.kind, profile: 'partner' });
+ * if (!decision.allowed) console.log(decision.code, decision.retryAfter);
+ */
+
+/**
+ * Codes of rejected requests
+ */
+export const RATE_LIMIT_CODES = Object.freeze({
+  RATE_LIMITED: 'RATE_LIMITED',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED'
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a rate limit definition
+ *
+ * @param {Object|null} limit - Rate limit
+ * @param {number} [limit.capacity] - Bucket size (burst); defaults to `refillPerSecond` rounded up
+ * @param {number} [limit.refillPerSecond] - Tokens added per second
+ * @param {number} [limit.dailyQuota] - Messages allowed per UTC day
+ * @returns {Object|null} Frozen `{ capacity, refillPerSecond, dailyQuota }` (null parts are unlimited), or null
+ * @throws {Error} If the definition is invalid
+ */
+export function normalizeRateLimit(limit) {
+  if (limit === undefined || limit === null) return null;
+  if (typeof limit !== 'object' || Array.isArray(limit)) {
+    throw new Error('RateLimiter: a rate limit must be an object.');
+  }
+
+  const { capacity = null, refillPerSecond = null, dailyQuota = null } = limit;
+
+  if (refillPerSecond !== null && !(typeof refillPerSecond === 'number' && refillPerSecond > 0)) {
+    throw new Error('RateLimiter: refillPerSecond must be a positive number.');
+  }
+  if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1)) {
+    throw new Error('RateLimiter: capacity must be a positive integer.');
+  }
+  if (capacity !== null && refillPerSecond === null) {
+    throw new Error('RateLimiter: capacity requires refillPerSecond.');
+  }
+  if (dailyQuota !== null && (!Number.isInteger(dailyQuota) || dailyQuota < 1)) {
+    throw new Error('RateLimiter: dailyQuota must be a positive integer.');
+  }
+
+  return Object.freeze({
+    capacity: refillPerSecond === null ? null : (capacity ?? Math.max(1, Math.ceil(refillPerSecond))),
+    refillPerSecond,
+    dailyQuota
+  });
+}
+
+/**
+ * TokenBucket Class
+ *
+ * @example
+ * const bucket = new TokenBucket(10, 5); // bursts of 10, 5 per second
+ * if (!bucket.take()) console.log(`retry in ${bucket.retryAfter()}ms`);
+ */
+export class TokenBucket {
+  #tokens;
+  #updatedAt;
+
+  /**
+   * @param {number} capacity - Maximum number of tokens
+   * @param {number} refillPerSecond - Tokens added per second
+   * @param {number} [now=Date.now()] - Current time (the bucket starts full)
+   */
+  constructor(capacity, refillPerSecond, now = Date.now()) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.#tokens = capacity;
+    this.#updatedAt = now;
+  }
+
+  /**
+   * Tokens currently available
+   *
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {number}
+   */
+  available(now = Date.now()) {
+    this.#refill(now);
+    return this.#tokens;
+  }
+
+  /**
+   * Take tokens if enough are available
+   *
+   * @param {number} [cost=1] - Tokens to take
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {boolean} False if the bucket does not hold enough tokens
+   */
+  take(cost = 1, now = Date.now()) {
+    this.#refill(now);
+    if (this.#tokens < cost) return false;
+    this.#tokens -= cost;
+    return true;
+  }
+
+  /**
+   * Milliseconds until `cost` tokens are available
+   *
+   * @param {number} [cost=1] - Tokens needed
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {number}
+   */
+  retryAfter(cost = 1, now = Date.now()) {
+    this.#refill(now);
+    const missing = cost - this.#tokens;
+    return missing > 0 ? Math.ceil((missing / this.refillPerSecond) * 1000) : 0;
+  }
+
+  #refill(now) {
+    const elapsed = now - this.#updatedAt;
+    if (elapsed > 0) {
+      this.#tokens = Math.min(this.capacity, this.#tokens + (elapsed / 1000) * this.refillPerSecond);
+      this.#updatedAt = now;
+    }
+  }
+}
+
+/**
+ * RateLimiter Class
+ *
+ * Resolves the limit of a principal and counts its requests.
+ */
+export class RateLimiter {
+  #default = null;
+  #kinds = new Map();
+  #profiles = new Map();
+  #principals = new Map();
+  #usage = new Map(); // principal uuid -> usage entry
+
+  /**
+   * @param {Object} [config={}] - Rate limits
+   * @param {Object} [config.default] - Limit for every principal without a more specific one
+   * @param {Object<string, Object>} [config.kinds] - Limits by principal kind (e.g. 'friend')
+   * @param {Object<string, Object>} [config.profiles] - Limits by security profile name
+   * @param {Object<string, Object>} [config.principals] - Limits by PKR uuid
+   */
+  constructor(config = {}) {
+    const { default: defaultLimit = null, kinds = {}, profiles = {}, principals = {} } = config;
+
+    this.setLimit('default', null, defaultLimit);
+    for (const [kind, limit] of Object.entries(kinds)) this.setLimit('kind', kind, limit);
+    for (const [profile, limit] of Object.entries(profiles)) this.setLimit('profile', profile, limit);
+    for (const [uuid, limit] of Object.entries(principals)) this.setLimit('principal', uuid, limit);
+  }
+
+  /**
+   * Set (or remove, with a null limit) a configured limit
+   *
+   * Principals that already have a bucket keep their counts; the new limit
+   * applies from their next request.
+   *
+   * @param {'default'|'kind'|'profile'|'principal'} scope - What the limit is keyed by
+   * @param {string|null} key - Kind, profile name or PKR uuid (ignored for 'default')
+   * @param {Object|null} limit - Rate limit (see normalizeRateLimit())
+   */
+  setLimit(scope, key, limit) {
+    const normalized = normalizeRateLimit(limit);
+    if (scope === 'default') {
+      this.#default = normalized;
+      return;
+    }
+
+    const limits = { kind: this.#kinds, profile: this.#profiles, principal: this.#principals }[scope];
+    if (!limits) {
+      throw new Error(`RateLimiter.setLimit: unknown scope "${scope}".`);
+    }
+    if (typeof key !== 'string' || !key) {
+      throw new Error('RateLimiter.setLimit: key must be a non-empty string.');
+    }
+    if (normalized) limits.set(key, normalized);
+    else limits.delete(key);
+  }
+
+  /**
+   * Resolve the limit that applies to a principal
+   *
+   * @param {Object} principal - Principal to resolve
+   * @param {string} principal.uuid - PKR uuid
+   * @param {string} [principal.kind] - Principal kind
+   * @param {string} [principal.profile] - Security profile name
+   * @param {Object} [principal.profileLimit] - Limit carried by the security profile (used if the config has none for it)
+   * @returns {{limit: Object, source: string}|null} Limit and where it came from, or null if none applies
+   */
+  resolve(principal) {
+    const { uuid, kind, profile, profileLimit } = principal;
+
+    if (this.#principals.has(uuid)) {
+      return { limit: this.#principals.get(uuid), source: 'principal' };
+    }
+    if (profile && this.#profiles.has(profile)) {
+      return { limit: this.#profiles.get(profile), source: 'profile' };
+    }
+    if (profile && profileLimit) {
+      return { limit: normalizeRateLimit(profileLimit), source: 'profile' };
+    }
+    if (kind && this.#kinds.has(kind)) {
+      return { limit: this.#kinds.get(kind), source: 'kind' };
+    }
+    if (this.#default) {
+      return { limit: this.#default, source: 'default' };
+    }
+    return null;
+  }
+
+  /**
+   * Count a request of a principal
+   *
+   * The daily quota is checked first; rejected requests do not use tokens or quota.
+   *
+   * @param {Object} principal - Principal (see resolve()); `name` is kept for usage reports
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Object} `{ allowed: true }`, or `{ allowed: false, code, retryAfter, source, limit }`
+   */
+  consume(principal, now = Date.now()) {
+    const resolved = this.resolve(principal);
+    if (!resolved) {
+      return { allowed: true };
+    }
+
+    const entry = this.#getEntry(principal, resolved, now);
+    const { limit, source } = resolved;
+
+    if (limit.dailyQuota !== null && entry.dailyUsed >= limit.dailyQuota) {
+      entry.rejected.quota += 1;
+      return {
+        allowed: false,
+        code: RATE_LIMIT_CODES.QUOTA_EXCEEDED,
+        retryAfter: entry.day + DAY - now,
+        source,
+        limit
+      };
+    }
+
+    if (entry.bucket && !entry.bucket.take(1, now)) {
+      entry.rejected.rate += 1;
+      return {
+        allowed: false,
+        code: RATE_LIMIT_CODES.RATE_LIMITED,
+        retryAfter: entry.bucket.retryAfter(1, now),
+        source,
+        limit
+      };
+    }
+
+    entry.dailyUsed += 1;
+    entry.allowed += 1;
+    return { allowed: true, source, limit };
+  }
+
+  /**
+   * Get the usage of a principal
+   *
+   * @param {string} uuid - PKR uuid
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Object|null} Usage, or null if the principal made no limited request
+   */
+  getUsage(uuid, now = Date.now()) {
+    const entry = this.#usage.get(uuid);
+    return entry ? this.#toUsage(entry, now) : null;
+  }
+
+  /**
+   * Get the usage of every principal that made a limited request
+   *
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Array<Object>} Usage records
+   */
+  listUsage(now = Date.now()) {
+    return Array.from(this.#usage.values()).map(entry => this.#toUsage(entry, now));
+  }
+
+  /**
+   * Forget the bucket and quota usage of a principal
+   *
+   * @param {string} uuid - PKR uuid
+   * @returns {boolean} True if the principal had usage
+   */
+  reset(uuid) {
+    return this.#usage.delete(uuid);
+  }
+
+  #getEntry(principal, { limit, source }, now) {
+    const day = now - (now % DAY);
+    let entry = this.#usage.get(principal.uuid);
+
+    if (!entry) {
+      entry = {
+        uuid: principal.uuid,
+        limit: null,
+        bucket: null,
+        day,
+        dailyUsed: 0,
+        allowed: 0,
+        rejected: { rate: 0, quota: 0 }
+      };
+      this.#usage.set(principal.uuid, entry);
+    }
+
+    if (!sameLimit(entry.limit, limit)) {
+      entry.bucket = limit.refillPerSecond === null ? null : new TokenBucket(limit.capacity, limit.refillPerSecond, now);
+    }
+    if (entry.day !== day) {
+      entry.day = day;
+      entry.dailyUsed = 0;
+    }
+
+    entry.name = principal.name ?? null;
+    entry.kind = principal.kind ?? null;
+    entry.profile = principal.profile ?? null;
+    entry.limit = limit;
+    entry.source = source;
+    entry.lastRequestAt = now;
+    return entry;
+  }
+
+  #toUsage(entry, now) {
+    const day = now - (now % DAY);
+    const dailyUsed = entry.day === day ? entry.dailyUsed : 0;
+    const { capacity, refillPerSecond, dailyQuota } = entry.limit;
+
+    return {
+      principal: entry.uuid,
+      name: entry.name,
+      kind: entry.kind,
+      profile: entry.profile,
+      source: entry.source,
+      limit: { capacity, refillPerSecond, dailyQuota },
+      tokens: entry.bucket ? Math.floor(entry.bucket.available(now)) : null,
+      dailyUsed,
+      dailyRemaining: dailyQuota === null ? null : Math.max(0, dailyQuota - dailyUsed),
+      resetsAt: day + DAY,
+      allowed: entry.allowed,
+      rejected: { ...entry.rejected },
+      lastRequestAt: entry.lastRequestAt
+    };
+  }
+}
+
+/**
+ * Compare two normalized limits
+ * @private
+ */
+function sameLimit(a, b) {
+  return !!a && !!b &&
+    a.capacity === b.capacity &&
+    a.refillPerSecond === b.refillPerSecond &&
+    a.dailyQuota === b.dailyQuota;
+}
@@ -1,4 +1,5 @@
 import { randomUUID } from './security.utils.mycelia.js';
+import { normalizeRateLimit } from './rate-limiter.mycelia.js';
 
 /**
  * SecurityProfile
@@ -16,6 +17,9 @@ import { randomUUID } from './security.utils.mycelia.js';
  * - 'r' = read only
  * - 'rw' = read/write
  * - 'rwg' = read/write/grant (note: grant capability cannot be delegated via RWS)
+ * 
+ * A profile can also carry a rate limit (`metadata.rateLimit`, see RateLimiter) that
+ * the kernel applies to messages sent by principals whose role is the profile name.
  */
 export class SecurityProfile {
   #name;
@@ -31,6 +35,7 @@ export class SecurityProfile {
    * @param {string} name - Profile name (e.g., "admin", "user", "editor")
    * @param {Object|Map<string, 'r'|'rw'|'rwg'>} grants - Grants mapping permission scopes to permission levels
    * @param {Object} [metadata={}] - Optional metadata for the profile
+   * @param {Object} [metadata.rateLimit] - Optional rate limit ({ capacity, refillPerSecond, dailyQuota })
    * @param {string} [uuid] - Optional UUID to preserve (for updates)
    * @param {number} [createdAt] - Optional creation timestamp to preserve (for updates)
    * @param {number} [updatedAt] - Optional update timestamp to preserve (for updates)
@@ -39,6 +44,9 @@ export class SecurityProfile {
     if (typeof name !== 'string' || !name.trim()) {
       throw new Error('SecurityProfile: name must be a non-empty string');
     }
+    if (metadata?.rateLimit !== undefined) {
+      normalizeRateLimit(metadata.rateLimit);
+    }
 
     this.#name = name.trim();
     this.#uuid = uuid || randomUUID();
@@ -189,6 +197,30 @@ export class SecurityProfile {
     this.#updatedAt = Date.now();
   }
 
+  /**
+   * Get the profile's rate limit
+   * @returns {Object|null} Rate limit ({ capacity, refillPerSecond, dailyQuota }) or null if none is set
+   */
+  getRateLimit() {
+    return this.#metadata.rateLimit ? { ...this.#metadata.rateLimit } : null;
+  }
+
+  /**
+   * Set or remove (with null) the profile's rate limit
+   * @param {Object|null} rateLimit - Rate limit ({ capacity, refillPerSecond, dailyQuota })
+   * @throws {Error} If the rate limit is invalid
+   */
+  setRateLimit(rateLimit) {
+    if (rateLimit === null || rateLimit === undefined) {
+      this.#metadata = { ...this.#metadata };
+      delete this.#metadata.rateLimit;
+    } else {
+      normalizeRateLimit(rateLimit);
+      this.#metadata = { ...this.#metadata, rateLimit: { ...rateLimit } };
+    }
+    this.#updatedAt = Date.now();
+  }
+
   /**
    * Get creation timestamp
    * @returns {number} Timestamp in milliseconds
@@ -4,6 +4,9 @@
  * Defines the route paths used by AuthSubsystem to handle authentication operation messages.
  * These routes are registered internally by AuthSubsystem and handle incoming messages
  * from other subsystems that want to perform authentication operations.
+ * 
+ * `schema.body` (JSON Schema subset) is enforced before the handler runs; invalid
+ * bodies are rejected with a validation ErrorRecord (HTTP 400 via ServerSubsystem).
  */
 
 export const AUTH_ROUTES = {
@@ -14,6 +17,16 @@ export const AUTH_ROUTES = {
       type: 'command',
       purpose: 'authentication'
     },
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          strategy: { type: 'string' },
+          credentials: { type: 'object' },
+          options: { type: 'object' }
+        }
+      }
+    },
     extractData: (body) => ({
       strategy: body.strategy || 'password',
       credentials: body.credentials || {},
@@ -29,6 +42,15 @@ export const AUTH_ROUTES = {
       type: 'command',
       purpose: 'authentication'
     },
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          sessionId: { type: 'string' },
+          options: { type: 'object' }
+        }
+      }
+    },
     extractData: (body) => ({
       sessionId: body.sessionId,
       options: body.options || {}
@@ -43,6 +65,18 @@ export const AUTH_ROUTES = {
       type: 'command',
       purpose: 'authentication'
     },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['username', 'password', 'email'],
+        properties: {
+          username: { type: 'string', minLength: 1 },
+          password: { type: 'string', minLength: 1 },
+          email: { type: 'string', format: 'email' },
+          metadata: { type: 'object' }
+        }
+      }
+    },
     extractData: (body) => ({
       username: body.username,
       password: body.password,
@@ -71,6 +105,15 @@ export const AUTH_ROUTES = {
       type: 'command',
       purpose: 'authentication'
     },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['refreshToken'],
+        properties: {
+          refreshToken: { type: 'string', minLength: 1 }
+        }
+      }
+    },
     extractData: (body) => ({
       refreshToken: body.refreshToken
     }),
@@ -90,6 +133,16 @@ export const AUTH_ROUTES = {
       type: 'query',
       purpose: 'authentication'
     },
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          token: { type: 'string' },
+          sessionId: { type: 'string' },
+          type: { enum: ['token', 'session'] }
+        }
+      }
+    },
     extractData: (body) => ({
       token: body.token,
       sessionId: body.sessionId,
@@ -105,6 +158,17 @@ export const AUTH_ROUTES = {
       type: 'query',
       purpose: 'authentication'
     },
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          userId: { type: ['string', 'number'] },
+          sessionId: { type: 'string' },
+          includeSessions: { type: 'boolean' },
+          includeTokens: { type: 'boolean' }
+        }
+      }
+    },
     extractData: (body) => ({
       userId: body.userId,
       sessionId: body.sessionId,
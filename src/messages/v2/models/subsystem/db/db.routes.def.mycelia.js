@@ -4,6 +4,9 @@
  * Defines the route paths used by DBSubsystem to handle database operation messages.
  * These routes are registered internally by DBSubsystem and handle incoming messages
  * from other subsystems that want to perform database operations.
+ * 
+ * `schema.body` (JSON Schema subset) is enforced before the handler runs; invalid
+ * bodies are rejected with a validation ErrorRecord (HTTP 400 via ServerSubsystem).
  */
 
 export const DB_ROUTES = {
@@ -14,6 +17,17 @@ export const DB_ROUTES = {
       type: 'query',
       purpose: 'database-query'
     },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['query'],
+        properties: {
+          query: { type: 'string', minLength: 1 },
+          params: { type: 'array' },
+          options: { type: 'object' }
+        }
+      }
+    },
     extractData: (body) => ({ 
       query: body.query, 
       params: body.params || [], 
@@ -29,6 +43,17 @@ export const DB_ROUTES = {
       type: 'command',
       purpose: 'database-write'
     },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['query'],
+        properties: {
+          query: { type: 'string', minLength: 1 },
+          params: { type: 'array' },
+          options: { type: 'object' }
+        }
+      }
+    },
     extractData: (body) => ({ 
       query: body.query, 
       params: body.params || [], 
@@ -44,6 +69,17 @@ export const DB_ROUTES = {
       type: 'command',
       purpose: 'database-transaction'
     },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['action'],
+        properties: {
+          action: { enum: ['begin', 'commit', 'rollback'] },
+          transactionId: { type: 'string' },
+          options: { type: 'object' }
+        }
+      }
+    },
     extractData: (body) => ({ 
       action: body.action, 
       transactionId: body.transactionId, 
@@ -71,6 +107,16 @@ export const DB_ROUTES = {
       type: 'command',
       purpose: 'database-migration'
     },
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          direction: { enum: ['up', 'down'] },
+          version: { type: ['string', 'number'] },
+          options: { type: 'object' }
+        }
+      }
+    },
     extractData: (body) => ({ 
       direction: body.direction || 'up', 
       version: body.version, 
@@ -95,6 +141,14 @@ export const DB_ROUTES = {
       type: 'query',
       purpose: 'database-status'
     },
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          includeStats: { type: 'boolean' }
+        }
+      }
+    },
     extractData: (body) => ({ 
       includeStats: body.includeStats || false 
     }),
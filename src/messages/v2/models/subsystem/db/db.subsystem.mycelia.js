@@ -96,6 +96,13 @@ export class DBSubsystem extends BaseSubsystem {
           const result = await handler(message);
           
           return result;
+        }, {
+          // schema.body is enforced by the router before this handler runs
+          metadata: {
+            description: routeDef.description,
+            ...routeDef.metadata,
+            schema: routeDef.schema
+          }
         });
       }
 
@@ -0,0 +1,178 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Tracer, traceMessage, getMessageTraceparent } from '../tracer.mycelia.js';
+import { Span, SPAN_KIND, SPAN_STATUS } from '../span.mycelia.js';
+import { InMemorySpanExporter, ConsoleSpanExporter, toOtlpJson } from '../span-exporters.mycelia.js';
+import { Message } from '../../message/message.mycelia.js';
+import { createMyceliaHandler } from '../../../hooks/server/express/use-express-server.utils.mycelia.js';
+
+const createTracer = (options = {}) => {
+  const memory = new InMemorySpanExporter();
+  const tracer = new Tracer({ serviceName: 'test', exporters: [memory], ...options });
+  return { tracer, memory };
+};
+
+describe('Span', () => {
+  it('records attributes, events and status until it ends', () => {
+    const onEnd = vi.fn();
+    const span = new Span({ name: 'route db', traceId: 'a'.repeat(32), spanId: 'b'.repeat(16), startTime: 10, onEnd });
+
+    span.setAttribute('mycelia.subsystem', 'db').setAttribute('ignored', undefined);
+    span.recordException(new TypeError('boom'));
+    span.end(25);
+    span.end(40);
+    span.setAttribute('late', true);
+
+    expect(onEnd).toHaveBeenCalledTimes(1);
+    expect(span.toJSON()).toMatchObject({
+      name: 'route db',
+      parentSpanId: null,
+      kind: SPAN_KIND.INTERNAL,
+      duration: 15,
+      attributes: { 'mycelia.subsystem': 'db' },
+      status: { code: SPAN_STATUS.ERROR, message: 'boom' }
+    });
+    expect(span.getEvents()[0].attributes['exception.type']).toBe('TypeError');
+    expect(span.getTraceparent()).toBe(`00-${'a'.repeat(32)}-${'b'.repeat(16)}-01`);
+  });
+
+  it('rejects unknown kinds and statuses', () => {
+    expect(() => new Span({ name: 'x', kind: 'weird' })).toThrow(/unknown kind/);
+    expect(() => new Span({ name: 'x' }).setStatus('bad')).toThrow(/unknown status/);
+  });
+});
+
+describe('Tracer', () => {
+  it('builds parent/child chains through spans and traceparent strings', () => {
+    const { tracer, memory } = createTracer();
+    const root = tracer.startSpan('root', { traceId: 'custom-trace' });
+    const child = tracer.startSpan('child', { parent: root });
+    const remote = tracer.startSpan('remote', { parent: child.getTraceparent() });
+    [remote, child, root].forEach(span => span.end());
+
+    const spans = memory.getTrace(root.getTraceId());
+    expect(spans.map(span => span.name)).toEqual(['remote', 'child', 'root']);
+    expect(spans[0].parentSpanId).toBe(child.getSpanId());
+    expect(spans[1].parentSpanId).toBe(root.getSpanId());
+    expect(spans[2].attributes['service.name']).toBe('test');
+  });
+
+  it('does not export unsampled traces', () => {
+    const { tracer, memory } = createTracer({ sampleRate: 0 });
+    const root = tracer.startSpan('root');
+    tracer.startSpan('child', { parent: root }).end();
+    root.end();
+
+    expect(memory.getFinishedSpans()).toEqual([]);
+    expect(tracer.getStatistics()).toMatchObject({ spansEnded: 2, spansNotSampled: 2, spansExported: 0 });
+  });
+
+  it('marks failed results and thrown errors in withSpan', async () => {
+    const { tracer, memory } = createTracer();
+
+    await tracer.withSpan('soft', {}, async () => ({ success: false, error: 'denied' }));
+    await expect(tracer.withSpan('hard', {}, async () => { throw new Error('crash'); })).rejects.toThrow('crash');
+
+    expect(memory.getFinishedSpans().map(span => span.status)).toEqual([
+      { code: SPAN_STATUS.ERROR, message: 'denied' },
+      { code: SPAN_STATUS.ERROR, message: 'crash' }
+    ]);
+  });
+
+  it('isolates exporter failures', () => {
+    const onExportError = vi.fn();
+    const tracer = new Tracer({ exporters: [{ export: () => { throw new Error('disk full'); } }], onExportError });
+
+    tracer.startSpan('x').end();
+
+    expect(onExportError).toHaveBeenCalledWith(expect.any(Error), expect.any(Object));
+    expect(tracer.getStatistics().exportErrors).toBe(1);
+  });
+
+  it('nests message hops through the message traceparent', async () => {
+    const { tracer, memory } = createTracer();
+    const message = new Message('db://query', {});
+
+    await traceMessage(tracer, 'route db', message, {}, () =>
+      traceMessage(tracer, 'handle db', message, { kind: SPAN_KIND.CONSUMER }, async () => {
+        const child = new Message('cache://get', {}, { parentMessage: message });
+        return traceMessage(tracer, 'route cache', child, {}, async () => ({ success: true }));
+      })
+    );
+
+    const [routeCache, handleDb, routeDb] = memory.getFinishedSpans();
+    expect(routeDb.parentSpanId).toBeNull();
+    expect(handleDb.parentSpanId).toBe(routeDb.spanId);
+    expect(routeCache.parentSpanId).toBe(handleDb.spanId);
+    expect(routeDb.attributes['mycelia.message.path']).toBe('db://query');
+    expect(getMessageTraceparent(message)).toContain(handleDb.spanId);
+  });
+
+  it('runs untraced when no tracer is enabled', async () => {
+    const fn = vi.fn(async (span) => span);
+    const { tracer } = createTracer({ enabled: false });
+
+    expect(await traceMessage(null, 'route', {}, {}, fn)).toBeNull();
+    expect(await traceMessage(tracer, 'route', {}, {}, fn)).toBeNull();
+  });
+});
+
+describe('HTTP server spans', () => {
+  it('continue an incoming traceparent and parent the handler spans', async () => {
+    const { tracer, memory } = createTracer();
+    const incoming = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+    const messagesFacet = { create: (path, body, options) => new Message(path, body, options.meta) };
+    const routerFacet = {
+      route: (message) => traceMessage(tracer, 'handle users', message, { kind: SPAN_KIND.CONSUMER }, async () => ({ success: true }))
+    };
+    const logger = { error: vi.fn(), log: vi.fn() };
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json: vi.fn(),
+      setHeader: vi.fn()
+    };
+
+    const handler = createMyceliaHandler(routerFacet, messagesFacet, logger, 'users://list', 'GET', { tracing: tracer });
+    await handler({ headers: { traceparent: incoming }, params: {}, query: {} }, res);
+
+    const [handle, server] = memory.getTrace('4bf92f3577b34da6a3ce929d0e0e4736');
+    expect(server).toMatchObject({ name: 'GET users://list', kind: SPAN_KIND.SERVER, parentSpanId: '00f067aa0ba902b7' });
+    expect(server.attributes['http.response.status_code']).toBe(200);
+    expect(handle.parentSpanId).toBe(server.spanId);
+  });
+});
+
+describe('Span exporters', () => {
+  it('encode spans as OTLP/JSON', () => {
+    const span = new Span({
+      name: 'handle db',
+      traceId: 'a'.repeat(32),
+      spanId: 'b'.repeat(16),
+      parentSpanId: 'c'.repeat(16),
+      kind: SPAN_KIND.CONSUMER,
+      startTime: 1000,
+      attributes: { count: 2, ratio: 0.5, ok: true, path: 'db://x' }
+    }).end(1002);
+
+    const otlp = toOtlpJson([span.toJSON()], { 'service.name': 'orders' });
+    const [encoded] = otlp.resourceSpans[0].scopeSpans[0].spans;
+
+    expect(otlp.resourceSpans[0].resource.attributes).toEqual([{ key: 'service.name', value: { stringValue: 'orders' } }]);
+    expect(encoded).toMatchObject({ kind: 5, parentSpanId: 'c'.repeat(16), startTimeUnixNano: '1000000000', endTimeUnixNano: '1002000000', status: { code: 0 } });
+    expect(encoded.attributes).toEqual([
+      { key: 'count', value: { intValue: '2' } },
+      { key: 'ratio', value: { doubleValue: 0.5 } },
+      { key: 'ok', value: { boolValue: true } },
+      { key: 'path', value: { stringValue: 'db://x' } }
+    ]);
+  });
+
+  it('print one summary line per span to the console exporter', () => {
+    const logger = { log: vi.fn() };
+    const tracer = new Tracer({ exporters: [new ConsoleSpanExporter({ logger })] });
+
+    tracer.startSpan('route db', { startTime: 0 }).setStatus(SPAN_STATUS.ERROR, 'nope').end(3);
+
+    expect(logger.log).toHaveBeenCalledWith(expect.stringMatching(/^\[span\] route db 3ms trace=[0-9a-f]{32} span=[0-9a-f]{16} ERROR nope$/));
+  });
+});
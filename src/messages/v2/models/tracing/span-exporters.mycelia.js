@@ -0,0 +1,258 @@
+/**
+ * Span Exporters
+ *
+ * Pluggable destinations for finished spans. An exporter is any object with
+ * `export(spans)`; `flush()` and `shutdown()` are optional and may be async.
+ *
+ * - InMemorySpanExporter - keeps spans in memory (tests, debugging)
+ * - ConsoleSpanExporter - prints one line per span
+ * - OtlpJsonFileExporter - appends OTLP/JSON `ExportTraceServiceRequest`
+ *   documents (one per line) to a file, for the OpenTelemetry Collector's
+ *   file receiver or any OTLP-compatible tool
+ *
+ * @example
+ * const memory = new InMemorySpanExporter();
+ * const tracer = new Tracer({ serviceName: 'orders', exporters: [memory] });
+ * // ... run traffic ...
+ * memory.getFinishedSpans().map(span => span.name);
+ */
+import { SPAN_KIND, SPAN_STATUS } from './span.mycelia.js';
+
+const OTLP_SPAN_KIND = {
+  [SPAN_KIND.INTERNAL]: 1,
+  [SPAN_KIND.SERVER]: 2,
+  [SPAN_KIND.CLIENT]: 3,
+  [SPAN_KIND.PRODUCER]: 4,
+  [SPAN_KIND.CONSUMER]: 5
+};
+
+const OTLP_STATUS_CODE = {
+  [SPAN_STATUS.UNSET]: 0,
+  [SPAN_STATUS.OK]: 1,
+  [SPAN_STATUS.ERROR]: 2
+};
+
+/**
+ * Keeps finished spans in memory
+ */
+export class InMemorySpanExporter {
+  #spans = [];
+
+  /**
+   * Store finished spans
+   * @param {Array<Span>} spans - Finished spans
+   */
+  export(spans) {
+    for (const span of spans) {
+      this.#spans.push(span.toJSON());
+    }
+  }
+
+  /**
+   * Get finished spans in end order
+   * @returns {Array<Object>} Span data (see Span.toJSON())
+   */
+  getFinishedSpans() {
+    return [...this.#spans];
+  }
+
+  /**
+   * Get the finished spans of one trace
+   * @param {string} traceId - W3C trace ID
+   * @returns {Array<Object>} Span data
+   */
+  getTrace(traceId) {
+    return this.#spans.filter(span => span.traceId === traceId);
+  }
+
+  /**
+   * Remove all stored spans
+   */
+  reset() {
+    this.#spans = [];
+  }
+
+  /**
+   * Drop stored spans
+   */
+  shutdown() {
+    this.reset();
+  }
+}
+
+/**
+ * Prints finished spans
+ */
+export class ConsoleSpanExporter {
+  #logger;
+  #json;
+
+  /**
+   * @param {Object} [options={}] - Exporter options
+   * @param {Object} [options.logger=console] - Object with a `log` method
+   * @param {boolean} [options.json=false] - Print the full span as JSON instead of a summary line
+   */
+  constructor(options = {}) {
+    this.#logger = options.logger || console;
+    this.#json = options.json === true;
+  }
+
+  /**
+   * Print finished spans
+   * @param {Array<Span>} spans - Finished spans
+   */
+  export(spans) {
+    for (const span of spans) {
+      const data = span.toJSON();
+      if (this.#json) {
+        this.#logger.log(JSON.stringify(data));
+        continue;
+      }
+      const parent = data.parentSpanId ? ` parent=${data.parentSpanId}` : '';
+      const status = data.status.code === SPAN_STATUS.ERROR ? ` ERROR ${data.status.message || ''}`.trimEnd() : '';
+      this.#logger.log(`[span] ${data.name} ${data.duration}ms trace=${data.traceId} span=${data.spanId}${parent}${status}`);
+    }
+  }
+}
+
+/**
+ * Appends spans to a file as OTLP/JSON, one `ExportTraceServiceRequest` per line
+ */
+export class OtlpJsonFileExporter {
+  #path;
+  #serviceName;
+  #resourceAttributes;
+  #maxBatchSize;
+  #buffer = [];
+  #writing = Promise.resolve();
+  #fs = null;
+
+  /**
+   * @param {Object} options - Exporter options
+   * @param {string} options.path - Output file (appended to)
+   * @param {string} [options.serviceName='mycelia'] - `service.name` resource attribute
+   * @param {Object} [options.resourceAttributes={}] - Additional resource attributes
+   * @param {number} [options.maxBatchSize=100] - Spans buffered before a write is started
+   * @throws {Error} If `path` is missing
+   */
+  constructor(options = {}) {
+    if (typeof options.path !== 'string' || !options.path) {
+      throw new Error('OtlpJsonFileExporter: path is required');
+    }
+    this.#path = options.path;
+    this.#serviceName = options.serviceName || 'mycelia';
+    this.#resourceAttributes = options.resourceAttributes || {};
+    this.#maxBatchSize = options.maxBatchSize || 100;
+  }
+
+  /**
+   * Buffer finished spans, writing once the batch is full
+   * @param {Array<Span>} spans - Finished spans
+   */
+  export(spans) {
+    this.#buffer.push(...spans.map(span => span.toJSON()));
+    if (this.#buffer.length >= this.#maxBatchSize) {
+      this.flush().catch(() => {});
+    }
+  }
+
+  /**
+   * Write buffered spans
+   * @returns {Promise<void>} Resolves when everything buffered so far is on disk
+   */
+  async flush() {
+    if (this.#buffer.length > 0) {
+      const spans = this.#buffer;
+      this.#buffer = [];
+      const line = JSON.stringify(toOtlpJson(spans, {
+        'service.name': this.#serviceName,
+        ...this.#resourceAttributes
+      })) + '\n';
+
+      // Writes are chained so lines never interleave
+      this.#writing = this.#writing
+        .catch(() => {})
+        .then(async () => {
+          this.#fs = this.#fs || await import('node:fs/promises');
+          await this.#fs.appendFile(this.#path, line, 'utf8');
+        });
+    }
+    await this.#writing;
+  }
+
+  /**
+   * Write remaining spans
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    await this.flush();
+  }
+}
+
+/**
+ * Encode spans as an OTLP/JSON `ExportTraceServiceRequest`
+ *
+ * @param {Array<Object>} spans - Span data (Span.toJSON())
+ * @param {Object} [resourceAttributes={}] - Resource attributes (e.g. service.name)
+ * @returns {Object} OTLP/JSON document
+ *
+ * @example
+ * toOtlpJson([span.toJSON()], { 'service.name': 'orders' }).resourceSpans[0].scopeSpans[0].spans[0].kind; // 1
+ */
+export function toOtlpJson(spans, resourceAttributes = {}) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: toOtlpAttributes(resourceAttributes) },
+      scopeSpans: [{
+        scope: { name: 'mycelia-kernel' },
+        spans: spans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+          name: span.name,
+          kind: OTLP_SPAN_KIND[span.kind] ?? 1,
+          startTimeUnixNano: toUnixNano(span.startTime),
+          endTimeUnixNano: toUnixNano(span.endTime ?? span.startTime),
+          attributes: toOtlpAttributes(span.attributes),
+          events: span.events.map(event => ({
+            timeUnixNano: toUnixNano(event.time),
+            name: event.name,
+            attributes: toOtlpAttributes(event.attributes)
+          })),
+          status: {
+            code: OTLP_STATUS_CODE[span.status.code] ?? 0,
+            ...(span.status.message ? { message: span.status.message } : {})
+          }
+        }))
+      }]
+    }]
+  };
+}
+
+/**
+ * @private
+ */
+function toUnixNano(milliseconds) {
+  return (BigInt(Math.round(milliseconds)) * 1000000n).toString();
+}
+
+/**
+ * @private
+ */
+function toOtlpAttributes(attributes = {}) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+}
+
+/**
+ * @private
+ */
+function toOtlpValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toOtlpValue) } };
+  return { stringValue: typeof value === 'string' ? value : JSON.stringify(value) };
+}
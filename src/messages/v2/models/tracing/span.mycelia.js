@@ -0,0 +1,324 @@
+/**
+ * Span
+ *
+ * A timed operation within a trace (OpenTelemetry data model): a route hop,
+ * a queue wait, a handler execution. Spans form a tree through `parentSpanId`
+ * and share the W3C trace ID of their trace.
+ *
+ * Spans are created by a Tracer, which exports them when `end()` is called.
+ *
+ * @example
+ * const span = tracer.startSpan('route db', { kind: SPAN_KIND.INTERNAL });
+ * span.setAttribute('mycelia.subsystem', 'db');
+ * span.end();
+ */
+import { formatTraceparent } from '../../utils/trace.utils.mycelia.js';
+
+/**
+ * SPAN_KIND
+ *
+ * Relationship of a span to its remote parent / children (OpenTelemetry SpanKind).
+ */
+export const SPAN_KIND = Object.freeze({
+  INTERNAL: 'internal', // Work inside the process (routing, queue waits)
+  SERVER: 'server', // Handling an incoming request (HTTP)
+  CLIENT: 'client', // Outgoing request awaiting a response
+  PRODUCER: 'producer', // Sending a message (sendProtected)
+  CONSUMER: 'consumer' // Handling a delivered message (route handlers)
+});
+
+/**
+ * SPAN_STATUS
+ *
+ * Span status codes (OpenTelemetry StatusCode).
+ */
+export const SPAN_STATUS = Object.freeze({
+  UNSET: 'unset',
+  OK: 'ok',
+  ERROR: 'error'
+});
+
+export class Span {
+  #name;
+  #traceId;
+  #spanId;
+  #parentSpanId;
+  #kind;
+  #sampled;
+  #startTime;
+  #endTime = null;
+  #attributes;
+  #events = [];
+  #status = { code: SPAN_STATUS.UNSET, message: null };
+  #onEnd;
+
+  /**
+   * Create a new Span
+   *
+   * @param {Object} params - Span parameters
+   * @param {string} params.name - Span name (low cardinality, e.g. "route db")
+   * @param {string} params.traceId - W3C trace ID (32 hex characters)
+   * @param {string} params.spanId - Span ID (16 hex characters)
+   * @param {string|null} [params.parentSpanId=null] - Parent span ID (null for root spans)
+   * @param {string} [params.kind=SPAN_KIND.INTERNAL] - Span kind
+   * @param {boolean} [params.sampled=true] - Whether the span is exported
+   * @param {number} [params.startTime=Date.now()] - Start timestamp in milliseconds
+   * @param {Object} [params.attributes={}] - Initial attributes
+   * @param {Function} [params.onEnd] - Called once with the span when it ends
+   */
+  constructor({
+    name,
+    traceId,
+    spanId,
+    parentSpanId = null,
+    kind = SPAN_KIND.INTERNAL,
+    sampled = true,
+    startTime = Date.now(),
+    attributes = {},
+    onEnd = null
+  }) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('Span: name must be a non-empty string');
+    }
+    if (!Object.values(SPAN_KIND).includes(kind)) {
+      throw new Error(`Span: unknown kind '${kind}'`);
+    }
+
+    this.#name = name.trim();
+    this.#traceId = traceId;
+    this.#spanId = spanId;
+    this.#parentSpanId = parentSpanId;
+    this.#kind = kind;
+    this.#sampled = sampled;
+    this.#startTime = startTime;
+    this.#attributes = {};
+    this.#onEnd = onEnd;
+    this.setAttributes(attributes);
+  }
+
+  /**
+   * Get the span name
+   * @returns {string} Span name
+   */
+  getName() {
+    return this.#name;
+  }
+
+  /**
+   * Get the W3C trace ID
+   * @returns {string} Trace ID (32 hex characters)
+   */
+  getTraceId() {
+    return this.#traceId;
+  }
+
+  /**
+   * Get the span ID
+   * @returns {string} Span ID (16 hex characters)
+   */
+  getSpanId() {
+    return this.#spanId;
+  }
+
+  /**
+   * Get the parent span ID
+   * @returns {string|null} Parent span ID, or null for root spans
+   */
+  getParentSpanId() {
+    return this.#parentSpanId;
+  }
+
+  /**
+   * Get the span kind
+   * @returns {string} SPAN_KIND value
+   */
+  getKind() {
+    return this.#kind;
+  }
+
+  /**
+   * Check if the span is exported
+   * @returns {boolean} True if sampled
+   */
+  isSampled() {
+    return this.#sampled;
+  }
+
+  /**
+   * Get the start time
+   * @returns {number} Start timestamp in milliseconds
+   */
+  getStartTime() {
+    return this.#startTime;
+  }
+
+  /**
+   * Get the end time
+   * @returns {number|null} End timestamp in milliseconds, or null while running
+   */
+  getEndTime() {
+    return this.#endTime;
+  }
+
+  /**
+   * Get the duration in milliseconds
+   * @returns {number|null} Duration, or null while the span is running
+   */
+  getDuration() {
+    return this.#endTime === null ? null : this.#endTime - this.#startTime;
+  }
+
+  /**
+   * Get the attributes
+   * @returns {Object} Copy of the attribute map
+   */
+  getAttributes() {
+    return { ...this.#attributes };
+  }
+
+  /**
+   * Get the recorded events
+   * @returns {Array<{name: string, time: number, attributes: Object}>} Copy of the events
+   */
+  getEvents() {
+    return this.#events.map(event => ({ ...event, attributes: { ...event.attributes } }));
+  }
+
+  /**
+   * Get the span status
+   * @returns {{code: string, message: string|null}} Status
+   */
+  getStatus() {
+    return { ...this.#status };
+  }
+
+  /**
+   * Check if the span has ended
+   * @returns {boolean} True after end()
+   */
+  isEnded() {
+    return this.#endTime !== null;
+  }
+
+  /**
+   * Get the span context used for propagation
+   * @returns {{traceId: string, spanId: string, sampled: boolean}} Span context
+   */
+  getContext() {
+    return { traceId: this.#traceId, spanId: this.#spanId, sampled: this.#sampled };
+  }
+
+  /**
+   * Get the W3C `traceparent` value that makes this span the parent of the next hop
+   * @returns {string} traceparent header value
+   */
+  getTraceparent() {
+    return formatTraceparent(this.getContext());
+  }
+
+  /**
+   * Set an attribute (ignored after the span ended; `undefined` / `null` values are skipped)
+   * @param {string} key - Attribute key (e.g. "mycelia.subsystem")
+   * @param {string|number|boolean|Array} value - Attribute value
+   * @returns {Span} This span
+   */
+  setAttribute(key, value) {
+    if (!this.isEnded() && value !== undefined && value !== null) {
+      this.#attributes[key] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Set several attributes
+   * @param {Object} attributes - Attribute map
+   * @returns {Span} This span
+   */
+  setAttributes(attributes = {}) {
+    for (const [key, value] of Object.entries(attributes)) {
+      this.setAttribute(key, value);
+    }
+    return this;
+  }
+
+  /**
+   * Add a timestamped event
+   * @param {string} name - Event name
+   * @param {Object} [attributes={}] - Event attributes
+   * @param {number} [time=Date.now()] - Event timestamp in milliseconds
+   * @returns {Span} This span
+   */
+  addEvent(name, attributes = {}, time = Date.now()) {
+    if (!this.isEnded()) {
+      this.#events.push({ name, time, attributes: { ...attributes } });
+    }
+    return this;
+  }
+
+  /**
+   * Set the span status
+   * @param {string} code - SPAN_STATUS value
+   * @param {string} [message] - Description (kept for errors only, as in OpenTelemetry)
+   * @returns {Span} This span
+   */
+  setStatus(code, message = null) {
+    if (!Object.values(SPAN_STATUS).includes(code)) {
+      throw new Error(`Span: unknown status '${code}'`);
+    }
+    if (!this.isEnded()) {
+      this.#status = { code, message: code === SPAN_STATUS.ERROR ? message : null };
+    }
+    return this;
+  }
+
+  /**
+   * Record an exception event and mark the span as failed
+   * @param {Error|string} error - Error to record
+   * @returns {Span} This span
+   */
+  recordException(error) {
+    const message = error?.message ?? String(error);
+    this.addEvent('exception', {
+      'exception.type': error?.name || 'Error',
+      'exception.message': message,
+      'exception.stacktrace': error?.stack
+    });
+    return this.setStatus(SPAN_STATUS.ERROR, message);
+  }
+
+  /**
+   * End the span and hand it to the tracer's exporters (only the first call counts)
+   * @param {number} [endTime=Date.now()] - End timestamp in milliseconds
+   * @returns {Span} This span
+   */
+  end(endTime = Date.now()) {
+    if (this.isEnded()) {
+      return this;
+    }
+    this.#endTime = Math.max(endTime, this.#startTime);
+    if (this.#onEnd) {
+      this.#onEnd(this);
+    }
+    return this;
+  }
+
+  /**
+   * Convert to a plain object
+   * @returns {Object} Span data
+   */
+  toJSON() {
+    return {
+      name: this.#name,
+      traceId: this.#traceId,
+      spanId: this.#spanId,
+      parentSpanId: this.#parentSpanId,
+      kind: this.#kind,
+      startTime: this.#startTime,
+      endTime: this.#endTime,
+      duration: this.getDuration(),
+      attributes: this.getAttributes(),
+      events: this.getEvents(),
+      status: this.getStatus()
+    };
+  }
+}
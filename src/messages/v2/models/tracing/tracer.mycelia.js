@@ -0,0 +1,426 @@
+/**
+ * Tracer
+ *
+ * Creates spans, links them into traces and hands finished spans to exporters.
+ *
+ * Messages carry their current span context in the mutable `traceparent`
+ * metadata field (W3C Trace Context format). A message span started with
+ * `withMessageSpan()` is a child of that context and becomes the message's
+ * context itself - so the next hop (route → queue → handler) and messages
+ * created with `parentMessage` nest below it. Spans of one
+ * request therefore share one trace ID, derived from the message trace ID
+ * (see toW3CTraceId) or taken from an incoming `traceparent` header.
+ *
+ * @example
+ * const memory = new InMemorySpanExporter();
+ * const tracer = new Tracer({ serviceName: 'orders', exporters: [memory] });
+ *
+ * await tracer.withMessageSpan('handle orders', message, {}, async (span) => {
+ *   span.setAttribute('orders.count', 3);
+ *   return await handler(message);
+ * });
+ */
+import { Span, SPAN_KIND, SPAN_STATUS } from './span.mycelia.js';
+import {
+  TRACEPARENT_HEADER,
+  generateSpanId,
+  toW3CTraceId,
+  generateTraceId,
+  parseTraceparent
+} from '../../utils/trace.utils.mycelia.js';
+
+export class Tracer {
+  #serviceName;
+  #exporters;
+  #sampleRate;
+  #enabled;
+  #onExportError;
+  #stats = {
+    spansStarted: 0,
+    spansEnded: 0,
+    spansExported: 0,
+    spansNotSampled: 0,
+    exportErrors: 0
+  };
+
+  /**
+   * Create a new Tracer
+   *
+   * @param {Object} [options={}] - Tracer options
+   * @param {string} [options.serviceName='mycelia'] - Service name reported by exporters
+   * @param {Array<Object>} [options.exporters=[]] - Span exporters (`{ export(spans), flush?(), shutdown?() }`)
+   * @param {number} [options.sampleRate=1] - Probability (0-1) that a new trace is recorded; child spans follow their parent
+   * @param {boolean} [options.enabled=true] - Record spans at all
+   * @param {Function} [options.onExportError] - Called with (error, exporter) when an exporter fails
+   */
+  constructor(options = {}) {
+    const { serviceName = 'mycelia', exporters = [], sampleRate = 1, enabled = true, onExportError = null } = options;
+    if (typeof sampleRate !== 'number' || sampleRate < 0 || sampleRate > 1) {
+      throw new Error('Tracer: sampleRate must be a number between 0 and 1');
+    }
+
+    this.#serviceName = serviceName;
+    this.#exporters = [];
+    this.#sampleRate = sampleRate;
+    this.#enabled = enabled !== false;
+    this.#onExportError = onExportError;
+    for (const exporter of exporters) {
+      this.addExporter(exporter);
+    }
+  }
+
+  /**
+   * Get the service name
+   * @returns {string} Service name
+   */
+  getServiceName() {
+    return this.#serviceName;
+  }
+
+  /**
+   * Check if spans are recorded
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    return this.#enabled;
+  }
+
+  /**
+   * Enable or disable span recording
+   * @param {boolean} value - Enable flag
+   */
+  setEnabled(value) {
+    this.#enabled = value === true;
+  }
+
+  /**
+   * Add an exporter
+   * @param {Object} exporter - Exporter with an `export(spans)` method
+   * @throws {Error} If the exporter has no export() method
+   */
+  addExporter(exporter) {
+    if (!exporter || typeof exporter.export !== 'function') {
+      throw new Error('Tracer: exporter must have an export(spans) method');
+    }
+    this.#exporters.push(exporter);
+  }
+
+  /**
+   * Remove an exporter
+   * @param {Object} exporter - Exporter added before
+   * @returns {boolean} True if removed
+   */
+  removeExporter(exporter) {
+    const index = this.#exporters.indexOf(exporter);
+    if (index === -1) {
+      return false;
+    }
+    this.#exporters.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Get the registered exporters
+   * @returns {Array<Object>} Exporters
+   */
+  getExporters() {
+    return [...this.#exporters];
+  }
+
+  /**
+   * Start a span
+   *
+   * @param {string} name - Span name
+   * @param {Object} [options={}] - Span options
+   * @param {Span|Object|string|null} [options.parent] - Parent span, span context or `traceparent` value
+   * @param {string} [options.traceId] - Trace ID for a root span (Mycelia or W3C format)
+   * @param {string} [options.kind=SPAN_KIND.INTERNAL] - Span kind
+   * @param {Object} [options.attributes={}] - Initial attributes
+   * @param {number} [options.startTime] - Start timestamp in milliseconds
+   * @returns {Span} Running span (call `end()` to export it)
+   */
+  startSpan(name, options = {}) {
+    const parent = resolveContext(options.parent);
+    const sampled = parent ? parent.sampled : Math.random() < this.#sampleRate;
+    this.#stats.spansStarted++;
+
+    return new Span({
+      name,
+      traceId: parent ? parent.traceId : toW3CTraceId(options.traceId || generateTraceId()),
+      spanId: generateSpanId(),
+      parentSpanId: parent ? parent.spanId : null,
+      kind: options.kind || SPAN_KIND.INTERNAL,
+      sampled,
+      startTime: options.startTime,
+      attributes: { 'service.name': this.#serviceName, ...options.attributes },
+      onEnd: (span) => this.#export(span)
+    });
+  }
+
+  /**
+   * Run a function inside a span
+   *
+   * The span ends when the function settles. A throw is recorded as an exception;
+   * a `{ success: false }` result sets an error status.
+   *
+   * @param {string} name - Span name
+   * @param {Object} options - startSpan() options
+   * @param {Function} fn - `async (span) => result`
+   * @returns {Promise<any>} Result of `fn`
+   */
+  async withSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      const result = await fn(span);
+      applyResultStatus(span, result);
+      return result;
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Start a span for a message hop
+   *
+   * The parent is the message's `traceparent` metadata (when present); otherwise a
+   * new trace is started from the message trace ID.
+   *
+   * @param {string} name - Span name
+   * @param {Message} message - Message being handled
+   * @param {Object} [options={}] - startSpan() options (`parent` overrides the message context)
+   * @returns {Span} Running span
+   */
+  startMessageSpan(name, message, options = {}) {
+    return this.startSpan(name, {
+      ...options,
+      parent: options.parent ?? getMessageTraceparent(message),
+      traceId: options.traceId ?? message?.meta?.getTraceId?.(),
+      attributes: {
+        'mycelia.trace_id': message?.meta?.getTraceId?.(),
+        'mycelia.message.id': message?.getId?.() ?? message?.id,
+        'mycelia.message.path': message?.getPath?.() ?? message?.path,
+        ...options.attributes
+      }
+    });
+  }
+
+  /**
+   * Run a function inside a message span
+   *
+   * The message carries the span as its `traceparent` from then on, so later
+   * hops and child messages become children of the span.
+   *
+   * @param {string} name - Span name
+   * @param {Message} message - Message being handled
+   * @param {Object} options - startMessageSpan() options
+   * @param {Function} fn - `async (span) => result`
+   * @returns {Promise<any>} Result of `fn`
+   */
+  async withMessageSpan(name, message, options, fn) {
+    const span = this.startMessageSpan(name, message, options);
+    setMessageTraceparent(message, span.getTraceparent());
+    try {
+      const result = await fn(span);
+      applyResultStatus(span, result);
+      return result;
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Flush all exporters
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all(this.#exporters.map(exporter => this.#call(exporter, 'flush')));
+  }
+
+  /**
+   * Flush and shut down all exporters
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    await Promise.all(this.#exporters.map(exporter => this.#call(exporter, 'shutdown')));
+  }
+
+  /**
+   * Get tracer statistics
+   * @returns {Object} Counters (spansStarted, spansEnded, spansExported, spansNotSampled, exportErrors)
+   */
+  getStatistics() {
+    return { ...this.#stats, exporters: this.#exporters.length, enabled: this.#enabled };
+  }
+
+  /**
+   * Hand a finished span to every exporter
+   * @private
+   */
+  #export(span) {
+    this.#stats.spansEnded++;
+    if (!span.isSampled()) {
+      this.#stats.spansNotSampled++;
+      return;
+    }
+    for (const exporter of this.#exporters) {
+      try {
+        const pending = exporter.export([span]);
+        if (pending && typeof pending.catch === 'function') {
+          pending.catch(error => this.#reportExportError(error, exporter));
+        }
+      } catch (error) {
+        this.#reportExportError(error, exporter);
+        continue;
+      }
+      this.#stats.spansExported++;
+    }
+  }
+
+  /**
+   * Call an optional exporter method, isolating failures
+   * @private
+   */
+  async #call(exporter, method) {
+    if (typeof exporter[method] !== 'function') {
+      return;
+    }
+    try {
+      await exporter[method]();
+    } catch (error) {
+      this.#reportExportError(error, exporter);
+    }
+  }
+
+  /**
+   * @private
+   */
+  #reportExportError(error, exporter) {
+    this.#stats.exportErrors++;
+    if (this.#onExportError) {
+      this.#onExportError(error, exporter);
+    }
+  }
+}
+
+/**
+ * Get the `traceparent` carried by a message
+ *
+ * @param {Message} message - Message
+ * @returns {string|null} traceparent value, or null
+ */
+export function getMessageTraceparent(message) {
+  return message?.meta?.getCustomMutableField?.(TRACEPARENT_HEADER) ?? null;
+}
+
+/**
+ * Set the `traceparent` carried by a message (no-op for messages without metadata)
+ *
+ * @param {Message} message - Message
+ * @param {string} traceparent - traceparent value
+ */
+export function setMessageTraceparent(message, traceparent) {
+  message?.meta?.updateMutable?.({ [TRACEPARENT_HEADER]: traceparent });
+}
+
+/**
+ * Run `fn` inside a message span when tracing is enabled, or directly otherwise
+ *
+ * Call sites use this so tracing stays optional: `tracer` may be a Tracer, the
+ * `tracing` facet, or null.
+ *
+ * @param {Tracer|Object|null} tracer - Tracer or tracing facet
+ * @param {string} name - Span name
+ * @param {Message} message - Message being handled
+ * @param {Object} options - startMessageSpan() options
+ * @param {Function} fn - `async (span|null) => result`
+ * @returns {Promise<any>} Result of `fn`
+ *
+ * @example
+ * return await traceMessage(ms.find?.('tracing'), `route ${name}`, message, {}, () => route(message));
+ */
+export async function traceMessage(tracer, name, message, options, fn) {
+  if (!tracer || typeof tracer.withMessageSpan !== 'function' || !tracer.isEnabled()) {
+    return await fn(null);
+  }
+  return await tracer.withMessageSpan(name, message, options, fn);
+}
+
+/**
+ * Start the server span of an HTTP request routed into Mycelia
+ *
+ * The span continues an incoming W3C `traceparent` header; without one it starts
+ * a trace from `traceId` (e.g. an `X-Trace-Id` header). Returns null when
+ * tracing is disabled.
+ *
+ * @param {Tracer|Object|null} tracer - Tracer or tracing facet
+ * @param {Object} request - Request details
+ * @param {Object} [request.headers={}] - HTTP headers (lowercase keys)
+ * @param {string} request.method - HTTP method
+ * @param {string} request.route - Mycelia route path served by the endpoint
+ * @param {string} [request.traceId] - Trace ID to use when no traceparent is present
+ * @returns {Span|null} Running server span
+ */
+export function startHttpServerSpan(tracer, { headers = {}, method, route, traceId } = {}) {
+  if (!tracer || typeof tracer.startSpan !== 'function' || !tracer.isEnabled()) {
+    return null;
+  }
+  return tracer.startSpan(`${method} ${route}`, {
+    kind: SPAN_KIND.SERVER,
+    parent: headers[TRACEPARENT_HEADER] || null,
+    traceId,
+    attributes: {
+      'http.request.method': method,
+      'http.route': route
+    }
+  });
+}
+
+/**
+ * End an HTTP server span with the response status (5xx marks an error)
+ *
+ * @param {Span|null} span - Span from startHttpServerSpan()
+ * @param {number} statusCode - HTTP response status
+ * @param {Error} [error] - Error raised while handling the request
+ */
+export function endHttpServerSpan(span, statusCode, error = null) {
+  if (!span) {
+    return;
+  }
+  span.setAttribute('http.response.status_code', statusCode);
+  if (error) {
+    span.recordException(error);
+  } else if (statusCode >= 500) {
+    span.setStatus(SPAN_STATUS.ERROR, `HTTP ${statusCode}`);
+  }
+  span.end();
+}
+
+/**
+ * Normalize a parent (Span, span context or traceparent string)
+ * @private
+ */
+function resolveContext(parent) {
+  if (!parent) return null;
+  if (typeof parent === 'string') return parseTraceparent(parent);
+  if (typeof parent.getContext === 'function') return parent.getContext();
+  if (parent.traceId && parent.spanId) {
+    return { traceId: parent.traceId, spanId: parent.spanId, sampled: parent.sampled !== false };
+  }
+  return null;
+}
+
+/**
+ * Mark spans of failed results (`{ success: false }`) as errors
+ * @private
+ */
+function applyResultStatus(span, result) {
+  if (result && typeof result === 'object' && result.success === false) {
+    span.setStatus(SPAN_STATUS.ERROR, typeof result.error === 'string' ? result.error : 'Operation failed');
+  }
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { validateJsonSchema } from '../json-schema.utils.mycelia.js';
+
+const errorsOf = (schema, value) => validateJsonSchema(schema, value, 'body').errors;
+
+describe('validateJsonSchema', () => {
+  const order = {
+    type: 'object',
+    required: ['id', 'items'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      email: { type: 'string', format: 'email' },
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['sku'],
+          properties: { sku: { type: 'string', pattern: '^[A-Z]{3}-\\d+$' }, qty: { type: 'number', exclusiveMinimum: 0 } }
+        }
+      }
+    }
+  };
+
+  it('accepts valid values', () => {
+    expect(validateJsonSchema(order, { id: 1, items: [{ sku: 'ABC-1', qty: 2 }] })).toEqual({ valid: true, errors: [] });
+  });
+
+  it('reports every violation with the field path', () => {
+    const errors = errorsOf(order, { id: 0, email: 'nope', extra: true, items: [{ qty: 0 }, { sku: 'abc' }] });
+
+    expect(errors.map(({ path, keyword }) => `${path}:${keyword}`)).toEqual([
+      'body.id:minimum',
+      'body.email:format',
+      'body.items[0].sku:required',
+      'body.items[0].qty:exclusiveMinimum',
+      'body.items[1].sku:pattern',
+      'body.extra:additionalProperties'
+    ]);
+  });
+
+  it('stops at a type mismatch and names the root path', () => {
+    expect(errorsOf(order, 'text')).toEqual([
+      { path: 'body', keyword: 'type', message: 'must be object', params: { type: 'object' } }
+    ]);
+    expect(validateJsonSchema({ type: ['string', 'null'] }, 3).errors[0].path).toBe('(root)');
+    expect(errorsOf({ type: ['string', 'null'] }, null)).toEqual([]);
+  });
+
+  it('checks enum, const, lengths and array constraints', () => {
+    expect(errorsOf({ enum: ['a', 'b'] }, 'c')[0].keyword).toBe('enum');
+    expect(errorsOf({ const: { v: 1 } }, { v: 1 })).toEqual([]);
+    expect(errorsOf({ type: 'string', minLength: 2, maxLength: 3 }, 'abcd')[0].keyword).toBe('maxLength');
+    expect(errorsOf({ type: 'array', uniqueItems: true, maxItems: 2 }, [1, 2, 1]).map(e => e.keyword))
+      .toEqual(['maxItems', 'uniqueItems']);
+    expect(errorsOf({ type: 'number', multipleOf: 0.1 }, 0.3)).toEqual([]);
+  });
+
+  it('supports allOf, anyOf, oneOf and not', () => {
+    const idOrName = { oneOf: [{ type: 'integer' }, { type: 'string', minLength: 1 }] };
+    expect(errorsOf(idOrName, 5)).toEqual([]);
+    expect(errorsOf(idOrName, '')[0].keyword).toBe('oneOf');
+    expect(errorsOf({ anyOf: [{ type: 'string' }, { type: 'boolean' }] }, 1)[0].keyword).toBe('anyOf');
+    expect(errorsOf({ not: { const: 'root' } }, 'root')[0].keyword).toBe('not');
+    expect(errorsOf({ allOf: [{ type: 'number' }, { maximum: 3 }] }, 4)[0].keyword).toBe('maximum');
+  });
+
+  it('throws on malformed schemas', () => {
+    expect(() => validateJsonSchema('string', 'x')).toThrow(/must be an object or boolean/);
+    expect(() => validateJsonSchema({ type: 'text' }, 'x')).toThrow(/unknown type 'text'/);
+    expect(() => validateJsonSchema({ pattern: '(' }, 'x')).toThrow(/invalid pattern/);
+  });
+});
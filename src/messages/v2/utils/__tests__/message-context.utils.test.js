@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createMessageContext, runWithMessageContext, getMessageContext } from '../message-context.utils.mycelia.js';
+import { createStructuredLogger, createStructuredLoggerFromMessage } from '../structured-logger.utils.mycelia.js';
+import { createLogger } from '../logger.utils.mycelia.js';
+import { MessageFactory } from '../../models/message/message-factory.mycelia.js';
+import { Message } from '../../models/message/message.mycelia.js';
+import { processMessage } from '../../hooks/message-processor/process-message.mycelia.js';
+
+const caller = { uuid: 'pkr-1', name: 'orders', kind: 'topLevel' };
+
+describe('message context', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('is visible across awaits and timers inside the run', async () => {
+    const message = new Message('db://query', {}, { traceId: 'trace-1' });
+    const context = createMessageContext(message, { caller, subsystem: 'db' });
+
+    const seen = await runWithMessageContext(context, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      return getMessageContext();
+    });
+
+    expect(seen).toMatchObject({ traceId: 'trace-1', correlationId: message.getId(), caller, subsystem: 'db', path: 'db://query' });
+    expect(getMessageContext()).toBeNull();
+  });
+
+  it('loads the context through initMessageContext() where process.getBuiltinModule() is missing', async () => {
+    const getBuiltinModule = process.getBuiltinModule;
+    delete process.getBuiltinModule;
+    vi.resetModules();
+    try {
+      const context = await import('../message-context.utils.mycelia.js');
+      const run = () => context.runWithMessageContext({ traceId: 'trace-1' }, () => context.getMessageContext());
+
+      expect(run()).toBeNull();
+      expect(await context.initMessageContext()).toBe(true);
+      expect(run()).toEqual({ traceId: 'trace-1' });
+    } finally {
+      process.getBuiltinModule = getBuiltinModule;
+    }
+  });
+
+  it('keeps the correlation ID of the surrounding context', () => {
+    const outer = new Message('a://x', {}, { correlationId: 'corr-1' });
+    const inner = new Message('b://y', {});
+
+    const context = runWithMessageContext(createMessageContext(outer), () => createMessageContext(inner, { subsystem: 'b' }));
+
+    expect(context.correlationId).toBe('corr-1');
+  });
+
+  it('lets created messages inherit the trace of the message being handled', () => {
+    const message = new Message('db://query', {}, { traceId: 'trace-1', traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01' });
+
+    const child = runWithMessageContext(createMessageContext(message), () => MessageFactory.create('cache://get', {}));
+    const explicit = runWithMessageContext(createMessageContext(message), () =>
+      MessageFactory.create('cache://get', {}, { meta: { traceId: 'own-trace' } })
+    );
+
+    expect(child.meta.getTraceId()).toBe('trace-1');
+    expect(child.meta.getCustomMutableField('traceparent')).toBe('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01');
+    expect(explicit.meta.getTraceId()).toBe('own-trace');
+    expect(MessageFactory.create('cache://get', {}).meta.getTraceId()).not.toBe('trace-1');
+  });
+
+  it('runs handlers in the context when processing a message', async () => {
+    const message = new Message('db://query', {}, { traceId: 'trace-1' });
+    const routerFacet = {
+      route: async () => {
+        const child = MessageFactory.create('cache://get', {});
+        return { success: true, context: getMessageContext(), childTraceId: child.meta.getTraceId() };
+      }
+    };
+
+    const result = await processMessage(
+      { routerFacet, statisticsRecorder: vi.fn(), errorRecorder: vi.fn(), subsystemName: 'db' },
+      message,
+      { callerId: caller }
+    );
+
+    expect(result.context).toMatchObject({ traceId: 'trace-1', caller, subsystem: 'db' });
+    expect(result.childTraceId).toBe('trace-1');
+  });
+
+  it('enriches logger records from the context', () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const message = new Message('db://query', {}, { traceId: 'trace-123456789' });
+
+    runWithMessageContext(createMessageContext(message, { caller, subsystem: 'db' }), () => {
+      createStructuredLogger().info('stored');
+      createStructuredLogger({ traceId: 'explicit' }).info('explicit');
+      createStructuredLoggerFromMessage().info('from context');
+      createLogger(true, 'db').log('debug');
+    });
+
+    const [stored, explicit, fromContext] = log.mock.calls.slice(0, 3).map(([line]) => JSON.parse(line));
+    expect(stored).toMatchObject({ traceId: 'trace-123456789', correlationId: message.getId(), subsystem: 'db', caller: 'orders' });
+    expect(explicit.traceId).toBe('explicit');
+    expect(fromContext).toMatchObject({ traceId: 'trace-123456789', subsystem: 'db' });
+    expect(log.mock.calls[3]).toEqual(['[db] [trace:trace-12] ', 'debug']);
+  });
+});
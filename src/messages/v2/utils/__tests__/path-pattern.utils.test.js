@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { compilePathPattern, isPathPattern } from '../path-pattern.utils.mycelia.js';
+
+const match = (pattern, path) => compilePathPattern(pattern).match(path);
+
+describe('compilePathPattern', () => {
+  it('matches {param} and :param against exactly one segment', () => {
+    expect(match('user/{id}', 'user/123')).toEqual({ id: '123' });
+    expect(match('user/{id}', 'user/123/posts')).toBeNull();
+    expect(match('kernel://query/resource/:name', 'kernel://query/resource/files')).toEqual({ name: 'files' });
+    expect(match('kernel://query/resource/:name', 'kernel://query/resource/a/b')).toBeNull();
+    expect(match('res.type.:type.name.:name', 'res.type.cache.name.lines')).toEqual({ type: 'cache', name: 'lines' });
+  });
+
+  it('coerces typed params and rejects values of the wrong type', () => {
+    expect(match('user/{id:int}', 'user/42')).toEqual({ id: 42 });
+    expect(match('user/{id:int}', 'user/abc')).toBeNull();
+    expect(match('price/{value:number}', 'price/9.5')).toEqual({ value: 9.5 });
+    expect(match('flag/{on:boolean}', 'flag/false')).toEqual({ on: false });
+    expect(match('item/{id:uuid}', 'item/550e8400-e29b-41d4-a716-446655440000'))
+      .toEqual({ id: '550e8400-e29b-41d4-a716-446655440000' });
+  });
+
+  it('supports custom regex constraints, including quantifier braces', () => {
+    expect(match('post/{slug:[a-z-]+}', 'post/hello-world')).toEqual({ slug: 'hello-world' });
+    expect(match('post/{slug:[a-z-]+}', 'post/Hello')).toBeNull();
+    expect(match('code/{code:[A-Z]{3}}', 'code/ABC')).toEqual({ code: 'ABC' });
+    expect(match('code/{code:[A-Z]{3}}', 'code/ABCD')).toBeNull();
+  });
+
+  it('supports optional segments', () => {
+    expect(match('files/{name?}', 'files')).toEqual({});
+    expect(match('files/{name?}', 'files/a.txt')).toEqual({ name: 'a.txt' });
+    expect(match('page/{n?:int}', 'page/3')).toEqual({ n: 3 });
+    expect(match('page/:n?', 'page')).toEqual({});
+  });
+
+  it('distinguishes single-segment and multi-segment wildcards', () => {
+    expect(match('posts/*', 'posts/a')).toEqual({});
+    expect(match('posts/*', 'posts/a/b')).toBeNull();
+    expect(match('events/**', 'events')).toEqual({});
+    expect(match('events/**', 'events/user/created')).toEqual({});
+    expect(match('events/**', 'eventsx')).toBeNull();
+    expect(match('a/*/c', 'a/b/c')).toEqual({});
+  });
+
+  it('escapes literal regex characters', () => {
+    expect(match('v1.0/{id}', 'v1.0/x')).toEqual({ id: 'x' });
+    expect(match('v1.0/{id}', 'v1x0/x')).toBeNull();
+  });
+
+  it('rejects malformed patterns', () => {
+    expect(() => compilePathPattern('user/{id')).toThrow(/unterminated/);
+    expect(() => compilePathPattern('user/{1id}')).toThrow(/invalid parameter/);
+    expect(() => compilePathPattern('a/{id}/b/{id}')).toThrow(/duplicate/);
+    expect(() => compilePathPattern('a/{id:[a-}')).toThrow(/invalid parameter regex/);
+  });
+
+  it('describes the declared params', () => {
+    expect(compilePathPattern('u/{id:int}/{tab?}').params).toEqual([
+      { name: 'id', type: 'int', optional: false },
+      { name: 'tab', type: 'string', optional: true },
+    ]);
+  });
+});
+
+describe('isPathPattern', () => {
+  it('detects every pattern syntax', () => {
+    expect(isPathPattern('user/{id}')).toBe(true);
+    expect(isPathPattern('user/{id:int}')).toBe(true);
+    expect(isPathPattern('kernel://query/resource/:name')).toBe(true);
+    expect(isPathPattern('events/**')).toBe(true);
+    expect(isPathPattern('kernel://query/status')).toBe(false);
+    expect(isPathPattern('layers/create')).toBe(false);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generateSpanId,
+  toW3CTraceId,
+  parseTraceparent,
+  formatTraceparent,
+  inheritTraceparent
+} from '../trace.utils.mycelia.js';
+
+describe('W3C traceparent utils', () => {
+  const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+  const spanId = '00f067aa0ba902b7';
+
+  it('formats and parses traceparent values', () => {
+    const value = formatTraceparent({ traceId, spanId });
+
+    expect(value).toBe(`00-${traceId}-${spanId}-01`);
+    expect(parseTraceparent(value)).toEqual({ traceId, spanId, sampled: true });
+    expect(parseTraceparent(formatTraceparent({ traceId, spanId, sampled: false })).sampled).toBe(false);
+    expect(() => formatTraceparent({ traceId: 'abc', spanId })).toThrow();
+  });
+
+  it('rejects malformed traceparent values', () => {
+    expect(parseTraceparent(undefined)).toBeNull();
+    expect(parseTraceparent('garbage')).toBeNull();
+    expect(parseTraceparent(`ff-${traceId}-${spanId}-01`)).toBeNull();
+    expect(parseTraceparent(`00-${'0'.repeat(32)}-${spanId}-01`)).toBeNull();
+    expect(parseTraceparent(`00-${traceId}-${'0'.repeat(16)}-01`)).toBeNull();
+    expect(parseTraceparent(`00-${traceId}-${spanId}-01-extra`)).toBeNull();
+  });
+
+  it('maps Mycelia trace IDs to W3C trace IDs', () => {
+    expect(toW3CTraceId('4bf92f35-77b3-4da6-a3ce-929d0e0e4736')).toBe(traceId);
+    expect(toW3CTraceId('custom-trace')).toMatch(/^[0-9a-f]{32}$/);
+    expect(toW3CTraceId('custom-trace')).toBe(toW3CTraceId('custom-trace'));
+    expect(generateSpanId()).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('inherits the traceparent of a parent message', () => {
+    const value = formatTraceparent({ traceId, spanId });
+    const parent = { meta: { getCustomMutableField: (key) => (key === 'traceparent' ? value : undefined) } };
+
+    expect(inheritTraceparent(parent)).toBe(value);
+    expect(inheritTraceparent({})).toBeNull();
+  });
+});
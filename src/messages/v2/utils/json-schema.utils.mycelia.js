@@ -0,0 +1,273 @@
+/**
+ * JSON Schema Utilities
+ *
+ * A small validator for the JSON Schema subset used by route metadata
+ * (`metadata.schema.body` / `metadata.schema.result`). Supported keywords:
+ *
+ * - `type` (`'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null'`, or an array of them)
+ * - `enum`, `const`
+ * - objects: `properties`, `required`, `additionalProperties` (boolean or schema)
+ * - arrays: `items`, `minItems`, `maxItems`, `uniqueItems`
+ * - strings: `minLength`, `maxLength`, `pattern`, `format` (see SCHEMA_FORMATS)
+ * - numbers: `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`, `multipleOf`
+ * - combinators: `allOf`, `anyOf`, `oneOf`, `not`
+ *
+ * Other keywords (`title`, `description`, `default`, ...) are ignored. Every
+ * violation is reported with the path of the offending field, so callers can
+ * return field-level details instead of a single message.
+ *
+ * @example
+ * const { valid, errors } = validateJsonSchema(
+ *   { type: 'object', required: ['name'], properties: { name: { type: 'string' } } },
+ *   { name: 42 },
+ *   'body'
+ * );
+ * // valid === false
+ * // errors[0] → { path: 'body.name', keyword: 'type', message: 'must be string', params: { type: 'string' } }
+ */
+
+/**
+ * Formats understood by the `format` keyword
+ */
+export const SCHEMA_FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uuid: /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/,
+  uri: /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/
+};
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {Object|boolean} schema - Schema (`true` accepts anything, `false` rejects everything)
+ * @param {any} value - Value to validate
+ * @param {string} [rootPath=''] - Path prefix for reported errors (e.g. 'body')
+ * @returns {{valid: boolean, errors: Array<{path: string, keyword: string, message: string, params: Object}>}}
+ * @throws {Error} If the schema itself is malformed (not an object/boolean, invalid pattern)
+ */
+export function validateJsonSchema(schema, value, rootPath = '') {
+  const errors = [];
+  validateNode(schema, value, rootPath, errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate one node, appending violations to `errors`
+ * @private
+ */
+function validateNode(schema, value, path, errors) {
+  if (schema === true || schema === undefined) {
+    return;
+  }
+  if (schema === false) {
+    errors.push(violation(path, 'false schema', 'is not allowed'));
+    return;
+  }
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error(`validateJsonSchema: schema at '${path || '(root)'}' must be an object or boolean`);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      errors.push(violation(path, 'type', `must be ${types.join(' or ')}`, { type: schema.type }));
+      // Keywords below assume the declared type
+      return;
+    }
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some(candidate => deepEqual(candidate, value))) {
+    errors.push(violation(path, 'enum', `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`, { allowed: schema.enum }));
+  }
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    errors.push(violation(path, 'const', `must be ${JSON.stringify(schema.const)}`, { allowed: schema.const }));
+  }
+
+  if (typeof value === 'string') {
+    validateString(schema, value, path, errors);
+  } else if (typeof value === 'number') {
+    validateNumber(schema, value, path, errors);
+  } else if (Array.isArray(value)) {
+    validateArray(schema, value, path, errors);
+  } else if (value && typeof value === 'object') {
+    validateObject(schema, value, path, errors);
+  }
+
+  validateCombinators(schema, value, path, errors);
+}
+
+/**
+ * @private
+ */
+function validateString(schema, value, path, errors) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(violation(path, 'minLength', `must have at least ${schema.minLength} characters`, { limit: schema.minLength }));
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push(violation(path, 'maxLength', `must have at most ${schema.maxLength} characters`, { limit: schema.maxLength }));
+  }
+  if (schema.pattern !== undefined) {
+    let regex;
+    try {
+      regex = new RegExp(schema.pattern, 'u');
+    } catch (error) {
+      throw new Error(`validateJsonSchema: invalid pattern at '${path || '(root)'}': ${error.message}`);
+    }
+    if (!regex.test(value)) {
+      errors.push(violation(path, 'pattern', `must match pattern ${schema.pattern}`, { pattern: schema.pattern }));
+    }
+  }
+  if (schema.format !== undefined) {
+    const format = SCHEMA_FORMATS[schema.format];
+    // Unknown formats are annotations only (as in JSON Schema)
+    if (format && !format.test(value)) {
+      errors.push(violation(path, 'format', `must be a valid ${schema.format}`, { format: schema.format }));
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function validateNumber(schema, value, path, errors) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(violation(path, 'minimum', `must be >= ${schema.minimum}`, { limit: schema.minimum }));
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(violation(path, 'maximum', `must be <= ${schema.maximum}`, { limit: schema.maximum }));
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    errors.push(violation(path, 'exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`, { limit: schema.exclusiveMinimum }));
+  }
+  if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+    errors.push(violation(path, 'exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`, { limit: schema.exclusiveMaximum }));
+  }
+  if (schema.multipleOf !== undefined) {
+    const quotient = value / schema.multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      errors.push(violation(path, 'multipleOf', `must be a multiple of ${schema.multipleOf}`, { multipleOf: schema.multipleOf }));
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function validateArray(schema, value, path, errors) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push(violation(path, 'minItems', `must have at least ${schema.minItems} items`, { limit: schema.minItems }));
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push(violation(path, 'maxItems', `must have at most ${schema.maxItems} items`, { limit: schema.maxItems }));
+  }
+  if (schema.uniqueItems === true) {
+    const duplicate = value.findIndex((item, index) => value.slice(0, index).some(other => deepEqual(other, item)));
+    if (duplicate !== -1) {
+      errors.push(violation(path, 'uniqueItems', `must not contain duplicates (item ${duplicate})`, { index: duplicate }));
+    }
+  }
+  if (schema.items !== undefined) {
+    value.forEach((item, index) => validateNode(schema.items, item, `${path}[${index}]`, errors));
+  }
+}
+
+/**
+ * @private
+ */
+function validateObject(schema, value, path, errors) {
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) {
+      errors.push(violation(joinPath(path, key), 'required', 'is required', { property: key }));
+    }
+  }
+
+  const properties = schema.properties || {};
+  for (const [key, propertySchema] of Object.entries(properties)) {
+    if (value[key] !== undefined) {
+      validateNode(propertySchema, value[key], joinPath(path, key), errors);
+    }
+  }
+
+  if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+    for (const key of Object.keys(value)) {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) continue;
+      if (schema.additionalProperties === false) {
+        errors.push(violation(joinPath(path, key), 'additionalProperties', 'is not allowed', { property: key }));
+      } else {
+        validateNode(schema.additionalProperties, value[key], joinPath(path, key), errors);
+      }
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function validateCombinators(schema, value, path, errors) {
+  const passes = (subschema) => {
+    const nested = [];
+    validateNode(subschema, value, path, nested);
+    return nested;
+  };
+
+  if (schema.allOf !== undefined) {
+    for (const subschema of schema.allOf) {
+      validateNode(subschema, value, path, errors);
+    }
+  }
+  if (schema.anyOf !== undefined && !schema.anyOf.some(subschema => passes(subschema).length === 0)) {
+    errors.push(violation(path, 'anyOf', 'must match at least one allowed schema'));
+  }
+  if (schema.oneOf !== undefined) {
+    const matches = schema.oneOf.filter(subschema => passes(subschema).length === 0).length;
+    if (matches !== 1) {
+      errors.push(violation(path, 'oneOf', `must match exactly one allowed schema (matched ${matches})`, { matches }));
+    }
+  }
+  if (schema.not !== undefined && passes(schema.not).length === 0) {
+    errors.push(violation(path, 'not', 'must not match the excluded schema'));
+  }
+}
+
+/**
+ * @private
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      throw new Error(`validateJsonSchema: unknown type '${type}'`);
+  }
+}
+
+/**
+ * @private
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+/**
+ * @private
+ */
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * @private
+ */
+function violation(path, keyword, message, params = {}) {
+  return { path: path || '(root)', keyword, message, params };
+}
@@ -3,9 +3,12 @@
  * 
  * Provides a simple logger abstraction for improved testability and consistency.
  * Supports both traditional text logging and structured JSON logging.
+ * Debug output written inside a message handler is tagged with the trace ID
+ * of the message context.
  */
 
 import { createStructuredLogger, createStructuredLoggerFromMessage } from './structured-logger.utils.mycelia.js';
+import { getMessageContextLogFields } from './message-context.utils.mycelia.js';
 
 /**
  * Simple logger that conditionally logs based on debug flag.
@@ -74,7 +77,11 @@ export function createLogger(debug = false, prefix = '', context = {}) {
   }
   
   // Traditional text-based logger (backward compatible)
-  const prefixStr = prefix ? `[${prefix}] ` : '';
+  const basePrefix = prefix ? `[${prefix}] ` : '';
+  const contextPrefix = () => {
+    const { traceId: contextTraceId } = getMessageContextLogFields();
+    return contextTraceId ? `${basePrefix}[trace:${contextTraceId.substring(0, 8)}] ` : basePrefix;
+  };
   
   return {
     /**
@@ -83,7 +90,7 @@ export function createLogger(debug = false, prefix = '', context = {}) {
      */
     log(...args) {
       if (debug) {
-        console.log(prefixStr, ...args);
+        console.log(contextPrefix(), ...args);
       }
     },
     
@@ -93,7 +100,7 @@ export function createLogger(debug = false, prefix = '', context = {}) {
      */
     error(...args) {
       if (debug) {
-        console.error(prefixStr, ...args);
+        console.error(contextPrefix(), ...args);
       } else {
         // Still log errors even if debug is off, but without prefix
         console.error(...args);
@@ -106,7 +113,7 @@ export function createLogger(debug = false, prefix = '', context = {}) {
      */
     warn(...args) {
       if (debug) {
-        console.warn(prefixStr, ...args);
+        console.warn(contextPrefix(), ...args);
       }
     },
     
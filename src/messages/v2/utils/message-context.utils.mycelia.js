@@ -0,0 +1,137 @@
+/**
+ * Message Context Utilities
+ *
+ * Async context for the message being handled. Every handler invocation runs
+ * inside a context carrying the trace ID, correlation ID, caller PKR and the
+ * handling subsystem, so code deeper in the call chain does not have to
+ * thread the message through:
+ *
+ * - MessageFactory.create() (and so `messages.create*`) inherits the trace of
+ *   the message being handled when no `traceId` / `parentMessage` is given
+ * - Structured and debug loggers add `traceId`, `correlationId`, `subsystem`
+ *   and `caller` to their records
+ *
+ * @example
+ * router.registerRoute('orders://create', async (message) => {
+ *   const { traceId, caller } = getMessageContext();
+ *   // Inherits traceId (and span) of the message being handled
+ *   const audit = messages.create('audit://record', { by: caller?.name });
+ *   return await identity.sendProtected(audit);
+ * });
+ */
+
+// AsyncLocalStorage only exists on Node.js. Elsewhere (browser builds) there is
+// no message context: handlers run as-is and getMessageContext() returns null.
+let storage = null;
+let storageLoading = null;
+
+// Load synchronously where process.getBuiltinModule() exists (Node.js 20.16+);
+// older versions need initMessageContext(), which KernelSubsystem.bootstrap() awaits.
+if (typeof process !== 'undefined' && typeof process.getBuiltinModule === 'function') {
+  try {
+    storage = new (process.getBuiltinModule('node:async_hooks').AsyncLocalStorage)();
+  } catch {
+    // Keep the no-op context
+  }
+}
+
+/**
+ * Load AsyncLocalStorage from node:async_hooks
+ *
+ * Resolves once the message context is available (or known to be unavailable).
+ * Safe to call repeatedly; the import runs once.
+ *
+ * @returns {Promise<boolean>} True if message contexts are supported
+ *
+ * @example
+ * // Only needed when handling messages without bootstrapping a kernel
+ * await initMessageContext();
+ */
+export function initMessageContext() {
+  if (storage) {
+    return Promise.resolve(true);
+  }
+  if (typeof process === 'undefined' || !process.versions?.node) {
+    return Promise.resolve(false);
+  }
+  storageLoading ??= import('node:async_hooks')
+    .then(({ AsyncLocalStorage }) => {
+      storage ??= new AsyncLocalStorage();
+      return true;
+    })
+    .catch(() => false);
+  return storageLoading;
+}
+
+/**
+ * Create the context for handling a message
+ *
+ * The correlation ID is the message's own `correlationId` / `inReplyTo`, else the
+ * correlation ID of the surrounding context, else the message ID, so every
+ * message sent while handling a request shares the request's correlation ID.
+ *
+ * @param {Message} message - Message being handled
+ * @param {Object} [options={}] - Context options
+ * @param {PKR} [options.caller=null] - PKR of the sender (`options.callerId` set by the kernel)
+ * @param {string} [options.subsystem=null] - Name of the handling subsystem
+ * @returns {Readonly<Object>} Context ({ traceId, correlationId, messageId, path, caller, subsystem, message })
+ */
+export function createMessageContext(message, { caller = null, subsystem = null } = {}) {
+  const meta = typeof message?.getMeta === 'function' ? message.getMeta() : message?.meta;
+  const messageId = message?.getId?.() ?? message?.id ?? null;
+
+  return Object.freeze({
+    traceId: meta?.getTraceId?.() ?? getMessageContext()?.traceId ?? null,
+    correlationId: meta?.getCustomField?.('correlationId')
+      || meta?.getCustomMutableField?.('correlationId')
+      || meta?.getCustomField?.('inReplyTo')
+      || getMessageContext()?.correlationId
+      || messageId,
+    messageId,
+    path: message?.getPath?.() ?? message?.path ?? null,
+    caller: caller || null,
+    subsystem,
+    message
+  });
+}
+
+/**
+ * Run a function inside a message context
+ *
+ * @param {Object} context - Context from createMessageContext()
+ * @param {Function} fn - Function to run; everything it awaits or schedules sees the context
+ * @returns {any} Result of `fn`
+ */
+export function runWithMessageContext(context, fn) {
+  return storage ? storage.run(context, fn) : fn();
+}
+
+/**
+ * Get the context of the message being handled
+ *
+ * @returns {Readonly<Object>|null} Current context, or null outside a handler
+ *
+ * @example
+ * const traceId = getMessageContext()?.traceId;
+ */
+export function getMessageContext() {
+  return storage?.getStore() ?? null;
+}
+
+/**
+ * Get the fields loggers add to their records
+ *
+ * @returns {Object} `{ traceId, correlationId, subsystem, caller }` (empty outside a handler)
+ */
+export function getMessageContextLogFields() {
+  const context = getMessageContext();
+  if (!context) {
+    return {};
+  }
+  return {
+    traceId: context.traceId || undefined,
+    correlationId: context.correlationId || undefined,
+    subsystem: context.subsystem || undefined,
+    caller: context.caller?.name || context.caller?.uuid || undefined
+  };
+}
@@ -0,0 +1,233 @@
+/**
+ * Path Pattern Utilities
+ *
+ * Compiles route and listener patterns into matchers. Shared by SubsystemRouter
+ * (route registration) and PatternMatcher (onPattern listeners), so both use
+ * the same syntax:
+ *
+ * - `{id}` / `:id`     - one path segment (never crosses '/'), captured as `params.id`
+ *                        (`:id` must follow '/' or '.', so 'kernel://' is not a param)
+ * - `{id:int}`         - typed segment; the value is coerced (see PARAM_TYPES)
+ * - `{slug:[a-z-]+}`   - segment constrained by a custom regex (value stays a string)
+ * - `{id?}` / `:id?`   - optional segment; `user/{id?}` matches 'user' and 'user/42'
+ * - `{id?:int}`        - optional typed segment
+ * - `*`                - exactly one segment, not captured
+ * - `**`               - any number of segments (including none), not captured
+ *
+ * @example
+ * const compiled = compilePathPattern('user/{id:int}/posts/**');
+ * compiled.match('user/42/posts/2024/05'); // { id: 42 }
+ * compiled.match('user/abc/posts');        // null
+ */
+
+/**
+ * Built-in parameter types: regex source for one value and coercion of the match
+ */
+export const PARAM_TYPES = {
+  string: { source: '[^/]+', coerce: (value) => value },
+  int: { source: '-?\\d+', coerce: (value) => parseInt(value, 10) },
+  number: { source: '-?\\d+(?:\\.\\d+)?', coerce: (value) => Number(value) },
+  boolean: { source: 'true|false', coerce: (value) => value === 'true' },
+  uuid: {
+    source: '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}',
+    coerce: (value) => value
+  }
+};
+
+const PARAM_NAME = /^[A-Za-z_][A-Za-z0-9_]*/;
+const BRACE_PARAM = /^([A-Za-z_][A-Za-z0-9_]*)(\?)?(?::([\s\S]+))?$/;
+
+/**
+ * Check if a path contains pattern syntax ({param}, :param, * or **)
+ *
+ * @param {string} path - Path to check
+ * @returns {boolean} True if the path is a pattern
+ *
+ * @example
+ * isPathPattern('user/{id}');      // true
+ * isPathPattern('events/**');      // true
+ * isPathPattern('kernel://query'); // false
+ */
+export function isPathPattern(path) {
+  if (typeof path !== 'string') {
+    return false;
+  }
+  return /\{[A-Za-z_][A-Za-z0-9_]*\??(?::[^}]+)?\}/.test(path) ||
+    /(^|[/.]):[A-Za-z_]/.test(path) ||
+    path.includes('*');
+}
+
+/**
+ * Compile a path pattern
+ *
+ * @param {string} pattern - Pattern string (see module documentation for syntax)
+ * @returns {{pattern: string, regex: RegExp, params: Array<{name: string, type: string, optional: boolean}>, wildcards: number, match: Function}}
+ *   Compiled pattern; `match(path)` returns the coerced params object, or null if the path does not match
+ * @throws {Error} If the pattern is malformed (unterminated brace, duplicate or invalid name, invalid regex)
+ *
+ * @example
+ * const { match } = compilePathPattern('kernel://query/resource/:name');
+ * match('kernel://query/resource/files'); // { name: 'files' }
+ */
+export function compilePathPattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.length === 0) {
+    throw new Error('compilePathPattern: pattern must be a non-empty string');
+  }
+
+  const params = [];
+  let source = '';
+  let afterSlash = false; // last emitted token is a literal '/'
+  let wildcards = 0;
+  let i = 0;
+
+  // Optional parts swallow the '/' in front of them so 'user/{id?}' matches 'user'
+  const emitOptional = (inner) => {
+    if (afterSlash) {
+      source = source.slice(0, -1) + `(?:/${inner})?`;
+    } else {
+      source += `(?:${inner})?`;
+    }
+  };
+
+  const emitParam = (name, optional, typeSpec) => {
+    if (params.some(param => param.name === name)) {
+      throw new Error(`compilePathPattern: duplicate parameter '${name}' in pattern '${pattern}'`);
+    }
+
+    const { type, valueSource, coerce } = resolveParamType(typeSpec, pattern);
+    const group = `(?<p${params.length}>${valueSource})`;
+    params.push({ name, type, optional, coerce });
+
+    if (optional) {
+      emitOptional(group);
+    } else {
+      source += group;
+    }
+    afterSlash = false;
+  };
+
+  while (i < pattern.length) {
+    const char = pattern[i];
+
+    if (char === '{') {
+      const end = findClosingBrace(pattern, i);
+      if (end === -1) {
+        throw new Error(`compilePathPattern: unterminated '{' in pattern '${pattern}'`);
+      }
+      const match = BRACE_PARAM.exec(pattern.slice(i + 1, end));
+      if (!match) {
+        throw new Error(`compilePathPattern: invalid parameter '${pattern.slice(i, end + 1)}' in pattern '${pattern}'`);
+      }
+      emitParam(match[1], match[2] === '?', match[3]);
+      i = end + 1;
+      continue;
+    }
+
+    if (char === ':' && (i === 0 || pattern[i - 1] === '/' || pattern[i - 1] === '.') && PARAM_NAME.test(pattern.slice(i + 1))) {
+      const name = PARAM_NAME.exec(pattern.slice(i + 1))[0];
+      i += 1 + name.length;
+      const optional = pattern[i] === '?';
+      if (optional) i++;
+      emitParam(name, optional, undefined);
+      continue;
+    }
+
+    if (char === '*') {
+      wildcards++;
+      if (pattern[i + 1] === '*') {
+        // 'a/**' matches 'a', 'a/b', 'a/b/c'; '**' elsewhere matches anything
+        if (afterSlash) {
+          emitOptional('.*');
+        } else {
+          source += '.*';
+        }
+        i += 2;
+      } else {
+        source += '[^/]+';
+        i++;
+      }
+      afterSlash = false;
+      continue;
+    }
+
+    source += escapeRegex(char);
+    afterSlash = char === '/';
+    i++;
+  }
+
+  const regex = new RegExp(`^${source}$`);
+
+  return {
+    pattern,
+    regex,
+    params: params.map(({ name, type, optional }) => ({ name, type, optional })),
+    wildcards,
+    match(path) {
+      if (typeof path !== 'string') {
+        return null;
+      }
+      const result = regex.exec(path);
+      if (!result) {
+        return null;
+      }
+
+      const values = {};
+      params.forEach((param, index) => {
+        const raw = result.groups?.[`p${index}`];
+        if (raw !== undefined) {
+          values[param.name] = param.coerce(raw);
+        }
+      });
+      return values;
+    }
+  };
+}
+
+/**
+ * Resolve a parameter type spec (built-in type name or custom regex)
+ * @private
+ */
+function resolveParamType(typeSpec, pattern) {
+  if (typeSpec === undefined) {
+    return { type: 'string', valueSource: PARAM_TYPES.string.source, coerce: PARAM_TYPES.string.coerce };
+  }
+
+  const builtIn = PARAM_TYPES[typeSpec];
+  if (builtIn) {
+    return { type: typeSpec, valueSource: `(?:${builtIn.source})`, coerce: builtIn.coerce };
+  }
+
+  try {
+    new RegExp(typeSpec);
+  } catch (error) {
+    throw new Error(`compilePathPattern: invalid parameter regex '${typeSpec}' in pattern '${pattern}': ${error.message}`);
+  }
+  return { type: 'regex', valueSource: `(?:${typeSpec})`, coerce: PARAM_TYPES.string.coerce };
+}
+
+/**
+ * Find the '}' closing the '{' at `start`, allowing nested braces in custom regexes
+ * @private
+ */
+function findClosingBrace(pattern, start) {
+  let depth = 0;
+  for (let i = start; i < pattern.length; i++) {
+    if (pattern[i] === '\\') {
+      i++;
+    } else if (pattern[i] === '{') {
+      depth++;
+    } else if (pattern[i] === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Escape a literal character for use in a regex
+ * @private
+ */
+function escapeRegex(char) {
+  return /[.*+?^${}()|[\]\\]/.test(char) ? `\\${char}` : char;
+}
@@ -3,7 +3,10 @@
  * 
  * Provides structured logging with JSON output format for better observability.
  * Supports trace IDs, correlation IDs, and other contextual information.
+ * Inside a message handler, records are enriched from the message context
+ * (traceId, correlationId, subsystem, caller) unless configured explicitly.
  */
+import { getMessageContext, getMessageContextLogFields } from './message-context.utils.mycelia.js';
 
 /**
  * Create a structured logger that outputs JSON logs
@@ -53,12 +56,19 @@ export function createStructuredLogger(config = {}) {
       return;
     }
 
+    // Explicit configuration wins over the message context
+    const context = getMessageContextLogFields();
+    const entrySubsystem = subsystem || context.subsystem;
+    const entryTraceId = traceId || context.traceId;
+    const entryCorrelationId = correlationId || context.correlationId;
+
     const logEntry = {
       timestamp: new Date().toISOString(),
       level: logLevel,
-      subsystem: subsystem || undefined,
-      traceId: traceId || undefined,
-      correlationId: correlationId || undefined,
+      subsystem: entrySubsystem,
+      traceId: entryTraceId,
+      correlationId: entryCorrelationId,
+      caller: context.caller,
       message: typeof message === 'string' ? message : String(message),
       ...(Object.keys(metadata).length > 0 ? { metadata } : {})
     };
@@ -76,9 +86,9 @@ export function createStructuredLogger(config = {}) {
       // Text format for backward compatibility
       const parts = [
         `[${logLevel}]`,
-        subsystem ? `[${subsystem}]` : '',
-        traceId ? `[trace:${traceId.substring(0, 8)}]` : '',
-        correlationId ? `[corr:${correlationId.substring(0, 8)}]` : '',
+        entrySubsystem ? `[${entrySubsystem}]` : '',
+        entryTraceId ? `[trace:${entryTraceId.substring(0, 8)}]` : '',
+        entryCorrelationId ? `[corr:${String(entryCorrelationId).substring(0, 8)}]` : '',
         message
       ].filter(Boolean);
       console.log(parts.join(' '), metadata && Object.keys(metadata).length > 0 ? metadata : '');
@@ -144,10 +154,11 @@ export function createStructuredLogger(config = {}) {
  * Create a structured logger from a message context
  * 
  * Extracts trace ID, correlation ID, and subsystem information from a message
- * to create a contextual logger.
+ * to create a contextual logger. Inside a handler the message and subsystem
+ * default to those of the message context.
  * 
- * @param {Message|Object} message - Message to extract context from
- * @param {string} [subsystem=''] - Subsystem name
+ * @param {Message|Object} [message] - Message to extract context from (default: the message being handled)
+ * @param {string} [subsystem=''] - Subsystem name (default: the handling subsystem)
  * @param {Object} [config={}] - Additional logger configuration
  * @returns {Object} Structured logger object
  * 
@@ -157,7 +168,7 @@ export function createStructuredLogger(config = {}) {
  * logger.info('Processing message', { path: message.getPath() });
  * ```
  */
-export function createStructuredLoggerFromMessage(message, subsystem = '', config = {}) {
+export function createStructuredLoggerFromMessage(message = getMessageContext()?.message, subsystem = getMessageContext()?.subsystem || '', config = {}) {
   let traceId = null;
   let correlationId = null;
 
@@ -191,8 +202,3 @@ export function createStructuredLoggerFromMessage(message, subsystem = '', confi
     ...config
   });
 }
-
-
-
-
-
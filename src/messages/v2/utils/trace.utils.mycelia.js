@@ -99,6 +99,26 @@ export function inheritTraceId(parentMessage) {
   return null;
 }
 
+/**
+ * Inherit the `traceparent` (current span context) from a parent message
+ * 
+ * Child messages carrying the parent's traceparent become children of the
+ * span that was handling the parent (see Tracer).
+ * 
+ * @param {Message|Object} parentMessage - Parent message
+ * @returns {string|null} traceparent value or null if the parent carries none
+ * 
+ * @example
+ * const child = messages.create('db://query', body, { meta: { traceparent: inheritTraceparent(message) } });
+ */
+export function inheritTraceparent(parentMessage) {
+  if (!parentMessage) return null;
+
+  const meta = typeof parentMessage.getMeta === 'function' ? parentMessage.getMeta() : parentMessage.meta;
+  const traceparent = meta?.getCustomMutableField?.('traceparent');
+  return traceparent ? String(traceparent) : null;
+}
+
 /**
  * Extract trace ID from HTTP headers
  * 
@@ -169,7 +189,119 @@ export function injectTraceIdIntoHeaders(headers, traceId, headerName = 'X-Trace
   return headers;
 }
 
+/**
+ * W3C Trace Context `traceparent` header name
+ */
+export const TRACEPARENT_HEADER = 'traceparent';
 
+const HEX_TRACE_ID = /^[0-9a-f]{32}$/;
+const HEX_SPAN_ID = /^[0-9a-f]{16}$/;
 
+/**
+ * Generate random lowercase hex characters
+ * @private
+ */
+function randomHex(length) {
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    const bytes = crypto.getRandomValues(new Uint8Array(Math.ceil(length / 2)));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('').slice(0, length);
+  }
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += Math.floor(Math.random() * 16).toString(16);
+  }
+  return result;
+}
 
+/**
+ * Generate a span ID (16 lowercase hex characters, never all zeros)
+ * 
+ * @returns {string} Span ID
+ * 
+ * @example
+ * generateSpanId(); // "00f067aa0ba902b7"
+ */
+export function generateSpanId() {
+  const spanId = randomHex(16);
+  return /^0+$/.test(spanId) ? generateSpanId() : spanId;
+}
 
+/**
+ * Convert a Mycelia trace ID to a W3C trace ID (32 lowercase hex characters)
+ * 
+ * UUID trace IDs keep their digits (dashes removed), so the same request is
+ * recognizable in both formats. Other custom trace IDs are hashed deterministically.
+ * 
+ * @param {string} traceId - Mycelia trace ID
+ * @returns {string} W3C trace ID
+ * 
+ * @example
+ * toW3CTraceId('550e8400-e29b-41d4-a716-446655440000'); // "550e8400e29b41d4a716446655440000"
+ */
+export function toW3CTraceId(traceId) {
+  const value = String(traceId ?? '').toLowerCase();
+  const compact = value.replace(/-/g, '');
+  if (HEX_TRACE_ID.test(compact) && !/^0+$/.test(compact)) {
+    return compact;
+  }
+
+  // FNV-1a over the string, widened to 128 bits with four seeds
+  let hex = '';
+  for (const seed of [0x811c9dc5, 0x01000193, 0x9e3779b9, 0x85ebca6b]) {
+    let hash = seed;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    hex += hash.toString(16).padStart(8, '0');
+  }
+  return /^0+$/.test(hex) ? '0'.repeat(31) + '1' : hex;
+}
+
+/**
+ * Parse a W3C `traceparent` header
+ * 
+ * @param {string} traceparent - Header value (`version-traceId-spanId-flags`)
+ * @returns {{traceId: string, spanId: string, sampled: boolean}|null} Span context, or null if invalid
+ * 
+ * @example
+ * parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01');
+ * // { traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7', sampled: true }
+ */
+export function parseTraceparent(traceparent) {
+  if (typeof traceparent !== 'string') return null;
+
+  const [version, traceId, spanId, flags, ...rest] = traceparent.trim().toLowerCase().split('-');
+  if (!/^[0-9a-f]{2}$/.test(version || '') || version === 'ff') return null;
+  // Version 00 has exactly four fields; later versions may append more
+  if (version === '00' && rest.length > 0) return null;
+  if (!HEX_TRACE_ID.test(traceId || '') || /^0+$/.test(traceId)) return null;
+  if (!HEX_SPAN_ID.test(spanId || '') || /^0+$/.test(spanId)) return null;
+  if (!/^[0-9a-f]{2}$/.test(flags || '')) return null;
+
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+/**
+ * Format a span context as a W3C `traceparent` header
+ * 
+ * @param {Object} context - Span context
+ * @param {string} context.traceId - W3C trace ID (32 hex characters)
+ * @param {string} context.spanId - Span ID (16 hex characters)
+ * @param {boolean} [context.sampled=true] - Sampled flag
+ * @returns {string} Header value
+ * @throws {Error} If the trace or span ID is malformed
+ * 
+ * @example
+ * formatTraceparent({ traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7' });
+ * // "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"
+ */
+export function formatTraceparent({ traceId, spanId, sampled = true }) {
+  if (!HEX_TRACE_ID.test(traceId || '')) {
+    throw new Error(`formatTraceparent: invalid trace ID '${traceId}'`);
+  }
+  if (!HEX_SPAN_ID.test(spanId || '')) {
+    throw new Error(`formatTraceparent: invalid span ID '${spanId}'`);
+  }
+  return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}